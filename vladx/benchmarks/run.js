@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+
+/**
+ * Бенчмарки VladX: обход дерева против байт-кода (--vm)
+ * Каждая программа выполняется обоими способами, вывод сравнивается,
+ * время — медиана нескольких запусков.
+ *
+ * Использование: node benchmarks/run.js [--runs <n>] [имя.vx ...]
+ */
+
+import { readFileSync, readdirSync } from 'fs';
+import { dirname, join, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { VladXEngine } from '../src/engine/vladx-engine.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+const MODES = [
+    { name: 'дерево', options: {} },
+    { name: 'вм', options: { vm: true } }
+];
+
+function parseArgs(args) {
+    const options = { runs: 3, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--runs' && args[i + 1]) {
+            options.runs = Math.max(1, parseInt(args[++i]));
+        } else {
+            options.files.push(args[i]);
+        }
+    }
+    return options;
+}
+
+/**
+ * Один запуск программы; печать перехватывается для сравнения вывода
+ */
+async function runOnce(file, source, modeOptions) {
+    const output = [];
+    const originalLog = console.log;
+    console.log = (...items) => output.push(items.join(' '));
+
+    const engine = new VladXEngine({ maxExecutionTime: 0, ...modeOptions });
+    const start = process.hrtime.bigint();
+    let error = null;
+    try {
+        await engine.execute(source, { filename: file });
+    } catch (e) {
+        error = e;
+    } finally {
+        console.log = originalLog;
+    }
+    const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    if (error) {
+        output.push(`Ошибка: ${error.message}`);
+    }
+    return { elapsed, output: output.join('\n') };
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const files = options.files.length > 0
+        ? options.files.map(file => file.includes('/') ? file : join(__dirname, file))
+        : readdirSync(__dirname).filter(file => file.endsWith('.vx')).sort().map(file => join(__dirname, file));
+
+    console.log(`Запусков на режим: ${options.runs}\n`);
+    console.log(`${'программа'.padEnd(16)}${'дерево, мс'.padStart(12)}${'вм, мс'.padStart(12)}${'ускорение'.padStart(12)}  вывод`);
+
+    let mismatches = 0;
+    for (const file of files) {
+        const source = readFileSync(file, 'utf-8');
+        const results = [];
+
+        for (const mode of MODES) {
+            const times = [];
+            let output = null;
+            for (let run = 0; run < options.runs; run++) {
+                const result = await runOnce(basename(file), source, mode.options);
+                times.push(result.elapsed);
+                output = result.output;
+            }
+            results.push({ time: median(times), output });
+        }
+
+        const [tree, vm] = results;
+        const same = tree.output === vm.output;
+        if (!same) mismatches++;
+
+        console.log(
+            `${basename(file).padEnd(16)}${tree.time.toFixed(1).padStart(12)}${vm.time.toFixed(1).padStart(12)}` +
+            `${(tree.time / vm.time).toFixed(2).padStart(11)}x  ${same ? 'совпадает' : 'РАЗЛИЧАЕТСЯ'}`
+        );
+        if (!same) {
+            console.log(`  дерево: ${tree.output}\n  вм:     ${vm.output}`);
+        }
+    }
+
+    if (mismatches > 0) {
+        console.log(`\nВывод различается в ${mismatches} программах`);
+        process.exit(1);
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -4,12 +4,27 @@
  * vladpm - Менеджер пакетов VladX (обновленный с интеграцией новых модулей)
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
-import { join, dirname, resolve } from 'path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, rmSync, lstatSync, readlinkSync, symlinkSync, unlinkSync } from 'fs';
+import { join, dirname, resolve, relative, sep } from 'path';
 import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import tar from 'tar';
+import { SemVer } from '../src/vladpm/semver.js';
+import { DependencyResolver } from '../src/vladpm/resolver.js';
+import { Lockfile, LOCKFILE_NAME } from '../src/vladpm/lockfile.js';
+import { Integrity } from '../src/vladpm/integrity.js';
+import { PackageCache } from '../src/vladpm/cache.js';
+import { Workspaces } from '../src/vladpm/workspaces.js';
+import { ScriptRunner, INSTALL_EVENTS } from '../src/vladpm/scripts.js';
+import { BinLinker } from '../src/vladpm/bin-links.js';
+import { InstalledTree } from '../src/vladpm/installed-tree.js';
+import { Packer } from '../src/vladpm/packer.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// Уровни уязвимостей по возрастанию
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
 class VladPM {
     constructor() {
         this.configDir = join(process.env.HOME || process.env.USERPROFILE, '.vladx');
@@ -19,7 +34,21 @@ class VladPM {
         this.configFile = join(this.configDir, 'config.json');
 
         this.config = this.loadConfig();
+        this.cache = new PackageCache(this.cacheDir);
+        // online — сеть, кэш только для архивов с известной суммой;
+        // prefer-offline — сначала кэш; offline — только кэш
+        this.networkMode = 'online';
+        // --ignore-scripts: не выполнять скрипты жизненного цикла
+        this.ignoreScripts = false;
         this.logger = console;
+
+        this.scripts = new ScriptRunner({ logger: this.logger });
+        this.binLinker = new BinLinker({
+            vladxPath: join(__dirname, 'vladx.js'),
+            readManifest: packageDir => this.readInstalledManifest(packageDir),
+            logger: this.logger
+        });
+        this.packer = new Packer({ logger: this.logger });
     }
 
     /**
@@ -50,25 +79,31 @@ class VladPM {
     }
 
     /**
-     * Инициализация проекта
+     * Инициализация проекта; с -w <каталог> — нового пакета рабочего пространства
      */
-    init() {
-        const packageFile = join(process.cwd(), 'vladx.json');
+    init(options = {}) {
+        if (options.workspace) {
+            this.initWorkspace(options.workspace);
+            return;
+        }
+
+        const projectDir = options.dir || process.cwd();
+        const packageFile = join(projectDir, 'vladx.json');
 
         if (existsSync(packageFile)) {
-            this.logger.info('vladvx.json уже существует');
+            this.logger.info('vladx.json уже существует');
             return;
         }
 
         const packageJson = {
-            name: 'vladx-project',
+            name: options.name || 'vladx-project',
             version: '1.0.0',
             description: '',
-            main: 'index.vx',
+            main: 'src/index.vx',
             scripts: {
-                start: 'vladx run index.vx',
+                start: 'vladx run src/index.vx',
                 test: 'vladx test',
-                build: 'vladx compile index.vx',
+                build: 'vladx compile src/index.vx',
                 lint: 'vladx lint src/',
                 format: 'vladx format src/'
             },
@@ -80,10 +115,10 @@ class VladPM {
 
         const dirs = ['src', 'tests', 'docs', 'lib'];
         for (const dir of dirs) {
-            mkdirSync(join(process.cwd(), dir), { recursive: true });
+            mkdirSync(join(projectDir, dir), { recursive: true });
         }
 
-        writeFileSync(join(process.cwd(), 'src', 'index.vx'), '// Главная точка входа\nпечать("Привет, мир!");');
+        writeFileSync(join(projectDir, 'src', 'index.vx'), '// Главная точка входа\nпечать("Привет, мир!");');
 
         this.logger.info('Проект инициализирован');
         this.logger.info('Создан файл: vladx.json');
@@ -91,96 +126,495 @@ class VladPM {
     }
 
     /**
-     * Установка пакета
+     * Создать пакет рабочего пространства и добавить его каталог в workspaces корня
+     */
+    initWorkspace(memberPath) {
+        const rootDir = process.cwd();
+        const rootManifest = this.readProjectManifest(rootDir);
+        const memberDir = resolve(rootDir, memberPath);
+        const path = relative(rootDir, memberDir).split(sep).join('/');
+
+        if (!path || path.startsWith('..')) {
+            throw new Error(`Пакет рабочего пространства должен быть внутри ${rootDir}`);
+        }
+
+        mkdirSync(memberDir, { recursive: true });
+        this.init({ dir: memberDir, name: path.split('/').pop() });
+
+        rootManifest.workspaces = rootManifest.workspaces || [];
+        const workspaces = Workspaces.load(rootDir, rootManifest);
+        if (!workspaces.memberAt(memberDir)) {
+            workspaces.patterns.push(path);
+            this.writeProjectManifest(rootManifest, rootDir);
+            this.logger.info(`${path} добавлен в workspaces`);
+        }
+    }
+
+    /**
+     * Установка пакетов; без имён — все зависимости из vladx.json
      */
-    async install(packageName, options = {}) {
+    async install(packageSpecs = [], options = {}) {
         const isDev = options.dev || false;
         const isGlobal = options.global || false;
         const save = options.save !== false;
 
         if (isGlobal) {
-            await this.installGlobal(packageName, options);
+            for (const spec of packageSpecs) {
+                await this.installGlobal(spec, options);
+            }
         } else {
-            await this.installLocal(packageName, isDev, save);
+            await this.installLocal(packageSpecs, isDev, save);
         }
     }
 
     /**
-     * Установить локально
+     * Разобрать спецификацию пакета: имя@диапазон, @scope/имя@диапазон
      */
-    async installLocal(packageName, isDev = false, save = true) {
-        const packageFile = join(process.cwd(), 'vladx.json');
+    parseSpec(spec) {
+        const at = spec.lastIndexOf('@');
+        if (at > 0) {
+            return { name: spec.slice(0, at), range: spec.slice(at + 1) || null };
+        }
+        return { name: spec, range: null };
+    }
+
+    /**
+     * Прочитать vladx.json проекта
+     */
+    readProjectManifest(projectDir = process.cwd()) {
+        const packageFile = join(projectDir, 'vladx.json');
 
         if (!existsSync(packageFile)) {
-            throw new Error('vladvx.json не найден. Запустите "vladpm init"');
+            throw new Error('vladx.json не найден. Запустите "vladpm init"');
         }
 
         const packageJson = JSON.parse(readFileSync(packageFile, 'utf-8'));
-        const dependenciesKey = isDev ? 'devDependencies' : 'dependencies';
+        packageJson.dependencies = packageJson.dependencies || {};
+        packageJson.devDependencies = packageJson.devDependencies || {};
+        return packageJson;
+    }
+
+    writeProjectManifest(packageJson, projectDir = process.cwd()) {
+        writeFileSync(join(projectDir, 'vladx.json'), JSON.stringify(packageJson, null, 2), 'utf-8');
+    }
+
+    /**
+     * Манифест установленного пакета (vladx.json или package.json)
+     */
+    readInstalledManifest(packageDir) {
+        for (const file of ['vladx.json', 'package.json']) {
+            const manifestPath = join(packageDir, file);
+            if (existsSync(manifestPath)) {
+                return JSON.parse(readFileSync(manifestPath, 'utf-8'));
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Резолвер, предпочитающий версии, закреплённые в lockfile
+     */
+    createResolver(lock = null) {
+        return new DependencyResolver({
+            fetchPackument: name => this.fetchPackument(name),
+            lockedVersions: Lockfile.lockedVersions(lock),
+            logger: this.logger
+        });
+    }
+
+    /**
+     * Проект текущего каталога: корень (node_modules, lockfile), его манифест,
+     * пакеты рабочего пространства и манифест, который правят install/uninstall
+     */
+    loadProject(currentDir = process.cwd()) {
+        const rootDir = Workspaces.findRoot(currentDir) || currentDir;
+        const rootManifest = this.readProjectManifest(rootDir);
+        const workspaces = Workspaces.load(rootDir, rootManifest);
+        const members = workspaces ? workspaces.members() : [];
+        const member = workspaces ? workspaces.memberAt(currentDir) : null;
+
+        return {
+            rootDir,
+            rootManifest,
+            workspaces,
+            members,
+            member,
+            manifest: member ? member.manifest : rootManifest,
+            manifestDir: member ? member.dir : rootDir
+        };
+    }
+
+    /**
+     * Установить локально; при установке всех зависимостей выполняются
+     * preinstall, install и postinstall самого проекта
+     */
+    async installLocal(packageSpecs = [], isDev = false, save = true) {
+        const project = this.loadProject();
+        const lifecycle = packageSpecs.length === 0;
+
+        if (lifecycle) this.runProjectScripts(project, ['preinstall']);
+        await this.installPackages(project, packageSpecs, isDev, save);
+        if (lifecycle) this.runProjectScripts(project, ['install', 'postinstall']);
+    }
 
-        if (packageJson[dependenciesKey][packageName]) {
-            this.logger.info(`${packageName} уже установлен`);
+    async installPackages(project, packageSpecs, isDev, save) {
+        const { rootDir, manifest: packageJson } = project;
+        const lock = Lockfile.read(rootDir);
+
+        // Lockfile совпадает с vladx.json — ставим закреплённое дерево без разрешения
+        if (packageSpecs.length === 0 && lock && Lockfile.diff(lock, project.rootManifest, project.members).length === 0) {
+            await this.installTree(Lockfile.toTree(lock), rootDir, { allowScripts: this.allowedScripts(project.rootManifest) });
             return;
         }
 
-        this.logger.info(`Установка ${packageName}...`);
+        const dependenciesKey = isDev ? 'devDependencies' : 'dependencies';
+        const otherKey = isDev ? 'dependencies' : 'devDependencies';
+        const requested = {};
+        const resolver = this.createResolver(lock);
 
-        const packageInfo = await this.fetchPackageInfo(packageName);
-        const packageDir = join(process.cwd(), 'node_modules', packageName);
+        for (const spec of packageSpecs) {
+            const { name, range } = this.parseSpec(spec);
+            const packument = await resolver.getPackument(name);
+            const version = resolver.pickVersion(packument, range || 'latest');
 
-        mkdirSync(packageDir, { recursive: true });
+            if (!version) {
+                throw new Error(`Нет версии ${name}, удовлетворяющей "${range}". Доступные версии: ${SemVer.sort(Object.keys(packument.versions || {})).join(', ')}`);
+            }
 
-        await this.downloadPackage(packageInfo, packageDir);
+            this.logger.info(`Установка ${name}@${version}...`);
+            requested[name] = range && !packument['dist-tags']?.[range] ? range : `^${version}`;
+        }
 
         if (save) {
-            packageJson[dependenciesKey][packageName] = packageInfo.version;
-            writeFileSync(packageFile, JSON.stringify(packageJson, null, 2), 'utf-8');
+            for (const [name, range] of Object.entries(requested)) {
+                delete packageJson[otherKey][name];
+                packageJson[dependenciesKey][name] = range;
+            }
+        }
+
+        // С --no-save ни vladx.json, ни lockfile не меняются
+        const tree = await this.installDependencies(project, {
+            extra: save ? {} : requested,
+            resolver,
+            saveLock: save
+        });
+
+        if (save && packageSpecs.length > 0) {
+            this.writeProjectManifest(packageJson, project.manifestDir);
         }
 
-        this.logger.info(`${packageName}@${packageInfo.version} установлен`);
+        for (const name of Object.keys(requested)) {
+            const node = (project.member && tree.packages.get(`node_modules/${project.member.name}/node_modules/${name}`)) ||
+                tree.packages.get(`node_modules/${name}`);
+            if (node) {
+                this.logger.info(`${name}@${node.version} установлен`);
+            }
+        }
     }
 
     /**
-     * Установить глобально
+     * Разрешить зависимости проекта (и пакетов рабочего пространства),
+     * привести node_modules к полученному дереву и записать его в lockfile
      */
-    async installGlobal(packageName, options = {}) {
-        this.logger.info(`Глобальная установка ${packageName}...`);
+    async installDependencies(project, options = {}) {
+        const { rootDir, rootManifest, members } = project;
+        const { extra = {}, saveLock = true } = options;
+        const resolver = options.resolver || this.createResolver(Lockfile.read(rootDir));
+        const rootDependencies = {
+            ...rootManifest.devDependencies,
+            ...rootManifest.dependencies,
+            ...extra
+        };
 
-        const packageInfo = await this.fetchPackageInfo(packageName);
-        const packageDir = join(this.globalModulesDir, packageName);
+        const tree = await resolver.resolve(rootDependencies, rootManifest.name || 'проект', members);
+        await this.installTree(tree, rootDir, { allowScripts: this.allowedScripts(rootManifest) });
+
+        if (saveLock) {
+            Lockfile.write(rootDir, Lockfile.fromTree(tree, rootManifest));
+        }
+        return tree;
+    }
+
+    /**
+     * Чистая установка строго по lockfile: node_modules пересоздаётся,
+     * каждый архив сверяется с контрольной суммой из lockfile
+     */
+    async ci() {
+        const project = this.loadProject();
+        const projectDir = project.rootDir;
+        const lock = Lockfile.read(projectDir);
+
+        if (!lock) {
+            throw new Error(`${LOCKFILE_NAME} не найден. Создайте его командой "vladpm install"`);
+        }
+
+        const problems = Lockfile.diff(lock, project.rootManifest, project.members);
+        if (problems.length > 0) {
+            throw new Error([
+                `${LOCKFILE_NAME} не соответствует vladx.json:`,
+                ...problems.map(problem => `  ${problem}`),
+                'Обновите lockfile командой "vladpm install"'
+            ].join('\n'));
+        }
+
+        const tree = Lockfile.toTree(lock);
+        for (const node of tree.packages.values()) {
+            if (!node.link && (!node.resolved || !node.integrity)) {
+                throw new Error(`В ${LOCKFILE_NAME} нет адреса архива или контрольной суммы для ${node.location}`);
+            }
+        }
+
+        for (const dir of [projectDir, ...project.members.map(member => member.dir)]) {
+            rmSync(join(dir, 'node_modules'), { recursive: true, force: true });
+        }
+
+        this.runProjectScripts(project, ['preinstall']);
+        await this.installTree(tree, projectDir, { allowScripts: this.allowedScripts(project.rootManifest) });
+        this.runProjectScripts(project, ['install', 'postinstall']);
+    }
+
+    /**
+     * Скачать недостающие пакеты дерева, удалить лишние, пересоздать .bin
+     * и выполнить скрипты установки новых пакетов
+     */
+    async installTree(tree, baseDir, options = {}) {
+        let added = 0;
+        let unchanged = 0;
+        const installed = [];
+
+        for (const node of tree.packages.values()) {
+            const packageDir = join(baseDir, node.location);
+
+            if (node.link) {
+                if (this.linkPackage(packageDir, join(baseDir, node.resolved))) {
+                    added++;
+                } else {
+                    unchanged++;
+                }
+                continue;
+            }
+
+            const current = this.readInstalledManifest(packageDir);
+
+            if (current && current.version === node.version) {
+                unchanged++;
+                continue;
+            }
+
+            rmSync(packageDir, { recursive: true, force: true });
+            mkdirSync(packageDir, { recursive: true });
+            try {
+                node.integrity = await this.downloadPackage(node, packageDir);
+            } catch (error) {
+                rmSync(packageDir, { recursive: true, force: true });
+                throw error;
+            }
+            installed.push(node);
+            added++;
+        }
+
+        const removed = this.pruneExtraneous(join(baseDir, 'node_modules'), new Set(tree.packages.keys()), baseDir);
+        this.binLinker.link(tree, baseDir);
+
+        this.logger.info(`Пакетов в дереве: ${tree.packages.size} (добавлено ${added}, без изменений ${unchanged}, удалено ${removed})`);
+
+        this.runInstallScripts(tree, baseDir, installed, options.allowScripts || []);
+    }
+
+    /**
+     * Пакеты, которым разрешены скрипты установки: allowScripts проекта
+     * и ~/.vladx/config.json
+     */
+    allowedScripts(manifest = {}) {
+        return [...(manifest.allowScripts || []), ...(this.config.allowScripts || [])];
+    }
+
+    /**
+     * Скрипты установки новых пакетов: только из allowScripts,
+     * зависимости — раньше зависящих от них
+     */
+    runInstallScripts(tree, baseDir, nodes, allowList) {
+        if (this.ignoreScripts) return;
+
+        const skipped = [];
+        for (const node of this.dependencyOrder(tree, nodes)) {
+            const packageDir = join(baseDir, node.location);
+            const manifest = this.readInstalledManifest(packageDir);
+            const events = INSTALL_EVENTS.filter(event => manifest?.scripts?.[event]);
+            if (events.length === 0) continue;
+
+            if (!ScriptRunner.isAllowed(node.name, allowList)) {
+                skipped.push(`${node.name}@${node.version} (${events.join(', ')})`);
+                continue;
+            }
+            for (const event of events) {
+                this.scripts.run(packageDir, manifest, event);
+            }
+        }
+
+        if (skipped.length > 0) {
+            this.logger.warn([
+                'Скрипты установки пропущены — пакетов нет в allowScripts vladx.json:',
+                ...skipped.map(entry => `  ${entry}`)
+            ].join('\n'));
+        }
+    }
+
+    /**
+     * Упорядочить пакеты так, чтобы видимые им зависимости шли раньше
+     */
+    dependencyOrder(tree, nodes) {
+        const parentLocation = location => location.replace(/\/?node_modules\/(?:@[^/]+\/)?[^/]+$/, '');
+        const visible = (location, name) => {
+            for (let base = location; ; base = parentLocation(base)) {
+                const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+                if (tree.packages.has(candidate)) return tree.packages.get(candidate);
+                if (!base) return null;
+            }
+        };
+
+        const wanted = new Set(nodes);
+        const visited = new Set();
+        const order = [];
+        const visit = node => {
+            if (visited.has(node)) return;
+            visited.add(node);
+            for (const name of Object.keys(node.dependencies || {})) {
+                const dependency = visible(node.location, name);
+                if (dependency) visit(dependency);
+            }
+            if (wanted.has(node)) order.push(node);
+        };
+        nodes.forEach(visit);
+        return order;
+    }
+
+    /**
+     * Скрипты жизненного цикла самого проекта и пакетов рабочего пространства
+     */
+    runProjectScripts(project, events) {
+        if (this.ignoreScripts) return;
+
+        const packages = [
+            { dir: project.rootDir, manifest: project.rootManifest },
+            ...(project.workspaces ? project.workspaces.topologicalOrder() : [])
+        ];
+        for (const event of events) {
+            for (const { dir, manifest } of packages) {
+                this.scripts.runEvent(dir, manifest, event);
+            }
+        }
+    }
 
+    /**
+     * Ссылка node_modules/<имя> на каталог пакета рабочего пространства.
+     * Возвращает false, если ссылка уже указывает туда
+     */
+    linkPackage(linkPath, targetDir) {
+        const target = relative(dirname(linkPath), targetDir);
+        let stat = null;
+        try {
+            stat = lstatSync(linkPath);
+        } catch {
+            // Ссылки ещё нет
+        }
+        if (stat && stat.isSymbolicLink() && readlinkSync(linkPath) === target) {
+            return false;
+        }
+
+        rmSync(linkPath, { recursive: true, force: true });
+        mkdirSync(dirname(linkPath), { recursive: true });
+        symlinkSync(target, linkPath, process.platform === 'win32' ? 'junction' : 'dir');
+        return true;
+    }
+
+    /**
+     * Удалить из node_modules пакеты, которых нет в разрешённом дереве
+     */
+    pruneExtraneous(modulesDir, locations, baseDir) {
+        if (!existsSync(modulesDir)) return 0;
+
+        let removed = 0;
+        for (const entry of readdirSync(modulesDir, { withFileTypes: true })) {
+            if (!(entry.isDirectory() || entry.isSymbolicLink()) || entry.name.startsWith('.')) continue;
+
+            const entryDirs = entry.name.startsWith('@')
+                ? readdirSync(join(modulesDir, entry.name), { withFileTypes: true })
+                    .filter(scoped => scoped.isDirectory() || scoped.isSymbolicLink())
+                    .map(scoped => join(modulesDir, entry.name, scoped.name))
+                : [join(modulesDir, entry.name)];
+
+            for (const packageDir of entryDirs) {
+                const location = relative(baseDir, packageDir).split(sep).join('/');
+                if (!locations.has(location)) {
+                    // Ссылка на бывший пакет рабочего пространства: удаляется только она
+                    if (lstatSync(packageDir).isSymbolicLink()) {
+                        unlinkSync(packageDir);
+                        removed++;
+                    } else if (this.readInstalledManifest(packageDir)) {
+                        rmSync(packageDir, { recursive: true, force: true });
+                        removed++;
+                    }
+                    continue;
+                }
+                removed += this.pruneExtraneous(join(packageDir, 'node_modules'), locations, baseDir);
+            }
+
+            const scopeDir = join(modulesDir, entry.name);
+            if (entry.name.startsWith('@') && readdirSync(scopeDir).length === 0) {
+                rmSync(scopeDir, { recursive: true, force: true });
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Установить глобально: пакет в global_modules, его зависимости — в его node_modules
+     */
+    async installGlobal(spec, options = {}) {
+        const { name, range } = this.parseSpec(spec);
+        this.logger.info(`Глобальная установка ${name}...`);
+
+        const resolver = this.createResolver();
+        const packument = await resolver.getPackument(name);
+        const version = resolver.pickVersion(packument, range || 'latest');
+        if (!version) {
+            throw new Error(`Нет версии ${name}, удовлетворяющей "${range}"`);
+        }
+
+        const manifest = packument.versions[version];
+        const packageDir = join(this.globalModulesDir, name);
+
+        rmSync(packageDir, { recursive: true, force: true });
         mkdirSync(packageDir, { recursive: true });
+        await this.downloadPackage(manifest, packageDir);
 
-        await this.downloadPackage(packageInfo, packageDir);
+        const tree = await resolver.resolve(manifest.dependencies || {}, `${name}@${version}`);
+        await this.installTree(tree, packageDir, { allowScripts: this.allowedScripts() });
 
-        this.logger.info(`${packageName}@${packageInfo.version} установлен глобально`);
+        this.logger.info(`${name}@${version} установлен глобально`);
     }
 
     /**
      * Удалить пакет
      */
-    uninstall(packageName, options = {}) {
+    async uninstall(packageName, options = {}) {
         const isDev = options.dev || false;
         const isGlobal = options.global || false;
 
         if (isGlobal) {
             this.uninstallGlobal(packageName);
         } else {
-            this.uninstallLocal(packageName, isDev);
+            await this.uninstallLocal(packageName, isDev);
         }
     }
 
     /**
-     * Удалить локально
+     * Удалить локально; зависимости, нужные только ему, удаляются вместе с ним
      */
-    uninstallLocal(packageName, isDev = false) {
-        const packageFile = join(process.cwd(), 'vladvx.json');
-
-        if (!existsSync(packageFile)) {
-            throw new Error('vladvx.json не найден');
-        }
-
-        const packageJson = JSON.parse(readFileSync(packageFile, 'utf-8'));
+    async uninstallLocal(packageName, isDev = false) {
+        const project = this.loadProject();
+        const packageJson = project.manifest;
         const dependenciesKey = isDev ? 'devDependencies' : 'dependencies';
 
         if (!packageJson[dependenciesKey][packageName]) {
@@ -189,32 +623,9 @@ class VladPM {
         }
 
         delete packageJson[dependenciesKey][packageName];
-        writeFileSync(packageFile, JSON.stringify(packageJson, null, 2), 'utf-8');
-
-        // Удалить директорию node_modules/пакет
-        const packageDir = join(process.cwd(), 'node_modules', packageName);
-        const fs = require('fs');
-
-        const deleteRecursive = (dir) => {
-            if (!fs.existsSync(dir)) return;
-
-            const files = fs.readdirSync(dir);
-
-            for (const file of files) {
-                const filepath = join(dir, file);
-                const stat = fs.statSync(filepath);
+        this.writeProjectManifest(packageJson, project.manifestDir);
 
-                if (stat.isDirectory()) {
-                    deleteRecursive(filepath);
-                } else {
-                    fs.unlinkSync(filepath);
-                }
-            }
-
-            fs.rmdirSync(dir);
-        };
-
-        deleteRecursive(packageDir);
+        await this.installDependencies(project);
 
         this.logger.info(`${packageName} удален`);
     }
@@ -230,40 +641,69 @@ class VladPM {
             return;
         }
 
-        const fs = require('fs');
-
-        const deleteRecursive = (dir) => {
-            if (!fs.existsSync(dir)) return;
-
-            const files = fs.readdirSync(dir);
+        rmSync(packageDir, { recursive: true, force: true });
 
-            for (const file of files) {
-                const filepath = join(dir, file);
-                const stat = fs.statSync(filepath);
+        this.logger.info(`${packageName} удален глобально`);
+    }
 
-                if (stat.isDirectory()) {
-                    deleteRecursive(filepath);
-                } else {
-                    fs.unlinkSync(filepath);
-                }
-            }
+    /**
+     * Обновить пакеты до наибольших версий в пределах диапазонов vladx.json
+     */
+    async update(packageName, options = {}) {
+        if (options.global) {
+            this.logger.info(`Обновление ${packageName}...`);
+            await this.installGlobal(packageName, options);
+            return;
+        }
 
-            fs.rmdirSync(dir);
-        };
+        const project = this.loadProject();
+        const manifests = [project.rootManifest, ...project.members.map(member => member.manifest)];
+        if (packageName && !manifests.some(manifest => manifest.dependencies?.[packageName] || manifest.devDependencies?.[packageName])) {
+            throw new Error(`${packageName} не указан в vladx.json`);
+        }
 
-        deleteRecursive(packageDir);
+        // Закреплённые версии остальных пакетов сохраняются
+        const resolver = this.createResolver(packageName ? Lockfile.read(project.rootDir) : null);
+        resolver.lockedVersions.delete(packageName);
 
-        this.logger.info(`${packageName} удален глобально`);
+        this.logger.info(packageName ? `Обновление ${packageName}...` : 'Обновление зависимостей...');
+        await this.installDependencies(project, { resolver });
     }
 
     /**
-     * Обновить пакет
+     * Запуск скрипта из vladx.json с хуками pre<имя> и post<имя>;
+     * с --workspaces — во всех пакетах рабочего пространства в порядке зависимостей
      */
-    async update(packageName, options = {}) {
-        this.logger.info(`Обновление ${packageName}...`);
+    run(scriptName, scriptArgs = [], options = {}) {
+        if (options.workspaces) {
+            const project = this.loadProject();
+            if (!project.workspaces) {
+                throw new Error('В vladx.json нет поля workspaces');
+            }
+
+            const members = project.workspaces.topologicalOrder()
+                .filter(member => member.manifest.scripts?.[scriptName]);
+            if (members.length === 0) {
+                throw new Error(`Скрипт "${scriptName}" не найден ни в одном пакете рабочего пространства`);
+            }
+            for (const member of members) {
+                this.scripts.runWithHooks(member.dir, member.manifest, scriptName, scriptArgs);
+            }
+            return;
+        }
+
+        const packageJson = this.readProjectManifest();
+        const scripts = packageJson.scripts || {};
+
+        if (!scriptName) {
+            this.logger.info('Скрипты:');
+            for (const [name, command] of Object.entries(scripts)) {
+                this.logger.info(`  ${name}: ${command}`);
+            }
+            return;
+        }
 
-        this.uninstall(packageName, options);
-        await this.install(packageName, options);
+        this.scripts.runWithHooks(process.cwd(), packageJson, scriptName, scriptArgs);
     }
 
     /**
@@ -332,25 +772,27 @@ class VladPM {
      * Список локальных пакетов
      */
     listLocal() {
-        const packageFile = join(process.cwd(), 'vladvx.json');
+        const packageFile = join(process.cwd(), 'vladx.json');
 
         if (!existsSync(packageFile)) {
-            this.logger.info('vladvx.json не найден');
+            this.logger.info('vladx.json не найден');
             return;
         }
 
-        const packageJson = JSON.parse(readFileSync(packageFile, 'utf-8'));
+        const packageJson = this.readProjectManifest();
 
         const hasDeps = Object.keys(packageJson.dependencies).length > 0;
 
-        if (!hasDeps) {
+        if (!hasDeps && !packageJson.workspaces) {
             this.logger.info('Нет установленных пакетов');
             return;
         }
 
-        this.logger.info('Зависимости:');
-        for (const [name, version] of Object.entries(packageJson.dependencies)) {
-            this.logger.info(`  ${name}@${version}`);
+        if (hasDeps) {
+            this.logger.info('Зависимости:');
+            for (const [name, version] of Object.entries(packageJson.dependencies)) {
+                this.logger.info(`  ${name}@${version}`);
+            }
         }
 
         const hasDevDeps = Object.keys(packageJson.devDependencies).length > 0;
@@ -361,20 +803,30 @@ class VladPM {
                 this.logger.info(`  ${name}@${version}`);
             }
         }
+
+        const workspaces = Workspaces.load(process.cwd(), packageJson);
+        if (workspaces) {
+            this.logger.info('\nРабочее пространство:');
+            for (const member of workspaces.topologicalOrder()) {
+                this.logger.info(`  ${member.name}@${member.version} (${member.path})`);
+                const dependencies = { ...member.manifest.dependencies, ...member.manifest.devDependencies };
+                for (const [name, range] of Object.entries(dependencies)) {
+                    this.logger.info(`    ${name}@${range}${workspaces.member(name) ? ' (рабочее пространство)' : ''}`);
+                }
+            }
+        }
     }
 
     /**
      * Список глобальных пакетов
      */
     listGlobal() {
-        const fs = require('fs');
-
-        if (!fs.existsSync(this.globalModulesDir)) {
+        if (!existsSync(this.globalModulesDir)) {
             this.logger.info('Нет глобальных пакетов');
             return;
         }
 
-        const packages = fs.readdirSync(this.globalModulesDir);
+        const packages = readdirSync(this.globalModulesDir);
 
         if (packages.length === 0) {
             this.logger.info('Нет глобальных пакетов');
@@ -383,107 +835,641 @@ class VladPM {
 
         this.logger.info('Глобальные пакеты:');
         for (const pkg of packages) {
-            const packageFile = join(this.globalModulesDir, pkg, 'vladvx.json');
-            let version = 'неизвестно';
-
-            if (fs.existsSync(packageFile)) {
-                const pkgJson = JSON.parse(readFileSync(packageFile, 'utf-8'));
-                version = pkgJson.version;
-            }
+            const pkgJson = this.readInstalledManifest(join(this.globalModulesDir, pkg));
+            const version = pkgJson ? pkgJson.version : 'неизвестно';
 
             this.logger.info(`  ${pkg}@${version}`);
         }
     }
 
     /**
-     * Публикация пакета
+     * Фактически установленное дерево проекта
      */
-    async publish(options = {}) {
-        const packageFile = join(process.cwd(), 'vladvx.json');
+    readInstalledTree(project) {
+        return InstalledTree.read(project.rootDir, project.rootManifest, dir => this.readInstalledManifest(dir));
+    }
 
-        if (!existsSync(packageFile)) {
-            throw new Error('vladvx.json не найден');
+    /**
+     * Устаревшие прямые зависимости проекта и пакетов рабочего пространства:
+     * установленная версия, наибольшая в пределах диапазона и latest
+     */
+    async outdated(options = {}) {
+        const project = this.loadProject();
+        const tree = this.readInstalledTree(project);
+        const resolver = this.createResolver();
+        const packuments = new Map();
+        const dependents = [tree.root, ...[...tree.packages.values()].filter(node => node.link)];
+        const rows = [];
+
+        for (const dependent of dependents) {
+            for (const type of ['dependencies', 'devDependencies', 'optionalDependencies']) {
+                for (const [name, range] of Object.entries(dependent[type] || {})) {
+                    if (project.workspaces && project.workspaces.member(name)) continue;
+
+                    if (!packuments.has(name)) packuments.set(name, await this.fetchPackument(name));
+                    const packument = packuments.get(name);
+                    const installed = tree.visible(dependent.location, name);
+                    const current = installed ? installed.version : null;
+                    const wanted = resolver.pickVersion(packument, range);
+                    const latest = packument['dist-tags']?.latest || SemVer.sort(Object.keys(packument.versions)).pop();
+
+                    if (current === wanted && current === latest) continue;
+                    rows.push({ name, current, wanted, latest, type, dependent: dependent.name, range });
+                }
+            }
         }
+        rows.sort((a, b) => a.name.localeCompare(b.name) || a.dependent.localeCompare(b.dependent));
 
-        const packageJson = JSON.parse(readFileSync(packageFile, 'utf-8'));
-
-        this.logger.info(`Публикация ${packageJson.name}@${packageJson.version}...`);
+        if (options.json) {
+            console.log(JSON.stringify(rows, null, 2));
+        } else if (rows.length === 0) {
+            this.logger.info('Все зависимости актуальны');
+        } else {
+            this.printTable(['Пакет', 'Текущая', 'Нужная', 'Последняя', 'Тип', 'Кому'], rows.map(row => [
+                row.name,
+                row.current || 'нет',
+                row.wanted || '—',
+                row.latest,
+                row.type === 'dependencies' ? 'prod' : row.type === 'devDependencies' ? 'dev' : 'optional',
+                row.dependent
+            ]));
+        }
+        return rows;
+    }
 
-        if (!packageJson.name) {
-            throw new Error('Название пакета не указано');
+    /**
+     * Таблица с выравниванием колонок
+     */
+    printTable(header, rows) {
+        const widths = header.map((title, column) =>
+            Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+        for (const row of [header, ...rows]) {
+            this.logger.info(row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
         }
+    }
 
-        if (!packageJson.version) {
-            throw new Error('Версия пакета не указана');
+    /**
+     * Почему установлен пакет: цепочки зависимостей до каждой его копии
+     */
+    why(packageSpec, options = {}) {
+        if (!packageSpec) {
+            throw new Error('Укажите пакет: vladpm why <имя>');
         }
 
-        if (!this.config.token) {
-            throw new Error('Вы не авторизованы. Используйте "vladpm login <token>"');
+        const { name, range } = this.parseSpec(packageSpec);
+        const tree = this.readInstalledTree(this.loadProject());
+        const nodes = tree.findAll(name)
+            .filter(node => !range || SemVer.satisfies(node.version, range));
+
+        if (nodes.length === 0) {
+            throw new Error(`Пакет ${packageSpec} не установлен`);
         }
 
-        if (options.dryRun) {
-            this.logger.info('Dry run mode - без публикации');
-            return;
+        const report = nodes.map(node => ({ node, paths: tree.paths(node) }));
+
+        if (options.json) {
+            console.log(JSON.stringify(report.map(({ node, paths }) => ({
+                name: node.name,
+                version: node.version,
+                location: node.location,
+                link: node.link,
+                paths: paths.map(path => [
+                    { name: path[0].from.name, version: path[0].from.version },
+                    ...path.map(edge => ({ name: edge.to.name, version: edge.to.version, range: edge.range, type: edge.type }))
+                ])
+            })), null, 2));
+            return report;
         }
 
-        this.logger.info('Пакет опубликован');
+        for (const { node, paths } of report) {
+            this.logger.info(`${node.name}@${node.version} (${node.location}${node.link ? ', рабочее пространство' : ''})`);
+            if (paths.length === 0) {
+                this.logger.info('  ни один пакет не зависит от него (лишний)');
+            }
+            for (const path of paths) {
+                this.logger.info(`  ${InstalledTree.describePath(path)}`);
+            }
+        }
+        return report;
     }
 
     /**
-     * Получить информацию о пакете
+     * Проверка установленных пакетов по ленте уязвимостей реестра
      */
-    async fetchPackageInfo(packageName) {
-        const url = `${this.config.registry}/packages/${encodeURIComponent(packageName)}`;
+    async audit(options = {}) {
+        const level = options.auditLevel || 'low';
+        if (!SEVERITIES.includes(level)) {
+            throw new Error(`Неверный --audit-level: ${level}. Допустимые: ${SEVERITIES.join(', ')}`);
+        }
+        if (this.networkMode === 'offline') {
+            throw new Error('audit требует доступа к реестру (режим --offline)');
+        }
 
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': this.config.token ? `Bearer ${this.config.token}` : undefined
-                }
-            });
+        const tree = this.readInstalledTree(this.loadProject());
+        const installed = [...tree.packages.values()].filter(node => !node.link);
+        const query = {};
+        for (const node of installed) {
+            if (!query[node.name]) query[node.name] = [];
+            if (!query[node.name].includes(node.version)) query[node.name].push(node.version);
+        }
 
-            if (!response.ok) {
-                throw new Error(`Пакет не найден: ${packageName}`);
+        const advisoriesByName = await this.fetchAdvisories(query);
+        const findings = [];
+        for (const [name, advisories] of Object.entries(advisoriesByName)) {
+            for (const advisory of advisories) {
+                const affected = installed.filter(node =>
+                    node.name === name && SemVer.satisfies(node.version, advisory.vulnerable_versions));
+                if (affected.length === 0) continue;
+
+                findings.push({
+                    ...advisory,
+                    package: name,
+                    findings: affected.map(node => ({
+                        version: node.version,
+                        location: node.location,
+                        paths: tree.paths(node).map(path => InstalledTree.describePath(path))
+                    }))
+                });
             }
+        }
+        findings.sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || a.package.localeCompare(b.package));
+
+        const counts = Object.fromEntries(SEVERITIES.map(severity =>
+            [severity, findings.filter(finding => finding.severity === severity).length]));
+        const failing = findings.filter(finding => SEVERITIES.indexOf(finding.severity) >= SEVERITIES.indexOf(level));
+
+        if (options.json) {
+            console.log(JSON.stringify({
+                advisories: findings,
+                metadata: {
+                    vulnerabilities: { ...counts, total: findings.length },
+                    dependencies: installed.length,
+                    auditLevel: level
+                }
+            }, null, 2));
+            return failing;
+        }
 
-            return await response.json();
-        } catch (error) {
-            if (error.message.includes('Пакет не найден')) {
-                throw error;
+        for (const finding of findings) {
+            this.logger.info(`${finding.severity.toUpperCase()}  ${finding.title}`);
+            this.logger.info(`  Пакет: ${finding.package} (уязвимые версии ${finding.vulnerable_versions})`);
+            this.logger.info(finding.patched_versions && finding.patched_versions !== '<0.0.0'
+                ? `  Исправлено в: ${finding.patched_versions}`
+                : '  Исправленной версии нет');
+            if (finding.url) {
+                this.logger.info(`  Подробнее: ${finding.url}`);
             }
-
-            this.logger.warn(`Не удалось получить информацию о пакете, используется локальный кэш: ${error.message}`);
-
-            // Фолбэк на локальный пакет
-            const localPath = join(process.cwd(), 'node_modules', packageName, 'vladvx.json');
-
-            if (existsSync(localPath)) {
-                return JSON.parse(readFileSync(localPath, 'utf-8'));
+            for (const affected of finding.findings) {
+                this.logger.info(`  ${finding.package}@${affected.version} (${affected.location})`);
+                for (const path of affected.paths) {
+                    this.logger.info(`    ${path}`);
+                }
             }
+            this.logger.info('');
+        }
+
+        if (findings.length === 0) {
+            this.logger.info(`Уязвимостей не найдено (проверено пакетов: ${installed.length})`);
+        } else {
+            const summary = SEVERITIES.filter(severity => counts[severity] > 0).reverse()
+                .map(severity => `${severity}: ${counts[severity]}`).join(', ');
+            this.logger.info(`Найдено уязвимостей: ${findings.length} (${summary})`);
+        }
+        return failing;
+    }
+
+    /**
+     * Уязвимости для версий пакетов: { имя: [версии] } → { имя: [уязвимости] }
+     */
+    async fetchAdvisories(query) {
+        const url = `${this.config.registry}/-/npm/v1/security/advisories`;
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { ...this.registryHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify(query)
+            });
+        } catch (error) {
+            throw new Error(`Реестр недоступен (${this.config.registry}): ${error.message}`);
+        }
+
+        if (response.status === 404) {
+            throw new Error(`Реестр ${this.config.registry} не поддерживает проверку уязвимостей`);
+        }
+        if (!response.ok) {
+            throw new Error(`Ошибка реестра при проверке уязвимостей: HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Публикация пакета
+     */
+    async publish(options = {}) {
+        if (options.workspaces) {
+            const project = this.loadProject();
+            if (!project.workspaces) {
+                throw new Error('В vladx.json нет поля workspaces');
+            }
+
+            for (const member of project.workspaces.topologicalOrder()) {
+                if (member.manifest.private) {
+                    this.logger.info(`${member.name} пропущен (private)`);
+                    continue;
+                }
+                await this.publishPackage(member.dir, options);
+            }
+            return;
+        }
+
+        await this.publishPackage(process.cwd(), options);
+    }
+
+    /**
+     * vladpm pack: собрать архив пакета текущего каталога (--dry-run — только состав)
+     */
+    async pack(options = {}) {
+        const packageDir = process.cwd();
+        const packageJson = this.readPackageManifest(packageDir);
+        const result = await this.packPackage(packageDir, packageJson);
+
+        if (options.dryRun) {
+            this.logger.info('Пробный запуск — архив не записан');
+            return result;
+        }
+
+        writeFileSync(join(packageDir, result.filename), result.data);
+        this.logger.info(result.filename);
+        return result;
+    }
+
+    /**
+     * Собрать архив пакета со скриптами prepack/postpack и вывести его состав
+     */
+    async packPackage(packageDir, packageJson) {
+        if (!this.ignoreScripts) {
+            this.scripts.runEvent(packageDir, packageJson, 'prepack');
+        }
+
+        const result = await this.packer.pack(packageDir, packageJson);
+
+        this.logger.info(`Пакет ${result.name}@${result.version}`);
+        this.logger.info('Содержимое архива:');
+        for (const file of result.files) {
+            this.logger.info(`  ${this.formatSize(file.size).padStart(9)}  ${file.path}`);
+        }
+        this.logger.info(`Файл: ${result.filename}`);
+        this.logger.info(`Файлов: ${result.files.length}`);
+        this.logger.info(`Размер архива: ${this.formatSize(result.size)}`);
+        this.logger.info(`Распакованный размер: ${this.formatSize(result.unpackedSize)}`);
+        this.logger.info(`shasum: ${result.shasum}`);
+        this.logger.info(`integrity: ${result.integrity}`);
+
+        if (!this.ignoreScripts) {
+            this.scripts.runEvent(packageDir, packageJson, 'postpack');
+        }
+        return result;
+    }
+
+    /**
+     * vladx.json каталога пакета
+     */
+    readPackageManifest(packageDir) {
+        const packageFile = join(packageDir, 'vladx.json');
+
+        if (!existsSync(packageFile)) {
+            throw new Error('vladx.json не найден');
+        }
+
+        return JSON.parse(readFileSync(packageFile, 'utf-8'));
+    }
 
+    /**
+     * Публикация пакета из каталога: архив с контрольными суммами
+     * отправляется в реестр вместе с документом версии
+     */
+    async publishPackage(packageDir, options = {}) {
+        const packageJson = this.readPackageManifest(packageDir);
+
+        this.logger.info(`Публикация ${packageJson.name}@${packageJson.version}...`);
+
+        if (!packageJson.name) {
+            throw new Error('Название пакета не указано');
+        }
+
+        if (packageJson.private) {
+            throw new Error(`Пакет ${packageJson.name} помечен как private и не публикуется`);
+        }
+
+        if (!packageJson.version) {
+            throw new Error('Версия пакета не указана');
+        }
+
+        if (!this.config.token && !options.dryRun) {
+            throw new Error('Вы не авторизованы. Используйте "vladpm login <token>"');
+        }
+
+        if (!this.ignoreScripts) {
+            this.scripts.runEvent(packageDir, packageJson, 'prepublish');
+        }
+
+        const result = await this.packPackage(packageDir, packageJson);
+
+        if (options.dryRun) {
+            this.logger.info('Dry run mode - без публикации');
+            return;
+        }
+
+        await this.uploadPackage(packageJson, result);
+        this.logger.info(`Пакет ${packageJson.name}@${packageJson.version} опубликован`);
+
+        if (!this.ignoreScripts) {
+            this.scripts.runEvent(packageDir, packageJson, 'postpublish');
+        }
+    }
+
+    /**
+     * Отправить документ версии и архив в реестр
+     */
+    async uploadPackage(packageJson, result) {
+        const url = this.packumentUrl(packageJson.name);
+        const document = {
+            _id: packageJson.name,
+            name: packageJson.name,
+            description: packageJson.description || '',
+            'dist-tags': { latest: packageJson.version },
+            versions: {
+                [packageJson.version]: {
+                    ...packageJson,
+                    _id: `${packageJson.name}@${packageJson.version}`,
+                    dist: {
+                        tarball: `${url}/-/${result.filename}`,
+                        shasum: result.shasum,
+                        integrity: result.integrity,
+                        fileCount: result.files.length,
+                        unpackedSize: result.unpackedSize
+                    }
+                }
+            },
+            _attachments: {
+                [result.filename]: {
+                    content_type: 'application/octet-stream',
+                    data: result.data.toString('base64'),
+                    length: result.size
+                }
+            }
+        };
+
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'PUT',
+                headers: { ...this.registryHeaders(), 'Content-Type': 'application/json' },
+                body: JSON.stringify(document)
+            });
+        } catch (error) {
+            throw new Error(`Реестр недоступен (${this.config.registry}): ${error.message}`);
+        }
+
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(`Реестр отклонил публикацию: ${body.error || `HTTP ${response.status}`}`);
+        }
+    }
+
+    /**
+     * Заголовки запросов к реестру
+     */
+    registryHeaders() {
+        return this.config.token ? { 'Authorization': `Bearer ${this.config.token}` } : {};
+    }
+
+    /**
+     * URL документа пакета: /имя или /@scope/имя
+     */
+    packumentUrl(packageName) {
+        return `${this.config.registry}/${encodeURIComponent(packageName).replace(/^%40/, '@').replace('%2F', '/')}`;
+    }
+
+    /**
+     * Кэш включён в конфигурации (в режимах offline используется всегда)
+     */
+    cacheEnabled() {
+        return this.config.cache !== false || this.networkMode !== 'online';
+    }
+
+    /**
+     * Документ пакета со всеми версиями и dist-tags
+     */
+    async fetchPackument(packageName) {
+        const url = this.packumentUrl(packageName);
+
+        if (this.networkMode !== 'online') {
+            const cached = this.cache.getPackument(url);
+            if (cached) return cached;
+            if (this.networkMode === 'offline') {
+                throw new Error(`Пакет ${packageName} отсутствует в кэше (режим --offline)`);
+            }
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { headers: this.registryHeaders() });
+        } catch (error) {
+            const cached = this.cacheEnabled() ? this.cache.getPackument(url) : null;
+            if (cached) {
+                this.logger.warn(`Реестр недоступен, документ ${packageName} взят из кэша`);
+                return cached;
+            }
+            throw new Error(`Реестр недоступен (${this.config.registry}): ${error.message}`);
+        }
+
+        if (response.status === 404) {
             throw new Error(`Пакет не найден: ${packageName}`);
         }
+        if (!response.ok) {
+            throw new Error(`Ошибка реестра для ${packageName}: HTTP ${response.status}`);
+        }
+
+        const packument = await response.json();
+        if (!packument.versions || Object.keys(packument.versions).length === 0) {
+            throw new Error(`У пакета ${packageName} нет опубликованных версий`);
+        }
+        if (this.cacheEnabled()) {
+            this.cache.putPackument(url, packument);
+        }
+        return packument;
     }
 
     /**
-     * Скачать пакет
+     * Получить информацию о последней версии пакета
+     */
+    async fetchPackageInfo(packageName) {
+        const packument = await this.fetchPackument(packageName);
+        const latest = packument['dist-tags']?.latest || SemVer.sort(Object.keys(packument.versions)).pop();
+        return { ...packument, ...packument.versions[latest] };
+    }
+
+    /**
+     * Скачать пакет, сверить архив с контрольной суммой и распаковать.
+     * Возвращает SRI архива (ожидаемую или, если её не было, sha512)
      */
     async downloadPackage(packageInfo, destDir) {
-        const tarballUrl = packageInfo.tarball;
+        const id = `${packageInfo.name}@${packageInfo.version}`;
+        const tarballUrl = packageInfo.resolved || packageInfo.dist?.tarball || packageInfo.tarball;
+        const expected = packageInfo.integrity || Integrity.fromDist(packageInfo.dist);
+
+        if (!tarballUrl) {
+            throw new Error(`Нет адреса архива для ${id}`);
+        }
+
+        const tarball = await this.loadTarball(tarballUrl, expected, id);
+
+        try {
+            await this.extractTarball(tarball, destDir);
+        } catch (error) {
+            throw new Error(`Ошибка распаковки ${id}: ${error.message}`);
+        }
+
+        return expected || Integrity.compute(tarball);
+    }
 
+    /**
+     * Архив из кэша или из реестра; скачанный архив сверяется с суммой
+     * и сохраняется в кэш
+     */
+    async loadTarball(tarballUrl, expected, id) {
+        // Без суммы архиву из кэша доверяем только в режимах offline
+        if (this.cacheEnabled() && (expected || this.networkMode !== 'online')) {
+            const cached = this.cache.getTarball(tarballUrl, expected);
+            if (cached) return cached;
+        }
+        if (this.networkMode === 'offline') {
+            throw new Error(`Архив ${id} отсутствует в кэше (режим --offline)`);
+        }
+
+        let tarball;
         try {
-            const response = await fetch(tarballUrl);
+            const response = await fetch(tarballUrl, { headers: this.registryHeaders() });
 
             if (!response.ok) {
-                throw new Error('Не удалось скачать пакет');
+                throw new Error(`Не удалось скачать пакет: HTTP ${response.status}`);
             }
 
-            const tarball = await response.arrayBuffer();
-
-            await this.extractTarball(tarball, destDir);
+            tarball = Buffer.from(await response.arrayBuffer());
         } catch (error) {
-            throw new Error(`Ошибка скачивания: ${error.message}`);
+            throw new Error(`Ошибка скачивания ${id}: ${error.message}`);
+        }
+
+        if (expected && !Integrity.verify(tarball, expected)) {
+            throw new Error([
+                `Контрольная сумма архива ${id} не совпадает`,
+                `  ожидалась: ${expected}`,
+                `  получена:  ${Integrity.compute(tarball, Integrity.algorithmOf(expected))}`,
+                `  адрес: ${tarballUrl}`
+            ].join('\n'));
         }
+
+        if (this.cacheEnabled()) {
+            this.cache.putTarball(tarballUrl, tarball);
+        }
+        return tarball;
+    }
+
+    /**
+     * vladpm cache ls|verify|clean|add
+     */
+    async cacheCommand(subcommand, args = []) {
+        switch (subcommand) {
+            case 'ls':
+            case 'list': {
+                const entries = this.cache.ls();
+                if (entries.length === 0) {
+                    this.logger.info('Кэш пуст');
+                    return;
+                }
+                for (const entry of entries) {
+                    this.logger.info(`  ${entry.key} (${this.formatSize(entry.size)}, ${entry.time})`);
+                }
+                this.logger.info(`Записей: ${entries.length}, каталог: ${this.cacheDir}`);
+                break;
+            }
+
+            case 'verify': {
+                const stats = this.cache.verify();
+                this.logger.info(`Проверено: ${stats.verified} (${this.formatSize(stats.size)})`);
+                this.logger.info(`Повреждено и удалено: ${stats.corrupted}`);
+                this.logger.info(`Записей индекса без содержимого удалено: ${stats.removedEntries}`);
+                this.logger.info(`Неиспользуемого содержимого удалено: ${stats.garbage}`);
+                this.logger.info(`Освобождено: ${this.formatSize(stats.reclaimed)}`);
+                break;
+            }
+
+            case 'clean':
+                this.logger.info(`Кэш очищен (${this.formatSize(this.cache.clean())})`);
+                break;
+
+            case 'add':
+                await this.cacheAdd(args);
+                break;
+
+            default:
+                throw new Error(`Неизвестная команда cache: ${subcommand || '(нет)'}. Доступны: ls, verify, clean, add`);
+        }
+    }
+
+    /**
+     * Заполнить кэш из реестра: документы пакетов и архивы всех версий,
+     * подходящих под диапазон. Без аргументов — все пакеты реестра
+     */
+    async cacheAdd(packageSpecs = []) {
+        if (this.networkMode === 'offline') {
+            throw new Error('vladpm cache add недоступен в режиме --offline');
+        }
+
+        let specs = packageSpecs.map(spec => this.parseSpec(spec));
+        if (specs.length === 0) {
+            const response = await fetch(`${this.config.registry}/-/all`, { headers: this.registryHeaders() });
+            if (!response.ok) {
+                throw new Error(`Не удалось получить список пакетов реестра: HTTP ${response.status}`);
+            }
+            const { objects = [] } = await response.json();
+            specs = objects.map(object => ({ name: object.name, range: null }));
+        }
+
+        // Документы берутся из сети, даже если уже есть в кэше
+        const mode = this.networkMode;
+        this.networkMode = 'online';
+        let tarballs = 0;
+        try {
+            for (const { name, range } of specs) {
+                const packument = await this.fetchPackument(name);
+                const tagged = range && packument['dist-tags']?.[range];
+                const versions = Object.keys(packument.versions).filter(version =>
+                    !range || (tagged ? version === tagged : SemVer.satisfies(version, range)));
+
+                for (const version of SemVer.sort(versions)) {
+                    const manifest = packument.versions[version];
+                    const url = manifest.dist?.tarball;
+                    if (!url) continue;
+                    await this.loadTarball(url, Integrity.fromDist(manifest.dist), `${name}@${version}`);
+                    tarballs++;
+                }
+                this.logger.info(`  ${name}: ${versions.length ? SemVer.sort(versions).join(', ') : 'нет подходящих версий'}`);
+            }
+        } finally {
+            this.networkMode = mode;
+        }
+
+        this.logger.info(`В кэше: пакетов ${specs.length}, архивов ${tarballs}`);
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} Б`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} КБ`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
     }
 
     /**
@@ -510,8 +1496,6 @@ class VladPM {
      * Распаковать tarball
      */
     async extractTarball(tarball, destDir) {
-        const tar = require('tar');
-
         return new Promise((resolve, reject) => {
             const extract = tar.x({
                 cwd: destDir,
@@ -528,6 +1512,268 @@ class VladPM {
         });
     }
 
+    /**
+     * Запрос к API реестра; изменяющим запросам нужен токен. Тело и ответ — JSON
+     */
+    async registryRequest(method, path, body) {
+        if (!this.config.token && method !== 'GET') {
+            throw new Error('Требуется вход: vladpm login <token>');
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.config.registry}${path}`, {
+                method,
+                headers: { ...this.registryHeaders(), 'Content-Type': 'application/json' },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (error) {
+            throw new Error(`Реестр недоступен (${this.config.registry}): ${error.message}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`Реестр: ${result.error || `HTTP ${response.status}`}`);
+        }
+        return result;
+    }
+
+    /**
+     * Путь API пакета: /-/package/<имя, @scope%2fимя>
+     */
+    packageApiPath(packageName) {
+        return `/-/package/${encodeURIComponent(packageName).replace(/^%40/, '@')}`;
+    }
+
+    /**
+     * Пакет из аргумента или vladx.json текущего каталога
+     */
+    packageNameOrCurrent(packageName) {
+        return packageName || this.readProjectManifest().name;
+    }
+
+    /**
+     * vladpm owner ls [pkg] | add <user> [pkg] | rm <user> [pkg]
+     */
+    async ownerCommand(subcommand, args = []) {
+        switch (subcommand) {
+            case 'ls':
+            case 'list': {
+                const packageName = this.packageNameOrCurrent(args[0]);
+                for (const owner of await this.registryRequest('GET', `${this.packageApiPath(packageName)}/owners`)) {
+                    this.logger.info(owner.email ? `${owner.name} <${owner.email}>` : owner.name);
+                }
+                break;
+            }
+
+            case 'add':
+            case 'rm':
+            case 'remove': {
+                const [user, name] = args;
+                if (!user) {
+                    throw new Error(`Использование: vladpm owner ${subcommand} <пользователь> [пакет]`);
+                }
+                const packageName = this.packageNameOrCurrent(name);
+                if (subcommand === 'add') {
+                    await this.registryRequest('PUT', `${this.packageApiPath(packageName)}/owners`, { user });
+                    this.logger.info(`+ ${user} (${packageName})`);
+                } else {
+                    await this.registryRequest('DELETE', `${this.packageApiPath(packageName)}/owners/${encodeURIComponent(user)}`);
+                    this.logger.info(`- ${user} (${packageName})`);
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Неизвестная команда owner: ${subcommand || '(нет)'}. Доступны: ls, add, rm`);
+        }
+    }
+
+    /**
+     * vladpm dist-tag ls [pkg] | add <pkg@версия> <метка> | rm <pkg> <метка>
+     */
+    async distTagCommand(subcommand, args = []) {
+        switch (subcommand) {
+            case 'ls':
+            case 'list': {
+                const packageName = this.packageNameOrCurrent(args[0]);
+                const tags = await this.registryRequest('GET', `${this.packageApiPath(packageName)}/dist-tags`);
+                for (const [tag, version] of Object.entries(tags)) {
+                    this.logger.info(`${tag}: ${version}`);
+                }
+                break;
+            }
+
+            case 'add': {
+                const { name, range: version } = this.parseSpec(args[0] || '');
+                const tag = args[1] || 'latest';
+                if (!name || !version || !SemVer.valid(version)) {
+                    throw new Error('Использование: vladpm dist-tag add <пакет@версия> [метка]');
+                }
+                await this.registryRequest('PUT', `${this.packageApiPath(name)}/dist-tags/${encodeURIComponent(tag)}`, { version });
+                this.logger.info(`+${tag}: ${name}@${version}`);
+                break;
+            }
+
+            case 'rm':
+            case 'remove': {
+                const [packageName, tag] = args;
+                if (!packageName || !tag) {
+                    throw new Error('Использование: vladpm dist-tag rm <пакет> <метка>');
+                }
+                await this.registryRequest('DELETE', `${this.packageApiPath(packageName)}/dist-tags/${encodeURIComponent(tag)}`);
+                this.logger.info(`-${tag}: ${packageName}`);
+                break;
+            }
+
+            default:
+                throw new Error(`Неизвестная команда dist-tag: ${subcommand || '(нет)'}. Доступны: ls, add, rm`);
+        }
+    }
+
+    /**
+     * vladpm token list | create [--read-only] [--expires <дней>] | revoke <ключ>
+     */
+    async tokenCommand(subcommand, args = [], options = {}) {
+        switch (subcommand) {
+            case 'ls':
+            case 'list': {
+                const { objects } = await this.registryRequest('GET', '/-/npm/v1/tokens');
+                this.printTable(['Ключ', 'Доступ', 'Создан', 'Истекает'], objects.map(token => [
+                    `${token.key.slice(0, 12)}${token.current ? ' *' : ''}`,
+                    token.readonly ? 'чтение' : 'публикация',
+                    token.created.slice(0, 10),
+                    token.expires ? token.expires.slice(0, 10) : 'бессрочный'
+                ]));
+                break;
+            }
+
+            case 'create': {
+                const created = await this.registryRequest('POST', '/-/npm/v1/tokens', {
+                    readonly: Boolean(options.readonly),
+                    expires: options.expires
+                });
+                this.logger.info(`Токен ${created.readonly ? 'только для чтения' : 'для публикации'} (ключ ${created.key.slice(0, 12)}, истекает: ${created.expires ? created.expires.slice(0, 10) : 'никогда'}):`);
+                this.logger.info(created.token);
+                break;
+            }
+
+            case 'revoke':
+            case 'rm': {
+                if (!args[0]) {
+                    throw new Error('Использование: vladpm token revoke <ключ>');
+                }
+                const { key } = await this.registryRequest('DELETE', `/-/npm/v1/tokens/token/${encodeURIComponent(args[0])}`);
+                this.logger.info(`Токен ${key.slice(0, 12)} отозван`);
+                break;
+            }
+
+            default:
+                throw new Error(`Неизвестная команда token: ${subcommand || '(нет)'}. Доступны: list, create, revoke`);
+        }
+    }
+
+    /**
+     * vladpm org create <org> | ls <org> | set <org> <user> [owner|member] | rm <org> <user>
+     */
+    async orgCommand(subcommand, args = []) {
+        const [org, user, role] = args;
+        if (!org) {
+            throw new Error(`Использование: vladpm org ${subcommand || '<команда>'} <организация> ...`);
+        }
+        const orgPath = `/-/org/${encodeURIComponent(org.replace(/^@/, ''))}`;
+
+        switch (subcommand) {
+            case 'create':
+                await this.registryRequest('PUT', orgPath);
+                this.logger.info(`Организация @${org.replace(/^@/, '')} создана, пакеты @${org.replace(/^@/, '')}/* принадлежат ей`);
+                break;
+
+            case 'ls':
+            case 'list': {
+                const result = await this.registryRequest('GET', orgPath);
+                this.printTable(['Участник', 'Роль', 'Команды'], Object.entries(result.members).map(([name, memberRole]) => [
+                    name,
+                    memberRole,
+                    Object.entries(result.teams).filter(([, team]) => team.members.includes(name)).map(([team]) => team).join(', ')
+                ]));
+                break;
+            }
+
+            case 'set':
+            case 'add':
+                if (!user) throw new Error('Использование: vladpm org set <организация> <пользователь> [owner|member]');
+                await this.registryRequest('PUT', `${orgPath}/user`, { user, role: role || 'member' });
+                this.logger.info(`${user}: ${role || 'member'} в ${org}`);
+                break;
+
+            case 'rm':
+            case 'remove':
+                if (!user) throw new Error('Использование: vladpm org rm <организация> <пользователь>');
+                await this.registryRequest('DELETE', `${orgPath}/user/${encodeURIComponent(user)}`);
+                this.logger.info(`${user} удалён из ${org}`);
+                break;
+
+            default:
+                throw new Error(`Неизвестная команда org: ${subcommand || '(нет)'}. Доступны: create, ls, set, rm`);
+        }
+    }
+
+    /**
+     * vladpm team create|destroy <@org:team> | add|rm <@org:team> <user> | ls <@org[:team]>
+     */
+    async teamCommand(subcommand, args = [], options = {}) {
+        const [entity, user] = args;
+        const match = /^@?([^:]+)(?::(.+))?$/.exec(entity || '');
+        if (!match || (!match[2] && subcommand !== 'ls')) {
+            throw new Error(`Использование: vladpm team ${subcommand || '<команда>'} @организация:команда ...`);
+        }
+        const [, org, team] = match;
+        const teamPath = `/-/team/${encodeURIComponent(org)}/${encodeURIComponent(team || '')}`;
+
+        switch (subcommand) {
+            case 'create':
+                await this.registryRequest('PUT', teamPath, { permission: options.permission || 'read' });
+                this.logger.info(`Команда @${org}:${team} (${options.permission || 'read'})`);
+                break;
+
+            case 'destroy':
+                await this.registryRequest('DELETE', teamPath);
+                this.logger.info(`Команда @${org}:${team} удалена`);
+                break;
+
+            case 'add':
+            case 'rm':
+            case 'remove':
+                if (!user) throw new Error(`Использование: vladpm team ${subcommand} @организация:команда <пользователь>`);
+                if (subcommand === 'add') {
+                    await this.registryRequest('PUT', `${teamPath}/user`, { user });
+                    this.logger.info(`${user} добавлен в @${org}:${team}`);
+                } else {
+                    await this.registryRequest('DELETE', `${teamPath}/user/${encodeURIComponent(user)}`);
+                    this.logger.info(`${user} удалён из @${org}:${team}`);
+                }
+                break;
+
+            case 'ls':
+            case 'list': {
+                const { teams } = await this.registryRequest('GET', `/-/org/${encodeURIComponent(org)}`);
+                if (team) {
+                    if (!teams[team]) throw new Error(`Команда @${org}:${team} не найдена`);
+                    teams[team].members.forEach(member => this.logger.info(member));
+                } else {
+                    for (const [name, info] of Object.entries(teams)) {
+                        this.logger.info(`@${org}:${name} (${info.permission}, участников: ${info.members.length})`);
+                    }
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Неизвестная команда team: ${subcommand || '(нет)'}. Доступны: create, destroy, add, rm, ls`);
+        }
+    }
+
     /**
      * Настроить реестр
      */
@@ -547,9 +1793,17 @@ class VladPM {
     }
 
     /**
-     * Выйти из системы
+     * Выйти из системы; токен отзывается в реестре, если он доступен
      */
-    logout() {
+    async logout() {
+        if (this.config.token) {
+            const key = createHash('sha256').update(this.config.token).digest('hex');
+            try {
+                await this.registryRequest('DELETE', `/-/npm/v1/tokens/token/${key}`);
+            } catch (error) {
+                this.logger.warn(`Токен не отозван в реестре: ${error.message}`);
+            }
+        }
         this.config.token = null;
         this.saveConfig();
         this.logger.info('Вы вышли из системы');
@@ -576,24 +1830,38 @@ const vladpm = new VladPM();
 const command = process.argv[2];
 const args = process.argv.slice(3);
 
+vladpm.ignoreScripts = args.includes('--ignore-scripts');
+
+if (args.includes('--offline')) {
+    vladpm.networkMode = 'offline';
+} else if (args.includes('--prefer-offline')) {
+    vladpm.networkMode = 'prefer-offline';
+}
+
 try {
     switch (command) {
-        case 'init':
-            vladpm.init();
+        case 'init': {
+            const flagIndex = args.findIndex(arg => arg === '--workspace' || arg === '-w');
+            vladpm.init({ workspace: flagIndex >= 0 ? args[flagIndex + 1] : null });
             break;
+        }
 
         case 'install':
         case 'i': {
-            const pkg = args[0];
+            const packages = args.filter(arg => !arg.startsWith('-'));
             const options = {
                 dev: args.includes('--dev') || args.includes('-D'),
                 global: args.includes('--global') || args.includes('-g'),
                 save: !args.includes('--no-save')
             };
-            await vladpm.install(pkg, options);
+            await vladpm.install(packages, options);
             break;
         }
 
+        case 'ci':
+            await vladpm.ci();
+            break;
+
         case 'uninstall':
         case 'remove':
         case 'rm': {
@@ -602,13 +1870,13 @@ try {
                 dev: args.includes('--dev') || args.includes('-D'),
                 global: args.includes('--global') || args.includes('-g')
             };
-            vladpm.uninstall(pkg, options);
+            await vladpm.uninstall(pkg, options);
             break;
         }
 
         case 'update':
         case 'upgrade': {
-            const pkg = args[0];
+            const pkg = args.find(arg => !arg.startsWith('-'));
             const options = {
                 dev: args.includes('--dev') || args.includes('-D'),
                 global: args.includes('--global') || args.includes('-g')
@@ -617,6 +1885,23 @@ try {
             break;
         }
 
+        case 'run':
+        case 'run-script': {
+            // Аргументы после -- передаются скрипту
+            const separator = args.indexOf('--');
+            const own = separator >= 0 ? args.slice(0, separator) : args;
+            const scriptArgs = separator >= 0 ? args.slice(separator + 1) : [];
+            const script = own.find(arg => !arg.startsWith('-'));
+            vladpm.run(script, scriptArgs, { workspaces: own.includes('--workspaces') });
+            break;
+        }
+
+        case 'cache': {
+            const [subcommand, ...rest] = args.filter(arg => !arg.startsWith('-'));
+            await vladpm.cacheCommand(subcommand, rest);
+            break;
+        }
+
         case 'search': {
             const query = args[0];
             await vladpm.search(query);
@@ -638,9 +1923,40 @@ try {
             break;
         }
 
+        case 'outdated': {
+            const rows = await vladpm.outdated({ json: args.includes('--json') });
+            if (rows.length > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'why':
+        case 'explain': {
+            const pkg = args.find(arg => !arg.startsWith('-'));
+            vladpm.why(pkg, { json: args.includes('--json') });
+            break;
+        }
+
+        case 'audit': {
+            const levelIndex = args.indexOf('--audit-level');
+            const levelArg = args.find(arg => arg.startsWith('--audit-level='));
+            const options = {
+                json: args.includes('--json'),
+                auditLevel: levelArg ? levelArg.split('=')[1] : levelIndex >= 0 ? args[levelIndex + 1] : undefined
+            };
+            const failing = await vladpm.audit(options);
+            if (failing.length > 0) process.exitCode = 1;
+            break;
+        }
+
+        case 'pack': {
+            await vladpm.pack({ dryRun: args.includes('--dry-run') });
+            break;
+        }
+
         case 'publish': {
             const options = {
-                dryRun: args.includes('--dry-run')
+                dryRun: args.includes('--dry-run'),
+                workspaces: args.includes('--workspaces')
             };
             await vladpm.publish(options);
             break;
@@ -653,8 +1969,46 @@ try {
         }
 
         case 'logout':
-            vladpm.logout();
+            await vladpm.logout();
+            break;
+
+        case 'owner': {
+            const [subcommand, ...rest] = args.filter(arg => !arg.startsWith('-'));
+            await vladpm.ownerCommand(subcommand, rest);
             break;
+        }
+
+        case 'dist-tag':
+        case 'dist-tags': {
+            const [subcommand, ...rest] = args.filter(arg => !arg.startsWith('-'));
+            await vladpm.distTagCommand(subcommand, rest);
+            break;
+        }
+
+        case 'token': {
+            const expiresIndex = args.indexOf('--expires');
+            const expires = expiresIndex >= 0 ? args[expiresIndex + 1] : undefined;
+            const [subcommand, ...rest] = args.filter((arg, index) => !arg.startsWith('-') && (expiresIndex < 0 || index !== expiresIndex + 1));
+            await vladpm.tokenCommand(subcommand, rest, {
+                readonly: args.includes('--read-only'),
+                expires: expires === undefined ? undefined : Number(expires)
+            });
+            break;
+        }
+
+        case 'org': {
+            const [subcommand, ...rest] = args.filter(arg => !arg.startsWith('-'));
+            await vladpm.orgCommand(subcommand, rest);
+            break;
+        }
+
+        case 'team': {
+            const permissionIndex = args.indexOf('--permission');
+            const permission = permissionIndex >= 0 ? args[permissionIndex + 1] : undefined;
+            const [subcommand, ...rest] = args.filter((arg, index) => !arg.startsWith('-') && (permissionIndex < 0 || index !== permissionIndex + 1));
+            await vladpm.teamCommand(subcommand, rest, { permission });
+            break;
+        }
 
         case 'whoami':
             vladpm.whoami();
@@ -675,27 +2029,51 @@ VladPM - Менеджер пакетов VladX
 
 Команды:
   init              Инициализировать новый проект
-  install [pkg]     Установить пакет
+  init -w <dir>     Создать пакет рабочего пространства
+  install [pkg...]  Установить пакеты (имя, имя@^1.2.0, имя@beta) или все зависимости
+  ci                Чистая установка строго по vladx-lock.json
   uninstall [pkg]   Удалить пакет
-  update [pkg]      Обновить пакет
+  update [pkg]      Обновить зависимости в пределах диапазонов vladx.json
   search [query]    Поиск пакетов
   info [pkg]        Информация о пакете
   list              Список установленных пакетов
-  publish           Опубликовать пакет
+  outdated          Устаревшие зависимости (текущая, нужная, последняя версии)
+  why <pkg>         Почему установлен пакет: цепочки зависимостей
+  audit             Проверить установленные пакеты по ленте уязвимостей реестра
+  run <script> [-- args] Запустить скрипт из vladx.json (с pre/post хуками)
+  pack              Собрать архив пакета .tgz (--dry-run — только состав)
+  publish           Собрать архив и опубликовать пакет
   login [token]     Войти в систему
-  logout            Выйти из системы
+  logout            Выйти из системы (токен отзывается в реестре)
   whoami            Кто авторизован
+  owner ls|add|rm   Владельцы пакета: owner add <user> [pkg]
+  dist-tag ls|add|rm Метки версий: dist-tag add <pkg@версия> <метка>
+  token list|create|revoke Токены: create [--read-only] [--expires <дней>]
+  org create|ls|set|rm Организация: org set <org> <user> [owner|member]
+  team create|destroy|add|rm|ls Команды: team add @org:team <user>
+  cache ls          Содержимое кэша пакетов
+  cache verify      Проверить кэш и удалить повреждённое
+  cache clean       Очистить кэш
+  cache add [pkg...] Заполнить кэш из реестра (без имён — все пакеты реестра)
   set-registry [url] Изменить реестр
 
 Опции:
   --dev, -D         Установить как dev зависимость
   --global, -g      Установить глобально
   --no-save         Не сохранять в vladx.json
-  --dry-run         Режим просмотра (без публикации)
+  --offline         Только кэш, без обращений к реестру
+  --prefer-offline  Сначала кэш, реестр — для недостающего
+  --dry-run         pack/publish: показать состав архива, ничего не записывая
+  --workspaces      run/publish во всех пакетах рабочего пространства
+  --ignore-scripts  Не выполнять скрипты жизненного цикла
+  --json            outdated/why/audit: вывод в JSON
+  --audit-level <l> audit: код 1 только от уровня low|moderate|high|critical
+  --permission <p>  team create: read | publish (публикация пакетов @org/*)
 
 Примеры:
   vladpm init
   vladpm install vladx-core
+  vladpm install vladx-http@~2.1.0
   vladpm install typescript --dev
   vladpm search math
   vladpm info vladx-core
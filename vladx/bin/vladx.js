@@ -7,8 +7,14 @@ import { VladXEngine } from '../src/engine/vladx-engine.js';
 import { Linter } from '../src/runtime/linter.js';
 import { Formatter } from '../src/runtime/formatter.js';
 import { Logging } from '../src/runtime/logging.js';
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { resolve, dirname, join, basename } from 'path';
+import { AOTCompiler } from '../src/engine/aot-compiler.js';
+import { DebugAdapter } from '../src/runtime/debug-adapter.js';
+import { LanguageServer } from '../src/runtime/language-server.js';
+import { TypeSystem } from '../src/runtime/type-system.js';
+import { Lexer } from '../src/lexer/lexer.js';
+import { Parser } from '../src/parser/parser.js';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { resolve, dirname, join, basename, relative, extname } from 'path';
 
 const logger = new Logging({ level: 'info' });
 
@@ -27,11 +33,13 @@ export class CLI {
         this.commands.set('repl', this.repl.bind(this));
         this.commands.set('compile', this.compile.bind(this));
         this.commands.set('lint', this.lint.bind(this));
+        this.commands.set('check', this.check.bind(this));
         this.commands.set('format', this.format.bind(this));
         this.commands.set('test', this.test.bind(this));
         this.commands.set('bundle', this.bundle.bind(this));
         this.commands.set('watch', this.watch.bind(this));
         this.commands.set('debug', this.debug.bind(this));
+        this.commands.set('lsp', this.lsp.bind(this));
         this.commands.set('help', this.help.bind(this));
     }
 
@@ -67,16 +75,25 @@ export class CLI {
             throw new Error(`Файл не найден: ${filepath}`);
         }
 
-        const options = this.parseOptions(args.slice(1));
+        // Всё после -- передаётся программе (аргументыКоманды())
+        const separator = args.indexOf('--');
+        const options = this.parseOptions(separator >= 0 ? args.slice(1, separator) : args.slice(1));
 
         this.engine = new VladXEngine({
+            argv: separator >= 0 ? args.slice(separator + 1) : [],
             debug: options.debug || false,
             strictMode: options.strict || false,
-            maxExecutionTime: options.timeout || 30000,
+            maxExecutionTime: options.timeout ?? 30000,
             cache: options.cache,
-            security: options.security
+            security: options.security,
+            vm: options.vm || false,
+            jit: options.jit || false,
+            jitThreshold: options.jitThreshold,
+            jitDifferential: options.jitDifferential || false
         });
 
+        const startTime = Date.now();
+
         try {
             const result = await this.engine.executeFile(filepath);
 
@@ -129,16 +146,56 @@ export class CLI {
 
         this.engine = new VladXEngine();
 
-        const jsCode = this.engine.compile(readFileSync(filepath, 'utf-8'));
+        const output = resolve(options.output || filepath.replace(/\.vx$/, '') + '.js');
+        const outDir = dirname(output);
+        const sourceRoot = dirname(filepath);
+        const runtimePath = join(outDir, 'vladx-runtime.js');
+
+        // Компилируем точку входа и все относительные импорты, сохраняя структуру каталогов
+        const queue = [{ source: filepath, output }];
+        const compiled = new Set();
+
+        while (queue.length > 0) {
+            const module = queue.shift();
+            if (compiled.has(module.source)) continue;
+            compiled.add(module.source);
+
+            const moduleDir = dirname(module.output);
+            const result = this.engine.compileModule(readFileSync(module.source, 'utf-8'), {
+                filename: module.source,
+                sourceName: relative(moduleDir, module.source),
+                outputFile: basename(module.output),
+                sourceMap: options.sourceMap !== false,
+                sourceMapURL: options.sourceMap !== false ? `${basename(module.output)}.map` : null,
+                runtimeImport: this.relativeImport(moduleDir, runtimePath)
+            });
 
-        let output = options.output || filepath.replace(/\.vx$/, '.js');
+            mkdirSync(moduleDir, { recursive: true });
+            writeFileSync(module.output, result.code, 'utf-8');
+            if (result.map) {
+                writeFileSync(`${module.output}.map`, result.map, 'utf-8');
+            }
+            logger.info(`Скомпилировано: ${module.source} -> ${module.output}`);
+
+            for (const importPath of result.imports) {
+                let dependency = resolve(dirname(module.source), importPath);
+                if (!extname(dependency)) dependency += '.vx';
+                if (extname(dependency) !== '.vx' || !existsSync(dependency)) continue;
 
-        if (options.format === 'cjs') {
-            jsCode = `"use strict";\n${jsCode}`;
+                const target = join(outDir, relative(sourceRoot, dependency)).replace(/\.vx$/, '.js');
+                queue.push({ source: dependency, output: target });
+            }
         }
 
-        writeFileSync(output, jsCode, 'utf-8');
-        logger.info(`Скомпилировано: ${filepath} -> ${output}`);
+        writeFileSync(runtimePath, await AOTCompiler.runtimeSource(), 'utf-8');
+    }
+
+    /**
+     * Относительный путь импорта между каталогом модуля и файлом
+     */
+    relativeImport(fromDir, file) {
+        const path = relative(fromDir, file).split('\\').join('/');
+        return path.startsWith('.') ? path : `./${path}`;
     }
 
     /**
@@ -195,6 +252,50 @@ export class CLI {
         process.exit(0);
     }
 
+    /**
+     * Проверка типов без выполнения
+     */
+    async check(args) {
+        const files = args.filter(arg => !arg.startsWith('--'));
+        if (files.length === 0) {
+            logger.error('Укажите файл для проверки типов');
+            return;
+        }
+
+        const typeSystem = new TypeSystem();
+        let errorCount = 0;
+
+        for (const file of files) {
+            const filepath = resolve(file);
+            if (!existsSync(filepath)) {
+                throw new Error(`Файл не найден: ${filepath}`);
+            }
+
+            const source = readFileSync(filepath, 'utf-8');
+            let errors;
+            try {
+                const tokens = new Lexer(source, filepath).tokenize();
+                const ast = new Parser(tokens).parse();
+                errors = typeSystem.checkAST(ast, { filename: filepath });
+            } catch (error) {
+                errors = [{ message: error.message, line: 0, column: 0 }];
+            }
+
+            errors.forEach(err => {
+                logger.error(`  ${filepath}:${err.line}:${err.column} - ${err.message}`);
+            });
+            errorCount += errors.length;
+        }
+
+        if (errorCount > 0) {
+            logger.error(`Найдено ошибок типов: ${errorCount}`);
+            process.exit(1);
+        }
+
+        logger.info('Ошибок типов не найдено');
+        process.exit(0);
+    }
+
     /**
      * Форматирование
      */
@@ -277,7 +378,7 @@ export class CLI {
             throw new Error(`Файл не найден: ${entry}`);
         }
 
-        const { Bundle } = await import('./runtime/bundler.js');
+        const { Bundle } = await import('../src/runtime/bundler.js');
         const bundler = new Bundle({
             entry,
             output: options.output || 'bundle.vx',
@@ -335,12 +436,19 @@ export class CLI {
      * Отладка
      */
     async debug(args) {
-        if (args.length === 0) {
+        const options = this.parseOptions(args);
+        const program = args[0] && !args[0].startsWith('--') ? args[0] : null;
+
+        if (options.dap) {
+            return this.debugAdapter(program, options);
+        }
+
+        if (!program) {
             logger.error('Укажите файл для отладки');
             return;
         }
 
-        const filepath = resolve(args[0]);
+        const filepath = resolve(program);
 
         if (!existsSync(filepath)) {
             throw new Error(`Файл не найден: ${filepath}`);
@@ -356,6 +464,28 @@ export class CLI {
         await this.engine.executeFile(filepath);
     }
 
+    /**
+     * Сервер Debug Adapter Protocol: stdio по умолчанию, TCP с --port.
+     * В режиме stdio stdout занят протоколом, поэтому ничего не печатаем
+     */
+    async debugAdapter(program, options) {
+        if (options.port) {
+            const server = await DebugAdapter.listen(options.port, { program });
+            logger.info(`DAP-сервер ожидает подключения на порту ${server.address().port}`);
+            return;
+        }
+
+        new DebugAdapter({ program, onClose: () => process.exit(0) }).start(process.stdin, process.stdout);
+    }
+
+    /**
+     * Сервер Language Server Protocol через stdio.
+     * stdout занят протоколом, поэтому ничего не печатаем
+     */
+    async lsp() {
+        new LanguageServer({ onClose: code => process.exit(code) }).start(process.stdin, process.stdout);
+    }
+
     /**
      * Справка
      */
@@ -367,22 +497,32 @@ VladX - Мощный интерпретируемый язык программ
   vladx <команда> [опции] [аргументы]
 
 Команды:
-  run <файл>        Выполнить файл
+  run <файл> [-- аргументы]  Выполнить файл (аргументы — в аргументыКоманды())
   repl               Интерактивная консоль
   compile <файл>    Скомпилировать в JavaScript
   lint <файл>        Проверить код на ошибки
+  check <файл...>    Проверить типы по аннотациям без выполнения
   format <файл>      Отформатировать код
   test [файл]        Запустить тесты
   bundle <entry>     Собрать модули
   watch <файл>       Смотреть за изменениями файла
   debug <файл>       Отладочный режим
+  debug --dap        Сервер Debug Adapter Protocol для редакторов
+  lsp                Сервер Language Server Protocol для редакторов
   help               Показать эту справку
 
 Опции:
   --debug            Режим отладки
-  --strict           Строгий режим
+  --strict           Строгий режим: проверять типы аргументов и результатов функций
   --timeout <ms>     Таймаут выполнения
+  --vm               Выполнять байт-кодом на стековой ВМ
+  --dap              (debug) Говорить по протоколу DAP через stdio
+  --port <n>         (debug --dap) Слушать TCP-порт вместо stdio
+  --jit              JIT-компиляция горячих функций
+  --jit-threshold <n> Число вызовов до компиляции (по умолчанию 10)
+  --jit-differential Сверять каждый скомпилированный вызов с интерпретатором
   --output <file>    Файл вывода
+  --no-source-map    Не создавать source map при компиляции
   --format <format>  Формат (esm, cjs, iife, umd)
   --minify           Минифицировать
   --fix              Автофикс для линтера
@@ -392,6 +532,7 @@ VladX - Мощный интерпретируемый язык программ
 
 Примеры:
   vladx run main.vx
+  vladx run cli.vx -- --verbose input.txt
   vladx repl
   vladx compile main.vx --output main.js
   vladx lint main.vx --fix
@@ -399,6 +540,8 @@ VladX - Мощный интерпретируемый язык программ
   vladx bundle main.vx --format iife --minify
   vladx watch main.vx
   vladx debug main.vx
+  vladx debug --dap --port 4711
+  vladx lsp
 
 Документация: https://vladx.dev
         `.trim());
@@ -419,8 +562,22 @@ VladX - Мощный интерпретируемый язык программ
                 options.strict = true;
             } else if (arg === '--timeout' && args[i + 1]) {
                 options.timeout = parseInt(args[++i]);
+            } else if (arg === '--vm') {
+                options.vm = true;
+            } else if (arg === '--dap') {
+                options.dap = true;
+            } else if (arg === '--port' && args[i + 1]) {
+                options.port = parseInt(args[++i]);
+            } else if (arg === '--jit') {
+                options.jit = true;
+            } else if (arg === '--jit-threshold' && args[i + 1]) {
+                options.jitThreshold = parseInt(args[++i]);
+            } else if (arg === '--jit-differential') {
+                options.jitDifferential = true;
             } else if (arg === '--output' && args[i + 1]) {
                 options.output = args[++i];
+            } else if (arg === '--no-source-map') {
+                options.sourceMap = false;
             } else if (arg === '--format' && args[i + 1]) {
                 options.format = args[++i];
             } else if (arg === '--minify') {
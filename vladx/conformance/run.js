@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Проверка соответствия: модульный движок (src/index.js) против
+ * однофайловой сборки (src/index-standalone.js) и AOT-компиляции (vladx compile)
+ * Сборка пересобирается в памяти и сравнивается с файлом на диске, затем
+ * каждая программа выполняется через обе точки входа — любое расхождение
+ * в выводе, результате или ошибке считается провалом. Скомпилированная
+ * программа должна напечатать то же и завершиться той же ошибкой, что и
+ * интерпретатор (результат программы у модуля JavaScript не сравнивается).
+ *
+ * Использование: node conformance/run.js [имя.vx ...]
+ */
+
+import { readFileSync, readdirSync, mkdtempSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { dirname, join, basename, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Bundle } from '../src/runtime/bundler.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SRC = join(__dirname, '..', 'src');
+const CLI = join(__dirname, '..', 'bin', 'vladx.js');
+
+const ENTRY_POINTS = [
+    { name: 'модули', path: join(SRC, 'index.js') },
+    { name: 'сборка', path: join(SRC, 'index-standalone.js') }
+];
+
+/**
+ * Совпадает ли сборка на диске с результатом сборщика
+ */
+async function checkBundle() {
+    const bundler = new Bundle({
+        entry: join(SRC, 'standalone.js'),
+        output: join(SRC, 'index-standalone.js')
+    });
+    const bundled = await bundler.build();
+    return bundled.code === readFileSync(bundler.output, 'utf-8');
+}
+
+/**
+ * Перехватить печать на время run(); строки стека вызовов JavaScript
+ * отбрасываются — пути к файлам у точек входа разные.
+ * run() возвращает итог: результат программы или ошибку (null — без итога)
+ */
+async function captureOutput(run) {
+    const output = [];
+    const capture = prefix => (...items) => {
+        const text = items.map(item => item instanceof Error ? item.message : String(item)).join(' ');
+        output.push(...text.split('\n').filter(line => !/^\s+at /.test(line)).map(line => prefix + line));
+    };
+    const originalLog = console.log;
+    const originalError = console.error;
+    console.log = capture('');
+    console.error = capture('[stderr] ');
+
+    let ending;
+    try {
+        ending = await run();
+    } finally {
+        console.log = originalLog;
+        console.error = originalError;
+    }
+
+    return ending === null ? output : [...output, ending];
+}
+
+/**
+ * Текст ошибки; интерпретатор выбрасывает ошибку, обёрнутую в значение VladX
+ */
+function errorMessage(error) {
+    if (error instanceof Error) {
+        return error.message;
+    }
+    return error && error.value instanceof Error ? error.value.message : String(error);
+}
+
+/**
+ * Выполнить программу; печать и сообщения об ошибках перехватываются
+ */
+function runProgram(VladXEngine, file) {
+    return captureOutput(async () => {
+        const engine = new VladXEngine();
+        try {
+            return `=> ${String(await engine.executeFile(file))}`;
+        } catch (error) {
+            return `Ошибка: ${errorMessage(error)}`;
+        }
+    });
+}
+
+/**
+ * Скомпилировать программу в каталог outDir и выполнить получившийся модуль
+ */
+async function runCompiled(file, outDir) {
+    const target = join(outDir, `${basename(file, '.vx')}.js`);
+    const compiled = spawnSync(process.execPath, [CLI, 'compile', file, '--output', target], { encoding: 'utf-8', timeout: 60000 });
+    if (compiled.status !== 0) {
+        return [`Ошибка компиляции: ${(compiled.stderr || compiled.stdout || String(compiled.error)).trim()}`];
+    }
+
+    return captureOutput(async () => {
+        try {
+            await import(pathToFileURL(target).href);
+            return null;
+        } catch (error) {
+            return `Ошибка: ${errorMessage(error)}`;
+        }
+    });
+}
+
+/**
+ * Вывод интерпретатора в том виде, в каком его даёт скомпилированная программа:
+ * без результата программы, без позиции и стека вызовов в сообщении об ошибке
+ */
+function expectedCompiled(interpreted) {
+    const ending = interpreted[interpreted.length - 1];
+    const printed = interpreted.slice(0, -1);
+    if (!ending.startsWith('Ошибка: ')) {
+        return printed;
+    }
+    const message = ending
+        .replace(/^Ошибка: (\w*Error: )?\[[^\]]*\] Ошибка выполнения: (\w*Error: )?/, 'Ошибка: ')
+        .replace(/\nСтек вызовов[^]*$/, '');
+    return [...printed, message];
+}
+
+/**
+ * Сравнить вывод двух точек входа; при расхождении напечатать первую различающуюся строку
+ */
+function compare(file, first, second) {
+    const firstText = first.output.join('\n');
+    const secondText = second.output.join('\n');
+    if (firstText === secondText) {
+        return true;
+    }
+
+    const firstLines = firstText.split('\n');
+    const secondLines = secondText.split('\n');
+    const line = firstLines.findIndex((text, index) => text !== secondLines[index]);
+    const at = line === -1 ? firstLines.length : line;
+    console.log(`${basename(file).padEnd(20)}РАЗЛИЧАЕТСЯ (${first.name} / ${second.name})`);
+    console.log(`  строка ${at + 1}`);
+    console.log(`  ${first.name}: ${firstLines[at] ?? '<конец вывода>'}`);
+    console.log(`  ${second.name}: ${secondLines[at] ?? '<конец вывода>'}`);
+    return false;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const files = args.length > 0
+        ? args.map(file => file.includes('/') ? resolve(file) : join(__dirname, file))
+        : readdirSync(__dirname).filter(file => file.endsWith('.vx')).sort().map(file => join(__dirname, file));
+
+    let failures = 0;
+
+    if (!await checkBundle()) {
+        console.log('src/index-standalone.js устарел — выполните npm run build:standalone');
+        failures++;
+    }
+
+    const engines = [];
+    for (const entry of ENTRY_POINTS) {
+        const module = await import(entry.path);
+        engines.push({ name: entry.name, VladXEngine: module.VladXEngine });
+    }
+
+    const outDir = mkdtempSync(join(tmpdir(), 'vladx-conformance-'));
+    try {
+        for (const file of files) {
+            const modular = await runProgram(engines[0].VladXEngine, file);
+            const standalone = await runProgram(engines[1].VladXEngine, file);
+            const compiled = await runCompiled(file, outDir);
+
+            const bundleMatches = compare(file, { name: engines[0].name, output: modular }, { name: engines[1].name, output: standalone });
+            const compiledMatches = compare(file, { name: engines[0].name, output: expectedCompiled(modular) }, { name: 'AOT', output: compiled });
+            if (bundleMatches && compiledMatches) {
+                console.log(`${basename(file).padEnd(20)}совпадает`);
+            } else {
+                failures++;
+            }
+        }
+    } finally {
+        rmSync(outDir, { recursive: true, force: true });
+    }
+
+    if (failures > 0) {
+        console.log(`\nРасхождений: ${failures}`);
+        process.exit(1);
+    }
+    console.log(`\nВсе программы (${files.length}) ведут себя одинаково`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
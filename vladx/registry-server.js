@@ -13,6 +13,11 @@ import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
 import rateLimit from 'express-rate-limit';
+import { SemVer } from './src/vladpm/semver.js';
+import { Integrity } from './src/vladpm/integrity.js';
+import { RegistryStorage } from './src/registry/storage.js';
+import { Uplink } from './src/registry/uplink.js';
+import { AccessControl } from './src/registry/access.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,34 +26,44 @@ const __dirname = path.dirname(__filename);
 const PORT = process.env.PORT || 4873;
 const SECRET_KEY = process.env.JWT_SECRET || 'vladpm-secret-key';
 const REGISTRY_PATH = process.env.REGISTRY_PATH || path.join(__dirname, 'registry-data');
+// Хранилище: fs (по умолчанию) или sqlite
+const STORAGE_TYPE = process.env.REGISTRY_STORAGE || 'fs';
+
+// Инициализация хранилища
+const storage = await RegistryStorage.create({
+    type: STORAGE_TYPE,
+    rootDir: REGISTRY_PATH,
+    sqlitePath: process.env.REGISTRY_SQLITE_PATH
+});
 
-// Создание директорий
-if (!fs.existsSync(REGISTRY_PATH)) {
-    fs.mkdirSync(REGISTRY_PATH, { recursive: true });
-}
-
-// Пути для данных
-const USERS_FILE = path.join(REGISTRY_PATH, 'users.json');
-const PACKAGES_FILE = path.join(REGISTRY_PATH, 'packages.json');
-const TOKENS_FILE = path.join(REGISTRY_PATH, 'tokens.json');
-
-// Загрузка данных
-function loadData(filePath, defaultValue = {}) {
-    if (fs.existsSync(filePath)) {
-        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+// node registry-server.js migrate [каталог] [--owner пользователь] — импорт
+// users.json, packages.json, tokens.json и advisories.json в выбранное хранилище;
+// пакетам без владельцев и без _npmUser владельцем назначается --owner
+if (process.argv[2] === 'migrate') {
+    const args = process.argv.slice(3);
+    const ownerIndex = args.indexOf('--owner');
+    const owner = ownerIndex === -1 ? null : args.splice(ownerIndex, 2)[1];
+    const sourceDir = path.resolve(args[0] || REGISTRY_PATH);
+    const counts = await storage.importJson(sourceDir, { owner });
+    console.log(`Импорт из ${sourceDir} в хранилище ${STORAGE_TYPE}:`);
+    console.log(`  пользователей: ${counts.users}, токенов: ${counts.tokens}, пакетов: ${counts.packages}, уязвимостей: ${counts.advisories}, архивов скопировано: ${counts.tarballs}`);
+    console.log(`  владельцев назначено: ${counts.owners}`);
+    if (counts.ownerless > 0) {
+        console.log(`  пакетов без владельцев: ${counts.ownerless} (изменять их нельзя; укажите --owner пользователь)`);
     }
-    return defaultValue;
+    await storage.close();
+    process.exit(0);
 }
 
-// Сохранение данных
-function saveData(filePath, data) {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-}
+// Вышестоящий реестр: config.json в REGISTRY_PATH (или REGISTRY_CONFIG), адрес — REGISTRY_UPLINK
+const uplink = Uplink.fromConfig({
+    registryPath: REGISTRY_PATH,
+    configPath: process.env.REGISTRY_CONFIG,
+    url: process.env.REGISTRY_UPLINK
+});
 
-// Инициализация данных
-let users = loadData(USERS_FILE);
-let packages = loadData(PACKAGES_FILE);
-let tokens = loadData(TOKENS_FILE);
+// Владельцы пакетов, организации и команды
+const access = new AccessControl(storage);
 
 // Инициализация Express
 const app = express();
@@ -66,11 +81,12 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Storage для загрузки tarball
-const storage = multer.memoryStorage();
-const upload = multer({ storage });
+const uploadStorage = multer.memoryStorage();
+const upload = multer({ storage: uploadStorage });
 
-// Middleware для аутентификации
-function authenticateToken(req, res, next) {
+// Middleware для аутентификации: подпись токена и его запись в хранилище
+// (удалённая запись — отозванный токен)
+async function authenticateToken(req, res, next) {
     const authHeader = req.headers.authorization;
     
     if (!authHeader) {
@@ -80,20 +96,61 @@ function authenticateToken(req, res, next) {
     const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
 
     try {
-        const decoded = jwt.verify(token, SECRET_KEY);
-        req.user = decoded;
-        next();
+        jwt.verify(token, SECRET_KEY);
     } catch (error) {
         return res.status(403).json({ error: 'Неверный токен' });
     }
+
+    try {
+        const record = await storage.getToken(token);
+        if (!record) {
+            return res.status(401).json({ error: 'Токен отозван' });
+        }
+        if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+            return res.status(401).json({ error: 'Срок действия токена истёк' });
+        }
+        req.user = { userId: record.userId, readonly: Boolean(record.readonly), tokenKey: RegistryStorage.tokenKey(token) };
+        next();
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+}
+
+// Middleware для изменяющих запросов: токен только для чтения не подходит
+function requireWriteToken(req, res, next) {
+    if (req.user.readonly) {
+        return res.status(403).json({ error: 'Токен только для чтения: публикация и изменение прав запрещены' });
+    }
+    next();
 }
 
 // Вспомогательные функции
-function generateToken(userId) {
-    const token = jwt.sign({ userId }, SECRET_KEY, { expiresIn: '30d' });
-    tokens[token] = { userId, createdAt: new Date().toISOString() };
-    saveData(TOKENS_FILE, tokens);
-    return token;
+// Новый токен: readonly — только чтение, expiresDays — срок в днях (0 — бессрочный)
+async function generateToken(userId, options = {}) {
+    const readonly = Boolean(options.readonly);
+    const expiresDays = options.expiresDays ?? 30;
+    const token = jwt.sign({ userId, readonly }, SECRET_KEY, expiresDays ? { expiresIn: `${expiresDays}d` } : {});
+    const createdAt = new Date();
+    const record = {
+        userId,
+        readonly,
+        createdAt: createdAt.toISOString(),
+        expiresAt: expiresDays ? new Date(createdAt.getTime() + expiresDays * 86400000).toISOString() : null
+    };
+    await storage.putToken(token, record);
+    return { token, key: RegistryStorage.tokenKey(token), ...record };
+}
+
+// Запись журнала действий с пакетами
+async function audit(req, action, fields) {
+    await storage.appendAudit({
+        time: new Date().toISOString(),
+        action,
+        ...fields,
+        user: req.user.userId,
+        token: req.user.tokenKey.slice(0, 8),
+        ip: req.ip
+    });
 }
 
 function hashPassword(password) {
@@ -104,6 +161,49 @@ function verifyPassword(password, hash) {
     return bcrypt.compareSync(password, hash);
 }
 
+const SEVERITIES = ['low', 'moderate', 'high', 'critical'];
+
+// Уязвимости, затрагивающие версию пакета
+function advisoriesFor(advisories, name, version) {
+    return advisories.filter(advisory =>
+        advisory.package === name && SemVer.satisfies(version, advisory.vulnerable_versions));
+}
+
+// Имя пакета из пути запроса: /имя/... или /@scope/имя/...
+function packageNameFromPath(requestPath) {
+    const pathParts = requestPath.substring(1).split('/');
+    return pathParts[0].startsWith('@') && pathParts.length > 1 ? `${pathParts[0]}/${pathParts[1]}` : pathParts[0];
+}
+
+// Пакет: локальный, иначе из uplink с адресами архивов этого реестра
+async function findPackage(packageName, req, res) {
+    const local = await storage.getPackage(packageName);
+    if (local || !uplink.proxies(packageName)) {
+        return local;
+    }
+
+    const result = await uplink.packument(packageName);
+    if (!result) {
+        return null;
+    }
+    if (result.stale) {
+        res.set('Warning', '110 - "Response is Stale"');
+    }
+    return uplink.rewriteTarballs(packageName, result.document, `${req.protocol}://${req.get('host')}`);
+}
+
+// Архив: локальный, иначе из кэша uplink (со скачиванием)
+async function findTarball(packageName, filename) {
+    const filePath = storage.tarballPath(packageName, filename);
+    if (fs.existsSync(filePath)) {
+        return filePath;
+    }
+    if (!uplink.proxies(packageName) || await storage.getPackage(packageName)) {
+        return null;
+    }
+    return uplink.tarball(packageName, filename);
+}
+
 // API Routes - Специальные маршруты (должны быть до catch-all)
 
 // 1. Регистрация/аутентификация пользователя
@@ -116,10 +216,11 @@ app.put('/-/user/:user', async (req, res) => {
         }
 
         // Проверяем, существует ли пользователь
-        if (users[name]) {
+        const existingUser = await storage.getUser(name);
+        if (existingUser) {
             // Проверяем пароль
-            if (verifyPassword(password, users[name].password)) {
-                const token = generateToken(name);
+            if (verifyPassword(password, existingUser.password)) {
+                const { token } = await generateToken(name);
                 return res.json({
                     ok: true,
                     id: `org.couchdb.user:${name}`,
@@ -133,17 +234,15 @@ app.put('/-/user/:user', async (req, res) => {
         }
 
         // Создаем нового пользователя
-        users[name] = {
+        await storage.putUser(name, {
             name,
             password: hashPassword(password),
             email,
             createdAt: new Date().toISOString(),
             updatedAt: new Date().toISOString()
-        };
-
-        saveData(USERS_FILE, users);
+        });
 
-        const token = generateToken(name);
+        const { token } = await generateToken(name);
 
         res.json({
             ok: true,
@@ -158,18 +257,19 @@ app.put('/-/user/:user', async (req, res) => {
 });
 
 // 2. Получение информации о пользователе
-app.get('/-/user/:user', authenticateToken, (req, res) => {
+app.get('/-/user/:user', authenticateToken, async (req, res) => {
     try {
         const username = req.params.user.replace('org.couchdb.user:', '');
+        const user = await storage.getUser(username);
 
-        if (users[username]) {
+        if (user) {
             res.json({
                 _id: `org.couchdb.user:${username}`,
                 name: username,
-                email: users[username].email,
+                email: user.email,
                 type: 'user',
                 roles: [],
-                date: users[username].updatedAt
+                date: user.updatedAt
             });
         } else {
             res.status(404).json({ error: 'Пользователь не найден' });
@@ -180,9 +280,9 @@ app.get('/-/user/:user', authenticateToken, (req, res) => {
 });
 
 // 3. Поиск всех пакетов
-app.get('/-/all', (req, res) => {
+app.get('/-/all', async (req, res) => {
     try {
-        const allPackages = Object.entries(packages).map(([name, pkg]) => ({
+        const allPackages = (await storage.listPackages()).map(([name, pkg]) => ({
             name,
             package: {
                 name,
@@ -205,13 +305,13 @@ app.get('/-/all', (req, res) => {
 });
 
 // 4. Поиск пакетов по запросу
-app.get('/-/search', (req, res) => {
+app.get('/-/search', async (req, res) => {
     try {
         const query = req.query.text || '';
         const size = parseInt(req.query.size) || 20;
         const from = parseInt(req.query.from) || 0;
 
-        const allPackages = Object.entries(packages).map(([name, pkg]) => ({
+        const allPackages = (await storage.listPackages()).map(([name, pkg]) => ({
             name,
             version: pkg['dist-tags']?.latest || Object.keys(pkg.versions)[0] || '1.0.0',
             description: pkg.description || '',
@@ -240,11 +340,12 @@ app.get('/-/search', (req, res) => {
 });
 
 // 5. Статистика
-app.get('/-/stats', (req, res) => {
+app.get('/-/stats', async (req, res) => {
     try {
-        const totalPackages = Object.keys(packages).length;
-        const totalUsers = Object.keys(users).length;
-        const totalDownloads = Object.values(packages).reduce((sum, pkg) => {
+        const packages = await storage.listPackages();
+        const totalPackages = packages.length;
+        const totalUsers = await storage.countUsers();
+        const totalDownloads = packages.reduce((sum, [, pkg]) => {
             return sum + (pkg.downloads || 0);
         }, 0);
 
@@ -274,35 +375,394 @@ app.get('/-/health', (req, res) => {
 });
 
 // 8. Проверка токена
-app.get('/-/token/:token', (req, res) => {
-    const token = req.params.token;
+app.get('/-/token/:token', async (req, res) => {
+    const data = await storage.getToken(req.params.token);
 
-    if (tokens[token]) {
-        res.json({ valid: true, user: tokens[token].userId });
+    if (data && !(data.expiresAt && Date.parse(data.expiresAt) <= Date.now())) {
+        res.json({ valid: true, user: data.userId, readonly: Boolean(data.readonly) });
     } else {
         res.json({ valid: false });
     }
 });
 
+// 8.1 Лента уязвимостей (?package=имя — только для пакета)
+app.get('/-/npm/v1/security/advisories', async (req, res) => {
+    const list = (await storage.listAdvisories())
+        .filter(advisory => !req.query.package || advisory.package === req.query.package);
+    res.json({ advisories: list, total: list.length });
+});
+
+// 8.2 Проверка версий: тело { имя: [версии] } → { имя: [уязвимости] }
+app.post('/-/npm/v1/security/advisories', async (req, res) => {
+    try {
+        const query = req.body || {};
+        const advisories = await storage.listAdvisories();
+        const result = {};
+
+        for (const [name, versions] of Object.entries(query)) {
+            if (!Array.isArray(versions)) {
+                return res.status(400).json({ error: `Ожидается список версий для ${name}` });
+            }
+            const found = new Map();
+            for (const version of versions) {
+                if (!SemVer.valid(version)) continue;
+                for (const advisory of advisoriesFor(advisories, name, version)) found.set(advisory.id, advisory);
+            }
+            if (found.size > 0) {
+                result[name] = [...found.values()];
+            }
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8.3 Добавление уязвимости: только для тех, кто управляет владельцами пакета
+app.put('/-/npm/v1/security/advisories', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const { package: packageName, title, severity, vulnerable_versions, patched_versions, url, overview } = req.body || {};
+
+        if (!packageName || !title) {
+            return res.status(400).json({ error: 'Нужны поля package и title' });
+        }
+        if (!SEVERITIES.includes(severity)) {
+            return res.status(400).json({ error: `Уровень severity: ${SEVERITIES.join(', ')}` });
+        }
+        if (!vulnerable_versions || !SemVer.validRange(vulnerable_versions)) {
+            return res.status(400).json({ error: 'Неверный диапазон vulnerable_versions' });
+        }
+        if (patched_versions && !SemVer.validRange(patched_versions)) {
+            return res.status(400).json({ error: 'Неверный диапазон patched_versions' });
+        }
+
+        const pkg = await storage.getPackage(packageName);
+        if (!pkg) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        if (!await access.canManageOwners(req.user.userId, packageName, pkg)) {
+            return res.status(403).json({ error: `Нет прав на добавление уязвимостей ${packageName}` });
+        }
+
+        const advisory = await storage.addAdvisory({
+            package: packageName,
+            title,
+            severity,
+            vulnerable_versions,
+            patched_versions: patched_versions || '<0.0.0',
+            overview: overview || '',
+            url: url || '',
+            reported_by: req.user.userId,
+            created: new Date().toISOString()
+        });
+        await audit(req, 'advisory-add', { package: packageName, id: advisory.id, severity });
+
+        res.status(201).json(advisory);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8.4 Токены пользователя (ключ — sha256 токена, сами токены не хранятся)
+app.get('/-/npm/v1/tokens', authenticateToken, async (req, res) => {
+    try {
+        const now = Date.now();
+        const objects = (await storage.listTokens())
+            .filter(token => token.userId === req.user.userId && !(token.expiresAt && Date.parse(token.expiresAt) <= now))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(token => ({
+                key: token.key,
+                readonly: Boolean(token.readonly),
+                created: token.createdAt,
+                expires: token.expiresAt || null,
+                current: token.key === req.user.tokenKey
+            }));
+        res.json({ objects, total: objects.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8.5 Создание токена: { readonly, expires (дней, 0 — бессрочный) }
+app.post('/-/npm/v1/tokens', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const { readonly, expires } = req.body || {};
+        const expiresDays = expires === undefined ? 30 : Number(expires);
+        if (!Number.isInteger(expiresDays) || expiresDays < 0) {
+            return res.status(400).json({ error: 'expires — целое число дней (0 — бессрочный)' });
+        }
+
+        const created = await generateToken(req.user.userId, { readonly, expiresDays });
+        res.status(201).json({
+            token: created.token,
+            key: created.key,
+            readonly: created.readonly,
+            created: created.createdAt,
+            expires: created.expiresAt
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8.6 Отзыв токена по ключу или его началу (не короче 6 символов)
+app.delete('/-/npm/v1/tokens/token/:key', authenticateToken, async (req, res) => {
+    try {
+        const prefix = req.params.key.toLowerCase();
+        const matches = prefix.length < 6 ? [] : (await storage.listTokens())
+            .filter(token => token.userId === req.user.userId && token.key.startsWith(prefix));
+
+        if (matches.length === 0) {
+            return res.status(404).json({ error: 'Токен не найден' });
+        }
+        if (matches.length > 1) {
+            return res.status(409).json({ error: `Ключ ${prefix} подходит к нескольким токенам` });
+        }
+
+        await storage.deleteToken(matches[0].key);
+        res.json({ ok: true, key: matches[0].key });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// 8.7 Владельцы пакета (имя scoped пакета передаётся как @scope%2fимя)
+app.get('/-/package/:package/owners', async (req, res) => {
+    try {
+        const pkg = await storage.getPackage(req.params.package);
+        if (!pkg) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        res.json(pkg.maintainers || []);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/-/package/:package/owners', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const packageName = req.params.package;
+        const owner = req.body?.user;
+        if (!owner) {
+            return res.status(400).json({ error: 'Нужно поле user' });
+        }
+
+        const pkg = await access.addOwner(req.user.userId, packageName, owner);
+        await audit(req, 'owner-add', { package: packageName, owner });
+        res.json(pkg.maintainers);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/-/package/:package/owners/:user', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const packageName = req.params.package;
+        const owner = req.params.user;
+
+        const pkg = await access.removeOwner(req.user.userId, packageName, owner);
+        await audit(req, 'owner-rm', { package: packageName, owner });
+        res.json(pkg.maintainers);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 8.8 Метки версий (dist-tags)
+app.get('/-/package/:package/dist-tags', async (req, res) => {
+    try {
+        const pkg = await storage.getPackage(req.params.package);
+        if (!pkg) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        res.json(pkg['dist-tags'] || {});
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.put('/-/package/:package/dist-tags/:tag', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const packageName = req.params.package;
+        const { tag } = req.params;
+        const version = req.body?.version;
+
+        if (SemVer.validRange(tag)) {
+            return res.status(400).json({ error: `Метка не может быть версией или диапазоном: ${tag}` });
+        }
+        const existing = await storage.getPackage(packageName);
+        if (!existing) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        if (!existing.versions?.[version]) {
+            return res.status(404).json({ error: `Версия ${packageName}@${version} не найдена` });
+        }
+        const org = await access.orgOf(packageName);
+
+        let previous;
+        const pkg = await storage.updatePackage(packageName, current => {
+            if (!current) return current;
+            AccessControl.assertWrite(org, req.user.userId, packageName, current);
+            previous = current['dist-tags']?.[tag];
+            return { ...current, 'dist-tags': { ...current['dist-tags'], [tag]: version } };
+        });
+        if (!pkg) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+
+        await audit(req, 'dist-tag-add', { package: packageName, tag, version, previous });
+        res.json(pkg['dist-tags']);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/-/package/:package/dist-tags/:tag', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const packageName = req.params.package;
+        const { tag } = req.params;
+
+        if (tag === 'latest') {
+            return res.status(400).json({ error: 'Метку latest удалить нельзя' });
+        }
+        const org = await access.orgOf(packageName);
+
+        let previous;
+        const pkg = await storage.updatePackage(packageName, current => {
+            if (!current) return current;
+            AccessControl.assertWrite(org, req.user.userId, packageName, current);
+            const { [tag]: removed, ...tags } = current['dist-tags'] || {};
+            previous = removed;
+            return { ...current, 'dist-tags': tags };
+        });
+        if (!pkg) {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        if (!previous) {
+            return res.status(404).json({ error: `Метка ${tag} не найдена` });
+        }
+
+        await audit(req, 'dist-tag-rm', { package: packageName, tag, previous });
+        res.json(pkg['dist-tags']);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 8.9 Организации: создание, состав, участники (role: owner | member)
+app.put('/-/org/:org', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.status(201).json(await access.createOrg(req.user.userId, req.params.org));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/-/org/:org', authenticateToken, async (req, res) => {
+    try {
+        res.json(await access.viewOrg(req.user.userId, req.params.org));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/-/org/:org/user', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const { user, role } = req.body || {};
+        res.json(await access.setOrgMember(req.user.userId, req.params.org, user, role));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/-/org/:org/user/:user', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.json(await access.removeOrgMember(req.user.userId, req.params.org, req.params.user));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 8.10 Команды организации (permission: read | publish — на все пакеты @org/*)
+app.put('/-/team/:org/:team', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.json(await access.createTeam(req.user.userId, req.params.org, req.params.team, req.body?.permission));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/-/team/:org/:team', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.json(await access.removeTeam(req.user.userId, req.params.org, req.params.team));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/-/team/:org/:team/user', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.json(await access.addTeamMember(req.user.userId, req.params.org, req.params.team, req.body?.user));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/-/team/:org/:team/user/:user', authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        res.json(await access.removeTeamMember(req.user.userId, req.params.org, req.params.team, req.params.user));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 8.11 Журнал действий: ?package=имя — для тех, кто управляет владельцами
+// пакета, без него — собственные действия пользователя
+app.get('/-/npm/v1/audit-log', authenticateToken, async (req, res) => {
+    try {
+        const packageName = req.query.package;
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+        if (packageName) {
+            // Журнал удалённого пакета доступен владельцам его организации
+            const pkg = await storage.getPackage(packageName);
+            const scope = AccessControl.scopeOf(packageName);
+            const allowed = pkg
+                ? await access.canManageOwners(req.user.userId, packageName, pkg)
+                : Boolean(scope) && AccessControl.isOrgOwner(await storage.getOrg(scope), req.user.userId);
+            if (!allowed) {
+                return res.status(403).json({ error: `Нет доступа к журналу ${packageName}` });
+            }
+        }
+
+        const entries = await storage.listAudit(packageName ? { package: packageName, limit } : { user: req.user.userId, limit });
+        res.json({ objects: entries, total: entries.length });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // API Routes - Маршруты для пакетов (catch-all routes, должны быть после специальных)
 
 // 9. Получение информации о пакете (для scoped пакетов)
-app.get('/@:scope/:name', (req, res) => {
+app.get('/@:scope/:name', async (req, res) => {
     try {
         const packageName = `@${req.params.scope}/${req.params.name}`;
+        const pkg = await findPackage(packageName, req, res);
 
-        if (packages[packageName]) {
-            res.json(packages[packageName]);
+        if (pkg) {
+            res.json(pkg);
         } else {
             res.status(404).json({ error: 'Пакет не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // 10. Получение информации о пакете (для обычных пакетов)
-app.get('/:name', (req, res) => {
+app.get('/:name', async (req, res) => {
     try {
         const packageName = req.params.name;
 
@@ -311,13 +771,14 @@ app.get('/:name', (req, res) => {
             return res.status(404).json({ error: 'Маршрут не найден' });
         }
 
-        if (packages[packageName]) {
-            res.json(packages[packageName]);
+        const pkg = await findPackage(packageName, req, res);
+        if (pkg) {
+            res.json(pkg);
         } else {
             res.status(404).json({ error: 'Пакет не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -326,30 +787,32 @@ app.get('/:name', (req, res) => {
 // We'll rely on the main package route and let the client handle version selection
 
 // 10. Получение конкретной версии пакета
-app.get('/:package/:version', (req, res) => {
+app.get('/:package/:version', async (req, res) => {
     try {
         const packageName = req.params.package;
         const version = req.params.version;
+        const pkg = await findPackage(packageName, req, res);
         
-        if (packages[packageName] && packages[packageName].versions[version]) {
-            res.json(packages[packageName].versions[version]);
+        if (pkg && pkg.versions[version]) {
+            res.json(pkg.versions[version]);
         } else {
             res.status(404).json({ error: 'Пакет или версия не найдены' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // 11. Список версий пакета
-app.get('/:package/versions', (req, res) => {
+app.get('/:package/versions', async (req, res) => {
     try {
         const packageName = req.params.package;
+        const pkg = await storage.getPackage(packageName);
         
-        if (packages[packageName]) {
+        if (pkg) {
             res.json({
                 name: packageName,
-                versions: Object.keys(packages[packageName].versions)
+                versions: Object.keys(pkg.versions)
             });
         } else {
             res.status(404).json({ error: 'Пакет не найден' });
@@ -360,89 +823,84 @@ app.get('/:package/versions', (req, res) => {
 });
 
 // 12. Публикация/обновление пакета (поддержка scoped пакетов)
-app.put(/\/(@[^\/]+\/[^\/]+|[^\/]+)/, authenticateToken, upload.none(), async (req, res) => {
+app.put(/\/(@[^\/]+\/[^\/]+|[^\/]+)/, authenticateToken, requireWriteToken, upload.none(), async (req, res) => {
     try {
-        // Extract package name from URL
-        const pathParts = req.path.substring(1).split('/'); // Remove leading '/'
-        let packageName = pathParts[0];
-
-        // For scoped packages (@scope/name), combine the first two parts
-        if (packageName.startsWith('@') && pathParts.length > 1) {
-            packageName = `${packageName}/${pathParts[1]}`;
-        }
+        const packageName = packageNameFromPath(req.path);
+        RegistryStorage.assertPackageName(packageName);
 
-        const packageData = req.body;
+        // maintainers меняются только через /-/package/:package/owners
+        const { _attachments: attachments, maintainers: ignored, ...packageData } = req.body;
 
-        // Проверяем права на публикацию
         if (packageData._id !== packageName) {
             return res.status(400).json({ error: 'Несоответствие имени пакета' });
         }
 
-        // Загружаем существующий пакет, если он есть
-        let existingPackage = null;
-        if (packages[packageName]) {
-            existingPackage = packages[packageName];
-        } else {
-            // Проверяем, есть ли пакет в файловой системе (вдруг данные не в памяти)
-            try {
-                const packageFile = path.join(REGISTRY_PATH, 'packages', packageName, 'package.json');
-                if (fs.existsSync(packageFile)) {
-                    existingPackage = JSON.parse(fs.readFileSync(packageFile, 'utf-8'));
-                }
-            } catch (e) {
-                // Если не удалось загрузить из файла, продолжаем без существующего пакета
+        // Проверяем права на публикацию до записи архивов; под блокировкой пакета — ещё раз
+        const org = await access.orgOf(packageName);
+        AccessControl.assertWrite(org, req.user.userId, packageName, await storage.getPackage(packageName));
+        const publisher = { name: req.user.userId, email: (await storage.getUser(req.user.userId))?.email };
+        for (const manifest of Object.values(packageData.versions || {})) {
+            manifest._npmUser = publisher;
+        }
+
+        // Архив должен совпадать с контрольной суммой из документа версии
+        for (const [version, manifest] of Object.entries(packageData.versions || {})) {
+            const filename = manifest.dist?.tarball && path.basename(manifest.dist.tarball);
+            const attachment = filename && attachments?.[filename];
+            const expected = Integrity.fromDist(manifest.dist);
+            if (attachment && expected && !Integrity.verify(Buffer.from(attachment.data, 'base64'), expected)) {
+                return res.status(400).json({ error: `Контрольная сумма архива ${packageName}@${version} не совпадает` });
             }
         }
 
-        let newPackageData = null;
+        // Сначала архивы: документ не должен ссылаться на несохранённый файл
+        if (attachments) {
+            for (const [filename, attachment] of Object.entries(attachments)) {
+                await storage.writeTarball(packageName, filename, Buffer.from(attachment.data, 'base64'));
+            }
+        }
+
+        // Объединяем с существующим пакетом под блокировкой пакета
+        let previousTags = {};
+        const published = await storage.updatePackage(packageName, existingPackage => {
+            AccessControl.assertWrite(org, req.user.userId, packageName, existingPackage);
+
+            // Новый пакет (или пакет организации без владельцев): публикующий становится владельцем
+            if (!existingPackage) {
+                return { ...packageData, maintainers: [publisher] };
+            }
 
-        // Если существует предыдущий пакет, объединяем данные
-        if (existingPackage) {
-            newPackageData = { ...existingPackage };
+            previousTags = existingPackage['dist-tags'] || {};
+            const newPackageData = { ...existingPackage };
+            if (!newPackageData.maintainers?.length) {
+                newPackageData.maintainers = [publisher];
+            }
 
             // Объединяем версии
             if (packageData.versions) {
-                if (!newPackageData.versions) {
-                    newPackageData.versions = {};
-                }
-                Object.assign(newPackageData.versions, packageData.versions);
+                newPackageData.versions = { ...newPackageData.versions, ...packageData.versions };
             }
 
             // Обновляем dist-tags
             if (packageData['dist-tags']) {
-                if (!newPackageData['dist-tags']) {
-                    newPackageData['dist-tags'] = {};
-                }
-                Object.assign(newPackageData['dist-tags'], packageData['dist-tags']);
+                newPackageData['dist-tags'] = { ...newPackageData['dist-tags'], ...packageData['dist-tags'] };
             }
 
             // Обновляем остальные поля, но сохраняем важные метаданные
             for (const [key, value] of Object.entries(packageData)) {
-                if (!['versions', 'dist-tags', '_attachments'].includes(key)) {
+                if (!['versions', 'dist-tags'].includes(key)) {
                     newPackageData[key] = value;
                 }
             }
-        } else {
-            // Новый пакет
-            newPackageData = packageData;
-        }
-
-        // Сохраняем обновленный пакет
-        packages[packageName] = newPackageData;
-        saveData(PACKAGES_FILE, packages);
+            return newPackageData;
+        });
 
-        // Создаем директорию для пакета
-        const packageDir = path.join(REGISTRY_PATH, 'packages', packageName);
-        if (!fs.existsSync(packageDir)) {
-            fs.mkdirSync(packageDir, { recursive: true });
+        for (const version of Object.keys(packageData.versions || {})) {
+            await audit(req, 'publish', { package: packageName, version });
         }
-
-        // Сохраняем tarball'ы если есть
-        if (packageData._attachments) {
-            for (const [filename, attachment] of Object.entries(packageData._attachments)) {
-                const filePath = path.join(packageDir, filename);
-                const buffer = Buffer.from(attachment.data, 'base64');
-                fs.writeFileSync(filePath, buffer);
+        for (const [tag, version] of Object.entries(published['dist-tags'] || {})) {
+            if (previousTags[tag] !== version) {
+                await audit(req, 'dist-tag-add', { package: packageName, tag, version, previous: previousTags[tag] });
             }
         }
 
@@ -452,80 +910,83 @@ app.put(/\/(@[^\/]+\/[^\/]+|[^\/]+)/, authenticateToken, upload.none(), async (r
             rev: Date.now().toString()
         });
     } catch (error) {
-        console.error('Ошибка публикации пакета:', error);
-        res.status(500).json({ error: error.message });
+        if (!error.status) console.error('Ошибка публикации пакета:', error);
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// 13. Отзыв/удаление конкретной версии пакета (поддержка scoped пакетов)
-app.delete('/:package*/:-/:filename/-rev/:rev', authenticateToken, (req, res) => {
+// 13. Отзыв/удаление конкретной версии пакета: /имя/-/архив/-rev/:rev
+// (имя — name, @scope/name или @scope%2fname)
+app.delete(/^\/((?:@[^\/]+\/)?[^\/]+)\/-\/([^\/]+)\/-rev\/[^\/]+$/, authenticateToken, requireWriteToken, async (req, res) => {
     try {
-        const packageName = req.params[0]; // Используем wildcard параметр для scoped пакетов
-        const filename = req.params.filename;
+        const packageName = req.params[0];
+        const filename = req.params[1];
+        const version = filename.replace(/.*-([0-9]+\.[0-9]+\.[0-9]+)\.tgz$/, '$1');
 
-        if (packages[packageName]) {
-            // Удаляем конкретную версию из пакета
-            const version = filename.replace(/.*-([0-9]+\.[0-9]+\.[0-9]+)\.tgz$/, '$1');
-            if (packages[packageName].versions && packages[packageName].versions[version]) {
-                delete packages[packageName].versions[version];
+        const org = await access.orgOf(packageName);
 
-                // Если это была последняя версия, удаляем весь пакет
-                if (Object.keys(packages[packageName].versions).length === 0) {
-                    delete packages[packageName];
-                }
+        let status = 'deleted';
+        await storage.updatePackage(packageName, pkg => {
+            if (!pkg) {
+                status = 'no-package';
+                return pkg;
+            }
+            AccessControl.assertWrite(org, req.user.userId, packageName, pkg);
+            if (!pkg.versions || !pkg.versions[version]) {
+                status = 'no-version';
+                return pkg;
+            }
 
-                saveData(PACKAGES_FILE, packages);
+            const { [version]: removed, ...versions } = pkg.versions;
+            // Если это была последняя версия, удаляем весь пакет
+            return Object.keys(versions).length === 0 ? null : { ...pkg, versions };
+        });
 
-                // Удаляем файл tarball
-                const packageDir = path.join(REGISTRY_PATH, 'packages', packageName);
-                const filePath = path.join(packageDir, filename);
-                if (fs.existsSync(filePath)) {
-                    fs.rmSync(filePath, { force: true });
-                }
+        if (status === 'no-package') {
+            return res.status(404).json({ error: 'Пакет не найден' });
+        }
+        if (status === 'no-version') {
+            return res.status(404).json({ error: 'Версия пакета не найдена' });
+        }
 
-                // Если директория пакета пуста, удаляем её
-                if (fs.existsSync(packageDir)) {
-                    const files = fs.readdirSync(packageDir);
-                    if (files.length === 0) {
-                        fs.rmSync(packageDir, { recursive: true, force: true });
-                    }
-                }
+        // Удаляем файл tarball (и пустую директорию пакета)
+        await storage.removeTarball(packageName, filename);
+        await audit(req, 'unpublish', { package: packageName, version });
 
-                res.json({
-                    ok: true,
-                    id: packageName,
-                    deleted: true
-                });
-            } else {
-                res.status(404).json({ error: 'Версия пакета не найдена' });
-            }
-        } else {
-            res.status(404).json({ error: 'Пакет не найден' });
-        }
+        res.json({
+            ok: true,
+            id: packageName,
+            deleted: true
+        });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// 14. Полное удаление пакета (unpublish) (поддержка scoped пакетов)
-app.delete('/:package*/-rev/:rev', authenticateToken, (req, res) => {
-    try {
-        const packageName = req.params[0]; // Используем wildcard параметр для scoped пакетов
-
-        if (packages[packageName]) {
-            // Проверяем, что пользователь является владельцем пакета
-            // В простой реализации разрешаем всем, кто аутентифицирован
-            // В реальной системе нужно проверять владельца
+// Полное удаление пакета вместе с архивами от имени владельца; false, если пакета нет
+async function unpublishPackage(req, packageName) {
+    const org = await access.orgOf(packageName);
 
-            delete packages[packageName];
-            saveData(PACKAGES_FILE, packages);
+    let existed = false;
+    await storage.updatePackage(packageName, pkg => {
+        if (!pkg) return pkg;
+        AccessControl.assertWrite(org, req.user.userId, packageName, pkg);
+        existed = true;
+        return null;
+    });
+    if (existed) {
+        await storage.removeTarballs(packageName);
+        await audit(req, 'unpublish', { package: packageName });
+    }
+    return existed;
+}
 
-            // Удаляем файлы пакета
-            const packageDir = path.join(REGISTRY_PATH, 'packages', packageName);
-            if (fs.existsSync(packageDir)) {
-                fs.rmSync(packageDir, { recursive: true, force: true });
-            }
+// 14. Полное удаление пакета (unpublish): /имя/-rev/:rev
+app.delete(/^\/((?:@[^\/]+\/)?[^\/]+)\/-rev\/[^\/]+$/, authenticateToken, requireWriteToken, async (req, res) => {
+    try {
+        const packageName = req.params[0];
 
+        if (await unpublishPackage(req, packageName)) {
             res.json({
                 ok: true,
                 id: packageName,
@@ -535,28 +996,16 @@ app.delete('/:package*/-rev/:rev', authenticateToken, (req, res) => {
             res.status(404).json({ error: 'Пакет не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// 15. Альтернативный маршрут для unpublish (совместимость) (поддержка scoped пакетов)
-app.delete('/:package*', authenticateToken, (req, res) => {
+// 15. Альтернативный маршрут для unpublish (совместимость): /имя
+app.delete(/^\/((?:@[^\/]+\/)?[^\/]+)$/, authenticateToken, requireWriteToken, async (req, res) => {
     try {
-        const packageName = req.params[0]; // Используем wildcard параметр для scoped пакетов
-
-        // Проверяем, есть ли параметр _rev в запросе (для совместимости)
-        const rev = req.query._rev || req.headers['x-rev'];
-
-        if (packages[packageName]) {
-            delete packages[packageName];
-            saveData(PACKAGES_FILE, packages);
-
-            // Удаляем файлы пакета
-            const packageDir = path.join(REGISTRY_PATH, 'packages', packageName);
-            if (fs.existsSync(packageDir)) {
-                fs.rmSync(packageDir, { recursive: true, force: true });
-            }
+        const packageName = req.params[0];
 
+        if (await unpublishPackage(req, packageName)) {
             res.json({
                 ok: true,
                 id: packageName,
@@ -566,30 +1015,30 @@ app.delete('/:package*', authenticateToken, (req, res) => {
             res.status(404).json({ error: 'Пакет не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // 14. Скачивание tarball (для scoped пакетов)
-app.get('/@:scope/:name/-/:filename', (req, res) => {
+app.get('/@:scope/:name/-/:filename', async (req, res) => {
     try {
         const packageName = `@${req.params.scope}/${req.params.name}`;
         const filename = req.params.filename;
 
-        const filePath = path.join(REGISTRY_PATH, 'packages', packageName, filename);
+        const filePath = await findTarball(packageName, filename);
 
-        if (fs.existsSync(filePath)) {
+        if (filePath) {
             res.sendFile(filePath);
         } else {
             res.status(404).json({ error: 'Файл не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // 15. Скачивание tarball (для обычных пакетов)
-app.get('/:name/-/:filename', (req, res) => {
+app.get('/:name/-/:filename', async (req, res) => {
     try {
         const packageName = req.params.name;
         const filename = req.params.filename;
@@ -599,37 +1048,35 @@ app.get('/:name/-/:filename', (req, res) => {
             return res.status(404).json({ error: 'Маршрут не найден' });
         }
 
-        const filePath = path.join(REGISTRY_PATH, 'packages', packageName, filename);
+        const filePath = await findTarball(packageName, filename);
 
-        if (fs.existsSync(filePath)) {
+        if (filePath) {
             res.sendFile(filePath);
         } else {
             res.status(404).json({ error: 'Файл не найден' });
         }
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // 15. Скачивание конкретной версии (поддержка scoped пакетов)
-app.get('/:package*/download/:package-:version.tgz', (req, res) => {
+app.get('/:package*/download/:package-:version.tgz', async (req, res) => {
     try {
         const packageName = req.params[0]; // Используем wildcard параметр для scoped пакетов
         const version = req.params.version;
+        const pkg = await storage.getPackage(packageName);
         
-        if (packages[packageName] && packages[packageName].versions[version]) {
-            const tarballUrl = packages[packageName].versions[version].dist.tarball;
+        if (pkg && pkg.versions[version]) {
+            const tarballUrl = pkg.versions[version].dist.tarball;
             const filename = path.basename(tarballUrl);
             
-            const filePath = path.join(REGISTRY_PATH, 'packages', packageName, filename);
+            const filePath = storage.tarballPath(packageName, filename);
             
             if (fs.existsSync(filePath)) {
                 // Увеличиваем счетчик скачиваний
-                if (!packages[packageName].downloads) {
-                    packages[packageName].downloads = 0;
-                }
-                packages[packageName].downloads++;
-                saveData(PACKAGES_FILE, packages);
+                await storage.updatePackage(packageName, current =>
+                    current && { ...current, downloads: (current.downloads || 0) + 1 });
                 
                 res.sendFile(filePath);
             } else {
@@ -655,11 +1102,20 @@ app.use((req, res) => {
 });
 
 // Запуск сервера
+const packageCount = await storage.countPackages();
+const userCount = await storage.countUsers();
+
 app.listen(PORT, () => {
     console.log(`🚀 VladX Registry Server запущен на порту ${PORT}`);
-    console.log(`📦 Путь к данным: ${REGISTRY_PATH}`);
+    console.log(`📦 Путь к данным: ${REGISTRY_PATH} (хранилище ${STORAGE_TYPE})`);
     console.log(`🔐 Секретный ключ: ${SECRET_KEY.substring(0, 5)}...`);
-    console.log(`📊 Статус: ${Object.keys(packages).length} пакетов, ${Object.keys(users).length} пользователей`);
+    console.log(`📊 Статус: ${packageCount} пакетов, ${userCount} пользователей`);
+    if (uplink.url) {
+        console.log(`🔗 Uplink: ${uplink.url} (кэш документов ${uplink.ttl / 1000} с)`);
+    }
+    if (packageCount === 0 && userCount === 0 && RegistryStorage.hasLegacyFiles(REGISTRY_PATH)) {
+        console.log(`⚠️  Найдены данные старого формата (packages.json, users.json): выполните "node registry-server.js migrate"`);
+    }
     console.log(`\nДоступные API маршруты:`);
     console.log(`  GET  /:package                    - Получить информацию о пакете`);
     console.log(`  GET  /:package/:version            - Получить конкретную версию`);
@@ -669,6 +1125,15 @@ app.listen(PORT, () => {
     console.log(`  PUT  /-/user/:user                 - Регистрация/аутентификация`);
     console.log(`  GET  /-/stats                      - Статистика`);
     console.log(`  GET  /-/health                     - Проверка работоспособности`);
+    console.log(`  GET  /-/npm/v1/security/advisories - Лента уязвимостей`);
+    console.log(`  POST /-/npm/v1/security/advisories - Проверка версий по ленте (vladpm audit)`);
+    console.log(`  PUT  /-/npm/v1/security/advisories - Добавить уязвимость`);
+    console.log(`  GET|POST /-/npm/v1/tokens          - Токены пользователя / новый токен`);
+    console.log(`  DELETE /-/npm/v1/tokens/token/:key - Отозвать токен`);
+    console.log(`  GET|PUT /-/package/:package/owners - Владельцы пакета`);
+    console.log(`  GET|PUT /-/package/:package/dist-tags/:tag - Метки версий`);
+    console.log(`  PUT  /-/org/:org, /-/team/:org/:team - Организации и команды`);
+    console.log(`  GET  /-/npm/v1/audit-log           - Журнал публикаций и изменений прав`);
 });
 
 export default app;
\ No newline at end of file
@@ -0,0 +1,1279 @@
+/**
+ * AOT Compiler for VladX — Компиляция программ VladX в ES-модули JavaScript
+ * Встроенные функции импортируются из среды выполнения src/runtime/aot-runtime.js,
+ * позиции инструкций записываются в source map через SourceMapGenerator
+ */
+
+import { fileURLToPath } from 'url';
+import * as AOTRuntime from '../runtime/aot-runtime.js';
+import { Bundle } from '../runtime/bundler.js';
+import { SourceMapGenerator } from '../runtime/source-map-generator.js';
+import { STANDARD_MODULES } from '../runtime/module-system.js';
+
+const RUNTIME_PATH = fileURLToPath(new URL('../runtime/aot-runtime.js', import.meta.url));
+const RUNTIME_EXPORTS = new Set(Object.keys(AOTRuntime).filter(name => name !== '__vx'));
+
+// Слова, зарезервированные в JavaScript, но допустимые как имена в VladX
+const JS_RESERVED = new Set([
+    'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+    'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let',
+    'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super',
+    'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+    '__vx'
+]);
+
+const IDENTIFIER_RE = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
+
+// Маркер позиции исходного кода внутри сгенерированного текста: \0<индекс>\0
+const MARK = '\u0000';
+
+const INDENT = '    ';
+
+// Значение последнего выражения функции, за которым следуют другие инструкции
+const COMPLETION = '__vx$результат';
+
+// Числовые операторы: с большими и десятичными их выполняет среда выполнения
+const NUMERIC_HELPERS = {
+    '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'mod', '**': 'pow',
+    '<': 'lt', '>': 'gt', '<=': 'le', '>=': 'ge'
+};
+
+export class AOTCompiler {
+    constructor(options = {}) {
+        // Все имена встроенных функций движка: те, что отсутствуют в среде выполнения, — ошибка компиляции
+        this.builtinNames = new Set(options.builtinNames || RUNTIME_EXPORTS);
+        this.runtimeImport = options.runtimeImport || './vladx-runtime.js';
+    }
+
+    /**
+     * Исходный код среды выполнения одним модулем (копируется рядом со скомпилированными модулями)
+     */
+    static async runtimeSource() {
+        const bundled = await new Bundle({ entry: RUNTIME_PATH, format: 'esm' }).build();
+        return bundled.code;
+    }
+
+    /**
+     * Компиляция программы в ES-модуль
+     * Возвращает { code, map, imports } — map равен null, если source map не запрошен
+     */
+    compile(ast, options = {}) {
+        this.reset(ast, options);
+
+        const body = this.genStatements(ast.body);
+        const header = this.genRuntimeImport(options.runtimeImport || this.runtimeImport);
+        const marked = header ? `${header}\n\n${body}\n` : `${body}\n`;
+
+        const map = options.sourceMap === false ? null : new SourceMapGenerator({ file: options.outputFile || '' });
+        let code = this.resolvePositions(marked, map, options.sourceName || this.filename);
+
+        if (map && options.source !== undefined) {
+            map.setSourceContent(options.sourceName || this.filename, options.source);
+        }
+        if (map && options.sourceMapURL) {
+            code += `//# sourceMappingURL=${options.sourceMapURL}\n`;
+        }
+
+        return { code, map: map ? map.toString() : null, imports: [...this.imports] };
+    }
+
+    /**
+     * Компиляция отдельного узла AST (инструкции или выражения) без импортов и source map
+     */
+    nodeToJs(node) {
+        this.reset(node, {});
+        const code = this.isStatement(node) ? this.genStatement(node) : this.genExpression(node);
+        return this.resolvePositions(code, null, this.filename);
+    }
+
+    /**
+     * Сброс состояния перед компиляцией
+     */
+    reset(root, options) {
+        this.filename = options.filename || '<anonymous>';
+        this.positions = [];
+        this.usedBuiltins = new Set();
+        this.usesHelpers = false;
+        this.imports = new Set();
+        this.functionStack = [];
+        this.classStack = [];
+        this.matchCounter = 0;
+        this.currentNode = null;
+        this.declared = this.collectDeclaredNames(root);
+    }
+
+    // ========== Сборка результата ==========
+
+    /**
+     * Строка импорта используемых встроенных функций
+     */
+    genRuntimeImport(runtimeImport) {
+        const names = [...this.usedBuiltins].sort();
+        if (this.usesHelpers) {
+            names.unshift('__vx');
+        }
+        if (names.length === 0) {
+            return '';
+        }
+        return `import { ${names.join(', ')} } from ${JSON.stringify(runtimeImport)};`;
+    }
+
+    /**
+     * Удаление маркеров позиций с записью соответствий в source map
+     */
+    resolvePositions(marked, map, sourceName) {
+        let code = '';
+        let line = 1;
+        let column = 0;
+
+        for (let i = 0; i < marked.length; i++) {
+            const char = marked[i];
+
+            if (char === MARK) {
+                const end = marked.indexOf(MARK, i + 1);
+                const position = this.positions[Number(marked.slice(i + 1, end))];
+                if (map) {
+                    map.addMapping({
+                        generated: { line, column },
+                        original: { line: position.line, column: Math.max(0, (position.column || 1) - 1) },
+                        source: sourceName
+                    });
+                }
+                i = end;
+                continue;
+            }
+
+            code += char;
+            if (char === '\n') {
+                line++;
+                column = 0;
+            } else {
+                column++;
+            }
+        }
+
+        return code;
+    }
+
+    /**
+     * Маркер позиции узла (пустая строка, если позиция неизвестна)
+     */
+    mark(node) {
+        if (!node || node.line === undefined) {
+            return '';
+        }
+        this.positions.push({ line: node.line, column: node.column });
+        return `${MARK}${this.positions.length - 1}${MARK}`;
+    }
+
+    /**
+     * Ошибка компиляции с позицией ближайшей инструкции
+     */
+    error(message, node = null) {
+        const at = node && node.line !== undefined ? node : this.currentNode;
+        const location = at && at.line !== undefined ? `${this.filename}:${at.line}:${at.column}` : this.filename;
+        return new Error(`[${location}] Ошибка компиляции: ${message}`);
+    }
+
+    /**
+     * Обращение к служебной функции среды выполнения
+     */
+    helper(name) {
+        this.usesHelpers = true;
+        return `__vx.${name}`;
+    }
+
+    /**
+     * Отступ для каждой строки блока
+     */
+    indent(code) {
+        return code.split('\n').map(line => line ? INDENT + line : line).join('\n');
+    }
+
+    // ========== Имена ==========
+
+    /**
+     * Имя VladX → допустимое имя JavaScript
+     */
+    safeName(name) {
+        return JS_RESERVED.has(name) ? `${name}_` : name;
+    }
+
+    /**
+     * Ключ свойства объекта
+     */
+    propertyKey(name) {
+        return IDENTIFIER_RE.test(String(name)) ? String(name) : JSON.stringify(String(name));
+    }
+
+    /**
+     * Ссылка на переменную; встроенные функции подключаются из среды выполнения
+     */
+    genIdentifier(name) {
+        if (!this.declared.has(name)) {
+            if (RUNTIME_EXPORTS.has(name)) {
+                this.usedBuiltins.add(name);
+                return name;
+            }
+            if (this.builtinNames.has(name)) {
+                throw this.error(`встроенная функция '${name}' недоступна в скомпилированном коде`);
+            }
+            // Необъявленное имя — ошибка времени выполнения, как в интерпретаторе
+            return `${this.helper('missing')}(${JSON.stringify(name)})`;
+        }
+        return this.safeName(name);
+    }
+
+    /**
+     * Все имена, объявленные в программе (они перекрывают встроенные функции)
+     */
+    collectDeclaredNames(root) {
+        const names = new Set();
+
+        this.walk(root, node => {
+            switch (node.type) {
+                case 'LetStatement':
+                case 'ConstStatement':
+                    names.add(node.name);
+                    break;
+                case 'FunctionDeclaration':
+                case 'ClassMethod':
+                case 'ArrowFunctionExpression':
+                    if (node.name && node.type === 'FunctionDeclaration') names.add(node.name);
+                    (node.params || []).forEach(param => this.collectPatternNames(param, names));
+                    break;
+                case 'ClassDeclaration':
+                case 'EnumDeclaration':
+                    names.add(node.name);
+                    break;
+                case 'VariableDeclarationWithPattern':
+                    this.collectPatternNames(node.pattern, names);
+                    break;
+                case 'ForOfStatement':
+                case 'ForInStatement':
+                    if (node.kind) this.collectPatternNames(node.left, names);
+                    break;
+                case 'TryStatement':
+                    if (node.handler && node.handler.param) names.add(node.handler.param);
+                    break;
+                case 'ImportStatement':
+                    names.add(this.importBinding(node));
+                    break;
+                case 'MatchArm':
+                    this.collectPatternNames(node.pattern, names);
+                    break;
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * Имена, связываемые образцом
+     */
+    collectPatternNames(pattern, names) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                names.add(pattern.name);
+                break;
+            case 'AssignmentPattern':
+                this.collectPatternNames(pattern.left, names);
+                break;
+            case 'RestElement':
+            case 'SpreadElement':
+                this.collectPatternNames(pattern.argument, names);
+                break;
+            case 'ArrayPattern':
+            case 'ArrayExpression':
+                pattern.elements.forEach(element => this.collectPatternNames(element, names));
+                break;
+            case 'ObjectPattern':
+            case 'ObjectExpression':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.collectPatternNames(property.argument, names);
+                    } else {
+                        this.collectPatternNames(property.value || property.key, names);
+                    }
+                });
+                break;
+            case 'TypePattern':
+                if (pattern.binding) names.add(pattern.binding.name);
+                break;
+            case 'VariantPattern':
+                (pattern.args || []).forEach(arg => this.collectPatternNames(arg, names));
+                break;
+        }
+    }
+
+    /**
+     * Обход всех узлов AST
+     */
+    walk(node, visit) {
+        if (Array.isArray(node)) {
+            node.forEach(child => this.walk(child, visit));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (typeof node.type === 'string') {
+            visit(node);
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') {
+                this.walk(value, visit);
+            }
+        }
+    }
+
+    /**
+     * Содержит ли узел выражение данного типа вне вложенных функций
+     */
+    containsOutsideFunctions(node, type) {
+        let found = false;
+        const visit = (current) => {
+            if (found || !current || typeof current !== 'object') return;
+            if (Array.isArray(current)) {
+                current.forEach(visit);
+                return;
+            }
+            if (current.type === type) {
+                found = true;
+                return;
+            }
+            if (['FunctionDeclaration', 'ArrowFunctionExpression', 'ClassDeclaration'].includes(current.type)) {
+                return;
+            }
+            Object.values(current).forEach(visit);
+        };
+        visit(node);
+        return found;
+    }
+
+    isStatement(node) {
+        return node.type === 'Program' || node.type.endsWith('Statement') ||
+            ['FunctionDeclaration', 'ClassDeclaration', 'VariableDeclarationWithPattern'].includes(node.type);
+    }
+
+    // ========== Модули ==========
+
+    /**
+     * Путь модуля VladX → путь скомпилированного модуля
+     */
+    modulePath(path) {
+        if (path.endsWith('.vx')) {
+            return path.slice(0, -3) + '.js';
+        }
+        if ((path.startsWith('.') || path.startsWith('/')) && !/\.[a-z]+$/i.test(path)) {
+            return path + '.js';
+        }
+        return path;
+    }
+
+    /**
+     * Имя, под которым импортированный модуль доступен в программе (как в интерпретаторе)
+     */
+    importBinding(node) {
+        if (node.alias) {
+            return node.alias;
+        }
+        const filename = node.path.split('/').pop();
+        const extIndex = filename.lastIndexOf('.');
+        const stem = (extIndex > 0 ? filename.slice(0, extIndex) : filename).replace(/[^\p{L}\p{N}_$]/gu, '_');
+        return stem || 'module';
+    }
+
+    /**
+     * Относительный импорт VladX-модуля (для компиляции зависимостей)
+     */
+    recordImport(path) {
+        if (path.startsWith('.') || path.startsWith('/')) {
+            this.imports.add(path);
+        }
+    }
+
+    // ========== Инструкции ==========
+
+    genStatements(statements) {
+        return statements
+            .map(statement => this.genStatement(statement))
+            .filter(code => code !== '')
+            .join('\n');
+    }
+
+    /**
+     * Блок { ... }
+     */
+    genBlock(block) {
+        const statements = block && block.type === 'BlockStatement' ? block.body : [block];
+        const body = this.genStatements(statements.filter(Boolean));
+        return body ? `{\n${this.indent(body)}\n}` : '{}';
+    }
+
+    genStatement(node) {
+        return this.withNode(node, () => {
+            const code = this.genStatementBody(node);
+            return code ? this.mark(node) + code : code;
+        });
+    }
+
+    /**
+     * Генерация с node в качестве текущей инструкции (для позиций ошибок компиляции)
+     */
+    withNode(node, generate) {
+        const previousNode = this.currentNode;
+        if (node.line !== undefined) {
+            this.currentNode = node;
+        }
+
+        try {
+            return generate();
+        } finally {
+            this.currentNode = previousNode;
+        }
+    }
+
+    genStatementBody(node) {
+        switch (node.type) {
+            case 'Program':
+                return this.genStatements(node.body);
+
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                return '';
+
+            case 'ExpressionStatement':
+                return this.genExpressionStatement(node.expression);
+
+            case 'LetStatement':
+                return `let ${this.safeName(node.name)} = ${this.genExpression(node.initializer)};`;
+
+            case 'ConstStatement':
+                return `const ${this.safeName(node.name)} = ${this.genExpression(node.initializer)};`;
+
+            case 'VariableDeclarationWithPattern':
+                return `${node.kind === 'const' ? 'const' : 'let'} ${this.genPattern(node.pattern)} = ${this.genDestructuringSource(node.pattern, node.initializer)};`;
+
+            case 'ReturnStatement':
+                return node.argument ? `return ${this.genExpression(node.argument)};` : 'return;';
+
+            case 'BlockStatement':
+                return this.genBlock(node);
+
+            case 'IfStatement':
+                return this.genIf(node);
+
+            case 'WhileStatement':
+                return `while (${this.genExpression(node.condition)}) ${this.genBlock(node.body)}`;
+
+            case 'ForStatement':
+                return this.genFor(node);
+
+            case 'ForOfStatement':
+                return `for (${this.genLoopHead(node)} of ${this.helper('iter')}(${this.genExpression(node.right)})) ${this.genBlock(node.body)}`;
+
+            case 'ForInStatement':
+                return `for (${this.genLoopHead(node)} of ${this.helper('keys')}(${this.genExpression(node.right)})) ${this.genBlock(node.body)}`;
+
+            case 'BreakStatement':
+                return node.label ? `break ${this.safeName(node.label)};` : 'break;';
+
+            case 'ContinueStatement':
+                return node.label ? `continue ${this.safeName(node.label)};` : 'continue;';
+
+            case 'LabeledStatement':
+                return `${this.safeName(node.label)}: ${this.genStatement(node.body)}`;
+
+            case 'FunctionDeclaration':
+                return this.genFunction(node);
+
+            case 'ClassDeclaration':
+                return this.genClass(node);
+
+            case 'EnumDeclaration': {
+                const variants = node.variants.map(variant => [variant.name, variant.fields]);
+                return `const ${this.safeName(node.name)} = ${this.helper('enumType')}(${JSON.stringify(node.name)}, ${JSON.stringify(variants)});`;
+            }
+
+            case 'TryStatement':
+                return this.genTry(node);
+
+            case 'ThrowStatement':
+                return `throw ${this.helper('error')}(${this.genExpression(node.argument)});`;
+
+            case 'SwitchStatement':
+                return this.genSwitch(node);
+
+            case 'ImportStatement':
+                if (Object.hasOwn(STANDARD_MODULES, node.path)) {
+                    return `const ${this.safeName(this.importBinding(node))} = ${this.helper('std')}(${JSON.stringify(node.path)});`;
+                }
+                this.recordImport(node.path);
+                return `import * as ${this.safeName(this.importBinding(node))} from ${JSON.stringify(this.modulePath(node.path))};`;
+
+            case 'ExportStatement': {
+                const specifiers = node.identifiers.map(name => {
+                    const local = this.safeName(name);
+                    return local === name ? name : `${local} as ${JSON.stringify(name)}`;
+                });
+                return `export { ${specifiers.join(', ')} };`;
+            }
+
+            default:
+                throw this.error(`неизвестный тип инструкции '${node.type}'`, node);
+        }
+    }
+
+    /**
+     * Выражение как инструкция
+     */
+    genExpressionStatement(expression) {
+        const code = this.genExpression(expression, true);
+        // Инструкция не может начинаться с { или function — иначе это блок/объявление
+        return /^[{]|^function\b|^class\b/.test(code) ? `(${code});` : `${code};`;
+    }
+
+    genIf(node) {
+        let code = `if (${this.genExpression(node.condition)}) ${this.genBlock(node.thenBranch)}`;
+        if (node.elseBranch) {
+            code += node.elseBranch.type === 'IfStatement'
+                ? ` else ${this.genIf(node.elseBranch)}`
+                : ` else ${this.genBlock(node.elseBranch)}`;
+        }
+        return code;
+    }
+
+    genFor(node) {
+        let init = '';
+        const initializer = node.initializer;
+        if (initializer && initializer.type !== 'EmptyStatement') {
+            init = this.genStatementBody(initializer).replace(/;$/, '');
+        }
+        const condition = node.condition ? this.genExpression(node.condition) : '';
+        const update = node.update ? this.genExpression(node.update, true) : '';
+        return `for (${init}; ${condition}; ${update}) ${this.genBlock(node.body)}`;
+    }
+
+    /**
+     * Левая часть для-из / для-в
+     */
+    genLoopHead(node) {
+        const target = this.genPattern(node.left);
+        return node.kind ? `${node.kind === 'const' ? 'const' : 'let'} ${target}` : target;
+    }
+
+    genTry(node) {
+        let code = `try ${this.genBlock(node.block)}`;
+
+        // Без поймать интерпретатор подавляет ошибку, поэтому catch есть всегда
+        if (node.handler && node.handler.param) {
+            const body = this.genStatements(node.handler.body.body);
+            const binding = `let ${this.safeName(node.handler.param)} = ${this.helper('caught')}(error$);`;
+            code += ` catch (error$) {\n${this.indent(body ? `${binding}\n${body}` : binding)}\n}`;
+        } else if (node.handler) {
+            code += ` catch ${this.genBlock(node.handler.body)}`;
+        } else {
+            code += ' catch {}';
+        }
+
+        if (node.finalizer) {
+            code += ` finally ${this.genBlock(node.finalizer)}`;
+        }
+        return code;
+    }
+
+    genSwitch(node) {
+        const clauses = node.cases.map(caseNode => {
+            const body = this.genStatements(caseNode.consequent);
+            return `case ${this.genExpression(caseNode.test)}:` + (body ? `\n${this.indent(body)}` : '');
+        });
+
+        if (node.defaultCase) {
+            const body = this.genStatements(node.defaultCase.consequent);
+            clauses.push('default:' + (body ? `\n${this.indent(body)}` : ''));
+        }
+
+        return `switch (${this.genExpression(node.discriminant)}) {\n${this.indent(clauses.join('\n'))}\n}`;
+    }
+
+    // ========== Функции и классы ==========
+
+    /**
+     * Параметры функции
+     */
+    genParams(params) {
+        return (params || []).map(param => this.genPattern(param)).join(', ');
+    }
+
+    /**
+     * Тело функции; результат без вернуть — как в интерпретаторе: значение последнего
+     * выражения верхнего уровня, а если таких нет, значение последней инструкции
+     */
+    genFunctionBody(node, context) {
+        this.functionStack.push(context);
+        try {
+            const statements = (node.body && node.body.type === 'BlockStatement' ? node.body.body : [node.body]).filter(Boolean);
+            const last = statements.findLastIndex(statement => statement.type === 'ExpressionStatement');
+            let body;
+
+            if (!context.implicitReturn) {
+                body = this.genStatements(statements);
+            } else if (last === -1 || last === statements.length - 1) {
+                body = this.genCompletion(statements);
+            } else {
+                const completion = this.withNode(statements[last], () => {
+                    const code = `const ${COMPLETION} = ${this.genExpression(statements[last].expression)};`;
+                    return this.mark(statements[last]) + code;
+                });
+                body = [
+                    this.genStatements(statements.slice(0, last)),
+                    completion,
+                    this.genStatements(statements.slice(last + 1)),
+                    `return ${COMPLETION};`
+                ].filter(code => code !== '').join('\n');
+            }
+
+            return body ? `{\n${this.indent(body)}\n}` : '{}';
+        } finally {
+            this.functionStack.pop();
+        }
+    }
+
+    /**
+     * Инструкции, значение последней из которых возвращается из функции
+     */
+    genCompletion(statements) {
+        if (statements.length === 0) {
+            return '';
+        }
+        const last = statements[statements.length - 1];
+        const tail = this.withNode(last, () => {
+            const code = this.genCompletionBody(last);
+            return code ? this.mark(last) + code : code;
+        });
+        return [this.genStatements(statements.slice(0, -1)), tail].filter(code => code !== '').join('\n');
+    }
+
+    /**
+     * Значение инструкции в интерпретаторе: ветви если и блоки дают значение последней
+     * инструкции, объявление — присвоенное значение
+     */
+    genCompletionBody(node) {
+        const block = branch => {
+            const body = this.genCompletion((branch.type === 'BlockStatement' ? branch.body : [branch]).filter(Boolean));
+            return body ? `{\n${this.indent(body)}\n}` : '{}';
+        };
+
+        switch (node.type) {
+            case 'ExpressionStatement':
+                return `return ${this.genExpression(node.expression)};`;
+
+            case 'BlockStatement':
+                return block(node);
+
+            case 'IfStatement': {
+                let code = `if (${this.genExpression(node.condition)}) ${block(node.thenBranch)}`;
+                if (node.elseBranch) {
+                    code += node.elseBranch.type === 'IfStatement'
+                        ? ` else ${this.genCompletionBody(node.elseBranch)}`
+                        : ` else ${block(node.elseBranch)}`;
+                }
+                return code;
+            }
+
+            case 'LetStatement':
+            case 'ConstStatement':
+                return `${this.genStatementBody(node)}\nreturn ${this.safeName(node.name)};`;
+
+            default:
+                return this.genStatementBody(node);
+        }
+    }
+
+    /**
+     * Объявление функции (или именованное функциональное выражение)
+     */
+    genFunction(node) {
+        const name = node.name ? this.safeName(node.name) : '';
+        const params = this.genParams(node.params);
+
+        if (node.isGenerator) {
+            return `function ${name}(${params}) ${this.genGeneratorBody(node)}`;
+        }
+
+        const body = this.genFunctionBody(node, { isAsync: node.isAsync, isGenerator: false, implicitReturn: true });
+        return `${node.isAsync ? 'async ' : ''}function ${name}(${params}) ${body}`;
+    }
+
+    /**
+     * Тело функции-генератора: обёртка с методами следующий()/закрыть() над генератором JS
+     */
+    genGeneratorBody(node) {
+        const body = this.genFunctionBody(node, { isAsync: false, isGenerator: true, implicitReturn: false });
+        const generator = `(function* () ${body}).call(this)`;
+        return `{\n${INDENT}return ${this.helper('generator')}(${this.indentTail(generator)}, ${JSON.stringify(node.name || '<generator>')});\n}`;
+    }
+
+    /**
+     * Отступ для всех строк, кроме первой (вложение многострочного выражения)
+     */
+    indentTail(code) {
+        const [first, ...rest] = code.split('\n');
+        return rest.length ? `${first}\n${this.indent(rest.join('\n'))}` : first;
+    }
+
+    genArrowFunction(node) {
+        const params = `(${this.genParams(node.params)})`;
+        const prefix = node.isAsync ? 'async ' : '';
+
+        if (node.body && node.body.type !== 'BlockStatement') {
+            this.functionStack.push({ isAsync: node.isAsync, isGenerator: false });
+            try {
+                const body = this.genExpression(node.body);
+                return `${prefix}${params} => ${body.startsWith('{') ? `(${body})` : body}`;
+            } finally {
+                this.functionStack.pop();
+            }
+        }
+
+        return `${prefix}${params} => ${this.genFunctionBody(node, { isAsync: node.isAsync, isGenerator: false, implicitReturn: true })}`;
+    }
+
+    genClass(node) {
+        const heritage = node.superClass ? ` extends ${this.genIdentifier(node.superClass)}` : '';
+        const privateNames = [...(node.fields || []), ...node.methods]
+            .map(member => member.name)
+            .filter(name => typeof name === 'string' && name.startsWith('#'));
+        this.classStack.push({ name: node.name, privateNames: new Set(privateNames) });
+        let members;
+        try {
+            members = [
+                ...(node.fields || []).map(member => this.mark(member) + this.genClassMember(member)),
+                ...node.methods.map(method => this.mark(method) + this.genClassMethod(method, node))
+            ];
+        } finally {
+            this.classStack.pop();
+        }
+        const body = members.length ? `{\n${this.indent(members.join('\n\n'))}\n}` : '{}';
+        return `class ${this.safeName(node.name)}${heritage} ${body}`;
+    }
+
+    /**
+     * Ключ члена класса; #имя остаётся приватным именем JS
+     */
+    classKey(name) {
+        return name.startsWith('#') && IDENTIFIER_RE.test(name.slice(1)) ? name : this.propertyKey(name);
+    }
+
+    /**
+     * Поле или статический блок класса
+     */
+    genClassMember(member) {
+        if (member.type === 'ClassStaticBlock') {
+            return `static ${this.genBlock(member.body)}`;
+        }
+        const value = member.value ? ` = ${this.genExpression(member.value)}` : ' = null';
+        return `${member.isStatic ? 'static ' : ''}${this.classKey(member.name)}${value};`;
+    }
+
+    genClassMethod(method, classNode) {
+        const isConstructor = method.name === 'конструктор' || method.name === 'constructor';
+        const name = isConstructor ? 'constructor' : this.classKey(method.name);
+
+        let prefix = '';
+        if (method.isStatic) prefix += 'static ';
+        if (method.isGetter) prefix += 'get ';
+        if (method.isSetter) prefix += 'set ';
+        if (method.isAsync) prefix += 'async ';
+
+        if (method.isGenerator) {
+            return `${prefix}${name}(${this.genParams(method.params)}) ${this.genGeneratorBody(method)}`;
+        }
+
+        let body = this.genFunctionBody(method, {
+            isAsync: method.isAsync,
+            isGenerator: false,
+            implicitReturn: !isConstructor && !method.isSetter
+        });
+
+        // В VladX конструктор наследника может не вызывать супер(); в JS вызов обязателен
+        if (isConstructor && classNode.superClass && !this.callsSuper(method.body)) {
+            body = body === '{}' ? `{\n${INDENT}super();\n}` : body.replace('{\n', `{\n${INDENT}super();\n`);
+        }
+
+        return `${prefix}${name}(${this.genParams(method.params)}) ${body}`;
+    }
+
+    callsSuper(body) {
+        let found = false;
+        this.walk(body, node => {
+            if (node.type === 'CallExpression' && node.callee && node.callee.type === 'SuperExpression') {
+                found = true;
+            }
+        });
+        return found;
+    }
+
+    // ========== Образцы ==========
+
+    /**
+     * Образец в позиции объявления или присваивания
+     */
+    genPattern(node) {
+        if (!node) {
+            return '';
+        }
+
+        switch (node.type) {
+            case 'Identifier':
+                return this.safeName(node.name);
+
+            case 'AssignmentPattern':
+                return `${this.genPattern(node.left)} = ${this.genExpression(node.right)}`;
+
+            case 'RestElement':
+            case 'SpreadElement':
+                return `...${this.genPattern(node.argument)}`;
+
+            case 'ArrayPattern':
+            case 'ArrayExpression':
+                return `[${node.elements.map(element => element ? this.genPattern(element) : '').join(', ')}]`;
+
+            case 'ObjectPattern':
+            case 'ObjectExpression': {
+                const properties = node.properties.map(property => {
+                    if (property.type === 'RestElement') {
+                        return `...${this.genPattern(property.argument)}`;
+                    }
+                    const key = property.key.name ?? property.key.value;
+                    const value = property.value || property.key;
+                    if (value.type === 'Identifier' && value.name === key && this.safeName(key) === key) {
+                        return key;
+                    }
+                    return `${this.propertyKey(key)}: ${this.genPattern(value.type === 'PropertyKey' ? { type: 'Identifier', name: value.value } : value)}`;
+                });
+                return `{ ${properties.join(', ')} }`;
+            }
+
+            case 'MemberExpression':
+                return this.genExpression(node);
+
+            default:
+                throw this.error(`недопустимая цель деструктуризации '${node.type}'`);
+        }
+    }
+
+    /**
+     * Правая часть деструктуризации: массивный образец читает любое итерируемое
+     */
+    genDestructuringSource(pattern, initializer) {
+        const source = this.genExpression(initializer);
+        return pattern.type === 'ArrayPattern' ? `${this.helper('iter')}(${source})` : source;
+    }
+
+    // ========== Выражения ==========
+
+    genArguments(args) {
+        return args.map(arg => arg && arg.type === 'SpreadElement'
+            ? `...${this.helper('iter')}(${this.genExpression(arg.argument)})`
+            : this.genExpression(arg)).join(', ');
+    }
+
+    /**
+     * Выражение; bare = true для верхнего уровня инструкции (присваивания без скобок)
+     */
+    genExpression(node, bare = false) {
+        if (!node) {
+            return 'null';
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                return this.genLiteral(node.value);
+
+            case 'TemplateLiteral':
+                return this.genTemplateLiteral(node);
+
+            case 'RegexLiteral':
+                return `${this.helper('regex')}(${JSON.stringify(node.pattern)}, ${JSON.stringify(node.flags)})`;
+
+            case 'Identifier':
+                return this.genIdentifier(node.name);
+
+            case 'ThisExpression':
+                return 'this';
+
+            case 'SuperExpression':
+                return 'super';
+
+            case 'BinaryExpression':
+            case 'BitwiseExpression': {
+                const exact = !this.isPlainLiteral(node.left) || !this.isPlainLiteral(node.right);
+                // Варианты, большие и десятичные сравниваются средой выполнения
+                if ((node.operator === '==' || node.operator === '!=') && exact) {
+                    const equals = `${this.helper('equals')}(${this.genExpression(node.left)}, ${this.genExpression(node.right)})`;
+                    return node.operator === '==' ? equals : `(!${equals})`;
+                }
+                if (node.type === 'BinaryExpression' && Object.hasOwn(NUMERIC_HELPERS, node.operator) && exact) {
+                    return `${this.helper(NUMERIC_HELPERS[node.operator])}(${this.genExpression(node.left)}, ${this.genExpression(node.right)})`;
+                }
+                const operator = node.operator === 'экземпляр' ? 'instanceof' : node.operator;
+                return `(${this.genExpression(node.left)} ${operator} ${this.genExpression(node.right)})`;
+            }
+
+            case 'UnaryExpression': {
+                const operand = this.genExpression(node.operand);
+                if (node.operator === 'typeof') {
+                    return `${this.helper('typeOf')}(${operand})`;
+                }
+                if (node.operator === '-' && !this.isPlainLiteral(node.operand)) {
+                    return `${this.helper('neg')}(${operand})`;
+                }
+                const operator = node.operator === 'не' ? '!' : node.operator;
+                return `(${operator}${operand})`;
+            }
+
+            case 'CallExpression': {
+                let callee = this.genExpression(node.callee);
+                if (['FunctionDeclaration', 'ArrowFunctionExpression'].includes(node.callee.type)) {
+                    callee = `(${callee})`;
+                }
+                return `${callee}${node.optional ? '?.' : ''}(${this.genArguments(node.args)})`;
+            }
+
+            case 'NewExpression':
+                return `new ${this.genExpression(node.callee)}(${this.genArguments(node.args)})`;
+
+            case 'MemberExpression':
+                return this.genPrivateAccess(node) ?? this.genMember(node.object, node.property, node.computed, node.optional);
+
+            case 'ChainExpression':
+                // Прерванная цепочка даёт ничто, как в интерпретаторе; скобки сохраняют её границу
+                return `(${this.genExpression(node.expression)} ?? null)`;
+
+            case 'Assignment':
+                if (!this.declared.has(node.name)) {
+                    return `${this.helper('missing')}(${JSON.stringify(node.name)}, true)`;
+                }
+                return this.wrap(`${this.genIdentifier(node.name)} = ${this.genExpression(node.value)}`, bare);
+
+            case 'MemberAssignment':
+                return this.genPrivateAccess(node, node.value) ?? this.wrap(`${this.genMember(node.object, node.property, node.computed)} = ${this.genExpression(node.value)}`, bare);
+
+            case 'AssignmentExpression':
+                return `(${this.genPattern(node.left)} = ${this.genDestructuringSource(node.left, node.right)})`;
+
+            case 'CompoundAssignmentExpression':
+                return this.genCompoundAssignment(node, bare);
+
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return `[${node.elements.map(element => {
+                    if (!element) return '';
+                    if (element.type === 'SpreadElement' || element.type === 'RestElement') {
+                        return `...${this.helper('iter')}(${this.genExpression(element.argument)})`;
+                    }
+                    return this.genExpression(element);
+                }).join(', ')}]`;
+
+            case 'ObjectExpression':
+            case 'ObjectPattern':
+                return this.genObject(node);
+
+            case 'FunctionDeclaration':
+                return this.genFunction(node);
+
+            case 'ArrowFunctionExpression':
+                return this.genArrowFunction(node);
+
+            case 'TernaryExpression':
+                return `(${this.genExpression(node.condition)} ? ${this.genExpression(node.thenExpr)} : ${this.genExpression(node.elseExpr)})`;
+
+            case 'AwaitExpression':
+                if (this.functionStack.length > 0 && !this.functionStack[this.functionStack.length - 1].isAsync) {
+                    throw this.error('"ждать" в скомпилированном коде допустимо только в асинхронной функции или на верхнем уровне модуля');
+                }
+                return `(await ${this.genExpression(node.argument)})`;
+
+            case 'YieldExpression': {
+                const context = this.functionStack[this.functionStack.length - 1];
+                if (!context || !context.isGenerator) {
+                    throw this.error('"выдать" можно использовать только внутри функции-генератора (функция*)');
+                }
+                if (node.delegate) {
+                    return `(yield* ${this.helper('iter')}(${this.genExpression(node.argument)}))`;
+                }
+                return node.argument ? `(yield ${this.genExpression(node.argument)})` : '(yield)';
+            }
+
+            case 'ImportExpression':
+                this.recordImport(node.path);
+                return `import(${JSON.stringify(this.modulePath(node.path))})`;
+
+            case 'SequenceExpression':
+                return `(${node.expressions.map(expression => this.genExpression(expression)).join(', ')})`;
+
+            case 'SpreadElement':
+                return `...${this.helper('iter')}(${this.genExpression(node.argument)})`;
+
+            case 'MatchExpression':
+                return this.genMatch(node);
+
+            default:
+                throw this.error(`неизвестный тип выражения '${node.type}'`);
+        }
+    }
+
+    wrap(code, bare) {
+        return bare ? code : `(${code})`;
+    }
+
+    /**
+     * Литерал, который не может быть большим или десятичным
+     */
+    isPlainLiteral(node) {
+        return node.type === 'Literal' && (node.value === null || typeof node.value !== 'object' && typeof node.value !== 'bigint');
+    }
+
+    /**
+     * x += y → x = __vx.add(x, y), если цель можно безопасно прочитать дважды
+     */
+    genCompoundAssignment(node, bare) {
+        const { left } = node;
+        if (left.type === 'Identifier' && !this.declared.has(left.name)) {
+            return this.genIdentifier(left.name);
+        }
+        const target = left.type === 'MemberExpression'
+            ? this.genMember(left.object, left.property, left.computed)
+            : this.genExpression(left);
+        const helper = NUMERIC_HELPERS[node.operator.slice(0, -1)];
+        const repeatable = left.type === 'Identifier' || (left.type === 'MemberExpression' &&
+            ['Identifier', 'ThisExpression'].includes(left.object.type) &&
+            (!left.computed || ['Identifier', 'Literal'].includes(left.property.type)));
+
+        if (helper && repeatable) {
+            return this.wrap(`${target} = ${this.helper(helper)}(${target}, ${this.genExpression(node.right)})`, bare);
+        }
+        return this.wrap(`${target} ${node.operator} ${this.genExpression(node.right)}`, bare);
+    }
+
+    genLiteral(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'number') {
+            return value < 0 || Object.is(value, -0) ? `(${value})` : String(value);
+        }
+        if (typeof value === 'bigint') {
+            return `${value}n`;
+        }
+        if (typeof value === 'object') {
+            // У JavaScript нет десятичных: значение создаёт среда выполнения
+            return `${this.helper('decimal')}(${JSON.stringify(String(value))})`;
+        }
+        return JSON.stringify(value);
+    }
+
+    genTemplateLiteral(node) {
+        let code = '`';
+        node.quasis.forEach((quasi, index) => {
+            code += (quasi.value || '')
+                .replace(/\\/g, '\\\\')
+                .replace(/`/g, '\\`')
+                .replace(/\$\{/g, '\\${')
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r');
+            if (index < node.expressions.length) {
+                // Значение подставляется так же, как его выводит печать()
+                const expression = node.expressions[index];
+                code += '${' + (this.isPlainLiteral(expression) ? this.genExpression(expression) : `${this.helper('format')}(${this.genExpression(expression)})`) + '}';
+            }
+        });
+        return code + '`';
+    }
+
+    genMember(object, property, computed, optional = false) {
+        let target = this.genExpression(object);
+        if (object.type === 'Literal' && typeof object.value === 'number' || /^[{]|^function\b/.test(target)) {
+            target = `(${target})`;
+        }
+        const link = optional ? '?.' : '';
+        if (computed || property.type !== 'Identifier') {
+            return `${target}${link}[${this.genExpression(property)}]`;
+        }
+        return IDENTIFIER_RE.test(property.name) || (property.name.startsWith('#') && IDENTIFIER_RE.test(property.name.slice(1)))
+            ? `${target}${optional ? '?.' : '.'}${property.name}`
+            : `${target}${link}[${JSON.stringify(property.name)}]`;
+    }
+
+    /**
+     * Чтение или запись приватного члена другого объекта: без члена #имя — ошибка
+     * интерпретатора вместо TypeError JavaScript. null, если проверка не нужна
+     */
+    genPrivateAccess(node, value = null) {
+        const { object, property } = node;
+        if (node.computed || node.optional || property.type !== 'Identifier' || !property.name.startsWith('#') ||
+            object.type === 'ThisExpression') {
+            return null;
+        }
+        const name = property.name;
+        const owner = [...this.classStack].reverse().find(entry => entry.privateNames.has(name)) || this.classStack.at(-1);
+        const fail = `${this.helper('notOwner')}(${JSON.stringify(name)}, ${JSON.stringify(owner ? owner.name : '')})`;
+        const target = this.genExpression(object);
+        if (value === null) {
+            return `((object) => ${name} in Object(object) ? object.${name} : ${fail})(${target})`;
+        }
+        return `((object, value) => ${name} in Object(object) ? (object.${name} = value) : ${fail})(${target}, ${this.genExpression(value)})`;
+    }
+
+    genObject(node) {
+        const properties = node.properties.map(property => {
+            if (property.type === 'SpreadElement' || property.type === 'RestElement') {
+                return `...${this.genExpression(property.argument)}`;
+            }
+            const key = property.key.name ?? property.key.value;
+            // Сокращённая запись { имя } — значение совпадает с ключом
+            if (property.value === property.key && property.key.type === 'Identifier') {
+                const value = this.genIdentifier(key);
+                return value === key ? key : `${this.propertyKey(key)}: ${value}`;
+            }
+            return `${this.propertyKey(key)}: ${this.genExpression(property.value)}`;
+        });
+        return properties.length ? `{ ${properties.join(', ')} }` : '{}';
+    }
+
+    // ========== Сопоставление с образцом ==========
+
+    /**
+     * сопоставить → немедленно вызываемая стрелочная функция с цепочкой проверок
+     */
+    genMatch(node) {
+        if (node.arms.some(arm => this.containsOutsideFunctions(arm, 'YieldExpression'))) {
+            throw this.error('"выдать" внутри сопоставить не поддерживается при компиляции', node);
+        }
+
+        const subject = `match$${this.matchCounter++}`;
+        const isAsync = node.arms.some(arm => this.containsOutsideFunctions(arm, 'AwaitExpression'));
+        const context = this.functionStack[this.functionStack.length - 1];
+        this.functionStack.push({ isAsync: isAsync || !context || context.isAsync, isGenerator: false });
+
+        try {
+            const arms = node.arms.map(arm => this.genMatchArm(arm, subject));
+            if (node.default) {
+                arms.push(`return ${this.genExpression(node.default.result || node.default)};`);
+            }
+
+            const location = node.line !== undefined ? `[${this.filename}:${node.line}:${node.column}]` : `[${this.filename}]`;
+            arms.push(`return ${this.helper('noMatch')}(${subject}, ${JSON.stringify(location)});`);
+
+            const fn = `${isAsync ? 'async ' : ''}(${subject}) => {\n${this.indent(arms.join('\n'))}\n}`;
+            const call = `(${fn})(${this.genExpression(node.value)})`;
+            return isAsync ? `(await ${call})` : call;
+        } finally {
+            this.functionStack.pop();
+        }
+    }
+
+    genMatchArm(arm, subject) {
+        const tests = [];
+        const bindings = [];
+        this.genMatchTest(arm.pattern, subject, tests, bindings);
+
+        const lines = bindings.map(([name, access]) => `const ${this.safeName(name)} = ${access};`);
+        const result = `return ${this.genExpression(arm.result)};`;
+        lines.push(arm.guard ? `if (${this.genExpression(arm.guard)}) ${result}` : result);
+
+        const body = `{\n${this.indent(lines.join('\n'))}\n}`;
+        return tests.length ? `if (${tests.join(' && ')}) ${body}` : body;
+    }
+
+    /**
+     * Условия и привязки для образца; access — JS-выражение проверяемого значения
+     */
+    genMatchTest(pattern, access, tests, bindings) {
+        switch (pattern.type) {
+            case 'Identifier':
+                if (pattern.name !== '_') {
+                    bindings.push([pattern.name, access]);
+                }
+                break;
+
+            case 'Literal':
+                // Образец ничто подходит и для отсутствующего значения
+                tests.push(pattern.value === null ? `${access} == null` : `${access} === ${this.genLiteral(pattern.value)}`);
+                break;
+
+            case 'RangePattern':
+                tests.push(`typeof ${access} === ${JSON.stringify(typeof pattern.start.value)}`);
+                tests.push(`${access} >= ${this.genLiteral(pattern.start.value)} && ${access} <= ${this.genLiteral(pattern.end.value)}`);
+                break;
+
+            case 'VariantPattern': {
+                tests.push(`${this.helper('isVariant')}(${access}, ${JSON.stringify(pattern.variant)}, ${JSON.stringify(pattern.enumName)})`);
+                // Без скобок поля не проверяются
+                if (pattern.args) {
+                    const values = `${this.helper('variantValues')}(${access})`;
+                    tests.push(`${values}.length === ${pattern.args.length}`);
+                    pattern.args.forEach((arg, index) => this.genMatchTest(arg, `${values}[${index}]`, tests, bindings));
+                }
+                break;
+            }
+
+            case 'TypePattern':
+                tests.push(`${this.helper('typeOf')}(${access}) === ${JSON.stringify(pattern.typeName)}`);
+                if (pattern.binding) {
+                    bindings.push([pattern.binding.name, access]);
+                }
+                break;
+
+            case 'ArrayPattern': {
+                const restIndex = pattern.elements.findIndex(element => element && element.type === 'RestElement');
+                const fixedCount = restIndex === -1 ? pattern.elements.length : restIndex;
+
+                tests.push(`Array.isArray(${access})`);
+                tests.push(restIndex === -1 ? `${access}.length === ${fixedCount}` : `${access}.length >= ${fixedCount}`);
+
+                for (let i = 0; i < fixedCount; i++) {
+                    if (pattern.elements[i]) {
+                        this.genMatchTest(pattern.elements[i], `${access}[${i}]`, tests, bindings);
+                    }
+                }
+                if (restIndex !== -1 && pattern.elements[restIndex].argument.name !== '_') {
+                    bindings.push([pattern.elements[restIndex].argument.name, `${access}.slice(${fixedCount})`]);
+                }
+                break;
+            }
+
+            case 'ObjectPattern': {
+                const type = `${this.helper('typeOf')}(${access})`;
+                tests.push(`(${type} === "object" || ${type} === "instance")`);
+
+                const keys = [];
+                let rest = null;
+                for (const property of pattern.properties) {
+                    if (property.type === 'RestElement') {
+                        rest = property;
+                        continue;
+                    }
+                    const key = property.key.name ?? property.key.value;
+                    keys.push(key);
+                    tests.push(`Object.prototype.hasOwnProperty.call(${access}, ${JSON.stringify(key)})`);
+                    this.genMatchTest(property.value, `${access}[${JSON.stringify(key)}]`, tests, bindings);
+                }
+                if (rest && rest.argument.name !== '_') {
+                    bindings.push([rest.argument.name, `${this.helper('omit')}(${access}, ${JSON.stringify(keys)})`]);
+                }
+                break;
+            }
+
+            default:
+                throw this.error(`неподдерживаемый образец '${pattern.type}'`);
+        }
+    }
+}
+
+export default AOTCompiler;
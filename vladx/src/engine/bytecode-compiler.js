@@ -0,0 +1,780 @@
+/**
+ * VladX Bytecode Compiler — Компиляция AST в байт-код стековой виртуальной машины
+ * Переменные остаются в окружениях Environment, как в интерпретаторе, поэтому конструкции,
+ * для которых нет байт-кода (классы, выбор, импорт, сопоставить), выполняет интерпретатор
+ * через операции EVAL/EVAL_EXPR прямо в окружении кадра
+ */
+
+import { OpCode, BytecodeFunction } from './bytecode.js';
+import { VladXObject } from '../runtime/vladx-object.js';
+
+// Инструкции, которые всегда выполняет интерпретатор
+const DELEGATED_STATEMENTS = new Set([
+    'ClassDeclaration', 'EnumDeclaration', 'SwitchStatement', 'ImportStatement', 'ExportStatement', 'VariableDeclarationWithPattern'
+]);
+
+const BINARY_OPS = {
+    '+': OpCode.ADD, '-': OpCode.SUB, '*': OpCode.MUL, '/': OpCode.DIV, '%': OpCode.MOD, '**': OpCode.POW,
+    '==': OpCode.EQ, '!=': OpCode.NE, '<': OpCode.LT, '>': OpCode.GT, '<=': OpCode.LE, '>=': OpCode.GE,
+    '&&': OpCode.AND, '||': OpCode.OR
+};
+
+const UNARY_OPS = { '-': OpCode.NEG, '+': OpCode.POS, '!': OpCode.NOT };
+
+export class BytecodeCompiler {
+    /**
+     * Компиляция тела программы: результат — значение последней непустой инструкции
+     */
+    compileProgram(program, name = '<program>') {
+        this.reset();
+
+        const statements = program.body.filter(statement => statement.type !== 'EmptyStatement');
+        statements.forEach((statement, index) => {
+            this.compileStatement(statement, index === statements.length - 1);
+        });
+        if (statements.length === 0) {
+            this.emit(OpCode.NULL);
+        }
+        this.emit(OpCode.RETURN);
+
+        return this.finish(name);
+    }
+
+    /**
+     * Компиляция функции (объявление, стрелочная функция или метод класса)
+     * Неявный результат — значение последнего выражения верхнего уровня тела, как в executeFunction
+     */
+    compileFunction(ast, name = '<anonymous>') {
+        this.reset();
+
+        (ast.params || []).forEach((param, index) => this.compileParam(param, index));
+
+        const statements = (ast.body && ast.body.body) || [];
+        if (statements.length === 0) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.RETURN);
+            return this.finish(name);
+        }
+
+        const lastExpression = this.temp();
+        const lastResult = this.temp();
+        this.emit(OpCode.CONST, this.constant(null));
+        this.emit(OpCode.STORE_TEMP, lastExpression);
+
+        statements.forEach((statement, index) => {
+            const isExpression = statement.type === 'ExpressionStatement';
+            const isLast = index === statements.length - 1;
+            this.compileStatement(statement, isExpression || isLast);
+            if (isExpression && isLast) this.emit(OpCode.DUP);
+            if (isExpression) this.emit(OpCode.STORE_TEMP, lastExpression);
+            if (isLast) this.emit(OpCode.STORE_TEMP, lastResult);
+        });
+        this.emit(OpCode.IMPLICIT_RESULT, lastExpression, lastResult);
+        this.emit(OpCode.RETURN);
+
+        return this.finish(name);
+    }
+
+    reset() {
+        this.code = [];
+        this.constants = [];
+        this.constantIndex = new Map();
+        this.tempCount = 0;
+        this.depth = 0; // Глубина стека обработчиков кадра (циклы, метки, попытка)
+        this.targets = []; // Цели прервать/продолжить внутри функции
+    }
+
+    finish(name) {
+        return new BytecodeFunction(name, Int32Array.from(this.code), this.constants, this.tempCount);
+    }
+
+    // ========== Кодирование ==========
+
+    emit(op, ...operands) {
+        this.code.push(op, ...operands);
+        return this.code.length - 1;
+    }
+
+    /**
+     * Переход с адресом, который будет заполнен позже; возвращает позицию операнда
+     */
+    emitJump(op) {
+        this.code.push(op, -1);
+        return this.code.length - 1;
+    }
+
+    patch(position, target = this.code.length) {
+        this.code[position] = target;
+    }
+
+    here() {
+        return this.code.length;
+    }
+
+    constant(value) {
+        const primitive = value === null || typeof value !== 'object';
+        const key = primitive ? `${typeof value}:${String(value)}` : null;
+        if (key !== null && this.constantIndex.has(key)) {
+            return this.constantIndex.get(key);
+        }
+
+        this.constants.push(value);
+        const index = this.constants.length - 1;
+        if (key !== null) this.constantIndex.set(key, index);
+        return index;
+    }
+
+    temp() {
+        return this.tempCount++;
+    }
+
+    // ========== Параметры ==========
+
+    compileParam(param, index) {
+        if (param.type === 'RestElement') {
+            this.emit(OpCode.PARAM_REST, index, this.constant(param.argument.name));
+        } else if (param.type === 'AssignmentPattern') {
+            const skip = this.emit(OpCode.PARAM_DEFAULT, index, this.constant(param.left.name), -1);
+            this.compileExpression(param.right);
+            this.emit(OpCode.DEFINE, this.constant(param.left.name));
+            this.patch(skip);
+        } else {
+            this.emit(OpCode.PARAM, index, this.constant(param.name));
+        }
+    }
+
+    // ========== Инструкции ==========
+
+    /**
+     * Компиляция инструкции; needValue — оставить на стеке её значение (как evaluateStatement)
+     */
+    compileStatement(stmt, needValue = false) {
+        if (!stmt) {
+            if (needValue) this.emit(OpCode.NULL);
+            return;
+        }
+
+        if (DELEGATED_STATEMENTS.has(stmt.type)) {
+            this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+            return;
+        }
+
+        switch (stmt.type) {
+            case 'ExpressionStatement':
+                this.compileExpression(stmt.expression);
+                if (!needValue) this.emit(OpCode.POP);
+                return;
+
+            case 'LetStatement':
+            case 'ConstStatement':
+                if (stmt.type === 'ConstStatement' && !stmt.initializer) {
+                    // Сообщение об ошибке формирует интерпретатор
+                    this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+                    return;
+                }
+                if (stmt.initializer) {
+                    this.compileExpression(stmt.initializer);
+                } else {
+                    this.emit(OpCode.NULL);
+                }
+                if (needValue) this.emit(OpCode.DUP);
+                this.emit(stmt.type === 'ConstStatement' ? OpCode.DEFINE_CONST : OpCode.DEFINE, this.constant(stmt.name));
+                return;
+
+            case 'ReturnStatement':
+                if (stmt.argument) {
+                    this.compileExpression(stmt.argument);
+                } else {
+                    this.emit(OpCode.NULL);
+                }
+                this.emit(OpCode.RETURN);
+                return;
+
+            case 'ThrowStatement':
+                this.compileExpression(stmt.argument);
+                this.emit(OpCode.THROW);
+                return;
+
+            case 'BlockStatement':
+                this.compileStatements(stmt.body || [], needValue);
+                return;
+
+            case 'IfStatement': {
+                this.compileExpression(stmt.condition);
+                const toElse = this.emitJump(OpCode.JUMP_IF_FALSE);
+                this.compileStatement(stmt.thenBranch, needValue);
+                const toEnd = this.emitJump(OpCode.JUMP);
+                this.patch(toElse);
+                if (stmt.elseBranch) {
+                    this.compileStatement(stmt.elseBranch, needValue);
+                } else if (needValue) {
+                    this.emit(OpCode.NULL);
+                }
+                this.patch(toEnd);
+                return;
+            }
+
+            case 'WhileStatement':
+            case 'ForStatement':
+            case 'ForOfStatement':
+            case 'ForInStatement':
+                this.compileLoop(stmt, null, needValue);
+                return;
+
+            case 'LabeledStatement':
+                if (['WhileStatement', 'ForStatement', 'ForOfStatement', 'ForInStatement'].includes(stmt.body.type)) {
+                    this.compileLoop(stmt.body, stmt.label, needValue);
+                } else {
+                    this.compileLabeled(stmt, needValue);
+                }
+                return;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                this.compileJump(stmt);
+                return;
+
+            case 'FunctionDeclaration':
+                this.emit(OpCode.CLOSURE, this.constant(stmt));
+                if (!needValue) this.emit(OpCode.POP);
+                return;
+
+            case 'TryStatement':
+                if (this.canCompileTry(stmt)) {
+                    this.compileTry(stmt, needValue);
+                } else {
+                    this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+                }
+                return;
+
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                if (needValue) this.emit(OpCode.NULL);
+                return;
+
+            default:
+                this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+        }
+    }
+
+    compileStatements(statements, needValue) {
+        statements.forEach((statement, index) => this.compileStatement(statement, needValue && index === statements.length - 1));
+        if (statements.length === 0 && needValue) {
+            this.emit(OpCode.NULL);
+        }
+    }
+
+    /**
+     * Циклы: значение цикла — значение тела последней нормально завершённой итерации
+     */
+    compileLoop(stmt, label, needValue) {
+        const isIteration = stmt.type === 'ForOfStatement' || stmt.type === 'ForInStatement';
+        const result = needValue ? this.temp() : -1;
+        let iterTemp = -1;
+        let envTemp = -1;
+
+        if (stmt.type === 'ForStatement' && stmt.initializer && stmt.initializer.type !== 'EmptyStatement') {
+            this.compileStatement(stmt.initializer, false);
+        }
+        if (isIteration) {
+            iterTemp = this.temp();
+            envTemp = this.temp();
+            this.compileExpression(stmt.right);
+            this.emit(OpCode.ITER, stmt.type === 'ForInStatement' ? 1 : 0, iterTemp);
+            this.emit(OpCode.SAVE_ENV, envTemp);
+        }
+        if (needValue) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.STORE_TEMP, result);
+        }
+
+        // Сигналы прервать/продолжить цикл перехватывает только внутри тела (bodyStart..continuePc)
+        const descriptor = { label, breakPc: -1, continuePc: -1, bodyStart: -1, iterTemp };
+        this.emit(OpCode.ENTER_LOOP, this.constant(descriptor));
+        const target = { type: 'loop', label, depth: this.depth, breaks: [], continues: [], iterTemp, envTemp };
+        this.depth++;
+        this.targets.push(target);
+
+        const top = this.here();
+        let exitJump = -1;
+        if (isIteration) {
+            this.emit(OpCode.ITER_NEXT, iterTemp, -1);
+            exitJump = this.code.length - 1;
+            descriptor.bodyStart = this.here();
+            this.emit(OpCode.CHILD_ENV, envTemp, this.constant(stmt.type === 'ForInStatement' ? '<for-in>' : '<for-of>'));
+            this.compileLoopBinding(stmt);
+        } else if (stmt.type === 'WhileStatement' || stmt.condition) {
+            this.compileExpression(stmt.condition);
+            exitJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+        }
+        if (descriptor.bodyStart < 0) descriptor.bodyStart = this.here();
+
+        this.compileStatement(stmt.body, needValue);
+        if (needValue) this.emit(OpCode.STORE_TEMP, result);
+
+        this.targets.pop();
+        this.depth--;
+
+        descriptor.continuePc = this.here();
+        if (target.continues.length > 0) {
+            this.emit(OpCode.EXIT_HANDLER, target.depth + 1);
+        }
+        target.continues.forEach(position => this.patch(position, descriptor.continuePc));
+        if (stmt.type === 'ForStatement' && stmt.update && stmt.update.type !== 'EmptyStatement') {
+            this.compileExpression(stmt.update);
+            this.emit(OpCode.POP);
+        }
+        this.emit(OpCode.JUMP, top);
+
+        descriptor.breakPc = this.here();
+        if (exitJump >= 0) this.patch(exitJump, descriptor.breakPc);
+        target.breaks.forEach(position => this.patch(position, descriptor.breakPc));
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        if (isIteration) {
+            this.emit(OpCode.RESTORE_ENV, envTemp);
+            this.emit(OpCode.ITER_CLOSE, iterTemp);
+        }
+        if (needValue) this.emit(OpCode.LOAD_TEMP, result);
+    }
+
+    /**
+     * Привязка элемента к переменной заголовка для-из / для-в (как bindLoopTarget)
+     */
+    compileLoopBinding(stmt) {
+        if (stmt.kind && stmt.left.type === 'Identifier') {
+            this.emit(stmt.kind === 'const' ? OpCode.DEFINE_CONST : OpCode.DEFINE, this.constant(stmt.left.name));
+        } else if (stmt.kind) {
+            this.emit(OpCode.BIND_PATTERN, this.constant(stmt.left), stmt.kind === 'const' ? 1 : 0);
+        } else if (stmt.left.type === 'Identifier') {
+            this.emit(OpCode.STORE, this.constant(stmt.left.name));
+            this.emit(OpCode.POP);
+        } else {
+            this.emit(OpCode.BIND_PATTERN, this.constant(stmt.left), 2);
+        }
+    }
+
+    /**
+     * Метка не у цикла: "прервать метка" завершает инструкцию с пустым значением
+     */
+    compileLabeled(stmt, needValue) {
+        const descriptor = { label: stmt.label, breakPc: -1 };
+        this.emit(OpCode.ENTER_LABEL, this.constant(descriptor));
+        const target = { type: 'label', label: stmt.label, depth: this.depth, breaks: [] };
+        this.depth++;
+        this.targets.push(target);
+
+        this.compileStatement(stmt.body, needValue);
+
+        this.targets.pop();
+        this.depth--;
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        const toEnd = this.emitJump(OpCode.JUMP);
+
+        descriptor.breakPc = this.here();
+        target.breaks.forEach(position => this.patch(position, descriptor.breakPc));
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        if (needValue) this.emit(OpCode.NULL);
+        this.patch(toEnd);
+    }
+
+    /**
+     * прервать/продолжить: прямой переход к циклу этой же функции,
+     * иначе — сигнал, который разбирают обработчики кадров (как исключение в интерпретаторе)
+     */
+    compileJump(stmt) {
+        const isBreak = stmt.type === 'BreakStatement';
+        let index = this.targets.length - 1;
+
+        for (; index >= 0; index--) {
+            const target = this.targets[index];
+            if (stmt.label) {
+                if (target.label === stmt.label && (isBreak || target.type === 'loop')) break;
+            } else if (target.type === 'loop') {
+                break;
+            }
+        }
+
+        if (index < 0) {
+            this.emit(OpCode.SIGNAL, isBreak ? 0 : 1, stmt.label ? this.constant(stmt.label) : -1);
+            return;
+        }
+
+        // Покидаемые циклы перебора восстанавливают окружение и закрывают итераторы
+        for (let inner = this.targets.length - 1; inner > index; inner--) {
+            const target = this.targets[inner];
+            if (target.type === 'loop' && target.iterTemp >= 0) {
+                this.emit(OpCode.RESTORE_ENV, target.envTemp);
+                this.emit(OpCode.ITER_CLOSE, target.iterTemp);
+            }
+        }
+
+        const target = this.targets[index];
+        const position = this.emitJump(OpCode.JUMP);
+        (isBreak ? target.breaks : target.continues).push(position);
+    }
+
+    /**
+     * попытка компилируется, только если из неё не выходят вернуть/прервать/продолжить:
+     * в интерпретаторе такие выходы проходят через перехват, и эту семантику выполняет он сам
+     */
+    canCompileTry(stmt) {
+        let escapes = false;
+
+        const visit = (node, loops, labels) => {
+            if (escapes || !node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, loops, labels));
+                return;
+            }
+
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                case 'ClassDeclaration':
+                    return;
+                case 'ReturnStatement':
+                case 'YieldExpression':
+                    escapes = true;
+                    return;
+                case 'BreakStatement':
+                    if (node.label ? !labels.includes(node.label) : loops === 0) escapes = true;
+                    return;
+                case 'ContinueStatement':
+                    if (node.label ? !labels.includes(node.label) : loops === 0) escapes = true;
+                    return;
+                case 'WhileStatement':
+                case 'ForStatement':
+                case 'ForOfStatement':
+                case 'ForInStatement':
+                    for (const [key, value] of Object.entries(node)) {
+                        if (key !== 'type' && value && typeof value === 'object') visit(value, loops + 1, labels);
+                    }
+                    return;
+                case 'SwitchStatement':
+                    // Неименованный прервать внутри выбор завершает выбор
+                    for (const [key, value] of Object.entries(node)) {
+                        if (key !== 'type' && value && typeof value === 'object') visit(value, loops + 1, labels);
+                    }
+                    return;
+                case 'LabeledStatement':
+                    visit(node.body, loops, [...labels, node.label]);
+                    return;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') visit(value, loops, labels);
+            }
+        };
+
+        visit([stmt.block, stmt.handler, stmt.finalizer], 0, []);
+        return !escapes;
+    }
+
+    /**
+     * попытка/перехват/наконец с семантикой evaluateTryStatement: перехват получает строку ошибки,
+     * ошибка без перехвата поглощается, наконец выполняется после попытки или перехвата
+     */
+    compileTry(stmt, needValue) {
+        const result = needValue ? this.temp() : -1;
+        const storeEach = (statements) => {
+            statements.forEach(statement => {
+                this.compileStatement(statement, needValue);
+                if (needValue) this.emit(OpCode.STORE_TEMP, result);
+            });
+        };
+
+        if (needValue) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.STORE_TEMP, result);
+        }
+
+        const depth = this.depth;
+        const toCatch = this.emitJump(OpCode.ENTER_TRY);
+        this.depth++;
+        storeEach((stmt.block && stmt.block.body) || []);
+        this.depth--;
+        this.emit(OpCode.EXIT_HANDLER, depth);
+        const toFinally = this.emitJump(OpCode.JUMP);
+
+        this.patch(toCatch);
+        if (stmt.handler) {
+            const outerEnv = this.temp();
+            this.emit(OpCode.CATCH, stmt.handler.param ? this.constant(stmt.handler.param) : -1, outerEnv);
+            storeEach((stmt.handler.body && stmt.handler.body.body) || []);
+            this.emit(OpCode.LEAVE_CATCH, outerEnv);
+        }
+
+        this.patch(toFinally);
+        if (stmt.finalizer) {
+            storeEach(stmt.finalizer.body || []);
+        }
+        if (needValue) this.emit(OpCode.LOAD_TEMP, result);
+    }
+
+    // ========== Выражения ==========
+
+    /**
+     * Компиляция выражения: на стеке остаётся ровно одно значение
+     */
+    compileExpression(expr) {
+        if (!expr) {
+            this.emit(OpCode.NULL);
+            return;
+        }
+
+        switch (expr.type) {
+            case 'Literal':
+                this.emit(OpCode.CONST, this.constant(this.literal(expr.value)));
+                return;
+
+            case 'Identifier':
+                this.emit(OpCode.LOAD, this.constant(expr.name));
+                return;
+
+            case 'ThisExpression':
+                this.emit(OpCode.THIS);
+                return;
+
+            case 'BinaryExpression':
+                if (!BINARY_OPS[expr.operator]) break;
+                this.compileExpression(expr.left);
+                this.compileExpression(expr.right);
+                this.emit(BINARY_OPS[expr.operator]);
+                return;
+
+            case 'UnaryExpression':
+                this.compileExpression(expr.operand);
+                if (UNARY_OPS[expr.operator] !== undefined) {
+                    this.emit(UNARY_OPS[expr.operator]);
+                } else {
+                    this.emit(OpCode.UNARY, this.constant(expr.operator));
+                }
+                return;
+
+            case 'BitwiseExpression':
+                this.compileExpression(expr.left);
+                this.compileExpression(expr.right);
+                this.emit(OpCode.BITWISE, this.constant(expr.operator));
+                return;
+
+            case 'TernaryExpression': {
+                this.compileExpression(expr.condition);
+                const toElse = this.emitJump(OpCode.JUMP_IF_FALSE);
+                this.compileExpression(expr.thenExpr);
+                const toEnd = this.emitJump(OpCode.JUMP);
+                this.patch(toElse);
+                this.compileExpression(expr.elseExpr);
+                this.patch(toEnd);
+                return;
+            }
+
+            case 'SequenceExpression': {
+                const expressions = expr.expressions || [];
+                if (expressions.length === 0) {
+                    this.emit(OpCode.NULL);
+                    return;
+                }
+                expressions.forEach((item, index) => {
+                    this.compileExpression(item);
+                    if (index < expressions.length - 1) this.emit(OpCode.POP);
+                });
+                return;
+            }
+
+            case 'TemplateLiteral': {
+                if (!expr.expressions) {
+                    this.emit(OpCode.CONST, this.constant(VladXObject.string('')));
+                    return;
+                }
+                const quasis = (expr.quasis || []).map(quasi => quasi.value || '');
+                const count = Math.min(expr.expressions.length, quasis.length);
+                for (let i = 0; i < count; i++) {
+                    this.compileExpression(expr.expressions[i]);
+                }
+                this.emit(OpCode.TEMPLATE, this.constant(quasis), count);
+                return;
+            }
+
+            case 'MemberExpression':
+                this.compileExpression(expr.object);
+                this.compileMemberAccess(expr);
+                return;
+
+            case 'CallExpression':
+                this.compileCall(expr);
+                return;
+
+            case 'NewExpression':
+                if (expr.args.some(arg => arg && arg.type === 'SpreadElement')) break;
+                this.compileExpression(expr.callee);
+                this.emit(OpCode.ASSERT_CLASS);
+                expr.args.forEach(arg => this.compileExpression(arg));
+                this.emit(OpCode.NEW, expr.args.length);
+                return;
+
+            case 'Assignment':
+                this.compileExpression(expr.value);
+                if (expr.name) {
+                    this.emit(OpCode.STORE, this.constant(expr.name));
+                }
+                return;
+
+            case 'MemberAssignment':
+                this.compileExpression(expr.object);
+                this.compileExpression(expr.value);
+                if (expr.computed || expr.property.type !== 'Identifier') {
+                    this.compileExpression(expr.property);
+                    this.emit(OpCode.SET_INDEX, expr.computed ? 1 : 0);
+                } else {
+                    this.emit(OpCode.SET_FIELD, this.constant(expr.property.name));
+                }
+                return;
+
+            case 'CompoundAssignmentExpression':
+                if (this.compileCompound(expr)) return;
+                break;
+
+            case 'AwaitExpression':
+                this.compileExpression(expr.argument);
+                this.emit(OpCode.AWAIT);
+                return;
+
+            case 'ArrayExpression':
+            case 'ArrayPattern': {
+                const elements = expr.elements || [];
+                const hasSpread = elements.some(element => element && element.type === 'SpreadElement');
+                if (hasSpread && expr.type === 'ArrayPattern') break;
+                this.compileList(elements, hasSpread, OpCode.LIST_SPREAD_ELEMENTS);
+                this.emit(hasSpread ? OpCode.LIST_TO_ARRAY : OpCode.ARRAY, ...(hasSpread ? [] : [elements.length]));
+                return;
+            }
+
+            case 'ObjectExpression':
+            case 'ObjectPattern': {
+                const properties = (expr.properties || []).filter(Boolean);
+                if (properties.some(property => !property.key)) break;
+                const keys = properties.map(property => property.key.value || property.key.name || String(property.key));
+                properties.forEach(property => this.compileExpression(property.value));
+                this.emit(OpCode.OBJECT, this.constant(keys), properties.length);
+                return;
+            }
+
+            case 'FunctionDeclaration':
+                this.emit(OpCode.CLOSURE, this.constant(expr));
+                return;
+
+            case 'ArrowFunctionExpression':
+                this.emit(OpCode.ARROW, this.constant(expr));
+                return;
+        }
+
+        // Всё остальное (сопоставить, импорт(), супер, выдать...) вычисляет интерпретатор
+        this.emit(OpCode.EVAL_EXPR, this.constant(expr));
+    }
+
+    literal(value) {
+        if (typeof value === 'number') return VladXObject.number(value);
+        if (typeof value === 'boolean') return VladXObject.boolean(value);
+        if (value === null) return VladXObject.null();
+        if (typeof value === 'string') return VladXObject.string(value);
+        // большое и десятичное
+        return VladXObject.fromJS(value);
+    }
+
+    compileMemberAccess(expr) {
+        if (expr.computed) {
+            this.compileExpression(expr.property);
+            this.emit(OpCode.GET_INDEX);
+        } else {
+            this.emit(OpCode.GET_FIELD, this.constant(expr.property.name));
+        }
+    }
+
+    /**
+     * Элементы или аргументы; со spread собираются в список операциями LIST_*
+     */
+    compileList(items, hasSpread, spreadOp) {
+        if (hasSpread) {
+            this.emit(OpCode.LIST);
+        }
+        for (const item of items) {
+            if (!item) {
+                this.emit(OpCode.CONST, this.constant(null));
+            } else if (item.type === 'SpreadElement') {
+                this.compileExpression(item.argument);
+                this.emit(spreadOp);
+                continue;
+            } else {
+                this.compileExpression(item);
+            }
+            if (hasSpread) this.emit(OpCode.LIST_PUSH);
+        }
+    }
+
+    /**
+     * Вызов; для obj.метод() объект вычисляется, как в evaluateCallExpression,
+     * дважды — для "это" и для самого метода (простые имена — один раз)
+     */
+    compileCall(expr) {
+        const callee = expr.callee;
+        let hasOwner = 0;
+
+        if (callee.type === 'MemberExpression') {
+            hasOwner = 1;
+            this.compileExpression(callee.object);
+            if (['Identifier', 'ThisExpression'].includes(callee.object.type)) {
+                this.emit(OpCode.DUP);
+            } else {
+                this.compileExpression(callee.object);
+            }
+            this.compileMemberAccess(callee);
+        } else {
+            this.compileExpression(callee);
+        }
+
+        const hasSpread = expr.args.some(arg => arg && arg.type === 'SpreadElement');
+        this.compileList(expr.args, hasSpread, OpCode.LIST_SPREAD_ARGS);
+        if (hasSpread) {
+            this.emit(OpCode.CALL_LIST, hasOwner);
+        } else {
+            this.emit(OpCode.CALL, expr.args.length, hasOwner);
+        }
+    }
+
+    /**
+     * Составное присваивание имени или obj.имя; текущее значение читается после правой части
+     */
+    compileCompound(expr) {
+        // ??= не вычисляет правую часть, если значение уже есть, — это делает интерпретатор
+        if (expr.operator === '??=') return false;
+        const operator = this.constant(expr.operator);
+
+        if (expr.left.type === 'Identifier') {
+            const name = this.constant(expr.left.name);
+            this.emit(OpCode.LOAD, name);
+            this.emit(OpCode.POP);
+            this.compileExpression(expr.right);
+            this.emit(OpCode.LOAD, name);
+            this.emit(OpCode.COMPOUND, operator);
+            this.emit(OpCode.STORE, name);
+            return true;
+        }
+
+        // Объект вычисляется один раз; чтение и запись идут через геттер и сеттер
+        if (expr.left.type === 'MemberExpression' && !expr.left.computed) {
+            const property = this.constant(expr.left.property.name);
+            const object = this.temp();
+            this.compileExpression(expr.left.object);
+            this.emit(OpCode.STORE_TEMP, object);
+            this.emit(OpCode.LOAD_TEMP, object);
+            this.compileExpression(expr.right);
+            this.emit(OpCode.LOAD_TEMP, object);
+            this.emit(OpCode.GET_FIELD, property);
+            this.emit(OpCode.COMPOUND, operator);
+            this.emit(OpCode.SET_FIELD, property);
+            return true;
+        }
+
+        return false;
+    }
+}
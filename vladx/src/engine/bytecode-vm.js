@@ -0,0 +1,1145 @@
+/**
+ * VladX Bytecode VM — Стековая виртуальная машина для байт-кода BytecodeCompiler
+ * Значения, окружения и операции те же, что у интерпретатора (VladXObject, Environment,
+ * binaryOperation, getMember...), поэтому результаты совпадают с обходом дерева.
+ * Вызовы функций внутри ВМ не создают промисов: кадры лежат в собственном стеке «волокна»,
+ * а асинхронность появляется только в точках реальной приостановки — ожидать, промис
+ * встроенной функции, асинхронный перебор и конструкции, выполняемые интерпретатором
+ */
+
+import { OpCode } from './bytecode.js';
+import { BytecodeCompiler } from './bytecode-compiler.js';
+import { VladXObject } from '../runtime/vladx-object.js';
+import { Environment } from '../runtime/environment.js';
+
+// Коды операций как константы модуля: метки case без обращений к свойствам
+const {
+    CONST, NULL, POP, DUP, LOAD, DEFINE, DEFINE_CONST, STORE, LOAD_TEMP, STORE_TEMP, ADD, SUB, MUL,
+    DIV, MOD, POW, EQ, NE, LT, GT, LE, GE, AND, OR, NEG, POS, NOT, UNARY, BITWISE, COMPOUND, JUMP,
+    JUMP_IF_FALSE, GET_FIELD, GET_INDEX, SET_FIELD, SET_INDEX, ARRAY,
+    LIST, LIST_PUSH, LIST_SPREAD_ARGS, LIST_SPREAD_ELEMENTS, LIST_TO_ARRAY, OBJECT, TEMPLATE,
+    CLOSURE, ARROW, THIS, CALL, CALL_LIST, ASSERT_CLASS, NEW, AWAIT, IMPLICIT_RESULT, RETURN,
+    THROW, SIGNAL, ENTER_LOOP, ENTER_LABEL, ENTER_TRY, EXIT_HANDLER, CATCH, LEAVE_CATCH, SAVE_ENV,
+    RESTORE_ENV, CHILD_ENV, ITER, ITER_NEXT, ITER_CLOSE, BIND_PATTERN, PARAM, PARAM_REST,
+    PARAM_DEFAULT, EVAL, EVAL_EXPR
+} = OpCode;
+
+const NOT_HANDLED = Symbol('NOT_HANDLED');
+const SUSPEND = Symbol('SUSPEND');
+const ignore = () => {};
+
+const HANDLER_LOOP = 0;
+const HANDLER_LABEL = 1;
+const HANDLER_TRY = 2;
+
+/**
+ * Кадр вызова функции (или программы)
+ */
+class Frame {
+    constructor(proto, fn, env, instance, args, saved) {
+        this.proto = proto;
+        this.fn = fn;
+        this.env = env;
+        this.instance = instance;
+        this.args = args;
+        this.saved = saved; // Состояние интерпретатора вызывающей стороны
+        this.pc = 0;
+        this.stack = [];
+        this.temps = new Array(proto.tempCount).fill(null);
+        this.handlers = [];
+        this.caught = null;
+        this.construct = null; // Экземпляр, который вернёт конструктор
+        this.returning = false;
+        this.unwrapped = false;
+    }
+}
+
+/**
+ * Волокно — стек кадров одного входа в ВМ и ожидаемое значение при приостановке
+ */
+class Fiber {
+    constructor() {
+        this.frames = [];
+        this.pending = null;
+        this.onResolve = null;
+    }
+}
+
+export class BytecodeVM {
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        this.compiler = new BytecodeCompiler();
+        this.maxCallDepth = options.maxCallDepth || 10000;
+        this.protos = new WeakMap();
+        this.ticks = 0;
+        this.stats = {
+            compiled: 0,
+            failed: 0,
+            calls: 0,
+            suspensions: 0,
+            delegated: 0
+        };
+    }
+
+    /**
+     * Маркер "функцию выполняет интерпретатор"
+     */
+    static get NOT_HANDLED() {
+        return NOT_HANDLED;
+    }
+
+    // ========== Точки входа ==========
+
+    /**
+     * Выполнение программы в текущем окружении интерпретатора
+     */
+    runProgram(program) {
+        const proto = this.protoFor(program, () => this.compiler.compileProgram(program));
+        if (!proto) {
+            return NOT_HANDLED;
+        }
+
+        const interpreter = this.interpreter;
+        const fiber = new Fiber();
+        fiber.frames.push(new Frame(proto, null, interpreter.currentEnv, interpreter.currentInstance, [], this.captureState()));
+        return this.run(fiber);
+    }
+
+    /**
+     * Выполнение функции, вызванной интерпретатором (из executeFunction)
+     */
+    execute(fn, args) {
+        const proto = this.functionProto(fn);
+        if (!proto) {
+            return NOT_HANDLED;
+        }
+
+        const fiber = new Fiber();
+        this.pushFrame(fiber, proto, fn, args, this.interpreter.currentInstance);
+        return this.run(fiber);
+    }
+
+    /**
+     * Байт-код функции; null — функцию выполняет интерпретатор (генераторы, нативные)
+     */
+    functionProto(fn) {
+        const ast = fn && fn.ast;
+        if (!ast || fn.isNative || ast.isGenerator) {
+            return null;
+        }
+        // Замыкания одного объявления разделяют узлы AST, а с ними и байт-код
+        const key = ast.params || ast.body;
+        if (!key || typeof key !== 'object') {
+            return null;
+        }
+        return this.protoFor(key, () => this.compiler.compileFunction(ast, fn.name || '<anonymous>'));
+    }
+
+    protoFor(key, compile) {
+        let proto = this.protos.get(key);
+        if (proto === undefined) {
+            try {
+                proto = compile();
+                this.stats.compiled++;
+            } catch (error) {
+                proto = null;
+                this.stats.failed++;
+            }
+            this.protos.set(key, proto);
+        }
+        return proto;
+    }
+
+    // ========== Кадры ==========
+
+    captureState() {
+        const interpreter = this.interpreter;
+        return {
+            env: interpreter.currentEnv,
+            instance: interpreter.currentInstance,
+            fn: interpreter.currentFunction,
+            generator: interpreter.currentGenerator,
+            isReturn: interpreter.isReturn,
+            returnValue: interpreter.returnValue
+        };
+    }
+
+    /**
+     * Новый кадр функции — то же, что делает executeFunction перед выполнением тела
+     */
+    pushFrame(fiber, proto, fn, args, instance) {
+        const interpreter = this.interpreter;
+
+        if (fiber.frames.length >= this.maxCallDepth) {
+            throw new RangeError('Maximum call stack size exceeded');
+        }
+
+        const env = fn.env ? fn.env.child(`<function ${fn.name}>`) : new Environment(interpreter.currentEnv, `<function ${fn.name}>`);
+        const frame = new Frame(proto, fn, env, instance, args, this.captureState());
+        fiber.frames.push(frame);
+
+        interpreter.currentEnv = env;
+        interpreter.currentInstance = instance;
+        interpreter.currentFunction = fn;
+        interpreter.currentGenerator = null;
+        interpreter.isReturn = false;
+        interpreter.returnValue = null;
+        interpreter.callStack.push(fn.name);
+        this.stats.calls++;
+
+        return frame;
+    }
+
+    /**
+     * Снятие кадра с восстановлением состояния вызывающей стороны
+     */
+    popFrame(fiber) {
+        const interpreter = this.interpreter;
+        const frame = fiber.frames.pop();
+        const saved = frame.saved;
+
+        interpreter.currentEnv = saved.env;
+        interpreter.currentInstance = saved.instance;
+        interpreter.currentFunction = saved.fn;
+        interpreter.currentGenerator = saved.generator;
+        interpreter.isReturn = saved.isReturn;
+        interpreter.returnValue = saved.returnValue;
+        if (frame.fn) {
+            interpreter.callStack.pop();
+        }
+
+        return frame;
+    }
+
+    /**
+     * Состояние интерпретатора для верхнего кадра после возобновления
+     */
+    resync(fiber) {
+        const interpreter = this.interpreter;
+        const frame = fiber.frames[fiber.frames.length - 1];
+        interpreter.currentEnv = frame.env;
+        interpreter.currentInstance = frame.instance;
+        if (frame.fn) {
+            interpreter.currentFunction = frame.fn;
+            interpreter.currentGenerator = null;
+        }
+    }
+
+    // ========== Выполнение ==========
+
+    /**
+     * Выполнение волокна до завершения или приостановки
+     * Возвращает результат или промис результата
+     */
+    run(fiber) {
+        while (true) {
+            let outcome;
+            try {
+                // Возврат, отложенный до разрешения промиса (EVAL с вернуть, закрытие перебора)
+                const frame = fiber.frames[fiber.frames.length - 1];
+                if (frame.returning) {
+                    frame.returning = false;
+                    outcome = this.returnFrom(fiber, frame, frame.stack.pop());
+                    if (outcome === fiber) return fiber.result;
+                }
+                if (outcome !== SUSPEND) {
+                    outcome = this.dispatch(fiber);
+                }
+            } catch (error) {
+                this.unwind(fiber, error);
+                continue;
+            }
+
+            if (outcome === SUSPEND) {
+                return this.wait(fiber);
+            }
+            return outcome;
+        }
+    }
+
+    /**
+     * Ожидание значения приостановленного волокна и продолжение выполнения
+     */
+    wait(fiber) {
+        const { pending, onResolve } = fiber;
+        fiber.pending = null;
+        fiber.onResolve = null;
+        this.stats.suspensions++;
+
+        return Promise.resolve(pending).then(
+            value => {
+                this.resync(fiber);
+                try {
+                    onResolve(value);
+                } catch (error) {
+                    this.unwind(fiber, error);
+                }
+                return this.run(fiber);
+            },
+            error => {
+                this.resync(fiber);
+                this.unwind(fiber, error);
+                return this.run(fiber);
+            }
+        );
+    }
+
+    /**
+     * Приостановка: после разрешения promise вызывается onResolve, затем выполнение продолжается
+     */
+    suspend(fiber, frame, pc, promise, onResolve) {
+        frame.pc = pc;
+        fiber.pending = promise;
+        fiber.onResolve = onResolve;
+        return SUSPEND;
+    }
+
+    suspendPush(fiber, frame, pc, promise) {
+        return this.suspend(fiber, frame, pc, promise, value => frame.stack.push(value));
+    }
+
+    suspendAwait(fiber, frame, pc, promise) {
+        return this.suspend(fiber, frame, pc, promise, value => frame.stack.push(VladXObject.fromJS(value)));
+    }
+
+    suspendSpread(fiber, frame, pc, promise, list) {
+        return this.suspend(fiber, frame, pc, promise, items => list.push(...items));
+    }
+
+    suspendNext(fiber, frame, pc, iterator, exit) {
+        return this.suspend(fiber, frame, pc, iterator.generator.next(), step => {
+            if (step.done) {
+                iterator.done = true;
+                frame.pc = exit;
+            } else {
+                frame.stack.push(step.value);
+            }
+        });
+    }
+
+    /**
+     * Инструкция, выполненная интерпретатором; вернуть внутри неё завершает кадр
+     */
+    suspendEval(fiber, frame, pc, promise, keep) {
+        const interpreter = this.interpreter;
+        return this.suspend(fiber, frame, pc, promise, value => {
+            if (interpreter.isReturn) {
+                interpreter.isReturn = false;
+                frame.stack.push(interpreter.returnValue);
+                interpreter.returnValue = null;
+                frame.returning = true;
+            } else if (keep) {
+                frame.stack.push(value);
+            }
+        });
+    }
+
+    /**
+     * Разбор исключения обработчиками кадров: попытка перехватывает всё,
+     * цикл — свои прервать/продолжить из тела, метка — свой прервать.
+     * Если обработчика нет ни в одном кадре волокна, ошибка пробрасывается дальше
+     */
+    unwind(fiber, error) {
+        const interpreter = this.interpreter;
+        const isSignal = error instanceof Error && (error.message === 'break' || error.message === 'continue');
+
+        while (fiber.frames.length > 0) {
+            const frame = fiber.frames[fiber.frames.length - 1];
+
+            while (frame.handlers.length > 0) {
+                const handler = frame.handlers.pop();
+
+                if (handler.kind === HANDLER_TRY) {
+                    this.resumeAt(frame, handler, handler.target);
+                    frame.caught = error;
+                    return;
+                }
+
+                if (handler.kind === HANDLER_LOOP) {
+                    const loop = handler.descriptor;
+                    const inBody = frame.pc > loop.bodyStart && frame.pc <= loop.continuePc;
+                    const signal = isSignal && inBody ? interpreter.loopSignal(error, loop.label) : null;
+                    if (signal === 'break') {
+                        this.resumeAt(frame, handler, loop.breakPc);
+                        return;
+                    }
+                    if (signal === 'continue') {
+                        frame.handlers.push(handler);
+                        this.resumeAt(frame, handler, loop.continuePc);
+                        return;
+                    }
+                    if (loop.iterTemp >= 0) {
+                        this.closeIterator(frame.temps[loop.iterTemp]);
+                        frame.temps[loop.iterTemp] = null;
+                    }
+                    continue;
+                }
+
+                if (isSignal && error.message === 'break' && error.label === handler.descriptor.label) {
+                    this.resumeAt(frame, handler, handler.descriptor.breakPc);
+                    return;
+                }
+            }
+
+            this.popFrame(fiber);
+        }
+
+        throw error;
+    }
+
+    resumeAt(frame, handler, pc) {
+        frame.stack.length = handler.height;
+        frame.env = handler.env;
+        frame.pc = pc;
+        this.interpreter.currentEnv = handler.env;
+    }
+
+    /**
+     * Досрочное закрытие асинхронного перебора при выходе из цикла исключением
+     */
+    closeIterator(iterator) {
+        if (iterator && iterator.generator && !iterator.done) {
+            iterator.done = true;
+            iterator.generator.return().catch(() => {});
+        }
+    }
+
+    /**
+     * Возврат из кадра; undefined — выполнение продолжается в вызывающем кадре
+     */
+    returnFrom(fiber, frame, value) {
+        // Открытые асинхронные переборы закрываются до возврата, как при выходе из for await
+        const closing = [];
+        for (const handler of frame.handlers) {
+            if (handler.kind !== HANDLER_LOOP || handler.descriptor.iterTemp < 0) continue;
+            const iterator = frame.temps[handler.descriptor.iterTemp];
+            if (iterator && iterator.generator && !iterator.done) {
+                iterator.done = true;
+                closing.push(iterator.generator.return());
+            }
+        }
+        frame.handlers.length = 0;
+        if (closing.length > 0) {
+            return this.suspend(fiber, frame, frame.pc, Promise.all(closing), () => {
+                frame.stack.push(value);
+                frame.returning = true;
+            });
+        }
+
+        // Асинхронная функция дожидается промиса-результата (как executeFunction)
+        if (frame.fn && frame.fn.ast.isAsync && !frame.unwrapped && value) {
+            if (typeof value.then === 'function') {
+                return this.suspend(fiber, frame, frame.pc, value, resolved => {
+                    frame.stack.push(resolved);
+                    frame.returning = true;
+                    frame.unwrapped = true;
+                });
+            }
+            if (value.value && typeof value.value.then === 'function') {
+                return this.suspend(fiber, frame, frame.pc, value.value, resolved => {
+                    frame.stack.push(VladXObject.fromJS(resolved));
+                    frame.returning = true;
+                    frame.unwrapped = true;
+                });
+            }
+        }
+
+        this.popFrame(fiber);
+        const result = frame.construct || value;
+        if (fiber.frames.length === 0) {
+            fiber.result = result;
+            return fiber;
+        }
+
+        fiber.frames[fiber.frames.length - 1].stack.push(result);
+        return undefined;
+    }
+
+    /**
+     * Вызов значения: замыкания выполняются новым кадром этого же волокна,
+     * встроенные функции — сразу, остальное — через interpreter.callValue
+     */
+    invoke(fiber, frame, pc, callee, args, owner) {
+        const interpreter = this.interpreter;
+        const instance = owner && (owner.type === 'instance' || owner.type === 'class') ? owner : null;
+
+        if (callee && callee.isNative) {
+            let result;
+            try {
+                result = callee.value(...args.map(arg => interpreter.toNative(arg)));
+            } catch (error) {
+                if (error && error.type === 'error') {
+                    throw new Error(error.value || 'Неизвестная ошибка во встроенной функции');
+                }
+                throw error;
+            }
+            if (result instanceof Promise) {
+                return this.suspendPush(fiber, frame, pc, result);
+            }
+            frame.stack.push(result);
+            return undefined;
+        }
+
+        if (callee && (callee.type === 'function' || callee.type === 'closure')) {
+            const proto = this.functionProto(callee);
+            if (proto) {
+                frame.pc = pc;
+                this.pushFrame(fiber, proto, callee, args, instance);
+                return undefined;
+            }
+        }
+
+        this.stats.delegated++;
+        return this.suspendPush(fiber, frame, pc, interpreter.callValue(callee, args, instance));
+    }
+
+    /**
+     * Создание экземпляра; конструктор (свой или родительский) выполняется кадром ВМ
+     */
+    construct(fiber, frame, pc, callee, args) {
+        const interpreter = this.interpreter;
+        const instance = VladXObject.instance(callee);
+        const ownConstructor = callee.methods && (callee.methods.get('конструктор') || callee.methods.get('constructor'));
+        const parent = callee.prototype;
+        const parentConstructor = !ownConstructor && parent && parent.methods &&
+            (parent.methods.get('конструктор') || parent.methods.get('constructor'));
+
+        const constructor = ownConstructor || parentConstructor;
+        // Поля и приватные методы инициализирует интерпретатор
+        const initialized = interpreter.hasInstanceInitializers(callee);
+        if (!constructor && !initialized) {
+            frame.stack.push(instance);
+            return undefined;
+        }
+
+        const proto = constructor && this.functionProto(constructor);
+        if (!proto || initialized) {
+            this.stats.delegated++;
+            return this.suspendPush(fiber, frame, pc, interpreter.constructInstance(callee, args));
+        }
+
+        const self = ownConstructor ? instance : interpreter.superInstance(instance, parent);
+
+        frame.pc = pc;
+        this.pushFrame(fiber, proto, constructor, args, self).construct = instance;
+        return undefined;
+    }
+
+    /**
+     * Цикл выполнения инструкций верхнего кадра волокна
+     * Возвращает результат волокна или SUSPEND
+     */
+    dispatch(fiber) {
+        const interpreter = this.interpreter;
+        let frame = fiber.frames[fiber.frames.length - 1];
+        let code = frame.proto.code;
+        let constants = frame.proto.constants;
+        let stack = frame.stack;
+        let temps = frame.temps;
+        let pc = frame.pc;
+
+        try {
+            while (true) {
+                const op = code[pc++];
+
+                switch (op) {
+                    case CONST:
+                        stack.push(constants[code[pc++]]);
+                        break;
+
+                    case NULL:
+                        stack.push(VladXObject.null());
+                        break;
+
+                    case POP:
+                        stack.pop();
+                        break;
+
+                    case DUP:
+                        stack.push(stack[stack.length - 1]);
+                        break;
+
+                    case LOAD:
+                        stack.push(frame.env.get(constants[code[pc++]]));
+                        break;
+
+                    case DEFINE:
+                        frame.env.define(constants[code[pc++]], stack.pop());
+                        break;
+
+                    case DEFINE_CONST:
+                        frame.env.define(constants[code[pc++]], stack.pop(), true);
+                        break;
+
+                    case STORE:
+                        frame.env.assign(constants[code[pc++]], stack[stack.length - 1]);
+                        break;
+
+                    case LOAD_TEMP:
+                        stack.push(temps[code[pc++]]);
+                        break;
+
+                    case STORE_TEMP:
+                        temps[code[pc++]] = stack.pop();
+                        break;
+
+                    // ---- Операторы: быстрый путь для чисел, остальное — как в интерпретаторе ----
+
+                    case ADD: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value + right.value)
+                            : interpreter.binaryOperation('+', left, right));
+                        break;
+                    }
+
+                    case SUB: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value - right.value)
+                            : interpreter.binaryOperation('-', left, right));
+                        break;
+                    }
+
+                    case MUL: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value * right.value)
+                            : interpreter.binaryOperation('*', left, right));
+                        break;
+                    }
+
+                    case LT: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value < right.value)
+                            : interpreter.binaryOperation('<', left, right));
+                        break;
+                    }
+
+                    case LE: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value <= right.value)
+                            : interpreter.binaryOperation('<=', left, right));
+                        break;
+                    }
+
+                    case GT: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value > right.value)
+                            : interpreter.binaryOperation('>', left, right));
+                        break;
+                    }
+
+                    case GE: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value >= right.value)
+                            : interpreter.binaryOperation('>=', left, right));
+                        break;
+                    }
+
+                    case DIV:
+                    case MOD:
+                    case POW:
+                    case EQ:
+                    case NE:
+                    case AND:
+                    case OR: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(interpreter.binaryOperation(BINARY_OPERATORS[op], left, right));
+                        break;
+                    }
+
+                    case NEG:
+                        stack.push(interpreter.unaryOperation('-', stack.pop()));
+                        break;
+
+                    case NOT:
+                        stack.push(interpreter.unaryOperation('!', stack.pop()));
+                        break;
+
+                    // ---- Переходы ----
+
+                    case JUMP: {
+                        const target = code[pc];
+                        if (target < pc && (++this.ticks & 1023) === 0) {
+                            this.checkDeadline();
+                        }
+                        pc = target;
+                        break;
+                    }
+
+                    case JUMP_IF_FALSE: {
+                        const target = code[pc++];
+                        const condition = stack.pop();
+                        const value = condition && condition.value !== undefined ? condition.value : condition;
+                        if (!value) pc = target;
+                        break;
+                    }
+
+                    // ---- Свойства ----
+
+                    case GET_FIELD: {
+                        const object = stack.pop();
+                        const name = constants[code[pc++]];
+                        const getter = interpreter.findAccessor(object, name, 'get');
+                        if (getter) {
+                            return this.suspendPush(fiber, frame, pc, interpreter.callValue(getter, [], object));
+                        }
+                        stack.push(interpreter.getMember(object, name, false));
+                        break;
+                    }
+
+                    case GET_INDEX: {
+                        const key = stack.pop();
+                        const object = stack.pop();
+                        stack.push(interpreter.getMember(object, key && key.value !== undefined ? key.value : key, true));
+                        break;
+                    }
+
+                    case SET_FIELD: {
+                        const value = stack.pop();
+                        const object = stack.pop();
+                        const name = constants[code[pc++]];
+                        if (interpreter.findAccessor(object, name, 'set') || interpreter.findAccessor(object, name, 'get')) {
+                            return this.suspendPush(fiber, frame, pc, interpreter.writeMember(object, name, value, false));
+                        }
+                        stack.push(interpreter.setMember(object, name, value, false));
+                        break;
+                    }
+
+                    case SET_INDEX: {
+                        const computed = code[pc++] === 1;
+                        const key = stack.pop();
+                        const value = stack.pop();
+                        const object = stack.pop();
+                        stack.push(interpreter.setMember(object, key && key.value !== undefined ? key.value : key, value, computed));
+                        break;
+                    }
+
+                    // ---- Составные значения ----
+
+                    case ARRAY: {
+                        const count = code[pc++];
+                        stack.push(VladXObject.array(count > 0 ? stack.splice(stack.length - count, count) : []));
+                        break;
+                    }
+
+                    // ---- Функции и классы ----
+
+                    case THIS:
+                        stack.push(interpreter.evaluateThisExpression());
+                        break;
+
+                    case CALL:
+                    case CALL_LIST: {
+                        let args;
+                        if (op === CALL) {
+                            const count = code[pc++];
+                            args = count > 0 ? stack.splice(stack.length - count, count) : [];
+                        } else {
+                            args = stack.pop();
+                        }
+                        const hasOwner = code[pc++] === 1;
+                        const callee = stack.pop();
+                        const owner = hasOwner ? stack.pop() : null;
+
+                        const depth = fiber.frames.length;
+                        if (this.invoke(fiber, frame, pc, callee, args, owner) === SUSPEND) {
+                            return SUSPEND;
+                        }
+                        if (fiber.frames.length !== depth) {
+                            frame = fiber.frames[fiber.frames.length - 1];
+                            code = frame.proto.code;
+                            constants = frame.proto.constants;
+                            stack = frame.stack;
+                            temps = frame.temps;
+                            pc = 0;
+                        }
+                        break;
+                    }
+
+                    case ASSERT_CLASS:
+                        interpreter.assertClass(stack[stack.length - 1]);
+                        break;
+
+                    case NEW: {
+                        const count = code[pc++];
+                        const args = count > 0 ? stack.splice(stack.length - count, count) : [];
+                        const callee = stack.pop();
+
+                        const depth = fiber.frames.length;
+                        if (this.construct(fiber, frame, pc, callee, args) === SUSPEND) {
+                            return SUSPEND;
+                        }
+                        if (fiber.frames.length !== depth) {
+                            frame = fiber.frames[fiber.frames.length - 1];
+                            code = frame.proto.code;
+                            constants = frame.proto.constants;
+                            stack = frame.stack;
+                            temps = frame.temps;
+                            pc = 0;
+                        }
+                        break;
+                    }
+
+                    case IMPLICIT_RESULT: {
+                        const lastExpression = temps[code[pc++]];
+                        const lastResult = temps[code[pc++]];
+                        stack.push(lastExpression !== null ? lastExpression : lastResult);
+                        break;
+                    }
+
+                    case RETURN: {
+                        frame.pc = pc;
+                        const done = this.returnFrom(fiber, frame, stack.pop());
+                        if (done === SUSPEND) return SUSPEND;
+                        if (done === fiber) return fiber.result;
+
+                        frame = fiber.frames[fiber.frames.length - 1];
+                        code = frame.proto.code;
+                        constants = frame.proto.constants;
+                        stack = frame.stack;
+                        temps = frame.temps;
+                        pc = frame.pc;
+                        interpreter.currentEnv = frame.env;
+                        break;
+                    }
+
+                    // ---- Обработчики ----
+
+                    case ENTER_LOOP:
+                        frame.handlers.push({ kind: HANDLER_LOOP, descriptor: constants[code[pc++]], height: stack.length, env: frame.env });
+                        break;
+
+                    case EXIT_HANDLER:
+                        frame.handlers.length = code[pc++];
+                        break;
+
+                    // ---- Перебор ----
+
+                    case SAVE_ENV:
+                        temps[code[pc++]] = frame.env;
+                        break;
+
+                    case RESTORE_ENV:
+                        frame.env = interpreter.currentEnv = temps[code[pc++]];
+                        break;
+
+                    case CHILD_ENV: {
+                        const parent = temps[code[pc++]];
+                        frame.env = interpreter.currentEnv = parent.child(constants[code[pc++]]);
+                        break;
+                    }
+
+                    case ITER_NEXT: {
+                        const iterator = temps[code[pc++]];
+                        const exit = code[pc++];
+
+                        if (iterator.items) {
+                            if (iterator.index < iterator.items.length) {
+                                const item = iterator.items[iterator.index++];
+                                stack.push(iterator.chars ? VladXObject.string(item)
+                                    : (item instanceof VladXObject ? item : VladXObject.fromJS(item)));
+                            } else {
+                                pc = exit;
+                            }
+                            break;
+                        }
+
+                        return this.suspendNext(fiber, frame, pc, iterator, exit);
+                    }
+
+                    // ---- Параметры ----
+
+                    case PARAM: {
+                        const value = frame.args[code[pc++]];
+                        frame.env.define(constants[code[pc++]], value ? value : VladXObject.null());
+                        break;
+                    }
+
+                    default: {
+                        // Редкие инструкции выполняются отдельным методом, чтобы цикл оставался компактным
+                        const next = this.coldOp(fiber, frame, op, pc);
+                        if (next === SUSPEND) return SUSPEND;
+                        pc = next;
+                        break;
+                    }
+                }
+            }
+        } catch (error) {
+            frame.pc = pc;
+            throw error;
+        }
+    }
+
+    /**
+     * Редкие инструкции: операнды читаются с позиции pc, возвращается позиция следующей инструкции или SUSPEND
+     */
+    coldOp(fiber, frame, op, pc) {
+        const interpreter = this.interpreter;
+        const code = frame.proto.code;
+        const constants = frame.proto.constants;
+        const stack = frame.stack;
+        const temps = frame.temps;
+
+        switch (op) {
+            case POS:
+                stack.push(interpreter.unaryOperation('+', stack.pop()));
+                break;
+
+            case UNARY:
+                stack.push(interpreter.unaryOperation(constants[code[pc++]], stack.pop()));
+                break;
+
+            case BITWISE: {
+                const operator = constants[code[pc++]];
+                const right = stack.pop();
+                const left = stack.pop();
+                stack.push(interpreter.bitwiseOperation(operator, left, right));
+                break;
+            }
+
+            case COMPOUND: {
+                const operator = constants[code[pc++]];
+                const current = stack.pop();
+                const right = stack.pop();
+                stack.push(interpreter.compoundOperation(operator, current, right));
+                break;
+            }
+
+            case LIST:
+                stack.push([]);
+                break;
+
+            case LIST_PUSH: {
+                const value = stack.pop();
+                stack[stack.length - 1].push(value);
+                break;
+            }
+
+            case LIST_SPREAD_ARGS:
+            case LIST_SPREAD_ELEMENTS: {
+                const value = stack.pop();
+                const list = stack[stack.length - 1];
+                const items = value && value.value ? value.value : [];
+                if (Array.isArray(items)) {
+                    list.push(...(op === LIST_SPREAD_ARGS ? items : items.map(item => VladXObject.fromJS(item))));
+                    break;
+                }
+                const spread = op === LIST_SPREAD_ARGS
+                    ? interpreter.spreadArguments(value)
+                    : interpreter.spreadElements(value);
+                return this.suspendSpread(fiber, frame, pc, spread, list);
+            }
+
+            case LIST_TO_ARRAY:
+                stack.push(VladXObject.array(stack.pop()));
+                break;
+
+            case OBJECT: {
+                const keys = constants[code[pc++]];
+                const count = code[pc++];
+                const values = stack.splice(stack.length - count, count);
+                const properties = {};
+                for (let i = 0; i < count; i++) {
+                    properties[keys[i]] = values[i];
+                }
+                stack.push(VladXObject.object(properties));
+                break;
+            }
+
+            case TEMPLATE: {
+                const quasis = constants[code[pc++]];
+                const count = code[pc++];
+                const values = stack.splice(stack.length - count, count);
+                let text = '';
+                for (let i = 0; i < quasis.length; i++) {
+                    text += quasis[i];
+                    if (i < count) text += interpreter.templatePart(values[i]);
+                }
+                stack.push(VladXObject.string(text));
+                break;
+            }
+
+            case CLOSURE:
+                stack.push(interpreter.evaluateFunctionDeclaration(constants[code[pc++]]));
+                break;
+
+            case ARROW:
+                stack.push(interpreter.evaluateArrowFunctionExpression(constants[code[pc++]]));
+                break;
+
+            case AWAIT: {
+                const value = stack.pop();
+                const promise = value && value.value && typeof value.value.then === 'function'
+                    ? value.value
+                    : (value && typeof value.then === 'function' ? value : null);
+                if (!promise) {
+                    stack.push(value);
+                    break;
+                }
+                return this.suspendAwait(fiber, frame, pc, promise);
+            }
+
+            case THROW: {
+                const value = stack.pop();
+                const raw = value && value.value !== undefined ? value.value : value;
+                throw new Error(String(raw));
+            }
+
+            case SIGNAL: {
+                const kind = code[pc++];
+                const label = code[pc++];
+                const signal = new Error(kind === 0 ? 'break' : 'continue');
+                signal.label = label >= 0 ? constants[label] : null;
+                throw signal;
+            }
+
+            case ENTER_LABEL:
+                frame.handlers.push({ kind: HANDLER_LABEL, descriptor: constants[code[pc++]], height: stack.length, env: frame.env });
+                break;
+
+            case ENTER_TRY:
+                frame.handlers.push({ kind: HANDLER_TRY, target: code[pc++], height: stack.length, env: frame.env });
+                break;
+
+            case CATCH: {
+                const param = code[pc++];
+                const error = frame.caught;
+                frame.caught = null;
+                temps[code[pc++]] = frame.env;
+
+                const catchEnv = frame.env.child('<catch>');
+                if (param >= 0) {
+                    catchEnv.define(constants[param], VladXObject.string(error.toString ? error.toString() : String(error)));
+                }
+                frame.env = interpreter.currentEnv = catchEnv;
+                break;
+            }
+
+            case LEAVE_CATCH:
+                frame.env = interpreter.currentEnv = temps[code[pc++]];
+                break;
+
+            case ITER: {
+                const kind = code[pc++];
+                temps[code[pc++]] = this.iterator(kind, stack.pop());
+                break;
+            }
+
+            case ITER_CLOSE: {
+                const slot = code[pc++];
+                const iterator = temps[slot];
+                temps[slot] = null;
+                if (iterator && iterator.generator && !iterator.done) {
+                    iterator.done = true;
+                    return this.suspend(fiber, frame, pc, iterator.generator.return(), ignore);
+                }
+                break;
+            }
+
+            case BIND_PATTERN: {
+                const pattern = constants[code[pc++]];
+                const mode = code[pc++];
+                const item = stack.pop();
+                if (mode === 2) {
+                    throw new Error('Деструктуризация в заголовке цикла требует пусть или конст');
+                }
+                return this.suspend(fiber, frame, pc, interpreter.bindPatternTarget(pattern, item, mode === 1), ignore);
+            }
+
+            case PARAM_REST: {
+                const index = code[pc++];
+                frame.env.define(constants[code[pc++]], VladXObject.array(frame.args.slice(index)));
+                break;
+            }
+
+            case PARAM_DEFAULT: {
+                const value = frame.args[code[pc++]];
+                const name = constants[code[pc++]];
+                const skip = code[pc++];
+                if (value !== undefined) {
+                    frame.env.define(name, value);
+                    pc = skip;
+                }
+                break;
+            }
+
+            case EVAL: {
+                const statement = constants[code[pc++]];
+                const keep = code[pc++] === 1;
+                interpreter.isReturn = false;
+                return this.suspendEval(fiber, frame, pc, interpreter.evaluateStatement(statement), keep);
+            }
+
+            case EVAL_EXPR: {
+                const expression = constants[code[pc++]];
+                return this.suspendPush(fiber, frame, pc, interpreter.evaluateExpression(expression));
+            }
+
+            default:
+                throw new Error(`ВМ: неизвестная инструкция ${op} (позиция ${pc - 1})`);
+        }
+        return pc;
+    }
+
+    /**
+     * Состояние перебора для-из (kind 0) / для-в (kind 1)
+     * Массивы, строки и ключи перебираются синхронно, остальное — через interpreter.iterate
+     */
+    iterator(kind, value) {
+        const interpreter = this.interpreter;
+
+        if (kind === 1) {
+            return { items: interpreter.keysOf(value), index: 0 };
+        }
+
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        if (subject.type === 'array') {
+            return { items: subject.value, index: 0 };
+        }
+        if (subject.type === 'string') {
+            return { items: Array.from(subject.value), index: 0, chars: true };
+        }
+        return { generator: interpreter.iterate(value), done: false };
+    }
+
+    /**
+     * Проверка ограничения maxExecutionTime в долгих циклах
+     */
+    checkDeadline() {
+        const interpreter = this.interpreter;
+        if (interpreter.executionDeadline && Date.now() > interpreter.executionDeadline) {
+            throw new Error(`Превышено максимальное время выполнения (${interpreter.maxExecutionTime}мс)`);
+        }
+    }
+
+    /**
+     * Статистика ВМ
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+const BINARY_OPERATORS = {
+    [DIV]: '/',
+    [MOD]: '%',
+    [POW]: '**',
+    [EQ]: '==',
+    [NE]: '!=',
+    [AND]: '&&',
+    [OR]: '||'
+};
@@ -0,0 +1,139 @@
+/**
+ * VladX Bytecode — Формат байт-кода стековой виртуальной машины
+ * Код функции — плоский массив Int32: код операции, за которым следуют её операнды
+ * (индексы в таблице констант, адреса переходов, счётчики)
+ */
+
+// [имя, число операндов]
+const definitions = [
+    // Стек и константы
+    ['CONST', 1],          // k — положить constants[k]
+    ['NULL', 0],
+    ['POP', 0],
+    ['DUP', 0],
+
+    // Переменные (Environment, как в интерпретаторе) и служебные ячейки кадра
+    ['LOAD', 1],           // k — имя
+    ['DEFINE', 1],         // k — имя; снимает значение
+    ['DEFINE_CONST', 1],
+    ['STORE', 1],          // k — имя; присваивание, значение остаётся на стеке
+    ['LOAD_TEMP', 1],      // t
+    ['STORE_TEMP', 1],     // t — снимает значение
+
+    // Операторы
+    ['ADD', 0], ['SUB', 0], ['MUL', 0], ['DIV', 0], ['MOD', 0], ['POW', 0],
+    ['EQ', 0], ['NE', 0], ['LT', 0], ['GT', 0], ['LE', 0], ['GE', 0],
+    ['AND', 0], ['OR', 0],
+    ['NEG', 0], ['POS', 0], ['NOT', 0],
+    ['UNARY', 1],          // k — оператор
+    ['BITWISE', 1],        // k — оператор
+    ['COMPOUND', 1],       // k — оператор; стек: правая часть, текущее значение
+
+    // Переходы
+    ['JUMP', 1],           // адрес
+    ['JUMP_IF_FALSE', 1],  // адрес; снимает условие
+
+    // Свойства
+    ['GET_FIELD', 1],      // k — имя свойства; объект
+    ['GET_INDEX', 0],      // объект, ключ
+    ['SET_FIELD', 1],      // k — имя; объект, значение
+    ['SET_INDEX', 1],      // computed; объект, значение, ключ
+
+    // Составные значения
+    ['ARRAY', 1],          // n элементов
+    ['LIST', 0],           // пустой список аргументов/элементов
+    ['LIST_PUSH', 0],
+    ['LIST_SPREAD_ARGS', 0],
+    ['LIST_SPREAD_ELEMENTS', 0],
+    ['LIST_TO_ARRAY', 0],
+    ['OBJECT', 2],         // k — ключи, n значений
+    ['TEMPLATE', 2],       // k — текстовые части, n значений
+
+    // Функции и классы
+    ['CLOSURE', 1],        // k — узел FunctionDeclaration
+    ['ARROW', 1],          // k — узел ArrowFunctionExpression
+    ['THIS', 0],
+    ['CALL', 2],           // n аргументов, есть ли объект-владелец
+    ['CALL_LIST', 1],      // есть ли объект-владелец; аргументы — список
+    ['ASSERT_CLASS', 0],
+    ['NEW', 1],            // n аргументов
+    ['AWAIT', 0],
+    ['IMPLICIT_RESULT', 2], // t — последнее выражение, t — последняя инструкция
+    ['RETURN', 0],
+    ['THROW', 0],
+
+    // Управление потоком через обработчики кадра
+    ['SIGNAL', 2],         // 0 — прервать, 1 — продолжить; k — метка или -1
+    ['ENTER_LOOP', 1],     // k — описание цикла
+    ['ENTER_LABEL', 1],    // k — описание метки
+    ['ENTER_TRY', 1],      // адрес перехвата
+    ['EXIT_HANDLER', 1],   // глубина стека обработчиков
+    ['CATCH', 2],          // k — имя параметра или -1, t — ячейка для внешнего окружения
+    ['LEAVE_CATCH', 1],    // t
+
+    // Перебор для-из / для-в
+    ['SAVE_ENV', 1],       // t
+    ['RESTORE_ENV', 1],    // t
+    ['CHILD_ENV', 2],      // t, k — имя окружения
+    ['ITER', 2],           // 0 — из, 1 — в; t
+    ['ITER_NEXT', 2],      // t, адрес выхода
+    ['ITER_CLOSE', 1],     // t
+    ['BIND_PATTERN', 2],   // k — образец, константа ли
+
+    // Параметры
+    ['PARAM', 2],          // индекс, k — имя
+    ['PARAM_REST', 2],
+    ['PARAM_DEFAULT', 3],  // индекс, k — имя, адрес после значения по умолчанию
+
+    // Делегирование интерпретатору
+    ['EVAL', 2],           // k — инструкция, оставить ли результат
+    ['EVAL_EXPR', 1]       // k — выражение
+];
+
+export const OpCode = {};
+export const OpInfo = [];
+
+definitions.forEach(([name, operands], code) => {
+    OpCode[name] = code;
+    OpInfo[code] = { name, operands };
+});
+
+/**
+ * Скомпилированная функция (или программа)
+ */
+export class BytecodeFunction {
+    constructor(name, code, constants, tempCount) {
+        this.name = name;
+        this.code = code;
+        this.constants = constants;
+        this.tempCount = tempCount;
+    }
+}
+
+/**
+ * Текстовое представление байт-кода для отладки
+ */
+export function disassemble(fn) {
+    const lines = [`== ${fn.name} ==`];
+    const code = fn.code;
+    let pc = 0;
+
+    while (pc < code.length) {
+        const info = OpInfo[code[pc]];
+        const operands = Array.from(code.subarray(pc + 1, pc + 1 + info.operands));
+        const constant = ['CONST', 'LOAD', 'DEFINE', 'DEFINE_CONST', 'STORE', 'GET_FIELD', 'SET_FIELD', 'UNARY', 'BITWISE', 'COMPOUND'].includes(info.name)
+            ? `  ; ${describeConstant(fn.constants[operands[0]])}`
+            : '';
+        lines.push(`${String(pc).padStart(5)}  ${info.name.padEnd(20)} ${operands.join(' ')}${constant}`);
+        pc += 1 + info.operands;
+    }
+
+    return lines.join('\n');
+}
+
+function describeConstant(value) {
+    if (value && typeof value === 'object' && 'type' in value && 'value' in value) {
+        return JSON.stringify(value.value);
+    }
+    return JSON.stringify(value);
+}
@@ -1,17 +1,89 @@
 /**
  * JIT Compiler for VladX — Компиляция в JavaScript для повышения производительности
  * Преобразует часто выполняемые функции VladX в оптимизированный JavaScript код
+ *
+ * Скомпилированный код работает с теми же значениями VladXObject и окружениями Environment,
+ * что и интерпретатор, и повторяет его семантику операций. Параметры специализируются по
+ * типам, наблюдавшимся при интерпретации; при несовпадении типов вызов деоптимизируется
+ * обратно в интерпретатор
  */
 
 import { VladXObject } from '../runtime/vladx-object.js';
+import { compileRegex } from '../runtime/regex.js';
+
+// Результат execute(), когда функцию должен выполнить интерпретатор
+const NOT_COMPILED = Symbol('jit.notCompiled');
+
+// Возвращается скомпилированным кодом, если не прошла проверка типов аргументов
+const DEOPT = Symbol('jit.deopt');
+
+const PRIMITIVE_KINDS = new Set(['number', 'string', 'boolean']);
+
+const SUPPORTED_STATEMENTS = new Set([
+    'ExpressionStatement', 'LetStatement', 'ConstStatement', 'ReturnStatement', 'BlockStatement',
+    'IfStatement', 'WhileStatement', 'ForStatement', 'BreakStatement', 'ContinueStatement',
+    'LabeledStatement', 'EmptyStatement', 'ThrowStatement', 'FunctionDeclaration', 'TypeAliasDeclaration'
+]);
+
+const SUPPORTED_EXPRESSIONS = new Set([
+    'Literal', 'Identifier', 'ThisExpression', 'BinaryExpression', 'UnaryExpression', 'BitwiseExpression',
+    'CallExpression', 'NewExpression', 'MemberExpression', 'Assignment', 'MemberAssignment',
+    'CompoundAssignmentExpression', 'ArrayExpression', 'ArrayPattern', 'ObjectExpression', 'ObjectPattern',
+    'TernaryExpression', 'TemplateLiteral', 'RegexLiteral', 'FunctionDeclaration', 'ArrowFunctionExpression'
+]);
+
+// Встроенные функции без побочных эффектов: их вызов не мешает дифференциальной проверке
+const PURE_BUILTINS = new Set(['длина', 'abs', 'максимум', 'минимум', 'округлить', 'пол', 'тип']);
+
+/**
+ * Ошибка "конструкция не поддерживается JIT" — функция остаётся в интерпретаторе
+ */
+function unsupported(what) {
+    const error = new Error(`JIT: не поддерживается ${what}`);
+    error.jitUnsupported = true;
+    return error;
+}
+
+/**
+ * Тип значения для специализации: примитивы VladX или 'value' для всего остального
+ */
+function kindOf(value) {
+    if (value instanceof VladXObject && PRIMITIVE_KINDS.has(value.type)) {
+        return value.type;
+    }
+    return 'value';
+}
+
+/**
+ * Объединение типов: 'bottom' — ещё неизвестен, 'value' — любое значение
+ */
+function joinKinds(a, b) {
+    if (a === 'bottom') return b;
+    if (b === 'bottom' || a === b) return a;
+    return 'value';
+}
 
 export class JITCompiler {
-    constructor(interpreter) {
+    constructor(interpreter, options = {}) {
         this.interpreter = interpreter;
         this.compiledFunctions = new Map(); // Кэш скомпилированных функций
         this.functionCallCounts = new Map(); // Счетчик вызовов функций
         this.hotReloadEnabled = true;
-        this.compilationThreshold = 10; // После скольки вызовов компилировать
+        this.compilationThreshold = options.threshold ?? 10; // После скольки вызовов компилировать
+        this.maxDeopts = options.maxDeopts ?? 5; // Деоптимизаций до перекомпиляции с общими типами
+        this.differential = options.differential || false; // Выполнять каждую функцию двумя способами
+
+        this.profiles = new WeakMap(); // Профиль функции по её AST (общий для всех замыканий)
+        this.effects = new WeakMap(); // Побочные эффекты тела функции по её AST
+        this.stats = { compiled: 0, unsupported: 0, deopts: 0, recompiles: 0, differentialChecks: 0, differentialSkipped: 0 };
+        this.mismatches = [];
+        this.interpretOnly = false;
+        this.checking = false;
+        this.runtime = this.createRuntime();
+    }
+
+    static get NOT_COMPILED() {
+        return NOT_COMPILED;
     }
 
     /**
@@ -31,221 +103,1349 @@ export class JITCompiler {
     }
 
     /**
-     * Проверка, нужно ли компилировать функцию
+     * Точка входа из Interpreter.executeFunction
+     * Возвращает результат вызова или JITCompiler.NOT_COMPILED, если функцию выполняет интерпретатор
      */
-    shouldCompile(functionName) {
-        const count = this.functionCallCounts.get(functionName) || 0;
-        return count >= this.compilationThreshold && !this.compiledFunctions.has(functionName);
+    async execute(fn, args) {
+        if (fn.isNative || !fn.ast || !fn.ast.body || fn.ast.isGenerator || fn.ast.isAsync) {
+            return NOT_COMPILED;
+        }
+
+        // Эталонный прогон дифференциальной проверки целиком выполняет интерпретатор
+        if (this.interpretOnly) {
+            return NOT_COMPILED;
+        }
+
+        const profile = this.profileFor(fn);
+        if (profile.unsupported) {
+            return NOT_COMPILED;
+        }
+
+        profile.calls++;
+        this.incrementCallCount(fn.name);
+
+        if (!profile.compiled) {
+            this.recordArguments(profile, args);
+            if (this.differential || profile.calls >= this.compilationThreshold) {
+                this.compileProfiled(fn, profile);
+            }
+            if (!profile.compiled) {
+                return NOT_COMPILED;
+            }
+        }
+
+        if (this.differential && !this.checking) {
+            if (this.isPure(fn)) {
+                return this.executeDifferential(fn, args, profile);
+            }
+            // Повтор функции с побочными эффектами изменил бы поведение программы
+            this.stats.differentialSkipped++;
+        }
+
+        const result = await this.runCompiled(fn, args, profile);
+        return result === DEOPT ? NOT_COMPILED : result;
     }
 
     /**
-     * Увеличение счетчика вызовов функции
+     * Профиль функции: число вызовов и наблюдавшиеся типы аргументов
      */
-    incrementCallCount(functionName) {
-        const count = this.functionCallCounts.get(functionName) || 0;
-        this.functionCallCounts.set(functionName, count + 1);
+    profileFor(fn) {
+        let profile = this.profiles.get(fn.ast.body);
+        if (!profile) {
+            profile = { name: fn.name, calls: 0, argKinds: [], compiled: null, deopts: 0, generic: false, unsupported: false };
+            this.profiles.set(fn.ast.body, profile);
+        }
+        return profile;
     }
 
     /**
-     * Компиляция функции VladX в JavaScript
+     * Запоминание типов аргументов для специализации
+     */
+    recordArguments(profile, args) {
+        const params = profile.compiled ? profile.compiled.paramCount : args.length;
+        for (let i = 0; i < Math.max(params, args.length); i++) {
+            profile.argKinds[i] = joinKinds(profile.argKinds[i] || 'bottom', kindOf(args[i]));
+        }
+    }
+
+    /**
+     * Компиляция по собранному профилю; неподдерживаемые функции помечаются навсегда
      */
-    compileFunction(funcNode, functionName = null) {
+    compileProfiled(fn, profile) {
+        const paramKinds = profile.generic ? [] : profile.argKinds.map(kind => kind === 'bottom' ? 'value' : kind);
+
         try {
-            const compiledCode = this.generateFunctionCode(funcNode, functionName);
+            profile.compiled = this.compileFunction(fn.ast, fn.name, paramKinds);
+            profile.deopts = 0;
+            this.stats.compiled++;
+        } catch (error) {
+            if (!error.jitUnsupported) {
+                throw error;
+            }
+            profile.unsupported = true;
+            profile.reason = error.message;
+            this.stats.unsupported++;
+        }
+    }
+
+    /**
+     * Выполнение скомпилированного кода; DEOPT означает, что не прошла проверка типов
+     */
+    async runCompiled(fn, args, profile) {
+        const interpreter = this.interpreter;
+        const compiled = profile.compiled;
 
-            // Создаем функцию из сгенерированного кода
-            const compiledFunction = new Function('__builtins__', '__env__', '__interpreter__', compiledCode);
+        const previousEnv = interpreter.currentEnv;
+        const previousFunction = interpreter.currentFunction;
+        const previousGenerator = interpreter.currentGenerator;
+        interpreter.currentFunction = fn;
+        interpreter.currentGenerator = null;
+        interpreter.callStack.push(fn.name);
 
-            this.compiledFunctions.set(functionName || funcNode.name, {
-                compiledFunction,
-                originalNode: funcNode,
-                compiledAt: Date.now()
-            });
+        let result;
+        try {
+            result = await compiled.run(fn.env || previousEnv, args);
+        } finally {
+            interpreter.currentEnv = previousEnv;
+            interpreter.currentFunction = previousFunction;
+            interpreter.currentGenerator = previousGenerator;
+            interpreter.callStack.pop();
+        }
+
+        if (result === DEOPT) {
+            this.deoptimize(fn, profile, args);
+        }
+        return result;
+    }
+
+    /**
+     * Деоптимизация: после maxDeopts промахов код выбрасывается и функция перепрофилируется
+     */
+    deoptimize(fn, profile, args) {
+        this.stats.deopts++;
+        profile.deopts++;
+        this.recordArguments(profile, args);
+
+        if (profile.deopts >= this.maxDeopts) {
+            // Повторная перекомпиляция без специализации, чтобы не деоптимизироваться бесконечно
+            profile.generic = profile.recompiled === true;
+            profile.recompiled = true;
+            profile.compiled = null;
+            profile.calls = 0;
+            this.compiledFunctions.delete(fn.name);
+            this.stats.recompiles++;
+        }
+    }
 
-            return compiledFunction;
+    /**
+     * Можно ли выполнить функцию дважды: она не меняет внешние переменные и объекты
+     * и вызывает только такие же функции (в том числе себя) и чистые встроенные
+     */
+    isPure(fn, visiting = new Set()) {
+        if (fn.isNative || !fn.ast || !fn.ast.body || fn.ast.isGenerator || fn.ast.isAsync || !fn.env) {
+            return false;
+        }
+        if (visiting.has(fn.ast.body)) {
+            return true;
+        }
+
+        const effects = this.effectsOf(fn.ast);
+        if (!effects.pure) {
+            return false;
+        }
+
+        visiting.add(fn.ast.body);
+        return [...effects.calls].every(name => {
+            const callee = fn.env.has(name) ? fn.env.get(name) : null;
+            if (!(callee instanceof VladXObject)) {
+                return false;
+            }
+            if (callee.type === 'function') {
+                return PURE_BUILTINS.has(name) && callee.value === this.interpreter.builtins.get(name);
+            }
+            return callee.type === 'closure' && this.isPure(callee, visiting);
+        });
+    }
+
+    /**
+     * Побочные эффекты тела: pure — нет присваиваний вне функции, изменений объектов,
+     * new и вложенных функций; calls — имена вызываемых внешних функций
+     */
+    effectsOf(funcNode) {
+        let effects = this.effects.get(funcNode.body);
+        if (effects) {
+            return effects;
+        }
+
+        const locals = new Set((funcNode.params || []).map(param => this.paramName(param)));
+        const calls = new Set();
+        let pure = true;
+
+        const declare = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(declare);
+                return;
+            }
+            if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                locals.add(node.name);
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') declare(value);
+            }
+        };
+        declare(funcNode.body);
+
+        const scan = (node) => {
+            if (!pure || !node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(scan);
+                return;
+            }
+
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                case 'NewExpression':
+                case 'MemberAssignment':
+                    pure = false;
+                    return;
+                case 'Assignment':
+                    if (!locals.has(node.name)) pure = false;
+                    break;
+                case 'CompoundAssignmentExpression':
+                    if (node.left.type !== 'Identifier' || !locals.has(node.left.name)) pure = false;
+                    break;
+                case 'CallExpression':
+                    // Методы объектов и функции из параметров могут менять что угодно
+                    if (node.callee.type !== 'Identifier' || locals.has(node.callee.name)) {
+                        pure = false;
+                        return;
+                    }
+                    calls.add(node.callee.name);
+                    break;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') scan(value);
+            }
+        };
+        scan(funcNode.body);
+
+        effects = { pure, calls };
+        this.effects.set(funcNode.body, effects);
+        return effects;
+    }
+
+    /**
+     * Дифференциальный режим: вызов выполняется только интерпретатором, затем скомпилированным кодом
+     * (вложенные вызовы — тоже скомпилированные), результаты или сообщения ошибок должны совпасть.
+     * Сверяются только чистые функции (isPure), остальные выполняются один раз
+     */
+    async executeDifferential(fn, args, profile) {
+        let interpreted;
+        let compiled;
+
+        this.checking = true;
+        try {
+            this.interpretOnly = true;
+            try {
+                interpreted = await this.capture(() => this.interpreter.executeFunction(fn, args));
+            } finally {
+                this.interpretOnly = false;
+            }
+            compiled = await this.capture(() => this.runCompiled(fn, args, profile));
+        } finally {
+            this.checking = false;
+        }
+
+        if (compiled.value !== DEOPT) {
+            this.stats.differentialChecks++;
+            const expected = this.describeOutcome(interpreted);
+            const actual = this.describeOutcome(compiled);
+            if (expected !== actual) {
+                this.mismatches.push({ name: fn.name, expected, actual });
+                throw new Error(`JIT: результат функции '${fn.name}' отличается от интерпретатора: ожидалось ${expected}, получено ${actual}`);
+            }
+        }
+
+        if (interpreted.error) {
+            throw interpreted.error;
+        }
+        return interpreted.value;
+    }
+
+    async capture(run) {
+        try {
+            return { value: await run() };
         } catch (error) {
-            console.warn(`JIT compilation failed for ${functionName}:`, error);
-            return null;
+            return { error };
         }
     }
 
+    /**
+     * Сравнимое представление результата вызова
+     */
+    describeOutcome(outcome) {
+        if (outcome.error) {
+            return `ошибка "${outcome.error.message}"`;
+        }
+        const seen = new Set();
+        const toNative = (value) => {
+            if (value instanceof VladXObject) {
+                if (['function', 'closure', 'class', 'generator'].includes(value.type)) {
+                    return `<${value.type} ${value.name}>`;
+                }
+                return toNative(value.value);
+            }
+            if (value && typeof value === 'object') {
+                if (seen.has(value)) return '<цикл>';
+                seen.add(value);
+                const result = Array.isArray(value)
+                    ? value.map(toNative)
+                    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toNative(item)]));
+                seen.delete(value);
+                return result;
+            }
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                return String(value);
+            }
+            return value === undefined ? null : value;
+        };
+        return JSON.stringify(toNative(outcome.value));
+    }
+
+    // ========== Компиляция ==========
+
+    /**
+     * Компиляция функции VladX в JavaScript
+     * paramKinds — ожидаемые типы параметров ('number', 'string', 'boolean' или 'value')
+     */
+    compileFunction(funcNode, functionName = null, paramKinds = []) {
+        const name = functionName || funcNode.name || '<anonymous>';
+        const { code, nodes } = this.generateFunctionCode(funcNode, name, paramKinds);
+
+        // Фабрика получает служебные функции и узлы AST, которые нужны интерпретатору (замыкания)
+        const run = new Function('rt', 'nodes', code)(this.runtime, nodes);
+
+        const compiled = {
+            run,
+            code,
+            paramCount: (funcNode.params || []).length,
+            compiledFunction: run,
+            originalNode: funcNode,
+            compiledAt: Date.now()
+        };
+        this.compiledFunctions.set(name, compiled);
+        return compiled;
+    }
+
     /**
      * Генерация JavaScript кода из AST функции
      */
-    generateFunctionCode(funcNode, functionName) {
-        const params = (funcNode.params || funcNode.parameters || []).map(p => p.name || p);
-        const paramNames = params.join(', ');
+    generateFunctionCode(funcNode, functionName, paramKinds) {
+        const params = funcNode.params || [];
+        const statements = funcNode.body && funcNode.body.type === 'BlockStatement' ? funcNode.body.body : null;
+        if (!statements) {
+            throw unsupported('тело функции без блока');
+        }
 
-        // Генерируем тело функции (body может быть BlockStatement)
-        const statements = funcNode.body && funcNode.body.body ? funcNode.body.body : (funcNode.body || []);
-        const bodyCode = this.generateBodyCode(statements);
+        const analysis = this.analyzeFunction(params, statements);
+        const kinds = new Map();
+        params.forEach((param, index) => {
+            const kind = param.type === 'Identifier' && !analysis.envMode ? paramKinds[index] || 'value' : 'value';
+            kinds.set(this.paramName(param), kind);
+        });
+        for (const local of analysis.locals) {
+            if (!kinds.has(local)) kinds.set(local, 'bottom');
+        }
 
-        // Оборачиваем в try-catch для обработки ошибок
-        const wrappedCode = `
-            try {
-                ${bodyCode}
-            } catch (error) {
-                __interpreter.wrapError(error);
-                throw error;
+        // Вывод типов локальных переменных: генерация повторяется, пока типы не перестанут расширяться
+        let ctx;
+        for (let pass = 0; pass < 50; pass++) {
+            ctx = this.createContext(functionName, analysis, kinds);
+            this.generateBody(params, statements, ctx);
+
+            let changed = false;
+            for (const [local, kind] of ctx.observed) {
+                const joined = joinKinds(kinds.get(local), kind);
+                if (joined !== kinds.get(local)) {
+                    kinds.set(local, joined);
+                    changed = true;
+                }
             }
-        `;
+            if (!changed) break;
+        }
+
+        for (const [local, kind] of kinds) {
+            if (kind === 'bottom') kinds.set(local, 'value');
+        }
+        ctx = this.createContext(functionName, analysis, kinds);
+        const body = this.generateBody(params, statements, ctx);
 
-        // Возвращаем код анонимной функции
-        return `return async function(${paramNames}) { ${wrappedCode} };`;
+        return { code: `return async function (env, args) {\n${body}\n};`, nodes: ctx.nodes };
+    }
+
+    createContext(functionName, analysis, kinds) {
+        return {
+            functionName,
+            envMode: analysis.envMode,
+            locals: analysis.locals,
+            consts: analysis.consts,
+            kinds,
+            observed: new Map(),
+            track: analysis.track,
+            temps: 0,
+            nodes: [],
+            sinks: ['c'],
+            loops: 0,
+            labels: []
+        };
     }
 
     /**
-     * Генерация кода для тела функции
+     * Анализ функции: поддерживаемость, локальные переменные и режим хранения
+     * Переменные живут в JS-переменных, если каждое обращение к ним лексически следует за объявлением
+     * в том же или объемлющем блоке; иначе (вложенные функции, константы в циклах) — в Environment,
+     * как в интерпретаторе
      */
-    generateBodyCode(statements) {
-        const lines = [];
+    analyzeFunction(params, statements) {
+        const locals = new Set();
+        const consts = new Set();
+        let envMode = false;
+
+        statements.forEach(statement => this.checkSupported(statement));
+
+        // Все объявленные в теле имена: обращение к ним до объявления читает внешнюю переменную
+        const collect = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(collect);
+                return;
+            }
+            if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                locals.add(node.name);
+            } else if (node.type === 'FunctionDeclaration' || node.type === 'ArrowFunctionExpression') {
+                if (node.type === 'FunctionDeclaration' && node.name) locals.add(node.name);
+                return;
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') collect(value);
+            }
+        };
+        collect(statements);
+
+        const scopes = [new Set()];
+        const declared = new Set();
+        const visitName = (name) => {
+            if ((locals.has(name) || params.some(param => this.paramName(param) === name)) &&
+                !scopes.some(scope => scope.has(name))) {
+                envMode = true;
+            }
+        };
+        const declare = (name) => {
+            scopes[scopes.length - 1].add(name);
+            declared.add(name);
+            locals.add(name);
+        };
+
+        const scan = (node, inLoop) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => scan(child, inLoop));
+                return;
+            }
+
+            const nested = (child, loop = inLoop) => {
+                scopes.push(new Set());
+                scan(child, loop);
+                scopes.pop();
+            };
 
-        for (const stmt of statements) {
-            const line = this.generateStatementCode(stmt);
-            if (line) {
-                lines.push(line);
+            switch (node.type) {
+                case 'BlockStatement':
+                    nested(node.body);
+                    return;
+                case 'LetStatement':
+                case 'ConstStatement':
+                    scan(node.initializer, inLoop);
+                    if (node.type === 'ConstStatement') {
+                        // Повторное объявление константы — ошибка, которую должен выдать интерпретатор
+                        if (inLoop || declared.has(node.name)) envMode = true;
+                        consts.add(node.name);
+                    } else if (consts.has(node.name)) {
+                        envMode = true;
+                    }
+                    declare(node.name);
+                    return;
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                    // Вложенные функции захватывают окружение — переменные должны жить в Environment
+                    envMode = true;
+                    return;
+                case 'Identifier':
+                    visitName(node.name);
+                    return;
+                case 'Assignment':
+                    scan(node.value, inLoop);
+                    visitName(node.name);
+                    return;
+                case 'IfStatement':
+                    scan(node.condition, inLoop);
+                    nested(node.thenBranch);
+                    nested(node.elseBranch);
+                    return;
+                case 'WhileStatement':
+                    scan(node.condition, true);
+                    nested(node.body, true);
+                    return;
+                case 'ForStatement':
+                    scopes.push(new Set());
+                    scan(node.initializer, inLoop);
+                    scan(node.condition, true);
+                    nested(node.body, true);
+                    scan(node.update, true);
+                    scopes.pop();
+                    return;
+                case 'LabeledStatement':
+                    nested(node.body);
+                    return;
+                case 'MemberExpression':
+                case 'MemberAssignment':
+                    scan(node.object, inLoop);
+                    if (node.computed || node.property.type !== 'Identifier') scan(node.property, inLoop);
+                    if (node.type === 'MemberAssignment') scan(node.value, inLoop);
+                    return;
+                case 'ObjectExpression':
+                case 'ObjectPattern':
+                    node.properties.forEach(property => scan(property.value, inLoop));
+                    return;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') {
+                    scan(value, inLoop);
+                }
+            }
+        };
+
+        for (const param of params) {
+            if (param.type === 'RestElement' && param.argument.type === 'Identifier') {
+                declare(param.argument.name);
+            } else if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+                this.checkSupported(param.right);
+                scan(param.right, false);
+                declare(param.left.name);
+            } else if (param.type === 'Identifier') {
+                declare(param.name);
+            } else {
+                throw unsupported('деструктуризация в параметрах');
             }
         }
+        scan(statements, false);
 
-        return lines.join('\n');
+        // Неявный результат важен, только если выполнение может дойти до конца тела
+        const last = statements[statements.length - 1];
+        const track = !last || !['ReturnStatement', 'ThrowStatement'].includes(last.type);
+
+        return { locals, consts, envMode, track };
     }
 
+    /**
+     * Проверка, что все узлы (кроме тел вложенных функций) поддерживаются
+     */
+    checkSupported(node) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => this.checkSupported(child));
+            return;
+        }
+        if (typeof node.type !== 'string') return;
+
+        if (node.type === 'FunctionDeclaration' || node.type === 'ArrowFunctionExpression') {
+            // Тело вложенной функции выполняет интерпретатор (или компилирует JIT отдельно)
+            return;
+        }
+        if (!SUPPORTED_STATEMENTS.has(node.type) && !SUPPORTED_EXPRESSIONS.has(node.type) &&
+            !['Property', 'PropertyDefinition', 'PropertyKey', 'SpreadElement'].includes(node.type)) {
+            throw unsupported(`узел '${node.type}'`);
+        }
+        if (node.type === 'CompoundAssignmentExpression' && node.left.type === 'MemberExpression' &&
+            (node.left.computed || !['Identifier', 'ThisExpression'].includes(node.left.object.type))) {
+            throw unsupported('составное присваивание сложному свойству');
+        }
+        if ((node.type === 'MemberExpression' || node.type === 'MemberAssignment') && !node.computed &&
+            node.property.type === 'Identifier' && node.property.name.startsWith('#')) {
+            // Приватные имена разрешаются по окружению тела класса
+            throw unsupported('приватное поле');
+        }
+        if (node.type === 'CompoundAssignmentExpression' && node.operator === '??=') {
+            throw unsupported('присваивание ??=');
+        }
+        if (node.type === 'CompoundAssignmentExpression' && !['Identifier', 'MemberExpression'].includes(node.left.type)) {
+            throw unsupported('составное присваивание образцу');
+        }
+        if (node.type === 'ArrayPattern' && node.elements.some(element => element && ['SpreadElement', 'RestElement'].includes(element.type))) {
+            // evaluateArrayPattern распаковывает только массивы, без протокола итерации
+            throw unsupported('распаковка в образце массива');
+        }
+        if (node.type === 'ConstStatement' && !node.initializer) {
+            throw unsupported('константа без значения');
+        }
+        if ((node.type === 'ObjectExpression' || node.type === 'ObjectPattern') &&
+            node.properties.some(property => !property || !property.key)) {
+            throw unsupported('распаковка в литерале объекта');
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            // Аннотации типов не выполняются
+            if (key !== 'type' && key !== 'typeAnnotation' && key !== 'returnType' && value && typeof value === 'object') {
+                this.checkSupported(value);
+            }
+        }
+    }
+
+    paramName(param) {
+        if (param.type === 'RestElement') return param.argument.name;
+        if (param.type === 'AssignmentPattern') return param.left.name;
+        return param.name;
+    }
+
+    /**
+     * Пролог (проверки типов, параметры), тело и неявный результат
+     */
+    generateBody(params, statements, ctx) {
+        const prologue = [];
+        const guards = [];
+
+        prologue.push(ctx.envMode
+            ? `const scope = env.child(${JSON.stringify(`<function ${ctx.functionName}>`)});`
+            : 'const scope = env;');
+        prologue.push('rt.enter(scope);');
+
+        params.forEach((param, index) => {
+            const name = this.paramName(param);
+            const arg = `args[${index}]`;
+            let value;
+
+            if (param.type === 'RestElement') {
+                value = { code: `rt.array(args.slice(${index}))`, kind: 'value' };
+            } else if (param.type === 'AssignmentPattern') {
+                // Значение по умолчанию вычисляется после предыдущих параметров
+                const fallback = this.toValue(this.generateExpressionCode(param.right, ctx));
+                value = { code: `(${arg} === undefined ? ${fallback} : ${arg})`, kind: 'value' };
+            } else {
+                const kind = ctx.kinds.get(name);
+                if (PRIMITIVE_KINDS.has(kind)) {
+                    guards.push(`rt.is(${arg}, ${JSON.stringify(kind)})`);
+                    value = { code: `${arg}.value`, kind };
+                } else {
+                    value = { code: `(${arg} ? ${arg} : rt.null())`, kind: 'value' };
+                }
+            }
+
+            prologue.push(this.storeLocal(name, value, ctx, 'define') + ';');
+        });
+
+        const body = statements.map((statement, index) =>
+            this.generateStatementCode(statement, ctx, { topLevel: true, last: index === statements.length - 1 })
+        ).filter(Boolean).join('\n');
+
+        const declarations = [];
+        if (!ctx.envMode) {
+            const locals = [...ctx.kinds.keys()].map(name => this.localName(name));
+            if (locals.length) declarations.push(`let ${locals.join(', ')};`);
+        }
+        if (ctx.temps > 0) {
+            declarations.push(`let ${Array.from({ length: ctx.temps }, (_, i) => `t${i}`).join(', ')};`);
+        }
+        if (ctx.track) {
+            declarations.push('let c = rt.null(), last = null;');
+        }
+
+        const parts = [];
+        if (guards.length) {
+            // Проверки типов до любых побочных эффектов — при промахе вызов уходит в интерпретатор
+            parts.push(`if (!(${guards.join(' && ')})) return rt.DEOPT;`);
+        }
+        parts.push(...declarations, ...prologue, body);
+        if (ctx.track) {
+            parts.push('return last !== null ? last : c;');
+        }
+
+        return parts.filter(Boolean).join('\n');
+    }
+
+    // ========== Переменные ==========
+
+    localName(name) {
+        return `$${name}`;
+    }
+
+    isRegisterLocal(name, ctx) {
+        return !ctx.envMode && ctx.kinds.has(name);
+    }
+
+    temp(ctx) {
+        return `t${ctx.temps++}`;
+    }
+
+    readVariable(name, ctx) {
+        if (this.isRegisterLocal(name, ctx)) {
+            const kind = ctx.kinds.get(name);
+            return { code: this.localName(name), kind: kind === 'bottom' ? 'bottom' : kind };
+        }
+        return { code: `scope.get(${JSON.stringify(name)})`, kind: 'value' };
+    }
+
+    /**
+     * Запись локальной переменной; mode — 'define' (пусть/параметр), 'const' или 'assign'
+     */
+    storeLocal(name, value, ctx, mode) {
+        if (this.isRegisterLocal(name, ctx)) {
+            ctx.observed.set(name, joinKinds(ctx.observed.get(name) || 'bottom', value.kind));
+            const kind = ctx.kinds.get(name);
+            const code = PRIMITIVE_KINDS.has(kind) && value.kind === kind ? value.code : this.toValue(value);
+            return `${this.localName(name)} = ${code}`;
+        }
+
+        const key = JSON.stringify(name);
+        if (mode === 'assign') {
+            return `rt.assign(scope, ${key}, ${this.toValue(value)})`;
+        }
+        return `scope.define(${key}, ${this.toValue(value)}${mode === 'const' ? ', true' : ''})`;
+    }
+
+    // ========== Представление значений ==========
+
+    /**
+     * Значение в представлении интерпретатора (VladXObject)
+     */
+    toValue({ code, kind }) {
+        switch (kind) {
+            case 'number': return `rt.num(${code})`;
+            case 'string': return `rt.str(${code})`;
+            case 'boolean': return `rt.bool(${code})`;
+            default: return code;
+        }
+    }
+
+    /**
+     * Значение для проверки условия (как condValue в интерпретаторе)
+     */
+    toCondition({ code, kind }) {
+        return PRIMITIVE_KINDS.has(kind) ? code : `rt.raw(${code})`;
+    }
+
+    // ========== Инструкции ==========
+
     /**
      * Генерация кода для отдельного statement
+     * position.topLevel — инструкция верхнего уровня тела функции (для неявного результата)
      */
-    generateStatementCode(stmt) {
+    generateStatementCode(stmt, ctx, position = {}) {
+        const sink = ctx.sinks[ctx.sinks.length - 1];
+        const complete = (valueCode) => ctx.track ? `${sink} = ${valueCode};` : '';
+
         switch (stmt.type) {
-            case 'ReturnStatement':
-                const returnValue = stmt.argument ? this.generateExpressionCode(stmt.argument) : 'null';
-                return `return ${returnValue};`;
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                return complete('rt.null()');
 
-            case 'ExpressionStatement':
-                return this.generateExpressionCode(stmt.expression) + ';';
+            case 'ExpressionStatement': {
+                const value = this.generateExpressionCode(stmt.expression, ctx);
+                if (!ctx.track) {
+                    return `${value.code};`;
+                }
+                const target = position.topLevel ? `last = ${sink}` : sink;
+                return `${target} = ${this.toValue(value)};`;
+            }
 
             case 'LetStatement':
-                const init = stmt.initializer ? this.generateExpressionCode(stmt.initializer) : 'undefined';
-                return `let ${stmt.name} = ${init};`;
+            case 'ConstStatement': {
+                const value = stmt.initializer ? this.generateExpressionCode(stmt.initializer, ctx) : { code: 'rt.null()', kind: 'value' };
+                const store = this.storeLocal(stmt.name, value, ctx, stmt.type === 'ConstStatement' ? 'const' : 'define');
+                if (!ctx.track) {
+                    return `${store};`;
+                }
+                return `${store};\n${complete(this.toValue(this.readVariable(stmt.name, ctx)))}`;
+            }
 
-            case 'ConstStatement':
-                const constInit = stmt.initializer ? this.generateExpressionCode(stmt.initializer) : 'undefined';
-                return `const ${stmt.name} = ${constInit};`;
+            case 'ReturnStatement': {
+                const value = stmt.argument ? this.toValue(this.generateExpressionCode(stmt.argument, ctx)) : 'rt.null()';
+                return `return ${value};`;
+            }
 
-            case 'IfStatement':
-                return this.generateIfCode(stmt);
+            case 'ThrowStatement':
+                return `rt.throwValue(${this.toValue(this.generateExpressionCode(stmt.argument, ctx))});`;
 
-            case 'WhileStatement':
-                return this.generateWhileCode(stmt);
+            case 'BlockStatement': {
+                const body = stmt.body.map(inner => this.generateStatementCode(inner, ctx)).filter(Boolean).join('\n');
+                const code = stmt.body.length === 0 ? complete('rt.null()') : body;
+                return `{\n${code}\n}`;
+            }
+
+            case 'IfStatement': {
+                const condition = this.toCondition(this.generateExpressionCode(stmt.condition, ctx));
+                const thenCode = this.generateBranch(stmt.thenBranch, ctx);
+                const elseCode = stmt.elseBranch ? this.generateBranch(stmt.elseBranch, ctx) : complete('rt.null()');
+                return elseCode ? `if (${condition}) {\n${thenCode}\n} else {\n${elseCode}\n}` : `if (${condition}) {\n${thenCode}\n}`;
+            }
 
+            case 'WhileStatement':
             case 'ForStatement':
-                return this.generateForCode(stmt);
+                return this.generateLoopCode(stmt, ctx, null);
+
+            case 'LabeledStatement': {
+                const label = this.labelName(stmt.label);
+                if (stmt.body.type === 'WhileStatement' || stmt.body.type === 'ForStatement') {
+                    return this.generateLoopCode(stmt.body, ctx, stmt.label);
+                }
+                ctx.labels.push({ name: stmt.label, loop: false });
+                try {
+                    const body = this.generateStatementCode(stmt.body, ctx);
+                    if (!ctx.track) {
+                        return `${label}: {\n${body}\n}`;
+                    }
+                    // Выход по "прервать метка" даёт пустой результат
+                    const finished = this.temp(ctx);
+                    return `${finished} = false;\n${label}: {\n${body}\n${finished} = true;\n}\nif (!${finished}) ${sink} = rt.null();`;
+                } finally {
+                    ctx.labels.pop();
+                }
+            }
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return this.generateJumpCode(stmt, ctx);
+
+            case 'FunctionDeclaration':
+                return `rt.declare(nodes[${this.registerNode(stmt, ctx)}]);\n${complete('rt.null()')}`;
 
             default:
-                // Для неподдерживаемых statements используем интерпретатор
-                return `__interpreter.evaluateStatement(${JSON.stringify(stmt)});`;
+                throw unsupported(`инструкция '${stmt.type}'`);
+        }
+    }
+
+    generateBranch(branch, ctx) {
+        return branch.type === 'BlockStatement'
+            ? this.generateStatementCode(branch, ctx).slice(2, -2)
+            : this.generateStatementCode(branch, ctx);
+    }
+
+    labelName(label) {
+        return `L_${label}`;
+    }
+
+    /**
+     * Циклы: результат цикла — результат последней нормально завершённой итерации
+     */
+    generateLoopCode(stmt, ctx, label) {
+        const outerSink = ctx.sinks[ctx.sinks.length - 1];
+        const resultVar = ctx.track ? this.temp(ctx) : null;
+        const bodySink = ctx.track ? this.temp(ctx) : null;
+        const prefix = label ? `${this.labelName(label)}: ` : '';
+
+        let init = '';
+        if (stmt.type === 'ForStatement' && stmt.initializer && stmt.initializer.type !== 'EmptyStatement') {
+            init = this.generateStatementCode(stmt.initializer, ctx);
+        }
+
+        const condition = stmt.condition
+            ? this.toCondition(this.generateExpressionCode(stmt.condition, ctx))
+            : 'true';
+        const update = stmt.type === 'ForStatement' && stmt.update && stmt.update.type !== 'EmptyStatement'
+            ? this.generateExpressionCode(stmt.update, ctx).code
+            : '';
+
+        ctx.loops++;
+        ctx.labels.push({ name: label, loop: true });
+        if (bodySink) ctx.sinks.push(bodySink);
+        let body;
+        try {
+            body = this.generateStatementCode(stmt.body, ctx);
+        } finally {
+            ctx.loops--;
+            ctx.labels.pop();
+            if (bodySink) ctx.sinks.pop();
         }
+
+        const lines = [];
+        if (init) lines.push(init);
+        if (resultVar) lines.push(`${resultVar} = rt.null();`);
+        const record = resultVar ? `\n${resultVar} = ${bodySink};` : '';
+        lines.push(stmt.type === 'ForStatement'
+            ? `${prefix}for (; ${condition}; ${update}) {\n${body}${record}\n}`
+            : `${prefix}while (${condition}) {\n${body}${record}\n}`);
+        if (resultVar) lines.push(`${outerSink} = ${resultVar};`);
+        return lines.join('\n');
+    }
+
+    generateJumpCode(stmt, ctx) {
+        const keyword = stmt.type === 'BreakStatement' ? 'break' : 'continue';
+
+        if (stmt.label) {
+            const target = [...ctx.labels].reverse().find(entry => entry.name === stmt.label);
+            if (!target || (keyword === 'continue' && !target.loop)) {
+                throw unsupported(`${keyword} с меткой вне тела функции`);
+            }
+            return `${keyword} ${this.labelName(stmt.label)};`;
+        }
+
+        if (ctx.loops === 0) {
+            // Интерпретатор передал бы сигнал циклу вызывающей функции
+            throw unsupported(`${keyword} вне цикла`);
+        }
+        return `${keyword};`;
+    }
+
+    registerNode(node, ctx) {
+        ctx.nodes.push(node);
+        return ctx.nodes.length - 1;
     }
 
+    // ========== Выражения ==========
+
     /**
-     * Генерация кода для выражений
+     * Генерация кода для выражений: { code, kind }
+     * kind — 'number' | 'string' | 'boolean' (распакованное значение) или 'value' (VladXObject)
      */
-    generateExpressionCode(expr) {
+    generateExpressionCode(expr, ctx) {
         switch (expr.type) {
             case 'Literal':
-                return JSON.stringify(expr.value);
+                return this.generateLiteral(expr.value);
+
+            case 'RegexLiteral':
+                return { code: `rt.regex(${JSON.stringify(expr.pattern)}, ${JSON.stringify(expr.flags)})`, kind: 'value' };
 
             case 'Identifier':
-                return expr.name;
+                return this.readVariable(expr.name, ctx);
+
+            case 'ThisExpression':
+                return { code: 'rt.self()', kind: 'value' };
 
             case 'BinaryExpression':
-                const left = this.generateExpressionCode(expr.left);
-                const right = this.generateExpressionCode(expr.right);
-                return `(${left} ${expr.operator} ${right})`;
+                if (expr.operator === '??') {
+                    return this.generateNullish(expr, ctx);
+                }
+                return this.generateBinary(expr.operator, this.generateExpressionCode(expr.left, ctx), this.generateExpressionCode(expr.right, ctx));
+
+            case 'BitwiseExpression': {
+                const left = this.generateExpressionCode(expr.left, ctx);
+                const right = this.generateExpressionCode(expr.right, ctx);
+                if (this.bothPrimitive(left, right)) {
+                    return { code: `(${left.code} ${expr.operator} ${right.code})`, kind: 'number' };
+                }
+                return { code: `rt.bitwise(${JSON.stringify(expr.operator)}, ${this.toValue(left)}, ${this.toValue(right)}).value`, kind: 'number' };
+            }
 
             case 'UnaryExpression':
-                const operand = this.generateExpressionCode(expr.operand);
-                return `${expr.operator}${operand}`;
+                return this.generateUnary(expr.operator, this.generateExpressionCode(expr.operand, ctx));
+
+            case 'TernaryExpression': {
+                const condition = this.toCondition(this.generateExpressionCode(expr.condition, ctx));
+                const thenValue = this.generateExpressionCode(expr.thenExpr, ctx);
+                const elseValue = this.generateExpressionCode(expr.elseExpr, ctx);
+                if (thenValue.kind === elseValue.kind) {
+                    return { code: `(${condition} ? ${thenValue.code} : ${elseValue.code})`, kind: thenValue.kind };
+                }
+                return { code: `(${condition} ? ${this.toValue(thenValue)} : ${this.toValue(elseValue)})`, kind: 'value' };
+            }
+
+            case 'TemplateLiteral':
+                return this.generateTemplate(expr, ctx);
+
+            case 'MemberExpression': {
+                const object = this.temp(ctx);
+                return { code: `(${object} = ${this.toValue(this.generateExpressionCode(expr.object, ctx))}, ${this.generateMemberRead(object, expr, ctx)})`, kind: 'value' };
+            }
 
             case 'CallExpression':
-                const callee = this.generateExpressionCode(expr.callee);
-                const args = expr.arguments.map(arg => this.generateExpressionCode(arg)).join(', ');
-                return `await ${callee}(${args})`;
+                return this.generateCall(expr, ctx);
 
-            case 'MemberExpression':
-                const obj = this.generateExpressionCode(expr.object);
-                const prop = this.generateExpressionCode(expr.property);
-                return `${obj}.${prop}`;
+            case 'NewExpression': {
+                const callee = this.toValue(this.generateExpressionCode(expr.callee, ctx));
+                const args = this.generateArguments(expr.args, ctx, false);
+                return { code: `(await rt.construct(rt.assertClass(${callee}), [${args}]))`, kind: 'value' };
+            }
 
-            case 'FunctionExpression':
-                // Встраиваем определение функции
-                const funcParams = expr.parameters.map(p => p.name).join(', ');
-                const funcBody = this.generateBodyCode(expr.body);
-                return `async function(${funcParams}) { ${funcBody} }`;
+            case 'Assignment':
+                return this.generateAssignment(expr, ctx);
+
+            case 'MemberAssignment': {
+                const object = this.toValue(this.generateExpressionCode(expr.object, ctx));
+                const value = this.toValue(this.generateExpressionCode(expr.value, ctx));
+                const computed = expr.computed || expr.property.type !== 'Identifier';
+                if (!computed) {
+                    // Сеттер вызывается асинхронно, обычное свойство пишется сразу
+                    const objectTemp = this.temp(ctx);
+                    const valueTemp = this.temp(ctx);
+                    const key = JSON.stringify(expr.property.name);
+                    return {
+                        code: `(${objectTemp} = ${object}, ${valueTemp} = ${value}, rt.hasAccessor(${objectTemp}, ${key}) ` +
+                            `? (await rt.writeMember(${objectTemp}, ${key}, ${valueTemp})) : rt.setMember(${objectTemp}, ${valueTemp}, ${key}, false, false))`,
+                        kind: 'value'
+                    };
+                }
+                const key = this.toValue(this.generateExpressionCode(expr.property, ctx));
+                return { code: `rt.setMember(${object}, ${value}, ${key}, true, ${expr.computed === true})`, kind: 'value' };
+            }
+
+            case 'CompoundAssignmentExpression':
+                return this.generateCompound(expr, ctx);
+
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return { code: `rt.array([${this.generateArguments(expr.elements, ctx, true)}])`, kind: 'value' };
+
+            case 'ObjectExpression':
+            case 'ObjectPattern': {
+                const properties = expr.properties.map(property => {
+                    const key = property.key.value || property.key.name || String(property.key);
+                    return `[${JSON.stringify(key)}]: ${this.toValue(this.generateExpressionCode(property.value, ctx))}`;
+                });
+                return { code: `rt.object({ ${properties.join(', ')} })`, kind: 'value' };
+            }
+
+            case 'FunctionDeclaration':
+                return { code: `rt.declare(nodes[${this.registerNode(expr, ctx)}])`, kind: 'value' };
+
+            case 'ArrowFunctionExpression':
+                return { code: `rt.arrow(nodes[${this.registerNode(expr, ctx)}])`, kind: 'value' };
 
             default:
-                // Для сложных выражений используем интерпретатор
-                return `__interpreter.evaluateExpression(${JSON.stringify(expr)})`;
+                throw unsupported(`выражение '${expr.type}'`);
         }
     }
 
+    generateLiteral(value) {
+        if (typeof value === 'number') {
+            return { code: value < 0 || Object.is(value, -0) ? `(${value})` : String(value), kind: 'number' };
+        }
+        if (typeof value === 'boolean') {
+            return { code: String(value), kind: 'boolean' };
+        }
+        if (value === null) {
+            return { code: 'rt.null()', kind: 'value' };
+        }
+        if (typeof value === 'bigint') {
+            return { code: `rt.bigint(${value}n)`, kind: 'value' };
+        }
+        if (typeof value === 'object') {
+            // Десятичное
+            return { code: `rt.decimal(${JSON.stringify(value.toString())})`, kind: 'value' };
+        }
+        return { code: JSON.stringify(String(value)), kind: 'string' };
+    }
+
+    bothPrimitive(left, right) {
+        return PRIMITIVE_KINDS.has(left.kind) && PRIMITIVE_KINDS.has(right.kind);
+    }
+
     /**
-     * Генерация кода для if statement
+     * Бинарная операция: для распакованных операндов — прямой оператор JS,
+     * иначе — та же binaryOperation, что и в интерпретаторе
      */
-    generateIfCode(stmt) {
-        const condition = this.generateExpressionCode(stmt.condition);
-        const thenBranch = this.generateBodyCode(stmt.thenBranch);
-        let code = `if (${condition}) { ${thenBranch} }`;
+    generateBinary(operator, left, right) {
+        const resultKind = this.binaryKind(operator, left.kind, right.kind);
 
-        if (stmt.elseBranch) {
-            const elseBranch = this.generateBodyCode(stmt.elseBranch);
-            code += ` else { ${elseBranch} }`;
+        if (this.bothPrimitive(left, right)) {
+            switch (operator) {
+                case '+':
+                    return resultKind === 'string'
+                        ? { code: `(String(${left.code}) + String(${right.code}))`, kind: 'string' }
+                        : { code: `(${left.code} + ${right.code})`, kind: 'number' };
+                case '-':
+                case '*':
+                case '%':
+                    return { code: `(${left.code} ${operator} ${right.code})`, kind: 'number' };
+                case '/':
+                    return { code: `rt.div(${left.code}, ${right.code})`, kind: 'number' };
+                case '**':
+                    return { code: `Math.pow(${left.code}, ${right.code})`, kind: 'number' };
+                case '==':
+                case '!=':
+                case '<':
+                case '>':
+                case '<=':
+                case '>=':
+                    return { code: `(${left.code} ${operator} ${right.code})`, kind: 'boolean' };
+                case '&&':
+                    return { code: `rt.and(${left.code}, ${right.code})`, kind: 'boolean' };
+                case '||':
+                    return { code: `rt.or(${left.code}, ${right.code})`, kind: 'boolean' };
+            }
         }
 
-        return code;
+        const call = `rt.binary(${JSON.stringify(operator)}, ${this.toValue(left)}, ${this.toValue(right)})`;
+        return resultKind === 'value' || resultKind === 'bottom' ? { code: call, kind: resultKind } : { code: `${call}.value`, kind: resultKind };
     }
 
     /**
-     * Генерация кода для while statement
+     * a ?? b: правая часть вычисляется, только если слева ничто
      */
-    generateWhileCode(stmt) {
-        const condition = this.generateExpressionCode(stmt.condition);
-        const body = this.generateBodyCode(stmt.body);
-        return `while (${condition}) { ${body} }`;
+    generateNullish(expr, ctx) {
+        const left = this.generateExpressionCode(expr.left, ctx);
+        if (PRIMITIVE_KINDS.has(left.kind)) {
+            return left;
+        }
+        const value = this.temp(ctx);
+        const right = this.toValue(this.generateExpressionCode(expr.right, ctx));
+        return { code: `(rt.isNullish(${value} = ${this.toValue(left)}) ? ${right} : ${value})`, kind: 'value' };
     }
 
     /**
-     * Генерация кода для for statement
+     * Тип результата бинарной операции (как VladXObject-тип в binaryOperation)
      */
-    generateForCode(stmt) {
-        const init = this.generateStatementCode(stmt.initializer);
-        const condition = this.generateExpressionCode(stmt.condition);
-        const update = this.generateExpressionCode(stmt.update);
-        const body = this.generateBodyCode(stmt.body);
-        return `for (${init}; ${condition}; ${update}) { ${body} }`;
+    binaryKind(operator, leftKind, rightKind) {
+        if (operator === '+') {
+            if (leftKind === 'bottom' || rightKind === 'bottom') return 'bottom';
+            if (leftKind === 'string' || rightKind === 'string') return 'string';
+            if (PRIMITIVE_KINDS.has(leftKind) && PRIMITIVE_KINDS.has(rightKind)) return 'number';
+            return 'value';
+        }
+        // Большие и десятичные приходят как value; число гарантировано только для чисел
+        if (['-', '*', '/', '%', '**'].includes(operator)) return leftKind === 'value' || rightKind === 'value' ? 'value' : 'number';
+        if (['==', '!=', '<', '>', '<=', '>=', '&&', '||', 'экземпляр'].includes(operator)) return 'boolean';
+        return 'value';
+    }
+
+    generateUnary(operator, operand) {
+        if (PRIMITIVE_KINDS.has(operand.kind)) {
+            switch (operator) {
+                case '-': return { code: `(-${operand.code})`, kind: 'number' };
+                case '+': return { code: `(+${operand.code})`, kind: 'number' };
+                case '!':
+                case 'не': return { code: `(!${operand.code})`, kind: 'boolean' };
+                case 'typeof': return { code: JSON.stringify(operand.kind), kind: 'string' };
+            }
+        }
+
+        const kind = { '!': 'boolean', 'не': 'boolean', 'typeof': 'string' }[operator] || 'value';
+        const call = `rt.unary(${JSON.stringify(operator)}, ${this.toValue(operand)})`;
+        return kind === 'value' ? { code: call, kind } : { code: `${call}.value`, kind };
+    }
+
+    generateTemplate(expr, ctx) {
+        const parts = [];
+        (expr.quasis || []).forEach((quasi, index) => {
+            if (quasi.value) parts.push(JSON.stringify(quasi.value));
+            if (index < expr.expressions.length) {
+                const value = this.generateExpressionCode(expr.expressions[index], ctx);
+                parts.push(PRIMITIVE_KINDS.has(value.kind) ? `String(${value.code})` : `rt.part(${value.code})`);
+            }
+        });
+        return { code: parts.length ? `(${parts.join(' + ')})` : '""', kind: 'string' };
     }
 
     /**
-     * Выполнение скомпилированной функции
+     * Чтение свойства; объект уже вычислен во временную переменную objectTemp.
+     * Геттер вызывается асинхронно, обычное свойство читается сразу
      */
-    async executeCompiledFunction(functionName, args, context) {
-        const compiled = this.compiledFunctions.get(functionName);
-        if (!compiled) {
-            throw new Error(`Compiled function ${functionName} not found`);
+    generateMemberRead(objectTemp, expr, ctx) {
+        if (expr.computed) {
+            const key = this.generateExpressionCode(expr.property, ctx);
+            const keyCode = PRIMITIVE_KINDS.has(key.kind) ? key.code : `rt.raw(${key.code})`;
+            return `rt.member(${objectTemp}, ${keyCode}, true)`;
         }
+        const key = JSON.stringify(expr.property.name);
+        const getter = this.temp(ctx);
+        return `((${getter} = rt.getter(${objectTemp}, ${key})) ? (await rt.call(${getter}, [], ${objectTemp})) : rt.member(${objectTemp}, ${key}, false))`;
+    }
 
-        try {
-            // Создаем execution context
-            const execFunction = compiled.compiledFunction(
-                this.interpreter.builtins,
-                context.environment || this.interpreter.currentEnv,
-                this.interpreter
-            );
-
-            return await execFunction(...args);
-        } catch (error) {
-            console.warn(`Compiled function ${functionName} failed, falling back to interpreter:`, error);
-            // Fallback to interpreter
-            return this.interpreter.evaluateExpression(compiled.originalNode);
+    /**
+     * Аргументы вызова или элементы массива (spread — по правилам интерпретатора)
+     */
+    generateArguments(items, ctx, isArray) {
+        return items.map(item => {
+            if (!item) {
+                return 'null';
+            }
+            if (item.type === 'SpreadElement') {
+                const value = this.toValue(this.generateExpressionCode(item.argument, ctx));
+                return `...(await rt.${isArray ? 'spreadElements' : 'spreadArguments'}(${value}))`;
+            }
+            return this.toValue(this.generateExpressionCode(item, ctx));
+        }).join(', ');
+    }
+
+    /**
+     * Вызов; для метода экземпляра передаётся "это", как в evaluateCallExpression
+     */
+    generateCall(expr, ctx) {
+        const callee = expr.callee;
+        let calleeCode;
+        let instanceCode = 'null';
+
+        if (callee.type === 'MemberExpression') {
+            // Объект вычисляется один раз: из него читается метод, он же — "это"
+            const temp = this.temp(ctx);
+            const object = this.toValue(this.generateExpressionCode(callee.object, ctx));
+            calleeCode = `(${temp} = ${object}, ${this.generateMemberRead(temp, callee, ctx)})`;
+            instanceCode = `rt.instanceOf(${temp})`;
+        } else {
+            calleeCode = this.toValue(this.generateExpressionCode(callee, ctx));
+        }
+
+        const args = this.generateArguments(expr.args, ctx, false);
+        return { code: `(await rt.call(${calleeCode}, [${args}], ${instanceCode}))`, kind: 'value' };
+    }
+
+    generateAssignment(expr, ctx) {
+        const value = this.generateExpressionCode(expr.value, ctx);
+
+        if (this.isRegisterLocal(expr.name, ctx)) {
+            if (ctx.consts.has(expr.name)) {
+                return { code: `(${value.code}, rt.constError(${JSON.stringify(expr.name)}))`, kind: 'value' };
+            }
+            const kind = ctx.kinds.get(expr.name);
+            const store = this.storeLocal(expr.name, value, ctx, 'assign');
+            return { code: `(${store})`, kind: PRIMITIVE_KINDS.has(kind) && value.kind === kind ? kind : 'value' };
+        }
+
+        return { code: this.storeLocal(expr.name, value, ctx, 'assign'), kind: 'value' };
+    }
+
+    /**
+     * Составное присваивание: текущее значение читается после вычисления правой части
+     */
+    generateCompound(expr, ctx) {
+        const operator = expr.operator;
+        const binaryOperator = operator.slice(0, -1);
+
+        if (expr.left.type === 'MemberExpression') {
+            const objectTemp = this.temp(ctx);
+            const rightTemp = this.temp(ctx);
+            const object = this.toValue(this.generateExpressionCode(expr.left.object, ctx));
+            const property = JSON.stringify(expr.left.property.name);
+            const right = this.toValue(this.generateExpressionCode(expr.right, ctx));
+            const args = `${objectTemp}, ${property}, ${JSON.stringify(operator)}, ${rightTemp}`;
+            return {
+                code: `(${objectTemp} = ${object}, ${rightTemp} = ${right}, rt.hasAccessor(${objectTemp}, ${property}) ` +
+                    `? (await rt.compoundAccessor(${args})) : rt.compoundMember(${args}))`,
+                kind: 'value'
+            };
+        }
+
+        const name = expr.left.name;
+        const right = this.generateExpressionCode(expr.right, ctx);
+        const temp = this.temp(ctx);
+
+        if (this.isRegisterLocal(name, ctx)) {
+            if (ctx.consts.has(name)) {
+                return { code: `(${right.code}, rt.constError(${JSON.stringify(name)}))`, kind: 'value' };
+            }
+            const current = this.readVariable(name, ctx);
+            const rightCurrent = { code: temp, kind: right.kind };
+            let result;
+
+            if (this.bothPrimitive(current, right) && binaryOperator !== '+') {
+                result = binaryOperator === '/'
+                    ? { code: `rt.div(${current.code}, ${temp})`, kind: 'number' }
+                    : { code: `(${current.code} ${binaryOperator} ${temp})`, kind: 'number' };
+            } else if (this.bothPrimitive(current, right)) {
+                result = this.generateBinary('+', current, rightCurrent);
+            } else {
+                const kind = this.binaryKind(binaryOperator, current.kind, right.kind);
+                const call = `rt.compound(${JSON.stringify(operator)}, ${this.toValue(current)}, ${this.toValue(rightCurrent)})`;
+                result = PRIMITIVE_KINDS.has(kind) ? { code: `${call}.value`, kind } : { code: call, kind };
+            }
+
+            return { code: `(${temp} = ${right.code}, ${this.storeLocal(name, result, ctx, 'assign')})`, kind: this.storedKind(name, result, ctx) };
         }
+
+        const key = JSON.stringify(name);
+        return {
+            code: `(scope.get(${key}), ${temp} = ${this.toValue(right)}, rt.assign(scope, ${key}, rt.compound(${JSON.stringify(operator)}, scope.get(${key}), ${temp})))`,
+            kind: 'value'
+        };
+    }
+
+    storedKind(name, value, ctx) {
+        const kind = ctx.kinds.get(name);
+        return PRIMITIVE_KINDS.has(kind) && value.kind === kind ? kind : 'value';
+    }
+
+    // ========== Среда выполнения скомпилированного кода ==========
+
+    /**
+     * Служебные функции, через которые скомпилированный код обращается к интерпретатору
+     */
+    createRuntime() {
+        const interpreter = this.interpreter;
+        return {
+            DEOPT,
+            null: () => VladXObject.null(),
+            num: (value) => VladXObject.number(value),
+            bigint: (value) => VladXObject.bigint(value),
+            decimal: (value) => VladXObject.decimal(value),
+            regex: (pattern, flags) => VladXObject.regex(compileRegex(pattern, flags)),
+            str: (value) => VladXObject.string(value),
+            bool: (value) => VladXObject.boolean(value),
+            array: (items) => VladXObject.array(items),
+            object: (properties) => VladXObject.object(properties),
+            is: (value, kind) => value instanceof VladXObject && value.type === kind,
+            raw: (value) => value && value.value !== undefined ? value.value : value,
+            isNullish: (value) => interpreter.isNullish(value),
+
+            div: (left, right) => {
+                if (right === 0) throw new Error(`Деление на ноль: ${left} / ${right}`);
+                return left / right;
+            },
+            and: (left, right) => Boolean(left && right),
+            or: (left, right) => Boolean(left || right),
+            binary: (operator, left, right) => interpreter.binaryOperation(operator, left, right),
+            unary: (operator, operand) => interpreter.unaryOperation(operator, operand),
+            bitwise: (operator, left, right) => interpreter.bitwiseOperation(operator, left, right),
+            compound: (operator, current, right) => interpreter.compoundOperation(operator, current, right),
+            part: (value) => interpreter.templatePart(value),
+
+            member: (object, key, computed) => interpreter.getMember(object, key, computed),
+            setMember: (object, value, key, computedKey, computed) => {
+                const index = computedKey && key && key.value !== undefined ? key.value : key;
+                return interpreter.setMember(object, index, value, computed);
+            },
+            compoundMember: (object, property, operator, right) => {
+                const result = interpreter.compoundOperation(operator, interpreter.getMember(object, property, false), right);
+                return interpreter.setMember(object, property, result, false);
+            },
+            // Аксессоры есть только у экземпляров и классов
+            getter: (object, key) => object && (object.type === 'instance' || object.type === 'class')
+                ? interpreter.findAccessor(object, key, 'get')
+                : null,
+            hasAccessor: (object, key) => Boolean(object && (object.type === 'instance' || object.type === 'class') &&
+                (interpreter.findAccessor(object, key, 'set') || interpreter.findAccessor(object, key, 'get'))),
+            writeMember: (object, key, value) => interpreter.writeMember(object, key, value, false),
+            compoundAccessor: async (object, property, operator, right) => {
+                const current = await interpreter.readMember(object, property, false);
+                return interpreter.writeMember(object, property, interpreter.compoundOperation(operator, current, right), false);
+            },
+
+            call: (callee, args, instance) => interpreter.callValue(callee, args, instance),
+            instanceOf: (object) => object && (object.type === 'instance' || object.type === 'class') ? object : null,
+            spreadArguments: (value) => interpreter.spreadArguments(value),
+            spreadElements: (value) => interpreter.spreadElements(value),
+            assertClass: (callee) => interpreter.assertClass(callee),
+            construct: (callee, args) => interpreter.constructInstance(callee, args),
+            self: () => interpreter.evaluateThisExpression(),
+
+            enter: (scope) => {
+                interpreter.currentEnv = scope;
+            },
+            declare: (node) => interpreter.evaluateFunctionDeclaration(node),
+            arrow: (node) => interpreter.evaluateArrowFunctionExpression(node),
+            assign: (scope, name, value) => {
+                scope.assign(name, value);
+                return value;
+            },
+            constError: (name) => {
+                throw new Error(`Нельзя изменить константу ${name}`);
+            },
+            throwValue: (value) => {
+                const val = value && value.value !== undefined ? value.value : value;
+                throw new Error(String(val));
+            }
+        };
     }
 
     /**
@@ -254,6 +1454,7 @@ export class JITCompiler {
     clearCache() {
         this.compiledFunctions.clear();
         this.functionCallCounts.clear();
+        this.profiles = new WeakMap();
     }
 
     /**
@@ -268,6 +1469,8 @@ export class JITCompiler {
         for (const [name, data] of this.compiledFunctions) {
             if (now - data.compiledAt > staleThreshold) {
                 this.compiledFunctions.delete(name);
+                const profile = this.profiles.get(data.originalNode.body);
+                if (profile) profile.compiled = null;
             }
         }
     }
@@ -279,7 +1482,9 @@ export class JITCompiler {
         return {
             compiledFunctionsCount: this.compiledFunctions.size,
             functionCallCounts: Object.fromEntries(this.functionCallCounts),
-            compilationThreshold: this.compilationThreshold
+            compilationThreshold: this.compilationThreshold,
+            ...this.stats,
+            mismatches: this.mismatches.length
         };
     }
-}
\ No newline at end of file
+}
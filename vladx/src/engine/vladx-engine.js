@@ -6,9 +6,15 @@
 import { Lexer } from '../lexer/lexer.js';
 import { Parser } from '../parser/parser.js';
 import { Interpreter } from '../interpreter/interpreter.js';
+import { AOTCompiler } from './aot-compiler.js';
+import { JITCompiler } from './jit-compiler.js';
+import { BytecodeVM } from './bytecode-vm.js';
 import { ModuleSystem } from '../runtime/module-system.js';
 import { Builtins } from '../runtime/builtins.js';
-import { VladXObject } from '../runtime/vladx-object.js';
+import { VladXObject, EnumType, EnumValue } from '../runtime/vladx-object.js';
+import { Decimal } from '../runtime/decimal.js';
+import { encodeJson, decodeJson } from '../runtime/json-codec.js';
+import { compileRegex } from '../runtime/regex.js';
 import { CacheManager } from '../runtime/cache-manager.js';
 import { SecurityManager } from '../runtime/security-manager.js';
 import { Debugger } from '../runtime/debugger.js';
@@ -28,7 +34,9 @@ export class VladXEngine {
     constructor(options = {}) {
         this.debug = options.debug || false;
         this.strictMode = options.strictMode || false;
-        this.maxExecutionTime = options.maxExecutionTime || 30000; // 30 секунд по умолчанию
+        this.maxExecutionTime = options.maxExecutionTime ?? 30000; // 30 секунд по умолчанию, 0 — без ограничения
+        // Аргументы программы: то, что стоит после -- в "vladx run файл.vx -- ..."
+        this.argv = options.argv || [];
 
         this.cacheManager = new CacheManager(options.cache);
         this.securityManager = new SecurityManager(options.security);
@@ -40,13 +48,33 @@ export class VladXEngine {
 
         this.interpreter = new Interpreter({
             debug: this.debug,
+            strictMode: this.strictMode,
             maxExecutionTime: this.maxExecutionTime,
             moduleSystem: this.moduleSystem
         });
 
+        this.moduleSystem.interpreter = this.interpreter;
+        this.debugger.interpreter = this.interpreter;
         this.interpreter.debugger = this.debugger;
         this.interpreter.profiler = this.profiler;
 
+        // ВМ и JIT отключаются в режиме отладки и в строгом режиме:
+        // их код не проходит через отладчик и проверки типов
+        this.vm = null;
+        if (options.vm && !this.debug && !this.strictMode) {
+            this.vm = new BytecodeVM(this.interpreter);
+            this.interpreter.vm = this.vm;
+        }
+
+        this.jit = null;
+        if ((options.jit || options.jitDifferential) && !this.debug && !this.strictMode && !this.vm) {
+            this.jit = new JITCompiler(this.interpreter, {
+                threshold: options.jitThreshold,
+                differential: options.jitDifferential
+            });
+            this.interpreter.jit = this.jit;
+        }
+
         this.ioOperations = new IOOperations(this.securityManager);
         this.networkOperations = new NetworkOperations(this.securityManager);
 
@@ -112,10 +140,15 @@ export class VladXEngine {
                     return '[' + elements.join(', ') + ']';
                 case 'function':
                     return `<функция ${arg.name}>`;
+                case 'generator':
+                    return `<генератор ${arg.name}>`;
                 default:
                     return String(arg.value);
             }
         }
+        if (arg instanceof Decimal || arg instanceof RegExp || arg instanceof EnumType || arg instanceof EnumValue) {
+            return arg.toString();
+        }
         // Обычные объекты JS
         if (typeof arg === 'object' && arg !== null) {
             // Проверяем, не является ли это массивом
@@ -159,16 +192,18 @@ export class VladXEngine {
         this.interpreter.builtins.set('нижнийРегистр', (str) => str.toLowerCase());
         this.interpreter.builtins.set('верхнийРегистр', (str) => str.toUpperCase());
         this.interpreter.builtins.set('обрезка', (str) => str.trim());
-        this.interpreter.builtins.set('заменить', (str, old, replacement) => 
-            str.replaceAll(old, replacement));
+        // С регулярным выражением заменяет все совпадения, замена может быть функцией
+        this.interpreter.builtins.set('заменить', (str, old, replacement) => old instanceof RegExp
+            ? this.interpreter.regex.заменитьВсе(old, str, replacement)
+            : str.replaceAll(old, replacement));
         this.interpreter.builtins.set('разделить', (str, delimiter) => str.split(delimiter));
         this.interpreter.builtins.set('соединить', (arr, delimiter) => arr.join(delimiter));
         this.interpreter.builtins.set('подстрока', (str, start, end) => 
             str.substring(start, end));
         this.interpreter.builtins.set('кодСимвола', (str, index) => str.charCodeAt(index));
         this.interpreter.builtins.set('символПоКоду', (code) => String.fromCharCode(code));
-        this.interpreter.builtins.set('код', (val) => JSON.stringify(val));
-        this.interpreter.builtins.set('разкод', (str) => JSON.parse(str));
+        this.interpreter.builtins.set('код', (val, indent) => encodeJson(val, indent));
+        this.interpreter.builtins.set('разкод', (str, options) => decodeJson(str, options || {}));
         
         // Функции для работы с массивами
         this.interpreter.builtins.set('создатьМассив', (...args) => {
@@ -387,6 +422,7 @@ export class VladXEngine {
         this.interpreter.builtins.set('ждать', (ms) => new Promise(resolve => 
             setTimeout(resolve, ms)));
         this.interpreter.builtins.set('время', () => Date.now());
+        this.interpreter.builtins.set('аргументыКоманды', () => [...engine.argv]);
         this.interpreter.builtins.set('дата', () => new Date());
         this.interpreter.builtins.set('форматДаты', (date, format) => {
             const pad = n => String(n).padStart(2, '0');
@@ -490,7 +526,7 @@ export class VladXEngine {
         });
         
         // Регулярные выражения
-        this.interpreter.builtins.set('регex', (pattern, flags = '') => new RegExp(pattern, flags));
+        this.interpreter.builtins.set('регex', (pattern, flags = '') => compileRegex(pattern, flags));
         this.interpreter.builtins.set('сопоставить', (str, regex) => str.match(regex));
         this.interpreter.builtins.set('заменитьРВ', (str, regex, replacement) => 
             str.replace(regex, replacement));
@@ -504,6 +540,11 @@ export class VladXEngine {
                     case 'null': return 'ничто';
                     case 'string': return 'строка';
                     case 'number': return 'число';
+                    case 'bigint': return 'большое';
+                    case 'decimal': return 'десятичное';
+                    case 'regex': return 'регвыр';
+                    case 'enum': return 'перечисление';
+                    case 'variant': return 'вариант';
                     case 'boolean': return 'логический';
                     case 'array': return 'массив';
                     case 'object': return 'объект';
@@ -511,12 +552,18 @@ export class VladXEngine {
                     case 'closure': return 'замыкание';
                     case 'class': return 'класс';
                     case 'instance': return 'экземпляр';
+                    case 'generator': return 'генератор';
                     default: return val.type;
                 }
             }
             if (val === null) return 'ничто';
             if (val === undefined) return 'неопределено';
             if (Array.isArray(val)) return 'массив';
+            if (typeof val === 'bigint') return 'большое';
+            if (val instanceof Decimal) return 'десятичное';
+            if (val instanceof RegExp) return 'регвыр';
+            if (val instanceof EnumType) return 'перечисление';
+            if (val instanceof EnumValue) return 'вариант';
             return typeof val;
         });
         this.interpreter.builtins.set('этоЧисло', (val) => typeof val === 'number' && !isNaN(val));
@@ -540,6 +587,26 @@ export class VladXEngine {
             if (isNaN(n)) throw new Error('Не удалось конвертировать в число');
             return n;
         });
+        this.interpreter.builtins.set('большое', (val) => {
+            if (val instanceof Decimal) {
+                if (val.trim().scale > 0) throw new Error(`Десятичное ${val} не целое`);
+                return VladXObject.bigint(val.toBigInt());
+            }
+            if (typeof val === 'number' && !Number.isInteger(val)) {
+                throw new Error(`Число ${val} не целое`);
+            }
+            try {
+                return VladXObject.bigint(typeof val === 'string' ? val.trim().replace(/_/g, '') : val);
+            } catch {
+                throw new Error(`Не удалось конвертировать в большое: ${val}`);
+            }
+        });
+        // десятичное(значение, знаков, режим) — с округлением, если задано число знаков
+        this.interpreter.builtins.set('десятичное', (val, digits, rounding) => {
+            const decimal = Decimal.from(val);
+            return VladXObject.decimal(digits === undefined || digits === null ? decimal : decimal.round(digits, rounding));
+        });
+        this.interpreter.builtins.set('настроитьДесятичные', (options = {}) => Decimal.configure(options || {}));
         this.interpreter.builtins.set('вМассив', (val) => {
             if (Array.isArray(val)) return val;
             if (val === null || val === undefined) return [];
@@ -579,14 +646,11 @@ export class VladXEngine {
         });
         
         // Генераторы
-        this.interpreter.builtins.set('диапазон', function* (start, end, step = 1) {
+        this.interpreter.builtins.set('диапазон', (start, end, step = 1) => {
             if (end === undefined) {
-                end = start;
-                start = 0;
-            }
-            for (let i = start; step > 0 ? i < end : i > end; i += step) {
-                yield i;
+                return Functional.lazyRange(0, start, step);
             }
+            return Functional.lazyRange(start, end, step);
         });
         this.interpreter.builtins.set('генерировать', function* (callback) {
             let index = 0;
@@ -834,109 +898,50 @@ export class VladXEngine {
     }
 
     /**
-     * Компиляция в JavaScript (транспиляция)
+     * Компиляция в JavaScript (транспиляция) — возвращает код ES-модуля
+     */
+    compile(source, options = {}) {
+        return this.compileModule(source, { ...options, sourceMap: options.sourceMap ?? false }).code;
+    }
+
+    /**
+     * Компиляция модуля в JavaScript с source map
+     * Возвращает { code, map, imports } — imports содержит относительные пути импортируемых модулей
      */
-    compile(source) {
-        const lexer = new Lexer(source);
+    compileModule(source, options = {}) {
+        const filename = options.filename || '<anonymous>';
+        const lexer = new Lexer(source, filename);
         const tokens = lexer.tokenize();
         const parser = new Parser(tokens);
         const ast = parser.parse();
-        
-        return this.astToJs(ast);
+
+        return this.getAOTCompiler().compile(ast, { ...options, filename, source });
+    }
+
+    /**
+     * Компилятор AOT (создаётся при первом использовании)
+     */
+    getAOTCompiler() {
+        if (!this.aotCompiler) {
+            this.aotCompiler = new AOTCompiler({
+                builtinNames: [...this.interpreter.builtins.keys()]
+            });
+        }
+        return this.aotCompiler;
     }
 
     /**
      * Преобразование AST в JavaScript код
      */
     astToJs(ast) {
-        // Базовое преобразование AST в JS
-        return ast.body.map(node => this.nodeToJs(node)).join(';\n');
+        return this.getAOTCompiler().compile(ast, { sourceMap: false }).code;
     }
 
     /**
      * Преобразование отдельного узла AST в JS
      */
     nodeToJs(node) {
-        switch (node.type) {
-            case 'Program':
-                return node.body.map(n => this.nodeToJs(n)).join(';\n');
-            
-            case 'LetStatement':
-                const init = node.initializer ? this.nodeToJs(node.initializer) : 'undefined';
-                return `let ${node.name} = ${init}`;
-            
-            case 'ConstStatement':
-                const constInit = node.initializer ? this.nodeToJs(node.initializer) : 'undefined';
-                return `const ${node.name} = ${constInit}`;
-            
-            case 'ReturnStatement':
-                return `return ${node.value ? this.nodeToJs(node.value) : 'undefined'}`;
-            
-            case 'ExpressionStatement':
-                return this.nodeToJs(node.expression);
-            
-            case 'BinaryExpression':
-                const left = this.nodeToJs(node.left);
-                const right = this.nodeToJs(node.right);
-                return `(${left} ${node.operator} ${right})`;
-            
-            case 'UnaryExpression':
-                const operand = this.nodeToJs(node.operand);
-                return `${node.operator}${operand}`;
-            
-            case 'Identifier':
-                return node.name;
-            
-            case 'Literal':
-                return JSON.stringify(node.value);
-            
-            case 'FunctionDeclaration':
-                const params = node.params.map(p => p.name).join(', ');
-                const body = node.body.map(b => this.nodeToJs(b)).join(';\n');
-                return `function ${node.name}(${params}) { ${body} }`;
-
-            case 'CallExpression':
-                const args = node.args.map(a => this.nodeToJs(a)).join(', ');
-                return `${node.callee}(${args})`;
-            
-            case 'IfStatement':
-                const condition = this.nodeToJs(node.condition);
-                const thenBranch = node.thenBranch.body ? node.thenBranch.body.map(b => this.nodeToJs(b)).join(';\n') : this.nodeToJs(node.thenBranch);
-                let result = `if (${condition}) { ${thenBranch} }`;
-                if (node.elseBranch) {
-                    const elseBranch = node.elseBranch.body ? node.elseBranch.body.map(b => this.nodeToJs(b)).join(';\n') : this.nodeToJs(node.elseBranch);
-                    result += ` else { ${elseBranch} }`;
-                }
-                return result;
-
-            case 'WhileStatement':
-                const whileCond = this.nodeToJs(node.condition);
-                const whileBody = node.thenBranch.body ? node.thenBranch.body.map(b => this.nodeToJs(b)).join(';\n') : this.nodeToJs(node.body);
-                return `while (${whileCond}) { ${whileBody} }`;
-
-            case 'ForStatement':
-                const forInit = this.nodeToJs(node.initializer);
-                const forCond = this.nodeToJs(node.condition);
-                const forUpdate = this.nodeToJs(node.update);
-                const forBody = node.thenBranch.body ? node.thenBranch.body.map(b => this.nodeToJs(b)).join(';\n') : this.nodeToJs(node.body);
-                return `for (${forInit}; ${forCond}; ${forUpdate}) { ${forBody} }`;
-
-            case 'ClassDeclaration':
-                const methods = node.methods.map(m => {
-                    const methodParams = m.params.map(p => p.name).join(', ');
-                    const methodBody = m.thenBranch.body ? m.thenBranch.body.map(b => this.nodeToJs(b)).join(';\n') : this.nodeToJs(m.body);
-                    return `${m.name}(${methodParams}) { ${methodBody} }`;
-                }).join(', ');
-                return `class ${node.name} { ${methods} }`;
-            
-            case 'MemberExpression':
-                const obj = this.nodeToJs(node.object);
-                const prop = this.nodeToJs(node.property);
-                return `${obj}.${prop}`;
-            
-            default:
-                throw new Error(`Неизвестный тип узла: ${node.type}`);
-        }
+        return this.getAOTCompiler().nodeToJs(node);
     }
 }
 
@@ -1,1326 +1,26178 @@
+// VladX Bundle
+// Generated by VladX Bundler
+// Entry: standalone.js
+
+import * as __vx_ext0 from 'fs';
+import * as __vx_ext1 from 'path';
+import * as __vx_ext2 from 'url';
+import * as __vx_ext3 from 'crypto';
+import * as __vx_ext4 from 'https';
+import * as __vx_ext5 from 'http';
+import * as __vx_ext6 from 'net';
+import * as __vx_ext7 from 'util';
+
+// Module: runtime/decimal.js
+const __vx_m0 = (() => {
+/**
+ * Decimal — Точные числа языка: большое (BigInt) и десятичное
+ *
+ * Десятичное хранится как целое BigInt и число знаков после запятой:
+ * 12.50 — это 1250n и 2. Сложение, вычитание и умножение точные; деление
+ * округляется до Decimal.precision знаков по режиму Decimal.rounding
+ */
+
+const ROUNDING_MODES = ['вверх', 'вниз', 'кНулю', 'отНуля', 'половинаВверх', 'половинаВниз', 'половинаЧётное'];
+
+const DECIMAL_RE = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+const pow10 = (digits) => 10n ** BigInt(digits);
+
+/**
+ * Частное n / d, округлённое до целого по режиму
+ */
+function divideRounded(n, d, mode) {
+    if (d < 0n) {
+        n = -n;
+        d = -d;
+    }
+    const quotient = n / d;
+    const remainder = n % d;
+    if (remainder === 0n) return quotient;
+
+    const sign = n < 0n ? -1n : 1n;
+    const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+    let away;
+    switch (mode) {
+        case 'вверх': away = sign > 0n; break;
+        case 'вниз': away = sign < 0n; break;
+        case 'кНулю': away = false; break;
+        case 'отНуля': away = true; break;
+        case 'половинаВверх': away = twice >= d; break;
+        case 'половинаВниз': away = twice > d; break;
+        case 'половинаЧётное': away = twice > d || (twice === d && quotient % 2n !== 0n); break;
+        default:
+            throw new Error(`Неизвестный режим округления "${mode}". Допустимые: ${ROUNDING_MODES.join(', ')}`);
+    }
+    return away ? quotient + sign : quotient;
+}
+
+class Decimal {
+    constructor(coefficient, scale = 0) {
+        this.coefficient = coefficient;
+        this.scale = scale;
+    }
+
+    /**
+     * Десятичное из числа, строки, большого или десятичного
+     */
+    static from(value) {
+        if (value instanceof Decimal) return value;
+        if (typeof value === 'bigint') return new Decimal(value, 0);
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Нельзя преобразовать ${value} в десятичное`);
+            }
+            return Decimal.parse(String(value));
+        }
+        if (typeof value === 'string') return Decimal.parse(value.trim());
+        throw new Error(`Нельзя преобразовать ${value === null ? 'ничто' : typeof value} в десятичное`);
+    }
+
+    /**
+     * Разбор записи 12.50, -1e-9, .5
+     */
+    static parse(text) {
+        const match = DECIMAL_RE.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Неверное десятичное число: "${text}"`);
+        }
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        let coefficient = BigInt((whole || '0') + fraction);
+        let scale = fraction.length - Number(exponent);
+        if (scale < 0) {
+            coefficient *= pow10(-scale);
+            scale = 0;
+        }
+        return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+    }
+
+    /**
+     * Точность деления (знаков после запятой) и режим округления по умолчанию
+     */
+    static configure(options = {}) {
+        const previous = { точность: Decimal.precision, округление: Decimal.rounding };
+        if (options.точность !== undefined) {
+            const precision = Number(options.точность);
+            if (!Number.isInteger(precision) || precision < 0) {
+                throw new Error(`Точность должна быть неотрицательным целым, получено: ${options.точность}`);
+            }
+            Decimal.precision = precision;
+        }
+        if (options.округление !== undefined) {
+            if (!ROUNDING_MODES.includes(options.округление)) {
+                throw new Error(`Неизвестный режим округления "${options.округление}". Допустимые: ${ROUNDING_MODES.join(', ')}`);
+            }
+            Decimal.rounding = options.округление;
+        }
+        return previous;
+    }
+
+    /**
+     * Коэффициенты обоих чисел при общем числе знаков
+     */
+    static align(left, right) {
+        const scale = Math.max(left.scale, right.scale);
+        return [left.coefficient * pow10(scale - left.scale), right.coefficient * pow10(scale - right.scale), scale];
+    }
+
+    add(other) {
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left + right, scale);
+    }
+
+    sub(other) {
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left - right, scale);
+    }
+
+    mul(other) {
+        return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale);
+    }
+
+    div(other, precision = Decimal.precision, rounding = Decimal.rounding) {
+        if (other.coefficient === 0n) {
+            throw new Error(`Деление на ноль: ${this} / ${other}`);
+        }
+        // this / other = (c1 * 10^(p + s2 - s1)) / c2 * 10^-p
+        const shift = precision + other.scale - this.scale;
+        const numerator = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient;
+        const denominator = shift >= 0 ? other.coefficient : other.coefficient * pow10(-shift);
+        return new Decimal(divideRounded(numerator, denominator, rounding), precision).trim();
+    }
+
+    /**
+     * Остаток со знаком делимого, как у %
+     */
+    mod(other) {
+        if (other.coefficient === 0n) {
+            throw new Error(`Деление на ноль: ${this} % ${other}`);
+        }
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left % right, scale);
+    }
+
+    pow(exponent) {
+        if (!Number.isInteger(exponent)) {
+            throw new Error(`Степень десятичного должна быть целой, получено: ${exponent}`);
+        }
+        const power = new Decimal(this.coefficient ** BigInt(Math.abs(exponent)), this.scale * Math.abs(exponent));
+        return exponent < 0 ? new Decimal(1n, 0).div(power) : power;
+    }
+
+    neg() {
+        return new Decimal(-this.coefficient, this.scale);
+    }
+
+    compare(other) {
+        const [left, right] = Decimal.align(this, other);
+        return left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    /**
+     * Округлить до digits знаков после запятой
+     */
+    round(digits = 0, rounding = Decimal.rounding) {
+        if (!Number.isInteger(digits) || digits < 0) {
+            throw new Error(`Число знаков должно быть неотрицательным целым, получено: ${digits}`);
+        }
+        if (digits >= this.scale) {
+            return new Decimal(this.coefficient * pow10(digits - this.scale), digits);
+        }
+        return new Decimal(divideRounded(this.coefficient, pow10(this.scale - digits), rounding), digits);
+    }
+
+    /**
+     * Без нулей в конце дробной части
+     */
+    trim() {
+        let { coefficient, scale } = this;
+        while (scale > 0 && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            scale--;
+        }
+        return new Decimal(coefficient, scale);
+    }
+
+    /**
+     * Целая часть (отбрасывая дробную) как большое
+     */
+    toBigInt() {
+        return this.coefficient / pow10(this.scale);
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toString() {
+        const negative = this.coefficient < 0n;
+        const digits = (negative ? -this.coefficient : this.coefficient).toString().padStart(this.scale + 1, '0');
+        const text = this.scale > 0
+            ? `${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`
+            : digits;
+        return negative ? `-${text}` : text;
+    }
+}
+
+Decimal.precision = 20;
+Decimal.rounding = 'половинаЧётное';
+
+/**
+ * Точное число: большое или десятичное
+ */
+function isExact(value) {
+    return typeof value === 'bigint' || value instanceof Decimal;
+}
+
+const isNumeric = (value) => typeof value === 'number' || isExact(value);
+
+const typeName = (value) => {
+    if (typeof value === 'bigint') return 'большое';
+    if (value instanceof Decimal) return 'десятичное';
+    if (value === null || value === undefined || value === '') return 'ничто';
+    if (typeof value === 'number') return 'число';
+    if (typeof value === 'string') return 'строка';
+    if (typeof value === 'boolean') return 'логический';
+    return 'объект';
+};
+
+/**
+ * Большое из числа: дробные числа с большими смешивать нельзя
+ */
+function toBigInt(value, operator) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isInteger(value)) return BigInt(value);
+    throw new Error(`Нельзя смешивать большое и дробное число ${value} в «${operator}»: используйте десятичное`);
+}
+
+function compareResult(operator, order) {
+    switch (operator) {
+        case '==': return order === 0;
+        case '!=': return order !== 0;
+        case '<': return order < 0;
+        case '>': return order > 0;
+        case '<=': return order <= 0;
+        case '>=': return order >= 0;
+    }
+}
+
+/**
+ * Арифметика и сравнения, если хотя бы один операнд точный.
+ * Десятичное поглощает числа и большие, большое — целые числа.
+ * undefined — оператор не числовой (сложение строк, && и т.п.)
+ */
+function exactBinary(operator, left, right) {
+    if (!['+', '-', '*', '/', '%', '**', '==', '!=', '<', '>', '<=', '>='].includes(operator)) {
+        return undefined;
+    }
+    if (!isNumeric(left) || !isNumeric(right)) {
+        if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) return undefined;
+        if (operator === '==') return false;
+        if (operator === '!=') return true;
+        throw new Error(`Оператор «${operator}» не применим к ${typeName(left)} и ${typeName(right)}`);
+    }
+
+    if (left instanceof Decimal || right instanceof Decimal) {
+        const a = Decimal.from(left);
+        if (operator === '**') {
+            return a.pow(typeof right === 'bigint' ? Number(right) : Number(Decimal.from(right).toString()));
+        }
+        const b = Decimal.from(right);
+        switch (operator) {
+            case '+': return a.add(b);
+            case '-': return a.sub(b);
+            case '*': return a.mul(b);
+            case '/': return a.div(b);
+            case '%': return a.mod(b);
+            default: return compareResult(operator, a.compare(b));
+        }
+    }
+
+    const a = toBigInt(left, operator);
+    const b = toBigInt(right, operator);
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+            if (b === 0n) throw new Error(`Деление на ноль: ${a} / ${b}`);
+            // Деление больших целочисленное, как в JavaScript
+            return a / b;
+        case '%':
+            if (b === 0n) throw new Error(`Деление на ноль: ${a} % ${b}`);
+            return a % b;
+        case '**':
+            if (b < 0n) throw new Error(`Отрицательная степень большого: ${a} ** ${b}`);
+            return a ** b;
+        default: return compareResult(operator, a < b ? -1 : a > b ? 1 : 0);
+    }
+}
+return { ROUNDING_MODES, Decimal, isExact, exactBinary, default: Decimal };
+})();
+
+// Module: lexer/regex-cache.js
+const __vx_m1 = (() => {
+/**
+ * RegexCache — Кэширование и оптимизация регулярных выражений
+ */
+
+class RegexCache {
+    constructor(options = {}) {
+        this.cache = new Map();
+        this.maxSize = options.maxSize || 100;
+        this.compiledCount = 0;
+        this.hitCount = 0;
+        this.missCount = 0;
+    }
+
+    /**
+     * Получить или создать regex из кэша
+     */
+    get(pattern, flags = '') {
+        const key = `${pattern}::${flags}`;
+
+        if (this.cache.has(key)) {
+            this.hitCount++;
+            // Map хранит порядок вставки: недавно использованный — в конец
+            const regex = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, regex);
+            return regex;
+        }
+
+        this.missCount++;
+        const regex = new RegExp(pattern, flags);
+
+        if (this.cache.size >= this.maxSize) {
+            this.evictOldest();
+        }
+
+        this.cache.set(key, regex);
+        this.compiledCount++;
+
+        return regex;
+    }
+
+    /**
+     * Очистить кэш
+     */
+    clear() {
+        this.cache.clear();
+        this.compiledCount = 0;
+        this.hitCount = 0;
+        this.missCount = 0;
+    }
+
+    /**
+     * Evict давно не использованный regex (первый в порядке Map)
+     */
+    evictOldest() {
+        const oldestKey = this.cache.keys().next().value;
+        if (oldestKey !== undefined) {
+            this.cache.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Получить статистику
+     */
+    getStats() {
+        const total = this.hitCount + this.missCount;
+        return {
+            size: this.cache.size,
+            maxSize: this.maxSize,
+            compiledCount: this.compiledCount,
+            hitCount: this.hitCount,
+            missCount: this.missCount,
+            hitRate: total > 0 ? (this.hitCount / total * 100).toFixed(2) + '%' : '0%'
+        };
+    }
+}
+return { RegexCache, default: RegexCache };
+})();
+
+// Module: runtime/regex.js
+const __vx_m2 = (() => {
+/**
+ * Regex — Регулярные выражения языка: литералы /шаблон/флаги и модуль «регвыр»
+ *
+ * Скомпилированные выражения берутся из общего RegexCache, поэтому одно
+ * выражение разделяют все значения с тем же шаблоном и флагами. Функции
+ * ниже не зависят от lastIndex и всегда ищут с начала строки
+ */
+
+const { RegexCache } = __vx_m1;
+
+const REGEX_FLAGS = 'dgimsuvy';
+
+const regexCache = new RegexCache({ maxSize: 500 });
+
+/**
+ * Выражение из шаблона и флагов (из кэша)
+ */
+function compileRegex(pattern, flags = '') {
+    pattern = String(pattern);
+    flags = String(flags ?? '');
+    for (const [index, flag] of [...flags].entries()) {
+        if (!REGEX_FLAGS.includes(flag) || flags.indexOf(flag) !== index) {
+            throw new Error(`Неверный флаг «${flag}» в /${pattern}/${flags}. Допустимые: ${REGEX_FLAGS}`);
+        }
+    }
+    try {
+        return regexCache.get(pattern, flags);
+    } catch (error) {
+        throw new Error(`Неверное регулярное выражение /${pattern}/${flags}: ${error.message.replace(/^.*: /, '')}`);
+    }
+}
+
+/**
+ * Выражение из значения: выражение как есть, строка — как шаблон
+ */
+function toRegex(value) {
+    if (value instanceof RegExp) return value;
+    if (typeof value === 'string') return compileRegex(value);
+    throw new Error(`Ожидалось регулярное выражение, получено: ${value === null || value === undefined ? 'ничто' : typeof value}`);
+}
+
+/**
+ * Запись выражения как в исходнике: /шаблон/флаги
+ */
+function formatRegex(regexp) {
+    return `/${regexp.source}/${regexp.flags}`;
+}
+
+/**
+ * То же выражение с флагом g или без него
+ */
+function withGlobal(regexp, global) {
+    if (regexp.global === global) return regexp;
+    const flags = global ? `${regexp.flags}g` : regexp.flags.replace('g', '');
+    return regexCache.get(regexp.source, flags);
+}
+
+/**
+ * Совпадение в объект языка: текст, индекс, группы по номеру и по имени
+ */
+function matchToObject(match) {
+    const named = {};
+    for (const [name, value] of Object.entries(match.groups || {})) {
+        named[name] = value ?? null;
+    }
+    return {
+        текст: match[0],
+        индекс: match.index,
+        группы: match.slice(1).map(group => group ?? null),
+        именованные: named
+    };
+}
+
+function execFirst(regexp, text) {
+    regexp.lastIndex = 0;
+    const match = regexp.exec(String(text));
+    regexp.lastIndex = 0;
+    return match;
+}
+
+function execAll(regexp, text) {
+    const global = withGlobal(regexp, true);
+    global.lastIndex = 0;
+    return [...String(text).matchAll(global)];
+}
+
+/**
+ * Текст с заменой совпадений: строка замены понимает $1 и $<имя>,
+ * функция получает объект совпадения. call(функция, совпадение) вызывает
+ * функцию языка и может вернуть Promise
+ */
+function replaceMatches(regexp, text, replacement, all, call) {
+    const source = String(text);
+    if (typeof replacement === 'string') {
+        const target = withGlobal(regexp, all);
+        target.lastIndex = 0;
+        return source.replace(target, replacement);
+    }
+
+    const matches = all ? execAll(regexp, source) : [execFirst(regexp, source)].filter(Boolean);
+    const parts = [];
+    let last = 0;
+    const collect = (index, value) => {
+        const match = matches[index];
+        parts.push(source.slice(last, match.index), String(value ?? ''));
+        last = match.index + match[0].length;
+    };
+    // Синхронные замены не создают Promise: результат сразу строка
+    const step = (index) => {
+        for (; index < matches.length; index++) {
+            const value = call(replacement, matchToObject(matches[index]));
+            if (value instanceof Promise) {
+                return value.then(resolved => {
+                    collect(index, resolved);
+                    return step(index + 1);
+                });
+            }
+            collect(index, value);
+        }
+        return parts.join('') + source.slice(last);
+    };
+    return step(0);
+}
+
+/**
+ * Функции модуля «регвыр»; выражение — первый аргумент.
+ * Те же функции (кроме создать и экранировать) — методы значений /…/
+ */
+function createRegexModule(call) {
+    return {
+        создать: (pattern, flags = '') => compileRegex(pattern, flags),
+        экранировать: (text) => String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'),
+        совпадает: (regexp, text) => execFirst(toRegex(regexp), text) !== null,
+        найти: (regexp, text) => {
+            const match = execFirst(toRegex(regexp), text);
+            return match ? matchToObject(match) : null;
+        },
+        найтиВсе: (regexp, text) => execAll(toRegex(regexp), text).map(matchToObject),
+        заменить: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, false, call),
+        заменитьВсе: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, true, call),
+        разделить: (regexp, text, limit) => String(text).split(toRegex(regexp), limit ?? undefined)
+    };
+}
+
+const REGEX_METHODS = ['совпадает', 'найти', 'найтиВсе', 'заменить', 'заменитьВсе', 'разделить'];
+return { REGEX_FLAGS, regexCache, compileRegex, toRegex, formatRegex, matchToObject, createRegexModule, REGEX_METHODS, default: createRegexModule };
+})();
+
+// Module: lexer/lexer.js
+const __vx_m3 = (() => {
+/**
+ * VladX Lexer — Лексический анализатор
+ * Преобразует исходный код в поток токенов
+ */
+
+const { Decimal } = __vx_m0;
+const { compileRegex } = __vx_m2;
+
+/**
+ * Ключевые слова и типы их токенов (русские и английские варианты)
+ */
+const KEYWORDS = {
+    'let': 'LET',
+    'пусть': 'LET',
+    'const': 'CONST',
+    'конст': 'CONST',
+    'константа': 'CONST',
+    'if': 'IF',
+    'если': 'IF',
+    'else': 'ELSE',
+    'иначе': 'ELSE',
+    'elseif': 'ELSEIF',
+    'иначеесли': 'ELSEIF',
+    'илиесли': 'ИЛИЕСЛИ',
+    'while': 'WHILE',
+    'пока': 'WHILE',
+    'for': 'FOR',
+    'для': 'FOR',
+    'function': 'FUNCTION',
+    'функция': 'FUNCTION',
+    'return': 'RETURN',
+    'вернуть': 'RETURN',
+    'class': 'CLASS',
+    'класс': 'CLASS',
+    'this': 'THIS',
+    'это': 'THIS',
+    'super': 'SUPER',
+    'супер': 'SUPER',
+    'new': 'NEW',
+    'новый': 'NEW',
+    'extends': 'EXTENDS',
+    'расширяет': 'EXTENDS',
+    'try': 'TRY',
+    'попытка': 'TRY',
+    'catch': 'CATCH',
+    'перехват': 'CATCH',
+    'исключение': 'CATCH',
+    'finally': 'FINALLY',
+    'наконец': 'FINALLY',
+    'throw': 'THROW',
+    'бросить': 'THROW',
+    'break': 'BREAK',
+    'прервать': 'BREAK',
+    'continue': 'CONTINUE',
+    'продолжить': 'CONTINUE',
+    'static': 'STATIC',
+    'СТАТИЧЕСКИЙ': 'STATIC',
+    'статический': 'STATIC',
+    'get': 'GET',
+    'set': 'SET',
+    'true': 'TRUE',
+    'истина': 'TRUE',
+    'false': 'FALSE',
+    'ложь': 'FALSE',
+    'null': 'NULL',
+    'ничто': 'NULL',
+    'nothing': 'NULL',
+    'import': 'IMPORT',
+    'импорт': 'IMPORT',
+    'export': 'EXPORT',
+    'экспорт': 'EXPORT',
+    'from': 'FROM',
+    'из': 'FROM',
+    'as': 'AS',
+    'как': 'AS',
+    'and': 'AND',
+    'и': 'AND',
+    'or': 'OR',
+    'или': 'OR',
+    'with': 'WITH',
+    'с': 'WITH',
+    'to': 'TO',
+    'до': 'TO',
+    'switch': 'SWITCH',
+    'выбор': 'SWITCH',
+    'case': 'CASE',
+    'когда': 'CASE',
+    'default': 'DEFAULT',
+    'поумолчанию': 'DEFAULT',
+    'async': 'ASYNC',
+    'асинх': 'ASYNC',
+    'await': 'AWAIT',
+    'ожидать': 'AWAIT',
+    'yield': 'YIELD',
+    'выдать': 'YIELD',
+    'сопоставить': 'MATCH',
+    'не': 'NOT',
+    'instanceof': 'INSTANCEOF',
+    'экземпляр': 'INSTANCEOF',
+    'enum': 'ENUM',
+    'перечисление': 'ENUM'
+};
+
+// Объявление приватного члена класса в начале строки: [статический] [асинх] #имя = | ( | :
+const PRIVATE_MEMBER_RE = /^\s*(?:(?:статический|static)\s+)?(?:(?:асинх|async)\s+)?#[\p{L}_$][\p{L}\p{N}_$]*\s*(?:[=(:;]|$)/u;
+
+/**
+ * Начинает ли # в позиции index строки приватное имя, а не комментарий:
+ * после точки или в объявлении члена класса. Для построчных инструментов
+ * (форматтер, минификатор), которые не строят токены
+ */
+function isPrivateNameAt(line, index) {
+    if (!/[\p{L}_$]/u.test(line[index + 1] || '')) {
+        return false;
+    }
+    return line[index - 1] === '.' || (line.indexOf('#') === index && PRIVATE_MEMBER_RE.test(line));
+}
+
+// Токены, после которых / — деление, а не начало регулярного выражения
+const VALUE_END_TOKENS = new Set([
+    'IDENTIFIER', 'PRIVATE_NAME', 'INT', 'STRING', 'TEMPLATE_LITERAL', 'REGEX',
+    'TRUE', 'FALSE', 'NULL', 'THIS', 'SUPER', 'RPAREN', 'RBRACKET', 'RBRACE'
+]);
+
+/**
+ * Регулярное выражение /шаблон/флаги с / в позиции start:
+ * { pattern, flags, end } или null, если до конца строки нет закрывающей /
+ */
+function scanRegexLiteral(text, start) {
+    let inClass = false;
+    for (let i = start + 1; i < text.length && text[i] !== '\n'; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === ']') {
+            inClass = false;
+        } else if (char === '/' && !inClass) {
+            let end = i + 1;
+            while (end < text.length && /[a-z]/i.test(text[end])) end++;
+            return { pattern: text.slice(start + 1, i), flags: text.slice(i + 1, end), end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Начинает ли / в позиции index строки регулярное выражение: после
+ * оператора, скобки, запятой или ключевого слова, но не после значения.
+ * Для построчных инструментов, которые не строят токены
+ */
+function isRegexStartAt(line, index) {
+    if (line[index] !== '/' || line[index + 1] === '/' || line[index + 1] === '*') {
+        return false;
+    }
+    const before = line.slice(0, index).trimEnd();
+    const word = /[\p{L}\p{N}_$]+$/u.exec(before);
+    if (word) {
+        const keyword = KEYWORDS[word[0]];
+        return Boolean(keyword) && !VALUE_END_TOKENS.has(keyword);
+    }
+    return !/[)\]}"'`]$/.test(before) && scanRegexLiteral(line, index) !== null;
+}
+
+class Lexer {
+    constructor(source, filename = '<anonymous>') {
+        this.source = source;
+        this.filename = filename;
+        this.pos = 0;
+        this.line = 1;
+        this.column = 1;
+        this.tokens = [];
+        this.currentChar = this.source[0] || null;
+        // Открытые фигурные скобки: true — тело класса (там #имя — приватное имя)
+        this.braces = [];
+        this.classPending = false;
+    }
+
+    /**
+     * Основной метод токенизации
+     */
+    tokenize() {
+        try {
+            while (this.currentChar !== null) {
+                // Пропускаем пробелы и табы (но не переводы строк)
+                if (this.currentChar === ' ' || this.currentChar === '\t') {
+                    this.advance();
+                    continue;
+                }
+
+                // Перевод строки
+                if (this.currentChar === '\n') {
+                    this.tokens.push({
+                        type: 'NEWLINE',
+                        value: '\n',
+                        line: this.line,
+                        column: this.column,
+                        filename: this.filename
+                    });
+                    this.line++;
+                    this.column = 0;
+                    this.advance();
+                    continue;
+                }
+
+                // Приватное имя #поле: в теле класса или сразу после точки
+                if (this.currentChar === '#' && this.peek() !== null && this.isAlpha(this.peek())
+                    && (this.braces.includes(true) || ['DOT', 'OPTIONAL_CHAIN'].includes(this.tokens[this.tokens.length - 1]?.type))) {
+                    this.tokens.push(this.readPrivateName());
+                    continue;
+                }
+
+                // Комментарии
+                if (this.currentChar === '#') {
+                    this.skipComment();
+                    continue;
+                }
+                if (this.currentChar === '/' && (this.peek() === '*' || this.peek() === '/')) {
+                    this.skipComment();
+                    continue;
+                }
+
+                // Регулярное выражение там, где ожидается значение, иначе / — деление
+                if (this.currentChar === '/' && !VALUE_END_TOKENS.has(this.tokens[this.tokens.length - 1]?.type)) {
+                    this.tokens.push(this.readRegex());
+                    continue;
+                }
+
+                // Строковые литералы
+                if (this.currentChar === '"' || this.currentChar === "'") {
+                const token = this.readStringLiteral();
+                this.tokens.push(token);
+                continue;
+            }
+
+            // Идентификаторы и ключевые слова
+            if (this.isAlpha(this.currentChar) || this.currentChar === '_') {
+                const token = this.readIdentifier();
+                if (token.type === 'CLASS') this.classPending = true;
+                this.tokens.push(token);
+                continue;
+            }
+
+            // Шаблонные строки (начинаются с `)
+            if (this.currentChar === '`') {
+                const token = this.readTemplateLiteral();
+                this.tokens.push(token);
+                continue;
+            }
+
+            // Числа
+            if (this.isDigit(this.currentChar)) {
+                const token = this.readNumber();
+                this.tokens.push(token);
+                continue;
+            }
+
+            // Операторы и символы
+            const token = this.readOperator();
+            if (token) {
+                if (token.type === 'LBRACE') {
+                    this.braces.push(this.classPending);
+                    this.classPending = false;
+                } else if (token.type === 'RBRACE') {
+                    this.braces.pop();
+                }
+                this.tokens.push(token);
+                continue;
+            }
+
+            // Неизвестный символ
+            throw new Error(`[${this.filename}:${this.line}:${this.column}] Неизвестный символ: '${this.currentChar}' (код: ${this.currentChar.charCodeAt(0)})`);
+        }
+
+        // Добавляем EOF токен
+        this.tokens.push({
+            type: 'EOF',
+            value: null,
+            line: this.line,
+            column: this.column,
+            filename: this.filename
+        });
+
+        return this.tokens;
+        } catch (error) {
+            if (this.debug) {
+                console.error('[Lexer] Error during tokenization:', error);
+                console.error('[Lexer] Position:', this.pos, 'Char:', this.currentChar);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Продвижение по строке
+     */
+    advance() {
+        this.pos++;
+        this.column++;
+        this.currentChar = this.source[this.pos] || null;
+    }
+
+    /**
+     * Пропуск комментариев
+     */
+    skipComment() {
+        if (this.currentChar === '#') {
+            // Однострочный комментарий
+            while (this.currentChar !== null && this.currentChar !== '\n') {
+                this.advance();
+            }
+        } else if (this.currentChar === '/' && this.peek() === '*') {
+            // Многострочный комментарий /* ... */
+            this.advance(); // пропускаем '/'
+            this.advance(); // пропускаем '*'
+            while (this.currentChar !== null) {
+                if (this.currentChar === '\n') {
+                    this.line++;
+                    this.column = 0;
+                }
+
+                if (this.currentChar === '*' && this.peek() === '/') {
+                    this.advance(); // пропускаем '*'
+                    this.advance(); // пропускаем '/'
+                    break;
+                }
+                this.advance();
+            }
+        } else if (this.currentChar === '/' && this.peek() === '/') {
+            // Однострочный комментарий // ...
+            this.advance(); // пропускаем '/'
+            this.advance(); // пропускаем '/'
+            while (this.currentChar !== null && this.currentChar !== '\n') {
+                this.advance();
+            }
+        }
+    }
+
+    /**
+     * Чтение строкового литерала
+     */
+    readStringLiteral() {
+        const quote = this.currentChar;
+        this.advance(); // Пропускаем открывающую кавычку
+        
+        let value = '';
+        const startLine = this.line;
+        const startColumn = this.column;
+
+        while (this.currentChar !== null && this.currentChar !== quote) {
+                        if (this.currentChar === '\\') {
+                this.advance();
+                if (this.currentChar === null) {
+                    throw new Error("Незавершённая escape-последовательность в строке");
+                }
+
+                switch (this.currentChar) {
+                    case 'n':
+                        value += '\n';
+                        break;
+                    case 't':
+                        value += '\t';
+                        break;
+                    case 'r':
+                        value += '\r';
+                        break;
+                    case '"':
+                        value += '"';
+                        break;
+                    case "'":
+                        value += "'";
+                        break;
+                    case '\\':
+                        value += '\\';
+                        break;
+                    case 'x': // \xHH — hex код
+                        this.advance();
+                        const hex1 = this.currentChar;
+                        this.advance();
+                        const hex2 = this.currentChar;
+                        if (hex1 && hex2 && /[0-9a-fA-F]{2}/.test(hex1 + hex2)) {
+                            value += String.fromCharCode(parseInt(hex1 + hex2, 16));
+                        } else {
+                            throw new Error(`Неверный \\x escape: \\x${hex1 || ''}${hex2 || ''}`);
+                        }
+                        break;
+                    case 'u': // \uHHHH — unicode
+                        this.advance();
+                        let unicode = '';
+                        for (let i = 0; i < 4; i++) {
+                            if (this.currentChar && /[0-9a-fA-F]/.test(this.currentChar)) {
+                                unicode += this.currentChar;
+                                this.advance();
+                            } else {
+                                throw new Error(`Неверный \\u escape: \\u${unicode}`);
+                            }
+                        }
+                        value += String.fromCharCode(parseInt(unicode, 16));
+                        this.advance(); // пропустить после \uHHHH
+                        continue; // чтобы не добавлять последний символ как обычный
+                    default:
+                        value += '\\' + this.currentChar; // неизвестный escape — оставляем как есть
+                }
+                this.advance();
+                continue;
+            } else {
+                value += this.currentChar;
+                this.advance();
+            }
+        }
+
+        this.advance(); // Пропускаем закрывающую кавычку
+
+        return {
+            type: 'STRING',
+            value: value,
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Обработка escape-последовательностей
+     */
+    escapeChar(char) {
+        const escapes = {
+            'n': '\n',
+            't': '\t',
+            'r': '\r',
+            '\\': '\\',
+            '"': '"',
+            "'": "'"
+        };
+        return escapes[char] || char;
+    }
+
+    /**
+     * Чтение шаблонной строки
+     */
+    readTemplateLiteral() {
+        this.advance(); // Пропускаем открывающую обратную кавычку
+
+        let value = '';
+        const startLine = this.line;
+        const startColumn = this.column;
+
+        while (this.currentChar !== null && this.currentChar !== '`') {
+            if (this.currentChar === '\\') {
+                this.advance();
+                if (this.currentChar === null) {
+                    throw new Error("Незавершённая escape-последовательность в шаблонной строке");
+                }
+                value += this.escapeChar(this.currentChar);
+                this.advance();
+            } else if (this.currentChar === '$' && this.peek() === '{') {
+                // Это начало интерполяции ${...}
+                value += this.currentChar; // Добавляем $
+                this.advance(); // Пропускаем $
+                value += this.currentChar; // Добавляем {
+                this.advance(); // Пропускаем {
+            } else {
+                value += this.currentChar;
+                this.advance();
+            }
+        }
+
+        if (this.currentChar !== '`') {
+            throw new Error(`Незавершённая шаблонная строка, ожидалась обратная кавычка`);
+        }
+
+        this.advance(); // Пропускаем закрывающую обратную кавычку
+
+        return {
+            type: 'TEMPLATE_LITERAL',
+            value: value,
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение идентификатора или ключевого слова
+     */
+    readIdentifier() {
+    let value = '';
+    const startLine = this.line;
+    const startColumn = this.column;
+
+    while (this.currentChar !== null && (this.isAlphaNumeric(this.currentChar) || this.currentChar === '_')) {
+        value += this.currentChar;
+        this.advance();
+    }
+
+
+    // Проверка на ключевые слова
+    const lowerValue = value.toLowerCase();
+    const type = Object.prototype.hasOwnProperty.call(KEYWORDS, lowerValue) ? KEYWORDS[lowerValue] : 'IDENTIFIER';
+
+    return {
+        type: type,
+        value: value,
+        line: startLine,
+        column: startColumn,
+        filename: this.filename
+    };
+}
+    /**
+     * Чтение регулярного выражения /шаблон/флаги
+     */
+    readRegex() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        const literal = scanRegexLiteral(this.source, this.pos);
+        if (!literal) {
+            throw new Error(`[${this.filename}:${startLine}:${startColumn}] Незакрытое регулярное выражение`);
+        }
+        try {
+            compileRegex(literal.pattern, literal.flags);
+        } catch (error) {
+            throw new Error(`[${this.filename}:${startLine}:${startColumn}] ${error.message}`);
+        }
+
+        while (this.pos < literal.end) {
+            this.advance();
+        }
+
+        return {
+            type: 'REGEX',
+            value: { pattern: literal.pattern, flags: literal.flags },
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение приватного имени #имя (значение вместе с #)
+     */
+    readPrivateName() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        let value = '#';
+        this.advance();
+
+        while (this.currentChar !== null && (this.isAlphaNumeric(this.currentChar) || this.currentChar === '_')) {
+            value += this.currentChar;
+            this.advance();
+        }
+
+        return {
+            type: 'PRIVATE_NAME',
+            value,
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение числа: 42, 3.14, 1e-9, 1_000_000, 0xFF, 0b1010, 0o17;
+     * суффикс n — большое, m — десятичное
+     */
+    readNumber() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        const fail = (message) => new Error(`[${this.filename}:${startLine}:${startColumn}] ${message}`);
+
+        let radix = 10;
+        let prefix = '';
+        if (this.currentChar === '0' && /[xXbBoO]/.test(this.peek() || '')) {
+            prefix = `0${this.peek().toLowerCase()}`;
+            radix = { '0x': 16, '0b': 2, '0o': 8 }[prefix];
+            this.advance();
+            this.advance();
+        }
+        const digitRe = { 16: /[0-9a-fA-F]/, 10: /[0-9]/, 8: /[0-7]/, 2: /[01]/ }[radix];
+
+        // Цифры с разделителями _ (только между цифрами)
+        const readDigits = () => {
+            let digits = '';
+            while (this.currentChar !== null && (digitRe.test(this.currentChar) || this.currentChar === '_')) {
+                if (this.currentChar === '_') {
+                    if (!digits || !digitRe.test(this.peek() || '')) {
+                        throw fail('Разделитель _ допустим только между цифрами');
+                    }
+                } else {
+                    digits += this.currentChar;
+                }
+                this.advance();
+            }
+            return digits;
+        };
+
+        let text = readDigits();
+        if (prefix && !text) {
+            throw fail(`Ожидались цифры после ${prefix}`);
+        }
+
+        let isInteger = true;
+        if (radix === 10) {
+            if (this.currentChar === '.' && this.isDigit(this.peek() || '')) {
+                this.advance();
+                text += `.${readDigits()}`;
+                isInteger = false;
+            }
+            const sign = this.peek() === '+' || this.peek() === '-';
+            if ((this.currentChar === 'e' || this.currentChar === 'E') && this.isDigit(this.peek(sign ? 2 : 1) || '')) {
+                this.advance();
+                text += 'e';
+                if (sign) {
+                    text += this.currentChar;
+                    this.advance();
+                }
+                text += readDigits();
+                isInteger = false;
+            }
+        }
+
+        let value;
+        if (this.currentChar === 'n') {
+            if (!isInteger) {
+                throw fail(`Большое число должно быть целым: ${text}n`);
+            }
+            this.advance();
+            value = BigInt(prefix + text);
+        } else if (this.currentChar === 'm' && radix === 10) {
+            this.advance();
+            value = Decimal.parse(text);
+        } else {
+            value = radix === 10 ? Number(text) : parseInt(text, radix);
+        }
+
+        if (this.currentChar !== null && this.isAlphaNumeric(this.currentChar)) {
+            throw fail(`Неверный числовой литерал: ${prefix}${text}${this.currentChar}`);
+        }
+
+        return {
+            type: 'INT',
+            value,
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение операторов и символов
+     */
+    readOperator() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        const char = this.currentChar;
+
+        // Многосимвольные операторы
+        if (char === '=' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'EQEQ', value: '==', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '!' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'NEQ', value: '!=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '<' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'LTE', value: '<=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '>' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'GTE', value: '>=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '&' && this.peek() === '&') {
+            this.advance();
+            this.advance();
+            return { type: 'AND', value: '&&', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '|' && this.peek() === '|') {
+            this.advance();
+            this.advance();
+            return { type: 'OR', value: '||', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '*' && this.peek() === '*') {
+            this.advance();
+            this.advance();
+            return { type: 'EXP', value: '**', line: startLine, column: startColumn, filename: this.filename };
+        }
+        // Добавляем дополнительные операторы
+        if (char === '+' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'PLUSEQ', value: '+=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '-' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'MINUSEQ', value: '-=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '*' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'MULTEQ', value: '*=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '/' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'DIVEQ', value: '/=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '%' && this.peek() === '=') {
+            this.advance();
+            this.advance();
+            return { type: 'MODEQ', value: '%=', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '<' && this.peek() === '<') {
+            this.advance();
+            this.advance();
+            return { type: 'LEFTSHIFT', value: '<<', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '>' && this.peek() === '>') {
+            this.advance();
+            this.advance();
+            return { type: 'RIGHTSHIFT', value: '>>', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '=' && this.peek() === '>') {
+            this.advance();
+            this.advance();
+            return { type: 'FATARROW', value: '=>', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === '?' && this.peek() === '?') {
+            this.advance();
+            this.advance();
+            if (this.currentChar === '=') {
+                this.advance();
+                return { type: 'NULLISH_ASSIGN', value: '??=', line: startLine, column: startColumn, filename: this.filename };
+            }
+            return { type: 'NULLISH', value: '??', line: startLine, column: startColumn, filename: this.filename };
+        }
+        // ?. — необязательная цепочка; "x ?.5 : 1" остаётся тернарным оператором
+        if (char === '?' && this.peek() === '.' && !this.isDigit(this.peek(2) || '')) {
+            this.advance();
+            this.advance();
+            return { type: 'OPTIONAL_CHAIN', value: '?.', line: startLine, column: startColumn, filename: this.filename };
+        }
+
+        // Импорт/экспорт модулей
+        if (char === 'i' && this.peek() === 'm' && this.peek(1) === 'p' && this.peek(2) === 'o' && this.peek(3) === 'r' && this.peek(4) === 't') {
+            this.advance(); this.advance(); this.advance(); this.advance(); this.advance();
+            return { type: 'IMPORT', value: 'import', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === 'э' && this.peek() === 'к' && this.peek(1) === 'с' && this.peek(2) === 'п' && this.peek(3) === 'о' && this.peek(4) === 'р' && this.peek(5) === 'т') {
+            for (let i = 0; i < 7; i++) this.advance();
+            return { type: 'EXPORT', value: 'экспорт', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === 'e' && this.peek() === 'x' && this.peek(1) === 'p' && this.peek(2) === 'o' && this.peek(3) === 'r' && this.peek(4) === 't') {
+            this.advance(); this.advance(); this.advance(); this.advance(); this.advance();
+            return { type: 'EXPORT', value: 'export', line: startLine, column: startColumn, filename: this.filename };
+        }
+        if (char === 'и' && this.peek() === 'м' && this.peek(1) === 'п' && this.peek(2) === 'о' && this.peek(3) === 'р' && this.peek(4) === 'т') {
+            for (let i = 0; i < 5; i++) this.advance();
+            return { type: 'IMPORT', value: 'импорт', line: startLine, column: startColumn, filename: this.filename };
+        }
+                // Поддержка "как" и "as" в импорте
+                        if (char === 'к' && this.peek() === 'а' && this.peek(1) === 'к') {
+                                    this.advance(); this.advance(); this.advance();
+                                                return { type: 'AS', value: 'как', line: startLine, column: startColumn, filename: this.filename };
+                                                        }
+                                                                if (char === 'a' && this.peek() === 's') {
+                                                                            this.advance(); this.advance();
+                                                                                        return { type: 'AS', value: 'as', line: startLine, column: startColumn, filename: this.filename };
+                                                                                                }
+
+        // Проверяем, не является ли '/' началом комментария
+        if (char === '/') {
+            if (this.peek() === '*') {
+                // Это начало многострочного комментария, не обрабатываем здесь
+                return null;
+            } else {
+                this.advance();
+                return {
+                    type: 'DIV',
+                    value: '/',
+                    line: startLine,
+                    column: startColumn,
+                    filename: this.filename
+                };
+            }
+        }
+
+        // Многосимвольные операторы (до одиночных)
+        if (char === '.' && this.peek() === '.' && this.peek(1) === '.') {
+            this.advance();
+            this.advance();
+            this.advance();
+            return { type: 'SPREAD', value: '...', line: startLine, column: startColumn, filename: this.filename };
+        }
+
+        // Одиночные символы
+        const singleChars = {
+            '+': 'PLUS',
+            '-': 'MINUS',
+            '*': 'MULT',
+            '%': 'MOD',
+            '=': 'ASSIGN',
+            '.': 'DOT',
+            '(': 'LPAREN',
+            ')': 'RPAREN',
+            '{': 'LBRACE',
+            '}': 'RBRACE',
+            '[': 'LBRACKET',
+            ']': 'RBRACKET',
+            ',': 'COMMA',
+            ':': 'COLON',
+            ';': 'SEMICOLON',
+            '<': 'LT',
+            '>': 'GT',
+            '!': 'NOT',
+            '?': 'TERNARY',
+            // Объединение и пересечение в аннотациях типов
+            '|': 'PIPE',
+            '&': 'AMPERSAND'
+        };
+
+        if (singleChars[char]) {
+            this.advance();
+            return {
+                type: singleChars[char],
+                value: char,
+                line: startLine,
+                column: startColumn,
+                filename: this.filename
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Подглядывание следующего символа
+     */
+    peek(offset = 1) {
+        return this.source[this.pos + offset] || null;
+    }
+
+    /**
+     * Проверка на букву (включая русские буквы)
+     */
+    isAlpha(char) {
+        const code = char.charCodeAt(0);
+        // Латинские буквы
+        if ((code >= 65 && code <= 90) || (code >= 97 && code <= 122) || char === '_') {
+            return true;
+        }
+        // Русские буквы (А-Я, а-я, Ё, ё)
+        if ((code >= 1040 && code <= 1103) || code === 1025 || code === 1105) {
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Проверка на цифру
+     */
+    isDigit(char) {
+        return char >= '0' && char <= '9';
+    }
+
+    /**
+     * Проверка на букву или цифру
+     */
+    isAlphaNumeric(char) {
+        return this.isAlpha(char) || this.isDigit(char);
+    }
+}
+return { KEYWORDS, isPrivateNameAt, scanRegexLiteral, isRegexStartAt, Lexer, default: Lexer };
+})();
+
+// Module: parser/ast-nodes.js
+const __vx_m4 = (() => {
+/**
+ * VladX AST Nodes — Узлы абстрактного синтаксического дерева
+ */
+
+// Базовые узлы
+class Node {
+    constructor(type) {
+        this.type = type;
+    }
+}
+
+class Program extends Node {
+    constructor() {
+        super('Program');
+        this.body = [];
+    }
+}
+
+// Statements
+class ExpressionStatement extends Node {
+    constructor(expression) {
+        super('ExpressionStatement');
+        this.expression = expression;
+    }
+}
+
+class EmptyStatement extends Node {
+    constructor() {
+        super('EmptyStatement');
+    }
+}
+
+class LetStatement extends Node {
+    constructor(name, initializer, typeAnnotation = null) {
+        super('LetStatement');
+        this.name = name;
+        this.initializer = initializer;
+        this.typeAnnotation = typeAnnotation;
+    }
+}
+
+class ConstStatement extends Node {
+    constructor(name, initializer, typeAnnotation = null) {
+        super('ConstStatement');
+        this.name = name;
+        this.initializer = initializer;
+        this.typeAnnotation = typeAnnotation;
+    }
+}
+
+class ReturnStatement extends Node {
+    constructor(argument) {
+        super('ReturnStatement');
+        this.argument = argument;
+    }
+}
+
+class BlockStatement extends Node {
+    constructor(body = []) {
+        super('BlockStatement');
+        this.body = body;
+    }
+}
+
+class IfStatement extends Node {
+    constructor(condition, thenBranch, elseBranch = null) {
+        super('IfStatement');
+        this.condition = condition;
+        this.thenBranch = thenBranch;
+        this.elseBranch = elseBranch;
+    }
+}
+
+class WhileStatement extends Node {
+    constructor(condition, body) {
+        super('WhileStatement');
+        this.condition = condition;
+        this.body = body;
+    }
+}
+
+class ForStatement extends Node {
+    constructor(initializer, condition, update, body) {
+        super('ForStatement');
+        this.initializer = initializer;
+        this.condition = condition;
+        this.update = update;
+        this.body = body;
+    }
+}
+
+class BreakStatement extends Node {
+    constructor(label = null) {
+        super('BreakStatement');
+        this.label = label;
+    }
+}
+
+class ContinueStatement extends Node {
+    constructor(label = null) {
+        super('ContinueStatement');
+        this.label = label;
+    }
+}
+
+class LabeledStatement extends Node {
+    constructor(label, body) {
+        super('LabeledStatement');
+        this.label = label;
+        this.body = body;
+    }
+}
+
+class ForOfStatement extends Node {
+    constructor(kind, left, right, body) {
+        super('ForOfStatement');
+        this.kind = kind;    // 'let', 'const' или null для существующей переменной
+        this.left = left;
+        this.right = right;
+        this.body = body;
+    }
+}
+
+class ForInStatement extends Node {
+    constructor(kind, left, right, body) {
+        super('ForInStatement');
+        this.kind = kind;    // 'let', 'const' или null для существующей переменной
+        this.left = left;
+        this.right = right;
+        this.body = body;
+    }
+}
+
+class FunctionDeclaration extends Node {
+    constructor(name, params, body, isAsync = false, isGenerator = false, returnType = null) {
+        super('FunctionDeclaration');
+        this.name = name;
+        this.params = params;
+        this.body = body;
+        this.isAsync = isAsync;
+        this.isGenerator = isGenerator;
+        this.returnType = returnType;
+    }
+}
+
+class ClassDeclaration extends Node {
+    constructor(name, methods, superClass = null, fields = []) {
+        super('ClassDeclaration');
+        this.name = name;
+        this.methods = methods;
+        this.superClass = superClass;
+        // ClassField и ClassStaticBlock в порядке объявления
+        this.fields = fields;
+    }
+}
+
+class ClassField extends Node {
+    constructor(name, value = null, isStatic = false) {
+        super('ClassField');
+        this.name = name;
+        this.value = value;
+        this.isStatic = isStatic;
+    }
+}
+
+class ClassStaticBlock extends Node {
+    constructor(body) {
+        super('ClassStaticBlock');
+        this.body = body;
+    }
+}
+
+/**
+ * перечисление Имя { Вариант, Вариант(поле, ...) }
+ */
+class EnumDeclaration extends Node {
+    constructor(name, variants) {
+        super('EnumDeclaration');
+        this.name = name;
+        this.variants = variants;  // EnumVariant[]
+    }
+}
+
+class EnumVariant extends Node {
+    constructor(name, fields = null) {
+        super('EnumVariant');
+        this.name = name;
+        this.fields = fields;      // Имена полей или null у варианта без полей
+    }
+}
+
+class TryStatement extends Node {
+    constructor(block, handler = null, finalizer = null) {
+        super('TryStatement');
+        this.block = block;
+        this.handler = handler;
+        this.finalizer = finalizer;
+    }
+}
+
+class ThrowStatement extends Node {
+    constructor(argument) {
+        super('ThrowStatement');
+        this.argument = argument;
+    }
+}
+
+// Expressions
+class Literal extends Node {
+    constructor(value) {
+        super('Literal');
+        this.value = value;
+    }
+}
+
+/**
+ * Регулярное выражение /шаблон/флаги
+ */
+class RegexLiteral extends Node {
+    constructor(pattern, flags = '') {
+        super('RegexLiteral');
+        this.pattern = pattern;
+        this.flags = flags;
+    }
+}
+
+class Identifier extends Node {
+    constructor(name) {
+        super('Identifier');
+        this.name = name;
+    }
+}
+
+class ThisExpression extends Node {
+    constructor() {
+        super('ThisExpression');
+    }
+}
+
+class SuperExpression extends Node {
+    constructor() {
+        super('SuperExpression');
+    }
+}
+
+class NewExpression extends Node {
+    constructor(callee, args = []) {
+        super('NewExpression');
+        this.callee = callee;
+        this.args = args;
+    }
+}
+
+class ClassMethod extends FunctionDeclaration {
+    constructor(name, params, body, isStatic = false, isGetter = false, isSetter = false, isAsync = false) {
+        super(name, params, body, isAsync);
+        this.isStatic = isStatic;
+        this.isGetter = isGetter;
+        this.isSetter = isSetter;
+    }
+}
+
+class BinaryExpression extends Node {
+    constructor(operator, left, right) {
+        super('BinaryExpression');
+        this.operator = operator;
+        this.left = left;
+        this.right = right;
+    }
+}
+
+class UnaryExpression extends Node {
+    constructor(operator, operand) {
+        super('UnaryExpression');
+        this.operator = operator;
+        this.operand = operand;
+    }
+}
+
+class CallExpression extends Node {
+    constructor(callee, args = [], optional = false) {
+        super('CallExpression');
+        this.callee = callee;
+        this.args = args;
+        // f?.() — не вызывать, если f ничто
+        this.optional = optional;
+    }
+}
+
+class MemberExpression extends Node {
+    constructor(object, property, computed = false, optional = false) {
+        super('MemberExpression');
+        this.object = object;
+        this.property = property;
+        this.computed = computed;
+        // obj?.имя, obj?.[ключ]
+        this.optional = optional;
+    }
+}
+
+// Цепочка с ?.: если звено с ?. получило ничто, вся цепочка — ничто
+class ChainExpression extends Node {
+    constructor(expression) {
+        super('ChainExpression');
+        this.expression = expression;
+    }
+}
+
+class MemberAssignment extends Node {
+    constructor(object, property, value, computed = false) {
+        super('MemberAssignment');
+        this.object = object;
+        this.property = property;
+        this.value = value;
+        this.computed = computed;
+    }
+}
+
+class Assignment extends Node {
+    constructor(name, value) {
+        super('Assignment');
+        this.name = name;
+        this.value = value;
+    }
+}
+
+class ArrayExpression extends Node {
+    constructor(elements = []) {
+        super('ArrayExpression');
+        this.elements = elements;
+    }
+}
+
+class ObjectExpression extends Node {
+    constructor(properties = []) {
+        super('ObjectExpression');
+        this.properties = properties;
+    }
+}
+
+class PropertyDefinition extends Node {
+    constructor(key, value) {
+        super('PropertyDefinition');
+        this.key = key;
+        this.value = value;
+    }
+}
+
+class PropertyKey extends Node {
+    constructor(value) {
+        super('PropertyKey');
+        this.value = value;
+    }
+}
+
+class ArrowFunctionExpression extends Node {
+    constructor(params, body, isAsync = false, returnType = null) {
+        super('ArrowFunctionExpression');
+        this.params = params;
+        this.body = body;
+        this.isAsync = isAsync;
+        this.returnType = returnType;
+    }
+}
+
+class TernaryExpression extends Node {
+    constructor(condition, thenExpr, elseExpr) {
+        super('TernaryExpression');
+        this.condition = condition;
+        this.thenExpr = thenExpr;
+        this.elseExpr = elseExpr;
+    }
+}
+
+class AssignmentExpression extends Node {
+    constructor(left, operator, right) {
+        super('AssignmentExpression');
+        this.left = left;
+        this.operator = operator;
+        this.right = right;
+    }
+}
+
+class CompoundAssignmentExpression extends Node {
+    constructor(left, operator, right) {
+        super('CompoundAssignmentExpression');
+        this.left = left;
+        this.operator = operator;
+        this.right = right;
+    }
+}
+
+class BitwiseExpression extends Node {
+    constructor(operator, left, right) {
+        super('BitwiseExpression');
+        this.operator = operator;
+        this.left = left;
+        this.right = right;
+    }
+}
+
+class TemplateLiteral extends Node {
+    constructor(expressions, quasis) {
+        super('TemplateLiteral');
+        this.expressions = expressions;
+        this.quasis = quasis;
+    }
+}
+
+class AwaitExpression extends Node {
+    constructor(argument) {
+        super('AwaitExpression');
+        this.argument = argument;
+    }
+}
+
+class YieldExpression extends Node {
+    constructor(argument = null, delegate = false) {
+        super('YieldExpression');
+        this.argument = argument;
+        this.delegate = delegate;  // выдать* — делегирование другому итерируемому
+    }
+}
+
+class ArrayPattern extends Node {
+    constructor(elements) {
+        super('ArrayPattern');
+        this.elements = elements || [];
+    }
+}
+
+class ObjectPattern extends Node {
+    constructor(properties) {
+        super('ObjectPattern');
+        this.properties = properties || [];
+    }
+}
+
+class Property extends Node {
+    constructor(key, value, computed = false) {
+        super('Property');
+        this.key = key;
+        this.value = value;
+        this.computed = computed;
+    }
+}
+
+class VariableDeclarationWithPattern extends Node {
+    constructor(kind, pattern, initializer) {
+        super('VariableDeclarationWithPattern');
+        this.kind = kind; // 'let' or 'const'
+        this.pattern = pattern;
+        this.initializer = initializer;
+    }
+}
+
+class SpreadElement extends Node {
+    constructor(argument) {
+        super('SpreadElement');
+        this.argument = argument;
+    }
+}
+
+class AssignmentPattern extends Node {
+    constructor(left, right) {
+        super('AssignmentPattern');
+        this.left = left;
+        this.right = right;
+    }
+}
+
+class RestElement extends Node {
+    constructor(argument) {
+        super('RestElement');
+        this.argument = argument;
+    }
+}
+
+class ImportExpression extends Node {
+    constructor(path) {
+        super('ImportExpression');
+        this.path = path;
+    }
+}
+
+class SequenceExpression extends Node {
+    constructor(expressions) {
+        super('SequenceExpression');
+        this.expressions = expressions;
+    }
+}
+
+// Импорт модуля (как инструкция)
+class ImportStatement extends Node {
+    constructor(path, alias = null) {
+        super('ImportStatement');
+        this.path = path;
+        this.alias = alias;  // Новое: имя переменной после "как"
+    }
+}
+
+// Экспорт имен
+class ExportStatement extends Node {
+    constructor(identifiers = []) {
+        super('ExportStatement');
+        this.identifiers = identifiers;
+    }
+}
+
+class SwitchStatement extends Node {
+    constructor(discriminant, cases, defaultCase) {
+        super('SwitchStatement');
+        this.discriminant = discriminant;  // The switch expression
+        this.cases = cases;                // Array of case objects
+        this.defaultCase = defaultCase;    // Default case or null
+    }
+}
+
+// Сопоставление с образцом
+class MatchExpression extends Node {
+    constructor(value, arms = [], defaultArm = null) {
+        super('MatchExpression');
+        this.value = value;
+        this.arms = arms;
+        this.default = defaultArm;
+    }
+}
+
+class MatchArm extends Node {
+    constructor(pattern, guard, result) {
+        super('MatchArm');
+        this.pattern = pattern;
+        this.guard = guard;    // Условие после "если" или null
+        this.result = result;
+    }
+}
+
+class RangePattern extends Node {
+    constructor(start, end) {
+        super('RangePattern');
+        this.start = start;
+        this.end = end;        // Включительно
+    }
+}
+
+class TypePattern extends Node {
+    constructor(typeName, binding = null) {
+        super('TypePattern');
+        this.typeName = typeName;  // Внутреннее имя типа: number, string, ...
+        this.binding = binding;    // Identifier или null
+    }
+}
+
+/**
+ * Образец варианта: Цвет.Красный, Результат.Успех(x), Успех(x)
+ */
+class VariantPattern extends Node {
+    constructor(enumName, variant, args = null) {
+        super('VariantPattern');
+        this.enumName = enumName;  // Имя перечисления или null
+        this.variant = variant;
+        this.args = args;          // Образцы полей или null — поля не проверяются
+    }
+}
+
+// Аннотации типов
+class SimpleType extends Node {
+    constructor(name) {
+        super('SimpleType');
+        this.name = name;
+    }
+}
+
+class ArrayType extends Node {
+    constructor(elementType) {
+        super('ArrayType');
+        this.elementType = elementType;
+    }
+}
+
+class TupleType extends Node {
+    constructor(elementTypes = []) {
+        super('TupleType');
+        this.elementTypes = elementTypes;
+    }
+}
+
+class UnionType extends Node {
+    constructor(types = []) {
+        super('UnionType');
+        this.types = types;
+    }
+}
+
+class IntersectionType extends Node {
+    constructor(types = []) {
+        super('IntersectionType');
+        this.types = types;
+    }
+}
+
+class GenericType extends Node {
+    constructor(name, typeArguments = []) {
+        super('GenericType');
+        this.name = name;
+        this.typeArguments = typeArguments;
+    }
+}
+
+class FunctionType extends Node {
+    constructor(params = [], returnType = null) {
+        super('FunctionType');
+        this.params = params;
+        this.returnType = returnType;
+    }
+}
+
+class TypeAliasDeclaration extends Node {
+    constructor(name, typeAnnotation) {
+        super('TypeAliasDeclaration');
+        this.name = name;
+        this.typeAnnotation = typeAnnotation;
+    }
+}
+
+// Экспорт всех узлов
+const ASTNodes = {
+    Node,
+    Program,
+    ExpressionStatement,
+    EmptyStatement,
+    LetStatement,
+    ConstStatement,
+    ReturnStatement,
+    BlockStatement,
+    IfStatement,
+    WhileStatement,
+    ForStatement,
+    ForOfStatement,
+    ForInStatement,
+    BreakStatement,
+    ContinueStatement,
+    LabeledStatement,
+    FunctionDeclaration,
+    ClassMethod,
+    ClassDeclaration,
+    ClassField,
+    ClassStaticBlock,
+    EnumDeclaration,
+    EnumVariant,
+    TryStatement,
+    ThrowStatement,
+    Literal,
+    RegexLiteral,
+    Identifier,
+    ThisExpression,
+    SuperExpression,
+    NewExpression,
+    BinaryExpression,
+    UnaryExpression,
+    CallExpression,
+    MemberExpression,
+    ChainExpression,
+    MemberAssignment,
+    Assignment,
+    AssignmentExpression,
+    CompoundAssignmentExpression,
+    BitwiseExpression,
+    TemplateLiteral,
+    ArrayExpression,
+    ObjectExpression,
+    PropertyDefinition,
+    PropertyKey,
+    ArrowFunctionExpression,
+    TernaryExpression,
+    ImportStatement,
+    ImportExpression,
+    ExportStatement,
+    SwitchStatement,
+    AwaitExpression,
+    YieldExpression,
+    ArrayPattern,
+    ObjectPattern,
+    Property,
+    VariableDeclarationWithPattern,
+    SpreadElement,
+    AssignmentPattern,
+    RestElement,
+    SequenceExpression,
+    MatchExpression,
+    MatchArm,
+    RangePattern,
+    TypePattern,
+    VariantPattern,
+    SimpleType,
+    ArrayType,
+    TupleType,
+    UnionType,
+    IntersectionType,
+    GenericType,
+    FunctionType,
+    TypeAliasDeclaration
+};
+return { Node, Program, ExpressionStatement, EmptyStatement, LetStatement, ConstStatement, ReturnStatement, BlockStatement, IfStatement, WhileStatement, ForStatement, BreakStatement, ContinueStatement, LabeledStatement, ForOfStatement, ForInStatement, FunctionDeclaration, ClassDeclaration, ClassField, ClassStaticBlock, EnumDeclaration, EnumVariant, TryStatement, ThrowStatement, Literal, RegexLiteral, Identifier, ThisExpression, SuperExpression, NewExpression, ClassMethod, BinaryExpression, UnaryExpression, CallExpression, MemberExpression, ChainExpression, MemberAssignment, Assignment, ArrayExpression, ObjectExpression, PropertyDefinition, PropertyKey, ArrowFunctionExpression, TernaryExpression, AssignmentExpression, CompoundAssignmentExpression, BitwiseExpression, TemplateLiteral, AwaitExpression, YieldExpression, ArrayPattern, ObjectPattern, Property, VariableDeclarationWithPattern, SpreadElement, AssignmentPattern, RestElement, ImportExpression, SequenceExpression, ImportStatement, ExportStatement, SwitchStatement, MatchExpression, MatchArm, RangePattern, TypePattern, VariantPattern, SimpleType, ArrayType, TupleType, UnionType, IntersectionType, GenericType, FunctionType, TypeAliasDeclaration, ASTNodes, default: ASTNodes };
+})();
+
+// Module: parser/parser.js
+const __vx_m5 = (() => {
+/**
+ * VladX Parser — Синтаксический анализатор
+ * Преобразует поток токенов в абстрактное синтаксическое дерево (AST)
+ */
+
+const { ASTNodes } = __vx_m4;
+const { Lexer } = __vx_m3;
+const { Decimal } = __vx_m0;
+
+// Имена типов, допустимые как образцы в сопоставить
+const MATCH_TYPE_NAMES = {
+    'число': 'number',
+    'большое': 'bigint',
+    'десятичное': 'decimal',
+    'строка': 'string',
+    'логический': 'boolean',
+    'массив': 'array',
+    'объект': 'object'
+};
+
+class Parser {
+    constructor(tokens, options = {}) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.debug = options.debug || false;
+        // Разбираемые классы: объявленные приватные имена и их использования
+        this.classScopes = [];
+    }
+
+    /**
+     * Получить текущий токен
+     */
+    peek(offset = 0) {
+        const index = this.pos + offset;
+        return index < this.tokens.length ? this.tokens[index] : this.tokens[this.tokens.length - 1];
+    }
+
+    /**
+     * Получить и продвинуться
+     */
+    advance() {
+        return this.tokens[this.pos++];
+    }
+
+    /**
+     * Проверка типа текущего токена
+     */
+    check(type, value = null) {
+        const token = this.peek();
+        if (value !== null) {
+            return token.type === type && token.value === value;
+        }
+        return token.type === type;
+    }
+
+    /**
+     * Проверка и потребление токена
+     */
+    consume(type, value = null, message = `Expected ${type}`) {
+        const token = this.peek();
+        if (token.type !== type || (value !== null && token.value !== value)) {
+            throw this.error(message);
+        }
+        return this.advance();
+    }
+
+    /**
+     * Синтаксическая ошибка
+     */
+    error(message, token = null) {
+        const t = token || this.peek();
+        const filename = t.filename || '<unknown>';
+        const line = t.line || '?';
+        const column = t.column || '?';
+        const tokenType = t.type || 'unknown';
+        const tokenValue = t.value !== undefined ? t.value : 'unknown';
+
+        return new Error(`[${filename}:${line}:${column}] Синтаксическая ошибка: ${message}\n  Токен: ${tokenType} = '${tokenValue}'`);
+    }
+
+    /**
+     * Основной метод парсинга
+     */
+    parse() {
+        try {
+            const program = new ASTNodes.Program();
+            program.body = this.parseStatements();
+            if (this.debug) {
+                console.log('[Parser] Parsed program with', program.body.length, 'statements');
+            }
+            return program;
+        } catch (error) {
+            if (this.debug) {
+                console.error('[Parser] Error during parsing:', error);
+                console.error('[Parser] Current token:', this.peek());
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Парсинг блока инструкций
+     */
+    parseStatements(endTokens = ['EOF', 'RBRACE']) {
+        const body = [];
+        
+        while (!endTokens.includes(this.peek().type)) {
+            if (this.check('NEWLINE')) {
+                this.advance();
+                continue;
+            }
+            
+            const statement = this.parseStatement();
+            if (statement) {
+                body.push(statement);
+            }
+        }
+        
+        return body;
+    }
+
+    /**
+     * Парсинг одной инструкции с сохранением её позиции в исходном коде
+     */
+    parseStatement() {
+        const token = this.peek();
+        const statement = this.parseStatementNode();
+
+        if (statement && statement.line === undefined && token.line !== undefined) {
+            statement.line = token.line;
+            statement.column = token.column;
+            statement.filename = token.filename;
+        }
+
+        return statement;
+    }
+
+    /**
+     * Парсинг одной инструкции
+     */
+    parseStatementNode() {
+        const token = this.peek();
+        
+        if (this.check('NEWLINE')) {
+            this.advance();
+            return new ASTNodes.EmptyStatement();
+        }
+        
+        switch (token.type) {
+            case 'LET':
+            case 'ПУСТЬ':  // Русское ключевое слово
+                return this.parseVariableDeclaration();
+            
+            case 'CONST':
+            case 'КОНСТ':  // Русское ключевое слово
+                return this.parseVariableDeclaration();
+            
+            case 'RETURN':
+            case 'ВЕРНУТЬ':  // Русское ключевое слово
+                return this.parseReturnStatement();
+            
+            case 'IF':
+            case 'ЕСЛИ':  // Русское ключевое слово
+                return this.parseIfStatement();
+            
+            case 'WHILE':
+            case 'ПОКА':  // Русское ключевое слово
+                return this.parseWhileStatement();
+            
+            case 'FOR':
+            case 'ДЛЯ':  // Русское ключевое слово
+                return this.parseForStatement();
+            
+            case 'BREAK':
+            case 'ПРЕРВАТЬ':  // Русское ключевое слово
+                return this.parseBreakStatement();
+            
+            case 'CONTINUE':
+            case 'ПРОДОЛЖИТЬ':  // Русское ключевое слово
+                return this.parseContinueStatement();
+            
+            case 'ASYNC':
+                return this.parseAsyncFunctionDeclaration();
+            case 'FUNCTION':
+            case 'ФУНКЦИЯ':  // Русское ключевое слово
+                return this.parseFunctionDeclaration();
+            
+            case 'IMPORT':
+            case 'ИМПОРТ':  // Импорт модулей
+                return this.parseImportStatement();
+            
+            case 'EXPORT':
+            case 'ЭКСПОРТ':  // Экспорт имен
+                return this.parseExportStatement();
+            
+            case 'CLASS':
+            case 'КЛАСС':  // Русское ключевое слово
+                return this.parseClassDeclaration();
+
+            case 'ENUM':
+                return this.parseEnumDeclaration();
+
+            case 'SWITCH':
+            case 'ВЫБОР':  // Русское ключевое слово
+                return this.parseSwitchStatement();
+            
+            case 'TRY':
+            case 'ПОПЫТКА':  // Русское ключевое слово
+                return this.parseTryStatement();
+
+            case 'THROW':
+            case 'БРОСИТЬ':  // Русское ключевое слово
+                return this.parseThrowStatement();
+
+            case 'YIELD':
+                return this.parseYieldStatement();
+
+            case 'LBRACE':
+                return this.parseBlockStatement();
+
+            case 'IDENTIFIER':
+                if (this.peek(1).type === 'COLON') {
+                    return this.parseLabeledStatement();
+                }
+                // «тип» — ключевое слово только в объявлении псевдонима
+                if (token.value === 'тип' && this.peek(1).type === 'IDENTIFIER' && this.peek(2).type === 'ASSIGN') {
+                    return this.parseTypeAliasDeclaration();
+                }
+                return new ASTNodes.ExpressionStatement(this.parseExpression());
+
+            default:
+                return new ASTNodes.ExpressionStatement(this.parseExpression());
+        }
+    }
+
+    /**
+     * Объявление переменной (пусть/const)
+     */
+    parseVariableDeclaration() {
+        const token = this.advance();
+        const isConst = token.type === 'CONST' || token.type === 'КОНСТ';
+
+        // Деструктуризация: пусть [a, b] = ... / пусть {a, b} = ...
+        if (this.check('LBRACKET') || this.check('LBRACE')) {
+            const pattern = this.toPattern(this.parsePatternOrExpression());
+
+            this.consume('ASSIGN', null, 'Ожидалось =');
+            const initializer = this.parseExpression();
+
+            if (this.check('SEMICOLON')) {
+                this.advance();
+            }
+
+            return new ASTNodes.VariableDeclarationWithPattern(isConst ? 'const' : 'let', pattern, initializer);
+        }
+
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя переменной').value;
+        const typeAnnotation = this.parseTypeAnnotation();
+
+        this.consume('ASSIGN', null, 'Ожидалось =');
+
+        const initializer = this.parseExpression();
+
+        // Пропуск точки с запятой
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return isConst
+            ? new ASTNodes.ConstStatement(name, initializer, typeAnnotation)
+            : new ASTNodes.LetStatement(name, initializer, typeAnnotation);
+    }
+
+    /**
+     * Псевдоним типа: тип Имя = число | строка
+     */
+    parseTypeAliasDeclaration() {
+        this.advance(); // consume тип
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя типа').value;
+        this.consume('ASSIGN', null, 'Ожидалось =');
+        const typeAnnotation = this.parseType();
+
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.TypeAliasDeclaration(name, typeAnnotation);
+    }
+
+    /**
+     * Необязательная аннотация типа после двоеточия
+     */
+    parseTypeAnnotation() {
+        if (!this.check('COLON')) {
+            return null;
+        }
+        this.advance();
+        return this.parseType();
+    }
+
+    /**
+     * Тип: объединение пересечений (число | строка, A & B)
+     */
+    parseType() {
+        const types = [this.parseIntersectionType()];
+        while (this.check('PIPE')) {
+            this.advance();
+            types.push(this.parseIntersectionType());
+        }
+        return types.length === 1 ? types[0] : new ASTNodes.UnionType(types);
+    }
+
+    parseIntersectionType() {
+        const types = [this.parsePrimaryType()];
+        while (this.check('AMPERSAND')) {
+            this.advance();
+            types.push(this.parsePrimaryType());
+        }
+        return types.length === 1 ? types[0] : new ASTNodes.IntersectionType(types);
+    }
+
+    /**
+     * Простой тип, обобщённый тип Имя<T>, кортеж [A, B], функциональный
+     * тип (A, B) => R или тип в скобках; суффикс [] — массив
+     */
+    parsePrimaryType() {
+        let type;
+
+        if (this.check('LBRACKET')) {
+            this.advance();
+            const elementTypes = this.parseTypeList('RBRACKET');
+            this.consume('RBRACKET', null, 'Ожидалось ] после типов кортежа');
+            type = new ASTNodes.TupleType(elementTypes);
+        } else if (this.check('LPAREN')) {
+            this.advance();
+            const params = this.parseTypeList('RPAREN');
+            this.consume('RPAREN', null, 'Ожидалось )');
+            if (this.check('FATARROW')) {
+                this.advance();
+                type = new ASTNodes.FunctionType(params, this.parseType());
+            } else if (params.length === 1) {
+                type = params[0];
+            } else {
+                throw this.error('Ожидалось => после типов параметров');
+            }
+        } else if (this.check('NULL')) {
+            this.advance();
+            type = new ASTNodes.SimpleType('ничто');
+        } else if (this.check('FUNCTION')) {
+            this.advance();
+            type = new ASTNodes.SimpleType('функция');
+        } else {
+            const name = this.consume('IDENTIFIER', null, 'Ожидался тип').value;
+            if (this.check('LT')) {
+                this.advance();
+                const typeArguments = this.parseTypeList('GT');
+                this.consumeTypeArgumentsEnd();
+                type = new ASTNodes.GenericType(name, typeArguments);
+            } else {
+                type = new ASTNodes.SimpleType(name);
+            }
+        }
+
+        while (this.check('LBRACKET') && this.peek(1).type === 'RBRACKET') {
+            this.advance();
+            this.advance();
+            type = new ASTNodes.ArrayType(type);
+        }
+
+        return type;
+    }
+
+    /**
+     * Типы через запятую до закрывающего токена
+     */
+    parseTypeList(endType) {
+        const types = [];
+        if (this.check(endType)) {
+            return types;
+        }
+        while (true) {
+            types.push(this.parseType());
+            if (!this.check('COMMA')) {
+                return types;
+            }
+            this.advance();
+        }
+    }
+
+    /**
+     * Закрывающая > обобщённого типа; у вложенных типов лексер
+     * склеивает её со следующим символом (>> и >=)
+     */
+    consumeTypeArgumentsEnd() {
+        const token = this.peek();
+        if (token.type === 'RIGHTSHIFT' || token.type === 'GTE') {
+            this.tokens[this.pos] = {
+                ...token,
+                type: token.type === 'RIGHTSHIFT' ? 'GT' : 'ASSIGN',
+                value: token.value.slice(1),
+                column: token.column + 1
+            };
+            return token;
+        }
+        return this.consume('GT', null, 'Ожидалось > после аргументов типа');
+    }
+
+    /**
+     * Return statement
+     */
+    parseReturnStatement() {
+        this.advance(); // consume RETURN
+        
+        if (this.check('NEWLINE') || this.check('RBRACE') || this.check('EOF')) {
+            return new ASTNodes.ReturnStatement(null);
+        }
+        
+        const argument = this.parseExpression();
+        
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+        
+        return new ASTNodes.ReturnStatement(argument);
+    }
+
+    /**
+     * If statement
+     */
+    parseIfStatement() {
+        this.advance(); // consume IF
+
+        const condition = this.parseExpression();
+
+        const thenBranch = this.parseBlockStatement();
+
+        // Skip any newlines before checking for else/elseif
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        let elseBranch = null;
+        if (this.check('ELSE') || this.check('ИНАЧЕ') || this.check('ELSEIF') || this.check('ИЛИЕСЛИ')) {
+            elseBranch = this.parseElseClause();
+        }
+
+        return new ASTNodes.IfStatement(condition, thenBranch, elseBranch);
+    }
+
+    /**
+     * Else clause
+     */
+    parseElseClause() {
+        const token = this.peek();
+
+        // For ELSEIF/ИЛИЕСЛИ, we need to parse the if statement that follows
+        if (token.type === 'ELSEIF' || token.type === 'ИЛИЕСЛИ') {
+            // Consume the ELSEIF token
+            this.advance();
+            // Now parse the if statement structure: condition in parentheses and then the block
+            const condition = this.parseExpression();
+            const thenBranch = this.parseBlockStatement();
+
+            // Skip any newlines before checking for another else/elseif
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            // Check if there's another else/elseif after this one
+            let elseBranch = null;
+            if (this.check('ELSE') || this.check('ИНАЧЕ') || this.check('ELSEIF') || this.check('ИЛИЕСЛИ')) {
+                elseBranch = this.parseElseClause();
+            }
+
+            return new ASTNodes.IfStatement(condition, thenBranch, elseBranch);
+        } else {
+            // For regular ELSE, just consume the token and return the block
+            this.advance(); // consume ELSE or ИНАЧЕ
+            return this.parseBlockStatement();
+        }
+    }
+
+    /**
+     * While statement
+     */
+    parseWhileStatement() {
+        this.advance(); // consume WHILE
+        
+        const condition = this.parseExpression();
+        const body = this.parseBlockStatement();
+        
+        return new ASTNodes.WhileStatement(condition, body);
+    }
+
+    /**
+     * For statement
+     */
+    parseForStatement() {
+        this.advance(); // consume FOR
+        
+        this.consume('LPAREN', null, 'Ожидалось (');
+
+        const headKind = this.forInOfHeadKind();
+        if (headKind) {
+            return this.parseForInOfStatement(headKind);
+        }
+        
+        // Инициализация - parseStatement уже потребляет точку с запятой для переменных
+        let initializer = null;
+        initializer = this.parseStatement();
+        
+        // Условие
+        let condition = null;
+        if (!this.check('RPAREN')) {
+            condition = this.parseExpression();
+            this.consume('SEMICOLON', null, 'Ожидалось ;');
+        } else {
+            // Если сразу ) - значит было пустое условие, нужно потребовать ;
+            this.consume('SEMICOLON', null, 'Ожидалось ;');
+        }
+        
+        // Обновление
+        let update = null;
+        if (!this.check('RPAREN')) {
+            update = this.parseExpression();
+        }
+        this.consume('RPAREN', null, 'Ожидалось )');
+        
+        const body = this.parseBlockStatement();
+        
+        return new ASTNodes.ForStatement(initializer, condition, update, body);
+    }
+
+    /**
+     * Определение вида заголовка: 'of' для (пусть x из ...), 'in' для (пусть x в ...), иначе null
+     */
+    forInOfHeadKind() {
+        let offset = this.check('LET') || this.check('CONST') ? 1 : 0;
+        const first = this.peek(offset);
+
+        if (first.type === 'IDENTIFIER') {
+            offset++;
+        } else if (first.type === 'LBRACKET' || first.type === 'LBRACE') {
+            // Пропускаем образец деструктуризации до парной скобки
+            let depth = 0;
+            do {
+                const token = this.peek(offset);
+                if (token.type === 'EOF') {
+                    return null;
+                }
+                if (token.type === 'LBRACKET' || token.type === 'LBRACE') {
+                    depth++;
+                } else if (token.type === 'RBRACKET' || token.type === 'RBRACE') {
+                    depth--;
+                }
+                offset++;
+            } while (depth > 0);
+        } else {
+            return null;
+        }
+
+        const separator = this.peek(offset);
+        if (separator.type === 'FROM' || (separator.type === 'IDENTIFIER' && separator.value === 'of')) {
+            return 'of';
+        }
+        if (separator.type === 'IDENTIFIER' && (separator.value === 'в' || separator.value === 'in')) {
+            return 'in';
+        }
+        return null;
+    }
+
+    /**
+     * For-of / for-in: для (пусть x из коллекция), для (пусть ключ в объект)
+     */
+    parseForInOfStatement(headKind) {
+        let kind = null;
+        if (this.check('LET') || this.check('CONST')) {
+            kind = this.advance().type === 'CONST' ? 'const' : 'let';
+        }
+
+        const left = this.check('LBRACKET') || this.check('LBRACE')
+            ? this.toPattern(this.parsePatternOrExpression())
+            : new ASTNodes.Identifier(this.consume('IDENTIFIER', null, 'Ожидалось имя переменной').value);
+        this.advance(); // из / в
+
+        const right = this.parseExpression();
+        this.consume('RPAREN', null, 'Ожидалось )');
+
+        const body = this.parseBlockStatement();
+
+        return headKind === 'in'
+            ? new ASTNodes.ForInStatement(kind, left, right, body)
+            : new ASTNodes.ForOfStatement(kind, left, right, body);
+    }
+
+    /**
+     * Break statement: прервать [метка]
+     */
+    parseBreakStatement() {
+        this.advance();
+        const label = this.parseJumpLabel();
+        
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+        
+        return new ASTNodes.BreakStatement(label);
+    }
+
+    /**
+     * Continue statement: продолжить [метка]
+     */
+    parseContinueStatement() {
+        this.advance();
+        const label = this.parseJumpLabel();
+        
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+        
+        return new ASTNodes.ContinueStatement(label);
+    }
+
+    /**
+     * Необязательная метка после прервать/продолжить (на той же строке)
+     */
+    parseJumpLabel() {
+        return this.check('IDENTIFIER') ? this.advance().value : null;
+    }
+
+    /**
+     * Помеченная инструкция: метка: для (...) { ... }
+     */
+    parseLabeledStatement() {
+        const label = this.advance().value;
+        this.consume('COLON', null, 'Ожидалось :');
+
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        return new ASTNodes.LabeledStatement(label, this.parseStatement());
+    }
+
+    /**
+     * Имя свойства после точки: идентификатор или ключевое слово (к.set, объект.из)
+     */
+    consumePropertyName() {
+        const token = this.peek();
+        if (token.type === 'IDENTIFIER' || (token.type !== 'STRING' && typeof token.value === 'string' && /^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(token.value))) {
+            return this.advance().value;
+        }
+        if (token.type === 'PRIVATE_NAME') {
+            this.usePrivateName(token);
+            return this.advance().value;
+        }
+        throw this.error('Ожидалось свойство');
+    }
+
+    /**
+     * Использование #имени: проверяется по объявлениям в конце тела класса
+     */
+    usePrivateName(token) {
+        const scope = this.classScopes[this.classScopes.length - 1];
+        if (!scope) {
+            throw this.error(`Приватное имя ${token.value} доступно только внутри класса`, token);
+        }
+        scope.used.push(token);
+    }
+
+    /**
+     * Function declaration; у функционального выражения (isExpression) имя необязательно
+     */
+    parseFunctionDeclaration(isExpression = false) {
+        this.advance(); // consume FUNCTION
+
+        // функция* — генератор
+        let isGenerator = false;
+        if (this.check('MULT')) {
+            this.advance();
+            isGenerator = true;
+        }
+
+        const name = isExpression && !this.check('IDENTIFIER')
+            ? null
+            : this.consume('IDENTIFIER', null, 'Ожидалось имя функции').value;
+
+        this.consume('LPAREN', null, 'Ожидалось (');
+
+        const params = [];
+        if (!this.check('RPAREN')) {
+            while (true) {
+                // Проверяем, есть ли у параметра значение по умолчанию
+                let param;
+                if (this.check('IDENTIFIER')) {
+                    const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
+                    const identifier = new ASTNodes.Identifier(paramName);
+                    identifier.typeAnnotation = this.parseTypeAnnotation();
+
+                    // Проверяем, есть ли оператор присваивания (значение по умолчанию)
+                    if (this.check('ASSIGN')) {
+                        this.advance(); // consume =
+                        const defaultValue = this.parseExpression();
+                        param = new ASTNodes.AssignmentPattern(identifier, defaultValue);
+                    } else {
+                        param = identifier;
+                    }
+                } else {
+                    throw this.error('Ожидался параметр функции');
+                }
+
+                params.push(param);
+
+                if (this.check('COMMA')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        this.consume('RPAREN', null, 'Ожидалось )');
+        const returnType = this.parseTypeAnnotation();
+
+        const body = this.parseBlockStatement();
+
+        return new ASTNodes.FunctionDeclaration(name, params, body, false, isGenerator, returnType);
+    }
+
+    /**
+     * Async function declaration
+     */
+    parseAsyncFunctionDeclaration() {
+        this.advance(); // consume ASYNC
+
+        // Check if the next token is FUNCTION
+        if (!this.check('FUNCTION') && !this.check('ФУНКЦИЯ')) {
+            throw this.error('Ожидалось ключевое слово function после async');
+        }
+
+        this.advance(); // consume FUNCTION
+
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя функции').value;
+
+        this.consume('LPAREN', null, 'Ожидалось (');
+
+        const params = [];
+        if (!this.check('RPAREN')) {
+            while (true) {
+                // Проверяем, есть ли у параметра значение по умолчанию
+                let param;
+                if (this.check('IDENTIFIER')) {
+                    const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
+                    const identifier = new ASTNodes.Identifier(paramName);
+                    identifier.typeAnnotation = this.parseTypeAnnotation();
+
+                    // Проверяем, есть ли оператор присваивания (значение по умолчанию)
+                    if (this.check('ASSIGN')) {
+                        this.advance(); // consume =
+                        const defaultValue = this.parseExpression();
+                        param = new ASTNodes.AssignmentPattern(identifier, defaultValue);
+                    } else {
+                        param = identifier;
+                    }
+                } else {
+                    throw this.error('Ожидался параметр функции');
+                }
+
+                params.push(param);
+
+                if (this.check('COMMA')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        this.consume('RPAREN', null, 'Ожидалось )');
+        const returnType = this.parseTypeAnnotation();
+
+        const body = this.parseBlockStatement();
+
+        return new ASTNodes.FunctionDeclaration(name, params, body, true, false, returnType); // isAsync = true
+    }
+
+    /**
+     * Class declaration
+     */
+    /**
+     * перечисление Имя { Вариант, Вариант(поле, ...) }
+     */
+    parseEnumDeclaration() {
+        this.advance(); // consume ENUM
+
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя перечисления').value;
+        this.consume('LBRACE', null, 'Ожидалось {');
+
+        const variants = [];
+        const seen = new Set();
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('COMMA') || this.check('SEMICOLON')) {
+                this.advance();
+                continue;
+            }
+
+            const token = this.consume('IDENTIFIER', null, 'Ожидалось имя варианта');
+            if (seen.has(token.value)) {
+                throw this.error(`Вариант ${token.value} уже объявлен в перечислении ${name}`, token);
+            }
+            seen.add(token.value);
+
+            let fields = null;
+            if (this.check('LPAREN')) {
+                this.advance();
+                fields = [];
+                while (!this.check('RPAREN')) {
+                    const field = this.consume('IDENTIFIER', null, 'Ожидалось имя поля');
+                    if (fields.includes(field.value)) {
+                        throw this.error(`Поле ${field.value} уже объявлено в варианте ${token.value}`, field);
+                    }
+                    fields.push(field.value);
+                    if (!this.check('COMMA')) break;
+                    this.advance();
+                }
+                this.consume('RPAREN', null, 'Ожидалось )');
+            }
+
+            variants.push(new ASTNodes.EnumVariant(token.value, fields));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалось } после вариантов перечисления');
+
+        if (variants.length === 0) {
+            throw this.error(`Перечисление ${name} должно содержать хотя бы один вариант`);
+        }
+
+        return new ASTNodes.EnumDeclaration(name, variants);
+    }
+
+    parseClassDeclaration() {
+        this.advance(); // consume CLASS
+        
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя класса').value;
+        
+        // Наследование
+        let superClass = null;
+        if (this.check('EXTENDS')) {
+            this.advance();
+            superClass = this.consume('IDENTIFIER', null, 'Ожидалось имя родительского класса').value;
+        }
+        
+        const methods = [];
+        // Поля и статические блоки в порядке объявления
+        const fields = [];
+        const scope = { declared: new Set(), used: [] };
+        this.classScopes.push(scope);
+
+        this.consume('LBRACE', null, 'Ожидалось {');
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('SEMICOLON')) {
+                this.advance();
+                continue;
+            }
+
+            let isStatic = false;
+            let isGetter = false;
+            let isSetter = false;
+            let isAsync = false;
+
+            if (this.check('STATIC') || this.check('СТАТИЧЕСКИЙ')) {
+                this.advance();
+                isStatic = true;
+
+                // статический { ... } — блок инициализации класса
+                if (this.check('LBRACE')) {
+                    fields.push(new ASTNodes.ClassStaticBlock(this.parseBlockStatement()));
+                    continue;
+                }
+            }
+
+            // get/получить и set/установить перед именем — аксессор, иначе это имя метода
+            if (this.isAccessorKeyword(['GET', 'получить'])) {
+                this.advance();
+                isGetter = true;
+            } else if (this.isAccessorKeyword(['SET', 'установить'])) {
+                this.advance();
+                isSetter = true;
+            }
+
+            if (this.check('ASYNC') || this.check('АСИНХ')) {
+                this.advance();
+                isAsync = true;
+            }
+
+            // *имя() — метод-генератор
+            let isGenerator = false;
+            if (this.check('MULT')) {
+                if (isGetter || isSetter || isAsync) {
+                    throw this.error('Генератором может быть только обычный метод');
+                }
+                this.advance();
+                isGenerator = true;
+            }
+
+            const nameToken = this.peek();
+            if (!['IDENTIFIER', 'PRIVATE_NAME', 'GET', 'SET'].includes(nameToken.type)) {
+                throw this.error('Ожидалось имя метода или поля');
+            }
+            this.advance();
+            const memberName = nameToken.value;
+            const isPrivate = nameToken.type === 'PRIVATE_NAME';
+
+            if (isPrivate && (isGetter || isSetter)) {
+                throw this.error(`Аксессор не может быть приватным: ${memberName}`, nameToken);
+            }
+
+            // Поле: имя [: Тип] [= значение]
+            if (!isGetter && !isSetter && !isAsync && !isGenerator && !this.check('LPAREN')) {
+                const typeAnnotation = this.parseTypeAnnotation();
+                let value = null;
+                if (this.check('ASSIGN')) {
+                    this.advance();
+                    value = this.parseExpression();
+                }
+                if (!this.check('NEWLINE') && !this.check('SEMICOLON') && !this.check('RBRACE')) {
+                    throw this.error(`Ожидался конец объявления поля ${memberName}`);
+                }
+                if (isPrivate) this.declarePrivateName(scope, nameToken);
+                const field = new ASTNodes.ClassField(memberName, value, isStatic);
+                field.typeAnnotation = typeAnnotation;
+                fields.push(field);
+                continue;
+            }
+
+            if (isPrivate) this.declarePrivateName(scope, nameToken);
+
+            this.consume('LPAREN', null, 'Ожидалось (');
+
+            const params = [];
+            if (!this.check('RPAREN')) {
+                while (true) {
+                    const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
+                    const param = new ASTNodes.Identifier(paramName);
+                    param.typeAnnotation = this.parseTypeAnnotation();
+                    params.push(param);
+
+                    if (this.check('COMMA')) {
+                        this.advance();
+                    } else {
+                        break;
+                    }
+                }
+            }
+
+            this.consume('RPAREN', null, 'Ожидалось )');
+            const returnType = this.parseTypeAnnotation();
+
+            if (isGetter && params.length > 0) {
+                throw this.error(`Геттер ${memberName} не принимает параметров`, nameToken);
+            }
+            if (isSetter && params.length !== 1) {
+                throw this.error(`Сеттер ${memberName} принимает ровно один параметр`, nameToken);
+            }
+
+            const body = this.parseBlockStatement();
+
+            if (isGenerator && (memberName === 'конструктор' || memberName === 'constructor')) {
+                throw this.error('Конструктор не может быть генератором', nameToken);
+            }
+
+            const method = new ASTNodes.ClassMethod(memberName, params, body, isStatic, isGetter, isSetter, isAsync);
+            method.returnType = returnType;
+            method.isGenerator = isGenerator;
+            methods.push(method);
+        }
+        
+        this.consume('RBRACE', null, 'Ожидалось }');
+
+        // Необъявленные #имена могут принадлежать внешнему классу
+        this.classScopes.pop();
+        const outer = this.classScopes[this.classScopes.length - 1];
+        for (const token of scope.used) {
+            if (scope.declared.has(token.value)) continue;
+            if (!outer) {
+                throw this.error(`Приватное имя ${token.value} не объявлено в классе ${name}`, token);
+            }
+            outer.used.push(token);
+        }
+        
+        return new ASTNodes.ClassDeclaration(name, methods, superClass, fields);
+    }
+
+    /**
+     * Ключевое слово аксессора, за которым следует имя члена класса
+     */
+    isAccessorKeyword([type, word]) {
+        const token = this.peek();
+        const matches = token.type === type || (token.type === 'IDENTIFIER' && token.value.toLowerCase() === word);
+        return matches && ['IDENTIFIER', 'PRIVATE_NAME', 'GET', 'SET'].includes(this.peek(1).type);
+    }
+
+    declarePrivateName(scope, token) {
+        if (scope.declared.has(token.value)) {
+            throw this.error(`Приватное имя ${token.value} уже объявлено`, token);
+        }
+        scope.declared.add(token.value);
+    }
+
+    /**
+     * Try-catch statement
+     */
+    parseTryStatement() {
+        this.advance(); // consume TRY
+        
+        const block = this.parseBlockStatement();
+        
+        // Catch
+        let handler = null;
+        if (this.check('CATCH') || this.check('ПЕРЕХВАТ')) {
+            this.advance();
+            
+            let param = null;
+            if (this.check('LPAREN')) {
+                this.advance();
+                param = this.consume('IDENTIFIER', null, 'Ожидалось имя параметра').value;
+                this.consume('RPAREN', null, 'Ожидалось )');
+            }
+            
+            const body = this.parseBlockStatement();
+            handler = { param, body };
+        }
+        
+        // Finally
+        let finalizer = null;
+        if (this.check('FINALLY') || this.check('НАКОНЕЦ')) {
+            this.advance();
+            finalizer = this.parseBlockStatement();
+        }
+        
+        return new ASTNodes.TryStatement(block, handler, finalizer);
+    }
+
+    /**
+     * Throw statement
+     */
+    parseThrowStatement() {
+        this.advance();
+        
+        const argument = this.parseExpression();
+        
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+        
+        return new ASTNodes.ThrowStatement(argument);
+    }
+
+    /**
+     * Switch statement
+     */
+    parseSwitchStatement() {
+        this.advance(); // consume SWITCH or ВЫБОР
+
+        this.consume('LPAREN', null, 'Ожидалось ( после выбор');
+        const condition = this.parseExpression();
+        this.consume('RPAREN', null, 'Ожидалось ) после условия выбор');
+
+        this.consume('LBRACE', null, 'Ожидалось { после выбор');
+
+        const cases = [];
+        let defaultCase = null;
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('SEMICOLON')) {
+                this.advance();
+            } else if (this.check('CASE') || this.check('КОГДА')) { // когда
+                this.advance(); // consume CASE or КОГДА
+                const caseValue = this.parseExpression();
+
+                // In JavaScript-style switch, case values are followed by :
+                this.consume('COLON', null, 'Expected : after case value');
+
+                const consequent = [];
+
+                // Parse statements until we hit the next case/default or end of switch
+                while (true) {
+                    // Check if the current token is a case/default token before parsing
+                    if (this.check('CASE') || this.check('КОГДА') ||
+                        this.check('DEFAULT') || this.check('ПоУмолчанию') ||
+                        this.check('RBRACE') || this.check('EOF')) {
+                        break; // Stop parsing statements
+                    }
+                    consequent.push(this.parseStatement());
+                }
+
+                cases.push({
+                    test: caseValue,
+                    consequent: consequent
+                });
+            } else if (this.check('DEFAULT') || this.check('ПоУмолчанию')) { // поУмолчанию
+                this.advance(); // consume DEFAULT or ПоУмолчанию
+                this.consume('COLON', null, 'Ожидалось : после поумолчанию');
+
+                const consequent = [];
+
+                // Parse statements until we hit the end of switch
+                // (no more cases after default)
+                while (true) {
+                    // Check if the current token is a case/default token before parsing
+                    if (this.check('CASE') || this.check('КОГДА') ||
+                        this.check('DEFAULT') || this.check('ПоУмолчанию') ||
+                        this.check('RBRACE') || this.check('EOF')) {
+                        break; // Stop parsing statements
+                    }
+                    consequent.push(this.parseStatement());
+                }
+
+                defaultCase = {
+                    consequent: consequent
+                };
+            } else {
+                throw this.error('Ожидалось когда или поумолчанию в теле выбор');
+            }
+        }
+
+        this.consume('RBRACE', null, 'Ожидалось } после тела выбор');
+
+        return new ASTNodes.SwitchStatement(condition, cases, defaultCase);
+    }
+
+    /**
+     * Block statement
+     */
+    parseBlockStatement() {
+        const body = [];
+        
+        if (this.check('LBRACE')) {
+            this.advance(); // consume {
+            
+            while (!this.check('RBRACE') && !this.check('EOF')) {
+                if (this.check('NEWLINE')) {
+                    this.advance();
+                    continue;
+                }
+                
+                const statement = this.parseStatement();
+                if (statement) {
+                    body.push(statement);
+                }
+            }
+            
+            this.consume('RBRACE', null, 'Ожидалось }');
+        } else {
+            // Одиночный оператор без блока
+            body.push(this.parseStatement());
+        }
+        
+        return new ASTNodes.BlockStatement(body);
+    }
+
+    /**
+     * Парсинг выражения
+     */
+    parseExpression() {
+        return this.parseAssignment();
+    }
+
+    /**
+     * Присваивание
+     */
+    parseAssignment() {
+        const left = this.parseTernary();
+
+        if (left.type === 'ChainExpression' && ['ASSIGN', 'PLUSEQ', 'MINUSEQ', 'MULTEQ', 'DIVEQ', 'MODEQ', 'NULLISH_ASSIGN'].includes(this.peek().type)) {
+            throw this.error('Цепочке с ?. нельзя присваивать');
+        }
+
+        if (this.check('ASSIGN')) {
+            this.advance();
+            const right = this.parseAssignment();
+
+            // Проверяем, является ли левая часть деструктуризацией
+            if (left.type === 'ArrayPattern' || left.type === 'ObjectPattern') {
+                return new ASTNodes.AssignmentExpression(left, '=', right);
+            } else if (left.type === 'Identifier') {
+                return new ASTNodes.Assignment(left.name, right);
+            } else if (left.type === 'MemberExpression') {
+                return new ASTNodes.MemberAssignment(left.object, left.property, right, left.computed);
+            }
+
+            return right;
+        }
+
+        // Обработка составных присваиваний
+        if (this.check('PLUSEQ') || this.check('MINUSEQ') || this.check('MULTEQ') ||
+            this.check('DIVEQ') || this.check('MODEQ') || this.check('NULLISH_ASSIGN')) {
+            const operatorToken = this.advance();
+            const right = this.parseAssignment();
+
+            let operator;
+            switch (operatorToken.type) {
+                case 'PLUSEQ': operator = '+='; break;
+                case 'MINUSEQ': operator = '-='; break;
+                case 'MULTEQ': operator = '*='; break;
+                case 'DIVEQ': operator = '/='; break;
+                case 'MODEQ': operator = '%='; break;
+                default: operator = operatorToken.value;
+            }
+
+            if (left.type === 'Identifier') {
+                return new ASTNodes.CompoundAssignmentExpression(left, operator, right);
+            }
+
+            if (left.type === 'MemberExpression') {
+                return new ASTNodes.CompoundAssignmentExpression(left, operator, right);
+            }
+        }
+
+        return left;
+    }
+
+    /**
+     * a ?? b — правая часть вычисляется, только если слева ничто
+     */
+    parseNullish() {
+        let left = this.parseLogical();
+
+        while (this.check('NULLISH')) {
+            this.advance();
+            left = new ASTNodes.BinaryExpression('??', left, this.parseLogical());
+        }
+
+        return left;
+    }
+
+    /**
+     * Логические операторы
+     */
+    parseLogical() {
+        let left = this.parseComparison();
+
+        while (this.check('AND') || this.check('OR')) {
+            // и / или приводятся к && / ||
+            const operator = this.advance().type === 'AND' ? '&&' : '||';
+            const right = this.parseLogical();  // Используем тот же уровень приоритета для левой ассоциативности
+            left = new ASTNodes.BinaryExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+
+
+
+    /**
+     * Операторы сравнения
+     */
+    parseComparison() {
+        let left = this.parseAdditive();
+
+        const comparators = ['EQEQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE', 'INSTANCEOF'];
+        while (comparators.includes(this.peek().type)) {
+            const token = this.advance();
+            const operator = token.type === 'INSTANCEOF' ? 'экземпляр' : token.value;
+            const right = this.parseComparison();  // Используем тот же уровень приоритета для левой ассоциативности
+            left = new ASTNodes.BinaryExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+    /**
+     * Аддитивные операторы
+     */
+    parseAdditive() {
+        let left = this.parseMultiplicative(); // Восстанавливаем правильный приоритет
+
+        while (this.check('PLUS') || this.check('MINUS')) {
+            const operator = this.advance().value;
+            const right = this.parseAdditive();  // Используем тот же уровень приоритета для левой ассоциативности
+            left = new ASTNodes.BinaryExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+    /**
+     * Экспоненциальные операторы
+     */
+    parseExponential() {
+        let left = this.parseUnary();
+
+        while (this.check('EXP')) {
+            const operator = this.advance().value;
+            const right = this.parseExponential();  // Используем тот же уровень приоритета для правой ассоциативности (для экспоненты)
+            left = new ASTNodes.BinaryExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+    /**
+     * Битовые сдвиги
+     */
+    parseShift() {
+        let left = this.parseMultiplicative(); // Битовые сдвиги имеют приоритет между мультипликативными и аддитивными
+
+        while (this.check('LEFTSHIFT') || this.check('RIGHTSHIFT')) {
+            const token = this.advance();
+            const operator = token.value;
+            const right = this.parseShift(); // Используем тот же уровень для левой ассоциативности
+            left = new ASTNodes.BitwiseExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+    /**
+     * Мультипликативные операторы
+     */
+    parseMultiplicative() {
+        let left = this.parseExponential(); // Восстанавливаем правильный приоритет
+
+        while (this.check('MULT') || this.check('DIV') || this.check('MOD')) {
+            const operator = this.advance().value;
+            const right = this.parseMultiplicative();  // Используем тот же уровень приоритета для левой ассоциативности
+            left = new ASTNodes.BinaryExpression(operator, left, right);
+        }
+
+        return left;
+    }
+
+    /**
+     * Унарные операторы
+     */
+    parseUnary() {
+        if (this.check('MINUS') || this.check('PLUS') || this.check('NOT')) {
+            const token = this.advance();
+            // Convert Russian operators to standard operators for internal use
+            let operator = token.value;
+            if (token.value === 'не') {
+                operator = '!';
+            }
+            const operand = this.parseUnary();
+            return new ASTNodes.UnaryExpression(operator, operand);
+        }
+
+        return this.parseCallMember();
+    }
+
+    /**
+     * Вызовы и доступ к членам
+     */
+    parseCallMember() {
+        let object = this.parsePrimary();
+        // Было ли в цепочке звено ?.
+        let optionalChain = false;
+        
+        while (true) {
+            if (this.check('LPAREN')) {
+                // Вызов функции
+                object = new ASTNodes.CallExpression(object, this.parseCallArguments());
+            } else if (this.check('DOT')) {
+                // Доступ к члену
+                this.advance();
+                const property = this.consumePropertyName();
+                object = new ASTNodes.MemberExpression(object, new ASTNodes.Identifier(property));
+            } else if (this.check('LBRACKET')) {
+                // Доступ к элементу массива array[index]
+                this.advance(); // consume [
+                const index = this.parseExpression();
+                this.consume('RBRACKET', null, 'Ожидалось ]');
+                object = new ASTNodes.MemberExpression(object, index, true); // computed = true для array[index]
+            } else if (this.check('OPTIONAL_CHAIN')) {
+                // obj?.имя, obj?.[ключ], f?.(аргументы)
+                this.advance();
+                optionalChain = true;
+                if (this.check('LPAREN')) {
+                    object = new ASTNodes.CallExpression(object, this.parseCallArguments(), true);
+                } else if (this.check('LBRACKET')) {
+                    this.advance();
+                    const index = this.parseExpression();
+                    this.consume('RBRACKET', null, 'Ожидалось ]');
+                    object = new ASTNodes.MemberExpression(object, index, true, true);
+                } else {
+                    const property = this.consumePropertyName();
+                    object = new ASTNodes.MemberExpression(object, new ASTNodes.Identifier(property), false, true);
+                }
+            } else {
+                break;
+            }
+        }
+
+        return optionalChain ? new ASTNodes.ChainExpression(object) : object;
+    }
+
+    /**
+     * Аргументы вызова в скобках (с ...spread)
+     */
+    parseCallArguments() {
+        this.consume('LPAREN', null, 'Ожидалось (');
+
+        const args = [];
+        if (!this.check('RPAREN')) {
+            while (true) {
+                // Проверяем, является ли аргумент spread оператором
+                if (this.check('SPREAD')) {
+                    this.advance(); // consume '...'
+                    const argument = this.parseExpression();
+                    args.push(new ASTNodes.SpreadElement(argument));
+                } else {
+                    args.push(this.parseExpression());
+                }
+
+                if (this.check('COMMA')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        this.consume('RPAREN', null, 'Ожидалось )');
+        return args;
+    }
+
+    /**
+     * Первичные выражения
+     */
+    parsePrimary() {
+        const token = this.peek();
+        
+        // Пропускаем переводы строк перед выражением
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+        
+        switch (token.type) {
+            case 'LBRACE':
+                return this.parseObjectLiteral();
+            
+            case 'LBRACKET':
+                return this.parseArrayPatternOrLiteral();
+
+            case 'LPAREN':
+                return this.parseGroupedOrSequence();
+            
+            case 'STRING':
+                return new ASTNodes.Literal(this.advance().value);
+            
+            case 'INT':
+                return new ASTNodes.Literal(this.advance().value);
+
+            case 'REGEX': {
+                const { pattern, flags } = this.advance().value;
+                return new ASTNodes.RegexLiteral(pattern, flags);
+            }
+            
+            case 'TRUE':
+                this.advance();
+                return new ASTNodes.Literal(true);
+            
+            case 'FALSE':
+                this.advance();
+                return new ASTNodes.Literal(false);
+            
+            case 'NULL':
+            case 'NOTHING':
+                this.advance();
+                return new ASTNodes.Literal(null);
+            
+            case 'IDENTIFIER':
+                return new ASTNodes.Identifier(this.advance().value);
+
+            case 'THIS':
+                this.advance();
+                return new ASTNodes.ThisExpression();
+
+            case 'SUPER':
+                this.advance();
+                return new ASTNodes.SuperExpression();
+
+            case 'TEMPLATE_LITERAL':
+                return this.parseTemplateLiteral();
+
+            case 'IMPORT':
+            case 'ИМПОРТ':
+                return this.parseImportExpression();
+
+            case 'AWAIT':
+                return this.parseAwaitExpression();
+
+            case 'AWAIT':
+                return this.parseAwaitExpression();
+
+            case 'FUNCTION':
+                return this.parseFunctionExpression();
+
+            case 'NEW':
+                return this.parseNewExpression();
+
+            case 'MATCH':
+                return this.parseMatchExpression();
+
+            case 'YIELD':
+                return this.parseYieldExpression();
+
+            default:
+                throw this.error(`Ожидалось выражение, получено: ${token.type}`);
+        }
+    }
+
+    /**
+     * Объектный литерал или паттерн
+     */
+    parseObjectPatternOrLiteral() {
+        this.consume('LBRACE', null, 'Ожидалась {');
+
+        const properties = [];
+        let isPattern = false;
+
+        // Пропускаем переводы строк в начале объекта
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        while (!this.check('RBRACE')) {
+            // Пропускаем переводы строк между свойствами
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            if (this.check('COMMA')) {
+                this.advance();
+                continue;
+            }
+
+            // Проверяем, является ли это паттерном деструктуризации
+            // В паттерне ключ может быть идентификатором, и если нет двоеточия, это сокращенная запись
+            let key;
+            if (this.check('IDENTIFIER')) {
+                key = new ASTNodes.Identifier(this.advance().value);
+                isPattern = true;
+            } else if (this.check('STRING')) {
+                key = new ASTNodes.PropertyKey(this.advance().value);
+            } else {
+                throw this.error('Ожидался ключ свойства');
+            }
+
+            let value = key; // По умолчанию значение такое же, как ключ (для сокращенной записи)
+
+            // Если есть двоеточие, значит это полная запись (ключ: значение)
+            if (this.check('COLON')) {
+                this.advance(); // пропускаем двоеточие
+                value = this.parsePatternOrExpression(); // для паттернов может быть идентификатор
+            }
+
+            properties.push(new ASTNodes.Property(key, value));
+
+            // Пропускаем переводы строк после свойства
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            // Проверяем, есть ли еще свойства
+            if (!this.check('RBRACE')) {
+                this.consume('COMMA', null, 'Ожидалась ,');
+            }
+        }
+
+        this.consume('RBRACE', null, 'Ожидалась }');
+
+        // Возвращаем паттерн, если мы в контексте присваивания, иначе выражение
+        if (isPattern) {
+            return new ASTNodes.ObjectPattern(properties);
+        } else {
+            return new ASTNodes.ObjectExpression(properties);
+        }
+    }
+
+    /**
+     * Объектный литерал
+     */
+    parseObjectLiteral() {
+        this.consume('LBRACE', null, 'Ожидалась {');
+
+        const properties = [];
+
+        // Пропускаем переводы строк в начале объекта
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        while (!this.check('RBRACE')) {
+            // Пропускаем переводы строк между свойствами
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            if (this.check('COMMA')) {
+                this.advance();
+                continue;
+            }
+
+            // Ключ свойства
+            let key;
+            if (this.check('IDENTIFIER')) {
+                key = new ASTNodes.PropertyKey(this.advance().value);
+            } else if (this.check('STRING')) {
+                key = new ASTNodes.PropertyKey(this.advance().value);
+            } else {
+                throw this.error('Ожидался ключ свойства');
+            }
+
+            // Двоеточие
+            this.consume('COLON', null, 'Ожидалось :');
+
+            // Значение
+            const value = this.parseExpression();
+
+            properties.push(new ASTNodes.PropertyDefinition(key, value));
+
+            // Пропускаем переводы строк после свойства
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            // Проверяем, есть ли еще свойства
+            if (!this.check('RBRACE')) {
+                this.consume('COMMA', null, 'Ожидалась ,');
+            }
+        }
+
+        this.consume('RBRACE', null, 'Ожидалась }');
+
+        return new ASTNodes.ObjectExpression(properties);
+    }
+
+    /**
+     * Массив или паттерн массива
+     */
+    parseArrayPatternOrLiteral() {
+        this.consume('LBRACKET', null, 'Ожидалось [');
+
+        const elements = [];
+        let isPattern = false;
+        let hasSpread = false;
+
+        while (!this.check('RBRACKET')) {
+            // Skip any newlines before checking for comma or elements
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            // Check if next token after a comma is another comma (empty slot) or closing bracket
+            if (this.check('COMMA')) {
+                // Empty slot - push null
+                elements.push(null);
+                this.advance(); // consume comma
+                continue;
+            }
+
+            // Skip any newlines before parsing the element
+            while (this.check('NEWLINE')) {
+                this.advance();
+            }
+
+            // Проверяем, является ли элемент spread оператором
+            if (this.check('SPREAD')) {
+                this.advance(); // consume '...'
+                const argument = this.parsePatternOrExpression();
+                elements.push(new ASTNodes.SpreadElement(argument));
+                hasSpread = true;
+            } else {
+                // Проверяем, является ли элемент паттерном (идентификатором или другим паттерном)
+                // до того, как его распарсим
+                const isElementPattern = this.check('IDENTIFIER') || this.check('LBRACKET') || this.check('LBRACE');
+                if (isElementPattern) {
+                    isPattern = true;
+                }
+
+                elements.push(this.parsePatternOrExpression());
+            }
+
+            if (this.check('COMMA')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+
+        // Skip any newlines before consuming the closing bracket
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        this.consume('RBRACKET', null, 'Ожидалось ]');
+
+        // Возвращаем паттерн, если мы в контексте присваивания или содержит паттерны
+        if (hasSpread) {
+            return new ASTNodes.ArrayExpression(elements);
+        } else if (isPattern) {
+            return new ASTNodes.ArrayPattern(elements);
+        } else {
+            return new ASTNodes.ArrayExpression(elements);
+        }
+    }
+
+    /**
+     * Паттерн или выражение
+     */
+    parsePatternOrExpression() {
+        // Проверяем, является ли это паттерном деструктуризации (одиночное имя, а не начало выражения)
+        const patternEnd = ['COMMA', 'RBRACKET', 'RBRACE', 'NEWLINE'];
+        if (this.check('IDENTIFIER') && patternEnd.includes(this.peek(1).type)) {
+            return new ASTNodes.Identifier(this.advance().value);
+        } else if (this.check('LBRACKET')) {
+            return this.parseArrayPatternOrLiteral();
+        } else if (this.check('LBRACE')) {
+            return this.parseObjectPatternOrLiteral();
+        } else {
+            // Иначе это обычное выражение
+            return this.parseExpression();
+        }
+    }
+
+    /**
+     * Преобразование литерала в паттерн деструктуризации
+     */
+    toPattern(node) {
+        if (!node) {
+            return node;
+        }
+
+        switch (node.type) {
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return new ASTNodes.ArrayPattern(node.elements.map(element => {
+                    if (element && element.type === 'SpreadElement') {
+                        return new ASTNodes.RestElement(element.argument);
+                    }
+                    return this.toPattern(element);
+                }));
+
+            case 'ObjectExpression':
+            case 'ObjectPattern':
+                return new ASTNodes.ObjectPattern(node.properties.map(property =>
+                    new ASTNodes.Property(property.key, this.toPattern(property.value), property.computed)
+                ));
+
+            default:
+                return node;
+        }
+    }
+
+    /**
+     * Массив
+     */
+    parseArrayLiteral() {
+        this.consume('LBRACKET', null, 'Ожидалось [');
+
+        const elements = [];
+
+        while (!this.check('RBRACKET')) {
+            if (this.check('COMMA')) {
+                elements.push(null);
+                this.advance();
+                continue;
+            }
+
+            elements.push(this.parseExpression());
+
+            if (this.check('COMMA')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+
+        this.consume('RBRACKET', null, 'Ожидалось ]');
+
+        return new ASTNodes.ArrayExpression(elements);
+    }
+
+    /**
+     * Группировка или последовательность
+     */
+    parseGroupedOrSequence() {
+        this.advance(); // consume (
+
+        // Проверяем, пустая ли группа или последовательность
+        if (this.check('RPAREN')) {
+            this.advance();
+            return new ASTNodes.ArrayExpression([]);
+        }
+
+        const expr = this.parseExpression();
+
+        if (this.check('COMMA')) {
+            // Последовательность (a, b, c)
+            const expressions = [expr];
+
+            while (this.check('COMMA')) {
+                this.advance();
+                expressions.push(this.parseExpression());
+            }
+
+            this.consume('RPAREN', null, 'Ожидалось )');
+
+            // Возвращаем последовательность
+            return new ASTNodes.SequenceExpression(expressions);
+        }
+
+        this.consume('RPAREN', null, 'Ожидалось )');
+        return expr;
+    }
+
+    /**
+     * Тернарный оператор (условие ? then : else)
+     */
+    parseTernary() {
+        let condition = this.parseNullish();
+
+        if (this.check('TERNARY')) {
+            this.advance(); // consume '?'
+            const thenBranch = this.parseAssignment(); // use same precedence level for branches
+            this.consume('COLON', null, 'Expected : in ternary operator');
+            const elseBranch = this.parseAssignment(); // use same precedence level for branches
+            return new ASTNodes.TernaryExpression(condition, thenBranch, elseBranch);
+        }
+
+        return condition;
+    }
+
+    /**
+     * Шаблонная строка
+     */
+    parseTemplateLiteral() {
+        const token = this.advance();
+        const value = token.value;
+
+        const quasis = [];
+        const expressions = [];
+        let text = '';
+        let i = 0;
+
+        while (i < value.length) {
+            if (value[i] !== '$' || value[i + 1] !== '{') {
+                text += value[i++];
+                continue;
+            }
+
+            // Ищем закрывающую скобку интерполяции с учётом вложенных { } и строк
+            let depth = 1;
+            let j = i + 2;
+            let quote = null;
+            while (j < value.length && depth > 0) {
+                const char = value[j];
+                if (quote) {
+                    if (char === '\\') j++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '{') {
+                    depth++;
+                } else if (char === '}') {
+                    depth--;
+                }
+                j++;
+            }
+
+            if (depth > 0) {
+                throw this.error('Незакрытая интерполяция ${ в шаблонной строке', token);
+            }
+
+            quasis.push({ value: text });
+            expressions.push(this.parseInterpolation(value.slice(i + 2, j - 1), token));
+            text = '';
+            i = j;
+        }
+
+        quasis.push({ value: text });
+        return new ASTNodes.TemplateLiteral(expressions, quasis);
+    }
+
+    /**
+     * Разбор выражения внутри ${...} шаблонной строки
+     */
+    parseInterpolation(source, token) {
+        const tokens = new Lexer(source, token.filename).tokenize()
+            .filter(t => t.type !== 'NEWLINE')
+            .map(t => ({ ...t, line: token.line, column: token.column }));
+        const parser = new Parser(tokens, { debug: this.debug });
+        parser.classScopes = this.classScopes;
+        const expression = parser.parseExpression();
+
+        if (!parser.check('EOF')) {
+            throw this.error(`Лишние символы в интерполяции шаблонной строки: \${${source}}`, token);
+        }
+        return expression;
+    }
+
+    /**
+     * Динамический импорт: импорт("модуль")
+     */
+    parseImportExpression() {
+        this.advance(); // consume IMPORT
+        this.consume('LPAREN', null, 'Ожидалось ( после импорт');
+        const path = this.consume('STRING', null, 'Ожидался строковый путь к модулю').value;
+        this.consume('RPAREN', null, 'Ожидалось )');
+        return new ASTNodes.ImportExpression(path);
+    }
+
+    /**
+     * Await выражение
+     */
+    parseAwaitExpression() {
+        this.advance(); // consume AWAIT
+        const argument = this.parseUnary(); // Await имеет тот же приоритет, что и унарные операторы
+        return new ASTNodes.AwaitExpression(argument);
+    }
+
+    /**
+     * Yield выражение: выдать значение / выдать* итерируемое
+     */
+    parseYieldExpression() {
+        this.advance(); // consume YIELD
+
+        let delegate = false;
+        if (this.check('MULT')) {
+            this.advance();
+            delegate = true;
+        }
+
+        const endTokens = ['NEWLINE', 'SEMICOLON', 'RBRACE', 'RPAREN', 'RBRACKET', 'COMMA', 'EOF'];
+        const argument = endTokens.includes(this.peek().type) ? null : this.parseAssignment();
+
+        return new ASTNodes.YieldExpression(argument, delegate);
+    }
+
+    /**
+     * Yield как инструкция
+     */
+    parseYieldStatement() {
+        const expression = this.parseYieldExpression();
+
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.ExpressionStatement(expression);
+    }
+
+    /**
+     * Функциональное выражение: функция [имя](...) { ... }, функция* — генератор
+     */
+    parseFunctionExpression() {
+        const func = this.parseFunctionDeclaration(true);
+        func.isExpression = true;
+        return func;
+    }
+
+    /**
+     * Import statement - импорт модуля
+     */
+    parseImportStatement() {
+        this.advance(); // consume IMPORT или ИМПОРТ
+
+        const pathToken = this.consume('STRING', null, 'Ожидался строковый путь к модулю');
+        const path = pathToken.value;
+
+        let alias = null;
+
+        // Проверяем, идёт ли токен AS ("как" или "as")
+        if (this.check('AS')) {
+            this.advance(); // пропускаем "как" или "as"
+
+            const aliasToken = this.consume('IDENTIFIER', null, 'Ожидалось имя переменной после "как" или "as"');
+            alias = aliasToken.value;
+        }
+
+        // Точка с запятой опциональна
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.ImportStatement(path, alias);
+    }
+    /**
+     * Export statement - экспорт имен
+     */
+    parseExportStatement() {
+        this.advance(); // consume EXPORT
+        
+        this.consume('LBRACE', null, 'Ожидалось {');
+        
+        const identifiers = [];
+        
+        if (!this.check('RBRACE')) {
+            while (true) {
+                const name = this.consume('IDENTIFIER', null, 'Ожидалось имя для экспорта').value;
+                identifiers.push(name);
+                
+                if (this.check('COMMA')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+        }
+        
+        this.consume('RBRACE', null, 'Ожидалось }');
+        
+        // Пропуск точки с запятой
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.ExportStatement(identifiers);
+    }
+
+    /**
+     * New expression - создание экземпляра класса
+     */
+    parseNewExpression() {
+        this.advance();
+
+        const callee = this.parsePrimary();
+
+        const args = [];
+        if (this.check('LPAREN')) {
+            this.advance();
+            if (!this.check('RPAREN')) {
+                while (true) {
+                    if (this.check('SPREAD')) {
+                        this.advance();
+                        const argument = this.parseExpression();
+                        args.push(new ASTNodes.SpreadElement(argument));
+                    } else {
+                        args.push(this.parseExpression());
+                    }
+
+                    if (this.check('COMMA')) {
+                        this.advance();
+                    } else {
+                        break;
+                    }
+                }
+            }
+            this.consume('RPAREN', null, 'Ожидалось )');
+        }
+
+        return new ASTNodes.NewExpression(callee, args);
+    }
+
+    /**
+     * Сопоставление с образцом: сопоставить (значение) { образец если условие => результат, ... }
+     */
+    parseMatchExpression() {
+        // Без "{" после скобок это вызов одноимённой встроенной функции
+        if (!this.isMatchExpressionStart()) {
+            return new ASTNodes.Identifier(this.advance().value);
+        }
+
+        const token = this.advance(); // consume MATCH
+        this.consume('LPAREN', null, 'Ожидалось ( после сопоставить');
+        const value = this.parseExpression();
+        this.consume('RPAREN', null, 'Ожидалось ) после значения сопоставить');
+        return this.parseMatchBody(value, token);
+    }
+
+    /**
+     * Начинается ли с текущего токена выражение сопоставить (...) { — по
+     * парной скобке, без разбора значения
+     */
+    isMatchExpressionStart() {
+        if (this.peek(1).type !== 'LPAREN') {
+            return false;
+        }
+
+        let depth = 0;
+        for (let offset = 1; ; offset++) {
+            const token = this.peek(offset);
+            if (token.type === 'EOF') {
+                return false;
+            }
+            if (token.type === 'LPAREN' || token.type === 'LBRACKET' || token.type === 'LBRACE') {
+                depth++;
+            } else if (token.type === 'RPAREN' || token.type === 'RBRACKET' || token.type === 'RBRACE') {
+                depth--;
+                if (depth === 0) {
+                    return token.type === 'RPAREN' && this.peek(offset + 1).type === 'LBRACE';
+                }
+            }
+        }
+    }
+
+    /**
+     * Тело сопоставить — список ветвей
+     */
+    parseMatchBody(value, token) {
+        this.consume('LBRACE', null, 'Ожидалось { после сопоставить');
+
+        const arms = [];
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('COMMA') || this.check('SEMICOLON')) {
+                this.advance();
+                continue;
+            }
+
+            const pattern = this.parseMatchPattern();
+
+            let guard = null;
+            if (this.check('IF')) {
+                this.advance(); // consume если
+                guard = this.parseExpression();
+            }
+
+            this.consume('FATARROW', null, 'Ожидалось => после образца');
+            const result = this.parseExpression();
+
+            arms.push(new ASTNodes.MatchArm(pattern, guard, result));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалось } после ветвей сопоставить');
+
+        const node = new ASTNodes.MatchExpression(value, arms);
+        node.line = token.line;
+        node.column = token.column;
+        node.filename = token.filename;
+        return node;
+    }
+
+    /**
+     * Образец ветви сопоставить
+     */
+    parseMatchPattern() {
+        const token = this.peek();
+
+        if (token.type === 'LBRACKET') {
+            return this.parseArrayMatchPattern();
+        }
+
+        if (token.type === 'LBRACE') {
+            return this.parseObjectMatchPattern();
+        }
+
+        if (token.type === 'IDENTIFIER') {
+            this.advance();
+
+            const typeName = MATCH_TYPE_NAMES[token.value];
+            if (typeName) {
+                // Образец типа с необязательной привязкой: число(n)
+                let binding = null;
+                if (this.check('LPAREN')) {
+                    this.advance();
+                    binding = new ASTNodes.Identifier(this.consume('IDENTIFIER', null, 'Ожидалось имя привязки').value);
+                    this.consume('RPAREN', null, 'Ожидалось )');
+                }
+                return new ASTNodes.TypePattern(typeName, binding);
+            }
+
+            // Вариант перечисления: Цвет.Красный, Результат.Успех(x) или Успех(x)
+            if (this.check('DOT')) {
+                this.advance();
+                const variant = this.consume('IDENTIFIER', null, 'Ожидалось имя варианта').value;
+                return new ASTNodes.VariantPattern(token.value, variant, this.parseVariantArgs());
+            }
+            if (this.check('LPAREN')) {
+                return new ASTNodes.VariantPattern(null, token.value, this.parseVariantArgs());
+            }
+
+            return new ASTNodes.Identifier(token.value);
+        }
+
+        const literal = this.parseMatchLiteral();
+
+        // Диапазон: 1 до 10 (включительно)
+        if (this.check('TO')) {
+            this.advance();
+            return new ASTNodes.RangePattern(literal, this.parseMatchLiteral());
+        }
+
+        return literal;
+    }
+
+    /**
+     * Образцы полей варианта в скобках или null, если скобок нет
+     */
+    parseVariantArgs() {
+        if (!this.check('LPAREN')) {
+            return null;
+        }
+        this.advance();
+
+        const args = [];
+        while (!this.check('RPAREN')) {
+            if (this.check('NEWLINE')) {
+                this.advance();
+                continue;
+            }
+            args.push(this.parseMatchPattern());
+            if (!this.check('COMMA')) break;
+            this.advance();
+        }
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+        this.consume('RPAREN', null, 'Ожидалось )');
+
+        return args;
+    }
+
+    /**
+     * Литерал в образце
+     */
+    parseMatchLiteral() {
+        if (this.check('MINUS') && this.peek(1).type === 'INT') {
+            this.advance();
+            const value = this.advance().value;
+            return new ASTNodes.Literal(value instanceof Decimal ? value.neg() : -value);
+        }
+
+        switch (this.peek().type) {
+            case 'INT':
+            case 'STRING':
+                return new ASTNodes.Literal(this.advance().value);
+            case 'TRUE':
+                this.advance();
+                return new ASTNodes.Literal(true);
+            case 'FALSE':
+                this.advance();
+                return new ASTNodes.Literal(false);
+            case 'NULL':
+                this.advance();
+                return new ASTNodes.Literal(null);
+            default:
+                throw this.error('Ожидался образец');
+        }
+    }
+
+    /**
+     * Образец массива: [голова, ...хвост]
+     */
+    parseArrayMatchPattern() {
+        this.consume('LBRACKET', null, 'Ожидалось [');
+
+        const elements = [];
+
+        while (!this.check('RBRACKET')) {
+            if (this.check('NEWLINE')) {
+                this.advance();
+                continue;
+            }
+
+            if (this.check('SPREAD')) {
+                this.advance();
+                const name = this.consume('IDENTIFIER', null, 'Ожидалось имя после ...').value;
+                elements.push(new ASTNodes.RestElement(new ASTNodes.Identifier(name)));
+
+                while (this.check('NEWLINE')) {
+                    this.advance();
+                }
+                if (!this.check('RBRACKET')) {
+                    throw this.error('Остаточный образец должен быть последним');
+                }
+                break;
+            }
+
+            elements.push(this.parseMatchPattern());
+
+            if (this.check('COMMA')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        this.consume('RBRACKET', null, 'Ожидалось ]');
+
+        return new ASTNodes.ArrayPattern(elements);
+    }
+
+    /**
+     * Образец объекта: { ключ: образец, ключ, ...остальное }
+     */
+    parseObjectMatchPattern() {
+        this.consume('LBRACE', null, 'Ожидалась {');
+
+        const properties = [];
+
+        while (!this.check('RBRACE')) {
+            if (this.check('NEWLINE') || this.check('COMMA')) {
+                this.advance();
+                continue;
+            }
+
+            if (this.check('SPREAD')) {
+                this.advance();
+                const name = this.consume('IDENTIFIER', null, 'Ожидалось имя после ...').value;
+                properties.push(new ASTNodes.RestElement(new ASTNodes.Identifier(name)));
+                continue;
+            }
+
+            let key;
+            if (this.check('IDENTIFIER')) {
+                key = new ASTNodes.Identifier(this.advance().value);
+            } else if (this.check('STRING')) {
+                key = new ASTNodes.PropertyKey(this.advance().value);
+            } else {
+                throw this.error('Ожидался ключ свойства');
+            }
+
+            let value = new ASTNodes.Identifier(key.name ?? key.value);
+            if (this.check('COLON')) {
+                this.advance();
+                value = this.parseMatchPattern();
+            }
+
+            properties.push(new ASTNodes.Property(key, value));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалась }');
+
+        return new ASTNodes.ObjectPattern(properties);
+    }
+}
+return { Parser };
+})();
+
+// Module: runtime/vladx-object.js
+const __vx_m6 = (() => {
+/**
+ * VladX Object — Объектная система языка
+ * Реализует типы данных и обёртки для значений
+ */
+
+const { Decimal } = __vx_m0;
+
+// Типы данных
+const types = {
+    NULL: 'null',
+    NUMBER: 'number',
+    BIGINT: 'bigint',
+    DECIMAL: 'decimal',
+    STRING: 'string',
+    REGEX: 'regex',
+    BOOLEAN: 'boolean',
+    ARRAY: 'array',
+    OBJECT: 'object',
+    FUNCTION: 'function',
+    CLOSURE: 'closure',
+    NATIVE: 'native',
+    CLASS: 'class',
+    INSTANCE: 'instance',
+    GENERATOR: 'generator',
+    ENUM: 'enum',
+    VARIANT: 'variant',
+    ERROR: 'error'
+};
+
+const CALLABLE = new Set([types.FUNCTION, types.CLOSURE, types.NATIVE, types.CLASS, types.GENERATOR]);
+
+/**
+ * Значение поля варианта без обёрток VladXObject (функции в JSON не попадают)
+ */
+function plain(value) {
+    if (!(value instanceof VladXObject)) {
+        return value;
+    }
+    if (value.type === types.NULL) {
+        return null;
+    }
+    if (CALLABLE.has(value.type)) {
+        return undefined;
+    }
+    if (Array.isArray(value.value)) {
+        return value.value.map(plain);
+    }
+    if (value.value && value.value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value.value).map(([key, item]) => [key, plain(item)]));
+    }
+    return value.value;
+}
+
+/**
+ * Перечисление: имя и варианты (имя → значение или конструктор)
+ */
+class EnumType {
+    constructor(name) {
+        this.name = name;
+        this.members = new Map();
+    }
+
+    toString() {
+        return `[перечисление ${this.name}]`;
+    }
+}
+
+/**
+ * Вариант перечисления: Цвет.Красный или Результат.Успех(5).
+ * fields — имена полей (null у варианта без полей), values — их значения
+ */
+class EnumValue {
+    constructor(owner, name, fields = null, values = []) {
+        this.owner = owner;
+        this.name = name;
+        this.fields = fields;
+        this.values = values;
+    }
+
+    /**
+     * Значение поля по имени или undefined
+     */
+    field(name) {
+        const index = this.fields ? this.fields.indexOf(name) : -1;
+        return index === -1 ? undefined : this.values[index];
+    }
+
+    /**
+     * Тот же вариант того же перечисления с равными полями;
+     * equalValues сравнивает значения полей
+     */
+    equals(other, equalValues) {
+        return other instanceof EnumValue && other.owner === this.owner && other.name === this.name &&
+            this.values.length === other.values.length &&
+            this.values.every((value, index) => equalValues(value, other.values[index]));
+    }
+
+    /**
+     * JSON: вариант без полей — его имя, с полями — { Вариант: { поле: значение } }
+     */
+    toJSON() {
+        if (!this.fields) {
+            return this.name;
+        }
+        const fields = {};
+        this.fields.forEach((field, index) => {
+            fields[field] = plain(this.values[index]);
+        });
+        return { [this.name]: fields };
+    }
+
+    toString() {
+        const name = `${this.owner.name}.${this.name}`;
+        return this.fields ? `${name}(${this.values.map(value => value?.toString() ?? String(value)).join(', ')})` : name;
+    }
+}
+
+/**
+ * Базовый класс для всех значений VladX
+ */
+class VladXObject {
+    constructor(type, value = null, options = {}) {
+        this.type = type;
+        this.value = value;
+        this.isNative = options.isNative || false;
+        this.env = options.env || null;
+        this.name = options.name || null;
+        this.prototype = options.prototype || null;
+        this.methods = options.methods || new Map();
+        this.staticMethods = options.staticMethods || new Map();
+        this.ast = options.ast || null;
+    }
+
+    // Фабричные методы для создания объектов разных типов
+
+    static null() {
+        return new VladXObject(types.NULL, null);
+    }
+
+    static number(value) {
+        return new VladXObject(types.NUMBER, Number(value));
+    }
+
+    /**
+     * большое: целое произвольной длины (BigInt)
+     */
+    static bigint(value) {
+        return new VladXObject(types.BIGINT, BigInt(value));
+    }
+
+    /**
+     * десятичное: точное десятичное число (Decimal)
+     */
+    static decimal(value) {
+        return new VladXObject(types.DECIMAL, Decimal.from(value));
+    }
+
+    static string(value) {
+        return new VladXObject(types.STRING, String(value));
+    }
+
+    /**
+     * регвыр: регулярное выражение (RegExp из RegexCache)
+     */
+    static regex(value) {
+        return new VladXObject(types.REGEX, value);
+    }
+
+    static boolean(value) {
+        return new VladXObject(types.BOOLEAN, Boolean(value));
+    }
+
+    static array(value) {
+        return new VladXObject(types.ARRAY, value);
+    }
+
+    static object(value) {
+        return new VladXObject(types.OBJECT, value || {});
+    }
+
+    static function(value, name = '<function>') {
+        return new VladXObject(types.FUNCTION, value, { name, isNative: true });
+    }
+
+    static closure(ast, env, name = '<closure>') {
+        return new VladXObject(types.CLOSURE, null, { env, name, ast });
+    }
+
+    static class(name, methods = new Map(), staticMethods = new Map(), superClass = null) {
+        const classObj = new VladXObject(types.CLASS, null, { name, methods, staticMethods, prototype: superClass });
+        // Аксессоры экземпляра и класса: имя → замыкание
+        classObj.getters = new Map();
+        classObj.setters = new Map();
+        classObj.staticGetters = new Map();
+        classObj.staticSetters = new Map();
+        // Поля экземпляра (узлы ClassField), инициализируются при создании
+        classObj.fields = [];
+        classObj.staticFields = {};
+        // Приватные имена класса, его приватные методы и статические поля
+        classObj.privateNames = new Set();
+        classObj.privateMethods = new Map();
+        classObj.privateStaticMethods = new Map();
+        classObj.privateStatics = new Map();
+        return classObj;
+    }
+
+    static generator(state, name = '<generator>') {
+        return new VladXObject(types.GENERATOR, state, { name });
+    }
+
+    /**
+     * перечисление: варианты без полей — готовые значения,
+     * варианты с полями — конструкторы Имя.Вариант(поля)
+     */
+    static enum(name, variants) {
+        const enumType = new EnumType(name);
+        for (const variant of variants) {
+            const { fields } = variant;
+            enumType.members.set(variant.name, fields
+                ? VladXObject.function((...args) => {
+                    if (args.length !== fields.length) {
+                        throw new Error(`${name}.${variant.name} ожидает ${fields.length} аргумент(ов), получено ${args.length}`);
+                    }
+                    const values = args.map(arg => arg instanceof VladXObject ? arg : VladXObject.fromJS(arg));
+                    return VladXObject.variant(new EnumValue(enumType, variant.name, fields, values));
+                }, `${name}.${variant.name}`)
+                : VladXObject.variant(new EnumValue(enumType, variant.name)));
+        }
+        return new VladXObject(types.ENUM, enumType, { name });
+    }
+
+    static variant(value) {
+        return new VladXObject(types.VARIANT, value, { name: value.owner.name });
+    }
+
+    static instance(classObj) {
+        const instance = new VladXObject(types.INSTANCE, {}, {
+            prototype: classObj,
+            name: classObj.name
+        });
+        // Приватные поля: класс → Map(#имя → значение); наличие ключа — метка класса
+        instance.privateFields = new Map();
+        return instance;
+    }
+
+    /**
+     * Создать VladXObject из обычного JS-значения
+     */
+    static fromJS(value) {
+        if (value === null || value === undefined) {
+            return VladXObject.null();
+        }
+        if (typeof value === 'number') {
+            return VladXObject.number(value);
+        }
+        if (typeof value === 'bigint') {
+            return VladXObject.bigint(value);
+        }
+        if (value instanceof Decimal) {
+            return VladXObject.decimal(value);
+        }
+        if (typeof value === 'string') {
+            return VladXObject.string(value);
+        }
+        if (typeof value === 'boolean') {
+            return VladXObject.boolean(value);
+        }
+        if (Array.isArray(value)) {
+            return VladXObject.array(value);
+        }
+        if (value instanceof RegExp) {
+            return VladXObject.regex(value);
+        }
+        if (value instanceof EnumValue) {
+            return VladXObject.variant(value);
+        }
+        if (value instanceof EnumType) {
+            return new VladXObject(types.ENUM, value, { name: value.name });
+        }
+        if (typeof value === 'object') {
+            return VladXObject.object(value);
+        }
+        return VladXObject.string(String(value));
+    }
+
+    /**
+     * Получить "сырое" значение для операций
+     */
+    getRawValue() {
+        if (this.value === null || this.value === undefined) {
+            return null;
+        }
+        return this.value;
+    }
+
+    // Методы проверки типа
+
+    isNull() {
+        return this.type === types.NULL;
+    }
+
+    isNumber() {
+        return this.type === types.NUMBER;
+    }
+
+    isString() {
+        return this.type === types.STRING;
+    }
+
+    isBoolean() {
+        return this.type === types.BOOLEAN;
+    }
+
+    isArray() {
+        return this.type === types.ARRAY;
+    }
+
+    isObject() {
+        return this.type === types.OBJECT;
+    }
+
+    isFunction() {
+        return this.type === types.FUNCTION;
+    }
+
+    isClosure() {
+        return this.type === types.CLOSURE;
+    }
+
+    isNativeFunction() {
+        return this.type === types.FUNCTION && this.isNative;
+    }
+
+    isClass() {
+        return this.type === types.CLASS;
+    }
+
+    isInstance() {
+        return this.type === types.INSTANCE;
+    }
+
+    isGenerator() {
+        return this.type === types.GENERATOR;
+    }
+
+    isError() {
+        return this.type === types.ERROR;
+    }
+
+    // Преобразование в строку
+
+    toString() {
+        if (this.value === null) {
+            return 'ничто';
+        }
+        
+        if (this.type === types.STRING) {
+            return this.value;
+        }
+        
+        if (this.type === types.NUMBER) {
+            return String(this.value);
+        }
+        
+        if (this.type === types.BOOLEAN) {
+            return this.value ? 'истина' : 'ложь';
+        }
+
+        if (this.type === types.REGEX) {
+            return `/${this.value.source}/${this.value.flags}`;
+        }
+        
+        if (this.type === types.ARRAY) {
+            return '[' + this.value.map(v => v?.toString() || String(v)).join(', ') + ']';
+        }
+        
+        if (this.type === types.OBJECT) {
+            const props = Object.entries(this.value || {})
+                .map(([k, v]) => `${k}: ${v?.toString() || String(v)}`)
+                .join(', ');
+            return '{' + props + '}';
+        }
+        
+        if (this.type === types.FUNCTION || this.type === types.CLOSURE) {
+            return `[функция: ${this.name}]`;
+        }
+        
+        if (this.type === types.CLASS) {
+            return `[класс: ${this.name}]`;
+        }
+        
+        if (this.type === types.INSTANCE) {
+            return `[экземпляр ${this.name}]`;
+        }
+
+        if (this.type === types.GENERATOR) {
+            return `[генератор: ${this.name}]`;
+        }
+
+        if (this.type === types.ENUM || this.type === types.VARIANT) {
+            return this.value.toString();
+        }
+        
+        return String(this.value);
+    }
+
+    // Глубокое копирование
+
+    clone() {
+        return new VladXObject(
+            this.type,
+            this.cloneValue(this.value),
+            {
+                isNative: this.isNative,
+                env: this.env,
+                name: this.name,
+                prototype: this.prototype,
+                methods: this.methods
+            }
+        );
+    }
+
+    cloneValue(val) {
+        if (val === null || val === undefined) {
+            return val;
+        }
+        
+        if (Array.isArray(val)) {
+            return val.map(v => this.cloneValue(v));
+        }
+        
+        // Десятичные, регулярные выражения и перечисления неизменяемы
+        if (val instanceof Decimal || val instanceof RegExp || val instanceof EnumType || val instanceof EnumValue) {
+            return val;
+        }
+        
+        if (typeof val === 'object') {
+            const cloned = {};
+            for (const key in val) {
+                cloned[key] = this.cloneValue(val[key]);
+            }
+            return cloned;
+        }
+        
+        return val;
+    }
+}
+return { types, EnumType, EnumValue, VladXObject, default: VladXObject };
+})();
+
+// Module: runtime/environment.js
+const __vx_m7 = (() => {
+/**
+ * VladX Environment — Окружение выполнения
+ * Управляет областями видимости переменных
+ */
+
+class Environment {
+    constructor(parent = null, name = '<anonymous>') {
+        this.parent = parent;
+        this.name = name;
+        this.variables = new Map();
+        this.constants = new Set();
+    }
+
+    /**
+     * Определение переменной
+     */
+    define(name, value, isConst = false) {
+        // Check if it's already defined as a constant in the current environment only
+        // Local variables should be able to shadow parent constants/functions
+        if (this.constants.has(name)) {
+            throw new Error(`Константа ${name} уже объявлена`);
+        }
+
+        if (this.variables.has(name) && !isConst) {
+            // Предупреждение о переопределении
+        }
+
+        this.variables.set(name, value);
+
+        if (isConst) {
+            this.constants.add(name);
+        }
+    }
+
+    /**
+     * Получение значения переменной
+     */
+    get(name) {
+        if (this.variables.has(name)) {
+            return this.variables.get(name);
+        }
+        
+        if (this.parent) {
+            return this.parent.get(name);
+        }
+        
+        throw new Error(`Переменная "${name}" не найдена в окружении ${this.name}`);
+
+    }
+
+    /**
+     * Присваивание значения переменной
+     */
+    assign(name, value) {
+        if (this.variables.has(name)) {
+            if (this.constants.has(name)) {
+                throw new Error(`Нельзя изменить константу ${name}`);
+            }
+            this.variables.set(name, value);
+            return true;
+        }
+        
+        if (this.parent) {
+            return this.parent.assign(name, value);
+        }
+        
+        throw new Error(`Переменная ${name} не найдена`);
+    }
+
+    /**
+     * Проверка существования переменной
+     */
+    has(name) {
+        return this.variables.has(name) || (this.parent && this.parent.has(name));
+    }
+
+    /**
+     * Создание дочернего окружения
+     */
+    child(name = '<child>') {
+        return new Environment(this, name);
+    }
+
+    /**
+     * Клонирование окружения
+     */
+    clone() {
+        const cloned = new Environment(this.parent, this.name);
+        
+        for (const [key, value] of this.variables) {
+            cloned.variables.set(key, value);
+        }
+        
+        for (const constant of this.constants) {
+            cloned.constants.add(constant);
+        }
+        
+        return cloned;
+    }
+
+    /**
+     * Получение всех переменных
+     */
+    getAll() {
+        const result = {};
+        
+        if (this.parent) {
+            Object.assign(result, this.parent.getAll());
+        }
+        
+        for (const [key, value] of this.variables) {
+            result[key] = value;
+        }
+        
+        return result;
+    }
+
+    /**
+     * Удаление переменной
+     */
+    delete(name) {
+        if (this.variables.has(name)) {
+            this.variables.delete(name);
+            this.constants.delete(name);
+            return true;
+        }
+        
+        return false;
+    }
+
+    /**
+     * Очистка окружения
+     */
+    clear() {
+        this.variables.clear();
+        this.constants.clear();
+    }
+}
+return { Environment, default: Environment };
+})();
+
+// Module: runtime/async-manager.js
+const __vx_m8 = (() => {
+/**
+ * AsyncManager — Управление асинхронными операциями
+ */
+
+const { VladXObject } = __vx_m6;
+
+class AsyncManager {
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent || 10;
+        this.timeout = options.timeout || 30000;
+        this.activePromises = new Set();
+        this.queue = [];
+        this.stats = {
+            total: 0,
+            completed: 0,
+            failed: 0,
+            timeout: 0
+        };
+    }
+
+    /**
+     * Параллельное выполнение
+     */
+    async parallel(tasks, options = {}) {
+        const maxConcurrency = options.maxConcurrency || this.maxConcurrent;
+        const timeout = options.timeout || this.timeout;
+
+        if (tasks.length === 0) {
+            return VladXObject.array([]);
+        }
+
+        const results = [];
+        const executing = new Set();
+
+        const processTask = async (task, index) => {
+            try {
+                const result = await Promise.race([
+                    task(),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Timeout')), timeout)
+                    )
+                ]);
+                results[index] = result;
+                this.stats.completed++;
+            } catch (error) {
+                results[index] = { error: error.message };
+                this.stats.failed++;
+            } finally {
+                executing.delete(processTask);
+
+                if (this.queue.length > 0) {
+                    const next = this.queue.shift();
+                    executing.add(next);
+                    next();
+                }
+            }
+        };
+
+        for (let i = 0; i < tasks.length; i++) {
+            if (executing.size >= maxConcurrency) {
+                await new Promise(resolve => {
+                    const taskWrapper = () => {
+                        processTask(tasks[i], i).then(resolve);
+                    };
+                    this.queue.push(taskWrapper);
+                });
+            } else {
+                const promise = processTask(tasks[i], i);
+                executing.add(promise);
+            }
+        }
+
+        await Promise.all(executing);
+        this.stats.total += tasks.length;
+
+        return VladXObject.array(results);
+    }
+
+    /**
+     * Sequential выполнение
+     */
+    async sequential(tasks) {
+        const results = [];
+
+        for (const task of tasks) {
+            try {
+                const result = await Promise.race([
+                    task(),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Timeout')), this.timeout)
+                    )
+                ]);
+                results.push(result);
+                this.stats.completed++;
+            } catch (error) {
+                results.push({ error: error.message });
+                this.stats.failed++;
+            }
+        }
+
+        this.stats.total += tasks.length;
+        return VladXObject.array(results);
+    }
+
+    /**
+     * Race - первый завершившийся промис
+     */
+    async race(tasks) {
+        if (tasks.length === 0) {
+            return VladXObject.null();
+        }
+
+        try {
+            const result = await Promise.race([
+                Promise.race(tasks.map(t => t())),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Timeout')), this.timeout)
+                )
+            ]);
+            return VladXObject.fromJS(result);
+        } catch (error) {
+            this.stats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * AllSettled - все промисы завершены (включая rejected)
+     */
+    async allSettled(tasks) {
+        if (tasks.length === 0) {
+            return VladXObject.array([]);
+        }
+
+        const results = await Promise.allSettled(
+            tasks.map(task =>
+                Promise.race([
+                    task(),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error('Timeout')), this.timeout)
+                    )
+                ])
+            )
+        );
+
+        this.stats.total += tasks.length;
+        return VladXObject.array(
+            results.map(result => ({
+                status: result.status,
+                value: result.status === 'fulfilled' ? result.value : result.reason
+            }))
+        );
+    }
+
+    /**
+     * Any - первый успешно завершившийся
+     */
+    async any(tasks) {
+        if (tasks.length === 0) {
+            throw new Error('Нет задач для выполнения');
+        }
+
+        try {
+            const result = await Promise.any(
+                tasks.map(task =>
+                    Promise.race([
+                        task(),
+                        new Promise((_, reject) =>
+                            setTimeout(() => reject(new Error('Timeout')), this.timeout)
+                        )
+                    ])
+                )
+            );
+            return VladXObject.fromJS(result);
+        } catch (error) {
+            this.stats.failed++;
+            throw error;
+        }
+    }
+
+    /**
+     * Debounce - задержка выполнения
+     */
+    debounce(func, delay) {
+        let timeoutId;
+
+        return (...args) => {
+            clearTimeout(timeoutId);
+            return new Promise((resolve) => {
+                timeoutId = setTimeout(() => {
+                    resolve(func(...args));
+                }, delay);
+            });
+        };
+    }
+
+    /**
+     * Throttle - ограничение частоты выполнения
+     */
+    throttle(func, limit) {
+        let inThrottle;
+
+        return (...args) => {
+            if (!inThrottle) {
+                func(...args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    }
+
+    /**
+     * Retry - повторная попытка при ошибке
+     */
+    async retry(func, maxAttempts = 3, delay = 1000) {
+        let lastError;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                return await func();
+            } catch (error) {
+                lastError = error;
+                if (attempt < maxAttempts) {
+                    await new Promise(resolve => setTimeout(resolve, delay * attempt));
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Очистка активных промисов
+     */
+    clear() {
+        this.activePromises.clear();
+        this.queue = [];
+    }
+
+    /**
+     * Получить статистику
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            active: this.activePromises.size,
+            queued: this.queue.length
+        };
+    }
+}
+return { AsyncManager, default: AsyncManager };
+})();
+
+// Module: runtime/functional.js
+const __vx_m9 = (() => {
+/**
+ * Functional — Функциональное программирование
+ */
+
+const { VladXObject } = __vx_m6;
+
+class Functional {
+    /**
+     * Каррирование функции
+     */
+    static curry(fn) {
+        return function curried(...args) {
+            if (args.length >= fn.length) {
+                return fn(...args);
+            }
+            return (...more) => curried(...args, ...more);
+        };
+    }
+
+    /**
+     * Композиция функций (справа налево)
+     */
+    static compose(...fns) {
+        return (arg) => fns.reduceRight((acc, fn) => fn(acc), arg);
+    }
+
+    /**
+     * Pipe оператор (слева направо)
+     */
+    static pipe(...fns) {
+        return (arg) => fns.reduce((acc, fn) => fn(acc), arg);
+    }
+
+    /**
+     * Мемоизация
+     */
+    static memoize(fn, keyFn = (...args) => JSON.stringify(args)) {
+        const cache = new Map();
+
+        return (...args) => {
+            const key = keyFn(...args);
+
+            if (cache.has(key)) {
+                return cache.get(key);
+            }
+
+            const result = fn(...args);
+            cache.set(key, result);
+            return result;
+        };
+    }
+
+    /**
+     * Частичное применение
+     */
+    static partial(fn, ...presetArgs) {
+        return (...args) => fn(...presetArgs, ...args);
+    }
+
+    /**
+     * Flip аргументы
+     */
+    static flip(fn) {
+        return (...args) => fn(...args.reverse());
+    }
+
+    /**
+     * Lazy evaluation
+     */
+    static lazy(fn) {
+        let cached = null;
+        let computed = false;
+
+        return () => {
+            if (!computed) {
+                cached = fn();
+                computed = true;
+            }
+            return cached;
+        };
+    }
+
+    /**
+     * Thunk - задержанное вычисление
+     */
+    static thunk(fn, ...args) {
+        return () => fn(...args);
+    }
+
+    /**
+     * Identity функция
+     */
+    static identity(x) {
+        return x;
+    }
+
+    /**
+     * Always возвращает всегда одно и то же значение
+     */
+    static always(x) {
+        return () => x;
+    }
+
+    /**
+     * Tap - побочный эффект
+     */
+    static tap(fn) {
+        return (x) => {
+            fn(x);
+            return x;
+        };
+    }
+
+    /**
+     * Trace - отладочная функция
+     */
+    static trace(label = 'trace') {
+        return (x) => {
+            console.log(label, x);
+            return x;
+        };
+    }
+
+    /**
+     * Apply - применить функцию к аргументам
+     */
+    static apply(fn, args) {
+        return fn(...args);
+    }
+
+    /**
+     * Uncurry - превращить метод в функцию
+     */
+    static uncurry(fn) {
+        return (obj, ...args) => obj[fn](...args);
+    }
+
+    /**
+     * Converge - применить функции к аргументам и передать результаты в другую функцию
+     */
+    static converge(after, fns) {
+        return (...args) => after(...fns.map(fn => fn(...args)));
+    }
+
+    /**
+     * Once - функция выполняется только один раз
+     */
+    static once(fn) {
+        let called = false;
+        let result;
+
+        return (...args) => {
+            if (called) return result;
+            called = true;
+            result = fn(...args);
+            return result;
+        };
+    }
+
+    /**
+     * Debounce - задержка выполнения
+     */
+    static debounce(fn, delay) {
+        let timeoutId;
+
+        return (...args) => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => fn(...args), delay);
+        };
+    }
+
+    /**
+     * Throttle - ограничение частоты
+     */
+    static throttle(fn, limit) {
+        let inThrottle;
+
+        return (...args) => {
+            if (!inThrottle) {
+                fn(...args);
+                inThrottle = true;
+                setTimeout(() => inThrottle = false, limit);
+            }
+        };
+    }
+
+    /**
+     * Maybe Monad
+     */
+    static Maybe(value) {
+        return {
+            isNothing: () => value === null || value === undefined,
+            map: (fn) => Functional.Maybe(value === null || value === undefined ? null : fn(value)),
+            chain: (fn) => Functional.Maybe(value === null || value === undefined ? null : fn(value)),
+            getOrElse: (def) => value === null || value === undefined ? def : value,
+            ap: (maybeFn) => Functional.Maybe(value === null || value === undefined ? null : maybeFn.getOrElse(null)(value)),
+            join: () => Functional.Maybe(value === null || value === undefined ? null : value.getOrElse ? value.getOrElse(null) : value)
+        };
+    }
+
+    /**
+     * Either Monad
+     */
+    static Either(value) {
+        return {
+            isLeft: () => value instanceof Error,
+            isRight: () => !(value instanceof Error),
+            map: (fn) => Functional.Either(value instanceof Error ? value : fn(value)),
+            chain: (fn) => Functional.Either(value instanceof Error ? value : fn(value)),
+            getOrElse: (def) => value instanceof Error ? def : value,
+            fold: (onLeft, onRight) => value instanceof Error ? onLeft(value) : onRight(value),
+            ap: (eitherFn) => Functional.Either(
+                value instanceof Error || eitherFn.isLeft() ? value : eitherFn.getOrElse(null)(value)
+            )
+        };
+    }
+
+    /**
+     * Promise Monad
+     */
+    static PromiseMonad(value) {
+        return Promise.resolve(value);
+    }
+
+    /**
+     * Fold (reduce) - свертка
+     */
+    static fold(fn, initial) {
+        return (arr) => arr.reduce(fn, initial);
+    }
+
+    /**
+     * Unfold - развертка
+     */
+    static unfold(fn, seed) {
+        const result = [];
+        let current = seed;
+
+        while (true) {
+            const [value, next] = fn(current);
+            if (value === undefined) break;
+            result.push(value);
+            current = next;
+        }
+
+        return result;
+    }
+
+    /**
+     * Range - создание диапазона
+     */
+    static range(start, end, step = 1) {
+        const result = [];
+
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            result.push(i);
+        }
+
+        return result;
+    }
+
+    /**
+     * LazyRange - ленивый диапазон, значения вычисляются по требованию
+     */
+    static *lazyRange(start, end = Infinity, step = 1) {
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            yield i;
+        }
+    }
+
+    /**
+     * Zip - объединение массивов
+     */
+    static zip(...arrays) {
+        const maxLength = Math.max(...arrays.map(a => a.length));
+        const result = [];
+
+        for (let i = 0; i < maxLength; i++) {
+            result.push(arrays.map(a => a[i]));
+        }
+
+        return result;
+    }
+
+    /**
+     * ZipWith - объединение с функцией
+     */
+    static zipWith(fn, ...arrays) {
+        return Functional.zip(...arrays).map(tuple => fn(...tuple));
+    }
+
+    /**
+     * Partition - разделение массива
+     */
+    static partition(fn) {
+        return (arr) => arr.reduce(
+            (acc, x) => (fn(x) ? (acc[0].push(x), acc) : (acc[1].push(x), acc)),
+            [[], []]
+        );
+    }
+
+    /**
+     * GroupBy - группировка
+     */
+    static groupBy(fn) {
+        return (arr) => arr.reduce((acc, x) => {
+            const key = fn(x);
+            (acc[key] = acc[key] || []).push(x);
+            return acc;
+        }, {});
+    }
+
+    /**
+     * SortBy - сортировка по ключу
+     */
+    static sortBy(fn) {
+        return (arr) => [...arr].sort((a, b) => {
+            const fa = fn(a);
+            const fb = fn(b);
+            if (fa < fb) return -1;
+            if (fa > fb) return 1;
+            return 0;
+        });
+    }
+
+    /**
+     * Take - взять N элементов
+     */
+    static take(n) {
+        return (arr) => arr.slice(0, n);
+    }
+
+    /**
+     * TakeWhile - взять пока условие истинно
+     */
+    static takeWhile(fn) {
+        return (arr) => {
+            const result = [];
+            for (const x of arr) {
+                if (!fn(x)) break;
+                result.push(x);
+            }
+            return result;
+        };
+    }
+
+    /**
+     * Drop - отбросить N элементов
+     */
+    static drop(n) {
+        return (arr) => arr.slice(n);
+    }
+
+    /**
+     * DropWhile - отбросить пока условие истинно
+     */
+    static dropWhile(fn) {
+        return (arr) => {
+            let index = 0;
+            while (index < arr.length && fn(arr[index])) {
+                index++;
+            }
+            return arr.slice(index);
+        };
+    }
+}
+return { Functional, default: Functional };
+})();
+
+// Module: runtime/type-checker.js
+const __vx_m10 = (() => {
+/**
+ * TypeChecker — Статическая проверка типов по аннотациям без выполнения кода
+ */
+
+const ANY = { type: 'SimpleType', name: 'любой' };
+
+const simple = (name) => ({ type: 'SimpleType', name });
+
+/**
+ * Типы результатов встроенных функций
+ */
+const BUILTIN_RETURN_TYPES = {
+    число: ['максимум', 'минимум', 'случайный', 'случайноеЦелое', 'abs', 'округлить', 'пол', 'потолок',
+        'корень', 'степень', 'ln', 'log10', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'длина',
+        'кодСимвола', 'найтиИндекс', 'размер', 'время', 'вЧисло'],
+    строка: ['нижнийРегистр', 'верхнийРегистр', 'обрезка', 'заменить', 'соединить', 'подстрока',
+        'символПоКоду', 'тип', 'вСтроку', 'форматДаты', 'генUUID', 'хешMD5', 'хешSHA256', 'экранироватьHTML'],
+    логический: ['включает', 'пустой', 'каждый', 'некоторые', 'этоЧисло', 'этоСтрока', 'этоМассив',
+        'этоОбъект', 'этоФункция', 'этоЛогическое', 'этоПустой', 'файлСуществует'],
+    большое: ['большое'],
+    десятичное: ['десятичное'],
+    регвыр: ['регex'],
+    ничто: ['печать', 'вывод']
+};
+
+/**
+ * Типы встроенных структур, значения которых не являются VladXObject
+ */
+const NATIVE_TYPES = new Set(['Карта', 'Множество', 'Обещание']);
+
+const ARITHMETIC_OPERATORS = new Set(['-', '*', '/', '%', '**']);
+// Числовые типы от узкого к широкому: в смешанной операции результат — более широкий
+const NUMERIC_TYPES = ['число', 'большое', 'десятичное'];
+const COMPARISON_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '>', '<=', '>=']);
+
+class TypeChecker {
+    constructor(typeSystem, options = {}) {
+        this.typeSystem = typeSystem;
+        this.filename = options.filename || '<anonymous>';
+        this.errors = [];
+        this.scope = null;
+        this.aliases = new Map(typeSystem.aliases);
+        this.classes = new Map();
+        // Перечисления: имя → (вариант → поля или null)
+        this.enums = new Map();
+        this.currentFunction = null;
+        this.currentClass = null;
+        this.currentNode = null;
+
+        this.builtinTypes = new Map();
+        for (const [name, functions] of Object.entries(BUILTIN_RETURN_TYPES)) {
+            for (const fn of functions) {
+                this.builtinTypes.set(fn, simple(name));
+            }
+        }
+    }
+
+    /**
+     * Проверить программу, вернуть список ошибок
+     */
+    check(ast) {
+        this.pushScope();
+        this.checkBlock(ast.body || []);
+        this.popScope();
+        return this.errors;
+    }
+
+    error(message) {
+        const node = this.currentNode || {};
+        this.errors.push({
+            message,
+            line: node.line || 0,
+            column: node.column || 0,
+            filename: node.filename || this.filename
+        });
+    }
+
+    pushScope() {
+        this.scope = { parent: this.scope, vars: new Map() };
+    }
+
+    popScope() {
+        this.scope = this.scope.parent;
+    }
+
+    declare(name, type, isConst = false) {
+        this.scope.vars.set(name, { type, isConst });
+    }
+
+    lookup(name) {
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            if (scope.vars.has(name)) {
+                return scope.vars.get(name);
+            }
+        }
+        return null;
+    }
+
+    format(type) {
+        return this.typeSystem.typeToString(type);
+    }
+
+    /**
+     * Раскрыть псевдонимы и массив<T>
+     */
+    resolve(type, depth = 0) {
+        if (!type || depth > 20) return ANY;
+        if (type.type === 'SimpleType' && this.aliases.has(type.name)) {
+            return this.resolve(this.aliases.get(type.name), depth + 1);
+        }
+        if (type.type === 'GenericType' && type.name === 'массив' && type.typeArguments.length === 1) {
+            return { type: 'ArrayType', elementType: type.typeArguments[0] };
+        }
+        return type;
+    }
+
+    isAny(type) {
+        const resolved = this.resolve(type);
+        return resolved.type === 'SimpleType' && resolved.name === 'любой';
+    }
+
+    /**
+     * Проверка, что все имена в аннотации известны
+     */
+    validateType(type) {
+        if (!type) return true;
+        const errorCount = this.errors.length;
+        this.validateTypeNames(type);
+        return this.errors.length === errorCount;
+    }
+
+    validateTypeNames(type) {
+        if (!type) return;
+        switch (type.type) {
+            case 'SimpleType':
+                this.validateTypeName(type.name);
+                break;
+            case 'ArrayType':
+                this.validateTypeNames(type.elementType);
+                break;
+            case 'TupleType':
+                type.elementTypes.forEach(element => this.validateTypeNames(element));
+                break;
+            case 'UnionType':
+            case 'IntersectionType':
+                type.types.forEach(member => this.validateTypeNames(member));
+                break;
+            case 'GenericType':
+                this.validateTypeName(type.name);
+                type.typeArguments.forEach(argument => this.validateTypeNames(argument));
+                break;
+            case 'FunctionType':
+                type.params.forEach(param => this.validateTypeNames(param));
+                this.validateTypeNames(type.returnType);
+                break;
+        }
+    }
+
+    validateTypeName(name) {
+        if (!this.typeSystem.types.has(name) && !this.aliases.has(name) && !this.classes.has(name) && !this.enums.has(name) && !NATIVE_TYPES.has(name)) {
+            this.error(`Неизвестный тип «${name}»`);
+        }
+    }
+
+    /**
+     * Можно ли значение типа source присвоить месту типа target
+     */
+    isAssignable(source, target) {
+        source = this.resolve(source);
+        target = this.resolve(target);
+
+        if (this.isAny(source) || this.isAny(target)) return true;
+
+        if (source.type === 'UnionType') {
+            return source.types.every(member => this.isAssignable(member, target));
+        }
+        if (target.type === 'UnionType') {
+            return target.types.some(member => this.isAssignable(source, member));
+        }
+        if (target.type === 'IntersectionType') {
+            return target.types.every(member => this.isAssignable(source, member));
+        }
+        if (source.type === 'IntersectionType') {
+            return source.types.some(member => this.isAssignable(member, target));
+        }
+
+        switch (target.type) {
+            case 'SimpleType':
+                return this.isAssignableToName(source, target.name);
+
+            case 'ArrayType':
+                if (source.type === 'ArrayType') {
+                    return this.isAssignable(source.elementType, target.elementType);
+                }
+                if (source.type === 'TupleType') {
+                    return source.elementTypes.every(element => this.isAssignable(element, target.elementType));
+                }
+                return source.type === 'SimpleType' && source.name === 'массив';
+
+            case 'TupleType':
+                if (source.type === 'TupleType') {
+                    return source.elementTypes.length === target.elementTypes.length &&
+                        source.elementTypes.every((element, index) => this.isAssignable(element, target.elementTypes[index]));
+                }
+                return source.type === 'SimpleType' && source.name === 'массив';
+
+            case 'FunctionType':
+                if (source.type === 'FunctionType') {
+                    // Лишние параметры источника допустимы, если у них есть значения по умолчанию
+                    return (source.minArgs ?? source.params.length) <= target.params.length &&
+                        target.params.every((param, index) => index >= source.params.length || this.isAssignable(param, source.params[index])) &&
+                        this.isAssignable(source.returnType, target.returnType);
+                }
+                return source.type === 'SimpleType' && source.name === 'функция';
+
+            case 'GenericType':
+                if (source.type === 'GenericType' && source.name === target.name) {
+                    return source.typeArguments.length === target.typeArguments.length &&
+                        source.typeArguments.every((argument, index) => this.isAssignable(argument, target.typeArguments[index]));
+                }
+                return source.type === 'SimpleType' && source.name === target.name;
+
+            default:
+                return true;
+        }
+    }
+
+    isAssignableToName(source, name) {
+        switch (source.type) {
+            case 'SimpleType':
+                if (source.name === name) return true;
+                if (name === 'объект') {
+                    return this.classes.has(source.name);
+                }
+                return this.isSubclass(source.name, name);
+            case 'ArrayType':
+            case 'TupleType':
+                return name === 'массив';
+            case 'FunctionType':
+                return name === 'функция';
+            case 'GenericType':
+                return source.name === name;
+            default:
+                return false;
+        }
+    }
+
+    isSubclass(className, ancestor) {
+        for (let info = this.classes.get(className); info; info = this.classes.get(info.superClass)) {
+            if (info.superClass === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Объединение типов без повторов
+     */
+    union(types) {
+        const unique = [];
+        for (const type of types) {
+            const members = type.type === 'UnionType' ? type.types : [type];
+            for (const member of members) {
+                if (this.isAny(member)) return ANY;
+                if (!unique.some(existing => this.format(existing) === this.format(member))) {
+                    unique.push(member);
+                }
+            }
+        }
+        if (unique.length === 0) return ANY;
+        return unique.length === 1 ? unique[0] : { type: 'UnionType', types: unique };
+    }
+
+    /**
+     * Общий числовой тип операндов (число, большое или десятичное) или null.
+     * любой считается числом
+     */
+    numericType(types) {
+        let widest = 0;
+        for (const type of types) {
+            if (this.isAny(type)) continue;
+            const index = NUMERIC_TYPES.findIndex(name => this.isAssignable(type, simple(name)));
+            if (index === -1) return null;
+            widest = Math.max(widest, index);
+        }
+        return simple(NUMERIC_TYPES[widest]);
+    }
+
+    /**
+     * Тип без ничто: то, что остаётся после ?. и ??
+     */
+    withoutNothing(type) {
+        const resolved = this.resolve(type);
+        if (resolved.type !== 'UnionType') return resolved;
+        const types = resolved.types.filter(member => !(member.type === 'SimpleType' && member.name === 'ничто'));
+        return types.length === 1 ? types[0] : { type: 'UnionType', types };
+    }
+
+    /**
+     * Тип функции по её объявлению
+     */
+    functionType(node) {
+        const params = [];
+        let minArgs = 0;
+        for (const param of node.params || []) {
+            if (param.type === 'AssignmentPattern') {
+                params.push(param.left.typeAnnotation || ANY);
+            } else {
+                params.push(param.typeAnnotation || ANY);
+                minArgs = params.length;
+            }
+        }
+        return {
+            type: 'FunctionType',
+            params,
+            returnType: node.returnType || ANY,
+            minArgs,
+            isAsync: node.isAsync
+        };
+    }
+
+    /**
+     * Объявления функций, классов, перечислений и псевдонимов доступны во всём блоке
+     */
+    hoist(statements) {
+        for (const statement of statements) {
+            if (!statement) continue;
+            if (statement.type === 'TypeAliasDeclaration') {
+                this.aliases.set(statement.name, statement.typeAnnotation);
+            } else if (statement.type === 'ClassDeclaration') {
+                const methods = new Map();
+                for (const method of statement.methods) {
+                    // Аксессоры читаются как свойства, а не вызываются
+                    if (method.isGetter || method.isSetter) continue;
+                    methods.set(method.name, { type: this.functionType(method), isStatic: method.isStatic });
+                }
+                this.classes.set(statement.name, { superClass: statement.superClass, methods });
+                this.declare(statement.name, { type: 'SimpleType', name: 'класс', className: statement.name }, true);
+            } else if (statement.type === 'EnumDeclaration') {
+                this.enums.set(statement.name, new Map(statement.variants.map(variant => [variant.name, variant.fields])));
+                this.declare(statement.name, { type: 'SimpleType', name: 'перечисление', enumName: statement.name }, true);
+            }
+        }
+        for (const statement of statements) {
+            if (statement && statement.type === 'FunctionDeclaration') {
+                this.declare(statement.name, this.functionType(statement));
+            }
+        }
+    }
+
+    checkBlock(statements) {
+        this.hoist(statements);
+        for (const statement of statements) {
+            this.checkStatement(statement);
+        }
+    }
+
+    checkStatement(node) {
+        if (!node) return;
+        const previousNode = this.currentNode;
+        if (node.line !== undefined) {
+            this.currentNode = node;
+        }
+
+        switch (node.type) {
+            case 'LetStatement':
+            case 'ConstStatement':
+                this.checkVariable(node);
+                break;
+
+            case 'TypeAliasDeclaration':
+                this.validateType(node.typeAnnotation);
+                break;
+
+            case 'FunctionDeclaration':
+                this.checkFunction(node);
+                break;
+
+            case 'ClassDeclaration':
+                this.checkClass(node);
+                break;
+
+            case 'EnumDeclaration':
+                break;
+
+            case 'ReturnStatement':
+                this.checkReturn(node);
+                break;
+
+            case 'ExpressionStatement':
+                this.infer(node.expression);
+                break;
+
+            case 'BlockStatement':
+                this.pushScope();
+                this.checkBlock(node.body);
+                this.popScope();
+                break;
+
+            case 'IfStatement':
+                this.infer(node.condition);
+                this.checkStatement(node.thenBranch);
+                this.checkStatement(node.elseBranch);
+                break;
+
+            case 'WhileStatement':
+                this.infer(node.condition);
+                this.checkStatement(node.body);
+                break;
+
+            case 'ForStatement':
+                this.pushScope();
+                this.checkStatement(node.initializer);
+                this.infer(node.condition);
+                this.infer(node.update);
+                this.checkStatement(node.body);
+                this.popScope();
+                break;
+
+            case 'ForOfStatement':
+            case 'ForInStatement':
+                this.checkForLoop(node);
+                break;
+
+            case 'TryStatement':
+                this.checkStatement(node.block);
+                if (node.handler) {
+                    this.pushScope();
+                    if (node.handler.param) {
+                        this.declare(node.handler.param, ANY);
+                    }
+                    this.checkStatement(node.handler.body);
+                    this.popScope();
+                }
+                this.checkStatement(node.finalizer);
+                break;
+
+            case 'ImportStatement':
+                if (node.alias) {
+                    this.declare(node.alias, ANY, true);
+                }
+                break;
+
+            case 'VariableDeclarationWithPattern':
+                this.infer(node.initializer);
+                this.declarePattern(node.pattern, node.kind === 'const');
+                break;
+
+            default:
+                this.walk(node);
+        }
+
+        this.currentNode = previousNode;
+    }
+
+    checkVariable(node) {
+        const isConst = node.type === 'ConstStatement';
+        if (node.typeAnnotation) {
+            const isValid = this.validateType(node.typeAnnotation);
+            const valueType = this.infer(node.initializer, node.typeAnnotation);
+            if (isValid && !this.isAssignable(valueType, node.typeAnnotation)) {
+                this.error(`Тип «${this.format(valueType)}» нельзя присвоить переменной ${node.name} типа «${this.format(node.typeAnnotation)}»`);
+            }
+            this.declare(node.name, node.typeAnnotation, isConst);
+        } else {
+            // Локальный вывод: тип неаннотированной переменной — тип инициализатора,
+            // а переменная из ничто может принять любое значение позже
+            const valueType = this.infer(node.initializer);
+            const resolved = this.resolve(valueType);
+            const inferred = resolved.type === 'SimpleType' && resolved.name === 'ничто' ? ANY : valueType;
+            this.declare(node.name, inferred, isConst);
+        }
+    }
+
+    declarePattern(pattern, isConst) {
+        if (!pattern) return;
+        switch (pattern.type) {
+            case 'Identifier':
+                this.declare(pattern.name, ANY, isConst);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => this.declarePattern(element, isConst));
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => this.declarePattern(property.value || property, isConst));
+                break;
+            case 'AssignmentPattern':
+                this.declarePattern(pattern.left, isConst);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument, isConst);
+                break;
+        }
+    }
+
+    checkForLoop(node) {
+        const iterableType = this.resolve(this.infer(node.right));
+        let elementType = ANY;
+        if (node.type === 'ForInStatement') {
+            elementType = simple('строка');
+        } else if (iterableType.type === 'ArrayType') {
+            elementType = iterableType.elementType;
+        } else if (iterableType.type === 'TupleType') {
+            elementType = this.union(iterableType.elementTypes);
+        } else if (iterableType.type === 'SimpleType' && iterableType.name === 'строка') {
+            elementType = simple('строка');
+        }
+
+        this.pushScope();
+        const left = node.left;
+        if (typeof left === 'string') {
+            this.declare(left, elementType, node.kind === 'const');
+        } else if (left && left.type === 'Identifier' && node.kind) {
+            this.declare(left.name, elementType, node.kind === 'const');
+        } else {
+            this.declarePattern(left, node.kind === 'const');
+        }
+        this.checkStatement(node.body);
+        this.popScope();
+    }
+
+    checkFunction(node, thisType = null) {
+        const previousFunction = this.currentFunction;
+        this.currentFunction = node;
+
+        this.pushScope();
+        if (thisType) {
+            this.declare('это', thisType, true);
+        }
+        for (const param of node.params || []) {
+            const identifier = param.type === 'AssignmentPattern' ? param.left : param;
+            this.validateType(identifier.typeAnnotation);
+            const paramType = identifier.typeAnnotation || ANY;
+            if (param.type === 'AssignmentPattern') {
+                const defaultType = this.infer(param.right, paramType);
+                if (!this.isAssignable(defaultType, paramType)) {
+                    this.error(`Значение по умолчанию типа «${this.format(defaultType)}» не подходит параметру ${identifier.name} типа «${this.format(paramType)}»`);
+                }
+            }
+            this.declare(identifier.name, paramType);
+        }
+        this.validateType(node.returnType);
+
+        if (node.body && node.body.type === 'BlockStatement') {
+            this.checkBlock(node.body.body);
+        } else if (node.body) {
+            const bodyType = this.infer(node.body);
+            if (node.returnType && !this.isAssignable(bodyType, node.returnType)) {
+                this.error(`Функция возвращает «${this.format(bodyType)}», ожидался тип «${this.format(node.returnType)}»`);
+            }
+        }
+        this.popScope();
+
+        this.currentFunction = previousFunction;
+    }
+
+    checkClass(node) {
+        const previousClass = this.currentClass;
+        this.currentClass = node.name;
+        for (const field of node.fields || []) {
+            if (field.type !== 'ClassField' || !field.value) continue;
+            const valueType = this.infer(field.value, field.typeAnnotation);
+            if (field.typeAnnotation && this.validateType(field.typeAnnotation) && !this.isAssignable(valueType, field.typeAnnotation)) {
+                this.error(`Тип «${this.format(valueType)}» нельзя присвоить полю ${field.name} типа «${this.format(field.typeAnnotation)}»`);
+            }
+        }
+        for (const method of node.methods) {
+            this.checkFunction(method, method.isStatic ? ANY : simple(node.name));
+        }
+        this.currentClass = previousClass;
+    }
+
+    checkReturn(node) {
+        const fn = this.currentFunction;
+        const expected = fn && !fn.isGenerator ? fn.returnType : null;
+        const valueType = node.argument ? this.infer(node.argument, expected) : simple('ничто');
+        if (expected && !this.isAssignable(valueType, expected)) {
+            const name = fn.name ? ` ${fn.name}` : '';
+            this.error(`Функция${name} возвращает «${this.format(valueType)}», ожидался тип «${this.format(expected)}»`);
+        }
+    }
+
+    /**
+     * Проверка аргументов вызова по типу функции
+     */
+    checkArguments(fnType, args, calleeName) {
+        const hasSpread = args.some(arg => arg && arg.type === 'SpreadElement');
+        if (!hasSpread) {
+            const minArgs = fnType.minArgs ?? fnType.params.length;
+            if (args.length < minArgs || args.length > fnType.params.length) {
+                const expected = minArgs === fnType.params.length ? `${minArgs}` : `${minArgs}–${fnType.params.length}`;
+                this.error(`${calleeName} ожидает аргументов: ${expected}, передано: ${args.length}`);
+            }
+        }
+
+        args.forEach((arg, index) => {
+            const paramType = hasSpread ? ANY : fnType.params[index];
+            const argType = this.infer(arg, paramType);
+            if (paramType && !this.isAssignable(argType, paramType)) {
+                this.error(`Аргумент ${index + 1} функции ${calleeName}: тип «${this.format(argType)}» не подходит параметру типа «${this.format(paramType)}»`);
+            }
+        });
+    }
+
+    /**
+     * Метод класса с учётом наследования
+     */
+    findMethod(className, methodName) {
+        for (let info = this.classes.get(className); info; info = this.classes.get(info.superClass)) {
+            if (info.methods.has(methodName)) {
+                return info.methods.get(methodName);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Вывести тип выражения; expected — контекстный тип (для кортежей)
+     */
+    infer(node, expected = null) {
+        if (!node) return ANY;
+
+        switch (node.type) {
+            case 'Literal':
+                if (typeof node.value === 'number') return simple('число');
+                if (typeof node.value === 'bigint') return simple('большое');
+                if (node.value && typeof node.value === 'object') return simple('десятичное');
+                if (typeof node.value === 'string') return simple('строка');
+                if (typeof node.value === 'boolean') return simple('логический');
+                if (node.value === null) return simple('ничто');
+                return ANY;
+
+            case 'RegexLiteral':
+                return simple('регвыр');
+
+            case 'TemplateLiteral':
+                node.expressions.forEach(expression => this.infer(expression));
+                return simple('строка');
+
+            case 'Identifier': {
+                const binding = this.lookup(node.name);
+                return binding ? binding.type : ANY;
+            }
+
+            case 'ThisExpression':
+                return this.lookup('это')?.type || ANY;
+
+            case 'ArrayExpression':
+                return this.inferArray(node, expected);
+
+            case 'ObjectExpression':
+                node.properties.forEach(property => this.infer(property.value || property.argument));
+                return simple('объект');
+
+            case 'BinaryExpression':
+                return this.inferBinary(node);
+
+            case 'BitwiseExpression':
+                this.infer(node.left);
+                this.infer(node.right);
+                return simple('число');
+
+            case 'UnaryExpression': {
+                const operandType = this.infer(node.operand);
+                if (node.operator === '!') return simple('логический');
+                const numeric = this.numericType([operandType]);
+                if (!numeric) {
+                    this.error(`Оператор «${node.operator}» ожидает число, получено «${this.format(operandType)}»`);
+                }
+                return numeric || simple('число');
+            }
+
+            case 'TernaryExpression':
+                this.infer(node.condition);
+                return this.union([this.infer(node.thenExpr, expected), this.infer(node.elseExpr, expected)]);
+
+            case 'Assignment':
+                return this.inferAssignment(node);
+
+            case 'CallExpression':
+                return this.inferCall(node);
+
+            case 'NewExpression':
+                return this.inferNew(node);
+
+            case 'MemberExpression':
+                return this.inferMember(node);
+
+            case 'ChainExpression':
+                return this.union([this.infer(node.expression), simple('ничто')]);
+
+            case 'FunctionDeclaration':
+            case 'ArrowFunctionExpression': {
+                this.checkFunction(node);
+                return this.functionType(node);
+            }
+
+            case 'AwaitExpression': {
+                const awaited = this.resolve(this.infer(node.argument));
+                if (awaited.type === 'GenericType' && awaited.name === 'Обещание' && awaited.typeArguments.length === 1) {
+                    return awaited.typeArguments[0];
+                }
+                return awaited;
+            }
+
+            default:
+                this.walk(node);
+                return ANY;
+        }
+    }
+
+    inferArray(node, expected) {
+        const context = expected ? this.resolve(expected) : null;
+        const tupleContext = context && context.type === 'TupleType' ? context : null;
+        const elementContext = context && context.type === 'ArrayType' ? context.elementType : null;
+
+        const elementTypes = node.elements.map((element, index) => {
+            if (!element) return simple('ничто');
+            if (element.type === 'SpreadElement') {
+                this.infer(element.argument);
+                return null;
+            }
+            return this.infer(element, tupleContext ? tupleContext.elementTypes[index] : elementContext);
+        });
+
+        if (elementTypes.includes(null)) {
+            return { type: 'ArrayType', elementType: ANY };
+        }
+        if (tupleContext) {
+            return { type: 'TupleType', elementTypes };
+        }
+        return { type: 'ArrayType', elementType: elementTypes.length ? this.union(elementTypes) : ANY };
+    }
+
+    inferBinary(node) {
+        const leftType = this.infer(node.left);
+        const rightType = this.infer(node.right);
+        const number = simple('число');
+        const string = simple('строка');
+
+        if (COMPARISON_OPERATORS.has(node.operator)) {
+            return simple('логический');
+        }
+        if (node.operator === '&&' || node.operator === '||') {
+            return this.union([leftType, rightType]);
+        }
+        if (node.operator === '??') {
+            return this.union([this.withoutNothing(leftType), rightType]);
+        }
+        if (node.operator === '+') {
+            if (this.isAny(leftType) || this.isAny(rightType)) return ANY;
+            const numeric = this.numericType([leftType, rightType]);
+            if (numeric) return numeric;
+            if (this.isAssignable(leftType, string) || this.isAssignable(rightType, string)) return string;
+            return ANY;
+        }
+        if (ARITHMETIC_OPERATORS.has(node.operator)) {
+            for (const operandType of [leftType, rightType]) {
+                if (!this.numericType([operandType])) {
+                    this.error(`Оператор «${node.operator}» ожидает числа, получено «${this.format(operandType)}»`);
+                }
+            }
+            return this.numericType([leftType, rightType]) || number;
+        }
+        return ANY;
+    }
+
+    inferAssignment(node) {
+        const binding = this.lookup(node.name);
+        const valueType = this.infer(node.value, binding ? binding.type : null);
+        if (!binding) return valueType;
+
+        if (binding.isConst) {
+            this.error(`Нельзя изменить константу ${node.name}`);
+        } else if (!this.isAssignable(valueType, binding.type)) {
+            this.error(`Тип «${this.format(valueType)}» нельзя присвоить переменной ${node.name} типа «${this.format(binding.type)}»`);
+        }
+        return valueType;
+    }
+
+    inferCall(node) {
+        const callee = node.callee;
+        let fnType = null;
+        let calleeName = 'функция';
+
+        if (callee.type === 'Identifier') {
+            calleeName = callee.name;
+            const binding = this.lookup(callee.name);
+            if (!binding && this.builtinTypes.has(callee.name)) {
+                node.args.forEach(arg => this.infer(arg));
+                return this.builtinTypes.get(callee.name);
+            }
+            fnType = binding ? this.resolve(binding.type) : null;
+        } else if (callee.type === 'MemberExpression' && !callee.computed) {
+            const objectType = this.resolve(this.infer(callee.object));
+            const methodName = callee.property.name;
+            calleeName = methodName;
+            const className = objectType.className || (objectType.type === 'SimpleType' ? objectType.name : null);
+            const method = className ? this.findMethod(className, methodName) : null;
+            if (objectType.enumName) {
+                fnType = this.variantType(objectType.enumName, methodName);
+            } else if (method && method.isStatic === Boolean(objectType.className)) {
+                fnType = method.type;
+            }
+        } else {
+            fnType = this.resolve(this.infer(callee));
+        }
+
+        if (!fnType || fnType.type !== 'FunctionType') {
+            node.args.forEach(arg => this.infer(arg));
+            return ANY;
+        }
+
+        this.checkArguments(fnType, node.args, calleeName);
+        if (fnType.isAsync) {
+            return { type: 'GenericType', name: 'Обещание', typeArguments: [fnType.returnType] };
+        }
+        return fnType.returnType;
+    }
+
+    inferNew(node) {
+        const className = node.callee && node.callee.type === 'Identifier' ? node.callee.name : null;
+        if (!className || !this.classes.has(className)) {
+            node.args.forEach(arg => this.infer(arg));
+            return ANY;
+        }
+
+        const constructor = this.findMethod(className, 'конструктор');
+        if (constructor) {
+            this.checkArguments(constructor.type, node.args, `${className}.конструктор`);
+        } else {
+            node.args.forEach(arg => this.infer(arg));
+        }
+        return simple(className);
+    }
+
+    inferMember(node) {
+        const inferred = this.infer(node.object);
+        const objectType = node.optional ? this.withoutNothing(inferred) : this.resolve(inferred);
+
+        if (node.computed) {
+            const indexType = this.infer(node.property);
+            if (objectType.type === 'ArrayType') {
+                return objectType.elementType;
+            }
+            if (objectType.type === 'TupleType') {
+                const index = node.property.type === 'Literal' ? node.property.value : null;
+                return objectType.elementTypes[index] || this.union(objectType.elementTypes);
+            }
+            if (objectType.type === 'SimpleType' && objectType.name === 'строка' && this.isAssignable(indexType, simple('число'))) {
+                return simple('строка');
+            }
+            return ANY;
+        }
+
+        if (objectType.enumName) {
+            return this.variantType(objectType.enumName, node.property.name);
+        }
+
+        if (node.property.name === 'длина' &&
+            (objectType.type === 'ArrayType' || objectType.type === 'TupleType' ||
+                (objectType.type === 'SimpleType' && (objectType.name === 'строка' || objectType.name === 'массив')))) {
+            return simple('число');
+        }
+        return ANY;
+    }
+
+    /**
+     * Тип варианта перечисления: значение или конструктор по числу полей
+     */
+    variantType(enumName, variant) {
+        const variants = this.enums.get(enumName);
+        if (!variants.has(variant)) {
+            this.error(`В перечислении ${enumName} нет варианта ${variant}`);
+            return ANY;
+        }
+        const fields = variants.get(variant);
+        if (!fields) {
+            return simple(enumName);
+        }
+        return { type: 'FunctionType', params: fields.map(() => ANY), returnType: simple(enumName), minArgs: fields.length };
+    }
+
+    /**
+     * Обход узлов без собственной проверки
+     */
+    walk(node) {
+        for (const key in node) {
+            const child = node[key];
+            if (key === 'typeAnnotation' || key === 'returnType' || !child || typeof child !== 'object') continue;
+            const children = Array.isArray(child) ? child : [child];
+            for (const item of children) {
+                if (!item || typeof item.type !== 'string') {
+                    if (item && typeof item === 'object' && !Array.isArray(item)) this.walk(item);
+                    continue;
+                }
+                if (item.line !== undefined || /Statement|Declaration/.test(item.type)) {
+                    this.checkStatement(item);
+                } else {
+                    this.infer(item);
+                }
+            }
+        }
+    }
+}
+return { TypeChecker, default: TypeChecker };
+})();
+
+// Module: runtime/type-system.js
+const __vx_m11 = (() => {
+/**
+ * VladX Type System — Система типов для статической типизации
+ */
+
+const { VladXObject } = __vx_m6;
+const { Decimal } = __vx_m0;
+const { TypeChecker } = __vx_m10;
+
+class TypeSystem {
+    constructor() {
+        this.types = new Map();
+        this.aliases = new Map();
+        this.initializeBuiltInTypes();
+    }
+
+    /**
+     * Инициализация встроенных типов
+     */
+    initializeBuiltInTypes() {
+        // Базовые типы
+        this.types.set('число', {
+            name: 'число',
+            check: (value) => {
+                if (value && typeof value === 'object' && 'value' in value) {
+                    return typeof value.value === 'number' && !isNaN(value.value);
+                }
+                return typeof value === 'number' && !isNaN(value);
+            },
+            defaultValue: 0
+        });
+
+        this.types.set('большое', {
+            name: 'большое',
+            check: (value) => typeof this.unwrap(value) === 'bigint',
+            defaultValue: 0n
+        });
+
+        this.types.set('десятичное', {
+            name: 'десятичное',
+            check: (value) => this.unwrap(value) instanceof Decimal,
+            defaultValue: new Decimal(0n)
+        });
+
+        this.types.set('регвыр', {
+            name: 'регвыр',
+            check: (value) => this.unwrap(value) instanceof RegExp,
+            defaultValue: null
+        });
+
+        this.types.set('строка', {
+            name: 'строка',
+            check: (value) => {
+                if (value && typeof value === 'object' && 'value' in value) {
+                    return typeof value.value === 'string';
+                }
+                return typeof value === 'string';
+            },
+            defaultValue: ''
+        });
+
+        this.types.set('логический', {
+            name: 'логический',
+            check: (value) => {
+                if (value && typeof value === 'object' && 'value' in value) {
+                    return typeof value.value === 'boolean';
+                }
+                return typeof value === 'boolean';
+            },
+            defaultValue: false
+        });
+
+        this.types.set('ничто', {
+            name: 'ничто',
+            check: (value) => {
+                if (value && typeof value === 'object' && 'value' in value) {
+                    return value.value === null || value.value === undefined;
+                }
+                return value === null || value === undefined;
+            },
+            defaultValue: null
+        });
+
+        this.types.set('любой', {
+            name: 'любой',
+            check: (value) => true, // Принимает любое значение
+            defaultValue: null
+        });
+
+        this.types.set('массив', {
+            name: 'массив',
+            check: (value) => Array.isArray(this.unwrap(value)),
+            defaultValue: []
+        });
+
+        this.types.set('объект', {
+            name: 'объект',
+            check: (value) => {
+                if (value instanceof VladXObject) {
+                    return value.type === 'object' || value.type === 'instance';
+                }
+                return typeof value === 'object' && value !== null && !Array.isArray(value);
+            },
+            defaultValue: {}
+        });
+
+        this.types.set('функция', {
+            name: 'функция',
+            check: (value) => {
+                if (value instanceof VladXObject) {
+                    return value.type === 'function' || value.type === 'closure' || value.type === 'class';
+                }
+                return typeof value === 'function';
+            },
+            defaultValue: null
+        });
+    }
+
+    /**
+     * Зарегистрировать псевдоним типа: тип Имя = ...
+     */
+    defineAlias(name, typeAnnotation) {
+        this.aliases.set(name, typeAnnotation);
+        return this;
+    }
+
+    /**
+     * JS-значение внутри VladXObject
+     */
+    unwrap(value) {
+        return value instanceof VladXObject ? value.value : value;
+    }
+
+    /**
+     * Проверка соответствия значения типу
+     */
+    checkType(value, typeAnnotation) {
+        if (!typeAnnotation) return true; // Без аннотации типа - всегда ок
+
+        switch (typeAnnotation.type) {
+            case 'SimpleType':
+                return this.checkNamedType(value, typeAnnotation.name);
+
+            case 'ArrayType': {
+                const elements = this.unwrap(value);
+                return Array.isArray(elements) &&
+                    elements.every(element => this.checkType(element, typeAnnotation.elementType));
+            }
+
+            case 'TupleType': {
+                const elements = this.unwrap(value);
+                return Array.isArray(elements) && elements.length === typeAnnotation.elementTypes.length &&
+                    typeAnnotation.elementTypes.every((type, index) => this.checkType(elements[index], type));
+            }
+
+            case 'UnionType':
+                return typeAnnotation.types.some(type => this.checkType(value, type));
+
+            case 'IntersectionType':
+                return typeAnnotation.types.every(type => this.checkType(value, type));
+
+            case 'GenericType':
+                // массив<T> проверяется поэлементно, у остальных — только базовый тип
+                if (typeAnnotation.name === 'массив' && typeAnnotation.typeArguments.length === 1) {
+                    return this.checkType(value, { type: 'ArrayType', elementType: typeAnnotation.typeArguments[0] });
+                }
+                return this.checkNamedType(value, typeAnnotation.name);
+
+            case 'FunctionType':
+                return this.checkNamedType(value, 'функция');
+
+            default:
+                return true; // Неизвестный тип - пропускаем
+        }
+    }
+
+    /**
+     * Проверка по имени: встроенный тип, псевдоним или класс
+     */
+    checkNamedType(value, name) {
+        const alias = this.aliases.get(name);
+        if (alias) {
+            return this.checkType(value, alias);
+        }
+
+        const typeDef = this.types.get(name);
+        if (typeDef) {
+            return typeDef.check(value);
+        }
+
+        // Имя класса: экземпляр этого класса или наследника
+        if (value instanceof VladXObject) {
+            if (value.type !== 'instance') {
+                return false;
+            }
+            for (let classObj = value.prototype; classObj; classObj = classObj.prototype) {
+                if (classObj.name === name) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Значения встроенных функций (Карта, Множество) проверить нельзя
+        return value !== null && value !== undefined && typeof value === 'object';
+    }
+
+    /**
+     * Запись типа для сообщений: число | строка, массив<число>, (число) => строка
+     */
+    typeToString(type) {
+        if (!type) return 'любой';
+
+        switch (type.type) {
+            case 'SimpleType':
+                return type.name;
+            case 'ArrayType': {
+                const element = this.typeToString(type.elementType);
+                return /[|&>]/.test(element) ? `(${element})[]` : `${element}[]`;
+            }
+            case 'TupleType':
+                return `[${type.elementTypes.map(element => this.typeToString(element)).join(', ')}]`;
+            case 'UnionType':
+                return type.types.map(member => this.typeToString(member)).join(' | ');
+            case 'IntersectionType':
+                return type.types.map(member => this.typeToString(member)).join(' & ');
+            case 'GenericType':
+                return `${type.name}<${type.typeArguments.map(argument => this.typeToString(argument)).join(', ')}>`;
+            case 'FunctionType':
+                return `(${type.params.map(param => this.typeToString(param)).join(', ')}) => ${this.typeToString(type.returnType)}`;
+            default:
+                return 'любой';
+        }
+    }
+
+    /**
+     * Инференс типа из значения
+     */
+    inferType(value) {
+        if (value === null || value === undefined) return 'ничто';
+
+        // Если это VladXObject
+        if (value && typeof value === 'object' && 'type' in value) {
+            switch (value.type) {
+                case 'number': return 'число';
+                case 'bigint': return 'большое';
+                case 'decimal': return 'десятичное';
+                case 'regex': return 'регвыр';
+                case 'string': return 'строка';
+                case 'boolean': return 'логический';
+                case 'array': return 'массив';
+                case 'object': return 'объект';
+                case 'function':
+                case 'closure': return 'функция';
+                case 'class': return 'класс';
+                case 'instance': return value.name || 'объект';
+                case 'null': return 'ничто';
+                default: return 'любой';
+            }
+        }
+
+        if (typeof value === 'number') return 'число';
+        if (typeof value === 'bigint') return 'большое';
+        if (value instanceof Decimal) return 'десятичное';
+        if (value instanceof RegExp) return 'регвыр';
+        if (typeof value === 'string') return 'строка';
+        if (typeof value === 'boolean') return 'логический';
+        if (Array.isArray(value)) return 'массив';
+        if (typeof value === 'function') return 'функция';
+        if (typeof value === 'object') return 'объект';
+        return 'любой';
+    }
+
+    /**
+     * Преобразование значения к типу
+     */
+    coerceValue(value, typeAnnotation) {
+        if (!typeAnnotation) return value;
+
+        switch (typeAnnotation.type) {
+            case 'SimpleType':
+                const typeName = typeAnnotation.name;
+                const typeDef = this.types.get(typeName);
+                if (!typeDef) return value;
+
+                // Если значение уже правильного типа
+                if (typeDef.check(value)) return value;
+
+                // Попытка преобразования
+                switch (typeName) {
+                    case 'число':
+                        const num = Number(value);
+                        return isNaN(num) ? typeDef.defaultValue : num;
+                    case 'строка':
+                        return String(value);
+                    case 'логический':
+                        return Boolean(value);
+                    default:
+                        return typeDef.defaultValue;
+                }
+
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Статическая проверка типов в AST без выполнения программы.
+     * Возвращает список ошибок { message, line, column }
+     */
+    checkAST(ast, options = {}) {
+        return new TypeChecker(this, options).check(ast);
+    }
+}
+return { TypeSystem };
+})();
+
+// Module: engine/jit-compiler.js
+const __vx_m12 = (() => {
+/**
+ * JIT Compiler for VladX — Компиляция в JavaScript для повышения производительности
+ * Преобразует часто выполняемые функции VladX в оптимизированный JavaScript код
+ *
+ * Скомпилированный код работает с теми же значениями VladXObject и окружениями Environment,
+ * что и интерпретатор, и повторяет его семантику операций. Параметры специализируются по
+ * типам, наблюдавшимся при интерпретации; при несовпадении типов вызов деоптимизируется
+ * обратно в интерпретатор
+ */
+
+const { VladXObject } = __vx_m6;
+const { compileRegex } = __vx_m2;
+
+// Результат execute(), когда функцию должен выполнить интерпретатор
+const NOT_COMPILED = Symbol('jit.notCompiled');
+
+// Возвращается скомпилированным кодом, если не прошла проверка типов аргументов
+const DEOPT = Symbol('jit.deopt');
+
+const PRIMITIVE_KINDS = new Set(['number', 'string', 'boolean']);
+
+const SUPPORTED_STATEMENTS = new Set([
+    'ExpressionStatement', 'LetStatement', 'ConstStatement', 'ReturnStatement', 'BlockStatement',
+    'IfStatement', 'WhileStatement', 'ForStatement', 'BreakStatement', 'ContinueStatement',
+    'LabeledStatement', 'EmptyStatement', 'ThrowStatement', 'FunctionDeclaration', 'TypeAliasDeclaration'
+]);
+
+const SUPPORTED_EXPRESSIONS = new Set([
+    'Literal', 'Identifier', 'ThisExpression', 'BinaryExpression', 'UnaryExpression', 'BitwiseExpression',
+    'CallExpression', 'NewExpression', 'MemberExpression', 'Assignment', 'MemberAssignment',
+    'CompoundAssignmentExpression', 'ArrayExpression', 'ArrayPattern', 'ObjectExpression', 'ObjectPattern',
+    'TernaryExpression', 'TemplateLiteral', 'RegexLiteral', 'FunctionDeclaration', 'ArrowFunctionExpression'
+]);
+
+// Встроенные функции без побочных эффектов: их вызов не мешает дифференциальной проверке
+const PURE_BUILTINS = new Set(['длина', 'abs', 'максимум', 'минимум', 'округлить', 'пол', 'тип']);
+
+/**
+ * Ошибка "конструкция не поддерживается JIT" — функция остаётся в интерпретаторе
+ */
+function unsupported(what) {
+    const error = new Error(`JIT: не поддерживается ${what}`);
+    error.jitUnsupported = true;
+    return error;
+}
+
+/**
+ * Тип значения для специализации: примитивы VladX или 'value' для всего остального
+ */
+function kindOf(value) {
+    if (value instanceof VladXObject && PRIMITIVE_KINDS.has(value.type)) {
+        return value.type;
+    }
+    return 'value';
+}
+
+/**
+ * Объединение типов: 'bottom' — ещё неизвестен, 'value' — любое значение
+ */
+function joinKinds(a, b) {
+    if (a === 'bottom') return b;
+    if (b === 'bottom' || a === b) return a;
+    return 'value';
+}
+
+class JITCompiler {
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        this.compiledFunctions = new Map(); // Кэш скомпилированных функций
+        this.functionCallCounts = new Map(); // Счетчик вызовов функций
+        this.hotReloadEnabled = true;
+        this.compilationThreshold = options.threshold ?? 10; // После скольки вызовов компилировать
+        this.maxDeopts = options.maxDeopts ?? 5; // Деоптимизаций до перекомпиляции с общими типами
+        this.differential = options.differential || false; // Выполнять каждую функцию двумя способами
+
+        this.profiles = new WeakMap(); // Профиль функции по её AST (общий для всех замыканий)
+        this.effects = new WeakMap(); // Побочные эффекты тела функции по её AST
+        this.stats = { compiled: 0, unsupported: 0, deopts: 0, recompiles: 0, differentialChecks: 0, differentialSkipped: 0 };
+        this.mismatches = [];
+        this.interpretOnly = false;
+        this.checking = false;
+        this.runtime = this.createRuntime();
+    }
+
+    static get NOT_COMPILED() {
+        return NOT_COMPILED;
+    }
+
+    /**
+     * Проверка, нужно ли компилировать функцию
+     */
+    shouldCompile(functionName) {
+        const count = this.functionCallCounts.get(functionName) || 0;
+        return count >= this.compilationThreshold && !this.compiledFunctions.has(functionName);
+    }
+
+    /**
+     * Увеличение счетчика вызовов функции
+     */
+    incrementCallCount(functionName) {
+        const count = this.functionCallCounts.get(functionName) || 0;
+        this.functionCallCounts.set(functionName, count + 1);
+    }
+
+    /**
+     * Точка входа из Interpreter.executeFunction
+     * Возвращает результат вызова или JITCompiler.NOT_COMPILED, если функцию выполняет интерпретатор
+     */
+    async execute(fn, args) {
+        if (fn.isNative || !fn.ast || !fn.ast.body || fn.ast.isGenerator || fn.ast.isAsync) {
+            return NOT_COMPILED;
+        }
+
+        // Эталонный прогон дифференциальной проверки целиком выполняет интерпретатор
+        if (this.interpretOnly) {
+            return NOT_COMPILED;
+        }
+
+        const profile = this.profileFor(fn);
+        if (profile.unsupported) {
+            return NOT_COMPILED;
+        }
+
+        profile.calls++;
+        this.incrementCallCount(fn.name);
+
+        if (!profile.compiled) {
+            this.recordArguments(profile, args);
+            if (this.differential || profile.calls >= this.compilationThreshold) {
+                this.compileProfiled(fn, profile);
+            }
+            if (!profile.compiled) {
+                return NOT_COMPILED;
+            }
+        }
+
+        if (this.differential && !this.checking) {
+            if (this.isPure(fn)) {
+                return this.executeDifferential(fn, args, profile);
+            }
+            // Повтор функции с побочными эффектами изменил бы поведение программы
+            this.stats.differentialSkipped++;
+        }
+
+        const result = await this.runCompiled(fn, args, profile);
+        return result === DEOPT ? NOT_COMPILED : result;
+    }
+
+    /**
+     * Профиль функции: число вызовов и наблюдавшиеся типы аргументов
+     */
+    profileFor(fn) {
+        let profile = this.profiles.get(fn.ast.body);
+        if (!profile) {
+            profile = { name: fn.name, calls: 0, argKinds: [], compiled: null, deopts: 0, generic: false, unsupported: false };
+            this.profiles.set(fn.ast.body, profile);
+        }
+        return profile;
+    }
+
+    /**
+     * Запоминание типов аргументов для специализации
+     */
+    recordArguments(profile, args) {
+        const params = profile.compiled ? profile.compiled.paramCount : args.length;
+        for (let i = 0; i < Math.max(params, args.length); i++) {
+            profile.argKinds[i] = joinKinds(profile.argKinds[i] || 'bottom', kindOf(args[i]));
+        }
+    }
+
+    /**
+     * Компиляция по собранному профилю; неподдерживаемые функции помечаются навсегда
+     */
+    compileProfiled(fn, profile) {
+        const paramKinds = profile.generic ? [] : profile.argKinds.map(kind => kind === 'bottom' ? 'value' : kind);
+
+        try {
+            profile.compiled = this.compileFunction(fn.ast, fn.name, paramKinds);
+            profile.deopts = 0;
+            this.stats.compiled++;
+        } catch (error) {
+            if (!error.jitUnsupported) {
+                throw error;
+            }
+            profile.unsupported = true;
+            profile.reason = error.message;
+            this.stats.unsupported++;
+        }
+    }
+
+    /**
+     * Выполнение скомпилированного кода; DEOPT означает, что не прошла проверка типов
+     */
+    async runCompiled(fn, args, profile) {
+        const interpreter = this.interpreter;
+        const compiled = profile.compiled;
+
+        const previousEnv = interpreter.currentEnv;
+        const previousFunction = interpreter.currentFunction;
+        const previousGenerator = interpreter.currentGenerator;
+        interpreter.currentFunction = fn;
+        interpreter.currentGenerator = null;
+        interpreter.callStack.push(fn.name);
+
+        let result;
+        try {
+            result = await compiled.run(fn.env || previousEnv, args);
+        } finally {
+            interpreter.currentEnv = previousEnv;
+            interpreter.currentFunction = previousFunction;
+            interpreter.currentGenerator = previousGenerator;
+            interpreter.callStack.pop();
+        }
+
+        if (result === DEOPT) {
+            this.deoptimize(fn, profile, args);
+        }
+        return result;
+    }
+
+    /**
+     * Деоптимизация: после maxDeopts промахов код выбрасывается и функция перепрофилируется
+     */
+    deoptimize(fn, profile, args) {
+        this.stats.deopts++;
+        profile.deopts++;
+        this.recordArguments(profile, args);
+
+        if (profile.deopts >= this.maxDeopts) {
+            // Повторная перекомпиляция без специализации, чтобы не деоптимизироваться бесконечно
+            profile.generic = profile.recompiled === true;
+            profile.recompiled = true;
+            profile.compiled = null;
+            profile.calls = 0;
+            this.compiledFunctions.delete(fn.name);
+            this.stats.recompiles++;
+        }
+    }
+
+    /**
+     * Можно ли выполнить функцию дважды: она не меняет внешние переменные и объекты
+     * и вызывает только такие же функции (в том числе себя) и чистые встроенные
+     */
+    isPure(fn, visiting = new Set()) {
+        if (fn.isNative || !fn.ast || !fn.ast.body || fn.ast.isGenerator || fn.ast.isAsync || !fn.env) {
+            return false;
+        }
+        if (visiting.has(fn.ast.body)) {
+            return true;
+        }
+
+        const effects = this.effectsOf(fn.ast);
+        if (!effects.pure) {
+            return false;
+        }
+
+        visiting.add(fn.ast.body);
+        return [...effects.calls].every(name => {
+            const callee = fn.env.has(name) ? fn.env.get(name) : null;
+            if (!(callee instanceof VladXObject)) {
+                return false;
+            }
+            if (callee.type === 'function') {
+                return PURE_BUILTINS.has(name) && callee.value === this.interpreter.builtins.get(name);
+            }
+            return callee.type === 'closure' && this.isPure(callee, visiting);
+        });
+    }
+
+    /**
+     * Побочные эффекты тела: pure — нет присваиваний вне функции, изменений объектов,
+     * new и вложенных функций; calls — имена вызываемых внешних функций
+     */
+    effectsOf(funcNode) {
+        let effects = this.effects.get(funcNode.body);
+        if (effects) {
+            return effects;
+        }
+
+        const locals = new Set((funcNode.params || []).map(param => this.paramName(param)));
+        const calls = new Set();
+        let pure = true;
+
+        const declare = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(declare);
+                return;
+            }
+            if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                locals.add(node.name);
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') declare(value);
+            }
+        };
+        declare(funcNode.body);
+
+        const scan = (node) => {
+            if (!pure || !node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(scan);
+                return;
+            }
+
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                case 'NewExpression':
+                case 'MemberAssignment':
+                    pure = false;
+                    return;
+                case 'Assignment':
+                    if (!locals.has(node.name)) pure = false;
+                    break;
+                case 'CompoundAssignmentExpression':
+                    if (node.left.type !== 'Identifier' || !locals.has(node.left.name)) pure = false;
+                    break;
+                case 'CallExpression':
+                    // Методы объектов и функции из параметров могут менять что угодно
+                    if (node.callee.type !== 'Identifier' || locals.has(node.callee.name)) {
+                        pure = false;
+                        return;
+                    }
+                    calls.add(node.callee.name);
+                    break;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') scan(value);
+            }
+        };
+        scan(funcNode.body);
+
+        effects = { pure, calls };
+        this.effects.set(funcNode.body, effects);
+        return effects;
+    }
+
+    /**
+     * Дифференциальный режим: вызов выполняется только интерпретатором, затем скомпилированным кодом
+     * (вложенные вызовы — тоже скомпилированные), результаты или сообщения ошибок должны совпасть.
+     * Сверяются только чистые функции (isPure), остальные выполняются один раз
+     */
+    async executeDifferential(fn, args, profile) {
+        let interpreted;
+        let compiled;
+
+        this.checking = true;
+        try {
+            this.interpretOnly = true;
+            try {
+                interpreted = await this.capture(() => this.interpreter.executeFunction(fn, args));
+            } finally {
+                this.interpretOnly = false;
+            }
+            compiled = await this.capture(() => this.runCompiled(fn, args, profile));
+        } finally {
+            this.checking = false;
+        }
+
+        if (compiled.value !== DEOPT) {
+            this.stats.differentialChecks++;
+            const expected = this.describeOutcome(interpreted);
+            const actual = this.describeOutcome(compiled);
+            if (expected !== actual) {
+                this.mismatches.push({ name: fn.name, expected, actual });
+                throw new Error(`JIT: результат функции '${fn.name}' отличается от интерпретатора: ожидалось ${expected}, получено ${actual}`);
+            }
+        }
+
+        if (interpreted.error) {
+            throw interpreted.error;
+        }
+        return interpreted.value;
+    }
+
+    async capture(run) {
+        try {
+            return { value: await run() };
+        } catch (error) {
+            return { error };
+        }
+    }
+
+    /**
+     * Сравнимое представление результата вызова
+     */
+    describeOutcome(outcome) {
+        if (outcome.error) {
+            return `ошибка "${outcome.error.message}"`;
+        }
+        const seen = new Set();
+        const toNative = (value) => {
+            if (value instanceof VladXObject) {
+                if (['function', 'closure', 'class', 'generator'].includes(value.type)) {
+                    return `<${value.type} ${value.name}>`;
+                }
+                return toNative(value.value);
+            }
+            if (value && typeof value === 'object') {
+                if (seen.has(value)) return '<цикл>';
+                seen.add(value);
+                const result = Array.isArray(value)
+                    ? value.map(toNative)
+                    : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toNative(item)]));
+                seen.delete(value);
+                return result;
+            }
+            if (typeof value === 'number' && !Number.isFinite(value)) {
+                return String(value);
+            }
+            return value === undefined ? null : value;
+        };
+        return JSON.stringify(toNative(outcome.value));
+    }
+
+    // ========== Компиляция ==========
+
+    /**
+     * Компиляция функции VladX в JavaScript
+     * paramKinds — ожидаемые типы параметров ('number', 'string', 'boolean' или 'value')
+     */
+    compileFunction(funcNode, functionName = null, paramKinds = []) {
+        const name = functionName || funcNode.name || '<anonymous>';
+        const { code, nodes } = this.generateFunctionCode(funcNode, name, paramKinds);
+
+        // Фабрика получает служебные функции и узлы AST, которые нужны интерпретатору (замыкания)
+        const run = new Function('rt', 'nodes', code)(this.runtime, nodes);
+
+        const compiled = {
+            run,
+            code,
+            paramCount: (funcNode.params || []).length,
+            compiledFunction: run,
+            originalNode: funcNode,
+            compiledAt: Date.now()
+        };
+        this.compiledFunctions.set(name, compiled);
+        return compiled;
+    }
+
+    /**
+     * Генерация JavaScript кода из AST функции
+     */
+    generateFunctionCode(funcNode, functionName, paramKinds) {
+        const params = funcNode.params || [];
+        const statements = funcNode.body && funcNode.body.type === 'BlockStatement' ? funcNode.body.body : null;
+        if (!statements) {
+            throw unsupported('тело функции без блока');
+        }
+
+        const analysis = this.analyzeFunction(params, statements);
+        const kinds = new Map();
+        params.forEach((param, index) => {
+            const kind = param.type === 'Identifier' && !analysis.envMode ? paramKinds[index] || 'value' : 'value';
+            kinds.set(this.paramName(param), kind);
+        });
+        for (const local of analysis.locals) {
+            if (!kinds.has(local)) kinds.set(local, 'bottom');
+        }
+
+        // Вывод типов локальных переменных: генерация повторяется, пока типы не перестанут расширяться
+        let ctx;
+        for (let pass = 0; pass < 50; pass++) {
+            ctx = this.createContext(functionName, analysis, kinds);
+            this.generateBody(params, statements, ctx);
+
+            let changed = false;
+            for (const [local, kind] of ctx.observed) {
+                const joined = joinKinds(kinds.get(local), kind);
+                if (joined !== kinds.get(local)) {
+                    kinds.set(local, joined);
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+        }
+
+        for (const [local, kind] of kinds) {
+            if (kind === 'bottom') kinds.set(local, 'value');
+        }
+        ctx = this.createContext(functionName, analysis, kinds);
+        const body = this.generateBody(params, statements, ctx);
+
+        return { code: `return async function (env, args) {\n${body}\n};`, nodes: ctx.nodes };
+    }
+
+    createContext(functionName, analysis, kinds) {
+        return {
+            functionName,
+            envMode: analysis.envMode,
+            locals: analysis.locals,
+            consts: analysis.consts,
+            kinds,
+            observed: new Map(),
+            track: analysis.track,
+            temps: 0,
+            nodes: [],
+            sinks: ['c'],
+            loops: 0,
+            labels: []
+        };
+    }
+
+    /**
+     * Анализ функции: поддерживаемость, локальные переменные и режим хранения
+     * Переменные живут в JS-переменных, если каждое обращение к ним лексически следует за объявлением
+     * в том же или объемлющем блоке; иначе (вложенные функции, константы в циклах) — в Environment,
+     * как в интерпретаторе
+     */
+    analyzeFunction(params, statements) {
+        const locals = new Set();
+        const consts = new Set();
+        let envMode = false;
+
+        statements.forEach(statement => this.checkSupported(statement));
+
+        // Все объявленные в теле имена: обращение к ним до объявления читает внешнюю переменную
+        const collect = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(collect);
+                return;
+            }
+            if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                locals.add(node.name);
+            } else if (node.type === 'FunctionDeclaration' || node.type === 'ArrowFunctionExpression') {
+                if (node.type === 'FunctionDeclaration' && node.name) locals.add(node.name);
+                return;
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') collect(value);
+            }
+        };
+        collect(statements);
+
+        const scopes = [new Set()];
+        const declared = new Set();
+        const visitName = (name) => {
+            if ((locals.has(name) || params.some(param => this.paramName(param) === name)) &&
+                !scopes.some(scope => scope.has(name))) {
+                envMode = true;
+            }
+        };
+        const declare = (name) => {
+            scopes[scopes.length - 1].add(name);
+            declared.add(name);
+            locals.add(name);
+        };
+
+        const scan = (node, inLoop) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => scan(child, inLoop));
+                return;
+            }
+
+            const nested = (child, loop = inLoop) => {
+                scopes.push(new Set());
+                scan(child, loop);
+                scopes.pop();
+            };
+
+            switch (node.type) {
+                case 'BlockStatement':
+                    nested(node.body);
+                    return;
+                case 'LetStatement':
+                case 'ConstStatement':
+                    scan(node.initializer, inLoop);
+                    if (node.type === 'ConstStatement') {
+                        // Повторное объявление константы — ошибка, которую должен выдать интерпретатор
+                        if (inLoop || declared.has(node.name)) envMode = true;
+                        consts.add(node.name);
+                    } else if (consts.has(node.name)) {
+                        envMode = true;
+                    }
+                    declare(node.name);
+                    return;
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                    // Вложенные функции захватывают окружение — переменные должны жить в Environment
+                    envMode = true;
+                    return;
+                case 'Identifier':
+                    visitName(node.name);
+                    return;
+                case 'Assignment':
+                    scan(node.value, inLoop);
+                    visitName(node.name);
+                    return;
+                case 'IfStatement':
+                    scan(node.condition, inLoop);
+                    nested(node.thenBranch);
+                    nested(node.elseBranch);
+                    return;
+                case 'WhileStatement':
+                    scan(node.condition, true);
+                    nested(node.body, true);
+                    return;
+                case 'ForStatement':
+                    scopes.push(new Set());
+                    scan(node.initializer, inLoop);
+                    scan(node.condition, true);
+                    nested(node.body, true);
+                    scan(node.update, true);
+                    scopes.pop();
+                    return;
+                case 'LabeledStatement':
+                    nested(node.body);
+                    return;
+                case 'MemberExpression':
+                case 'MemberAssignment':
+                    scan(node.object, inLoop);
+                    if (node.computed || node.property.type !== 'Identifier') scan(node.property, inLoop);
+                    if (node.type === 'MemberAssignment') scan(node.value, inLoop);
+                    return;
+                case 'ObjectExpression':
+                case 'ObjectPattern':
+                    node.properties.forEach(property => scan(property.value, inLoop));
+                    return;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') {
+                    scan(value, inLoop);
+                }
+            }
+        };
+
+        for (const param of params) {
+            if (param.type === 'RestElement' && param.argument.type === 'Identifier') {
+                declare(param.argument.name);
+            } else if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+                this.checkSupported(param.right);
+                scan(param.right, false);
+                declare(param.left.name);
+            } else if (param.type === 'Identifier') {
+                declare(param.name);
+            } else {
+                throw unsupported('деструктуризация в параметрах');
+            }
+        }
+        scan(statements, false);
+
+        // Неявный результат важен, только если выполнение может дойти до конца тела
+        const last = statements[statements.length - 1];
+        const track = !last || !['ReturnStatement', 'ThrowStatement'].includes(last.type);
+
+        return { locals, consts, envMode, track };
+    }
+
+    /**
+     * Проверка, что все узлы (кроме тел вложенных функций) поддерживаются
+     */
+    checkSupported(node) {
+        if (!node || typeof node !== 'object') return;
+        if (Array.isArray(node)) {
+            node.forEach(child => this.checkSupported(child));
+            return;
+        }
+        if (typeof node.type !== 'string') return;
+
+        if (node.type === 'FunctionDeclaration' || node.type === 'ArrowFunctionExpression') {
+            // Тело вложенной функции выполняет интерпретатор (или компилирует JIT отдельно)
+            return;
+        }
+        if (!SUPPORTED_STATEMENTS.has(node.type) && !SUPPORTED_EXPRESSIONS.has(node.type) &&
+            !['Property', 'PropertyDefinition', 'PropertyKey', 'SpreadElement'].includes(node.type)) {
+            throw unsupported(`узел '${node.type}'`);
+        }
+        if (node.type === 'CompoundAssignmentExpression' && node.left.type === 'MemberExpression' &&
+            (node.left.computed || !['Identifier', 'ThisExpression'].includes(node.left.object.type))) {
+            throw unsupported('составное присваивание сложному свойству');
+        }
+        if ((node.type === 'MemberExpression' || node.type === 'MemberAssignment') && !node.computed &&
+            node.property.type === 'Identifier' && node.property.name.startsWith('#')) {
+            // Приватные имена разрешаются по окружению тела класса
+            throw unsupported('приватное поле');
+        }
+        if (node.type === 'CompoundAssignmentExpression' && node.operator === '??=') {
+            throw unsupported('присваивание ??=');
+        }
+        if (node.type === 'CompoundAssignmentExpression' && !['Identifier', 'MemberExpression'].includes(node.left.type)) {
+            throw unsupported('составное присваивание образцу');
+        }
+        if (node.type === 'ArrayPattern' && node.elements.some(element => element && ['SpreadElement', 'RestElement'].includes(element.type))) {
+            // evaluateArrayPattern распаковывает только массивы, без протокола итерации
+            throw unsupported('распаковка в образце массива');
+        }
+        if (node.type === 'ConstStatement' && !node.initializer) {
+            throw unsupported('константа без значения');
+        }
+        if ((node.type === 'ObjectExpression' || node.type === 'ObjectPattern') &&
+            node.properties.some(property => !property || !property.key)) {
+            throw unsupported('распаковка в литерале объекта');
+        }
+
+        for (const [key, value] of Object.entries(node)) {
+            // Аннотации типов не выполняются
+            if (key !== 'type' && key !== 'typeAnnotation' && key !== 'returnType' && value && typeof value === 'object') {
+                this.checkSupported(value);
+            }
+        }
+    }
+
+    paramName(param) {
+        if (param.type === 'RestElement') return param.argument.name;
+        if (param.type === 'AssignmentPattern') return param.left.name;
+        return param.name;
+    }
+
+    /**
+     * Пролог (проверки типов, параметры), тело и неявный результат
+     */
+    generateBody(params, statements, ctx) {
+        const prologue = [];
+        const guards = [];
+
+        prologue.push(ctx.envMode
+            ? `const scope = env.child(${JSON.stringify(`<function ${ctx.functionName}>`)});`
+            : 'const scope = env;');
+        prologue.push('rt.enter(scope);');
+
+        params.forEach((param, index) => {
+            const name = this.paramName(param);
+            const arg = `args[${index}]`;
+            let value;
+
+            if (param.type === 'RestElement') {
+                value = { code: `rt.array(args.slice(${index}))`, kind: 'value' };
+            } else if (param.type === 'AssignmentPattern') {
+                // Значение по умолчанию вычисляется после предыдущих параметров
+                const fallback = this.toValue(this.generateExpressionCode(param.right, ctx));
+                value = { code: `(${arg} === undefined ? ${fallback} : ${arg})`, kind: 'value' };
+            } else {
+                const kind = ctx.kinds.get(name);
+                if (PRIMITIVE_KINDS.has(kind)) {
+                    guards.push(`rt.is(${arg}, ${JSON.stringify(kind)})`);
+                    value = { code: `${arg}.value`, kind };
+                } else {
+                    value = { code: `(${arg} ? ${arg} : rt.null())`, kind: 'value' };
+                }
+            }
+
+            prologue.push(this.storeLocal(name, value, ctx, 'define') + ';');
+        });
+
+        const body = statements.map((statement, index) =>
+            this.generateStatementCode(statement, ctx, { topLevel: true, last: index === statements.length - 1 })
+        ).filter(Boolean).join('\n');
+
+        const declarations = [];
+        if (!ctx.envMode) {
+            const locals = [...ctx.kinds.keys()].map(name => this.localName(name));
+            if (locals.length) declarations.push(`let ${locals.join(', ')};`);
+        }
+        if (ctx.temps > 0) {
+            declarations.push(`let ${Array.from({ length: ctx.temps }, (_, i) => `t${i}`).join(', ')};`);
+        }
+        if (ctx.track) {
+            declarations.push('let c = rt.null(), last = null;');
+        }
+
+        const parts = [];
+        if (guards.length) {
+            // Проверки типов до любых побочных эффектов — при промахе вызов уходит в интерпретатор
+            parts.push(`if (!(${guards.join(' && ')})) return rt.DEOPT;`);
+        }
+        parts.push(...declarations, ...prologue, body);
+        if (ctx.track) {
+            parts.push('return last !== null ? last : c;');
+        }
+
+        return parts.filter(Boolean).join('\n');
+    }
+
+    // ========== Переменные ==========
+
+    localName(name) {
+        return `$${name}`;
+    }
+
+    isRegisterLocal(name, ctx) {
+        return !ctx.envMode && ctx.kinds.has(name);
+    }
+
+    temp(ctx) {
+        return `t${ctx.temps++}`;
+    }
+
+    readVariable(name, ctx) {
+        if (this.isRegisterLocal(name, ctx)) {
+            const kind = ctx.kinds.get(name);
+            return { code: this.localName(name), kind: kind === 'bottom' ? 'bottom' : kind };
+        }
+        return { code: `scope.get(${JSON.stringify(name)})`, kind: 'value' };
+    }
+
+    /**
+     * Запись локальной переменной; mode — 'define' (пусть/параметр), 'const' или 'assign'
+     */
+    storeLocal(name, value, ctx, mode) {
+        if (this.isRegisterLocal(name, ctx)) {
+            ctx.observed.set(name, joinKinds(ctx.observed.get(name) || 'bottom', value.kind));
+            const kind = ctx.kinds.get(name);
+            const code = PRIMITIVE_KINDS.has(kind) && value.kind === kind ? value.code : this.toValue(value);
+            return `${this.localName(name)} = ${code}`;
+        }
+
+        const key = JSON.stringify(name);
+        if (mode === 'assign') {
+            return `rt.assign(scope, ${key}, ${this.toValue(value)})`;
+        }
+        return `scope.define(${key}, ${this.toValue(value)}${mode === 'const' ? ', true' : ''})`;
+    }
+
+    // ========== Представление значений ==========
+
+    /**
+     * Значение в представлении интерпретатора (VladXObject)
+     */
+    toValue({ code, kind }) {
+        switch (kind) {
+            case 'number': return `rt.num(${code})`;
+            case 'string': return `rt.str(${code})`;
+            case 'boolean': return `rt.bool(${code})`;
+            default: return code;
+        }
+    }
+
+    /**
+     * Значение для проверки условия (как condValue в интерпретаторе)
+     */
+    toCondition({ code, kind }) {
+        return PRIMITIVE_KINDS.has(kind) ? code : `rt.raw(${code})`;
+    }
+
+    // ========== Инструкции ==========
+
+    /**
+     * Генерация кода для отдельного statement
+     * position.topLevel — инструкция верхнего уровня тела функции (для неявного результата)
+     */
+    generateStatementCode(stmt, ctx, position = {}) {
+        const sink = ctx.sinks[ctx.sinks.length - 1];
+        const complete = (valueCode) => ctx.track ? `${sink} = ${valueCode};` : '';
+
+        switch (stmt.type) {
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                return complete('rt.null()');
+
+            case 'ExpressionStatement': {
+                const value = this.generateExpressionCode(stmt.expression, ctx);
+                if (!ctx.track) {
+                    return `${value.code};`;
+                }
+                const target = position.topLevel ? `last = ${sink}` : sink;
+                return `${target} = ${this.toValue(value)};`;
+            }
+
+            case 'LetStatement':
+            case 'ConstStatement': {
+                const value = stmt.initializer ? this.generateExpressionCode(stmt.initializer, ctx) : { code: 'rt.null()', kind: 'value' };
+                const store = this.storeLocal(stmt.name, value, ctx, stmt.type === 'ConstStatement' ? 'const' : 'define');
+                if (!ctx.track) {
+                    return `${store};`;
+                }
+                return `${store};\n${complete(this.toValue(this.readVariable(stmt.name, ctx)))}`;
+            }
+
+            case 'ReturnStatement': {
+                const value = stmt.argument ? this.toValue(this.generateExpressionCode(stmt.argument, ctx)) : 'rt.null()';
+                return `return ${value};`;
+            }
+
+            case 'ThrowStatement':
+                return `rt.throwValue(${this.toValue(this.generateExpressionCode(stmt.argument, ctx))});`;
+
+            case 'BlockStatement': {
+                const body = stmt.body.map(inner => this.generateStatementCode(inner, ctx)).filter(Boolean).join('\n');
+                const code = stmt.body.length === 0 ? complete('rt.null()') : body;
+                return `{\n${code}\n}`;
+            }
+
+            case 'IfStatement': {
+                const condition = this.toCondition(this.generateExpressionCode(stmt.condition, ctx));
+                const thenCode = this.generateBranch(stmt.thenBranch, ctx);
+                const elseCode = stmt.elseBranch ? this.generateBranch(stmt.elseBranch, ctx) : complete('rt.null()');
+                return elseCode ? `if (${condition}) {\n${thenCode}\n} else {\n${elseCode}\n}` : `if (${condition}) {\n${thenCode}\n}`;
+            }
+
+            case 'WhileStatement':
+            case 'ForStatement':
+                return this.generateLoopCode(stmt, ctx, null);
+
+            case 'LabeledStatement': {
+                const label = this.labelName(stmt.label);
+                if (stmt.body.type === 'WhileStatement' || stmt.body.type === 'ForStatement') {
+                    return this.generateLoopCode(stmt.body, ctx, stmt.label);
+                }
+                ctx.labels.push({ name: stmt.label, loop: false });
+                try {
+                    const body = this.generateStatementCode(stmt.body, ctx);
+                    if (!ctx.track) {
+                        return `${label}: {\n${body}\n}`;
+                    }
+                    // Выход по "прервать метка" даёт пустой результат
+                    const finished = this.temp(ctx);
+                    return `${finished} = false;\n${label}: {\n${body}\n${finished} = true;\n}\nif (!${finished}) ${sink} = rt.null();`;
+                } finally {
+                    ctx.labels.pop();
+                }
+            }
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                return this.generateJumpCode(stmt, ctx);
+
+            case 'FunctionDeclaration':
+                return `rt.declare(nodes[${this.registerNode(stmt, ctx)}]);\n${complete('rt.null()')}`;
+
+            default:
+                throw unsupported(`инструкция '${stmt.type}'`);
+        }
+    }
+
+    generateBranch(branch, ctx) {
+        return branch.type === 'BlockStatement'
+            ? this.generateStatementCode(branch, ctx).slice(2, -2)
+            : this.generateStatementCode(branch, ctx);
+    }
+
+    labelName(label) {
+        return `L_${label}`;
+    }
+
+    /**
+     * Циклы: результат цикла — результат последней нормально завершённой итерации
+     */
+    generateLoopCode(stmt, ctx, label) {
+        const outerSink = ctx.sinks[ctx.sinks.length - 1];
+        const resultVar = ctx.track ? this.temp(ctx) : null;
+        const bodySink = ctx.track ? this.temp(ctx) : null;
+        const prefix = label ? `${this.labelName(label)}: ` : '';
+
+        let init = '';
+        if (stmt.type === 'ForStatement' && stmt.initializer && stmt.initializer.type !== 'EmptyStatement') {
+            init = this.generateStatementCode(stmt.initializer, ctx);
+        }
+
+        const condition = stmt.condition
+            ? this.toCondition(this.generateExpressionCode(stmt.condition, ctx))
+            : 'true';
+        const update = stmt.type === 'ForStatement' && stmt.update && stmt.update.type !== 'EmptyStatement'
+            ? this.generateExpressionCode(stmt.update, ctx).code
+            : '';
+
+        ctx.loops++;
+        ctx.labels.push({ name: label, loop: true });
+        if (bodySink) ctx.sinks.push(bodySink);
+        let body;
+        try {
+            body = this.generateStatementCode(stmt.body, ctx);
+        } finally {
+            ctx.loops--;
+            ctx.labels.pop();
+            if (bodySink) ctx.sinks.pop();
+        }
+
+        const lines = [];
+        if (init) lines.push(init);
+        if (resultVar) lines.push(`${resultVar} = rt.null();`);
+        const record = resultVar ? `\n${resultVar} = ${bodySink};` : '';
+        lines.push(stmt.type === 'ForStatement'
+            ? `${prefix}for (; ${condition}; ${update}) {\n${body}${record}\n}`
+            : `${prefix}while (${condition}) {\n${body}${record}\n}`);
+        if (resultVar) lines.push(`${outerSink} = ${resultVar};`);
+        return lines.join('\n');
+    }
+
+    generateJumpCode(stmt, ctx) {
+        const keyword = stmt.type === 'BreakStatement' ? 'break' : 'continue';
+
+        if (stmt.label) {
+            const target = [...ctx.labels].reverse().find(entry => entry.name === stmt.label);
+            if (!target || (keyword === 'continue' && !target.loop)) {
+                throw unsupported(`${keyword} с меткой вне тела функции`);
+            }
+            return `${keyword} ${this.labelName(stmt.label)};`;
+        }
+
+        if (ctx.loops === 0) {
+            // Интерпретатор передал бы сигнал циклу вызывающей функции
+            throw unsupported(`${keyword} вне цикла`);
+        }
+        return `${keyword};`;
+    }
+
+    registerNode(node, ctx) {
+        ctx.nodes.push(node);
+        return ctx.nodes.length - 1;
+    }
+
+    // ========== Выражения ==========
+
+    /**
+     * Генерация кода для выражений: { code, kind }
+     * kind — 'number' | 'string' | 'boolean' (распакованное значение) или 'value' (VladXObject)
+     */
+    generateExpressionCode(expr, ctx) {
+        switch (expr.type) {
+            case 'Literal':
+                return this.generateLiteral(expr.value);
+
+            case 'RegexLiteral':
+                return { code: `rt.regex(${JSON.stringify(expr.pattern)}, ${JSON.stringify(expr.flags)})`, kind: 'value' };
+
+            case 'Identifier':
+                return this.readVariable(expr.name, ctx);
+
+            case 'ThisExpression':
+                return { code: 'rt.self()', kind: 'value' };
+
+            case 'BinaryExpression':
+                if (expr.operator === '??') {
+                    return this.generateNullish(expr, ctx);
+                }
+                return this.generateBinary(expr.operator, this.generateExpressionCode(expr.left, ctx), this.generateExpressionCode(expr.right, ctx));
+
+            case 'BitwiseExpression': {
+                const left = this.generateExpressionCode(expr.left, ctx);
+                const right = this.generateExpressionCode(expr.right, ctx);
+                if (this.bothPrimitive(left, right)) {
+                    return { code: `(${left.code} ${expr.operator} ${right.code})`, kind: 'number' };
+                }
+                return { code: `rt.bitwise(${JSON.stringify(expr.operator)}, ${this.toValue(left)}, ${this.toValue(right)}).value`, kind: 'number' };
+            }
+
+            case 'UnaryExpression':
+                return this.generateUnary(expr.operator, this.generateExpressionCode(expr.operand, ctx));
+
+            case 'TernaryExpression': {
+                const condition = this.toCondition(this.generateExpressionCode(expr.condition, ctx));
+                const thenValue = this.generateExpressionCode(expr.thenExpr, ctx);
+                const elseValue = this.generateExpressionCode(expr.elseExpr, ctx);
+                if (thenValue.kind === elseValue.kind) {
+                    return { code: `(${condition} ? ${thenValue.code} : ${elseValue.code})`, kind: thenValue.kind };
+                }
+                return { code: `(${condition} ? ${this.toValue(thenValue)} : ${this.toValue(elseValue)})`, kind: 'value' };
+            }
+
+            case 'TemplateLiteral':
+                return this.generateTemplate(expr, ctx);
+
+            case 'MemberExpression': {
+                const object = this.temp(ctx);
+                return { code: `(${object} = ${this.toValue(this.generateExpressionCode(expr.object, ctx))}, ${this.generateMemberRead(object, expr, ctx)})`, kind: 'value' };
+            }
+
+            case 'CallExpression':
+                return this.generateCall(expr, ctx);
+
+            case 'NewExpression': {
+                const callee = this.toValue(this.generateExpressionCode(expr.callee, ctx));
+                const args = this.generateArguments(expr.args, ctx, false);
+                return { code: `(await rt.construct(rt.assertClass(${callee}), [${args}]))`, kind: 'value' };
+            }
+
+            case 'Assignment':
+                return this.generateAssignment(expr, ctx);
+
+            case 'MemberAssignment': {
+                const object = this.toValue(this.generateExpressionCode(expr.object, ctx));
+                const value = this.toValue(this.generateExpressionCode(expr.value, ctx));
+                const computed = expr.computed || expr.property.type !== 'Identifier';
+                if (!computed) {
+                    // Сеттер вызывается асинхронно, обычное свойство пишется сразу
+                    const objectTemp = this.temp(ctx);
+                    const valueTemp = this.temp(ctx);
+                    const key = JSON.stringify(expr.property.name);
+                    return {
+                        code: `(${objectTemp} = ${object}, ${valueTemp} = ${value}, rt.hasAccessor(${objectTemp}, ${key}) ` +
+                            `? (await rt.writeMember(${objectTemp}, ${key}, ${valueTemp})) : rt.setMember(${objectTemp}, ${valueTemp}, ${key}, false, false))`,
+                        kind: 'value'
+                    };
+                }
+                const key = this.toValue(this.generateExpressionCode(expr.property, ctx));
+                return { code: `rt.setMember(${object}, ${value}, ${key}, true, ${expr.computed === true})`, kind: 'value' };
+            }
+
+            case 'CompoundAssignmentExpression':
+                return this.generateCompound(expr, ctx);
+
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return { code: `rt.array([${this.generateArguments(expr.elements, ctx, true)}])`, kind: 'value' };
+
+            case 'ObjectExpression':
+            case 'ObjectPattern': {
+                const properties = expr.properties.map(property => {
+                    const key = property.key.value || property.key.name || String(property.key);
+                    return `[${JSON.stringify(key)}]: ${this.toValue(this.generateExpressionCode(property.value, ctx))}`;
+                });
+                return { code: `rt.object({ ${properties.join(', ')} })`, kind: 'value' };
+            }
+
+            case 'FunctionDeclaration':
+                return { code: `rt.declare(nodes[${this.registerNode(expr, ctx)}])`, kind: 'value' };
+
+            case 'ArrowFunctionExpression':
+                return { code: `rt.arrow(nodes[${this.registerNode(expr, ctx)}])`, kind: 'value' };
+
+            default:
+                throw unsupported(`выражение '${expr.type}'`);
+        }
+    }
+
+    generateLiteral(value) {
+        if (typeof value === 'number') {
+            return { code: value < 0 || Object.is(value, -0) ? `(${value})` : String(value), kind: 'number' };
+        }
+        if (typeof value === 'boolean') {
+            return { code: String(value), kind: 'boolean' };
+        }
+        if (value === null) {
+            return { code: 'rt.null()', kind: 'value' };
+        }
+        if (typeof value === 'bigint') {
+            return { code: `rt.bigint(${value}n)`, kind: 'value' };
+        }
+        if (typeof value === 'object') {
+            // Десятичное
+            return { code: `rt.decimal(${JSON.stringify(value.toString())})`, kind: 'value' };
+        }
+        return { code: JSON.stringify(String(value)), kind: 'string' };
+    }
+
+    bothPrimitive(left, right) {
+        return PRIMITIVE_KINDS.has(left.kind) && PRIMITIVE_KINDS.has(right.kind);
+    }
+
+    /**
+     * Бинарная операция: для распакованных операндов — прямой оператор JS,
+     * иначе — та же binaryOperation, что и в интерпретаторе
+     */
+    generateBinary(operator, left, right) {
+        const resultKind = this.binaryKind(operator, left.kind, right.kind);
+
+        if (this.bothPrimitive(left, right)) {
+            switch (operator) {
+                case '+':
+                    return resultKind === 'string'
+                        ? { code: `(String(${left.code}) + String(${right.code}))`, kind: 'string' }
+                        : { code: `(${left.code} + ${right.code})`, kind: 'number' };
+                case '-':
+                case '*':
+                case '%':
+                    return { code: `(${left.code} ${operator} ${right.code})`, kind: 'number' };
+                case '/':
+                    return { code: `rt.div(${left.code}, ${right.code})`, kind: 'number' };
+                case '**':
+                    return { code: `Math.pow(${left.code}, ${right.code})`, kind: 'number' };
+                case '==':
+                case '!=':
+                case '<':
+                case '>':
+                case '<=':
+                case '>=':
+                    return { code: `(${left.code} ${operator} ${right.code})`, kind: 'boolean' };
+                case '&&':
+                    return { code: `rt.and(${left.code}, ${right.code})`, kind: 'boolean' };
+                case '||':
+                    return { code: `rt.or(${left.code}, ${right.code})`, kind: 'boolean' };
+            }
+        }
+
+        const call = `rt.binary(${JSON.stringify(operator)}, ${this.toValue(left)}, ${this.toValue(right)})`;
+        return resultKind === 'value' || resultKind === 'bottom' ? { code: call, kind: resultKind } : { code: `${call}.value`, kind: resultKind };
+    }
+
+    /**
+     * a ?? b: правая часть вычисляется, только если слева ничто
+     */
+    generateNullish(expr, ctx) {
+        const left = this.generateExpressionCode(expr.left, ctx);
+        if (PRIMITIVE_KINDS.has(left.kind)) {
+            return left;
+        }
+        const value = this.temp(ctx);
+        const right = this.toValue(this.generateExpressionCode(expr.right, ctx));
+        return { code: `(rt.isNullish(${value} = ${this.toValue(left)}) ? ${right} : ${value})`, kind: 'value' };
+    }
+
+    /**
+     * Тип результата бинарной операции (как VladXObject-тип в binaryOperation)
+     */
+    binaryKind(operator, leftKind, rightKind) {
+        if (operator === '+') {
+            if (leftKind === 'bottom' || rightKind === 'bottom') return 'bottom';
+            if (leftKind === 'string' || rightKind === 'string') return 'string';
+            if (PRIMITIVE_KINDS.has(leftKind) && PRIMITIVE_KINDS.has(rightKind)) return 'number';
+            return 'value';
+        }
+        // Большие и десятичные приходят как value; число гарантировано только для чисел
+        if (['-', '*', '/', '%', '**'].includes(operator)) return leftKind === 'value' || rightKind === 'value' ? 'value' : 'number';
+        if (['==', '!=', '<', '>', '<=', '>=', '&&', '||', 'экземпляр'].includes(operator)) return 'boolean';
+        return 'value';
+    }
+
+    generateUnary(operator, operand) {
+        if (PRIMITIVE_KINDS.has(operand.kind)) {
+            switch (operator) {
+                case '-': return { code: `(-${operand.code})`, kind: 'number' };
+                case '+': return { code: `(+${operand.code})`, kind: 'number' };
+                case '!':
+                case 'не': return { code: `(!${operand.code})`, kind: 'boolean' };
+                case 'typeof': return { code: JSON.stringify(operand.kind), kind: 'string' };
+            }
+        }
+
+        const kind = { '!': 'boolean', 'не': 'boolean', 'typeof': 'string' }[operator] || 'value';
+        const call = `rt.unary(${JSON.stringify(operator)}, ${this.toValue(operand)})`;
+        return kind === 'value' ? { code: call, kind } : { code: `${call}.value`, kind };
+    }
+
+    generateTemplate(expr, ctx) {
+        const parts = [];
+        (expr.quasis || []).forEach((quasi, index) => {
+            if (quasi.value) parts.push(JSON.stringify(quasi.value));
+            if (index < expr.expressions.length) {
+                const value = this.generateExpressionCode(expr.expressions[index], ctx);
+                parts.push(PRIMITIVE_KINDS.has(value.kind) ? `String(${value.code})` : `rt.part(${value.code})`);
+            }
+        });
+        return { code: parts.length ? `(${parts.join(' + ')})` : '""', kind: 'string' };
+    }
+
+    /**
+     * Чтение свойства; объект уже вычислен во временную переменную objectTemp.
+     * Геттер вызывается асинхронно, обычное свойство читается сразу
+     */
+    generateMemberRead(objectTemp, expr, ctx) {
+        if (expr.computed) {
+            const key = this.generateExpressionCode(expr.property, ctx);
+            const keyCode = PRIMITIVE_KINDS.has(key.kind) ? key.code : `rt.raw(${key.code})`;
+            return `rt.member(${objectTemp}, ${keyCode}, true)`;
+        }
+        const key = JSON.stringify(expr.property.name);
+        const getter = this.temp(ctx);
+        return `((${getter} = rt.getter(${objectTemp}, ${key})) ? (await rt.call(${getter}, [], ${objectTemp})) : rt.member(${objectTemp}, ${key}, false))`;
+    }
+
+    /**
+     * Аргументы вызова или элементы массива (spread — по правилам интерпретатора)
+     */
+    generateArguments(items, ctx, isArray) {
+        return items.map(item => {
+            if (!item) {
+                return 'null';
+            }
+            if (item.type === 'SpreadElement') {
+                const value = this.toValue(this.generateExpressionCode(item.argument, ctx));
+                return `...(await rt.${isArray ? 'spreadElements' : 'spreadArguments'}(${value}))`;
+            }
+            return this.toValue(this.generateExpressionCode(item, ctx));
+        }).join(', ');
+    }
+
+    /**
+     * Вызов; для метода экземпляра передаётся "это", как в evaluateCallExpression
+     */
+    generateCall(expr, ctx) {
+        const callee = expr.callee;
+        let calleeCode;
+        let instanceCode = 'null';
+
+        if (callee.type === 'MemberExpression') {
+            // Объект вычисляется один раз: из него читается метод, он же — "это"
+            const temp = this.temp(ctx);
+            const object = this.toValue(this.generateExpressionCode(callee.object, ctx));
+            calleeCode = `(${temp} = ${object}, ${this.generateMemberRead(temp, callee, ctx)})`;
+            instanceCode = `rt.instanceOf(${temp})`;
+        } else {
+            calleeCode = this.toValue(this.generateExpressionCode(callee, ctx));
+        }
+
+        const args = this.generateArguments(expr.args, ctx, false);
+        return { code: `(await rt.call(${calleeCode}, [${args}], ${instanceCode}))`, kind: 'value' };
+    }
+
+    generateAssignment(expr, ctx) {
+        const value = this.generateExpressionCode(expr.value, ctx);
+
+        if (this.isRegisterLocal(expr.name, ctx)) {
+            if (ctx.consts.has(expr.name)) {
+                return { code: `(${value.code}, rt.constError(${JSON.stringify(expr.name)}))`, kind: 'value' };
+            }
+            const kind = ctx.kinds.get(expr.name);
+            const store = this.storeLocal(expr.name, value, ctx, 'assign');
+            return { code: `(${store})`, kind: PRIMITIVE_KINDS.has(kind) && value.kind === kind ? kind : 'value' };
+        }
+
+        return { code: this.storeLocal(expr.name, value, ctx, 'assign'), kind: 'value' };
+    }
+
+    /**
+     * Составное присваивание: текущее значение читается после вычисления правой части
+     */
+    generateCompound(expr, ctx) {
+        const operator = expr.operator;
+        const binaryOperator = operator.slice(0, -1);
+
+        if (expr.left.type === 'MemberExpression') {
+            const objectTemp = this.temp(ctx);
+            const rightTemp = this.temp(ctx);
+            const object = this.toValue(this.generateExpressionCode(expr.left.object, ctx));
+            const property = JSON.stringify(expr.left.property.name);
+            const right = this.toValue(this.generateExpressionCode(expr.right, ctx));
+            const args = `${objectTemp}, ${property}, ${JSON.stringify(operator)}, ${rightTemp}`;
+            return {
+                code: `(${objectTemp} = ${object}, ${rightTemp} = ${right}, rt.hasAccessor(${objectTemp}, ${property}) ` +
+                    `? (await rt.compoundAccessor(${args})) : rt.compoundMember(${args}))`,
+                kind: 'value'
+            };
+        }
+
+        const name = expr.left.name;
+        const right = this.generateExpressionCode(expr.right, ctx);
+        const temp = this.temp(ctx);
+
+        if (this.isRegisterLocal(name, ctx)) {
+            if (ctx.consts.has(name)) {
+                return { code: `(${right.code}, rt.constError(${JSON.stringify(name)}))`, kind: 'value' };
+            }
+            const current = this.readVariable(name, ctx);
+            const rightCurrent = { code: temp, kind: right.kind };
+            let result;
+
+            if (this.bothPrimitive(current, right) && binaryOperator !== '+') {
+                result = binaryOperator === '/'
+                    ? { code: `rt.div(${current.code}, ${temp})`, kind: 'number' }
+                    : { code: `(${current.code} ${binaryOperator} ${temp})`, kind: 'number' };
+            } else if (this.bothPrimitive(current, right)) {
+                result = this.generateBinary('+', current, rightCurrent);
+            } else {
+                const kind = this.binaryKind(binaryOperator, current.kind, right.kind);
+                const call = `rt.compound(${JSON.stringify(operator)}, ${this.toValue(current)}, ${this.toValue(rightCurrent)})`;
+                result = PRIMITIVE_KINDS.has(kind) ? { code: `${call}.value`, kind } : { code: call, kind };
+            }
+
+            return { code: `(${temp} = ${right.code}, ${this.storeLocal(name, result, ctx, 'assign')})`, kind: this.storedKind(name, result, ctx) };
+        }
+
+        const key = JSON.stringify(name);
+        return {
+            code: `(scope.get(${key}), ${temp} = ${this.toValue(right)}, rt.assign(scope, ${key}, rt.compound(${JSON.stringify(operator)}, scope.get(${key}), ${temp})))`,
+            kind: 'value'
+        };
+    }
+
+    storedKind(name, value, ctx) {
+        const kind = ctx.kinds.get(name);
+        return PRIMITIVE_KINDS.has(kind) && value.kind === kind ? kind : 'value';
+    }
+
+    // ========== Среда выполнения скомпилированного кода ==========
+
+    /**
+     * Служебные функции, через которые скомпилированный код обращается к интерпретатору
+     */
+    createRuntime() {
+        const interpreter = this.interpreter;
+        return {
+            DEOPT,
+            null: () => VladXObject.null(),
+            num: (value) => VladXObject.number(value),
+            bigint: (value) => VladXObject.bigint(value),
+            decimal: (value) => VladXObject.decimal(value),
+            regex: (pattern, flags) => VladXObject.regex(compileRegex(pattern, flags)),
+            str: (value) => VladXObject.string(value),
+            bool: (value) => VladXObject.boolean(value),
+            array: (items) => VladXObject.array(items),
+            object: (properties) => VladXObject.object(properties),
+            is: (value, kind) => value instanceof VladXObject && value.type === kind,
+            raw: (value) => value && value.value !== undefined ? value.value : value,
+            isNullish: (value) => interpreter.isNullish(value),
+
+            div: (left, right) => {
+                if (right === 0) throw new Error(`Деление на ноль: ${left} / ${right}`);
+                return left / right;
+            },
+            and: (left, right) => Boolean(left && right),
+            or: (left, right) => Boolean(left || right),
+            binary: (operator, left, right) => interpreter.binaryOperation(operator, left, right),
+            unary: (operator, operand) => interpreter.unaryOperation(operator, operand),
+            bitwise: (operator, left, right) => interpreter.bitwiseOperation(operator, left, right),
+            compound: (operator, current, right) => interpreter.compoundOperation(operator, current, right),
+            part: (value) => interpreter.templatePart(value),
+
+            member: (object, key, computed) => interpreter.getMember(object, key, computed),
+            setMember: (object, value, key, computedKey, computed) => {
+                const index = computedKey && key && key.value !== undefined ? key.value : key;
+                return interpreter.setMember(object, index, value, computed);
+            },
+            compoundMember: (object, property, operator, right) => {
+                const result = interpreter.compoundOperation(operator, interpreter.getMember(object, property, false), right);
+                return interpreter.setMember(object, property, result, false);
+            },
+            // Аксессоры есть только у экземпляров и классов
+            getter: (object, key) => object && (object.type === 'instance' || object.type === 'class')
+                ? interpreter.findAccessor(object, key, 'get')
+                : null,
+            hasAccessor: (object, key) => Boolean(object && (object.type === 'instance' || object.type === 'class') &&
+                (interpreter.findAccessor(object, key, 'set') || interpreter.findAccessor(object, key, 'get'))),
+            writeMember: (object, key, value) => interpreter.writeMember(object, key, value, false),
+            compoundAccessor: async (object, property, operator, right) => {
+                const current = await interpreter.readMember(object, property, false);
+                return interpreter.writeMember(object, property, interpreter.compoundOperation(operator, current, right), false);
+            },
+
+            call: (callee, args, instance) => interpreter.callValue(callee, args, instance),
+            instanceOf: (object) => object && (object.type === 'instance' || object.type === 'class') ? object : null,
+            spreadArguments: (value) => interpreter.spreadArguments(value),
+            spreadElements: (value) => interpreter.spreadElements(value),
+            assertClass: (callee) => interpreter.assertClass(callee),
+            construct: (callee, args) => interpreter.constructInstance(callee, args),
+            self: () => interpreter.evaluateThisExpression(),
+
+            enter: (scope) => {
+                interpreter.currentEnv = scope;
+            },
+            declare: (node) => interpreter.evaluateFunctionDeclaration(node),
+            arrow: (node) => interpreter.evaluateArrowFunctionExpression(node),
+            assign: (scope, name, value) => {
+                scope.assign(name, value);
+                return value;
+            },
+            constError: (name) => {
+                throw new Error(`Нельзя изменить константу ${name}`);
+            },
+            throwValue: (value) => {
+                const val = value && value.value !== undefined ? value.value : value;
+                throw new Error(String(val));
+            }
+        };
+    }
+
+    /**
+     * Очистка кэша скомпилированных функций
+     */
+    clearCache() {
+        this.compiledFunctions.clear();
+        this.functionCallCounts.clear();
+        this.profiles = new WeakMap();
+    }
+
+    /**
+     * Горячая перезагрузка — очистка устаревших компиляций
+     */
+    hotReload() {
+        if (!this.hotReloadEnabled) return;
+
+        const now = Date.now();
+        const staleThreshold = 5 * 60 * 1000; // 5 минут
+
+        for (const [name, data] of this.compiledFunctions) {
+            if (now - data.compiledAt > staleThreshold) {
+                this.compiledFunctions.delete(name);
+                const profile = this.profiles.get(data.originalNode.body);
+                if (profile) profile.compiled = null;
+            }
+        }
+    }
+
+    /**
+     * Получение статистики JIT компиляции
+     */
+    getStats() {
+        return {
+            compiledFunctionsCount: this.compiledFunctions.size,
+            functionCallCounts: Object.fromEntries(this.functionCallCounts),
+            compilationThreshold: this.compilationThreshold,
+            ...this.stats,
+            mismatches: this.mismatches.length
+        };
+    }
+}
+return { JITCompiler };
+})();
+
+// Module: engine/bytecode.js
+const __vx_m13 = (() => {
+/**
+ * VladX Bytecode — Формат байт-кода стековой виртуальной машины
+ * Код функции — плоский массив Int32: код операции, за которым следуют её операнды
+ * (индексы в таблице констант, адреса переходов, счётчики)
+ */
+
+// [имя, число операндов]
+const definitions = [
+    // Стек и константы
+    ['CONST', 1],          // k — положить constants[k]
+    ['NULL', 0],
+    ['POP', 0],
+    ['DUP', 0],
+
+    // Переменные (Environment, как в интерпретаторе) и служебные ячейки кадра
+    ['LOAD', 1],           // k — имя
+    ['DEFINE', 1],         // k — имя; снимает значение
+    ['DEFINE_CONST', 1],
+    ['STORE', 1],          // k — имя; присваивание, значение остаётся на стеке
+    ['LOAD_TEMP', 1],      // t
+    ['STORE_TEMP', 1],     // t — снимает значение
+
+    // Операторы
+    ['ADD', 0], ['SUB', 0], ['MUL', 0], ['DIV', 0], ['MOD', 0], ['POW', 0],
+    ['EQ', 0], ['NE', 0], ['LT', 0], ['GT', 0], ['LE', 0], ['GE', 0],
+    ['AND', 0], ['OR', 0],
+    ['NEG', 0], ['POS', 0], ['NOT', 0],
+    ['UNARY', 1],          // k — оператор
+    ['BITWISE', 1],        // k — оператор
+    ['COMPOUND', 1],       // k — оператор; стек: правая часть, текущее значение
+
+    // Переходы
+    ['JUMP', 1],           // адрес
+    ['JUMP_IF_FALSE', 1],  // адрес; снимает условие
+
+    // Свойства
+    ['GET_FIELD', 1],      // k — имя свойства; объект
+    ['GET_INDEX', 0],      // объект, ключ
+    ['SET_FIELD', 1],      // k — имя; объект, значение
+    ['SET_INDEX', 1],      // computed; объект, значение, ключ
+
+    // Составные значения
+    ['ARRAY', 1],          // n элементов
+    ['LIST', 0],           // пустой список аргументов/элементов
+    ['LIST_PUSH', 0],
+    ['LIST_SPREAD_ARGS', 0],
+    ['LIST_SPREAD_ELEMENTS', 0],
+    ['LIST_TO_ARRAY', 0],
+    ['OBJECT', 2],         // k — ключи, n значений
+    ['TEMPLATE', 2],       // k — текстовые части, n значений
+
+    // Функции и классы
+    ['CLOSURE', 1],        // k — узел FunctionDeclaration
+    ['ARROW', 1],          // k — узел ArrowFunctionExpression
+    ['THIS', 0],
+    ['CALL', 2],           // n аргументов, есть ли объект-владелец
+    ['CALL_LIST', 1],      // есть ли объект-владелец; аргументы — список
+    ['ASSERT_CLASS', 0],
+    ['NEW', 1],            // n аргументов
+    ['AWAIT', 0],
+    ['IMPLICIT_RESULT', 2], // t — последнее выражение, t — последняя инструкция
+    ['RETURN', 0],
+    ['THROW', 0],
+
+    // Управление потоком через обработчики кадра
+    ['SIGNAL', 2],         // 0 — прервать, 1 — продолжить; k — метка или -1
+    ['ENTER_LOOP', 1],     // k — описание цикла
+    ['ENTER_LABEL', 1],    // k — описание метки
+    ['ENTER_TRY', 1],      // адрес перехвата
+    ['EXIT_HANDLER', 1],   // глубина стека обработчиков
+    ['CATCH', 2],          // k — имя параметра или -1, t — ячейка для внешнего окружения
+    ['LEAVE_CATCH', 1],    // t
+
+    // Перебор для-из / для-в
+    ['SAVE_ENV', 1],       // t
+    ['RESTORE_ENV', 1],    // t
+    ['CHILD_ENV', 2],      // t, k — имя окружения
+    ['ITER', 2],           // 0 — из, 1 — в; t
+    ['ITER_NEXT', 2],      // t, адрес выхода
+    ['ITER_CLOSE', 1],     // t
+    ['BIND_PATTERN', 2],   // k — образец, константа ли
+
+    // Параметры
+    ['PARAM', 2],          // индекс, k — имя
+    ['PARAM_REST', 2],
+    ['PARAM_DEFAULT', 3],  // индекс, k — имя, адрес после значения по умолчанию
+
+    // Делегирование интерпретатору
+    ['EVAL', 2],           // k — инструкция, оставить ли результат
+    ['EVAL_EXPR', 1]       // k — выражение
+];
+
+const OpCode = {};
+const OpInfo = [];
+
+definitions.forEach(([name, operands], code) => {
+    OpCode[name] = code;
+    OpInfo[code] = { name, operands };
+});
+
+/**
+ * Скомпилированная функция (или программа)
+ */
+class BytecodeFunction {
+    constructor(name, code, constants, tempCount) {
+        this.name = name;
+        this.code = code;
+        this.constants = constants;
+        this.tempCount = tempCount;
+    }
+}
+
+/**
+ * Текстовое представление байт-кода для отладки
+ */
+function disassemble(fn) {
+    const lines = [`== ${fn.name} ==`];
+    const code = fn.code;
+    let pc = 0;
+
+    while (pc < code.length) {
+        const info = OpInfo[code[pc]];
+        const operands = Array.from(code.subarray(pc + 1, pc + 1 + info.operands));
+        const constant = ['CONST', 'LOAD', 'DEFINE', 'DEFINE_CONST', 'STORE', 'GET_FIELD', 'SET_FIELD', 'UNARY', 'BITWISE', 'COMPOUND'].includes(info.name)
+            ? `  ; ${describeConstant(fn.constants[operands[0]])}`
+            : '';
+        lines.push(`${String(pc).padStart(5)}  ${info.name.padEnd(20)} ${operands.join(' ')}${constant}`);
+        pc += 1 + info.operands;
+    }
+
+    return lines.join('\n');
+}
+
+function describeConstant(value) {
+    if (value && typeof value === 'object' && 'type' in value && 'value' in value) {
+        return JSON.stringify(value.value);
+    }
+    return JSON.stringify(value);
+}
+return { OpCode, OpInfo, BytecodeFunction, disassemble };
+})();
+
+// Module: engine/bytecode-compiler.js
+const __vx_m14 = (() => {
+/**
+ * VladX Bytecode Compiler — Компиляция AST в байт-код стековой виртуальной машины
+ * Переменные остаются в окружениях Environment, как в интерпретаторе, поэтому конструкции,
+ * для которых нет байт-кода (классы, выбор, импорт, сопоставить), выполняет интерпретатор
+ * через операции EVAL/EVAL_EXPR прямо в окружении кадра
+ */
+
+const { OpCode, BytecodeFunction } = __vx_m13;
+const { VladXObject } = __vx_m6;
+
+// Инструкции, которые всегда выполняет интерпретатор
+const DELEGATED_STATEMENTS = new Set([
+    'ClassDeclaration', 'EnumDeclaration', 'SwitchStatement', 'ImportStatement', 'ExportStatement', 'VariableDeclarationWithPattern'
+]);
+
+const BINARY_OPS = {
+    '+': OpCode.ADD, '-': OpCode.SUB, '*': OpCode.MUL, '/': OpCode.DIV, '%': OpCode.MOD, '**': OpCode.POW,
+    '==': OpCode.EQ, '!=': OpCode.NE, '<': OpCode.LT, '>': OpCode.GT, '<=': OpCode.LE, '>=': OpCode.GE,
+    '&&': OpCode.AND, '||': OpCode.OR
+};
+
+const UNARY_OPS = { '-': OpCode.NEG, '+': OpCode.POS, '!': OpCode.NOT };
+
+class BytecodeCompiler {
+    /**
+     * Компиляция тела программы: результат — значение последней непустой инструкции
+     */
+    compileProgram(program, name = '<program>') {
+        this.reset();
+
+        const statements = program.body.filter(statement => statement.type !== 'EmptyStatement');
+        statements.forEach((statement, index) => {
+            this.compileStatement(statement, index === statements.length - 1);
+        });
+        if (statements.length === 0) {
+            this.emit(OpCode.NULL);
+        }
+        this.emit(OpCode.RETURN);
+
+        return this.finish(name);
+    }
+
+    /**
+     * Компиляция функции (объявление, стрелочная функция или метод класса)
+     * Неявный результат — значение последнего выражения верхнего уровня тела, как в executeFunction
+     */
+    compileFunction(ast, name = '<anonymous>') {
+        this.reset();
+
+        (ast.params || []).forEach((param, index) => this.compileParam(param, index));
+
+        const statements = (ast.body && ast.body.body) || [];
+        if (statements.length === 0) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.RETURN);
+            return this.finish(name);
+        }
+
+        const lastExpression = this.temp();
+        const lastResult = this.temp();
+        this.emit(OpCode.CONST, this.constant(null));
+        this.emit(OpCode.STORE_TEMP, lastExpression);
+
+        statements.forEach((statement, index) => {
+            const isExpression = statement.type === 'ExpressionStatement';
+            const isLast = index === statements.length - 1;
+            this.compileStatement(statement, isExpression || isLast);
+            if (isExpression && isLast) this.emit(OpCode.DUP);
+            if (isExpression) this.emit(OpCode.STORE_TEMP, lastExpression);
+            if (isLast) this.emit(OpCode.STORE_TEMP, lastResult);
+        });
+        this.emit(OpCode.IMPLICIT_RESULT, lastExpression, lastResult);
+        this.emit(OpCode.RETURN);
+
+        return this.finish(name);
+    }
+
+    reset() {
+        this.code = [];
+        this.constants = [];
+        this.constantIndex = new Map();
+        this.tempCount = 0;
+        this.depth = 0; // Глубина стека обработчиков кадра (циклы, метки, попытка)
+        this.targets = []; // Цели прервать/продолжить внутри функции
+    }
+
+    finish(name) {
+        return new BytecodeFunction(name, Int32Array.from(this.code), this.constants, this.tempCount);
+    }
+
+    // ========== Кодирование ==========
+
+    emit(op, ...operands) {
+        this.code.push(op, ...operands);
+        return this.code.length - 1;
+    }
+
+    /**
+     * Переход с адресом, который будет заполнен позже; возвращает позицию операнда
+     */
+    emitJump(op) {
+        this.code.push(op, -1);
+        return this.code.length - 1;
+    }
+
+    patch(position, target = this.code.length) {
+        this.code[position] = target;
+    }
+
+    here() {
+        return this.code.length;
+    }
+
+    constant(value) {
+        const primitive = value === null || typeof value !== 'object';
+        const key = primitive ? `${typeof value}:${String(value)}` : null;
+        if (key !== null && this.constantIndex.has(key)) {
+            return this.constantIndex.get(key);
+        }
+
+        this.constants.push(value);
+        const index = this.constants.length - 1;
+        if (key !== null) this.constantIndex.set(key, index);
+        return index;
+    }
+
+    temp() {
+        return this.tempCount++;
+    }
+
+    // ========== Параметры ==========
+
+    compileParam(param, index) {
+        if (param.type === 'RestElement') {
+            this.emit(OpCode.PARAM_REST, index, this.constant(param.argument.name));
+        } else if (param.type === 'AssignmentPattern') {
+            const skip = this.emit(OpCode.PARAM_DEFAULT, index, this.constant(param.left.name), -1);
+            this.compileExpression(param.right);
+            this.emit(OpCode.DEFINE, this.constant(param.left.name));
+            this.patch(skip);
+        } else {
+            this.emit(OpCode.PARAM, index, this.constant(param.name));
+        }
+    }
+
+    // ========== Инструкции ==========
+
+    /**
+     * Компиляция инструкции; needValue — оставить на стеке её значение (как evaluateStatement)
+     */
+    compileStatement(stmt, needValue = false) {
+        if (!stmt) {
+            if (needValue) this.emit(OpCode.NULL);
+            return;
+        }
+
+        if (DELEGATED_STATEMENTS.has(stmt.type)) {
+            this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+            return;
+        }
+
+        switch (stmt.type) {
+            case 'ExpressionStatement':
+                this.compileExpression(stmt.expression);
+                if (!needValue) this.emit(OpCode.POP);
+                return;
+
+            case 'LetStatement':
+            case 'ConstStatement':
+                if (stmt.type === 'ConstStatement' && !stmt.initializer) {
+                    // Сообщение об ошибке формирует интерпретатор
+                    this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+                    return;
+                }
+                if (stmt.initializer) {
+                    this.compileExpression(stmt.initializer);
+                } else {
+                    this.emit(OpCode.NULL);
+                }
+                if (needValue) this.emit(OpCode.DUP);
+                this.emit(stmt.type === 'ConstStatement' ? OpCode.DEFINE_CONST : OpCode.DEFINE, this.constant(stmt.name));
+                return;
+
+            case 'ReturnStatement':
+                if (stmt.argument) {
+                    this.compileExpression(stmt.argument);
+                } else {
+                    this.emit(OpCode.NULL);
+                }
+                this.emit(OpCode.RETURN);
+                return;
+
+            case 'ThrowStatement':
+                this.compileExpression(stmt.argument);
+                this.emit(OpCode.THROW);
+                return;
+
+            case 'BlockStatement':
+                this.compileStatements(stmt.body || [], needValue);
+                return;
+
+            case 'IfStatement': {
+                this.compileExpression(stmt.condition);
+                const toElse = this.emitJump(OpCode.JUMP_IF_FALSE);
+                this.compileStatement(stmt.thenBranch, needValue);
+                const toEnd = this.emitJump(OpCode.JUMP);
+                this.patch(toElse);
+                if (stmt.elseBranch) {
+                    this.compileStatement(stmt.elseBranch, needValue);
+                } else if (needValue) {
+                    this.emit(OpCode.NULL);
+                }
+                this.patch(toEnd);
+                return;
+            }
+
+            case 'WhileStatement':
+            case 'ForStatement':
+            case 'ForOfStatement':
+            case 'ForInStatement':
+                this.compileLoop(stmt, null, needValue);
+                return;
+
+            case 'LabeledStatement':
+                if (['WhileStatement', 'ForStatement', 'ForOfStatement', 'ForInStatement'].includes(stmt.body.type)) {
+                    this.compileLoop(stmt.body, stmt.label, needValue);
+                } else {
+                    this.compileLabeled(stmt, needValue);
+                }
+                return;
+
+            case 'BreakStatement':
+            case 'ContinueStatement':
+                this.compileJump(stmt);
+                return;
+
+            case 'FunctionDeclaration':
+                this.emit(OpCode.CLOSURE, this.constant(stmt));
+                if (!needValue) this.emit(OpCode.POP);
+                return;
+
+            case 'TryStatement':
+                if (this.canCompileTry(stmt)) {
+                    this.compileTry(stmt, needValue);
+                } else {
+                    this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+                }
+                return;
+
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                if (needValue) this.emit(OpCode.NULL);
+                return;
+
+            default:
+                this.emit(OpCode.EVAL, this.constant(stmt), needValue ? 1 : 0);
+        }
+    }
+
+    compileStatements(statements, needValue) {
+        statements.forEach((statement, index) => this.compileStatement(statement, needValue && index === statements.length - 1));
+        if (statements.length === 0 && needValue) {
+            this.emit(OpCode.NULL);
+        }
+    }
+
+    /**
+     * Циклы: значение цикла — значение тела последней нормально завершённой итерации
+     */
+    compileLoop(stmt, label, needValue) {
+        const isIteration = stmt.type === 'ForOfStatement' || stmt.type === 'ForInStatement';
+        const result = needValue ? this.temp() : -1;
+        let iterTemp = -1;
+        let envTemp = -1;
+
+        if (stmt.type === 'ForStatement' && stmt.initializer && stmt.initializer.type !== 'EmptyStatement') {
+            this.compileStatement(stmt.initializer, false);
+        }
+        if (isIteration) {
+            iterTemp = this.temp();
+            envTemp = this.temp();
+            this.compileExpression(stmt.right);
+            this.emit(OpCode.ITER, stmt.type === 'ForInStatement' ? 1 : 0, iterTemp);
+            this.emit(OpCode.SAVE_ENV, envTemp);
+        }
+        if (needValue) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.STORE_TEMP, result);
+        }
+
+        // Сигналы прервать/продолжить цикл перехватывает только внутри тела (bodyStart..continuePc)
+        const descriptor = { label, breakPc: -1, continuePc: -1, bodyStart: -1, iterTemp };
+        this.emit(OpCode.ENTER_LOOP, this.constant(descriptor));
+        const target = { type: 'loop', label, depth: this.depth, breaks: [], continues: [], iterTemp, envTemp };
+        this.depth++;
+        this.targets.push(target);
+
+        const top = this.here();
+        let exitJump = -1;
+        if (isIteration) {
+            this.emit(OpCode.ITER_NEXT, iterTemp, -1);
+            exitJump = this.code.length - 1;
+            descriptor.bodyStart = this.here();
+            this.emit(OpCode.CHILD_ENV, envTemp, this.constant(stmt.type === 'ForInStatement' ? '<for-in>' : '<for-of>'));
+            this.compileLoopBinding(stmt);
+        } else if (stmt.type === 'WhileStatement' || stmt.condition) {
+            this.compileExpression(stmt.condition);
+            exitJump = this.emitJump(OpCode.JUMP_IF_FALSE);
+        }
+        if (descriptor.bodyStart < 0) descriptor.bodyStart = this.here();
+
+        this.compileStatement(stmt.body, needValue);
+        if (needValue) this.emit(OpCode.STORE_TEMP, result);
+
+        this.targets.pop();
+        this.depth--;
+
+        descriptor.continuePc = this.here();
+        if (target.continues.length > 0) {
+            this.emit(OpCode.EXIT_HANDLER, target.depth + 1);
+        }
+        target.continues.forEach(position => this.patch(position, descriptor.continuePc));
+        if (stmt.type === 'ForStatement' && stmt.update && stmt.update.type !== 'EmptyStatement') {
+            this.compileExpression(stmt.update);
+            this.emit(OpCode.POP);
+        }
+        this.emit(OpCode.JUMP, top);
+
+        descriptor.breakPc = this.here();
+        if (exitJump >= 0) this.patch(exitJump, descriptor.breakPc);
+        target.breaks.forEach(position => this.patch(position, descriptor.breakPc));
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        if (isIteration) {
+            this.emit(OpCode.RESTORE_ENV, envTemp);
+            this.emit(OpCode.ITER_CLOSE, iterTemp);
+        }
+        if (needValue) this.emit(OpCode.LOAD_TEMP, result);
+    }
+
+    /**
+     * Привязка элемента к переменной заголовка для-из / для-в (как bindLoopTarget)
+     */
+    compileLoopBinding(stmt) {
+        if (stmt.kind && stmt.left.type === 'Identifier') {
+            this.emit(stmt.kind === 'const' ? OpCode.DEFINE_CONST : OpCode.DEFINE, this.constant(stmt.left.name));
+        } else if (stmt.kind) {
+            this.emit(OpCode.BIND_PATTERN, this.constant(stmt.left), stmt.kind === 'const' ? 1 : 0);
+        } else if (stmt.left.type === 'Identifier') {
+            this.emit(OpCode.STORE, this.constant(stmt.left.name));
+            this.emit(OpCode.POP);
+        } else {
+            this.emit(OpCode.BIND_PATTERN, this.constant(stmt.left), 2);
+        }
+    }
+
+    /**
+     * Метка не у цикла: "прервать метка" завершает инструкцию с пустым значением
+     */
+    compileLabeled(stmt, needValue) {
+        const descriptor = { label: stmt.label, breakPc: -1 };
+        this.emit(OpCode.ENTER_LABEL, this.constant(descriptor));
+        const target = { type: 'label', label: stmt.label, depth: this.depth, breaks: [] };
+        this.depth++;
+        this.targets.push(target);
+
+        this.compileStatement(stmt.body, needValue);
+
+        this.targets.pop();
+        this.depth--;
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        const toEnd = this.emitJump(OpCode.JUMP);
+
+        descriptor.breakPc = this.here();
+        target.breaks.forEach(position => this.patch(position, descriptor.breakPc));
+        this.emit(OpCode.EXIT_HANDLER, target.depth);
+        if (needValue) this.emit(OpCode.NULL);
+        this.patch(toEnd);
+    }
+
+    /**
+     * прервать/продолжить: прямой переход к циклу этой же функции,
+     * иначе — сигнал, который разбирают обработчики кадров (как исключение в интерпретаторе)
+     */
+    compileJump(stmt) {
+        const isBreak = stmt.type === 'BreakStatement';
+        let index = this.targets.length - 1;
+
+        for (; index >= 0; index--) {
+            const target = this.targets[index];
+            if (stmt.label) {
+                if (target.label === stmt.label && (isBreak || target.type === 'loop')) break;
+            } else if (target.type === 'loop') {
+                break;
+            }
+        }
+
+        if (index < 0) {
+            this.emit(OpCode.SIGNAL, isBreak ? 0 : 1, stmt.label ? this.constant(stmt.label) : -1);
+            return;
+        }
+
+        // Покидаемые циклы перебора восстанавливают окружение и закрывают итераторы
+        for (let inner = this.targets.length - 1; inner > index; inner--) {
+            const target = this.targets[inner];
+            if (target.type === 'loop' && target.iterTemp >= 0) {
+                this.emit(OpCode.RESTORE_ENV, target.envTemp);
+                this.emit(OpCode.ITER_CLOSE, target.iterTemp);
+            }
+        }
+
+        const target = this.targets[index];
+        const position = this.emitJump(OpCode.JUMP);
+        (isBreak ? target.breaks : target.continues).push(position);
+    }
+
+    /**
+     * попытка компилируется, только если из неё не выходят вернуть/прервать/продолжить:
+     * в интерпретаторе такие выходы проходят через перехват, и эту семантику выполняет он сам
+     */
+    canCompileTry(stmt) {
+        let escapes = false;
+
+        const visit = (node, loops, labels) => {
+            if (escapes || !node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(child => visit(child, loops, labels));
+                return;
+            }
+
+            switch (node.type) {
+                case 'FunctionDeclaration':
+                case 'ArrowFunctionExpression':
+                case 'ClassDeclaration':
+                    return;
+                case 'ReturnStatement':
+                case 'YieldExpression':
+                    escapes = true;
+                    return;
+                case 'BreakStatement':
+                    if (node.label ? !labels.includes(node.label) : loops === 0) escapes = true;
+                    return;
+                case 'ContinueStatement':
+                    if (node.label ? !labels.includes(node.label) : loops === 0) escapes = true;
+                    return;
+                case 'WhileStatement':
+                case 'ForStatement':
+                case 'ForOfStatement':
+                case 'ForInStatement':
+                    for (const [key, value] of Object.entries(node)) {
+                        if (key !== 'type' && value && typeof value === 'object') visit(value, loops + 1, labels);
+                    }
+                    return;
+                case 'SwitchStatement':
+                    // Неименованный прервать внутри выбор завершает выбор
+                    for (const [key, value] of Object.entries(node)) {
+                        if (key !== 'type' && value && typeof value === 'object') visit(value, loops + 1, labels);
+                    }
+                    return;
+                case 'LabeledStatement':
+                    visit(node.body, loops, [...labels, node.label]);
+                    return;
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') visit(value, loops, labels);
+            }
+        };
+
+        visit([stmt.block, stmt.handler, stmt.finalizer], 0, []);
+        return !escapes;
+    }
+
+    /**
+     * попытка/перехват/наконец с семантикой evaluateTryStatement: перехват получает строку ошибки,
+     * ошибка без перехвата поглощается, наконец выполняется после попытки или перехвата
+     */
+    compileTry(stmt, needValue) {
+        const result = needValue ? this.temp() : -1;
+        const storeEach = (statements) => {
+            statements.forEach(statement => {
+                this.compileStatement(statement, needValue);
+                if (needValue) this.emit(OpCode.STORE_TEMP, result);
+            });
+        };
+
+        if (needValue) {
+            this.emit(OpCode.NULL);
+            this.emit(OpCode.STORE_TEMP, result);
+        }
+
+        const depth = this.depth;
+        const toCatch = this.emitJump(OpCode.ENTER_TRY);
+        this.depth++;
+        storeEach((stmt.block && stmt.block.body) || []);
+        this.depth--;
+        this.emit(OpCode.EXIT_HANDLER, depth);
+        const toFinally = this.emitJump(OpCode.JUMP);
+
+        this.patch(toCatch);
+        if (stmt.handler) {
+            const outerEnv = this.temp();
+            this.emit(OpCode.CATCH, stmt.handler.param ? this.constant(stmt.handler.param) : -1, outerEnv);
+            storeEach((stmt.handler.body && stmt.handler.body.body) || []);
+            this.emit(OpCode.LEAVE_CATCH, outerEnv);
+        }
+
+        this.patch(toFinally);
+        if (stmt.finalizer) {
+            storeEach(stmt.finalizer.body || []);
+        }
+        if (needValue) this.emit(OpCode.LOAD_TEMP, result);
+    }
+
+    // ========== Выражения ==========
+
+    /**
+     * Компиляция выражения: на стеке остаётся ровно одно значение
+     */
+    compileExpression(expr) {
+        if (!expr) {
+            this.emit(OpCode.NULL);
+            return;
+        }
+
+        switch (expr.type) {
+            case 'Literal':
+                this.emit(OpCode.CONST, this.constant(this.literal(expr.value)));
+                return;
+
+            case 'Identifier':
+                this.emit(OpCode.LOAD, this.constant(expr.name));
+                return;
+
+            case 'ThisExpression':
+                this.emit(OpCode.THIS);
+                return;
+
+            case 'BinaryExpression':
+                if (!BINARY_OPS[expr.operator]) break;
+                this.compileExpression(expr.left);
+                this.compileExpression(expr.right);
+                this.emit(BINARY_OPS[expr.operator]);
+                return;
+
+            case 'UnaryExpression':
+                this.compileExpression(expr.operand);
+                if (UNARY_OPS[expr.operator] !== undefined) {
+                    this.emit(UNARY_OPS[expr.operator]);
+                } else {
+                    this.emit(OpCode.UNARY, this.constant(expr.operator));
+                }
+                return;
+
+            case 'BitwiseExpression':
+                this.compileExpression(expr.left);
+                this.compileExpression(expr.right);
+                this.emit(OpCode.BITWISE, this.constant(expr.operator));
+                return;
+
+            case 'TernaryExpression': {
+                this.compileExpression(expr.condition);
+                const toElse = this.emitJump(OpCode.JUMP_IF_FALSE);
+                this.compileExpression(expr.thenExpr);
+                const toEnd = this.emitJump(OpCode.JUMP);
+                this.patch(toElse);
+                this.compileExpression(expr.elseExpr);
+                this.patch(toEnd);
+                return;
+            }
+
+            case 'SequenceExpression': {
+                const expressions = expr.expressions || [];
+                if (expressions.length === 0) {
+                    this.emit(OpCode.NULL);
+                    return;
+                }
+                expressions.forEach((item, index) => {
+                    this.compileExpression(item);
+                    if (index < expressions.length - 1) this.emit(OpCode.POP);
+                });
+                return;
+            }
+
+            case 'TemplateLiteral': {
+                if (!expr.expressions) {
+                    this.emit(OpCode.CONST, this.constant(VladXObject.string('')));
+                    return;
+                }
+                const quasis = (expr.quasis || []).map(quasi => quasi.value || '');
+                const count = Math.min(expr.expressions.length, quasis.length);
+                for (let i = 0; i < count; i++) {
+                    this.compileExpression(expr.expressions[i]);
+                }
+                this.emit(OpCode.TEMPLATE, this.constant(quasis), count);
+                return;
+            }
+
+            case 'MemberExpression':
+                this.compileExpression(expr.object);
+                this.compileMemberAccess(expr);
+                return;
+
+            case 'CallExpression':
+                this.compileCall(expr);
+                return;
+
+            case 'NewExpression':
+                if (expr.args.some(arg => arg && arg.type === 'SpreadElement')) break;
+                this.compileExpression(expr.callee);
+                this.emit(OpCode.ASSERT_CLASS);
+                expr.args.forEach(arg => this.compileExpression(arg));
+                this.emit(OpCode.NEW, expr.args.length);
+                return;
+
+            case 'Assignment':
+                this.compileExpression(expr.value);
+                if (expr.name) {
+                    this.emit(OpCode.STORE, this.constant(expr.name));
+                }
+                return;
+
+            case 'MemberAssignment':
+                this.compileExpression(expr.object);
+                this.compileExpression(expr.value);
+                if (expr.computed || expr.property.type !== 'Identifier') {
+                    this.compileExpression(expr.property);
+                    this.emit(OpCode.SET_INDEX, expr.computed ? 1 : 0);
+                } else {
+                    this.emit(OpCode.SET_FIELD, this.constant(expr.property.name));
+                }
+                return;
+
+            case 'CompoundAssignmentExpression':
+                if (this.compileCompound(expr)) return;
+                break;
+
+            case 'AwaitExpression':
+                this.compileExpression(expr.argument);
+                this.emit(OpCode.AWAIT);
+                return;
+
+            case 'ArrayExpression':
+            case 'ArrayPattern': {
+                const elements = expr.elements || [];
+                const hasSpread = elements.some(element => element && element.type === 'SpreadElement');
+                if (hasSpread && expr.type === 'ArrayPattern') break;
+                this.compileList(elements, hasSpread, OpCode.LIST_SPREAD_ELEMENTS);
+                this.emit(hasSpread ? OpCode.LIST_TO_ARRAY : OpCode.ARRAY, ...(hasSpread ? [] : [elements.length]));
+                return;
+            }
+
+            case 'ObjectExpression':
+            case 'ObjectPattern': {
+                const properties = (expr.properties || []).filter(Boolean);
+                if (properties.some(property => !property.key)) break;
+                const keys = properties.map(property => property.key.value || property.key.name || String(property.key));
+                properties.forEach(property => this.compileExpression(property.value));
+                this.emit(OpCode.OBJECT, this.constant(keys), properties.length);
+                return;
+            }
+
+            case 'FunctionDeclaration':
+                this.emit(OpCode.CLOSURE, this.constant(expr));
+                return;
+
+            case 'ArrowFunctionExpression':
+                this.emit(OpCode.ARROW, this.constant(expr));
+                return;
+        }
+
+        // Всё остальное (сопоставить, импорт(), супер, выдать...) вычисляет интерпретатор
+        this.emit(OpCode.EVAL_EXPR, this.constant(expr));
+    }
+
+    literal(value) {
+        if (typeof value === 'number') return VladXObject.number(value);
+        if (typeof value === 'boolean') return VladXObject.boolean(value);
+        if (value === null) return VladXObject.null();
+        if (typeof value === 'string') return VladXObject.string(value);
+        // большое и десятичное
+        return VladXObject.fromJS(value);
+    }
+
+    compileMemberAccess(expr) {
+        if (expr.computed) {
+            this.compileExpression(expr.property);
+            this.emit(OpCode.GET_INDEX);
+        } else {
+            this.emit(OpCode.GET_FIELD, this.constant(expr.property.name));
+        }
+    }
+
+    /**
+     * Элементы или аргументы; со spread собираются в список операциями LIST_*
+     */
+    compileList(items, hasSpread, spreadOp) {
+        if (hasSpread) {
+            this.emit(OpCode.LIST);
+        }
+        for (const item of items) {
+            if (!item) {
+                this.emit(OpCode.CONST, this.constant(null));
+            } else if (item.type === 'SpreadElement') {
+                this.compileExpression(item.argument);
+                this.emit(spreadOp);
+                continue;
+            } else {
+                this.compileExpression(item);
+            }
+            if (hasSpread) this.emit(OpCode.LIST_PUSH);
+        }
+    }
+
+    /**
+     * Вызов; для obj.метод() объект вычисляется, как в evaluateCallExpression,
+     * дважды — для "это" и для самого метода (простые имена — один раз)
+     */
+    compileCall(expr) {
+        const callee = expr.callee;
+        let hasOwner = 0;
+
+        if (callee.type === 'MemberExpression') {
+            hasOwner = 1;
+            this.compileExpression(callee.object);
+            if (['Identifier', 'ThisExpression'].includes(callee.object.type)) {
+                this.emit(OpCode.DUP);
+            } else {
+                this.compileExpression(callee.object);
+            }
+            this.compileMemberAccess(callee);
+        } else {
+            this.compileExpression(callee);
+        }
+
+        const hasSpread = expr.args.some(arg => arg && arg.type === 'SpreadElement');
+        this.compileList(expr.args, hasSpread, OpCode.LIST_SPREAD_ARGS);
+        if (hasSpread) {
+            this.emit(OpCode.CALL_LIST, hasOwner);
+        } else {
+            this.emit(OpCode.CALL, expr.args.length, hasOwner);
+        }
+    }
+
+    /**
+     * Составное присваивание имени или obj.имя; текущее значение читается после правой части
+     */
+    compileCompound(expr) {
+        // ??= не вычисляет правую часть, если значение уже есть, — это делает интерпретатор
+        if (expr.operator === '??=') return false;
+        const operator = this.constant(expr.operator);
+
+        if (expr.left.type === 'Identifier') {
+            const name = this.constant(expr.left.name);
+            this.emit(OpCode.LOAD, name);
+            this.emit(OpCode.POP);
+            this.compileExpression(expr.right);
+            this.emit(OpCode.LOAD, name);
+            this.emit(OpCode.COMPOUND, operator);
+            this.emit(OpCode.STORE, name);
+            return true;
+        }
+
+        // Объект вычисляется один раз; чтение и запись идут через геттер и сеттер
+        if (expr.left.type === 'MemberExpression' && !expr.left.computed) {
+            const property = this.constant(expr.left.property.name);
+            const object = this.temp();
+            this.compileExpression(expr.left.object);
+            this.emit(OpCode.STORE_TEMP, object);
+            this.emit(OpCode.LOAD_TEMP, object);
+            this.compileExpression(expr.right);
+            this.emit(OpCode.LOAD_TEMP, object);
+            this.emit(OpCode.GET_FIELD, property);
+            this.emit(OpCode.COMPOUND, operator);
+            this.emit(OpCode.SET_FIELD, property);
+            return true;
+        }
+
+        return false;
+    }
+}
+return { BytecodeCompiler };
+})();
+
+// Module: engine/bytecode-vm.js
+const __vx_m15 = (() => {
+/**
+ * VladX Bytecode VM — Стековая виртуальная машина для байт-кода BytecodeCompiler
+ * Значения, окружения и операции те же, что у интерпретатора (VladXObject, Environment,
+ * binaryOperation, getMember...), поэтому результаты совпадают с обходом дерева.
+ * Вызовы функций внутри ВМ не создают промисов: кадры лежат в собственном стеке «волокна»,
+ * а асинхронность появляется только в точках реальной приостановки — ожидать, промис
+ * встроенной функции, асинхронный перебор и конструкции, выполняемые интерпретатором
+ */
+
+const { OpCode } = __vx_m13;
+const { BytecodeCompiler } = __vx_m14;
+const { VladXObject } = __vx_m6;
+const { Environment } = __vx_m7;
+
+// Коды операций как константы модуля: метки case без обращений к свойствам
+const {
+    CONST, NULL, POP, DUP, LOAD, DEFINE, DEFINE_CONST, STORE, LOAD_TEMP, STORE_TEMP, ADD, SUB, MUL,
+    DIV, MOD, POW, EQ, NE, LT, GT, LE, GE, AND, OR, NEG, POS, NOT, UNARY, BITWISE, COMPOUND, JUMP,
+    JUMP_IF_FALSE, GET_FIELD, GET_INDEX, SET_FIELD, SET_INDEX, ARRAY,
+    LIST, LIST_PUSH, LIST_SPREAD_ARGS, LIST_SPREAD_ELEMENTS, LIST_TO_ARRAY, OBJECT, TEMPLATE,
+    CLOSURE, ARROW, THIS, CALL, CALL_LIST, ASSERT_CLASS, NEW, AWAIT, IMPLICIT_RESULT, RETURN,
+    THROW, SIGNAL, ENTER_LOOP, ENTER_LABEL, ENTER_TRY, EXIT_HANDLER, CATCH, LEAVE_CATCH, SAVE_ENV,
+    RESTORE_ENV, CHILD_ENV, ITER, ITER_NEXT, ITER_CLOSE, BIND_PATTERN, PARAM, PARAM_REST,
+    PARAM_DEFAULT, EVAL, EVAL_EXPR
+} = OpCode;
+
+const NOT_HANDLED = Symbol('NOT_HANDLED');
+const SUSPEND = Symbol('SUSPEND');
+const ignore = () => {};
+
+const HANDLER_LOOP = 0;
+const HANDLER_LABEL = 1;
+const HANDLER_TRY = 2;
+
+/**
+ * Кадр вызова функции (или программы)
+ */
+class Frame {
+    constructor(proto, fn, env, instance, args, saved) {
+        this.proto = proto;
+        this.fn = fn;
+        this.env = env;
+        this.instance = instance;
+        this.args = args;
+        this.saved = saved; // Состояние интерпретатора вызывающей стороны
+        this.pc = 0;
+        this.stack = [];
+        this.temps = new Array(proto.tempCount).fill(null);
+        this.handlers = [];
+        this.caught = null;
+        this.construct = null; // Экземпляр, который вернёт конструктор
+        this.returning = false;
+        this.unwrapped = false;
+    }
+}
+
+/**
+ * Волокно — стек кадров одного входа в ВМ и ожидаемое значение при приостановке
+ */
+class Fiber {
+    constructor() {
+        this.frames = [];
+        this.pending = null;
+        this.onResolve = null;
+    }
+}
+
+class BytecodeVM {
+    constructor(interpreter, options = {}) {
+        this.interpreter = interpreter;
+        this.compiler = new BytecodeCompiler();
+        this.maxCallDepth = options.maxCallDepth || 10000;
+        this.protos = new WeakMap();
+        this.ticks = 0;
+        this.stats = {
+            compiled: 0,
+            failed: 0,
+            calls: 0,
+            suspensions: 0,
+            delegated: 0
+        };
+    }
+
+    /**
+     * Маркер "функцию выполняет интерпретатор"
+     */
+    static get NOT_HANDLED() {
+        return NOT_HANDLED;
+    }
+
+    // ========== Точки входа ==========
+
+    /**
+     * Выполнение программы в текущем окружении интерпретатора
+     */
+    runProgram(program) {
+        const proto = this.protoFor(program, () => this.compiler.compileProgram(program));
+        if (!proto) {
+            return NOT_HANDLED;
+        }
+
+        const interpreter = this.interpreter;
+        const fiber = new Fiber();
+        fiber.frames.push(new Frame(proto, null, interpreter.currentEnv, interpreter.currentInstance, [], this.captureState()));
+        return this.run(fiber);
+    }
+
+    /**
+     * Выполнение функции, вызванной интерпретатором (из executeFunction)
+     */
+    execute(fn, args) {
+        const proto = this.functionProto(fn);
+        if (!proto) {
+            return NOT_HANDLED;
+        }
+
+        const fiber = new Fiber();
+        this.pushFrame(fiber, proto, fn, args, this.interpreter.currentInstance);
+        return this.run(fiber);
+    }
+
+    /**
+     * Байт-код функции; null — функцию выполняет интерпретатор (генераторы, нативные)
+     */
+    functionProto(fn) {
+        const ast = fn && fn.ast;
+        if (!ast || fn.isNative || ast.isGenerator) {
+            return null;
+        }
+        // Замыкания одного объявления разделяют узлы AST, а с ними и байт-код
+        const key = ast.params || ast.body;
+        if (!key || typeof key !== 'object') {
+            return null;
+        }
+        return this.protoFor(key, () => this.compiler.compileFunction(ast, fn.name || '<anonymous>'));
+    }
+
+    protoFor(key, compile) {
+        let proto = this.protos.get(key);
+        if (proto === undefined) {
+            try {
+                proto = compile();
+                this.stats.compiled++;
+            } catch (error) {
+                proto = null;
+                this.stats.failed++;
+            }
+            this.protos.set(key, proto);
+        }
+        return proto;
+    }
+
+    // ========== Кадры ==========
+
+    captureState() {
+        const interpreter = this.interpreter;
+        return {
+            env: interpreter.currentEnv,
+            instance: interpreter.currentInstance,
+            fn: interpreter.currentFunction,
+            generator: interpreter.currentGenerator,
+            isReturn: interpreter.isReturn,
+            returnValue: interpreter.returnValue
+        };
+    }
+
+    /**
+     * Новый кадр функции — то же, что делает executeFunction перед выполнением тела
+     */
+    pushFrame(fiber, proto, fn, args, instance) {
+        const interpreter = this.interpreter;
+
+        if (fiber.frames.length >= this.maxCallDepth) {
+            throw new RangeError('Maximum call stack size exceeded');
+        }
+
+        const env = fn.env ? fn.env.child(`<function ${fn.name}>`) : new Environment(interpreter.currentEnv, `<function ${fn.name}>`);
+        const frame = new Frame(proto, fn, env, instance, args, this.captureState());
+        fiber.frames.push(frame);
+
+        interpreter.currentEnv = env;
+        interpreter.currentInstance = instance;
+        interpreter.currentFunction = fn;
+        interpreter.currentGenerator = null;
+        interpreter.isReturn = false;
+        interpreter.returnValue = null;
+        interpreter.callStack.push(fn.name);
+        this.stats.calls++;
+
+        return frame;
+    }
+
+    /**
+     * Снятие кадра с восстановлением состояния вызывающей стороны
+     */
+    popFrame(fiber) {
+        const interpreter = this.interpreter;
+        const frame = fiber.frames.pop();
+        const saved = frame.saved;
+
+        interpreter.currentEnv = saved.env;
+        interpreter.currentInstance = saved.instance;
+        interpreter.currentFunction = saved.fn;
+        interpreter.currentGenerator = saved.generator;
+        interpreter.isReturn = saved.isReturn;
+        interpreter.returnValue = saved.returnValue;
+        if (frame.fn) {
+            interpreter.callStack.pop();
+        }
+
+        return frame;
+    }
+
+    /**
+     * Состояние интерпретатора для верхнего кадра после возобновления
+     */
+    resync(fiber) {
+        const interpreter = this.interpreter;
+        const frame = fiber.frames[fiber.frames.length - 1];
+        interpreter.currentEnv = frame.env;
+        interpreter.currentInstance = frame.instance;
+        if (frame.fn) {
+            interpreter.currentFunction = frame.fn;
+            interpreter.currentGenerator = null;
+        }
+    }
+
+    // ========== Выполнение ==========
+
+    /**
+     * Выполнение волокна до завершения или приостановки
+     * Возвращает результат или промис результата
+     */
+    run(fiber) {
+        while (true) {
+            let outcome;
+            try {
+                // Возврат, отложенный до разрешения промиса (EVAL с вернуть, закрытие перебора)
+                const frame = fiber.frames[fiber.frames.length - 1];
+                if (frame.returning) {
+                    frame.returning = false;
+                    outcome = this.returnFrom(fiber, frame, frame.stack.pop());
+                    if (outcome === fiber) return fiber.result;
+                }
+                if (outcome !== SUSPEND) {
+                    outcome = this.dispatch(fiber);
+                }
+            } catch (error) {
+                this.unwind(fiber, error);
+                continue;
+            }
+
+            if (outcome === SUSPEND) {
+                return this.wait(fiber);
+            }
+            return outcome;
+        }
+    }
+
+    /**
+     * Ожидание значения приостановленного волокна и продолжение выполнения
+     */
+    wait(fiber) {
+        const { pending, onResolve } = fiber;
+        fiber.pending = null;
+        fiber.onResolve = null;
+        this.stats.suspensions++;
+
+        return Promise.resolve(pending).then(
+            value => {
+                this.resync(fiber);
+                try {
+                    onResolve(value);
+                } catch (error) {
+                    this.unwind(fiber, error);
+                }
+                return this.run(fiber);
+            },
+            error => {
+                this.resync(fiber);
+                this.unwind(fiber, error);
+                return this.run(fiber);
+            }
+        );
+    }
+
+    /**
+     * Приостановка: после разрешения promise вызывается onResolve, затем выполнение продолжается
+     */
+    suspend(fiber, frame, pc, promise, onResolve) {
+        frame.pc = pc;
+        fiber.pending = promise;
+        fiber.onResolve = onResolve;
+        return SUSPEND;
+    }
+
+    suspendPush(fiber, frame, pc, promise) {
+        return this.suspend(fiber, frame, pc, promise, value => frame.stack.push(value));
+    }
+
+    suspendAwait(fiber, frame, pc, promise) {
+        return this.suspend(fiber, frame, pc, promise, value => frame.stack.push(VladXObject.fromJS(value)));
+    }
+
+    suspendSpread(fiber, frame, pc, promise, list) {
+        return this.suspend(fiber, frame, pc, promise, items => list.push(...items));
+    }
+
+    suspendNext(fiber, frame, pc, iterator, exit) {
+        return this.suspend(fiber, frame, pc, iterator.generator.next(), step => {
+            if (step.done) {
+                iterator.done = true;
+                frame.pc = exit;
+            } else {
+                frame.stack.push(step.value);
+            }
+        });
+    }
+
+    /**
+     * Инструкция, выполненная интерпретатором; вернуть внутри неё завершает кадр
+     */
+    suspendEval(fiber, frame, pc, promise, keep) {
+        const interpreter = this.interpreter;
+        return this.suspend(fiber, frame, pc, promise, value => {
+            if (interpreter.isReturn) {
+                interpreter.isReturn = false;
+                frame.stack.push(interpreter.returnValue);
+                interpreter.returnValue = null;
+                frame.returning = true;
+            } else if (keep) {
+                frame.stack.push(value);
+            }
+        });
+    }
+
+    /**
+     * Разбор исключения обработчиками кадров: попытка перехватывает всё,
+     * цикл — свои прервать/продолжить из тела, метка — свой прервать.
+     * Если обработчика нет ни в одном кадре волокна, ошибка пробрасывается дальше
+     */
+    unwind(fiber, error) {
+        const interpreter = this.interpreter;
+        const isSignal = error instanceof Error && (error.message === 'break' || error.message === 'continue');
+
+        while (fiber.frames.length > 0) {
+            const frame = fiber.frames[fiber.frames.length - 1];
+
+            while (frame.handlers.length > 0) {
+                const handler = frame.handlers.pop();
+
+                if (handler.kind === HANDLER_TRY) {
+                    this.resumeAt(frame, handler, handler.target);
+                    frame.caught = error;
+                    return;
+                }
+
+                if (handler.kind === HANDLER_LOOP) {
+                    const loop = handler.descriptor;
+                    const inBody = frame.pc > loop.bodyStart && frame.pc <= loop.continuePc;
+                    const signal = isSignal && inBody ? interpreter.loopSignal(error, loop.label) : null;
+                    if (signal === 'break') {
+                        this.resumeAt(frame, handler, loop.breakPc);
+                        return;
+                    }
+                    if (signal === 'continue') {
+                        frame.handlers.push(handler);
+                        this.resumeAt(frame, handler, loop.continuePc);
+                        return;
+                    }
+                    if (loop.iterTemp >= 0) {
+                        this.closeIterator(frame.temps[loop.iterTemp]);
+                        frame.temps[loop.iterTemp] = null;
+                    }
+                    continue;
+                }
+
+                if (isSignal && error.message === 'break' && error.label === handler.descriptor.label) {
+                    this.resumeAt(frame, handler, handler.descriptor.breakPc);
+                    return;
+                }
+            }
+
+            this.popFrame(fiber);
+        }
+
+        throw error;
+    }
+
+    resumeAt(frame, handler, pc) {
+        frame.stack.length = handler.height;
+        frame.env = handler.env;
+        frame.pc = pc;
+        this.interpreter.currentEnv = handler.env;
+    }
+
+    /**
+     * Досрочное закрытие асинхронного перебора при выходе из цикла исключением
+     */
+    closeIterator(iterator) {
+        if (iterator && iterator.generator && !iterator.done) {
+            iterator.done = true;
+            iterator.generator.return().catch(() => {});
+        }
+    }
+
+    /**
+     * Возврат из кадра; undefined — выполнение продолжается в вызывающем кадре
+     */
+    returnFrom(fiber, frame, value) {
+        // Открытые асинхронные переборы закрываются до возврата, как при выходе из for await
+        const closing = [];
+        for (const handler of frame.handlers) {
+            if (handler.kind !== HANDLER_LOOP || handler.descriptor.iterTemp < 0) continue;
+            const iterator = frame.temps[handler.descriptor.iterTemp];
+            if (iterator && iterator.generator && !iterator.done) {
+                iterator.done = true;
+                closing.push(iterator.generator.return());
+            }
+        }
+        frame.handlers.length = 0;
+        if (closing.length > 0) {
+            return this.suspend(fiber, frame, frame.pc, Promise.all(closing), () => {
+                frame.stack.push(value);
+                frame.returning = true;
+            });
+        }
+
+        // Асинхронная функция дожидается промиса-результата (как executeFunction)
+        if (frame.fn && frame.fn.ast.isAsync && !frame.unwrapped && value) {
+            if (typeof value.then === 'function') {
+                return this.suspend(fiber, frame, frame.pc, value, resolved => {
+                    frame.stack.push(resolved);
+                    frame.returning = true;
+                    frame.unwrapped = true;
+                });
+            }
+            if (value.value && typeof value.value.then === 'function') {
+                return this.suspend(fiber, frame, frame.pc, value.value, resolved => {
+                    frame.stack.push(VladXObject.fromJS(resolved));
+                    frame.returning = true;
+                    frame.unwrapped = true;
+                });
+            }
+        }
+
+        this.popFrame(fiber);
+        const result = frame.construct || value;
+        if (fiber.frames.length === 0) {
+            fiber.result = result;
+            return fiber;
+        }
+
+        fiber.frames[fiber.frames.length - 1].stack.push(result);
+        return undefined;
+    }
+
+    /**
+     * Вызов значения: замыкания выполняются новым кадром этого же волокна,
+     * встроенные функции — сразу, остальное — через interpreter.callValue
+     */
+    invoke(fiber, frame, pc, callee, args, owner) {
+        const interpreter = this.interpreter;
+        const instance = owner && (owner.type === 'instance' || owner.type === 'class') ? owner : null;
+
+        if (callee && callee.isNative) {
+            let result;
+            try {
+                result = callee.value(...args.map(arg => interpreter.toNative(arg)));
+            } catch (error) {
+                if (error && error.type === 'error') {
+                    throw new Error(error.value || 'Неизвестная ошибка во встроенной функции');
+                }
+                throw error;
+            }
+            if (result instanceof Promise) {
+                return this.suspendPush(fiber, frame, pc, result);
+            }
+            frame.stack.push(result);
+            return undefined;
+        }
+
+        if (callee && (callee.type === 'function' || callee.type === 'closure')) {
+            const proto = this.functionProto(callee);
+            if (proto) {
+                frame.pc = pc;
+                this.pushFrame(fiber, proto, callee, args, instance);
+                return undefined;
+            }
+        }
+
+        this.stats.delegated++;
+        return this.suspendPush(fiber, frame, pc, interpreter.callValue(callee, args, instance));
+    }
+
+    /**
+     * Создание экземпляра; конструктор (свой или родительский) выполняется кадром ВМ
+     */
+    construct(fiber, frame, pc, callee, args) {
+        const interpreter = this.interpreter;
+        const instance = VladXObject.instance(callee);
+        const ownConstructor = callee.methods && (callee.methods.get('конструктор') || callee.methods.get('constructor'));
+        const parent = callee.prototype;
+        const parentConstructor = !ownConstructor && parent && parent.methods &&
+            (parent.methods.get('конструктор') || parent.methods.get('constructor'));
+
+        const constructor = ownConstructor || parentConstructor;
+        // Поля и приватные методы инициализирует интерпретатор
+        const initialized = interpreter.hasInstanceInitializers(callee);
+        if (!constructor && !initialized) {
+            frame.stack.push(instance);
+            return undefined;
+        }
+
+        const proto = constructor && this.functionProto(constructor);
+        if (!proto || initialized) {
+            this.stats.delegated++;
+            return this.suspendPush(fiber, frame, pc, interpreter.constructInstance(callee, args));
+        }
+
+        const self = ownConstructor ? instance : interpreter.superInstance(instance, parent);
+
+        frame.pc = pc;
+        this.pushFrame(fiber, proto, constructor, args, self).construct = instance;
+        return undefined;
+    }
+
+    /**
+     * Цикл выполнения инструкций верхнего кадра волокна
+     * Возвращает результат волокна или SUSPEND
+     */
+    dispatch(fiber) {
+        const interpreter = this.interpreter;
+        let frame = fiber.frames[fiber.frames.length - 1];
+        let code = frame.proto.code;
+        let constants = frame.proto.constants;
+        let stack = frame.stack;
+        let temps = frame.temps;
+        let pc = frame.pc;
+
+        try {
+            while (true) {
+                const op = code[pc++];
+
+                switch (op) {
+                    case CONST:
+                        stack.push(constants[code[pc++]]);
+                        break;
+
+                    case NULL:
+                        stack.push(VladXObject.null());
+                        break;
+
+                    case POP:
+                        stack.pop();
+                        break;
+
+                    case DUP:
+                        stack.push(stack[stack.length - 1]);
+                        break;
+
+                    case LOAD:
+                        stack.push(frame.env.get(constants[code[pc++]]));
+                        break;
+
+                    case DEFINE:
+                        frame.env.define(constants[code[pc++]], stack.pop());
+                        break;
+
+                    case DEFINE_CONST:
+                        frame.env.define(constants[code[pc++]], stack.pop(), true);
+                        break;
+
+                    case STORE:
+                        frame.env.assign(constants[code[pc++]], stack[stack.length - 1]);
+                        break;
+
+                    case LOAD_TEMP:
+                        stack.push(temps[code[pc++]]);
+                        break;
+
+                    case STORE_TEMP:
+                        temps[code[pc++]] = stack.pop();
+                        break;
+
+                    // ---- Операторы: быстрый путь для чисел, остальное — как в интерпретаторе ----
+
+                    case ADD: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value + right.value)
+                            : interpreter.binaryOperation('+', left, right));
+                        break;
+                    }
+
+                    case SUB: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value - right.value)
+                            : interpreter.binaryOperation('-', left, right));
+                        break;
+                    }
+
+                    case MUL: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.number(left.value * right.value)
+                            : interpreter.binaryOperation('*', left, right));
+                        break;
+                    }
+
+                    case LT: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value < right.value)
+                            : interpreter.binaryOperation('<', left, right));
+                        break;
+                    }
+
+                    case LE: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value <= right.value)
+                            : interpreter.binaryOperation('<=', left, right));
+                        break;
+                    }
+
+                    case GT: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value > right.value)
+                            : interpreter.binaryOperation('>', left, right));
+                        break;
+                    }
+
+                    case GE: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(left && right && left.type === 'number' && right.type === 'number'
+                            ? VladXObject.boolean(left.value >= right.value)
+                            : interpreter.binaryOperation('>=', left, right));
+                        break;
+                    }
+
+                    case DIV:
+                    case MOD:
+                    case POW:
+                    case EQ:
+                    case NE:
+                    case AND:
+                    case OR: {
+                        const right = stack.pop();
+                        const left = stack.pop();
+                        stack.push(interpreter.binaryOperation(BINARY_OPERATORS[op], left, right));
+                        break;
+                    }
+
+                    case NEG:
+                        stack.push(interpreter.unaryOperation('-', stack.pop()));
+                        break;
+
+                    case NOT:
+                        stack.push(interpreter.unaryOperation('!', stack.pop()));
+                        break;
+
+                    // ---- Переходы ----
+
+                    case JUMP: {
+                        const target = code[pc];
+                        if (target < pc && (++this.ticks & 1023) === 0) {
+                            this.checkDeadline();
+                        }
+                        pc = target;
+                        break;
+                    }
+
+                    case JUMP_IF_FALSE: {
+                        const target = code[pc++];
+                        const condition = stack.pop();
+                        const value = condition && condition.value !== undefined ? condition.value : condition;
+                        if (!value) pc = target;
+                        break;
+                    }
+
+                    // ---- Свойства ----
+
+                    case GET_FIELD: {
+                        const object = stack.pop();
+                        const name = constants[code[pc++]];
+                        const getter = interpreter.findAccessor(object, name, 'get');
+                        if (getter) {
+                            return this.suspendPush(fiber, frame, pc, interpreter.callValue(getter, [], object));
+                        }
+                        stack.push(interpreter.getMember(object, name, false));
+                        break;
+                    }
+
+                    case GET_INDEX: {
+                        const key = stack.pop();
+                        const object = stack.pop();
+                        stack.push(interpreter.getMember(object, key && key.value !== undefined ? key.value : key, true));
+                        break;
+                    }
+
+                    case SET_FIELD: {
+                        const value = stack.pop();
+                        const object = stack.pop();
+                        const name = constants[code[pc++]];
+                        if (interpreter.findAccessor(object, name, 'set') || interpreter.findAccessor(object, name, 'get')) {
+                            return this.suspendPush(fiber, frame, pc, interpreter.writeMember(object, name, value, false));
+                        }
+                        stack.push(interpreter.setMember(object, name, value, false));
+                        break;
+                    }
+
+                    case SET_INDEX: {
+                        const computed = code[pc++] === 1;
+                        const key = stack.pop();
+                        const value = stack.pop();
+                        const object = stack.pop();
+                        stack.push(interpreter.setMember(object, key && key.value !== undefined ? key.value : key, value, computed));
+                        break;
+                    }
+
+                    // ---- Составные значения ----
+
+                    case ARRAY: {
+                        const count = code[pc++];
+                        stack.push(VladXObject.array(count > 0 ? stack.splice(stack.length - count, count) : []));
+                        break;
+                    }
+
+                    // ---- Функции и классы ----
+
+                    case THIS:
+                        stack.push(interpreter.evaluateThisExpression());
+                        break;
+
+                    case CALL:
+                    case CALL_LIST: {
+                        let args;
+                        if (op === CALL) {
+                            const count = code[pc++];
+                            args = count > 0 ? stack.splice(stack.length - count, count) : [];
+                        } else {
+                            args = stack.pop();
+                        }
+                        const hasOwner = code[pc++] === 1;
+                        const callee = stack.pop();
+                        const owner = hasOwner ? stack.pop() : null;
+
+                        const depth = fiber.frames.length;
+                        if (this.invoke(fiber, frame, pc, callee, args, owner) === SUSPEND) {
+                            return SUSPEND;
+                        }
+                        if (fiber.frames.length !== depth) {
+                            frame = fiber.frames[fiber.frames.length - 1];
+                            code = frame.proto.code;
+                            constants = frame.proto.constants;
+                            stack = frame.stack;
+                            temps = frame.temps;
+                            pc = 0;
+                        }
+                        break;
+                    }
+
+                    case ASSERT_CLASS:
+                        interpreter.assertClass(stack[stack.length - 1]);
+                        break;
+
+                    case NEW: {
+                        const count = code[pc++];
+                        const args = count > 0 ? stack.splice(stack.length - count, count) : [];
+                        const callee = stack.pop();
+
+                        const depth = fiber.frames.length;
+                        if (this.construct(fiber, frame, pc, callee, args) === SUSPEND) {
+                            return SUSPEND;
+                        }
+                        if (fiber.frames.length !== depth) {
+                            frame = fiber.frames[fiber.frames.length - 1];
+                            code = frame.proto.code;
+                            constants = frame.proto.constants;
+                            stack = frame.stack;
+                            temps = frame.temps;
+                            pc = 0;
+                        }
+                        break;
+                    }
+
+                    case IMPLICIT_RESULT: {
+                        const lastExpression = temps[code[pc++]];
+                        const lastResult = temps[code[pc++]];
+                        stack.push(lastExpression !== null ? lastExpression : lastResult);
+                        break;
+                    }
+
+                    case RETURN: {
+                        frame.pc = pc;
+                        const done = this.returnFrom(fiber, frame, stack.pop());
+                        if (done === SUSPEND) return SUSPEND;
+                        if (done === fiber) return fiber.result;
+
+                        frame = fiber.frames[fiber.frames.length - 1];
+                        code = frame.proto.code;
+                        constants = frame.proto.constants;
+                        stack = frame.stack;
+                        temps = frame.temps;
+                        pc = frame.pc;
+                        interpreter.currentEnv = frame.env;
+                        break;
+                    }
+
+                    // ---- Обработчики ----
+
+                    case ENTER_LOOP:
+                        frame.handlers.push({ kind: HANDLER_LOOP, descriptor: constants[code[pc++]], height: stack.length, env: frame.env });
+                        break;
+
+                    case EXIT_HANDLER:
+                        frame.handlers.length = code[pc++];
+                        break;
+
+                    // ---- Перебор ----
+
+                    case SAVE_ENV:
+                        temps[code[pc++]] = frame.env;
+                        break;
+
+                    case RESTORE_ENV:
+                        frame.env = interpreter.currentEnv = temps[code[pc++]];
+                        break;
+
+                    case CHILD_ENV: {
+                        const parent = temps[code[pc++]];
+                        frame.env = interpreter.currentEnv = parent.child(constants[code[pc++]]);
+                        break;
+                    }
+
+                    case ITER_NEXT: {
+                        const iterator = temps[code[pc++]];
+                        const exit = code[pc++];
+
+                        if (iterator.items) {
+                            if (iterator.index < iterator.items.length) {
+                                const item = iterator.items[iterator.index++];
+                                stack.push(iterator.chars ? VladXObject.string(item)
+                                    : (item instanceof VladXObject ? item : VladXObject.fromJS(item)));
+                            } else {
+                                pc = exit;
+                            }
+                            break;
+                        }
+
+                        return this.suspendNext(fiber, frame, pc, iterator, exit);
+                    }
+
+                    // ---- Параметры ----
+
+                    case PARAM: {
+                        const value = frame.args[code[pc++]];
+                        frame.env.define(constants[code[pc++]], value ? value : VladXObject.null());
+                        break;
+                    }
+
+                    default: {
+                        // Редкие инструкции выполняются отдельным методом, чтобы цикл оставался компактным
+                        const next = this.coldOp(fiber, frame, op, pc);
+                        if (next === SUSPEND) return SUSPEND;
+                        pc = next;
+                        break;
+                    }
+                }
+            }
+        } catch (error) {
+            frame.pc = pc;
+            throw error;
+        }
+    }
+
+    /**
+     * Редкие инструкции: операнды читаются с позиции pc, возвращается позиция следующей инструкции или SUSPEND
+     */
+    coldOp(fiber, frame, op, pc) {
+        const interpreter = this.interpreter;
+        const code = frame.proto.code;
+        const constants = frame.proto.constants;
+        const stack = frame.stack;
+        const temps = frame.temps;
+
+        switch (op) {
+            case POS:
+                stack.push(interpreter.unaryOperation('+', stack.pop()));
+                break;
+
+            case UNARY:
+                stack.push(interpreter.unaryOperation(constants[code[pc++]], stack.pop()));
+                break;
+
+            case BITWISE: {
+                const operator = constants[code[pc++]];
+                const right = stack.pop();
+                const left = stack.pop();
+                stack.push(interpreter.bitwiseOperation(operator, left, right));
+                break;
+            }
+
+            case COMPOUND: {
+                const operator = constants[code[pc++]];
+                const current = stack.pop();
+                const right = stack.pop();
+                stack.push(interpreter.compoundOperation(operator, current, right));
+                break;
+            }
+
+            case LIST:
+                stack.push([]);
+                break;
+
+            case LIST_PUSH: {
+                const value = stack.pop();
+                stack[stack.length - 1].push(value);
+                break;
+            }
+
+            case LIST_SPREAD_ARGS:
+            case LIST_SPREAD_ELEMENTS: {
+                const value = stack.pop();
+                const list = stack[stack.length - 1];
+                const items = value && value.value ? value.value : [];
+                if (Array.isArray(items)) {
+                    list.push(...(op === LIST_SPREAD_ARGS ? items : items.map(item => VladXObject.fromJS(item))));
+                    break;
+                }
+                const spread = op === LIST_SPREAD_ARGS
+                    ? interpreter.spreadArguments(value)
+                    : interpreter.spreadElements(value);
+                return this.suspendSpread(fiber, frame, pc, spread, list);
+            }
+
+            case LIST_TO_ARRAY:
+                stack.push(VladXObject.array(stack.pop()));
+                break;
+
+            case OBJECT: {
+                const keys = constants[code[pc++]];
+                const count = code[pc++];
+                const values = stack.splice(stack.length - count, count);
+                const properties = {};
+                for (let i = 0; i < count; i++) {
+                    properties[keys[i]] = values[i];
+                }
+                stack.push(VladXObject.object(properties));
+                break;
+            }
+
+            case TEMPLATE: {
+                const quasis = constants[code[pc++]];
+                const count = code[pc++];
+                const values = stack.splice(stack.length - count, count);
+                let text = '';
+                for (let i = 0; i < quasis.length; i++) {
+                    text += quasis[i];
+                    if (i < count) text += interpreter.templatePart(values[i]);
+                }
+                stack.push(VladXObject.string(text));
+                break;
+            }
+
+            case CLOSURE:
+                stack.push(interpreter.evaluateFunctionDeclaration(constants[code[pc++]]));
+                break;
+
+            case ARROW:
+                stack.push(interpreter.evaluateArrowFunctionExpression(constants[code[pc++]]));
+                break;
+
+            case AWAIT: {
+                const value = stack.pop();
+                const promise = value && value.value && typeof value.value.then === 'function'
+                    ? value.value
+                    : (value && typeof value.then === 'function' ? value : null);
+                if (!promise) {
+                    stack.push(value);
+                    break;
+                }
+                return this.suspendAwait(fiber, frame, pc, promise);
+            }
+
+            case THROW: {
+                const value = stack.pop();
+                const raw = value && value.value !== undefined ? value.value : value;
+                throw new Error(String(raw));
+            }
+
+            case SIGNAL: {
+                const kind = code[pc++];
+                const label = code[pc++];
+                const signal = new Error(kind === 0 ? 'break' : 'continue');
+                signal.label = label >= 0 ? constants[label] : null;
+                throw signal;
+            }
+
+            case ENTER_LABEL:
+                frame.handlers.push({ kind: HANDLER_LABEL, descriptor: constants[code[pc++]], height: stack.length, env: frame.env });
+                break;
+
+            case ENTER_TRY:
+                frame.handlers.push({ kind: HANDLER_TRY, target: code[pc++], height: stack.length, env: frame.env });
+                break;
+
+            case CATCH: {
+                const param = code[pc++];
+                const error = frame.caught;
+                frame.caught = null;
+                temps[code[pc++]] = frame.env;
+
+                const catchEnv = frame.env.child('<catch>');
+                if (param >= 0) {
+                    catchEnv.define(constants[param], VladXObject.string(error.toString ? error.toString() : String(error)));
+                }
+                frame.env = interpreter.currentEnv = catchEnv;
+                break;
+            }
+
+            case LEAVE_CATCH:
+                frame.env = interpreter.currentEnv = temps[code[pc++]];
+                break;
+
+            case ITER: {
+                const kind = code[pc++];
+                temps[code[pc++]] = this.iterator(kind, stack.pop());
+                break;
+            }
+
+            case ITER_CLOSE: {
+                const slot = code[pc++];
+                const iterator = temps[slot];
+                temps[slot] = null;
+                if (iterator && iterator.generator && !iterator.done) {
+                    iterator.done = true;
+                    return this.suspend(fiber, frame, pc, iterator.generator.return(), ignore);
+                }
+                break;
+            }
+
+            case BIND_PATTERN: {
+                const pattern = constants[code[pc++]];
+                const mode = code[pc++];
+                const item = stack.pop();
+                if (mode === 2) {
+                    throw new Error('Деструктуризация в заголовке цикла требует пусть или конст');
+                }
+                return this.suspend(fiber, frame, pc, interpreter.bindPatternTarget(pattern, item, mode === 1), ignore);
+            }
+
+            case PARAM_REST: {
+                const index = code[pc++];
+                frame.env.define(constants[code[pc++]], VladXObject.array(frame.args.slice(index)));
+                break;
+            }
+
+            case PARAM_DEFAULT: {
+                const value = frame.args[code[pc++]];
+                const name = constants[code[pc++]];
+                const skip = code[pc++];
+                if (value !== undefined) {
+                    frame.env.define(name, value);
+                    pc = skip;
+                }
+                break;
+            }
+
+            case EVAL: {
+                const statement = constants[code[pc++]];
+                const keep = code[pc++] === 1;
+                interpreter.isReturn = false;
+                return this.suspendEval(fiber, frame, pc, interpreter.evaluateStatement(statement), keep);
+            }
+
+            case EVAL_EXPR: {
+                const expression = constants[code[pc++]];
+                return this.suspendPush(fiber, frame, pc, interpreter.evaluateExpression(expression));
+            }
+
+            default:
+                throw new Error(`ВМ: неизвестная инструкция ${op} (позиция ${pc - 1})`);
+        }
+        return pc;
+    }
+
+    /**
+     * Состояние перебора для-из (kind 0) / для-в (kind 1)
+     * Массивы, строки и ключи перебираются синхронно, остальное — через interpreter.iterate
+     */
+    iterator(kind, value) {
+        const interpreter = this.interpreter;
+
+        if (kind === 1) {
+            return { items: interpreter.keysOf(value), index: 0 };
+        }
+
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        if (subject.type === 'array') {
+            return { items: subject.value, index: 0 };
+        }
+        if (subject.type === 'string') {
+            return { items: Array.from(subject.value), index: 0, chars: true };
+        }
+        return { generator: interpreter.iterate(value), done: false };
+    }
+
+    /**
+     * Проверка ограничения maxExecutionTime в долгих циклах
+     */
+    checkDeadline() {
+        const interpreter = this.interpreter;
+        if (interpreter.executionDeadline && Date.now() > interpreter.executionDeadline) {
+            throw new Error(`Превышено максимальное время выполнения (${interpreter.maxExecutionTime}мс)`);
+        }
+    }
+
+    /**
+     * Статистика ВМ
+     */
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+const BINARY_OPERATORS = {
+    [DIV]: '/',
+    [MOD]: '%',
+    [POW]: '**',
+    [EQ]: '==',
+    [NE]: '!=',
+    [AND]: '&&',
+    [OR]: '||'
+};
+return { BytecodeVM };
+})();
+
+// Module: interpreter/interpreter.js
+const __vx_m16 = (() => {
+/**
+ * VladX Interpreter — Интерпретатор
+ * Выполняет AST и управляет выполнением программы
+ */
+
+const { VladXObject, EnumValue, types } = __vx_m6;
+const { Environment } = __vx_m7;
+const { AsyncManager } = __vx_m8;
+const { Functional } = __vx_m9;
+const { TypeSystem } = __vx_m11;
+const { Decimal, isExact, exactBinary } = __vx_m0;
+const { compileRegex, createRegexModule, REGEX_METHODS } = __vx_m2;
+const { JITCompiler } = __vx_m12;
+const { BytecodeVM } = __vx_m15;
+const { default: fs } = __vx_ext0;
+const { default: path } = __vx_ext1;
+const { fileURLToPath } = __vx_ext2;
+
+const __dirname = path.dirname(fileURLToPath(new URL('./interpreter/interpreter.js', import.meta.url).href));
+
+// Звено ?. встретило ничто: остаток цепочки не вычисляется
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+/**
+ * Закрытие генератора: прерывает приостановленное тело, минуя поймать, но не наконец
+ */
+class GeneratorClosed {}
+
+/**
+ * Состояние функции-генератора
+ * Тело выполняется как сопрограмма: на "выдать" состояние интерпретатора
+ * сохраняется, и управление возвращается коду, вызвавшему следующий()
+ */
+class GeneratorState {
+    constructor(interpreter, fn, args, instance) {
+        this.interpreter = interpreter;
+        this.fn = fn;
+        this.args = args;
+        this.instance = instance;
+
+        this.started = false;
+        this.running = false;
+        this.done = false;
+
+        this.callerState = null;
+        this.bodyState = null;
+        this.pendingStep = null;
+        this.resumeBody = null;
+        this.closing = false;
+
+        // Методы, доступные из VladX: ген.следующий(значение), ген.закрыть()
+        this['следующий'] = VladXObject.function(async (sent) => {
+            const step = await this.next(VladXObject.fromJS(sent));
+            return VladXObject.object({
+                'значение': step.value,
+                'готово': VladXObject.boolean(step.done)
+            });
+        }, 'следующий');
+        this['закрыть'] = VladXObject.function(async () => {
+            await this.close();
+            return true;
+        }, 'закрыть');
+    }
+
+    /**
+     * Продолжить выполнение до следующего "выдать"
+     */
+    next(sent = VladXObject.null()) {
+        if (this.done) {
+            return Promise.resolve({ value: VladXObject.null(), done: true });
+        }
+        if (this.running) {
+            return Promise.reject(new Error('Генератор уже выполняется'));
+        }
+
+        this.running = true;
+        this.callerState = this.interpreter.saveState();
+
+        return new Promise((resolve, reject) => {
+            this.pendingStep = { resolve, reject };
+
+            if (!this.started) {
+                this.started = true;
+                // Тело стартует после того, как вызывающий код дойдёт до await
+                Promise.resolve().then(() => this.run());
+            } else {
+                this.resumeBody(sent);
+            }
+        });
+    }
+
+    /**
+     * Закрыть генератор: приостановленное тело продолжается с выходом из функции,
+     * по пути выполняются блоки наконец
+     */
+    async close() {
+        if (this.done) {
+            return;
+        }
+        if (this.running) {
+            throw new Error('Генератор уже выполняется');
+        }
+        if (!this.started) {
+            this.done = true;
+            return;
+        }
+        this.closing = true;
+        await this.next();
+    }
+
+    async run() {
+        const interpreter = this.interpreter;
+        interpreter.currentInstance = this.instance;
+        interpreter.callStack = [...this.callerState.callStack];
+
+        let result;
+        try {
+            result = await interpreter.executeFunction(this.fn, this.args, this);
+        } catch (error) {
+            this.finish();
+            if (error instanceof GeneratorClosed) {
+                this.pendingStep.resolve({ value: VladXObject.null(), done: true });
+            } else {
+                this.pendingStep.reject(error);
+            }
+            return;
+        }
+
+        this.finish();
+        this.pendingStep.resolve({
+            value: result instanceof VladXObject ? result : VladXObject.fromJS(result),
+            done: true
+        });
+    }
+
+    finish() {
+        this.done = true;
+        this.running = false;
+        this.interpreter.restoreState(this.callerState);
+    }
+
+    /**
+     * Приостановка тела на "выдать"; возвращает значение, переданное в следующий()
+     */
+    async suspend(value) {
+        const interpreter = this.interpreter;
+        const step = this.pendingStep;
+
+        this.bodyState = interpreter.saveState();
+        interpreter.restoreState(this.callerState);
+        this.running = false;
+
+        const sent = await new Promise(resume => {
+            this.resumeBody = resume;
+            step.resolve({ value, done: false });
+        });
+
+        interpreter.restoreState(this.bodyState);
+        if (this.closing) {
+            throw new GeneratorClosed();
+        }
+        return sent;
+    }
+}
+
+class Interpreter {
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.strictMode = options.strictMode || false;
+        this.typeSystem = new TypeSystem();
+        this.maxExecutionTime = options.maxExecutionTime ?? 30000;
+        this.executionTimer = null;
+        this.moduleSystem = options.moduleSystem || null;
+        this.debugger = options.debugger || null;
+        this.profiler = options.profiler || null;
+        this.jit = null; // JITCompiler, подключается движком
+        this.vm = null; // BytecodeVM, подключается движком
+
+        this.globalEnv = new Environment(null, '<global>');
+        this.currentEnv = this.globalEnv;
+
+        this.isReturn = false;
+        this.returnValue = null;
+        this.isBreak = false;
+        this.isContinue = false;
+
+        this.builtins = new Map();
+        this.callStack = [];
+        this.currentGenerator = null;
+
+        this.asyncManager = new AsyncManager(options.async);
+        this.currentFilename = '<unknown>';
+        this.currentLine = 0;
+
+        // Функции модуля «регвыр»: функция-замена получает объект совпадения
+        this.regex = createRegexModule(async (fn, match) =>
+            this.toNative(await this.callValue(fn, [VladXObject.fromJS(match)])));
+
+        this.registerBuiltins();
+    }
+
+    /**
+     * Интерпретация программы
+     */
+    async interpret(ast, options = {}) {
+        const filename = options.filename || '<unknown>';
+        this.currentFilename = filename;
+
+        if (this.maxExecutionTime > 0 && !this.executionTimer) {
+            this.executionTimer = setTimeout(() => {
+                this.stopExecution();
+                throw new Error(`Превышено максимальное время выполнения (${this.maxExecutionTime}мс)`);
+            }, this.maxExecutionTime);
+        }
+
+        if (options.environment) {
+            this.currentEnv = options.environment;
+        } else {
+            this.currentEnv = this.globalEnv;
+        }
+
+        let result = VladXObject.null();
+
+        try {
+            // Start profiler if enabled
+            if (this.profiler && !this.profiler.startTime) {
+                this.profiler.start();
+            }
+
+            for (const statement of ast.body) {
+                // Debugger check
+                if (this.debugger) {
+                    this.currentLine = statement.line || 0;
+                    if (this.debugger.checkBreak(filename, statement.line || 0)) {
+                        this.debugger.paused = true;
+                        await new Promise(resolve => setTimeout(resolve, 100));
+                    }
+                }
+
+                result = await this.evaluateStatement(statement);
+
+                if (this.isReturn) {
+                    return this.returnValue;
+                }
+            }
+        } catch (error) {
+            throw error;
+        }
+
+        return result;
+    }
+
+    /**
+     * Запуск выполнения
+     */
+    startExecution() {
+        if (this.maxExecutionTime > 0 && !this.executionTimer) {
+            this.executionDeadline = Date.now() + this.maxExecutionTime;
+            this.executionTimer = setTimeout(() => {
+                this.stopExecution();
+                throw new Error(`Превышено максимальное время выполнения (${this.maxExecutionTime}мс)`);
+            }, this.maxExecutionTime);
+        }
+    }
+
+    /**
+     * Остановка выполнения
+     */
+    stopExecution() {
+        if (this.executionTimer) {
+            clearTimeout(this.executionTimer);
+            this.executionTimer = null;
+            this.executionDeadline = null;
+        }
+
+        if (this.asyncManager) {
+            this.asyncManager.clear();
+        }
+    }
+
+    /**
+     * Вызов функции
+     */
+    async evaluateCallExpression(expr) {
+        const callee = await this.evaluateExpression(expr.callee);
+        const args = [];
+
+        for (const arg of expr.args || []) {
+            if (arg && arg.type === 'SpreadElement') {
+                const spreadValue = await this.evaluateExpression(arg.argument);
+                const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
+
+                if (Array.isArray(spreadArray)) {
+                    args.push(...spreadArray);
+                } else {
+                    args.push(spreadValue);
+                }
+            } else {
+                args.push(await this.evaluateExpression(arg));
+            }
+        }
+
+        const convertToNative = (val) => {
+            if (val && typeof val === 'object' && val.type !== undefined) {
+                if (val.type === 'function' || val.type === 'closure' || val.type === 'generator') {
+                    return val;
+                }
+
+                if (val.type === 'null') {
+                    return null;
+                }
+
+                if (val.value !== undefined) {
+                    const rawValue = val.value;
+
+                    if (Array.isArray(rawValue)) {
+                        return rawValue.map(item => convertToNative(item));
+                    } else if (rawValue && typeof rawValue === 'object' && rawValue.constructor === Object) {
+                        const converted = {};
+                        for (const key in rawValue) {
+                            if (rawValue.hasOwnProperty(key)) {
+                                converted[key] = convertToNative(rawValue[key]);
+                            }
+                        }
+                        return converted;
+                    } else {
+                        return rawValue;
+                    }
+                }
+            }
+            return val;
+        };
+
+        const nativeArgs = args.map(convertToNative);
+
+        if (callee && (callee.type === 'function' || callee.isNativeFunction?.())) {
+            // Native function
+            if (this.debugger) {
+                this.debugger.pushFrame({
+                    filename: this.currentFilename,
+                    line: expr.line || 0,
+                    functionName: callee.name || '<anonymous>',
+                    environment: this.currentEnv
+                });
+            }
+
+            try {
+                let result = callee.value(...nativeArgs);
+                if (result && typeof result.then === 'function') {
+                    result = await result;
+                }
+
+                if (this.debugger) {
+                    this.debugger.popFrame();
+                }
+
+                return VladXObject.fromJS(result);
+            } catch (error) {
+                if (this.debugger) {
+                    this.debugger.popFrame();
+                }
+                throw error;
+            }
+        } else if (callee && callee.type === 'closure') {
+            // Closure
+            if (this.profiler && callee.name) {
+                this.profiler.enterFunction(callee.name, callee.ast?.body?.[0]?.filename || this.currentFilename);
+            }
+
+            const closureEnv = this.currentEnv;
+
+            const closure = async (...args) => {
+                const env = this.currentEnv;
+
+                try {
+                    this.currentEnv = closureEnv;
+
+                    const params = callee.params || [];
+                    for (let i = 0; i < params.length; i++) {
+                        const paramName = params[i]?.name || `arg${i}`;
+                        this.currentEnv.define(paramName, VladXObject.fromJS(args[i]));
+                    }
+
+                    let result = VladXObject.null();
+
+                    const body = callee.thenBranch?.body || callee.body || [];
+
+                    for (const stmt of body) {
+                        // Debugger check
+                        if (this.debugger) {
+                            this.currentLine = stmt.line || 0;
+                            if (this.debugger.checkBreak(this.currentFilename, stmt.line || 0)) {
+                                this.debugger.paused = true;
+                                await new Promise(resolve => setTimeout(resolve, 100));
+                            }
+                        }
+
+                        result = await this.evaluateStatement(stmt);
+
+                        if (this.isReturn) {
+                            this.isReturn = false;
+                            return this.returnValue;
+                        }
+                    }
+
+                    return result;
+                } finally {
+                    this.currentEnv = env;
+                }
+            };
+
+            let result = await closure(...nativeArgs);
+
+            if (this.profiler && callee.name) {
+                this.profiler.exitFunction();
+            }
+
+            return result;
+        } else {
+            throw new Error(`${callee?.name || expr.callee} не является функцией`);
+        }
+    }
+
+    /**
+     * Оценка оператора для дебаггера
+     */
+    async evaluateStatementDebug(stmt) {
+        return await this.evaluateStatement(stmt);
+    }
+
+    /**
+     * Интерпретация AST
+     */
+    async interpret(ast, options = {}) {
+        if (this.debug) {
+            console.log('[Interpreter] Starting interpretation');
+        }
+        this.startExecution();
+        let debugFrame = null;
+        
+        try {
+            const previousEnv = this.currentEnv;
+            const previousFilename = this.currentFilename;
+
+            let executionEnv = this.currentEnv;
+            if (options.environment) {
+                executionEnv = options.environment;
+            }
+            this.currentFilename = options.filename || '<anonymous>';
+
+            // Register builtins in the execution environment
+            this.currentEnv = executionEnv;
+            this.registerBuiltins();
+            if (this.debug) {
+                console.log('[Interpreter] Builtins registered');
+            }
+
+            // Create a child environment for program execution to allow local variables
+            // to shadow built-in functions/constants
+            const programEnv = executionEnv.child('<program>');
+            this.currentEnv = programEnv;
+
+            // Фрейм программы (или импортируемого модуля) для подключённого отладчика
+            if (this.debugger && this.debugger.active) {
+                debugFrame = {
+                    filename: this.currentFilename,
+                    line: 0,
+                    column: 0,
+                    functionName: this.debugger.callStack.length === 0 ? '<программа>' : '<модуль>',
+                    environment: programEnv,
+                    scopeEnvironment: programEnv
+                };
+                this.debugger.pushFrame(debugFrame);
+            }
+
+            if (this.debug) {
+                console.log('[Interpreter] AST body length:', ast.body.length);
+            }
+            let result = this.vm ? await this.vm.runProgram(ast) : BytecodeVM.NOT_HANDLED;
+            if (result === BytecodeVM.NOT_HANDLED) {
+                result = await this.evaluateProgram(ast);
+            }
+            if (this.debug) {
+                console.log('[Interpreter] Program evaluated');
+            }
+            this.stopExecution();
+
+            // Merge exports from child environment to parent environment if they exist
+            if (programEnv.exports && Object.keys(programEnv.exports).length > 0) {
+                if (!executionEnv.exports) {
+                    executionEnv.exports = {};
+                }
+                Object.assign(executionEnv.exports, programEnv.exports);
+            }
+
+            this.currentEnv = previousEnv; // Restore the original environment
+            this.currentFilename = previousFilename;
+
+            return result;
+
+                    } catch (error) {
+            this.stopExecution();
+            if (this.debug) {
+                console.error('[Interpreter] ПОЙМАНА ОШИБКА ВЫПОЛНЕНИЯ:', error);
+                console.error('[Interpreter] Тип ошибки:', error.constructor.name);
+                console.error('[Interpreter] Стек ошибки:');
+                console.error(error.stack);
+                console.error('[Interpreter] Текущий файл:', this.currentFilename);
+                console.error('[Interpreter] Текущий стек вызовов:', this.callStack);
+            }
+            throw this.wrapError(error);
+        } finally {
+            if (debugFrame) {
+                this.debugger.popFrame(debugFrame);
+            }
+        }
+    }
+
+    /**
+     * Регистрация встроенных функций в окружении
+     */
+    registerBuiltins() {
+        if (this.builtinsRegistered) {
+            return; // Уже зарегистрировано
+        }
+
+        for (const [name, fn] of this.builtins) {
+            this.globalEnv.define(name, VladXObject.function(fn, name), true);
+        }
+
+        this.builtinsRegistered = true;
+    }
+
+    /**
+     * Обновить окружение с текущими встроенными функциями
+     */
+    refreshBuiltins() {
+        // Register all built-ins in the global environment
+        for (const [name, fn] of this.builtins) {
+            this.globalEnv.define(name, VladXObject.function(fn, name), true);
+        }
+    }
+
+    /**
+     * Выполнение программы
+     */
+    async evaluateProgram(program) {
+        let result = VladXObject.null();
+        
+        for (const statement of program.body) {
+            if (statement.type === 'EmptyStatement') continue;
+            
+            try {
+                result = await this.evaluateStatement(statement);
+                
+                if (this.isReturn) {
+                    break;
+                }
+            } catch (error) {
+                if (this.errorHandler) {
+                    await this.executeCatch(this.errorHandler, error);
+                    this.errorHandler = null;
+                } else {
+                    throw error;
+                }
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Выполнение инструкции
+     */
+    async evaluateStatement(statement) {
+        if (!statement) {
+            return VladXObject.null();
+        }
+
+        if (this.debugger && this.debugger.active) {
+            await this.debugger.onStatement(statement, this.currentEnv, this.currentFilename);
+        }
+        
+        switch (statement.type) {
+            case 'ExpressionStatement':
+                return await this.evaluateExpression(statement.expression);
+
+            case 'LetStatement':
+                return await this.evaluateLetStatement(statement);
+
+            case 'ConstStatement':
+                return await this.evaluateConstStatement(statement);
+
+            case 'VariableDeclarationWithPattern':
+                return await this.evaluateVariableDeclarationWithPattern(statement);
+
+            case 'ReturnStatement':
+                return await this.evaluateReturnStatement(statement);
+
+            case 'BlockStatement':
+                return await this.evaluateBlockStatement(statement);
+
+            case 'IfStatement':
+                return await this.evaluateIfStatement(statement);
+
+            case 'WhileStatement':
+                return await this.evaluateWhileStatement(statement);
+
+            case 'ForStatement':
+                return await this.evaluateForStatement(statement);
+
+            case 'ForOfStatement':
+                return await this.evaluateForOfStatement(statement);
+
+            case 'ForInStatement':
+                return await this.evaluateForInStatement(statement);
+
+            case 'BreakStatement':
+                return this.evaluateBreakStatement(statement);
+
+            case 'ContinueStatement':
+                return this.evaluateContinueStatement(statement);
+
+            case 'FunctionDeclaration':
+                return await this.evaluateFunctionDeclaration(statement);
+
+            case 'ClassDeclaration':
+                return await this.evaluateClassDeclaration(statement);
+
+            case 'EnumDeclaration':
+                return this.evaluateEnumDeclaration(statement);
+
+            case 'TryStatement':
+                return await this.evaluateTryStatement(statement);
+
+            case 'ThrowStatement':
+                return await this.evaluateThrowStatement(statement);
+
+            case 'SwitchStatement':
+                return await this.evaluateSwitchStatement(statement);
+
+            case 'ImportStatement':
+                return await this.evaluateImportStatement(statement);
+
+            case 'ExportStatement':
+                return await this.evaluateExportStatement(statement);
+
+            case 'LabeledStatement':
+                return await this.evaluateLabeledStatement(statement);
+
+            case 'EmptyStatement':
+                return VladXObject.null();
+
+            case 'TypeAliasDeclaration':
+                this.typeSystem.defineAlias(statement.name, statement.typeAnnotation);
+                return VladXObject.null();
+
+            default:
+                throw new Error(`Неизвестный тип инструкции: '${statement.type}'. Доступные типы: ExpressionStatement, LetStatement, ConstStatement, ReturnStatement, BlockStatement, IfStatement, WhileStatement, ForStatement, ForOfStatement, ForInStatement, BreakStatement, ContinueStatement, FunctionDeclaration, ClassDeclaration, EnumDeclaration, TryStatement, ThrowStatement, SwitchStatement, ImportStatement, ExportStatement, LabeledStatement, EmptyStatement`);
+        }
+    }
+
+    // ========== Выражения ==========
+
+    /**
+     * Вычисление выражения
+     */
+    async evaluateExpression(expr) {
+        if (!expr) {
+            return VladXObject.null();
+        }
+        
+        switch (expr.type) {
+            case 'Literal':
+                return this.evaluateLiteral(expr);
+
+            case 'Identifier':
+                return this.evaluateIdentifier(expr);
+
+            case 'ThisExpression':
+                return this.evaluateThisExpression(expr);
+
+            case 'SuperExpression':
+                return this.evaluateSuperExpression(expr);
+
+            case 'NewExpression':
+                return this.evaluateNewExpression(expr);
+
+            case 'BinaryExpression':
+                return this.evaluateBinaryExpression(expr);
+
+            case 'UnaryExpression':
+                return this.evaluateUnaryExpression(expr);
+
+            case 'CallExpression':
+                return this.evaluateCallExpression(expr);
+
+            case 'MemberExpression':
+                return this.evaluateMemberExpression(expr);
+
+            case 'ChainExpression':
+                return this.evaluateChainExpression(expr);
+
+            case 'Assignment':
+                return this.evaluateAssignment(expr);
+
+            case 'MemberAssignment':
+                return this.evaluateMemberAssignment(expr);
+
+            case 'AssignmentExpression':
+                return this.evaluateAssignmentExpression(expr);
+
+            case 'CompoundAssignmentExpression':
+                return this.evaluateCompoundAssignmentExpression(expr);
+
+            case 'BitwiseExpression':
+                return this.evaluateBitwiseExpression(expr);
+
+            case 'TemplateLiteral':
+                return this.evaluateTemplateLiteral(expr);
+
+            case 'RegexLiteral':
+                return VladXObject.regex(compileRegex(expr.pattern, expr.flags));
+
+            case 'AwaitExpression':
+                return this.evaluateAwaitExpression(expr);
+
+            case 'ArrayExpression':
+                return this.evaluateArrayExpression(expr);
+
+            case 'ObjectExpression':
+                return this.evaluateObjectExpression(expr);
+
+            case 'FunctionDeclaration':
+                return this.evaluateFunctionDeclaration(expr);
+
+            case 'ArrowFunctionExpression':
+                return this.evaluateArrowFunctionExpression(expr);
+
+            case 'TernaryExpression':
+                return this.evaluateTernaryExpression(expr);
+
+            case 'ImportExpression':
+                return this.evaluateImportExpression(expr);
+
+            case 'SequenceExpression':
+                return this.evaluateSequenceExpression(expr);
+
+            case 'ArrayPattern':
+                return this.evaluateArrayPattern(expr);
+
+            case 'ObjectPattern':
+                return this.evaluateObjectPattern(expr);
+
+            case 'MatchExpression':
+                return this.evaluateMatchExpression(expr);
+
+            case 'YieldExpression':
+                return this.evaluateYieldExpression(expr);
+
+            default:
+                throw new Error(`Неизвестный тип выражения: '${expr.type}'. Доступные типы: Literal, Identifier, ThisExpression, SuperExpression, BinaryExpression, UnaryExpression, CallExpression, MemberExpression, Assignment, MemberAssignment, AssignmentExpression, CompoundAssignmentExpression, BitwiseExpression, TemplateLiteral, ArrayExpression, ObjectExpression, FunctionDeclaration, ArrowFunctionExpression, TernaryExpression, ImportExpression, SequenceExpression, ArrayPattern, ObjectPattern, NewExpression, MatchExpression, YieldExpression`);
+        }
+    }
+
+    /**
+     * Литерал
+     */
+    evaluateLiteral(expr) {
+        const value = expr.value;
+        const valueType = typeof value;
+        
+        if (valueType === 'number') {
+            return VladXObject.number(value);
+        }
+        if (valueType === 'boolean') {
+            return VladXObject.boolean(value);
+        }
+        if (valueType === 'string') {
+            return VladXObject.string(value);
+        }
+        if (value === null) {
+            return VladXObject.null();
+        }
+        if (isExact(value)) {
+            return VladXObject.fromJS(value);
+        }
+        
+        return VladXObject.string(value);
+    }
+
+    /**
+     * Идентификатор
+     */
+    evaluateIdentifier(expr) {
+        return this.currentEnv.get(expr.name);
+    }
+
+    /**
+     * This выражение
+     */
+    evaluateThisExpression(expr) {
+        // В статических методах и блоках "это" — сам класс
+        if (this.currentInstance && (this.currentInstance.type === 'instance' || this.currentInstance.type === 'class')) {
+            return this.currentInstance;
+        }
+        throw new Error('Использование "это" (this) вне контекста метода класса');
+    }
+
+    /**
+     * Super выражение
+     */
+    evaluateSuperExpression(expr) {
+        if (!this.currentInstance || (this.currentInstance.type !== 'instance' && this.currentInstance.type !== 'class')) {
+            throw new Error('Использование "super" вне контекста метода класса');
+        }
+        // В статическом контексте "супер" — родительский класс
+        const subject = this.currentInstance;
+        const ownClass = subject.type === 'class' ? subject : subject.prototype;
+        if (!ownClass || !ownClass.prototype) {
+            throw new Error('У класса нет родительского класса');
+        }
+
+        return subject.type === 'class' ? ownClass.prototype : this.superInstance(subject, ownClass.prototype);
+    }
+
+    /**
+     * Экземпляр родительского класса с общими полями (для "супер")
+     */
+    superInstance(instance, superClass) {
+        const superInstance = VladXObject.instance(superClass);
+        superInstance.value = instance.value;
+        superInstance.privateFields = instance.privateFields;
+        return superInstance;
+    }
+
+    /**
+     * New expression - создание экземпляра класса
+     */
+    async evaluateNewExpression(expr) {
+        const callee = this.assertClass(await this.evaluateExpression(expr.callee));
+
+        const args = [];
+        for (const arg of expr.args) {
+            args.push(await this.evaluateExpression(arg));
+        }
+
+        return this.constructInstance(callee, args);
+    }
+
+    /**
+     * Проверка, что значение после "новый" — класс
+     */
+    assertClass(callee) {
+        if (!callee || callee.type !== 'class') {
+            if (callee) {
+                throw new Error(`new можно использовать только с классами, получено: ${callee.type}`);
+            } else {
+                throw new Error('new можно использовать только с классами, callee is null');
+            }
+        }
+        return callee;
+    }
+
+    /**
+     * Создание экземпляра класса с вызовом конструктора
+     */
+    async constructInstance(callee, args) {
+        const instance = VladXObject.instance(callee);
+        // Поля всей цепочки классов инициализируются до конструктора
+        await this.initializeFields(instance, callee);
+
+        if (callee.methods && (callee.methods.has('конструктор') || callee.methods.has('constructor'))) {
+            const constructorMethod = callee.methods.has('конструктор') ? callee.methods.get('конструктор') : callee.methods.get('constructor');
+
+            const previousInstance = this.currentInstance;
+            this.currentInstance = instance;
+            try {
+                await this.executeFunction(constructorMethod, args);
+            } finally {
+                this.currentInstance = previousInstance;
+            }
+        } else if (callee.prototype && callee.prototype.methods && (callee.prototype.methods.has('конструктор') || callee.prototype.methods.has('constructor'))) {
+            const parentConstructorMethod = callee.prototype.methods.has('конструктор') ? callee.prototype.methods.get('конструктор') : callee.prototype.methods.get('constructor');
+
+            const previousInstance = this.currentInstance;
+            this.currentInstance = this.superInstance(instance, callee.prototype);
+            try {
+                await this.executeFunction(parentConstructorMethod, args);
+            } finally {
+                this.currentInstance = previousInstance;
+            }
+        }
+
+        return instance;
+    }
+
+    /**
+     * Бинарное выражение
+     */
+    async evaluateBinaryExpression(expr) {
+        const left = await this.evaluateExpression(expr.left);
+        if (expr.operator === '??') {
+            return this.isNullish(left) ? this.evaluateExpression(expr.right) : left;
+        }
+        const right = await this.evaluateExpression(expr.right);
+        return this.binaryOperation(expr.operator, left, right);
+    }
+
+    /**
+     * Бинарная операция над уже вычисленными операндами
+     */
+    binaryOperation(operator, left, right) {
+        // Извлекаем "сырые" значения из VladXObject
+        const lval = (left && left.type !== undefined && 'value' in left) ? left.value : (left ?? '');
+        const rval = (right && right.type !== undefined && 'value' in right) ? right.value : (right ?? '');
+
+        // Варианты перечислений равны, если совпадают вариант и все поля
+        if ((lval instanceof EnumValue || rval instanceof EnumValue) && (operator === '==' || operator === '!=')) {
+            const equal = lval instanceof EnumValue &&
+                lval.equals(rval, (a, b) => this.binaryOperation('==', a, b).value);
+            return VladXObject.boolean(operator === '==' ? equal : !equal);
+        }
+
+        // Большие и десятичные считаются точно
+        if (isExact(lval) || isExact(rval)) {
+            const result = exactBinary(operator, lval, rval);
+            if (result !== undefined) {
+                return VladXObject.fromJS(result);
+            }
+        }
+        
+        switch (operator) {
+            case '+': 
+                // Проверяем, если хотя бы один операнд строка
+                if (typeof lval === 'string' || typeof rval === 'string') {
+                    return VladXObject.string(String(lval) + String(rval));
+                }
+                return VladXObject.number(lval + rval);
+            case '-': return VladXObject.number(lval - rval);
+            case '*': return VladXObject.number(lval * rval);
+            case '/':
+                if (rval === 0) throw new Error(`Деление на ноль: ${lval} / ${rval}`);
+                return VladXObject.number(lval / rval);
+            case '%': return VladXObject.number(lval % rval);
+            case '**': return VladXObject.number(Math.pow(lval, rval));
+
+            case '==': return VladXObject.boolean(lval == rval);
+            case '!=': return VladXObject.boolean(lval != rval);
+            case '<': return VladXObject.boolean(lval < rval);
+            case '>': return VladXObject.boolean(lval > rval);
+            case '<=': return VladXObject.boolean(lval <= rval);
+            case '>=': return VladXObject.boolean(lval >= rval);
+
+            case '&&': return VladXObject.boolean(lval && rval);
+            case '||': return VladXObject.boolean(lval || rval);
+
+            case 'экземпляр': return VladXObject.boolean(this.isInstanceOf(left, right));
+
+            default:
+                throw new Error(`Неизвестный оператор: '${operator}' при вычислении выражения ${lval} ${operator} ${rval}`);
+        }
+    }
+
+    /**
+     * Проверка "значение экземпляр Класс" с учётом цепочки "расширяет"
+     */
+    isInstanceOf(value, classObj) {
+        if (!classObj || classObj.type !== 'class') {
+            throw new Error(`Справа от "экземпляр" должен быть класс, получено: ${classObj ? classObj.type : 'ничто'}`);
+        }
+        if (!value || value.type !== 'instance') {
+            return false;
+        }
+        for (let current = value.prototype; current; current = current.prototype) {
+            if (current === classObj) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Унарное выражение
+     */
+    async evaluateUnaryExpression(expr) {
+        const operand = await this.evaluateExpression(expr.operand);
+        return this.unaryOperation(expr.operator, operand);
+    }
+
+    /**
+     * Унарная операция над уже вычисленным операндом
+     */
+    unaryOperation(operator, operand) {
+        const val = operand && operand.value !== undefined ? operand.value : operand;
+
+        if (isExact(val) && (operator === '-' || operator === '+')) {
+            if (operator === '+') return VladXObject.fromJS(val);
+            return VladXObject.fromJS(typeof val === 'bigint' ? -val : val.neg());
+        }
+
+        switch (operator) {
+            case '-': return VladXObject.number(-val);
+            case '+': return VladXObject.number(+val);
+            case '!': return VladXObject.boolean(!val);
+            case 'не': return VladXObject.boolean(!val);
+            case 'typeof':
+                if (operand && operand.type !== undefined) {
+                    return VladXObject.string(operand.type);
+                }
+                return VladXObject.string(typeof val);
+
+            default:
+                throw new Error(`Неизвестный унарный оператор: '${operator}' при вычислении выражения ${operator} ${val}`);
+        }
+    }
+
+    /**
+     * Вызов функции
+     */
+    async evaluateCallExpression(expr) {
+        let instance = null;
+        let callee;
+
+        if (expr.callee.type === 'MemberExpression') {
+            // Метод получает "это": экземпляр или класс (для статических методов)
+            const object = await this.evaluateExpression(expr.callee.object);
+            if (object === SHORT_CIRCUIT || (expr.callee.optional && this.isNullish(object))) {
+                return SHORT_CIRCUIT;
+            }
+            if (object && (object.type === 'instance' || object.type === 'class')) {
+                instance = object;
+            }
+            callee = await this.evaluateMemberOf(object, expr.callee);
+        } else {
+            callee = await this.evaluateExpression(expr.callee);
+        }
+        if (callee === SHORT_CIRCUIT || (expr.optional && this.isNullish(callee))) {
+            return SHORT_CIRCUIT;
+        }
+
+        const args = [];
+        for (const arg of expr.args) {
+            if (arg && arg.type === 'SpreadElement') {
+                args.push(...await this.spreadArguments(await this.evaluateExpression(arg.argument)));
+            } else {
+                args.push(await this.evaluateExpression(arg));
+            }
+        }
+
+        return this.callValue(callee, args, instance);
+    }
+
+    /**
+     * Аргументы из ...значение при вызове функции
+     */
+    async spreadArguments(spreadValue) {
+        const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
+
+        if (Array.isArray(spreadArray)) {
+            return spreadArray;
+        }
+
+        const items = [];
+        if (this.isIterable(spreadValue)) {
+            for await (const item of this.iterate(spreadValue)) {
+                items.push(item);
+            }
+        } else {
+            items.push(spreadValue);
+        }
+        return items;
+    }
+
+    /**
+     * Вызов уже вычисленного значения с вычисленными аргументами
+     */
+    async callValue(callee, args, instance = null) {
+        const nativeArgs = args.map(arg => this.toNative(arg));
+
+        if (callee && callee.isNative) {
+            try {
+                const result = callee.value(...nativeArgs);
+                if (result instanceof Promise) {
+                    return await result;
+                }
+                return result;
+            } catch (error) {
+                if (error && error.type === 'error') {
+                    throw new Error(error.value || 'Неизвестная ошибка во встроенной функции');
+                }
+                throw error;
+            }
+        }
+
+        if (callee && (callee.type === 'function' || callee.type === 'closure')) {
+            const previousInstance = this.currentInstance;
+            this.currentInstance = instance;
+            try {
+                const result = await this.executeFunction(callee, args);
+                return result;
+            } finally {
+                this.currentInstance = previousInstance;
+            }
+        }
+
+        let calleeInfo = 'неизвестное значение';
+        if (callee) {
+            if (callee.type === 'string') {
+                calleeInfo = `строка "${callee.value}"`;
+            } else if (callee.type === 'number') {
+                calleeInfo = `число ${callee.value}`;
+            } else if (callee.type === 'boolean') {
+                calleeInfo = `логическое значение`;
+            } else if (callee.type === 'null') {
+                calleeInfo = `значение nothing`;
+            } else if (Array.isArray(callee)) {
+                calleeInfo = `массив`;
+            } else if (typeof callee === 'object') {
+                calleeInfo = `объект`;
+            } else {
+                calleeInfo = String(callee);
+            }
+        }
+
+        const error = new Error(`Ошибка вызова функции: '${calleeInfo}' не является функцией и не может быть вызвано. Проверьте, что вы вызываете существующую функцию.`);
+        console.log('[DEBUG] evaluateCallExpression error:', error);
+        throw error;
+    }
+
+    /**
+     * Преобразование аргумента встроенной функции в обычное JS-значение
+     */
+    toNative(val) {
+        if (val && typeof val === 'object' && val.type !== undefined) {
+            if (val.type === 'function' || val.type === 'closure' || val.type === 'generator') {
+                return val;
+            }
+
+            if (val.type === 'null') {
+                return null;
+            }
+
+            if (val.value !== undefined) {
+                const rawValue = val.value;
+
+                if (Array.isArray(rawValue)) {
+                    return rawValue.map(item => this.toNative(item));
+                } else if (rawValue && typeof rawValue === 'object' && rawValue.constructor === Object) {
+                    const converted = {};
+                    for (const key in rawValue) {
+                        if (rawValue.hasOwnProperty(key)) {
+                            converted[key] = this.toNative(rawValue[key]);
+                        }
+                    }
+                    return converted;
+                } else {
+                    return rawValue;
+                }
+            }
+        }
+        return val;
+    }
+
+    /**
+     * Выполнение функции
+     */
+    async executeFunction(fn, args, generatorState = null) {
+        // Вызов функции-генератора только создаёт генератор; тело выполнится при следующий()
+        if (fn.ast && fn.ast.isGenerator && !generatorState) {
+            return VladXObject.generator(new GeneratorState(this, fn, args, this.currentInstance), fn.name);
+        }
+
+        // В режиме ВМ тело функции выполняется байт-кодом
+        if (this.vm && !generatorState) {
+            const vmResult = await this.vm.execute(fn, args);
+            if (vmResult !== BytecodeVM.NOT_HANDLED) {
+                return vmResult;
+            }
+        }
+
+        // Горячие функции выполняются скомпилированным кодом
+        if (this.jit && !generatorState) {
+            const compiledResult = await this.jit.execute(fn, args);
+            if (compiledResult !== JITCompiler.NOT_COMPILED) {
+                return compiledResult;
+            }
+        }
+
+        const previousFunction = this.currentFunction;
+        const previousGenerator = this.currentGenerator;
+        const previousReturn = { isReturn: this.isReturn, value: this.returnValue };
+        const previousEnv = this.currentEnv;
+
+        // Создаем локальное окружение для функции
+        const functionEnv = fn.env ? fn.env.child(`<function ${fn.name}>`) : new Environment(this.currentEnv, `<function ${fn.name}>`);
+        this.currentEnv = functionEnv;
+
+        // Определяем параметры в локальном окружении
+        if (fn.ast && fn.ast.params) {
+            let restParamIndex = -1;
+
+            // Найдем индекс rest параметра, если он есть
+            for (let i = 0; i < fn.ast.params.length; i++) {
+                if (fn.ast.params[i].type === 'RestElement') {
+                    restParamIndex = i;
+                    break;
+                }
+            }
+
+            for (let i = 0; i < fn.ast.params.length; i++) {
+                const param = fn.ast.params[i];
+                const argValue = args[i];
+
+                // Обработка rest параметра
+                if (param.type === 'RestElement') {
+                    // Собираем все оставшиеся аргументы в массив
+                    const restArgs = args.slice(i) || [];
+                    functionEnv.define(param.argument.name, VladXObject.array(restArgs));
+                }
+                // Проверяем, является ли параметр шаблоном присваивания (имеет значение по умолчанию)
+                else if (param.type === 'AssignmentPattern') {
+                    // Если аргумент не передан, используем значение по умолчанию
+                    if (argValue === undefined) {
+                        const defaultValue = await this.evaluateExpression(param.right);
+                        functionEnv.define(param.left.name, defaultValue);
+                    } else {
+                        functionEnv.define(param.left.name, argValue);
+                    }
+                } else {
+                    // Обычный параметр
+                    functionEnv.define(param.name, argValue ? argValue : VladXObject.null());
+                }
+            }
+        }
+
+        // В строгом режиме аргументы проверяются по аннотациям параметров
+        if (this.strictMode && fn.ast && fn.ast.params) {
+            this.checkParameterTypes(fn, functionEnv);
+        }
+
+        this.currentFunction = fn;
+        this.currentGenerator = generatorState;
+        this.isReturn = false;
+        this.returnValue = null;
+
+        this.callStack.push(fn.name);
+
+        const debugFrame = this.debugger && this.debugger.active ? {
+            filename: this.currentFilename,
+            line: fn.ast?.line || 0,
+            column: 0,
+            functionName: fn.name,
+            environment: functionEnv,
+            scopeEnvironment: functionEnv,
+            instance: this.currentInstance
+        } : null;
+        if (debugFrame) {
+            this.debugger.pushFrame(debugFrame);
+        }
+
+        let result = VladXObject.null();
+        let didReturn = false;
+        let returnVal = null;
+
+        try {
+            if (fn.ast && fn.ast.body) {
+                // fn.ast.body is a BlockStatement, so we need fn.ast.body.body to get the statements
+                const bodyStatements = fn.ast.body.body || [];
+                let lastExpressionResult = null;
+
+                for (const statement of bodyStatements) {
+                    result = await this.evaluateStatement(statement);
+
+                    // Сохраняем результат ExpressionStatement для возврата
+                    if (statement.type === 'ExpressionStatement') {
+                        lastExpressionResult = result;
+                    }
+
+                    if (this.isReturn) {
+                        didReturn = true;
+                        returnVal = this.returnValue;
+                        break;
+                    }
+                }
+
+                // Если не было return, возвращаем результат последнего ExpressionStatement
+                if (!didReturn && lastExpressionResult !== null) {
+                    result = lastExpressionResult;
+                }
+            }
+        } finally {
+            this.currentFunction = previousFunction;
+            this.currentGenerator = previousGenerator;
+            this.isReturn = previousReturn.isReturn;
+            this.returnValue = previousReturn.value;
+            this.currentEnv = previousEnv;
+
+            this.callStack.pop();
+            if (debugFrame) {
+                this.debugger.popFrame(debugFrame);
+            }
+        }
+
+        let value = didReturn ? returnVal : result;
+
+        // Если функция асинхронная, и результат - промис, дожидаемся его
+        if (fn.ast && fn.ast.isAsync) {
+            if (result && typeof result.then === 'function') {
+                value = await result;
+            } else if (result && result.value && typeof result.value.then === 'function') {
+                const resolved = await result.value;
+                value = VladXObject.fromJS(resolved);
+            }
+        }
+
+        if (this.strictMode && fn.ast && fn.ast.returnType && !fn.ast.isGenerator) {
+            this.checkReturnType(fn, value, didReturn);
+        }
+
+        return value;
+    }
+
+    /**
+     * Проверка аргументов функции в строгом режиме (--strict)
+     */
+    checkParameterTypes(fn, functionEnv) {
+        for (const param of fn.ast.params) {
+            const identifier = param.type === 'AssignmentPattern' ? param.left : param;
+            if (!identifier.typeAnnotation) continue;
+
+            const value = functionEnv.get(identifier.name);
+            if (!this.typeSystem.checkType(value, identifier.typeAnnotation)) {
+                throw new Error(`Ошибка типа: параметр ${identifier.name} функции ${fn.name} ожидает «${this.typeSystem.typeToString(identifier.typeAnnotation)}», получено «${this.typeSystem.inferType(value)}»`);
+            }
+        }
+    }
+
+    /**
+     * Проверка возвращаемого значения в строгом режиме (--strict)
+     */
+    checkReturnType(fn, value, didReturn) {
+        const returnType = fn.ast.returnType;
+
+        // Функция без вернуть с типом ничто: значение последнего выражения не считается результатом
+        if (!didReturn && returnType.type === 'SimpleType' && returnType.name === 'ничто') {
+            return;
+        }
+
+        if (!this.typeSystem.checkType(value, returnType)) {
+            throw new Error(`Ошибка типа: функция ${fn.name} должна вернуть «${this.typeSystem.typeToString(returnType)}», получено «${this.typeSystem.inferType(value)}»`);
+        }
+    }
+
+    /**
+     * Присваивание
+     */
+    async evaluateAssignment(expr) {
+        const value = await this.evaluateExpression(expr.value);
+
+        // Обработка обычного присваивания
+        if (expr.name) {
+            this.currentEnv.assign(expr.name, value);
+        }
+        return value;
+    }
+
+    /**
+     * Деструктуризация массива
+     */
+    async evaluateArrayDestructuring(pattern, value, isConst = false) {
+        const restIndex = pattern.elements.findIndex(element => element && element.type === 'RestElement');
+
+        // Извлекаем нативный массив из VladXObject; прочие итерируемые читаются только на нужную длину
+        let arrayValue;
+        if (value && value.type === 'array' && value.value) {
+            arrayValue = value.value;
+        } else if (Array.isArray(value)) {
+            arrayValue = value;
+        } else if (this.isIterable(value)) {
+            const limit = restIndex === -1 ? pattern.elements.length : Infinity;
+            arrayValue = await this.takeFromIterable(value, limit);
+        } else {
+            throw new Error('Деструктуризация массива требует массив в правой части');
+        }
+
+        for (let i = 0; i < pattern.elements.length; i++) {
+            const element = pattern.elements[i];
+
+            if (element && element.type === 'RestElement') {
+                const rest = arrayValue.slice(i).map(item => item instanceof VladXObject ? item : VladXObject.fromJS(item));
+                await this.bindPatternTarget(element.argument, VladXObject.array(rest), isConst);
+                break;
+            }
+
+            let elementValue = VladXObject.null();
+
+            if (i < arrayValue.length) {
+                const rawValue = arrayValue[i];
+                // Преобразуем значение в VladXObject если нужно
+                if (rawValue && rawValue.type !== undefined) {
+                    elementValue = rawValue; // Уже VladXObject
+                } else {
+                    elementValue = VladXObject.fromJS(rawValue);
+                }
+            }
+
+            if (element) {
+                await this.bindPatternTarget(element, elementValue, isConst);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Деструктуризация объекта
+     */
+    async evaluateObjectDestructuring(pattern, value, isConst = false) {
+        // Извлекаем нативный объект из VladXObject
+        let objectValue;
+        if (value && value.type === 'object' && value.value) {
+            objectValue = value.value;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            objectValue = value;
+        } else {
+            throw new Error('Деструктуризация объекта требует объект в правой части');
+        }
+
+        for (const property of pattern.properties) {
+            if (property.type === 'Property') {
+                let propertyValue = VladXObject.null();
+
+                if (property.computed) {
+                    // Вычисленное свойство
+                    const key = await this.evaluateExpression(property.key);
+                    const keyValue = key && key.value !== undefined ? key.value : key;
+                    propertyValue = this.destructuredValue(objectValue[keyValue]);
+                } else {
+                    // Статическое свойство
+                    let key;
+                    if (property.key && property.key.name) {
+                        key = property.key.name;
+                    } else if (property.key && property.key.value !== undefined) {
+                        key = property.key.value;
+                    } else {
+                        key = property.key;
+                    }
+                    propertyValue = this.destructuredValue(objectValue[key]);
+                }
+
+                if (property.value) {
+                    await this.bindPatternTarget(property.value, propertyValue, isConst);
+                }
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Значение свойства для привязки: VladXObject как есть, нативное — обёрнутым
+     */
+    destructuredValue(rawValue) {
+        if (rawValue === undefined) {
+            return VladXObject.null();
+        }
+        return rawValue instanceof VladXObject ? rawValue : VladXObject.fromJS(rawValue);
+    }
+
+    /**
+     * Привязка значения к цели деструктуризации (имя, значение по умолчанию или вложенный паттерн)
+     */
+    async bindPatternTarget(target, value, isConst = false) {
+        switch (target.type) {
+            case 'Identifier':
+                this.currentEnv.define(target.name, value, isConst);
+                break;
+
+            case 'AssignmentPattern': {
+                const isMissing = !value || value.type === 'null';
+                const actual = isMissing && target.right ? await this.evaluateExpression(target.right) : value;
+                await this.bindPatternTarget(target.left, actual, isConst);
+                break;
+            }
+
+            case 'ArrayPattern':
+                await this.evaluateArrayDestructuring(target, value, isConst);
+                break;
+
+            case 'ObjectPattern':
+                await this.evaluateObjectDestructuring(target, value, isConst);
+                break;
+
+            default:
+                throw new Error(`Недопустимая цель деструктуризации: ${target.type}`);
+        }
+    }
+
+    /**
+     * Обычное присваивание выражения
+     */
+    async evaluateAssignmentExpression(expr) {
+        const right = await this.evaluateExpression(expr.right);
+
+        // Обработка обычного присваивания
+        if (expr.operator === '=') {
+            if (expr.left.type === 'Identifier') {
+                this.currentEnv.assign(expr.left.name, right);
+                return right;
+            } else if (expr.left.type === 'MemberExpression') {
+                // Обработка присваивания свойству объекта
+                const object = await this.evaluateExpression(expr.left.object);
+                const key = await this.memberKey(expr.left);
+                return this.writeMember(object, key, right, expr.left.computed);
+            }
+        }
+
+        return right;
+    }
+
+    /**
+     * Составное присваивание
+     */
+    async evaluateCompoundAssignmentExpression(expr) {
+        if (expr.operator === '??=') {
+            return this.evaluateNullishAssignment(expr);
+        }
+        if (expr.left.type === 'MemberExpression') {
+            // Объект и ключ вычисляются один раз; текущее значение читается после правой части
+            const object = await this.evaluateExpression(expr.left.object);
+            const key = await this.memberKey(expr.left);
+            const right = await this.evaluateExpression(expr.right);
+            const currentValue = await this.readMember(object, key, expr.left.computed);
+            return this.writeMember(object, key, this.compoundOperation(expr.operator, currentValue, right), expr.left.computed);
+        }
+
+        const right = await this.evaluateExpression(expr.right);
+        const result = this.compoundOperation(expr.operator, this.currentEnv.get(expr.left.name), right);
+        this.currentEnv.assign(expr.left.name, result);
+        return result;
+    }
+
+    /**
+     * a ??= b: правая часть вычисляется и записывается, только если a — ничто
+     */
+    async evaluateNullishAssignment(expr) {
+        if (expr.left.type === 'MemberExpression') {
+            const object = await this.evaluateExpression(expr.left.object);
+            const key = await this.memberKey(expr.left);
+            const currentValue = await this.readMember(object, key, expr.left.computed);
+            if (!this.isNullish(currentValue)) {
+                return currentValue;
+            }
+            return this.writeMember(object, key, await this.evaluateExpression(expr.right), expr.left.computed);
+        }
+
+        const currentValue = this.currentEnv.get(expr.left.name);
+        if (!this.isNullish(currentValue)) {
+            return currentValue;
+        }
+        const right = await this.evaluateExpression(expr.right);
+        this.currentEnv.assign(expr.left.name, right);
+        return right;
+    }
+
+    /**
+     * Ключ члена: имя для obj.имя, вычисленное значение для obj[выражение]
+     */
+    async memberKey(expr) {
+        if (!expr.computed && expr.property.type === 'Identifier') {
+            return expr.property.name;
+        }
+        const property = await this.evaluateExpression(expr.property);
+        return property && property.value !== undefined ? property.value : property;
+    }
+
+    /**
+     * Операция составного присваивания над текущим значением и правой частью
+     */
+    compoundOperation(operator, currentValue, right) {
+        let result;
+        const leftVal = currentValue && currentValue.value !== undefined ? currentValue.value : currentValue;
+        const rightVal = right && right.value !== undefined ? right.value : right;
+
+        if (isExact(leftVal) || isExact(rightVal)) {
+            return this.binaryOperation(operator.slice(0, -1), currentValue, right);
+        }
+
+        switch (operator) {
+            case '+=':
+                if (typeof leftVal === 'string' || typeof rightVal === 'string') {
+                    result = VladXObject.string(String(leftVal) + String(rightVal));
+                } else {
+                    result = VladXObject.number(leftVal + rightVal);
+                }
+                break;
+            case '-=':
+                result = VladXObject.number(leftVal - rightVal);
+                break;
+            case '*=':
+                result = VladXObject.number(leftVal * rightVal);
+                break;
+            case '/=':
+                if (rightVal === 0) throw new Error(`Деление на ноль: ${leftVal} / ${rightVal}`);
+                result = VladXObject.number(leftVal / rightVal);
+                break;
+            case '%=':
+                result = VladXObject.number(leftVal % rightVal);
+                break;
+            default:
+                throw new Error(`Неизвестный оператор составного присваивания: ${operator}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Битовые выражения
+     */
+    async evaluateBitwiseExpression(expr) {
+        const left = await this.evaluateExpression(expr.left);
+        const right = await this.evaluateExpression(expr.right);
+        return this.bitwiseOperation(expr.operator, left, right);
+    }
+
+    /**
+     * Битовая операция над уже вычисленными операндами
+     */
+    bitwiseOperation(operator, left, right) {
+        const lval = left && left.value !== undefined ? left.value : left;
+        const rval = right && right.value !== undefined ? right.value : right;
+
+        switch (operator) {
+            case '<<':
+                return VladXObject.number(lval << rval);
+            case '>>':
+                return VladXObject.number(lval >> rval);
+            case '&':
+                return VladXObject.number(lval & rval);
+            case '|':
+                return VladXObject.number(lval | rval);
+            case '^':
+                return VladXObject.number(lval ^ rval);
+            default:
+                throw new Error(`Неизвестный битовый оператор: ${operator}`);
+        }
+    }
+
+    /**
+     * Шаблонная строка
+     */
+    async evaluateTemplateLiteral(expr) {
+        if (!expr || !expr.expressions) {
+            return VladXObject.string('');
+        }
+
+        let result = '';
+        const quasis = expr.quasis || [];
+
+        // Текстовые части чередуются с интерполяциями: q0 ${e0} q1 ${e1} q2
+        for (let i = 0; i < quasis.length; i++) {
+            result += quasis[i].value || '';
+
+            if (i < expr.expressions.length) {
+                result += this.templatePart(await this.evaluateExpression(expr.expressions[i]));
+            }
+        }
+
+        return VladXObject.string(result);
+    }
+
+    /**
+     * Строковое представление значения внутри шаблонной строки
+     */
+    templatePart(value) {
+        const val = value && value.value !== undefined ? value.value : value;
+        return val !== null && typeof val === 'object' ? value.toString() : String(val);
+    }
+
+    /**
+     * Await выражение
+     */
+    async evaluateAwaitExpression(expr) {
+        const value = await this.evaluateExpression(expr.argument);
+
+        // Если это VladXObject с промисом внутри
+        if (value && value.value && typeof value.value.then === 'function') {
+            const awaitedValue = await value.value;
+            return VladXObject.fromJS(awaitedValue);
+        }
+
+        // Если значение является промисом, ожидаем его
+        if (value && typeof value.then === 'function') {
+            const awaitedValue = await value;
+            return VladXObject.fromJS(awaitedValue);
+        }
+
+        // В противном случае возвращаем значение как есть
+        return value;
+    }
+
+    /**
+     * Yield выражение (только внутри функции-генератора)
+     */
+    async evaluateYieldExpression(expr) {
+        const generator = this.currentGenerator;
+        if (!generator) {
+            throw new Error('"выдать" можно использовать только внутри функции-генератора (функция*)');
+        }
+
+        if (expr.delegate) {
+            const source = await this.evaluateExpression(expr.argument);
+            for await (const item of this.iterate(source)) {
+                await generator.suspend(item);
+            }
+            return VladXObject.null();
+        }
+
+        const value = expr.argument ? await this.evaluateExpression(expr.argument) : VladXObject.null();
+        const sent = await generator.suspend(value);
+        return sent instanceof VladXObject ? sent : VladXObject.fromJS(sent);
+    }
+
+    async evaluateMemberAssignment(expr) {
+        const object = await this.evaluateExpression(expr.object);
+        const value = await this.evaluateExpression(expr.value);
+
+        // Вычисляем индекс только для obj[выражение]; для obj.имя берём имя свойства
+        const indexValue = await this.memberKey(expr);
+
+        return this.writeMember(object, indexValue, value, expr.computed);
+    }
+
+    /**
+     * Запись свойства или элемента массива
+     */
+    setMember(object, indexValue, value, computed = false) {
+        if (!computed && typeof indexValue === 'string' && indexValue.startsWith('#')) {
+            return this.setPrivateMember(object, indexValue, value);
+        }
+
+        // Handle array element assignment: array[index] = value
+        if (object.type === 'array' && object.value && Array.isArray(object.value)) {
+            const index = typeof indexValue === 'string' ? parseInt(indexValue, 10) : indexValue;
+
+            if (typeof index === 'number' && index >= 0 && index < object.value.length) {
+                object.value[index] = value;
+            } else if (typeof index === 'number' && index === object.value.length) {
+                object.value.push(value);
+            } else {
+                throw new Error(`Недопустимый индекс массива: ${index}, длина массива: ${object.value.length}`);
+            }
+        }
+        else if (object.type === 'instance' && object.value && typeof object.value === 'object') {
+            const propName = String(indexValue);
+            object.value[propName] = value;
+        }
+        else if (object.type === 'class' && !computed) {
+            const propName = indexValue;
+            if (object.staticFields) {
+                object.staticFields[propName] = value;
+            } else {
+                object[propName] = value;
+            }
+        }
+        else if (object.type === 'object' && object.value && typeof object.value === 'object') {
+            const propName = String(indexValue);
+            object.value[propName] = value;
+        }
+        else if (object && typeof object === 'object' && !object.type) {
+            const propName = String(indexValue);
+            object[propName] = value;
+        }
+
+        return value;
+    }
+
+    /**
+     * Член объекта
+     */
+    async evaluateMemberExpression(expr) {
+        const object = await this.evaluateExpression(expr.object);
+        if (object === SHORT_CIRCUIT || (expr.optional && this.isNullish(object))) {
+            return SHORT_CIRCUIT;
+        }
+        return this.evaluateMemberOf(object, expr);
+    }
+
+    /**
+     * Цепочка с ?.: прерванная цепочка даёт ничто
+     */
+    async evaluateChainExpression(expr) {
+        const value = await this.evaluateExpression(expr.expression);
+        return value === SHORT_CIRCUIT ? VladXObject.null() : value;
+    }
+
+    /**
+     * Значение ничто (или отсутствующее значение)
+     */
+    isNullish(value) {
+        return value === null || value === undefined || value.type === 'null';
+    }
+
+    /**
+     * Член уже вычисленного объекта по узлу MemberExpression
+     */
+    async evaluateMemberOf(object, expr) {
+        if (!object) {
+            return VladXObject.null();
+        }
+
+        if (expr.computed) {
+            const index = await this.evaluateExpression(expr.property);
+            return this.getMember(object, index && index.value !== undefined ? index.value : index, true);
+        }
+
+        return this.readMember(object, expr.property.name, false);
+    }
+
+    /**
+     * Чтение свойства (obj.имя) или вычисленного элемента (obj[ключ]) уже вычисленного объекта
+     */
+    getMember(object, key, computed = false) {
+        if (!object) {
+            return VladXObject.null();
+        }
+
+        if (computed) {
+            // Вычисленный доступ: array[index] или obj[expression]
+            const indexValue = key;
+
+            // Если это VladXObject массива
+            if (object.type === 'array' && object.value && Array.isArray(object.value)) {
+                return object.value[indexValue] !== undefined ? object.value[indexValue] : VladXObject.null();
+            }
+            // Если это VladXObject объекта
+            else if (object.type === 'object' && object.value && typeof object.value === 'object') {
+                const key = String(indexValue);
+                return object.value[key] !== undefined ? object.value[key] : VladXObject.null();
+            }
+            // Если это обычный JS массив
+            else if (Array.isArray(object)) {
+                return object[indexValue] !== undefined ? object[indexValue] : VladXObject.null();
+            }
+            // Если это обычный JS объект
+            else if (object && typeof object === 'object') {
+                const key = String(indexValue);
+                return object[key] !== undefined ? object[key] : VladXObject.null();
+            }
+        } else {
+            const propName = key;
+
+            if (typeof propName === 'string' && propName.startsWith('#')) {
+                return this.getPrivateMember(object, propName);
+            }
+
+            // Статические методы и поля наследуются по цепочке "расширяет"
+            if (object.type === 'class') {
+                for (let classObj = object; classObj; classObj = classObj.prototype) {
+                    if (classObj.staticMethods && classObj.staticMethods.has(propName)) {
+                        return classObj.staticMethods.get(propName);
+                    }
+                    if (classObj.staticFields && Object.prototype.hasOwnProperty.call(classObj.staticFields, propName)) {
+                        return classObj.staticFields[propName];
+                    }
+                }
+            }
+
+            if (object.type === 'enum') {
+                if (!object.value.members.has(propName)) {
+                    throw new Error(`В перечислении ${object.value.name} нет варианта ${propName}`);
+                }
+                return object.value.members.get(propName);
+            }
+
+            if (object.type === 'variant') {
+                return object.value.field(propName) ?? VladXObject.null();
+            }
+
+            if (object.type === 'regex' || object instanceof RegExp) {
+                return this.regexMember(object.type === 'regex' ? object.value : object, propName);
+            }
+
+            if (object.type === 'instance') {
+                const method = this.findMethod(object, propName);
+                if (method) {
+                    return method;
+                }
+            }
+
+            if (object.type === 'instance' && object.value && typeof object.value === 'object' && object.value[propName] !== undefined) {
+                const val = object.value[propName];
+                if (val && typeof val === 'object' && val.type !== undefined) {
+                    return val;
+                }
+                return VladXObject.fromJS(val);
+            }
+
+            if (object.type !== undefined && object.value && object.value[propName] !== undefined) {
+                const val = object.value[propName];
+                if (val && typeof val === 'object' && val.type !== undefined) {
+                    return val;
+                }
+                // Методы нативных объектов (Карта, Множество и т.п.) вызываются с привязкой к объекту
+                if (typeof val === 'function') {
+                    return VladXObject.function(val.bind(object.value), propName);
+                }
+                return VladXObject.fromJS(val);
+            }
+
+            if (object[propName] !== undefined) {
+                const val = object[propName];
+                if (val && typeof val === 'object' && val.type !== undefined) {
+                    return val;
+                }
+                if (typeof val === 'function' && !(object instanceof VladXObject)) {
+                    return VladXObject.function(val.bind(object), propName);
+                }
+                return VladXObject.fromJS(val);
+            }
+        }
+
+        return VladXObject.null();
+    }
+
+    /**
+     * Свойство регулярного выражения: шаблон, флаги или метод модуля «регвыр»
+     */
+    regexMember(regexp, name) {
+        if (name === 'шаблон') {
+            return VladXObject.string(regexp.source);
+        }
+        if (name === 'флаги') {
+            return VladXObject.string(regexp.flags);
+        }
+        if (REGEX_METHODS.includes(name)) {
+            return VladXObject.function((...args) => this.regex[name](regexp, ...args), name);
+        }
+        return VladXObject.null();
+    }
+
+    /**
+     * Массив
+     */
+    async evaluateArrayExpression(expr) {
+        const elements = [];
+
+        if (expr.elements) {
+            for (const el of expr.elements) {
+                if (!el) {
+                    elements.push(null);
+                    continue;
+                }
+
+                if (el && el.type === 'SpreadElement') {
+                    elements.push(...await this.spreadElements(await this.evaluateExpression(el.argument)));
+                } else {
+                    elements.push(await this.evaluateExpression(el));
+                }
+            }
+        }
+
+        return VladXObject.array(elements);
+    }
+
+    /**
+     * Элементы из ...значение внутри литерала массива
+     */
+    async spreadElements(spreadValue) {
+        const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
+
+        if (Array.isArray(spreadArray)) {
+            return spreadArray.map(v => VladXObject.fromJS(v));
+        }
+
+        const elements = [];
+        if (this.isIterable(spreadValue)) {
+            for await (const item of this.iterate(spreadValue)) {
+                elements.push(item);
+            }
+        } else {
+            // Если это не массив, просто добавляем значение
+            elements.push(VladXObject.fromJS(spreadValue));
+        }
+        return elements;
+    }
+
+    /**
+     * Паттерн массива (для деструктуризации)
+     */
+    async evaluateArrayPattern(expr) {
+        const elements = [];
+
+        if (expr.elements) {
+            for (const el of expr.elements) {
+                if (!el) {
+                    elements.push(null);
+                    continue;
+                }
+
+                if (el && el.type === 'SpreadElement') {
+                    const spreadValue = await this.evaluateExpression(el.argument);
+                    const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
+
+                    if (Array.isArray(spreadArray)) {
+                        elements.push(...spreadArray.map(v => VladXObject.fromJS(v)));
+                    } else {
+                        elements.push(VladXObject.fromJS(spreadValue));
+                    }
+                } else {
+                    elements.push(await this.evaluateExpression(el));
+                }
+            }
+        }
+
+        return VladXObject.array(elements);
+    }
+
+    /**
+     * Паттерн объекта (для деструктуризации)
+     */
+    async evaluateObjectPattern(expr) {
+        const obj = {};
+
+        if (expr.properties) {
+            for (const prop of expr.properties) {
+                if (!prop) continue;
+
+                let key = null;
+                if (prop.key) {
+                    key = prop.key.value || prop.key.name || String(prop.key);
+                }
+
+                const value = await this.evaluateExpression(prop.value);
+
+                if (key !== null) {
+                    obj[key] = value;
+                }
+            }
+        }
+
+        return VladXObject.object(obj);
+    }
+
+    /**
+     * Объект
+     */
+    async evaluateObjectExpression(expr) {
+        const obj = {};
+        
+        if (expr.properties) {
+            for (const prop of expr.properties) {
+                if (!prop) continue;
+                
+                let key = null;
+                if (prop.key) {
+                    key = prop.key.value || prop.key.name || String(prop.key);
+                }
+                
+                const value = await this.evaluateExpression(prop.value);
+                
+                if (key !== null) {
+                    obj[key] = value;
+                }
+            }
+        }
+        
+        return VladXObject.object(obj);
+    }
+
+    /**
+     * Объявление переменной
+     */
+    async evaluateLetStatement(stmt) {
+        let value = VladXObject.null();
+
+        if (stmt.initializer) {
+            value = await this.evaluateExpression(stmt.initializer);
+        }
+
+        this.currentEnv.define(stmt.name, value);
+        return value;
+    }
+
+    /**
+     * Объявление переменной с паттерном (деструктуризация)
+     */
+    async evaluateVariableDeclarationWithPattern(stmt) {
+        let value = VladXObject.null();
+
+        if (stmt.initializer) {
+            value = await this.evaluateExpression(stmt.initializer);
+        }
+
+        const isConst = stmt.kind === 'const';
+
+        // Выполняем деструктуризацию в зависимости от типа паттерна
+        if (stmt.pattern && stmt.pattern.type === 'ArrayPattern') {
+            await this.evaluateArrayDestructuring(stmt.pattern, value, isConst);
+        } else if (stmt.pattern && stmt.pattern.type === 'ObjectPattern') {
+            await this.evaluateObjectDestructuring(stmt.pattern, value, isConst);
+        } else {
+            // This shouldn't happen if parser is correct, but just in case
+            // If we get here, it means this was incorrectly processed as a pattern declaration
+            throw new Error(`Неправильный тип паттерна: ${stmt.pattern ? stmt.pattern.type : 'undefined'}`);
+        }
+
+        return value;
+    }
+
+    /**
+     * Объявление константы
+     */
+    async evaluateConstStatement(stmt) {
+        if (!stmt.initializer) {
+            throw new Error(`Константа '${stmt.name}' должна быть инициализирована значением. Константы не могут быть объявлены без начального значения.`);
+        }
+        
+        const value = await this.evaluateExpression(stmt.initializer);
+        this.currentEnv.define(stmt.name, value, true);
+        return value;
+    }
+
+    /**
+     * Return
+     */
+    async evaluateReturnStatement(stmt) {
+        this.isReturn = true;
+        this.returnValue = stmt.argument ? await this.evaluateExpression(stmt.argument) : VladXObject.null();
+        return this.returnValue;
+    }
+
+    /**
+     * Блок
+     */
+    async evaluateBlockStatement(stmt) {
+        let result = VladXObject.null();
+        
+        if (stmt.body) {
+            for (const statement of stmt.body) {
+                result = await this.evaluateStatement(statement);
+                
+                if (this.isReturn) {
+                    break;
+                }
+            }
+        }
+        
+        return this.isReturn ? this.returnValue : result;
+    }
+
+    /**
+     * If-else
+     */
+    async evaluateIfStatement(stmt) {
+        const condition = await this.evaluateExpression(stmt.condition);
+        const condValue = condition && condition.value !== undefined ? condition.value : condition;
+        
+        if (condValue) {
+            return this.evaluateStatement(stmt.thenBranch);
+        } else if (stmt.elseBranch) {
+            return this.evaluateStatement(stmt.elseBranch);
+        }
+        
+        return VladXObject.null();
+    }
+
+    /**
+     * While
+     */
+    async evaluateWhileStatement(stmt, label = null) {
+        let result = VladXObject.null();
+        
+        while (true) {
+            const condition = await this.evaluateExpression(stmt.condition);
+            const condValue = condition && condition.value !== undefined ? condition.value : condition;
+            
+            if (!condValue) break;
+            
+            try {
+                result = await this.evaluateStatement(stmt.body);
+            } catch (e) {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
+                    break;
+                }
+                if (signal === 'continue') {
+                    continue;
+                }
+                throw e;
+            }
+
+            if (this.isReturn) {
+                break;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * For
+     */
+    async evaluateForStatement(stmt, label = null) {
+        let result = VladXObject.null();
+        
+        // Инициализация
+        if (stmt.initializer && stmt.initializer.type !== 'EmptyStatement') {
+            await this.evaluateStatement(stmt.initializer);
+        }
+        
+        while (true) {
+            // Проверка условия
+            if (stmt.condition) {
+                const condition = await this.evaluateExpression(stmt.condition);
+                const condValue = condition && condition.value !== undefined ? condition.value : condition;
+                if (!condValue) break;
+            }
+            
+            try {
+                result = await this.evaluateStatement(stmt.body);
+            } catch (e) {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
+                    break;
+                }
+                if (signal !== 'continue') {
+                    throw e;
+                }
+            }
+
+            if (this.isReturn) {
+                break;
+            }
+            
+            // Обновление
+            if (stmt.update && stmt.update.type !== 'EmptyStatement') {
+                await this.evaluateExpression(stmt.update);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * For-of: для (пусть x из коллекция)
+     */
+    async evaluateForOfStatement(stmt, label = null) {
+        const iterable = await this.evaluateExpression(stmt.right);
+        return this.runIterationLoop(stmt, this.iterate(iterable), label, '<for-of>');
+    }
+
+    /**
+     * For-in: для (пусть ключ в объект)
+     */
+    async evaluateForInStatement(stmt, label = null) {
+        const subject = await this.evaluateExpression(stmt.right);
+        return this.runIterationLoop(stmt, this.keysOf(subject), label, '<for-in>');
+    }
+
+    /**
+     * Общий цикл перебора для для-из / для-в
+     */
+    async runIterationLoop(stmt, items, label, scopeName) {
+        const previousEnv = this.currentEnv;
+        let result = VladXObject.null();
+
+        for await (const item of items) {
+            // Каждая итерация получает собственное окружение для переменной цикла
+            this.currentEnv = previousEnv.child(scopeName);
+
+            try {
+                await this.bindLoopTarget(stmt, item);
+                result = await this.evaluateStatement(stmt.body);
+            } catch (e) {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
+                    break;
+                }
+                if (signal !== 'continue') {
+                    throw e;
+                }
+            } finally {
+                this.currentEnv = previousEnv;
+            }
+
+            if (this.isReturn) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Привязка переменной (или образца) заголовка цикла к текущему элементу
+     */
+    async bindLoopTarget(stmt, item) {
+        if (stmt.kind) {
+            await this.bindPatternTarget(stmt.left, item, stmt.kind === 'const');
+        } else if (stmt.left.type === 'Identifier') {
+            this.currentEnv.assign(stmt.left.name, item);
+        } else {
+            throw new Error('Деструктуризация в заголовке цикла требует пусть или конст');
+        }
+    }
+
+    /**
+     * Ключи значения для цикла для-в: индексы массива и строки, поля объекта, ключи Карты, элементы Множества
+     */
+    keysOf(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (subject.type === 'array' || subject.type === 'string') {
+            return Array.from({ length: raw.length }, (_, index) => VladXObject.number(index));
+        }
+
+        if ((subject.type === 'object' || subject.type === 'instance') && raw && typeof raw === 'object') {
+            if (!this.isPlainObject(raw) && typeof raw.keys === 'function') {
+                return Array.from(raw.keys(), key => key instanceof VladXObject ? key : VladXObject.fromJS(key));
+            }
+            return Object.keys(raw).map(key => VladXObject.string(key));
+        }
+
+        throw new Error(`Значение типа '${subject.type}' не поддерживает перебор ключей`);
+    }
+
+    /**
+     * Обычный объект-словарь (в отличие от Карты, Множества и других нативных объектов)
+     */
+    isPlainObject(raw) {
+        const proto = Object.getPrototypeOf(raw);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Помеченная инструкция: метка передаётся циклу, прервать метка выходит из блока
+     */
+    async evaluateLabeledStatement(stmt) {
+        const body = stmt.body;
+
+        switch (body.type) {
+            case 'WhileStatement':
+                return await this.evaluateWhileStatement(body, stmt.label);
+            case 'ForStatement':
+                return await this.evaluateForStatement(body, stmt.label);
+            case 'ForOfStatement':
+                return await this.evaluateForOfStatement(body, stmt.label);
+            case 'ForInStatement':
+                return await this.evaluateForInStatement(body, stmt.label);
+        }
+
+        try {
+            return await this.evaluateStatement(body);
+        } catch (e) {
+            if (e.message === 'break' && e.label === stmt.label) {
+                return VladXObject.null();
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Разбор сигнала прервать/продолжить для цикла с меткой label.
+     * Возвращает 'break', 'continue' или null, если сигнал адресован не этому циклу
+     */
+    loopSignal(error, label = null) {
+        if (error.message !== 'break' && error.message !== 'continue') {
+            return null;
+        }
+        if (error.label && error.label !== label) {
+            return null;
+        }
+        return error.message;
+    }
+
+    /**
+     * Break
+     */
+    evaluateBreakStatement(stmt) {
+        const signal = new Error('break');
+        signal.label = stmt.label || null;
+        throw signal;
+    }
+
+    /**
+     * Continue
+     */
+    evaluateContinueStatement(stmt) {
+        const signal = new Error('continue');
+        signal.label = stmt.label || null;
+        throw signal;
+    }
+
+    /**
+     * Объявление функции
+     */
+    evaluateFunctionDeclaration(stmt) {
+        // Имя функционального выражения видно только в его собственном теле
+        const env = stmt.isExpression && stmt.name ? this.currentEnv.child(`<function ${stmt.name}>`) : this.currentEnv;
+
+        // Создаём легковесное замыкание без клонирования всего окружения
+        // Это предотвращает утечки памяти через циклические ссылки
+        const closure = VladXObject.closure({
+            type: 'FunctionDeclaration',
+            name: stmt.name,
+            params: stmt.params,
+            body: stmt.body,
+            isAsync: stmt.isAsync,
+            isGenerator: stmt.isGenerator,
+            returnType: stmt.returnType
+        }, env, stmt.name || '<anonymous>');
+
+        if (stmt.isExpression) {
+            if (stmt.name) env.define(stmt.name, closure);
+            return closure;
+        }
+        this.currentEnv.define(stmt.name, closure);
+        return VladXObject.null();
+    }
+
+    /**
+     * Стрелочная функция
+     */
+    evaluateArrowFunctionExpression(expr) {
+        // Используем текущее окружение без клонирования
+        return VladXObject.closure({
+            type: 'ArrowFunctionExpression',
+            params: expr.params,
+            body: Array.isArray(expr.body) ? expr.body : [{ type: 'ReturnStatement', argument: expr.body }],
+            isAsync: expr.isAsync,
+            returnType: expr.returnType
+        }, this.currentEnv, '<arrow>');
+    }
+
+    /**
+     * Перечисление: имя объявляется константой
+     */
+    evaluateEnumDeclaration(stmt) {
+        const enumObj = VladXObject.enum(stmt.name, stmt.variants);
+        this.currentEnv.define(stmt.name, enumObj, true);
+        return enumObj;
+    }
+
+    /**
+     * Класс
+     */
+    async evaluateClassDeclaration(stmt) {
+        const methods = new Map();
+        const staticMethods = new Map();
+        let superClass = null;
+
+        if (stmt.superClass) {
+            superClass = this.currentEnv.get(stmt.superClass);
+            if (!superClass || superClass.type !== 'class') {
+                throw new Error(`Родительский класс '${stmt.superClass}' не найден или не является классом`);
+            }
+        }
+
+        const classObj = VladXObject.class(stmt.name, methods, staticMethods, superClass);
+        // Окружение тела класса: по нему методы находят свои #имена
+        const classEnv = this.currentEnv.child(`<класс ${stmt.name}>`);
+        classEnv.privateScope = classObj;
+
+        for (const member of stmt.fields || []) {
+            if (member.type === 'ClassField' && member.name.startsWith('#')) {
+                classObj.privateNames.add(member.name);
+            }
+        }
+
+        for (const method of stmt.methods || []) {
+            const methodClosure = VladXObject.closure({
+                type: 'FunctionDeclaration',
+                name: method.name,
+                params: method.params,
+                body: method.body,
+                isAsync: method.isAsync,
+                isGenerator: method.isGenerator,
+                returnType: method.returnType
+            }, classEnv, method.name);
+
+            if (method.name.startsWith('#')) {
+                classObj.privateNames.add(method.name);
+                (method.isStatic ? classObj.privateStaticMethods : classObj.privateMethods).set(method.name, methodClosure);
+            } else if (method.isGetter) {
+                (method.isStatic ? classObj.staticGetters : classObj.getters).set(method.name, methodClosure);
+            } else if (method.isSetter) {
+                (method.isStatic ? classObj.staticSetters : classObj.setters).set(method.name, methodClosure);
+            } else if (method.isStatic) {
+                staticMethods.set(method.name, methodClosure);
+            } else {
+                methods.set(method.name, methodClosure);
+            }
+        }
+
+        classObj.fields = (stmt.fields || []).filter(member => member.type === 'ClassField' && !member.isStatic);
+        classObj.initEnv = classEnv;
+        this.currentEnv.define(stmt.name, classObj);
+
+        // Статические поля и блоки выполняются по порядку, "это" — сам класс
+        for (const member of stmt.fields || []) {
+            if (member.type === 'ClassStaticBlock') {
+                await this.runInClassScope(classObj, classObj, '<статический блок>', async () => {
+                    for (const statement of member.body.body) {
+                        await this.evaluateStatement(statement);
+                    }
+                });
+            } else if (member.isStatic) {
+                const value = await this.evaluateFieldInitializer(classObj, classObj, member);
+                if (member.name.startsWith('#')) {
+                    classObj.privateStatics.set(member.name, value);
+                } else {
+                    classObj.staticFields[member.name] = value;
+                }
+            }
+        }
+
+        return VladXObject.null();
+    }
+
+    /**
+     * Выполнить fn в окружении тела класса с заданным "это"
+     */
+    async runInClassScope(classObj, subject, name, fn) {
+        const previousEnv = this.currentEnv;
+        const previousInstance = this.currentInstance;
+        this.currentEnv = classObj.initEnv.child(name);
+        this.currentInstance = subject;
+        try {
+            return await fn();
+        } finally {
+            this.currentEnv = previousEnv;
+            this.currentInstance = previousInstance;
+        }
+    }
+
+    /**
+     * Значение инициализатора поля (без инициализатора — ничто)
+     */
+    async evaluateFieldInitializer(classObj, subject, field) {
+        if (!field.value) {
+            return VladXObject.null();
+        }
+        return this.runInClassScope(classObj, subject, `<поле ${field.name}>`, () => this.evaluateExpression(field.value));
+    }
+
+    /**
+     * Поля экземпляра по цепочке классов, начиная с базового
+     */
+    async initializeFields(instance, classObj) {
+        if (classObj.prototype) {
+            await this.initializeFields(instance, classObj.prototype);
+        }
+
+        const privateFields = new Map();
+        instance.privateFields.set(classObj, privateFields);
+        for (const field of classObj.fields || []) {
+            const value = await this.evaluateFieldInitializer(classObj, instance, field);
+            if (field.name.startsWith('#')) {
+                privateFields.set(field.name, value);
+            } else {
+                instance.value[field.name] = value;
+            }
+        }
+    }
+
+    /**
+     * Есть ли в цепочке классов поля или приватные методы экземпляра
+     */
+    hasInstanceInitializers(classObj) {
+        for (let current = classObj; current; current = current.prototype) {
+            if ((current.fields && current.fields.length > 0) || (current.privateMethods && current.privateMethods.size > 0)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Класс, в теле которого объявлено приватное имя (ближайший по окружениям)
+     */
+    resolvePrivateClass(name) {
+        for (let env = this.currentEnv; env; env = env.parent) {
+            if (env.privateScope && env.privateScope.privateNames.has(name)) {
+                return env.privateScope;
+            }
+        }
+        throw new Error(`Приватное имя ${name} недоступно вне тела класса`);
+    }
+
+    /**
+     * Хранилище приватных членов объекта для класса-владельца или ошибка
+     */
+    privateSlots(object, owner, name) {
+        const slots = object === owner
+            ? owner.privateStatics
+            : object && object.privateFields ? object.privateFields.get(owner) : null;
+        if (!slots) {
+            throw new Error(`Нельзя обратиться к ${name}: объект не создан классом ${owner.name}`);
+        }
+        return slots;
+    }
+
+    /**
+     * Чтение приватного поля или метода #имя
+     */
+    getPrivateMember(object, name) {
+        const owner = this.resolvePrivateClass(name);
+        const slots = this.privateSlots(object, owner, name);
+        const methods = object === owner ? owner.privateStaticMethods : owner.privateMethods;
+        if (methods.has(name)) {
+            return methods.get(name);
+        }
+        if (!slots.has(name)) {
+            throw new Error(`${object === owner ? 'Класс' : 'Экземпляр'} ${owner.name} не содержит ${name}`);
+        }
+        return slots.get(name);
+    }
+
+    /**
+     * Запись приватного поля #имя; приватные методы не перезаписываются
+     */
+    setPrivateMember(object, name, value) {
+        const owner = this.resolvePrivateClass(name);
+        const slots = this.privateSlots(object, owner, name);
+        if (owner.privateMethods.has(name) || owner.privateStaticMethods.has(name)) {
+            throw new Error(`Приватный метод ${name} нельзя перезаписать`);
+        }
+        if (!slots.has(name)) {
+            throw new Error(`${object === owner ? 'Класс' : 'Экземпляр'} ${owner.name} не содержит ${name}`);
+        }
+        slots.set(name, value);
+        return value;
+    }
+
+    /**
+     * Аксессор (get или set) по цепочке классов экземпляра или класса
+     */
+    findAccessor(object, name, kind) {
+        if (!object || (object.type !== 'instance' && object.type !== 'class')) {
+            return null;
+        }
+        const isStatic = object.type === 'class';
+        const key = kind === 'get' ? (isStatic ? 'staticGetters' : 'getters') : (isStatic ? 'staticSetters' : 'setters');
+
+        for (let classObj = isStatic ? object : object.prototype; classObj; classObj = classObj.prototype) {
+            if (classObj[key] && classObj[key].has(name)) {
+                return classObj[key].get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Чтение свойства с вызовом геттера
+     */
+    async readMember(object, key, computed = false) {
+        if (!computed) {
+            const getter = this.findAccessor(object, key, 'get');
+            if (getter) {
+                return this.callValue(getter, [], object);
+            }
+        }
+        return this.getMember(object, key, computed);
+    }
+
+    /**
+     * Запись свойства с вызовом сеттера; результат — присвоенное значение
+     */
+    async writeMember(object, key, value, computed = false) {
+        if (!computed) {
+            const setter = this.findAccessor(object, key, 'set');
+            if (setter) {
+                await this.callValue(setter, [value], object);
+                return value;
+            }
+            if (this.findAccessor(object, key, 'get')) {
+                throw new Error(`Свойство ${key} доступно только для чтения`);
+            }
+        }
+        return this.setMember(object, key, value, computed);
+    }
+
+    /**
+     * Try-catch-finally
+     */
+    async evaluateTryStatement(stmt) {
+        let result = VladXObject.null();
+        let error = null;
+        
+        // Try
+        try {
+            if (stmt.block && stmt.block.body) {
+                for (const statement of stmt.block.body) {
+                    result = await this.evaluateStatement(statement);
+                    if (this.isReturn) break;
+                }
+            }
+        } catch (e) {
+            error = e;
+        }
+        
+        // Закрытие генератора не ловится, но наконец выполняется
+        const closing = error instanceof GeneratorClosed;
+
+        // Catch
+        if (stmt.handler && error && !closing) {
+            const catchEnv = this.currentEnv.child('<catch>');
+            if (stmt.handler.param) {
+                catchEnv.define(stmt.handler.param, VladXObject.string(error.toString ? error.toString() : String(error)));
+            }
+            
+            const previousEnv = this.currentEnv;
+            this.currentEnv = catchEnv;
+            
+            if (stmt.handler.body && stmt.handler.body.body) {
+                for (const statement of stmt.handler.body.body) {
+                    result = await this.evaluateStatement(statement);
+                    if (this.isReturn) break;
+                }
+            }
+            
+            this.currentEnv = previousEnv;
+        }
+        
+        // Finally
+        if (stmt.finalizer) {
+            for (const statement of stmt.finalizer.body) {
+                result = await this.evaluateStatement(statement);
+                if (this.isReturn) break;
+            }
+        }
+
+        if (closing) {
+            throw error;
+        }
+        return result;
+    }
+
+    /**
+     * Throw
+     */
+    async evaluateThrowStatement(stmt) {
+        const value = await this.evaluateExpression(stmt.argument);
+        const val = value && value.value !== undefined ? value.value : value;
+        throw new Error(String(val));
+    }
+    
+    /**
+     * Import - загрузка модуля
+     */
+    async evaluateImportStatement(stmt) {
+        const modulePath = stmt.path;
+
+        if (!this.moduleSystem) {
+            throw new Error('Система модулей не инициализирована — moduleSystem is null!');
+        }
+
+        const moduleExports = await this.moduleSystem.loadModule(modulePath, this.currentFilename);
+
+        let moduleName = stmt.alias;
+        if (!moduleName) {
+            const filename = modulePath.split('/').pop();
+            const extIndex = filename.lastIndexOf('.');
+            moduleName = extIndex > 0 ? filename.slice(0, extIndex) : filename;
+            if (!moduleName) moduleName = 'module';
+        }
+
+        const moduleObj = VladXObject.object(moduleExports);
+        this.currentEnv.define(moduleName, moduleObj);
+
+        return VladXObject.null();
+    }
+    /**
+     * Import expression - загрузка модуля как выражение
+     */
+    async evaluateImportExpression(expr) {
+        const modulePath = expr.path;
+        
+        // Используем moduleSystem для загрузки модуля
+        if (this.moduleSystem) {
+            const moduleExports = await this.moduleSystem.loadModule(modulePath, this.currentFilename);
+            return moduleExports;
+        }
+        
+        throw new Error('Система модулей не инициализирована');
+    }
+    
+    /**
+     * Export - экспорт имен из модуля
+     */
+    async evaluateExportStatement(stmt) {
+        const exports = {};
+        
+        for (const name of stmt.identifiers) {
+            const value = this.currentEnv.get(name);
+            if (value !== undefined) {
+                exports[name] = value;
+            }
+        }
+        
+        // Сохраняем экспорты в специальном объекте
+        if (!this.currentEnv.exports) {
+            this.currentEnv.exports = exports;
+        } else {
+            Object.assign(this.currentEnv.exports, exports);
+        }
+        
+        return VladXObject.null();
+    }
+
+    /**
+     * Тернарный оператор
+     */
+    async evaluateTernaryExpression(expr) {
+        const condition = await this.evaluateExpression(expr.condition);
+        const condValue = condition && condition.value !== undefined ? condition.value : condition;
+        
+        if (condValue) {
+            return await this.evaluateExpression(expr.thenExpr);
+        }
+        return await this.evaluateExpression(expr.elseExpr);
+    }
+
+    /**
+     * Последовательность (a, b, c)
+     */
+    async evaluateSequenceExpression(expr) {
+        let result = VladXObject.null();
+        
+        if (expr.expressions) {
+            for (const e of expr.expressions) {
+                result = await this.evaluateExpression(e);
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Switch statement
+     */
+    async evaluateSwitchStatement(stmt) {
+        const discriminant = await this.evaluateExpression(stmt.discriminant);
+        const discriminantValue = discriminant && discriminant.value !== undefined ? discriminant.value : discriminant;
+
+        let matched = false;
+        let result = VladXObject.null();
+
+        // Execute cases
+        for (const caseStmt of stmt.cases) {
+            if (!matched) {
+                const caseValue = await this.evaluateExpression(caseStmt.test);
+                const caseValueValue = caseValue && caseValue.value !== undefined ? caseValue.value : caseValue;
+
+                // Strict equality comparison
+                if (caseValueValue === discriminantValue) {
+                    matched = true;
+                }
+            }
+
+            if (matched) {
+                // Execute case body
+                for (const statement of caseStmt.consequent) {
+                    try {
+                        result = await this.evaluateStatement(statement);
+
+                        // If we encounter a return, exit switch
+                        if (this.isReturn) {
+                            return result;
+                        }
+                    } catch (e) {
+                        // If it's a break statement, exit entire switch
+                        if (e.message === 'break' && !e.label) {
+                            return result; // Exit entire switch
+                        } else {
+                            // Re-throw other errors
+                            throw e;
+                        }
+                    }
+                }
+            }
+        }
+
+        // If no case matched and there's a default case
+        if (!matched && stmt.defaultCase) {
+            for (const statement of stmt.defaultCase.consequent) {
+                try {
+                    result = await this.evaluateStatement(statement);
+
+                    // If we encounter a return, exit switch
+                    if (this.isReturn) {
+                        return result;
+                    }
+                } catch (e) {
+                    // If it's a break statement, exit entire switch
+                    if (e.message === 'break' && !e.label) {
+                        return result; // Exit entire switch
+                    } else {
+                        // Re-throw other errors
+                        throw e;
+                    }
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Match expression (pattern matching)
+     */
+    async evaluateMatchExpression(expr) {
+        const value = await this.evaluateExpression(expr.value);
+
+        for (const arm of expr.arms) {
+            const bindings = new Map();
+            if (!this.matchPattern(arm.pattern, value, bindings)) {
+                continue;
+            }
+
+            // Привязки образца видны только в условии и результате своей ветви
+            const armEnv = this.currentEnv.child('<match>');
+            for (const [name, boundValue] of bindings) {
+                armEnv.define(name, boundValue);
+            }
+
+            const previousEnv = this.currentEnv;
+            this.currentEnv = armEnv;
+            try {
+                if (arm.guard) {
+                    const guardResult = await this.evaluateExpression(arm.guard);
+                    const guardValue = guardResult && guardResult.value !== undefined ? guardResult.value : guardResult;
+
+                    if (!guardValue) {
+                        continue;
+                    }
+                }
+
+                return await this.evaluateExpression(arm.result);
+            } finally {
+                this.currentEnv = previousEnv;
+            }
+        }
+
+        // No match
+        if (expr.default) {
+            return await this.evaluateExpression(expr.default);
+        }
+
+        const location = expr.line ? `[${expr.filename || this.currentFilename}:${expr.line}:${expr.column}] ` : '';
+        throw new Error(`${location}Нет совпадения в сопоставить для значения ${value}`);
+    }
+
+    /**
+     * Match pattern
+     * Привязки собираются в bindings и не попадают в текущее окружение
+     */
+    matchPattern(pattern, value, bindings = new Map()) {
+        if (!pattern) return false;
+
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                // Wildcard match
+                if (pattern.name === '_') return true;
+                // Variable bind
+                bindings.set(pattern.name, subject);
+                return true;
+
+            case 'Literal':
+                if (pattern.value instanceof Decimal && raw instanceof Decimal) {
+                    return pattern.value.compare(raw) === 0;
+                }
+                return pattern.value === raw;
+
+            case 'RangePattern':
+                if (typeof raw !== typeof pattern.start.value) return false;
+                return raw >= pattern.start.value && raw <= pattern.end.value;
+
+            case 'VariantPattern': {
+                if (subject.type !== 'variant') return false;
+                if (raw.name !== pattern.variant) return false;
+                if (pattern.enumName !== null && raw.owner.name !== pattern.enumName) return false;
+                // Без скобок поля не проверяются
+                if (!pattern.args) return true;
+                if (pattern.args.length !== raw.values.length) return false;
+                return pattern.args.every((arg, index) => this.matchPattern(arg, raw.values[index], bindings));
+            }
+
+            case 'TypePattern':
+                if (subject.type !== pattern.typeName) return false;
+                if (pattern.binding) {
+                    bindings.set(pattern.binding.name, subject);
+                }
+                return true;
+
+            case 'ArrayPattern': {
+                if (subject.type !== 'array' || !Array.isArray(raw)) return false;
+
+                const restIndex = pattern.elements.findIndex(el => el && el.type === 'RestElement');
+                const fixedCount = restIndex === -1 ? pattern.elements.length : restIndex;
+
+                if (restIndex === -1 ? raw.length !== fixedCount : raw.length < fixedCount) {
+                    return false;
+                }
+
+                for (let i = 0; i < fixedCount; i++) {
+                    if (pattern.elements[i] && !this.matchPattern(pattern.elements[i], raw[i], bindings)) {
+                        return false;
+                    }
+                }
+
+                if (restIndex !== -1) {
+                    const restName = pattern.elements[restIndex].argument.name;
+                    if (restName !== '_') {
+                        bindings.set(restName, VladXObject.array(raw.slice(fixedCount)));
+                    }
+                }
+                return true;
+            }
+
+            case 'ObjectPattern': {
+                if (subject.type !== 'object' && subject.type !== 'instance') return false;
+                if (!raw || typeof raw !== 'object') return false;
+
+                const matchedKeys = new Set();
+                let rest = null;
+
+                for (const prop of pattern.properties) {
+                    if (prop.type === 'RestElement') {
+                        rest = prop;
+                        continue;
+                    }
+
+                    const key = prop.key?.name ?? prop.key?.value;
+                    if (!Object.prototype.hasOwnProperty.call(raw, key)) return false;
+
+                    matchedKeys.add(key);
+                    if (!this.matchPattern(prop.value, raw[key], bindings)) {
+                        return false;
+                    }
+                }
+
+                if (rest && rest.argument.name !== '_') {
+                    const remaining = {};
+                    for (const key of Object.keys(raw)) {
+                        if (!matchedKeys.has(key)) {
+                            remaining[key] = raw[key];
+                        }
+                    }
+                    bindings.set(rest.argument.name, VladXObject.object(remaining));
+                }
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+
+    // ========== Протокол итерации ==========
+
+    /**
+     * Снимок состояния выполнения (для переключения между генератором и вызывающим кодом)
+     */
+    saveState() {
+        return {
+            env: this.currentEnv,
+            instance: this.currentInstance,
+            fn: this.currentFunction,
+            generator: this.currentGenerator,
+            isReturn: this.isReturn,
+            returnValue: this.returnValue,
+            callStack: this.callStack
+        };
+    }
+
+    /**
+     * Восстановление состояния выполнения
+     */
+    restoreState(state) {
+        this.currentEnv = state.env;
+        this.currentInstance = state.instance;
+        this.currentFunction = state.fn;
+        this.currentGenerator = state.generator;
+        this.isReturn = state.isReturn;
+        this.returnValue = state.returnValue;
+        this.callStack = state.callStack;
+    }
+
+    /**
+     * Поиск метода у экземпляра (по цепочке классов), объекта или генератора
+     */
+    findMethod(subject, name) {
+        if (!(subject instanceof VladXObject)) {
+            return null;
+        }
+
+        if (subject.type === 'instance') {
+            let classObj = subject.prototype;
+            while (classObj) {
+                if (classObj.methods && classObj.methods.has(name)) {
+                    return classObj.methods.get(name);
+                }
+                classObj = classObj.prototype;
+            }
+            return null;
+        }
+
+        if ((subject.type === 'object' || subject.type === 'generator') && subject.value) {
+            const method = subject.value[name];
+            if (method && (method.type === 'closure' || method.type === 'function')) {
+                return method;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Поддерживает ли значение протокол итерации
+     */
+    isIterable(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (['generator', 'array', 'string'].includes(subject.type)) {
+            return true;
+        }
+        if (this.findMethod(subject, 'итератор')) {
+            return true;
+        }
+        if (subject.type === 'object' && raw && this.isPlainObject(raw)) {
+            return true;
+        }
+        return !!raw && typeof raw === 'object' &&
+            (typeof raw[Symbol.iterator] === 'function' || typeof raw[Symbol.asyncIterator] === 'function');
+    }
+
+    /**
+     * Ленивый обход значения по протоколу итерации
+     * Генераторы, массивы, строки, объекты с методом итератор(), обычные объекты (пары [ключ, значение])
+     * и нативные итерируемые (Карта, Множество)
+     */
+    async *iterate(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (subject.type === 'generator') {
+            let finished = false;
+            try {
+                while (true) {
+                    const step = await raw.next();
+                    if (step.done) {
+                        finished = true;
+                        return;
+                    }
+                    yield step.value;
+                }
+            } finally {
+                // Досрочный выход из цикла закрывает генератор
+                if (!finished) {
+                    await raw.close();
+                }
+            }
+        }
+
+        if (subject.type === 'array') {
+            for (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        if (subject.type === 'string') {
+            for (const char of raw) {
+                yield VladXObject.string(char);
+            }
+            return;
+        }
+
+        const iteratorMethod = this.findMethod(subject, 'итератор');
+        if (iteratorMethod) {
+            const iterator = await this.callFunctionValue(iteratorMethod, [], subject.type === 'instance' ? subject : null);
+            const nextMethod = this.findMethod(iterator, 'следующий');
+            if (!nextMethod) {
+                throw new Error('Итератор должен иметь метод следующий()');
+            }
+
+            while (true) {
+                const step = await this.callFunctionValue(nextMethod, [], iterator.type === 'instance' ? iterator : null);
+                const done = this.readField(step, 'готово');
+                if (done && (done.value ?? done)) {
+                    return;
+                }
+                yield this.readField(step, 'значение') || VladXObject.null();
+            }
+        }
+
+        if (subject.type === 'object' && raw && this.isPlainObject(raw)) {
+            // Обычный объект перебирается парами [ключ, значение], как Карта
+            for (const [key, item] of Object.entries(raw)) {
+                yield VladXObject.array([VladXObject.string(key), item instanceof VladXObject ? item : VladXObject.fromJS(item)]);
+            }
+            return;
+        }
+
+        if (raw && typeof raw === 'object' && typeof raw[Symbol.asyncIterator] === 'function') {
+            for await (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        if (raw && typeof raw === 'object' && typeof raw[Symbol.iterator] === 'function') {
+            for (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        throw new Error(`Значение типа '${subject.type}' не является итерируемым`);
+    }
+
+    /**
+     * Прочитать не более limit элементов итерируемого значения
+     */
+    async takeFromIterable(value, limit = Infinity) {
+        const items = [];
+        if (limit <= 0) {
+            return items;
+        }
+
+        for await (const item of this.iterate(value)) {
+            items.push(item);
+            if (items.length >= limit) {
+                break;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Вызов значения-функции (замыкания или встроенной) из самого интерпретатора
+     */
+    async callFunctionValue(fn, args = [], instance = null) {
+        if (fn && fn.isNative) {
+            const result = await fn.value(...args.map(arg => arg instanceof VladXObject ? arg.value : arg));
+            return result instanceof VladXObject ? result : VladXObject.fromJS(result);
+        }
+
+        const previousInstance = this.currentInstance;
+        this.currentInstance = instance;
+        try {
+            const result = await this.executeFunction(fn, args);
+            return result instanceof VladXObject ? result : VladXObject.fromJS(result);
+        } finally {
+            this.currentInstance = previousInstance;
+        }
+    }
+
+    /**
+     * Чтение поля объекта или экземпляра как VladXObject
+     */
+    readField(subject, key) {
+        const raw = subject instanceof VladXObject ? subject.value : subject;
+        if (!raw || typeof raw !== 'object' || raw[key] === undefined) {
+            return null;
+        }
+        const field = raw[key];
+        return field instanceof VladXObject ? field : VladXObject.fromJS(field);
+    }
+
+    /**
+     * Вычисление выражения (обёртка)
+     */
+    async evaluate(expr) {
+        if (expr === null || expr === undefined) {
+            return VladXObject.null();
+        }
+        
+        try {
+            return await this.evaluateExpression(expr);
+        } catch (e) {
+            let errorMessage = e.message;
+            if (!errorMessage) {
+                errorMessage = `Ошибка типа: ${e.constructor.name}`;
+                if (e.stack) {
+                    errorMessage += `\nСтек вызовов: ${e.stack}`;
+                } else {
+                    errorMessage += ' (Стек вызовов недоступен)';
+                }
+            }
+            throw new Error(errorMessage);
+        }
+    }
+
+    /**
+     * Очистка состояния после выполнения
+     */
+    cleanup() {
+        this.callStack = [];
+        this.isReturn = false;
+        this.returnValue = null;
+        this.errorHandler = null;
+    }
+
+    /**
+     * Обёртка ошибки
+     */
+    wrapError(error) {
+        if (error.message === 'break' || error.message === 'continue') {
+            return error;
+        }
+
+        let errorMessage = error.toString ? error.toString() : String(error);
+        if (!errorMessage) {
+            // Если у ошибки нет сообщения, попробуем получить более подробную информацию
+            errorMessage = `Ошибка типа: ${error.constructor.name}`;
+            if (error.stack) {
+                errorMessage += `\nСтек вызовов: ${error.stack}`;
+            } else {
+                errorMessage += ' (Стек вызовов недоступен)';
+            }
+        }
+        const stackTrace = this.callStack.length > 0 ? `Стек вызовов: ${this.callStack.join(' -> ')}` : 'Стек вызовов пуст';
+        return new Error(
+            `[${this.currentFilename}] Ошибка выполнения: ${errorMessage}\n` +
+            stackTrace
+        );
+    }
+
+    /**
+     * Выполнение catch
+     */
+    async executeCatch(handler, error) {
+        if (!handler) return;
+        
+        const catchEnv = this.currentEnv.child('<catch>');
+        if (handler.param) {
+            catchEnv.define(handler.param, VladXObject.string(error.toString ? error.toString() : String(error)));
+        }
+        
+        const previousEnv = this.currentEnv;
+        this.currentEnv = catchEnv;
+        
+        if (handler.body && handler.body.body) {
+            for (const statement of handler.body.body) {
+                await this.evaluateStatement(statement);
+            }
+        }
+        
+        this.currentEnv = previousEnv;
+    }
+}
+return { Interpreter, default: Interpreter };
+})();
+
+// Module: runtime/json-codec.js
+const __vx_m17 = (() => {
+/**
+ * JSON с точными числами для код/разкод
+ *
+ * encodeJson пишет большие и десятичные как числа JSON без потери
+ * разрядов. decodeJson читает целые вне диапазона ±2^53 как большие,
+ * а с { десятичные: истина } — все дробные числа как десятичные
+ */
+
+const { Decimal } = __vx_m0;
+
+const STRING_RE = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER_RE = /-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+/**
+ * Значение в текст JSON; indent — как третий аргумент JSON.stringify
+ */
+function encodeJson(value, indent = 0) {
+    const step = typeof indent === 'number' ? ' '.repeat(Math.min(indent, 10)) : String(indent || '').slice(0, 10);
+
+    const encode = (item, prefix) => {
+        if (item && typeof item.toJSON === 'function' && !(item instanceof Decimal)) {
+            item = item.toJSON();
+        }
+        if (item === null) return 'null';
+        if (typeof item === 'bigint' || item instanceof Decimal) return item.toString();
+        if (typeof item === 'number') return Number.isFinite(item) ? String(item) : 'null';
+        if (typeof item === 'string' || typeof item === 'boolean') return JSON.stringify(item);
+        if (typeof item !== 'object') return undefined;
+
+        const inner = prefix + step;
+        const open = step ? `\n${inner}` : '';
+        const close = step ? `\n${prefix}` : '';
+        const separator = step ? `,\n${inner}` : ',';
+
+        if (Array.isArray(item)) {
+            if (item.length === 0) return '[]';
+            return `[${open}${item.map(element => encode(element, inner) ?? 'null').join(separator)}${close}]`;
+        }
+        const entries = Object.keys(item)
+            .map(key => [key, encode(item[key], inner)])
+            .filter(([, encoded]) => encoded !== undefined)
+            .map(([key, encoded]) => `${JSON.stringify(key)}:${step ? ' ' : ''}${encoded}`);
+        return entries.length === 0 ? '{}' : `{${open}${entries.join(separator)}${close}}`;
+    };
+
+    return encode(value, '');
+}
+
+/**
+ * Текст JSON в значение
+ */
+function decodeJson(text, options = {}) {
+    const source = String(text);
+    const decimals = Boolean(options.десятичные);
+    let pos = 0;
+
+    const fail = (message = `неожиданный символ ${JSON.stringify(source[pos] ?? 'конец')}`) => {
+        throw new SyntaxError(`Неверный JSON: ${message} в позиции ${pos}`);
+    };
+    const skipSpace = () => {
+        while (pos < source.length && ' \t\n\r'.includes(source[pos])) pos++;
+    };
+    const expect = (char) => {
+        skipSpace();
+        if (source[pos] !== char) fail();
+        pos++;
+    };
+
+    const readString = () => {
+        STRING_RE.lastIndex = pos;
+        const match = STRING_RE.exec(source);
+        if (!match) fail('незакрытая или неверная строка');
+        pos += match[0].length;
+        return JSON.parse(match[0]);
+    };
+
+    const readNumber = () => {
+        NUMBER_RE.lastIndex = pos;
+        const match = NUMBER_RE.exec(source);
+        if (!match) fail();
+        pos += match[0].length;
+        const [literal, fraction, exponent] = match;
+        if (!fraction && !exponent) {
+            const number = Number(literal);
+            return Number.isSafeInteger(number) ? number : BigInt(literal);
+        }
+        return decimals ? Decimal.parse(literal) : Number(literal);
+    };
+
+    const readValue = () => {
+        skipSpace();
+        const char = source[pos];
+        if (char === '{') {
+            pos++;
+            const object = {};
+            skipSpace();
+            if (source[pos] === '}') {
+                pos++;
+                return object;
+            }
+            do {
+                skipSpace();
+                if (source[pos] !== '"') fail();
+                const key = readString();
+                expect(':');
+                // Свойство __proto__ остаётся обычным ключом, как в JSON.parse
+                Object.defineProperty(object, key, { value: readValue(), enumerable: true, writable: true, configurable: true });
+                skipSpace();
+            } while (source[pos] === ',' && ++pos);
+            expect('}');
+            return object;
+        }
+        if (char === '[') {
+            pos++;
+            const array = [];
+            skipSpace();
+            if (source[pos] === ']') {
+                pos++;
+                return array;
+            }
+            do {
+                array.push(readValue());
+                skipSpace();
+            } while (source[pos] === ',' && ++pos);
+            expect(']');
+            return array;
+        }
+        if (char === '"') return readString();
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (source.startsWith(word, pos)) {
+                pos += word.length;
+                return value;
+            }
+        }
+        return readNumber();
+    };
+
+    const value = readValue();
+    skipSpace();
+    if (pos < source.length) fail();
+    return value;
+}
+return { encodeJson, decodeJson };
+})();
+
+// Module: runtime/aot-runtime.js
+const __vx_m18 = (() => {
+/**
+ * AOT Runtime — Среда выполнения для программ, скомпилированных `vladx compile`
+ * Собирается вместе с json-codec и decimal в один файл vladx-runtime.js рядом со
+ * скомпилированным кодом и не зависит от интерпретатора
+ */
+
+const { readFileSync, writeFileSync, existsSync } = __vx_ext0;
+const { createHash } = __vx_ext3;
+const { encodeJson, decodeJson } = __vx_m17;
+const { Decimal, isExact, exactBinary } = __vx_m0;
+
+const GENERATOR_TAG = Symbol('vladx.generator');
+const ENUM_TAG = Symbol('vladx.enum');
+const VARIANT_TAG = Symbol('vladx.variant');
+
+/**
+ * Обычный объект-словарь (в отличие от экземпляров классов и коллекций)
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Числовой оператор: большие и десятичные операнды считаются по правилам интерпретатора,
+ * отсутствующее значение (undefined) — как ничто
+ */
+const numeric = (operator, apply) => (left = null, right = null) => {
+    if (isExact(left) || isExact(right)) {
+        const result = exactBinary(operator, left, right);
+        if (result !== undefined) {
+            return result;
+        }
+    }
+    return apply(left, right);
+};
+
+/**
+ * Вариант перечисления: Цвет.Красный или Результат.Успех(5); поля читаются как свойства
+ */
+class Вариант {
+    constructor(owner, name, fields = null, values = []) {
+        Object.defineProperty(this, VARIANT_TAG, { value: { owner, name, fields, values } });
+        (fields || []).forEach((field, index) => {
+            this[field] = values[index];
+        });
+        Object.freeze(this);
+    }
+
+    /**
+     * JSON: вариант без полей — его имя, с полями — { Вариант: { поле: значение } }
+     */
+    toJSON() {
+        const { name, fields, values } = this[VARIANT_TAG];
+        return fields ? { [name]: Object.fromEntries(fields.map((field, index) => [field, values[index]])) } : name;
+    }
+
+    toString() {
+        const { owner, name, fields, values } = this[VARIANT_TAG];
+        const full = `${owner[ENUM_TAG]}.${name}`;
+        return fields ? `${full}(${values.map(value => __vx.format(value)).join(', ')})` : full;
+    }
+}
+
+/**
+ * Служебные функции, которые использует сгенерированный код
+ */
+const __vx = {
+    /**
+     * Тип значения в терминах VladX (как в сопоставить)
+     */
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof Decimal) return 'decimal';
+        if (typeof value === 'function') return 'function';
+        if (typeof value === 'object') {
+            if (value[GENERATOR_TAG]) return 'generator';
+            if (value[ENUM_TAG]) return 'enum';
+            if (value instanceof Вариант) return 'variant';
+            return isPlainObject(value) ? 'object' : 'instance';
+        }
+        return typeof value;
+    },
+
+    /**
+     * Текстовое представление значения для печать()
+     */
+    format(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => __vx.format(item)).join(', ') + ']';
+        }
+        if (typeof value === 'function') {
+            return `<функция ${value.name || '<function>'}>`;
+        }
+        if (value && typeof value === 'object') {
+            if (value[GENERATOR_TAG]) {
+                return `<генератор ${value.name}>`;
+            }
+            if (value instanceof RegExp || value instanceof Вариант || value instanceof Decimal) {
+                return String(value);
+            }
+            if (value[ENUM_TAG]) {
+                return `[перечисление ${value[ENUM_TAG]}]`;
+            }
+            return JSON.stringify(value, (key, item) => item === undefined ? null : item, 2);
+        }
+        return String(value ?? null);
+    },
+
+    /**
+     * Обращение к необъявленной переменной (ошибка окружения интерпретатора)
+     */
+    missing(name, assign = false) {
+        throw new Error(assign ? `Переменная ${name} не найдена` : `Переменная "${name}" не найдена в окружении <global>`);
+    },
+
+    /**
+     * Обращение к приватному члену объекта, не созданного классом owner
+     */
+    notOwner(name, owner) {
+        throw new Error(`Нельзя обратиться к ${name}: объект не создан классом ${owner}`);
+    },
+
+    /**
+     * Значение выбросить → Error (как в интерпретаторе)
+     */
+    error(value) {
+        return value instanceof Error ? value : new Error(String(value));
+    },
+
+    /**
+     * Значение ошибки, видимое в поймать: строка сообщения
+     */
+    caught(error) {
+        return error instanceof Error ? error.toString() : String(error);
+    },
+
+    /**
+     * Итерируемое для для-из, spread и деструктуризации
+     */
+    iter(value) {
+        if (value !== null && value !== undefined) {
+            if (typeof value[Symbol.iterator] === 'function') {
+                return value;
+            }
+            if (typeof value.итератор === 'function') {
+                const iterator = value.итератор();
+                return {
+                    [Symbol.iterator]() {
+                        return {
+                            next() {
+                                const step = iterator.следующий();
+                                return step && step.готово
+                                    ? { value: undefined, done: true }
+                                    : { value: step ? step.значение : null, done: false };
+                            }
+                        };
+                    }
+                };
+            }
+            if (isPlainObject(value)) {
+                return Object.entries(value);
+            }
+        }
+        throw new Error(`Значение типа '${__vx.typeOf(value)}' не является итерируемым`);
+    },
+
+    /**
+     * Ключи для для-в: индексы массива и строки, поля объекта, ключи Карты, элементы Множества
+     */
+    keys(value) {
+        if (Array.isArray(value) || typeof value === 'string') {
+            return Array.from({ length: value.length }, (_, index) => index);
+        }
+        if (value && typeof value === 'object') {
+            if (!isPlainObject(value) && typeof value.keys === 'function') {
+                return Array.from(value.keys());
+            }
+            return Object.keys(value);
+        }
+        throw new Error(`Значение типа '${__vx.typeOf(value)}' не поддерживает перебор ключей`);
+    },
+
+    /**
+     * Копия объекта без перечисленных ключей (остаток ...rest в образце)
+     */
+    omit(object, keys) {
+        const rest = {};
+        for (const key of Object.keys(object)) {
+            if (!keys.includes(key)) {
+                rest[key] = object[key];
+            }
+        }
+        return rest;
+    },
+
+    /**
+     * Обёртка генератора с методами следующий() и закрыть()
+     */
+    generator(iterator, name = '<generator>') {
+        return {
+            [GENERATOR_TAG]: true,
+            name,
+            следующий(value) {
+                const step = iterator.next(value);
+                return { значение: step.value === undefined ? null : step.value, готово: step.done };
+            },
+            закрыть() {
+                iterator.return();
+                return true;
+            },
+            [Symbol.iterator]() {
+                return iterator;
+            }
+        };
+    },
+
+    /**
+     * Перечисление: variants — пары [имя, поля или null]; варианты с полями — конструкторы
+     */
+    enumType(name, variants) {
+        const members = { [ENUM_TAG]: name };
+        for (const [variant, fields] of variants) {
+            if (!fields) {
+                members[variant] = new Вариант(members, variant);
+                continue;
+            }
+            const construct = (...args) => {
+                if (args.length !== fields.length) {
+                    throw new Error(`${name}.${variant} ожидает ${fields.length} аргумент(ов), получено ${args.length}`);
+                }
+                return new Вариант(members, variant, fields, args);
+            };
+            members[variant] = Object.defineProperty(construct, 'name', { value: `${name}.${variant}` });
+        }
+        // Обращение к несуществующему варианту — ошибка, как в интерпретаторе
+        // (toJSON и then запрашивают JSON.stringify и await)
+        return new Proxy(Object.freeze(members), {
+            get(target, key) {
+                if (typeof key === 'string' && !(key in target) && key !== 'toJSON' && key !== 'then') {
+                    throw new Error(`В перечислении ${name} нет варианта ${key}`);
+                }
+                return target[key];
+            }
+        });
+    },
+
+    /**
+     * Подходит ли значение под образец варианта; enumName равен null, если имя перечисления не указано
+     */
+    isVariant(value, variant, enumName) {
+        if (!(value instanceof Вариант)) return false;
+        const { owner, name } = value[VARIANT_TAG];
+        return name === variant && (enumName === null || owner[ENUM_TAG] === enumName);
+    },
+
+    /**
+     * Значения полей варианта по порядку объявления
+     */
+    variantValues(value) {
+        return value[VARIANT_TAG].values;
+    },
+
+    /**
+     * Десятичный литерал 12.50m
+     */
+    decimal(text) {
+        return Decimal.parse(text);
+    },
+
+    /**
+     * Унарный минус: у десятичных свой знак
+     */
+    neg(value) {
+        return value instanceof Decimal ? value.neg() : -value;
+    },
+
+    add: numeric('+', (left, right) => left + right),
+    sub: numeric('-', (left, right) => left - right),
+    mul: numeric('*', (left, right) => left * right),
+    div: numeric('/', (left, right) => {
+        if (right === 0) throw new Error(`Деление на ноль: ${left} / ${right}`);
+        return left / right;
+    }),
+    mod: numeric('%', (left, right) => left % right),
+    pow: numeric('**', (left, right) => left ** right),
+    lt: numeric('<', (left, right) => left < right),
+    gt: numeric('>', (left, right) => left > right),
+    le: numeric('<=', (left, right) => left <= right),
+    ge: numeric('>=', (left, right) => left >= right),
+
+    /**
+     * == в VladX: варианты равны, если совпадают вариант и все поля
+     */
+    equals(left, right) {
+        if (left instanceof Вариант || right instanceof Вариант) {
+            if (!(left instanceof Вариант && right instanceof Вариант)) return false;
+            const a = left[VARIANT_TAG];
+            const b = right[VARIANT_TAG];
+            return a.owner === b.owner && a.name === b.name && a.values.length === b.values.length &&
+                a.values.every((value, index) => __vx.equals(value, b.values[index]));
+        }
+        if (isExact(left) || isExact(right)) {
+            return exactBinary('==', left, right);
+        }
+        return left == right;
+    },
+
+    /**
+     * Регулярное выражение /шаблон/флаги (одно на шаблон и флаги)
+     */
+    regex(pattern, flags = '') {
+        const key = `${pattern}::${flags}`;
+        if (!REGEX_CACHE.has(key)) {
+            REGEX_CACHE.set(key, new Регвыр(pattern, flags));
+        }
+        return REGEX_CACHE.get(key);
+    },
+
+    /**
+     * Стандартный модуль (импорт "регвыр")
+     */
+    std(name) {
+        if (name === 'регвыр') {
+            return регвыр;
+        }
+        throw new Error(`Стандартный модуль "${name}" не найден`);
+    },
+
+    /**
+     * Ошибка, когда ни одна ветвь сопоставить не подошла
+     */
+    noMatch(value, location) {
+        throw new Error(`${location} Нет совпадения в сопоставить для значения ${__vx.format(value)}`);
+    }
+};
+
+// ========== Встроенные функции ==========
+
+// Математические функции
+const максимум = (...args) => Math.max(...args);
+const минимум = (...args) => Math.min(...args);
+const случайный = () => Math.random();
+const случайноеЦелое = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+const abs = (n) => Math.abs(n);
+const округлить = (n) => Math.round(n);
+const пол = (n) => Math.floor(n);
+const потолок = (n) => Math.ceil(n);
+const корень = (n) => Math.sqrt(n);
+const степень = (base, exp) => Math.pow(base, exp);
+const ln = (n) => Math.log(n);
+const log10 = (n) => Math.log10(n);
+const sin = (n) => Math.sin(n);
+const cos = (n) => Math.cos(n);
+const tan = (n) => Math.tan(n);
+const asin = (n) => Math.asin(n);
+const acos = (n) => Math.acos(n);
+const atan = (n) => Math.atan(n);
+const пи = () => Math.PI;
+const e = () => Math.E;
+
+// Строковые функции
+const длина = (value) => value?.length ?? 0;
+const нижнийРегистр = (str) => str.toLowerCase();
+const верхнийРегистр = (str) => str.toUpperCase();
+const обрезка = (str) => str.trim();
+const заменить = (str, old, replacement) => old instanceof RegExp
+    ? регвыр.заменитьВсе(old, str, replacement)
+    : str.replaceAll(old, replacement);
+const разделить = (str, delimiter) => str.split(delimiter);
+const соединить = (arr, delimiter) => arr.join(delimiter);
+const подстрока = (str, start, end) => str.substring(start, end);
+const кодСимвола = (str, index) => str.charCodeAt(index);
+const символПоКоду = (code) => String.fromCharCode(code);
+const код = (value, indent) => encodeJson(value, indent);
+const разкод = (str, options) => decodeJson(str, options ?? {});
+
+// Функции для работы с массивами
+const asArray = (arr) => Array.isArray(arr) ? arr : [];
+
+const создатьМассив = (...items) => [...items];
+const объединить = (...arrays) => arrays.reduce((acc, arr) => [...acc, ...asArray(arr)], []);
+const фильтр = (arr, callback) => asArray(arr).filter(callback);
+const отобразить = (arr, callback) => asArray(arr).map(callback);
+const уменьшить = (arr, callback, initial) => asArray(arr).reduce(callback, initial);
+const найти = (arr, callback) => asArray(arr).find(callback);
+const найтиИндекс = (arr, callback) => asArray(arr).findIndex(callback);
+const включает = (arr, item) => asArray(arr).includes(item);
+const сортировать = (arr, comparator) => [...asArray(arr)].sort(comparator);
+const перевернуть = (arr) => [...asArray(arr)].reverse();
+const копировать = (arr) => [...asArray(arr)];
+const пустой = (arr) => asArray(arr).length === 0;
+const первый = (arr) => asArray(arr)[0];
+const последний = (arr) => asArray(arr)[asArray(arr).length - 1];
+const хвост = (arr) => asArray(arr).slice(1);
+const голова = (arr) => asArray(arr).slice(0, -1);
+const добавить = (arr, item) => [...asArray(arr), item];
+const размер = (arr) => asArray(arr).length;
+const каждый = (arr, callback) => asArray(arr).every(callback);
+const некоторые = (arr, callback) => asArray(arr).some(callback);
+const срез = (arr, start, end) => asArray(arr).slice(start, end);
+const заполнить = (arr, value, start = 0, end = asArray(arr).length) => [...asArray(arr)].fill(value, start, end);
+const развернуть = (arr) => asArray(arr).flat();
+const развернутьГлубоко = (arr, depth = 1) => asArray(arr).flat(depth);
+
+const вставить = (arr, index, item) => {
+    if (!Number.isInteger(index) || index < 0 || index > asArray(arr).length) {
+        throw new Error(`Индекс ${index} выходит за пределы допустимого диапазона [0, ${asArray(arr).length}]`);
+    }
+    const result = [...arr];
+    result.splice(index, 0, item);
+    return result;
+};
+
+const удалить = (arr, index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= asArray(arr).length) {
+        throw new Error(`Индекс ${index} выходит за пределы массива длиной ${asArray(arr).length}`);
+    }
+    const result = [...arr];
+    result.splice(index, 1);
+    return result;
+};
+
+// Функции для работы с объектами
+const объект = (obj = {}) => ({ ...(obj && typeof obj === 'object' ? obj : {}) });
+const ключи = (obj) => Object.keys(obj);
+const значения = (obj) => Object.values(obj);
+const пары = (obj) => Object.entries(obj);
+const слить = (...objects) => objects.reduce((acc, obj) => ({ ...acc, ...obj }), {});
+const из = (obj, key) => obj[key];
+const в = (obj, key, value) => ({ ...obj, [key]: value });
+const удалитьСвойство = (obj, key) => {
+    const result = { ...obj };
+    delete result[key];
+    return result;
+};
+const проверить = (obj, key) => key in obj;
+
+// Ввод-вывод и время
+const печать = (...args) => console.log(...args.map(arg => __vx.format(arg)));
+const вывод = (...args) => process.stdout.write(args.map(arg => __vx.format(arg)).join(' '));
+const время = () => Date.now();
+const дата = () => new Date();
+const форматДаты = (date, format) => {
+    const pad = n => String(n).padStart(2, '0');
+    return format
+        .replace('YYYY', date.getFullYear())
+        .replace('MM', pad(date.getMonth() + 1))
+        .replace('DD', pad(date.getDate()))
+        .replace('HH', pad(date.getHours()))
+        .replace('mm', pad(date.getMinutes()))
+        .replace('ss', pad(date.getSeconds()));
+};
+
+// Проверка и преобразование типов
+const тип = (value) => {
+    if (value === null || value === undefined) return 'ничто';
+    if (Array.isArray(value)) return 'массив';
+    if (typeof value === 'bigint') return 'большое';
+    if (value instanceof Decimal) return 'десятичное';
+    if (value instanceof RegExp) return 'регвыр';
+    if (value && value[GENERATOR_TAG]) return 'генератор';
+    if (value && value[ENUM_TAG]) return 'перечисление';
+    if (value instanceof Вариант) return 'вариант';
+    return typeof value;
+};
+const этоЧисло = (value) => typeof value === 'number' && !isNaN(value);
+const этоСтрока = (value) => typeof value === 'string';
+const этоМассив = (value) => Array.isArray(value);
+const этоОбъект = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+const этоФункция = (value) => typeof value === 'function';
+const этоЛогическое = (value) => typeof value === 'boolean';
+const этоПустой = (value) => {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+};
+const вСтроку = (value) => String(value);
+const вЧисло = (value) => {
+    const n = Number(value);
+    if (isNaN(n)) throw new Error('Не удалось конвертировать в число');
+    return n;
+};
+const большое = (value) => {
+    if (value instanceof Decimal) {
+        if (value.trim().scale > 0) throw new Error(`Десятичное ${value} не целое`);
+        return value.toBigInt();
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        throw new Error(`Число ${value} не целое`);
+    }
+    try {
+        return BigInt(typeof value === 'string' ? value.trim().replace(/_/g, '') : value);
+    } catch {
+        throw new Error(`Не удалось конвертировать в большое: ${value}`);
+    }
+};
+// десятичное(значение, знаков, режим) — с округлением, если задано число знаков
+const десятичное = (value, digits, rounding) => {
+    const decimal = Decimal.from(value);
+    return digits === undefined || digits === null ? decimal : decimal.round(digits, rounding);
+};
+const настроитьДесятичные = (options = {}) => Decimal.configure(options || {});
+const вМассив = (value) => {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined) return [];
+    return [value];
+};
+
+// Ввод пользователя
+const ввести = async (prompt = '') => {
+    const readline = await import('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+        rl.question(prompt, (answer) => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+};
+
+// Файловые операции
+const файлЧитать = (path) => {
+    try {
+        return readFileSync(path, 'utf-8');
+    } catch (e) {
+        throw new Error(`Не удалось прочитать файл: ${path}: ${e.message}`);
+    }
+};
+const файлЗаписать = (path, content) => {
+    try {
+        writeFileSync(path, content, 'utf-8');
+        return true;
+    } catch (e) {
+        throw new Error(`Не удалось записать файл: ${path}: ${e.message}`);
+    }
+};
+const файлСуществует = (path) => existsSync(path);
+
+// Сетевой запрос
+const запрос = async (url, options = {}) => {
+    const response = await fetch(url, {
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        body: options.body
+    });
+    const body = await response.text();
+    if (options.raw) {
+        return { status: response.status, headers: Object.fromEntries(response.headers), body };
+    }
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+};
+
+// Криптографические функции
+const хешMD5 = async (str) => createHash('md5').update(str).digest('hex');
+const хешSHA256 = async (str) => createHash('sha256').update(str).digest('hex');
+const генUUID = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+});
+const экранироватьHTML = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+// Регулярные выражения: литералы /…/ и модуль «регвыр», как в интерпретаторе
+const REGEX_CACHE = new Map();
+
+const regexMatch = (match) => ({
+    текст: match[0],
+    индекс: match.index,
+    группы: match.slice(1).map(group => group ?? null),
+    именованные: Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, value ?? null]))
+});
+
+const toRegex = (value) => {
+    if (value instanceof RegExp) return value;
+    if (typeof value === 'string') return __vx.regex(value);
+    throw new Error(`Ожидалось регулярное выражение, получено: ${value === null || value === undefined ? 'ничто' : typeof value}`);
+};
+
+const withGlobal = (regexp, global) => regexp.global === global
+    ? regexp
+    : __vx.regex(regexp.source, global ? `${regexp.flags}g` : regexp.flags.replace('g', ''));
+
+const execFirst = (regexp, text) => {
+    regexp.lastIndex = 0;
+    const match = regexp.exec(String(text));
+    regexp.lastIndex = 0;
+    return match;
+};
+
+const execAll = (regexp, text) => {
+    const global = withGlobal(regexp, true);
+    global.lastIndex = 0;
+    return [...String(text).matchAll(global)];
+};
+
+const replaceMatches = (regexp, text, replacement, all) => {
+    const source = String(text);
+    if (typeof replacement === 'string') {
+        const target = withGlobal(regexp, all);
+        target.lastIndex = 0;
+        return source.replace(target, replacement);
+    }
+    const matches = all ? execAll(regexp, source) : [execFirst(regexp, source)].filter(Boolean);
+    let result = '';
+    let last = 0;
+    for (const match of matches) {
+        result += source.slice(last, match.index) + String(replacement(regexMatch(match)) ?? '');
+        last = match.index + match[0].length;
+    }
+    return result + source.slice(last);
+};
+
+const регвыр = {
+    создать: (pattern, flags = '') => __vx.regex(String(pattern), String(flags ?? '')),
+    экранировать: (text) => String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'),
+    совпадает: (regexp, text) => execFirst(toRegex(regexp), text) !== null,
+    найти: (regexp, text) => {
+        const match = execFirst(toRegex(regexp), text);
+        return match ? regexMatch(match) : null;
+    },
+    найтиВсе: (regexp, text) => execAll(toRegex(regexp), text).map(regexMatch),
+    заменить: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, false),
+    заменитьВсе: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, true),
+    разделить: (regexp, text, limit) => String(text).split(toRegex(regexp), limit ?? undefined)
+};
+
+/**
+ * Значение /…/: RegExp с методами модуля «регвыр»
+ */
+class Регвыр extends RegExp {
+    get шаблон() { return this.source; }
+    get флаги() { return this.flags; }
+    совпадает(text) { return регвыр.совпадает(this, text); }
+    найти(text) { return регвыр.найти(this, text); }
+    найтиВсе(text) { return регвыр.найтиВсе(this, text); }
+    заменить(text, replacement) { return регвыр.заменить(this, text, replacement); }
+    заменитьВсе(text, replacement) { return регвыр.заменитьВсе(this, text, replacement); }
+    разделить(text, limit) { return регвыр.разделить(this, text, limit); }
+}
+
+const регex = (pattern, flags = '') => __vx.regex(pattern, flags);
+const сопоставить = (str, regex) => str.match(regex);
+const заменитьРВ = (str, regex, replacement) => str.replace(regex, replacement);
+const разбитьРВ = (str, regex) => str.split(regex);
+
+// Функциональное программирование
+const частичное = (fn, ...args) => (...more) => fn(...args, ...more);
+const частично = частичное;
+const каррировать = (fn) => function curried(...args) {
+    return args.length >= fn.length ? fn(...args) : (...more) => curried(...args, ...more);
+};
+const инвертировать = (fn) => (...args) => fn(...args.reverse());
+const одинРаз = (fn) => {
+    let called = false;
+    let result;
+    return (...args) => {
+        if (called) return result;
+        called = true;
+        result = fn(...args);
+        return result;
+    };
+};
+const отладить = (label = 'trace') => (x) => {
+    console.log(label, x);
+    return x;
+};
+const композиция = (...fns) => (arg) => fns.reduce((acc, fn) => fn(acc), arg);
+const труба = (value, ...fns) => fns.reduce((acc, fn) => fn(acc), value);
+const мемоизировать = (fn) => {
+    const cache = new Map();
+    return (...args) => {
+        const key = encodeJson(args);
+        if (!cache.has(key)) {
+            cache.set(key, fn(...args));
+        }
+        return cache.get(key);
+    };
+};
+
+// Асинхронные утилиты
+const обещание = (executor) => new Promise(executor);
+const всеОбещания = (promises) => Promise.all(promises);
+const любоеОбещание = (promises) => Promise.any(promises);
+const ждать = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const всеОбещанияКакОбъект = async (obj) => {
+    const keys = Object.keys(obj);
+    const results = await Promise.all(Object.values(obj));
+    return keys.reduce((acc, key, i) => {
+        acc[key] = results[i];
+        return acc;
+    }, {});
+};
+
+// Генераторы
+const диапазон = (start, end, step = 1) => {
+    const [from, to] = end === undefined ? [0, start] : [start, end];
+    return __vx.generator((function* () {
+        for (let i = from; step > 0 ? i < to : i > to; i += step) {
+            yield i;
+        }
+    })(), 'диапазон');
+};
+
+const генерировать = (callback) => __vx.generator((function* () {
+    let index = 0;
+    while (true) {
+        const result = callback(index++);
+        if (result.done) break;
+        yield result.value;
+    }
+})(), 'генерировать');
+
+// Побитовые операции
+const битИ = (a, b) => a & b;
+const битИЛИ = (a, b) => a | b;
+const битИСКЛ = (a, b) => a ^ b;
+const битНЕ = (a) => ~a;
+const сдвигВлево = (a, b) => a << b;
+const сдвигВправо = (a, b) => a >> b;
+const беззнаковыйСдвиг = (a, b) => a >>> b;
+
+// Коллекции (ключи сравниваются по значению, как в интерпретаторе)
+class Карта_ {
+    constructor() {
+        this.items = new Map();
+    }
+
+    set(key, value) {
+        this.items.set(encodeJson(key), { key, value });
+    }
+
+    get(key) {
+        const entry = this.items.get(encodeJson(key));
+        return entry ? entry.value : undefined;
+    }
+
+    has(key) {
+        return this.items.has(encodeJson(key));
+    }
+
+    delete(key) {
+        return this.items.delete(encodeJson(key));
+    }
+
+    keys() {
+        return Array.from(this.items.values(), entry => entry.key);
+    }
+
+    values() {
+        return Array.from(this.items.values(), entry => entry.value);
+    }
+
+    entries() {
+        return Array.from(this.items.values(), entry => [entry.key, entry.value]);
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+}
+
+class Множество_ {
+    constructor() {
+        this.items = new Map();
+    }
+
+    add(value) {
+        const key = encodeJson(value);
+        if (!this.items.has(key)) {
+            this.items.set(key, value);
+        }
+    }
+
+    has(value) {
+        return this.items.has(encodeJson(value));
+    }
+
+    delete(value) {
+        return this.items.delete(encodeJson(value));
+    }
+
+    values() {
+        return Array.from(this.items.values());
+    }
+
+    keys() {
+        return this.values();
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    [Symbol.iterator]() {
+        return this.items.values();
+    }
+}
+
+const Карта = () => new Карта_();
+const Множество = () => new Множество_();
+return { __vx, максимум, минимум, случайный, случайноеЦелое, abs, округлить, пол, потолок, корень, степень, ln, log10, sin, cos, tan, asin, acos, atan, пи, e, длина, нижнийРегистр, верхнийРегистр, обрезка, заменить, разделить, соединить, подстрока, кодСимвола, символПоКоду, код, разкод, создатьМассив, объединить, фильтр, отобразить, уменьшить, найти, найтиИндекс, включает, сортировать, перевернуть, копировать, пустой, первый, последний, хвост, голова, добавить, размер, каждый, некоторые, срез, заполнить, развернуть, развернутьГлубоко, вставить, удалить, объект, ключи, значения, пары, слить, из, в, удалитьСвойство, проверить, печать, вывод, время, дата, форматДаты, тип, этоЧисло, этоСтрока, этоМассив, этоОбъект, этоФункция, этоЛогическое, этоПустой, вСтроку, вЧисло, большое, десятичное, настроитьДесятичные, вМассив, ввести, файлЧитать, файлЗаписать, файлСуществует, запрос, хешMD5, хешSHA256, генUUID, экранироватьHTML, регex, сопоставить, заменитьРВ, разбитьРВ, частичное, частично, каррировать, инвертировать, одинРаз, отладить, композиция, труба, мемоизировать, обещание, всеОбещания, любоеОбещание, ждать, всеОбещанияКакОбъект, диапазон, генерировать, битИ, битИЛИ, битИСКЛ, битНЕ, сдвигВлево, сдвигВправо, беззнаковыйСдвиг, Карта, Множество };
+})();
+
+// Module: runtime/bundler.js
+const __vx_m19 = (() => {
+/**
+ * Bundle — Сборщик модулей
+ */
+
+const { readFileSync, writeFileSync, existsSync } = __vx_ext0;
+const { dirname, join, relative } = __vx_ext1;
+
+class Bundle {
+    constructor(options = {}) {
+        this.entry = options.entry;
+        this.output = options.output || 'bundle.vx';
+        this.format = options.format || 'esm'; // esm, cjs, iife, umd
+        this.minify = options.minify || false;
+        this.sourceMap = options.sourceMap || false;
+        this.moduleSystem = options.moduleSystem;
+        this.analyzed = new Map();
+        this.dependencyGraph = new Map();
+        this.importStatements = new Set();
+    }
+
+    /**
+     * Собрать модули в один файл
+     */
+    async build() {
+        if (!this.entry) {
+            throw new Error('Entry point is required');
+        }
+
+        const modules = await this.analyzeDependencies(this.entry);
+        const sorted = this.topologicalSort(modules);
+        const bundled = this.generateBundle(sorted);
+
+        if (this.sourceMap) {
+            const map = this.generateSourceMap(sorted);
+            bundled.sourceMap = map;
+        }
+
+        return bundled;
+    }
+
+    /**
+     * Анализировать зависимости
+     */
+    async analyzeDependencies(entryPath) {
+        const modules = new Map();
+
+        const analyze = async (filePath, parentPath = null) => {
+            if (modules.has(filePath)) {
+                return modules.get(filePath);
+            }
+
+            const source = readFileSync(filePath, 'utf-8');
+            const module = {
+                path: filePath,
+                source,
+                imports: [],
+                exports: [],
+                dependencies: new Set()
+            };
+
+            modules.set(filePath, module);
+
+            if (this.isJavaScript(filePath)) {
+                this.analyzeJavaScript(module);
+
+                for (const imp of module.imports) {
+                    if (imp.external) {
+                        continue;
+                    }
+                    imp.resolvedPath = await this.resolvePath(imp.path, filePath);
+                    module.dependencies.add(imp.resolvedPath);
+
+                    if (!modules.has(imp.resolvedPath)) {
+                        await analyze(imp.resolvedPath, filePath);
+                    }
+                }
+
+                return module;
+            }
+
+            // Найти import и export statements
+            const importRegex = /(?:импорт|import)\s+([^;]+);/g;
+            const exportRegex = /(?:экспорт|export)\s+(?:поумолчанию|default)?\s+([^;]+);/g;
+
+            let match;
+            while ((match = importRegex.exec(source)) !== null) {
+                const importSpec = match[1].trim();
+                const depPath = this.extractImportPath(importSpec);
+
+                if (depPath) {
+                    const resolvedPath = await this.resolvePath(depPath, filePath);
+                    module.imports.push({
+                        spec: importSpec,
+                        path: depPath,
+                        resolvedPath
+                    });
+                    module.dependencies.add(resolvedPath);
+
+                    // Рекурсивно анализируем зависимости
+                    if (!modules.has(resolvedPath)) {
+                        await analyze(resolvedPath, filePath);
+                    }
+                }
+            }
+
+            while ((match = exportRegex.exec(source)) !== null) {
+                module.exports.push(match[1].trim());
+            }
+
+            return module;
+        };
+
+        await analyze(entryPath);
+        return modules;
+    }
+
+    /**
+     * Является ли модуль JavaScript-модулем (ESM)
+     */
+    isJavaScript(filePath) {
+        return filePath.endsWith('.js') || filePath.endsWith('.mjs');
+    }
+
+    /**
+     * Разобрать import/export JavaScript-модуля.
+     * Учитываются только инструкции в начале строки — так код внутри
+     * шаблонных строк и комментариев не принимается за импорт.
+     */
+    analyzeJavaScript(module) {
+        const statementRegex = /^(?:import|export)\b.*$/gm;
+        const fromRegex = /\s+from\s+['"]([^'"]+)['"];?\s*$/;
+        let match;
+
+        module.statements = [];
+
+        while ((match = statementRegex.exec(module.source)) !== null) {
+            const text = match[0];
+            const fromMatch = text.match(fromRegex);
+            let statement;
+
+            if (text.startsWith('import')) {
+                const sideEffect = text.match(/^import\s+['"]([^'"]+)['"]/);
+                statement = sideEffect
+                    ? { kind: 'import', clause: null, path: sideEffect[1] }
+                    : fromMatch && { kind: 'import', clause: text.slice(6, fromMatch.index).trim(), path: fromMatch[1] };
+            } else if (fromMatch) {
+                const clause = text.slice(6, fromMatch.index).trim();
+                statement = clause === '*'
+                    ? { kind: 'reexportAll', clause: null, path: fromMatch[1] }
+                    : { kind: 'reexport', clause, path: fromMatch[1] };
+            } else {
+                statement = this.parseJavaScriptExport(text);
+            }
+
+            if (!statement) {
+                throw new Error(`Неподдерживаемая инструкция в ${module.path}: ${text}`);
+            }
+
+            statement.text = text;
+            module.statements.push(statement);
+
+            if (statement.path) {
+                statement.external = !statement.path.startsWith('.') && !statement.path.startsWith('/');
+                if (statement.external && statement.kind === 'reexportAll') {
+                    throw new Error(`Реэкспорт всех имён внешнего модуля не поддерживается: ${text}`);
+                }
+                module.imports.push(statement);
+            }
+            if (statement.kind === 'export') {
+                module.exports.push(...statement.names);
+            }
+        }
+    }
+
+    /**
+     * Разобрать локальный export: объявление, список или значение по умолчанию
+     */
+    parseJavaScriptExport(text) {
+        let match = text.match(/^export\s+\{([^}]*)\};?\s*$/);
+        if (match) {
+            const names = this.parseBindings(`{${match[1]}}`)
+                .map(({ imported, local }) => ({ local: imported, exported: local }));
+            return { kind: 'export', names, replacement: '' };
+        }
+
+        match = text.match(/^export\s+default\s+((?:async\s+)?(?:class|function\*?)\s+([\p{L}\p{N}_$]+))/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[2], exported: 'default' }], replacement: text.slice(text.indexOf(match[1])) };
+        }
+
+        match = text.match(/^export\s+default\s+([\p{L}\p{N}_$]+);?\s*$/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[1], exported: 'default' }], replacement: '' };
+        }
+
+        match = text.match(/^export\s+default\s+/);
+        if (match) {
+            return { kind: 'export', names: [{ local: '__vx_default', exported: 'default' }], replacement: 'const __vx_default = ' + text.slice(match[0].length) };
+        }
+
+        match = text.match(/^export\s+((?:async\s+)?(?:class|function\*?|const|let|var)\s+([\p{L}\p{N}_$]+))/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[2], exported: match[2] }], replacement: text.slice(text.indexOf(match[1])) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Разобрать список привязок: `X`, `* as X`, `{ a, b as c }` и их сочетания
+     */
+    parseBindings(clause) {
+        const bindings = [];
+        const namespace = clause.match(/\*\s+as\s+([\p{L}\p{N}_$]+)/u);
+        const named = clause.match(/\{([^}]*)\}/);
+        const defaultName = clause.replace(/\{[^}]*\}/, '').replace(/\*\s+as\s+[\p{L}\p{N}_$]+/u, '').replace(/,/g, '').trim();
+
+        if (defaultName) {
+            bindings.push({ imported: 'default', local: defaultName });
+        }
+        if (namespace) {
+            bindings.push({ imported: '*', local: namespace[1] });
+        }
+        if (named) {
+            for (const part of named[1].split(',').map(p => p.trim()).filter(Boolean)) {
+                const [imported, local = imported] = part.split(/\s+as\s+/).map(p => p.trim());
+                bindings.push({ imported, local });
+            }
+        }
+
+        return bindings;
+    }
+
+    /**
+     * Извлечь путь из import statement
+     */
+    extractImportPath(importSpec) {
+        const fromMatch = importSpec.match(/(?:из|from)\s+['"]([^'"]+)['"]/);
+        return fromMatch ? fromMatch[1] : null;
+    }
+
+    /**
+     * Разрешить путь модуля
+     */
+    async resolvePath(importPath, currentPath) {
+        if (importPath.startsWith('./') || importPath.startsWith('../')) {
+            const resolved = join(dirname(currentPath), importPath);
+
+            // Проверяем расширения
+            const extensions = ['.vx', '.js'];
+            for (const ext of extensions) {
+                if (existsSync(resolved + ext)) {
+                    return resolved + ext;
+                }
+            }
+
+            // Проверяем index.vx
+            const indexFile = join(resolved, 'index.vx');
+            if (existsSync(indexFile)) {
+                return indexFile;
+            }
+
+            return resolved;
+        }
+
+        // Для пакетов из node_modules
+        const nodeModulesPath = join(dirname(currentPath), 'node_modules', importPath);
+        if (existsSync(nodeModulesPath + '.vx')) {
+            return nodeModulesPath + '.vx';
+        }
+
+        throw new Error(`Не удалось разрешить модуль: ${importPath}`);
+    }
+
+    /**
+     * Топологическая сортировка зависимостей
+     */
+    topologicalSort(modules) {
+        const visited = new Set();
+        const result = [];
+        const visiting = new Set();
+
+        const visit = (module) => {
+            if (visiting.has(module.path)) {
+                throw new Error(`Циклическая зависимость: ${module.path}`);
+            }
+
+            if (visited.has(module.path)) {
+                return;
+            }
+
+            visiting.add(module.path);
+            visited.add(module.path);
+
+            for (const dep of module.dependencies) {
+                const depModule = modules.get(dep);
+                if (depModule) {
+                    visit(depModule);
+                }
+            }
+
+            visiting.delete(module.path);
+            result.push(module);
+        };
+
+        for (const module of modules.values()) {
+            if (!visited.has(module.path)) {
+                visit(module);
+            }
+        }
+
+        // Зависимости идут раньше зависящих от них модулей
+        return result;
+    }
+
+    /**
+     * Сгенерировать бандл
+     */
+    generateBundle(modules) {
+        let output = '';
+        const outputDir = dirname(this.output);
+
+        switch (this.format) {
+            case 'esm':
+                output = this.generateESM(modules, outputDir);
+                break;
+            case 'cjs':
+                output = this.generateCJS(modules, outputDir);
+                break;
+            case 'iife':
+                output = this.generateIIFE(modules, outputDir);
+                break;
+            case 'umd':
+                output = this.generateUMD(modules, outputDir);
+                break;
+            default:
+                throw new Error(`Неподдерживаемый формат: ${this.format}`);
+        }
+
+        if (this.minify) {
+            output = this.minify(output);
+        }
+
+        return {
+            code: output,
+            modules: modules.length,
+            format: this.format
+        };
+    }
+
+    /**
+     * Сгенерировать ESM формат
+     */
+    generateESM(modules, outputDir) {
+        if (this.isJavaScript(this.entry)) {
+            return this.generateJavaScriptESM(modules, outputDir);
+        }
+
+        let output = '';
+
+        // Все модули в одном файле с комментариями
+        output += '// VladX Bundle\n';
+        output += '// Generated by VladX Bundler\n\n';
+
+        for (const module of modules) {
+            const relativePath = relative(outputDir, module.path);
+            output += `// Module: ${relativePath}\n`;
+            output += this.rewriteImports(module, modules, outputDir);
+            output += '\n';
+        }
+
+        return output;
+    }
+
+    /**
+     * Сгенерировать ESM-бандл из JavaScript-модулей.
+     * Каждый модуль выполняется в собственной области видимости и возвращает
+     * объект экспортов; внешние пакеты (fs, path, ...) импортируются один раз
+     * в начале файла, экспорты точки входа становятся экспортами бандла.
+     */
+    generateJavaScriptESM(modules, outputDir) {
+        const ids = new Map(modules.map((module, index) => [module.path, `__vx_m${index}`]));
+        const externals = new Map();
+        const exportNames = new Map();
+        const entry = modules[modules.length - 1];
+
+        for (const module of modules) {
+            for (const imp of module.imports) {
+                if (imp.external && !externals.has(imp.path)) {
+                    externals.set(imp.path, `__vx_ext${externals.size}`);
+                }
+            }
+        }
+
+        let output = '';
+        output += '// VladX Bundle\n';
+        output += '// Generated by VladX Bundler\n';
+        output += `// Entry: ${relative(outputDir, entry.path)}\n\n`;
+
+        for (const [path, id] of externals) {
+            output += `import * as ${id} from '${path}';\n`;
+        }
+        output += '\n';
+
+        for (const module of modules) {
+            const id = ids.get(module.path);
+            const names = this.resolveExportNames(module, ids, exportNames);
+            exportNames.set(module.path, names);
+
+            let source = this.rewriteJavaScript(module, ids, externals);
+            // new URL('./runtime/bundler.js', import.meta.url).href точки входа — это сам бандл, остальные модули
+            // сохраняют свой исходный адрес относительно бандла
+            if (module !== entry) {
+                const relativePath = relative(outputDir, module.path);
+                const url = relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+                source = source.replace(/import\.meta\.url/g, `new URL('${url}', new URL('./runtime/bundler.js', import.meta.url).href).href`);
+            }
+
+            const members = names.map(({ local, exported }) => local === exported ? local : `${exported}: ${local}`);
+            output += `// Module: ${relative(outputDir, module.path)}\n`;
+            output += `const ${id} = (() => {\n`;
+            output += source.replace(/\s*$/, '\n');
+            output += `return { ${members.join(', ')} };\n`;
+            output += '})();\n\n';
+        }
+
+        const entryId = ids.get(entry.path);
+        const entryNames = exportNames.get(entry.path).map(({ exported }) => exported);
+        const named = entryNames.filter(name => name !== 'default');
+
+        if (named.length > 0) {
+            output += `export const { ${named.join(', ')} } = ${entryId};\n`;
+        }
+        if (entryNames.includes('default')) {
+            output += `export default ${entryId}.default;\n`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Полный список экспортов модуля, включая реэкспорты
+     */
+    resolveExportNames(module, ids, exportNames) {
+        const names = [...module.exports];
+
+        for (const imp of module.imports) {
+            if (imp.kind === 'reexport') {
+                for (const { local } of this.parseBindings(imp.clause)) {
+                    names.push({ local: local === 'default' ? '__vx_reexport_default' : local, exported: local });
+                }
+            }
+        }
+
+        // export * не создаёт локальных имён и уступает явным экспортам
+        for (const imp of module.imports) {
+            if (imp.kind !== 'reexportAll') {
+                continue;
+            }
+            for (const { exported } of exportNames.get(imp.resolvedPath)) {
+                if (exported !== 'default' && !names.some(name => name.exported === exported)) {
+                    names.push({ local: `${ids.get(imp.resolvedPath)}.${exported}`, exported });
+                }
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Заменить import/export модуля на обращения к объектам экспортов
+     */
+    rewriteJavaScript(module, ids, externals) {
+        let source = module.source;
+
+        for (const statement of module.statements) {
+            let replacement;
+
+            if (statement.kind === 'export') {
+                replacement = statement.replacement;
+            } else {
+                const target = statement.external ? externals.get(statement.path) : ids.get(statement.resolvedPath);
+
+                if (statement.kind === 'reexportAll' || statement.clause === null) {
+                    replacement = '';
+                } else {
+                    let bindings = this.parseBindings(statement.clause);
+                    if (statement.kind === 'reexport') {
+                        bindings = bindings.map(({ imported, local }) => ({
+                            imported,
+                            local: local === 'default' ? '__vx_reexport_default' : local
+                        }));
+                    }
+                    replacement = this.bindingsToDeclarations(bindings, target);
+                }
+            }
+
+            source = source.replace(statement.text, () => replacement);
+        }
+
+        return source;
+    }
+
+    /**
+     * Объявления const для привязок импорта из объекта экспортов
+     */
+    bindingsToDeclarations(bindings, target) {
+        const declarations = [];
+        const destructured = [];
+
+        for (const { imported, local } of bindings) {
+            if (imported === '*') {
+                declarations.push(`const ${local} = ${target};`);
+            } else {
+                destructured.push(imported === local ? local : `${imported}: ${local}`);
+            }
+        }
+
+        if (destructured.length > 0) {
+            declarations.unshift(`const { ${destructured.join(', ')} } = ${target};`);
+        }
+
+        return declarations.join(' ');
+    }
+
+    /**
+     * Сгенерировать CJS формат
+     */
+    generateCJS(modules, outputDir) {
+        let output = '';
+        const moduleMap = new Map();
+        let index = 0;
+
+        // Создаем map модулей
+        for (const module of modules) {
+            const id = `module_${index++}`;
+            moduleMap.set(module.path, id);
+        }
+
+        // IIFE обертка
+        output += '(function() {\n';
+        output += '  const modules = {};\n\n';
+
+        // Определяем модули
+        for (const module of modules) {
+            const id = moduleMap.get(module.path);
+            const rewritten = this.rewriteImportsCJS(module, moduleMap, outputDir);
+            output += `  ${id} = function(module, exports) {\n`;
+            output += `    ${rewritten}\n`;
+            output += `  };\n\n`;
+        }
+
+        // Инициализируем модули
+        for (const module of modules) {
+            const id = moduleMap.get(module.path);
+            output += `  ${id}(${id}, ${id}.exports = {});\n`;
+        }
+
+        output += '})();\n';
+
+        return output;
+    }
+
+    /**
+     * Сгенерировать IIFE формат
+     */
+    generateIIFE(modules, outputDir) {
+        let output = '';
+
+        output += '(function() {\n';
+        output += '  "use strict";\n\n';
+
+        for (const module of modules) {
+            const rewritten = this.rewriteImports(module, modules, outputDir);
+            output += `  ${rewrapped}\n\n`;
+        }
+
+        output += '})();\n';
+
+        return output;
+    }
+
+    /**
+     * Сгенерировать UMD формат
+     */
+    generateUMD(modules, outputDir) {
+        let output = '';
+
+        output += '(function(root, factory) {\n';
+        output += '  if (typeof define === "function" && define.amd) {\n';
+        output += '    define([], factory);\n';
+        output += '  } else if (typeof module === "object" && module.exports) {\n';
+        output += '    module.exports = factory();\n';
+        output += '  } else {\n';
+        output += '    root.VladX = factory();\n';
+        output += '  }\n';
+        output += '})(this, function() {\n\n';
+
+        output += this.generateCJS(modules, outputDir);
+
+        output += '\n});\n';
+
+        return output;
+    }
+
+    /**
+     * Переписать импорты для ESM
+     */
+    rewriteImports(module, modules, outputDir) {
+        let source = module.source;
+
+        for (const imp of module.imports) {
+            if (modules.has(imp.resolvedPath)) {
+                // Internal module - replace path
+                const relativePath = relative(outputDir, imp.resolvedPath);
+                source = source.replace(imp.spec, imp.spec.replace(imp.path, relativePath));
+            }
+        }
+
+        return source;
+    }
+
+    /**
+     * Переписать импорты для CJS
+     */
+    rewriteImportsCJS(module, moduleMap, outputDir) {
+        let source = module.source;
+
+        for (const imp of module.imports) {
+            if (moduleMap.has(imp.resolvedPath)) {
+                const id = moduleMap.get(imp.resolvedPath);
+                source = source.replace(imp.spec, id);
+            }
+        }
+
+        return source;
+    }
+
+    /**
+     * Минификация
+     */
+    minify(code) {
+        let minified = code;
+
+        // Удаляем комментарии
+        minified = minified.replace(/\/\*[\s\S]*?\*\//g, '');
+        minified = minified.replace(/\/\/.*$/gm, '');
+
+        // Удаляем лишние пробелы и переводы строк
+        minified = minified.replace(/\s+/g, ' ');
+        minified = minified.trim();
+
+        // Удаляем пробелы вокруг операторов
+        minified = minified.replace(/\s*([{};:,=+*/%&|^~!?<>])\s*/g, '$1');
+
+        return minified;
+    }
+
+    /**
+     * Сгенерировать source map
+     */
+    generateSourceMap(modules) {
+        const mappings = [];
+
+        let generatedLine = 1;
+        let generatedColumn = 0;
+
+        for (const module of modules) {
+            const lines = module.source.split('\n');
+
+            for (let i = 0; i < lines.length; i++) {
+                mappings.push({
+                    generated: {
+                        line: generatedLine,
+                        column: generatedColumn
+                    },
+                    original: {
+                        line: i + 1,
+                        column: 0
+                    },
+                    source: module.path,
+                    name: null
+                });
+
+                generatedLine++;
+                generatedColumn = 0;
+            }
+        }
+
+        return {
+            version: 3,
+            mappings,
+            sources: Array.from(modules.values()).map(m => m.path),
+            names: []
+        };
+    }
+
+    /**
+     * Записать бандл в файл
+     */
+    async write(bundled) {
+        writeFileSync(this.output, bundled.code, 'utf-8');
+
+        if (this.sourceMap && bundled.sourceMap) {
+            const mapPath = this.output + '.map';
+            writeFileSync(mapPath, JSON.stringify(bundled.sourceMap, null, 2), 'utf-8');
+        }
+
+        return this.output;
+    }
+}
+return { Bundle, default: Bundle };
+})();
+
+// Module: runtime/source-map-generator.js
+const __vx_m20 = (() => {
+/**
+ * SourceMapGenerator — Генерация source maps
+ */
+
+class SourceMapGenerator {
+    constructor(options = {}) {
+        this.file = options.file || '';
+        this.sourceRoot = options.sourceRoot || '';
+        this.mappings = [];
+        this.sources = new Set();
+        this.names = new Set();
+        this.generatedMappings = [];
+        this.generatedLine = 1;
+        this.generatedColumn = 0;
+        this.lastGeneratedLine = 0;
+        this.lastGeneratedColumn = 0;
+        this.lastSourceLine = 0;
+        this.lastSourceColumn = 0;
+        this.lastNameIndex = 0;
+        this.lastSourceIndex = 0;
+    }
+
+    /**
+     * Добавить mapping
+     */
+    addMapping(mapping) {
+        if (!mapping.generated) {
+            throw new Error('Generated position is required');
+        }
+
+        if (!mapping.original && !mapping.name) {
+            this.mappings.push(mapping);
+            return;
+        }
+
+        if (!mapping.source) {
+            throw new Error('Source is required for mapping with original or name');
+        }
+
+        this.sources.add(mapping.source);
+        if (mapping.name) {
+            this.names.add(mapping.name);
+        }
+
+        this.mappings.push({
+            generated: {
+                line: mapping.generated.line,
+                column: mapping.generated.column
+            },
+            original: mapping.original ? {
+                line: mapping.original.line,
+                column: mapping.original.column
+            } : null,
+            source: mapping.source,
+            name: mapping.name || null
+        });
+    }
+
+    /**
+     * Установить исходный контент
+     */
+    setSourceContent(source, content) {
+        this.sourceContent = this.sourceContent || {};
+        this.sourceContent[source] = content;
+    }
+
+    /**
+     * Добавить source
+     */
+    addSource(source) {
+        this.sources.add(source);
+    }
+
+    /**
+     * Добавить имя
+     */
+    addName(name) {
+        this.names.add(name);
+    }
+
+    /**
+     * Сгенерировать source map
+     */
+    toString() {
+        return JSON.stringify(this.toJSON());
+    }
+
+    /**
+     * Получить JSON
+     */
+    toJSON() {
+        const sources = Array.from(this.sources);
+        const names = Array.from(this.names);
+
+        const map = {
+            version: 3,
+            file: this.file,
+            sourceRoot: this.sourceRoot,
+            sources,
+            names,
+            mappings: this.encodeMappings(this.mappings)
+        };
+
+        if (this.sourceContent) {
+            map.sourcesContent = sources.map(source =>
+                this.sourceContent[source] || null
+            );
+        }
+
+        return map;
+    }
+
+    /**
+     * Кодировать mappings в base64 VLQ
+     */
+    encodeMappings(mappings) {
+        const sources = Array.from(this.sources);
+        const names = Array.from(this.names);
+        let result = '';
+        // Строки сгенерированного кода нумеруются с 1, первая строка не требует разделителя
+        let lastGeneratedLine = 1;
+        let firstInLine = true;
+        let lastGeneratedColumn = 0;
+        let lastSourceIndex = 0;
+        let lastSourceLine = 0;
+        let lastSourceColumn = 0;
+        let lastNameIndex = 0;
+
+        mappings.sort((a, b) => {
+            if (a.generated.line !== b.generated.line) {
+                return a.generated.line - b.generated.line;
+            }
+            return a.generated.column - b.generated.column;
+        });
+
+        for (const mapping of mappings) {
+            if (mapping.generated.line !== lastGeneratedLine) {
+                const linesDiff = mapping.generated.line - lastGeneratedLine;
+                for (let i = 0; i < linesDiff; i++) {
+                    result += ';';
+                }
+                lastGeneratedLine = mapping.generated.line;
+                lastGeneratedColumn = 0;
+                firstInLine = true;
+            }
+            if (!firstInLine) {
+                result += ',';
+            }
+            firstInLine = false;
+
+            // Generated column
+            result += this.encodeVLQ(mapping.generated.column - lastGeneratedColumn);
+            lastGeneratedColumn = mapping.generated.column;
+
+            if (mapping.original) {
+                const sourceIndex = sources.indexOf(mapping.source);
+                result += this.encodeVLQ(sourceIndex - lastSourceIndex);
+                lastSourceIndex = sourceIndex;
+
+                result += this.encodeVLQ(mapping.original.line - 1 - lastSourceLine);
+                lastSourceLine = mapping.original.line - 1;
+
+                result += this.encodeVLQ(mapping.original.column - lastSourceColumn);
+                lastSourceColumn = mapping.original.column;
+
+                if (mapping.name) {
+                    const nameIndex = names.indexOf(mapping.name);
+                    result += this.encodeVLQ(nameIndex - lastNameIndex);
+                    lastNameIndex = nameIndex;
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Кодировать число в VLQ
+     */
+    encodeVLQ(value) {
+        let VLQ_BASE_SHIFT = 5;
+        let VLQ_BASE = 1 << VLQ_BASE_SHIFT;
+        let VLQ_BASE_MASK = VLQ_BASE - 1;
+        let VLQ_CONTINUATION_BIT = VLQ_BASE;
+
+        let encoded = '';
+        let sign = value < 0 ? 1 : 0;
+        value = Math.abs(value);
+
+        value = (value << 1) | sign;
+
+        do {
+            let digit = value & VLQ_BASE_MASK;
+            value >>>= VLQ_BASE_SHIFT;
+
+            if (value > 0) {
+                digit |= VLQ_CONTINUATION_BIT;
+            }
+
+            encoded += this.base64Encode(digit);
+        } while (value > 0);
+
+        return encoded;
+    }
+
+    /**
+     * Base64 кодирование
+     */
+    base64Encode(value) {
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        return chars[value];
+    }
+}
+return { SourceMapGenerator, default: SourceMapGenerator };
+})();
+
+// Module: runtime/module-system.js
+const __vx_m21 = (() => {
+/**
+ * VladX Module System — Система модулей
+ * Управляет импортом и экспортом модулей, включая поддержку пакетов vladpm
+ */
+
+const { readFileSync, existsSync, realpathSync } = __vx_ext0;
+const { dirname, join, extname, isAbsolute, basename } = __vx_ext1;
+const { fileURLToPath } = __vx_ext2;
+const { Lexer } = __vx_m3;
+const { Parser } = __vx_m5;
+const { VladXObject } = __vx_m6;
+const __dirname = dirname(fileURLToPath(new URL('./runtime/module-system.js', import.meta.url).href));
+
+/**
+ * Стандартные модули: импорт "регвыр" без файла и пакета.
+ * Функция получает интерпретатор и возвращает функции модуля
+ */
+const STANDARD_MODULES = {
+    регвыр: (interpreter) => interpreter.regex
+};
+
+class ModuleSystem {
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.loadedModules = new Map();
+        this.moduleCache = new Map();
+        
+        // Пути для поиска модулей (аналог Node.js modules paths)
+        this.nodeModulesPaths = [];
+    }
+    
+    /**
+     * Установка путей для поиска модулей
+     */
+    setNodeModulesPaths(paths) {
+        this.nodeModulesPaths = paths;
+    }
+    
+    /**
+     * Проверка, является ли путь пакетом (а не файлом)
+     */
+    isPackageName(modulePath) {
+        // Пакеты не начинаются с ./ или .. или /
+        // Могут быть @-scoped (@scope/package)
+        return !modulePath.startsWith('./') && 
+               !modulePath.startsWith('../') && 
+               !modulePath.startsWith('/') &&
+               modulePath.length > 0;
+    }
+    
+    /**
+     * Разбор имени пакета
+     */
+    parsePackageName(name) {
+        // Проверка на scoped package (@scope/name)
+        const scopedMatch = name.match(/^@([^/]+)\/(.+)$/);
+        if (scopedMatch) {
+            return {
+                scope: scopedMatch[1],
+                name: scopedMatch[2],
+                fullName: name
+            };
+        }
+        
+        // Обычный пакет
+        return {
+            scope: null,
+            name: name,
+            fullName: name
+        };
+    }
+    
+    /**
+     * Поиск модуля в node_modules по имени файла (без вложенной папки)
+     * Например: math.vx в node_modules/math.vx
+     */
+    findDirectModule(moduleName, currentPath) {
+        // Проверяем каждый путь node_modules для прямого файла
+        for (const basePath of this.nodeModulesPaths) {
+            // Пробуем расширение .vx
+            const vxPath = join(basePath, moduleName + '.vx');
+            if (existsSync(vxPath)) {
+                return vxPath;
+            }
+
+            // Пробуем .js
+            const jsPath = join(basePath, moduleName + '.js');
+            if (existsSync(jsPath)) {
+                return jsPath;
+            }
+
+            // Пробуем index.vx (node_modules/name/index.vx)
+            const indexPath = join(basePath, moduleName, 'index.vx');
+            if (existsSync(indexPath)) {
+                return indexPath;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Поиск пакета в node_modules
+     */
+    findPackage(packageInfo, currentPath) {
+        // Ближайший node_modules от каталога импортирующего файла вверх:
+        // вложенная копия пакета (раскладка vladpm) важнее поднятой в корень
+        for (const basePath of this.ancestorNodeModules(currentPath)) {
+            const found = this.findPackageIn(basePath, packageInfo);
+            if (found) {
+                return found;
+            }
+        }
+
+        // Сначала пробуем найти прямой файл (node_modules/math.vx)
+        const directModule = this.findDirectModule(packageInfo.name, currentPath);
+        if (directModule) {
+            return { path: directModule, isDirect: true };
+        }
+
+        // Пробуем локальные node_modules
+        for (const basePath of this.nodeModulesPaths) {
+            const found = this.findPackageIn(basePath, packageInfo);
+            if (found) {
+                return found;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Каталог пакета в одном node_modules
+     */
+    findPackageIn(basePath, packageInfo) {
+        const packagePath = join(basePath, packageInfo.fullName);
+
+        if (existsSync(packagePath)) {
+            // Проверяем, это файл или директория
+            if (existsSync(join(packagePath, 'package.json')) || existsSync(join(packagePath, 'vladx.json'))) {
+                return { path: packagePath, isDirect: false }; // Пакет с манифестом
+            }
+            if (existsSync(join(packagePath, 'index.vx'))) {
+                return { path: packagePath, isDirect: false }; // Пакет с index.vx
+            }
+        }
+
+        // Для scoped packages пробуем по-другому
+        if (packageInfo.scope) {
+            const scopedPath = join(basePath, '@' + packageInfo.scope, packageInfo.name);
+            if (existsSync(scopedPath)) {
+                return { path: scopedPath, isDirect: false };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Каталоги node_modules от каталога файла до корня
+     */
+    ancestorNodeModules(currentPath) {
+        if (!currentPath || !isAbsolute(currentPath)) {
+            return [];
+        }
+
+        const paths = [];
+        let dir = dirname(currentPath);
+        while (true) {
+            if (basename(dir) !== 'node_modules') {
+                paths.push(join(dir, 'node_modules'));
+            }
+            const parent = dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        return paths;
+    }
+
+    /**
+     * Получение главного файла пакета из package.json
+     */
+    getPackageMain(packagePath) {
+        // Если это не директория, а файл - возвращаем как есть
+        if (!existsSync(join(packagePath, 'package.json')) && !existsSync(join(packagePath, 'vladx.json')) &&
+            !existsSync(join(packagePath, 'index.vx'))) {
+            if (existsSync(packagePath)) {
+                const stat = require('fs').statSync(packagePath);
+                if (stat.isFile()) {
+                    return packagePath;
+                }
+            }
+        // Пробуем найти файл с расширением .vx в этой директории
+        const pkgName = basename(packagePath);
+        const vxFile = join(packagePath, pkgName + '.vx');
+        if (existsSync(vxFile)) {
+            return vxFile;
+        }
+        return packagePath;
+        }
+
+        // Пакеты vladpm описываются vladx.json
+        const packageJsonPath = existsSync(join(packagePath, 'package.json'))
+            ? join(packagePath, 'package.json')
+            : join(packagePath, 'vladx.json');
+
+        if (!existsSync(packageJsonPath)) {
+            // Нет package.json, пробуем index.vx
+            if (existsSync(join(packagePath, 'index.vx'))) {
+                return join(packagePath, 'index.vx');
+            }
+            throw new Error(`В пакете отсутствует package.json: ${packagePath}`);
+        }
+
+        try {
+            const packageJson = JSON.parse(readFileSync(packageJsonPath, 'utf-8'));
+
+            // Получаем main файл
+            let mainFile = packageJson.main || 'index.js';
+
+            // Пробуем .vx версию main файла
+            const vxMain = mainFile.replace(/\.js$/, '.vx');
+            if (existsSync(join(packagePath, vxMain))) {
+                return join(packagePath, vxMain);
+            }
+
+            // Пробуем index.vx
+            if (existsSync(join(packagePath, 'index.vx'))) {
+                return join(packagePath, 'index.vx');
+            }
+
+            return join(packagePath, mainFile);
+        } catch (error) {
+            const errorMessage = error.toString ? error.toString() : String(error) || 'Неизвестная ошибка';
+            throw new Error(`Ошибка чтения package.json: ${errorMessage}`);
+        }
+    }
+    
+    /**
+     * Разрешение пути модуля (файл или пакет)
+     */
+    resolveModulePath(modulePath, currentPath) {
+        // Проверяем, является ли это именем пакета
+        if (this.isPackageName(modulePath)) {
+            return this.resolvePackagePath(modulePath, currentPath);
+        }
+
+        // Иначе это локальный файл
+        return this.resolveFilePath(modulePath, currentPath);
+    }
+    
+    /**
+     * Разрешение пути к файлу модуля
+     */
+    resolveFilePath(modulePath, currentPath) {
+        // Извлекаем директорию из текущего пути
+        let currentDir = dirname(currentPath);
+        
+        // Если путь не абсолютный, используем текущую рабочую директорию как базу
+        if (!isAbsolute(currentPath)) {
+            currentDir = process.cwd();
+        }
+        
+        // Если передан не абсолютный путь, преобразуем относительно директории текущего файла
+        if (!isAbsolute(modulePath)) {
+            modulePath = join(currentDir, modulePath);
+        }
+        
+        // Проверка расширений
+        const extensions = ['.vx', '.js', '.vladx', '.json'];
+        
+        for (const ext of extensions) {
+            if (existsSync(modulePath + ext)) {
+                return modulePath + ext;
+            }
+        }
+        
+        // Проверка файла без расширения
+        if (existsSync(modulePath)) {
+            return modulePath;
+        }
+        
+        throw new Error(`Модуль "${modulePath}" не найден`);
+    }
+    
+    /**
+     * Разрешение пути к пакету
+     */
+    resolvePackagePath(packagePath, currentPath) {
+        const packageInfo = this.parsePackageName(packagePath);
+
+        // Ищем пакет в node_modules
+        const foundResult = this.findPackage(packageInfo, currentPath);
+
+        if (!foundResult) {
+            throw new Error(`Пакет "${packageInfo.fullName}" не найден. Установите его с помощью: vladpm установить ${packageInfo.fullName}`);
+        }
+
+        // Ссылки (пакеты рабочего пространства) разрешаются в реальный каталог:
+        // один модуль — одна запись в кэше, а его зависимости ищутся от его места
+        const realPath = realpathSync(foundResult.path);
+
+        // Если нашли прямой файл (node_modules/math.vx), возвращаем его сразу
+        if (foundResult.isDirect) {
+            return realPath;
+        }
+
+        // Иначе это директория пакета, получаем главный файл
+        return this.getPackageMain(realPath);
+    }
+    
+    /**
+     * Загрузка модуля
+     */
+    async loadModule(modulePath, currentPath) {
+        if (Object.hasOwn(STANDARD_MODULES, modulePath)) {
+            return this.loadStandardModule(modulePath);
+        }
+
+        // Разрешаем путь модуля
+        const resolvedPath = this.resolveModulePath(modulePath, currentPath);
+
+        // Проверка кэша
+        if (this.moduleCache.has(resolvedPath)) {
+            return this.moduleCache.get(resolvedPath);
+        }
+
+        // Проверка циклической зависимости
+        if (this.loadedModules.has(resolvedPath)) {
+            return this.loadedModules.get(resolvedPath);
+        }
+
+        // Чтение файла
+        if (!existsSync(resolvedPath)) {
+            throw new Error(`Файл модуля не найден: ${resolvedPath}`);
+        }
+
+        const source = readFileSync(resolvedPath, 'utf-8');
+        const moduleDir = dirname(resolvedPath);
+
+        // Создание нового окружения для модуля
+        const moduleEnv = this.interpreter.globalEnv.child(`<module:${resolvedPath}>`);
+        moduleEnv.exports = {};
+
+        // Парсинг и выполнение с новым окружением
+        try {
+            // Создаём временный интерпретатор для модуля
+                        // Создаём временный интерпретатор для модуля (с абсолютными путями)
+            
+
+            const lexer = new Lexer(source, resolvedPath);
+            const tokens = lexer.tokenize();
+            const parser = new Parser(tokens);
+            const ast = parser.parse();
+
+            // Временно меняем окружение
+            const oldEnv = this.interpreter.currentEnv;
+            this.interpreter.currentEnv = moduleEnv;
+
+            // Добавляем путь node_modules для вложенных импортов
+            const oldPaths = this.nodeModulesPaths;
+            this.nodeModulesPaths = [moduleDir, ...this.nodeModulesPaths];
+
+            // Выполняем модуль
+                                // Выполняем модуль
+                                        // Регистрируем встроенные функции в окружении модуля
+                                                            this.interpreter.registerBuiltins();
+                    try {
+                        await this.interpreter.interpret(ast, {
+                            filename: resolvedPath,
+                            environment: moduleEnv
+                        });
+                        
+                    } catch (moduleError) {
+                        console.error('[ModuleSystem] ОШИБКА ВЫПОЛНЕНИЯ МОДУЛЯ:', moduleError);
+                        console.error('[ModuleSystem] Стек:', moduleError.stack);
+                        throw moduleError;
+                    }
+            // Восстанавливаем пути
+            this.nodeModulesPaths = oldPaths;
+
+            // Восстанавливаем окружение
+            this.interpreter.currentEnv = oldEnv;
+
+            // Извлекаем экспорты
+            const moduleExports = moduleEnv.exports && Object.keys(moduleEnv.exports).length > 0
+                ? moduleEnv.exports
+                : this.extractAllFromEnv(moduleEnv);
+
+            // Кэширование модуля
+            this.moduleCache.set(resolvedPath, moduleExports);
+            this.loadedModules.set(resolvedPath, moduleExports);
+
+            return moduleExports;
+        } catch (error) {
+            let errorMessage = error.toString ? error.toString() : String(error);
+            if (!errorMessage) {
+                errorMessage = `Ошибка типа: ${error.constructor.name}`;
+                if (error.stack) {
+                    errorMessage += `\nСтек вызовов: ${error.stack}`;
+                } else {
+                    errorMessage += ' (Стек вызовов недоступен)';
+                }
+            }
+            throw new Error(`Ошибка загрузки модуля ${resolvedPath}: ${errorMessage}`);
+        }
+    }
+    
+    /**
+     * Стандартный модуль: его функции как встроенные
+     */
+    loadStandardModule(name) {
+        const key = `<std:${name}>`;
+        if (!this.moduleCache.has(key)) {
+            const moduleExports = {};
+            for (const [exportName, fn] of Object.entries(STANDARD_MODULES[name](this.interpreter))) {
+                moduleExports[exportName] = VladXObject.function(fn, exportName);
+            }
+            this.moduleCache.set(key, moduleExports);
+        }
+        return this.moduleCache.get(key);
+    }
+
+    /**
+     * Извлечение всех значений из окружения
+     */
+    extractAllFromEnv(env) {
+        const exports = {};
+
+        // Добавляем экспорты, если они есть
+        if (env.exports) {
+            Object.assign(exports, env.exports);
+        }
+
+        // Добавляем все переменные, если их нет в экспортах
+        for (const [key, value] of env.variables) {
+            if (!(key in exports)) {
+                exports[key] = value;
+            }
+        }
+
+        return exports;
+    }
+    
+    /**
+     * Очистка кэша модулей
+     */
+    clearCache() {
+        this.loadedModules.clear();
+        this.moduleCache.clear();
+    }
+}
+return { STANDARD_MODULES, ModuleSystem, default: ModuleSystem };
+})();
+
+// Module: engine/aot-compiler.js
+const __vx_m22 = (() => {
+/**
+ * AOT Compiler for VladX — Компиляция программ VladX в ES-модули JavaScript
+ * Встроенные функции импортируются из среды выполнения src/runtime/aot-runtime.js,
+ * позиции инструкций записываются в source map через SourceMapGenerator
+ */
+
+const { fileURLToPath } = __vx_ext2;
+const AOTRuntime = __vx_m18;
+const { Bundle } = __vx_m19;
+const { SourceMapGenerator } = __vx_m20;
+const { STANDARD_MODULES } = __vx_m21;
+
+const RUNTIME_PATH = fileURLToPath(new URL('../runtime/aot-runtime.js', new URL('./engine/aot-compiler.js', import.meta.url).href));
+const RUNTIME_EXPORTS = new Set(Object.keys(AOTRuntime).filter(name => name !== '__vx'));
+
+// Слова, зарезервированные в JavaScript, но допустимые как имена в VladX
+const JS_RESERVED = new Set([
+    'arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger',
+    'default', 'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally',
+    'for', 'function', 'if', 'implements', 'import', 'in', 'instanceof', 'interface', 'let',
+    'new', 'null', 'package', 'private', 'protected', 'public', 'return', 'static', 'super',
+    'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+    '__vx'
+]);
+
+const IDENTIFIER_RE = /^[\p{L}_$][\p{L}\p{N}_$]*$/u;
+
+// Маркер позиции исходного кода внутри сгенерированного текста: \0<индекс>\0
+const MARK = '\u0000';
+
+const INDENT = '    ';
+
+// Значение последнего выражения функции, за которым следуют другие инструкции
+const COMPLETION = '__vx$результат';
+
+// Числовые операторы: с большими и десятичными их выполняет среда выполнения
+const NUMERIC_HELPERS = {
+    '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'mod', '**': 'pow',
+    '<': 'lt', '>': 'gt', '<=': 'le', '>=': 'ge'
+};
+
+class AOTCompiler {
+    constructor(options = {}) {
+        // Все имена встроенных функций движка: те, что отсутствуют в среде выполнения, — ошибка компиляции
+        this.builtinNames = new Set(options.builtinNames || RUNTIME_EXPORTS);
+        this.runtimeImport = options.runtimeImport || './vladx-runtime.js';
+    }
+
+    /**
+     * Исходный код среды выполнения одним модулем (копируется рядом со скомпилированными модулями)
+     */
+    static async runtimeSource() {
+        const bundled = await new Bundle({ entry: RUNTIME_PATH, format: 'esm' }).build();
+        return bundled.code;
+    }
+
+    /**
+     * Компиляция программы в ES-модуль
+     * Возвращает { code, map, imports } — map равен null, если source map не запрошен
+     */
+    compile(ast, options = {}) {
+        this.reset(ast, options);
+
+        const body = this.genStatements(ast.body);
+        const header = this.genRuntimeImport(options.runtimeImport || this.runtimeImport);
+        const marked = header ? `${header}\n\n${body}\n` : `${body}\n`;
+
+        const map = options.sourceMap === false ? null : new SourceMapGenerator({ file: options.outputFile || '' });
+        let code = this.resolvePositions(marked, map, options.sourceName || this.filename);
+
+        if (map && options.source !== undefined) {
+            map.setSourceContent(options.sourceName || this.filename, options.source);
+        }
+        if (map && options.sourceMapURL) {
+            code += `//# sourceMappingURL=${options.sourceMapURL}\n`;
+        }
+
+        return { code, map: map ? map.toString() : null, imports: [...this.imports] };
+    }
+
+    /**
+     * Компиляция отдельного узла AST (инструкции или выражения) без импортов и source map
+     */
+    nodeToJs(node) {
+        this.reset(node, {});
+        const code = this.isStatement(node) ? this.genStatement(node) : this.genExpression(node);
+        return this.resolvePositions(code, null, this.filename);
+    }
+
+    /**
+     * Сброс состояния перед компиляцией
+     */
+    reset(root, options) {
+        this.filename = options.filename || '<anonymous>';
+        this.positions = [];
+        this.usedBuiltins = new Set();
+        this.usesHelpers = false;
+        this.imports = new Set();
+        this.functionStack = [];
+        this.classStack = [];
+        this.matchCounter = 0;
+        this.currentNode = null;
+        this.declared = this.collectDeclaredNames(root);
+    }
+
+    // ========== Сборка результата ==========
+
+    /**
+     * Строка импорта используемых встроенных функций
+     */
+    genRuntimeImport(runtimeImport) {
+        const names = [...this.usedBuiltins].sort();
+        if (this.usesHelpers) {
+            names.unshift('__vx');
+        }
+        if (names.length === 0) {
+            return '';
+        }
+        return `import { ${names.join(', ')} } from ${JSON.stringify(runtimeImport)};`;
+    }
+
+    /**
+     * Удаление маркеров позиций с записью соответствий в source map
+     */
+    resolvePositions(marked, map, sourceName) {
+        let code = '';
+        let line = 1;
+        let column = 0;
+
+        for (let i = 0; i < marked.length; i++) {
+            const char = marked[i];
+
+            if (char === MARK) {
+                const end = marked.indexOf(MARK, i + 1);
+                const position = this.positions[Number(marked.slice(i + 1, end))];
+                if (map) {
+                    map.addMapping({
+                        generated: { line, column },
+                        original: { line: position.line, column: Math.max(0, (position.column || 1) - 1) },
+                        source: sourceName
+                    });
+                }
+                i = end;
+                continue;
+            }
+
+            code += char;
+            if (char === '\n') {
+                line++;
+                column = 0;
+            } else {
+                column++;
+            }
+        }
+
+        return code;
+    }
+
+    /**
+     * Маркер позиции узла (пустая строка, если позиция неизвестна)
+     */
+    mark(node) {
+        if (!node || node.line === undefined) {
+            return '';
+        }
+        this.positions.push({ line: node.line, column: node.column });
+        return `${MARK}${this.positions.length - 1}${MARK}`;
+    }
+
+    /**
+     * Ошибка компиляции с позицией ближайшей инструкции
+     */
+    error(message, node = null) {
+        const at = node && node.line !== undefined ? node : this.currentNode;
+        const location = at && at.line !== undefined ? `${this.filename}:${at.line}:${at.column}` : this.filename;
+        return new Error(`[${location}] Ошибка компиляции: ${message}`);
+    }
+
+    /**
+     * Обращение к служебной функции среды выполнения
+     */
+    helper(name) {
+        this.usesHelpers = true;
+        return `__vx.${name}`;
+    }
+
+    /**
+     * Отступ для каждой строки блока
+     */
+    indent(code) {
+        return code.split('\n').map(line => line ? INDENT + line : line).join('\n');
+    }
+
+    // ========== Имена ==========
+
+    /**
+     * Имя VladX → допустимое имя JavaScript
+     */
+    safeName(name) {
+        return JS_RESERVED.has(name) ? `${name}_` : name;
+    }
+
+    /**
+     * Ключ свойства объекта
+     */
+    propertyKey(name) {
+        return IDENTIFIER_RE.test(String(name)) ? String(name) : JSON.stringify(String(name));
+    }
+
+    /**
+     * Ссылка на переменную; встроенные функции подключаются из среды выполнения
+     */
+    genIdentifier(name) {
+        if (!this.declared.has(name)) {
+            if (RUNTIME_EXPORTS.has(name)) {
+                this.usedBuiltins.add(name);
+                return name;
+            }
+            if (this.builtinNames.has(name)) {
+                throw this.error(`встроенная функция '${name}' недоступна в скомпилированном коде`);
+            }
+            // Необъявленное имя — ошибка времени выполнения, как в интерпретаторе
+            return `${this.helper('missing')}(${JSON.stringify(name)})`;
+        }
+        return this.safeName(name);
+    }
+
+    /**
+     * Все имена, объявленные в программе (они перекрывают встроенные функции)
+     */
+    collectDeclaredNames(root) {
+        const names = new Set();
+
+        this.walk(root, node => {
+            switch (node.type) {
+                case 'LetStatement':
+                case 'ConstStatement':
+                    names.add(node.name);
+                    break;
+                case 'FunctionDeclaration':
+                case 'ClassMethod':
+                case 'ArrowFunctionExpression':
+                    if (node.name && node.type === 'FunctionDeclaration') names.add(node.name);
+                    (node.params || []).forEach(param => this.collectPatternNames(param, names));
+                    break;
+                case 'ClassDeclaration':
+                case 'EnumDeclaration':
+                    names.add(node.name);
+                    break;
+                case 'VariableDeclarationWithPattern':
+                    this.collectPatternNames(node.pattern, names);
+                    break;
+                case 'ForOfStatement':
+                case 'ForInStatement':
+                    if (node.kind) this.collectPatternNames(node.left, names);
+                    break;
+                case 'TryStatement':
+                    if (node.handler && node.handler.param) names.add(node.handler.param);
+                    break;
+                case 'ImportStatement':
+                    names.add(this.importBinding(node));
+                    break;
+                case 'MatchArm':
+                    this.collectPatternNames(node.pattern, names);
+                    break;
+            }
+        });
+
+        return names;
+    }
+
+    /**
+     * Имена, связываемые образцом
+     */
+    collectPatternNames(pattern, names) {
+        if (!pattern) return;
+
+        switch (pattern.type) {
+            case 'Identifier':
+                names.add(pattern.name);
+                break;
+            case 'AssignmentPattern':
+                this.collectPatternNames(pattern.left, names);
+                break;
+            case 'RestElement':
+            case 'SpreadElement':
+                this.collectPatternNames(pattern.argument, names);
+                break;
+            case 'ArrayPattern':
+            case 'ArrayExpression':
+                pattern.elements.forEach(element => this.collectPatternNames(element, names));
+                break;
+            case 'ObjectPattern':
+            case 'ObjectExpression':
+                pattern.properties.forEach(property => {
+                    if (property.type === 'RestElement') {
+                        this.collectPatternNames(property.argument, names);
+                    } else {
+                        this.collectPatternNames(property.value || property.key, names);
+                    }
+                });
+                break;
+            case 'TypePattern':
+                if (pattern.binding) names.add(pattern.binding.name);
+                break;
+            case 'VariantPattern':
+                (pattern.args || []).forEach(arg => this.collectPatternNames(arg, names));
+                break;
+        }
+    }
+
+    /**
+     * Обход всех узлов AST
+     */
+    walk(node, visit) {
+        if (Array.isArray(node)) {
+            node.forEach(child => this.walk(child, visit));
+            return;
+        }
+        if (!node || typeof node !== 'object') {
+            return;
+        }
+        if (typeof node.type === 'string') {
+            visit(node);
+        }
+        for (const value of Object.values(node)) {
+            if (value && typeof value === 'object') {
+                this.walk(value, visit);
+            }
+        }
+    }
+
+    /**
+     * Содержит ли узел выражение данного типа вне вложенных функций
+     */
+    containsOutsideFunctions(node, type) {
+        let found = false;
+        const visit = (current) => {
+            if (found || !current || typeof current !== 'object') return;
+            if (Array.isArray(current)) {
+                current.forEach(visit);
+                return;
+            }
+            if (current.type === type) {
+                found = true;
+                return;
+            }
+            if (['FunctionDeclaration', 'ArrowFunctionExpression', 'ClassDeclaration'].includes(current.type)) {
+                return;
+            }
+            Object.values(current).forEach(visit);
+        };
+        visit(node);
+        return found;
+    }
+
+    isStatement(node) {
+        return node.type === 'Program' || node.type.endsWith('Statement') ||
+            ['FunctionDeclaration', 'ClassDeclaration', 'VariableDeclarationWithPattern'].includes(node.type);
+    }
+
+    // ========== Модули ==========
+
+    /**
+     * Путь модуля VladX → путь скомпилированного модуля
+     */
+    modulePath(path) {
+        if (path.endsWith('.vx')) {
+            return path.slice(0, -3) + '.js';
+        }
+        if ((path.startsWith('.') || path.startsWith('/')) && !/\.[a-z]+$/i.test(path)) {
+            return path + '.js';
+        }
+        return path;
+    }
+
+    /**
+     * Имя, под которым импортированный модуль доступен в программе (как в интерпретаторе)
+     */
+    importBinding(node) {
+        if (node.alias) {
+            return node.alias;
+        }
+        const filename = node.path.split('/').pop();
+        const extIndex = filename.lastIndexOf('.');
+        const stem = (extIndex > 0 ? filename.slice(0, extIndex) : filename).replace(/[^\p{L}\p{N}_$]/gu, '_');
+        return stem || 'module';
+    }
+
+    /**
+     * Относительный импорт VladX-модуля (для компиляции зависимостей)
+     */
+    recordImport(path) {
+        if (path.startsWith('.') || path.startsWith('/')) {
+            this.imports.add(path);
+        }
+    }
+
+    // ========== Инструкции ==========
+
+    genStatements(statements) {
+        return statements
+            .map(statement => this.genStatement(statement))
+            .filter(code => code !== '')
+            .join('\n');
+    }
+
+    /**
+     * Блок { ... }
+     */
+    genBlock(block) {
+        const statements = block && block.type === 'BlockStatement' ? block.body : [block];
+        const body = this.genStatements(statements.filter(Boolean));
+        return body ? `{\n${this.indent(body)}\n}` : '{}';
+    }
+
+    genStatement(node) {
+        return this.withNode(node, () => {
+            const code = this.genStatementBody(node);
+            return code ? this.mark(node) + code : code;
+        });
+    }
+
+    /**
+     * Генерация с node в качестве текущей инструкции (для позиций ошибок компиляции)
+     */
+    withNode(node, generate) {
+        const previousNode = this.currentNode;
+        if (node.line !== undefined) {
+            this.currentNode = node;
+        }
+
+        try {
+            return generate();
+        } finally {
+            this.currentNode = previousNode;
+        }
+    }
+
+    genStatementBody(node) {
+        switch (node.type) {
+            case 'Program':
+                return this.genStatements(node.body);
+
+            case 'EmptyStatement':
+            case 'TypeAliasDeclaration':
+                return '';
+
+            case 'ExpressionStatement':
+                return this.genExpressionStatement(node.expression);
+
+            case 'LetStatement':
+                return `let ${this.safeName(node.name)} = ${this.genExpression(node.initializer)};`;
+
+            case 'ConstStatement':
+                return `const ${this.safeName(node.name)} = ${this.genExpression(node.initializer)};`;
+
+            case 'VariableDeclarationWithPattern':
+                return `${node.kind === 'const' ? 'const' : 'let'} ${this.genPattern(node.pattern)} = ${this.genDestructuringSource(node.pattern, node.initializer)};`;
+
+            case 'ReturnStatement':
+                return node.argument ? `return ${this.genExpression(node.argument)};` : 'return;';
+
+            case 'BlockStatement':
+                return this.genBlock(node);
+
+            case 'IfStatement':
+                return this.genIf(node);
+
+            case 'WhileStatement':
+                return `while (${this.genExpression(node.condition)}) ${this.genBlock(node.body)}`;
+
+            case 'ForStatement':
+                return this.genFor(node);
+
+            case 'ForOfStatement':
+                return `for (${this.genLoopHead(node)} of ${this.helper('iter')}(${this.genExpression(node.right)})) ${this.genBlock(node.body)}`;
+
+            case 'ForInStatement':
+                return `for (${this.genLoopHead(node)} of ${this.helper('keys')}(${this.genExpression(node.right)})) ${this.genBlock(node.body)}`;
+
+            case 'BreakStatement':
+                return node.label ? `break ${this.safeName(node.label)};` : 'break;';
+
+            case 'ContinueStatement':
+                return node.label ? `continue ${this.safeName(node.label)};` : 'continue;';
+
+            case 'LabeledStatement':
+                return `${this.safeName(node.label)}: ${this.genStatement(node.body)}`;
+
+            case 'FunctionDeclaration':
+                return this.genFunction(node);
+
+            case 'ClassDeclaration':
+                return this.genClass(node);
+
+            case 'EnumDeclaration': {
+                const variants = node.variants.map(variant => [variant.name, variant.fields]);
+                return `const ${this.safeName(node.name)} = ${this.helper('enumType')}(${JSON.stringify(node.name)}, ${JSON.stringify(variants)});`;
+            }
+
+            case 'TryStatement':
+                return this.genTry(node);
+
+            case 'ThrowStatement':
+                return `throw ${this.helper('error')}(${this.genExpression(node.argument)});`;
+
+            case 'SwitchStatement':
+                return this.genSwitch(node);
+
+            case 'ImportStatement':
+                if (Object.hasOwn(STANDARD_MODULES, node.path)) {
+                    return `const ${this.safeName(this.importBinding(node))} = ${this.helper('std')}(${JSON.stringify(node.path)});`;
+                }
+                this.recordImport(node.path);
+                return `import * as ${this.safeName(this.importBinding(node))} from ${JSON.stringify(this.modulePath(node.path))};`;
+
+            case 'ExportStatement': {
+                const specifiers = node.identifiers.map(name => {
+                    const local = this.safeName(name);
+                    return local === name ? name : `${local} as ${JSON.stringify(name)}`;
+                });
+                return `export { ${specifiers.join(', ')} };`;
+            }
+
+            default:
+                throw this.error(`неизвестный тип инструкции '${node.type}'`, node);
+        }
+    }
+
+    /**
+     * Выражение как инструкция
+     */
+    genExpressionStatement(expression) {
+        const code = this.genExpression(expression, true);
+        // Инструкция не может начинаться с { или function — иначе это блок/объявление
+        return /^[{]|^function\b|^class\b/.test(code) ? `(${code});` : `${code};`;
+    }
+
+    genIf(node) {
+        let code = `if (${this.genExpression(node.condition)}) ${this.genBlock(node.thenBranch)}`;
+        if (node.elseBranch) {
+            code += node.elseBranch.type === 'IfStatement'
+                ? ` else ${this.genIf(node.elseBranch)}`
+                : ` else ${this.genBlock(node.elseBranch)}`;
+        }
+        return code;
+    }
+
+    genFor(node) {
+        let init = '';
+        const initializer = node.initializer;
+        if (initializer && initializer.type !== 'EmptyStatement') {
+            init = this.genStatementBody(initializer).replace(/;$/, '');
+        }
+        const condition = node.condition ? this.genExpression(node.condition) : '';
+        const update = node.update ? this.genExpression(node.update, true) : '';
+        return `for (${init}; ${condition}; ${update}) ${this.genBlock(node.body)}`;
+    }
+
+    /**
+     * Левая часть для-из / для-в
+     */
+    genLoopHead(node) {
+        const target = this.genPattern(node.left);
+        return node.kind ? `${node.kind === 'const' ? 'const' : 'let'} ${target}` : target;
+    }
+
+    genTry(node) {
+        let code = `try ${this.genBlock(node.block)}`;
+
+        // Без поймать интерпретатор подавляет ошибку, поэтому catch есть всегда
+        if (node.handler && node.handler.param) {
+            const body = this.genStatements(node.handler.body.body);
+            const binding = `let ${this.safeName(node.handler.param)} = ${this.helper('caught')}(error$);`;
+            code += ` catch (error$) {\n${this.indent(body ? `${binding}\n${body}` : binding)}\n}`;
+        } else if (node.handler) {
+            code += ` catch ${this.genBlock(node.handler.body)}`;
+        } else {
+            code += ' catch {}';
+        }
+
+        if (node.finalizer) {
+            code += ` finally ${this.genBlock(node.finalizer)}`;
+        }
+        return code;
+    }
+
+    genSwitch(node) {
+        const clauses = node.cases.map(caseNode => {
+            const body = this.genStatements(caseNode.consequent);
+            return `case ${this.genExpression(caseNode.test)}:` + (body ? `\n${this.indent(body)}` : '');
+        });
+
+        if (node.defaultCase) {
+            const body = this.genStatements(node.defaultCase.consequent);
+            clauses.push('default:' + (body ? `\n${this.indent(body)}` : ''));
+        }
+
+        return `switch (${this.genExpression(node.discriminant)}) {\n${this.indent(clauses.join('\n'))}\n}`;
+    }
+
+    // ========== Функции и классы ==========
+
+    /**
+     * Параметры функции
+     */
+    genParams(params) {
+        return (params || []).map(param => this.genPattern(param)).join(', ');
+    }
+
+    /**
+     * Тело функции; результат без вернуть — как в интерпретаторе: значение последнего
+     * выражения верхнего уровня, а если таких нет, значение последней инструкции
+     */
+    genFunctionBody(node, context) {
+        this.functionStack.push(context);
+        try {
+            const statements = (node.body && node.body.type === 'BlockStatement' ? node.body.body : [node.body]).filter(Boolean);
+            const last = statements.findLastIndex(statement => statement.type === 'ExpressionStatement');
+            let body;
+
+            if (!context.implicitReturn) {
+                body = this.genStatements(statements);
+            } else if (last === -1 || last === statements.length - 1) {
+                body = this.genCompletion(statements);
+            } else {
+                const completion = this.withNode(statements[last], () => {
+                    const code = `const ${COMPLETION} = ${this.genExpression(statements[last].expression)};`;
+                    return this.mark(statements[last]) + code;
+                });
+                body = [
+                    this.genStatements(statements.slice(0, last)),
+                    completion,
+                    this.genStatements(statements.slice(last + 1)),
+                    `return ${COMPLETION};`
+                ].filter(code => code !== '').join('\n');
+            }
+
+            return body ? `{\n${this.indent(body)}\n}` : '{}';
+        } finally {
+            this.functionStack.pop();
+        }
+    }
+
+    /**
+     * Инструкции, значение последней из которых возвращается из функции
+     */
+    genCompletion(statements) {
+        if (statements.length === 0) {
+            return '';
+        }
+        const last = statements[statements.length - 1];
+        const tail = this.withNode(last, () => {
+            const code = this.genCompletionBody(last);
+            return code ? this.mark(last) + code : code;
+        });
+        return [this.genStatements(statements.slice(0, -1)), tail].filter(code => code !== '').join('\n');
+    }
+
+    /**
+     * Значение инструкции в интерпретаторе: ветви если и блоки дают значение последней
+     * инструкции, объявление — присвоенное значение
+     */
+    genCompletionBody(node) {
+        const block = branch => {
+            const body = this.genCompletion((branch.type === 'BlockStatement' ? branch.body : [branch]).filter(Boolean));
+            return body ? `{\n${this.indent(body)}\n}` : '{}';
+        };
+
+        switch (node.type) {
+            case 'ExpressionStatement':
+                return `return ${this.genExpression(node.expression)};`;
+
+            case 'BlockStatement':
+                return block(node);
+
+            case 'IfStatement': {
+                let code = `if (${this.genExpression(node.condition)}) ${block(node.thenBranch)}`;
+                if (node.elseBranch) {
+                    code += node.elseBranch.type === 'IfStatement'
+                        ? ` else ${this.genCompletionBody(node.elseBranch)}`
+                        : ` else ${block(node.elseBranch)}`;
+                }
+                return code;
+            }
+
+            case 'LetStatement':
+            case 'ConstStatement':
+                return `${this.genStatementBody(node)}\nreturn ${this.safeName(node.name)};`;
+
+            default:
+                return this.genStatementBody(node);
+        }
+    }
+
+    /**
+     * Объявление функции (или именованное функциональное выражение)
+     */
+    genFunction(node) {
+        const name = node.name ? this.safeName(node.name) : '';
+        const params = this.genParams(node.params);
+
+        if (node.isGenerator) {
+            return `function ${name}(${params}) ${this.genGeneratorBody(node)}`;
+        }
+
+        const body = this.genFunctionBody(node, { isAsync: node.isAsync, isGenerator: false, implicitReturn: true });
+        return `${node.isAsync ? 'async ' : ''}function ${name}(${params}) ${body}`;
+    }
+
+    /**
+     * Тело функции-генератора: обёртка с методами следующий()/закрыть() над генератором JS
+     */
+    genGeneratorBody(node) {
+        const body = this.genFunctionBody(node, { isAsync: false, isGenerator: true, implicitReturn: false });
+        const generator = `(function* () ${body}).call(this)`;
+        return `{\n${INDENT}return ${this.helper('generator')}(${this.indentTail(generator)}, ${JSON.stringify(node.name || '<generator>')});\n}`;
+    }
+
+    /**
+     * Отступ для всех строк, кроме первой (вложение многострочного выражения)
+     */
+    indentTail(code) {
+        const [first, ...rest] = code.split('\n');
+        return rest.length ? `${first}\n${this.indent(rest.join('\n'))}` : first;
+    }
+
+    genArrowFunction(node) {
+        const params = `(${this.genParams(node.params)})`;
+        const prefix = node.isAsync ? 'async ' : '';
+
+        if (node.body && node.body.type !== 'BlockStatement') {
+            this.functionStack.push({ isAsync: node.isAsync, isGenerator: false });
+            try {
+                const body = this.genExpression(node.body);
+                return `${prefix}${params} => ${body.startsWith('{') ? `(${body})` : body}`;
+            } finally {
+                this.functionStack.pop();
+            }
+        }
+
+        return `${prefix}${params} => ${this.genFunctionBody(node, { isAsync: node.isAsync, isGenerator: false, implicitReturn: true })}`;
+    }
+
+    genClass(node) {
+        const heritage = node.superClass ? ` extends ${this.genIdentifier(node.superClass)}` : '';
+        const privateNames = [...(node.fields || []), ...node.methods]
+            .map(member => member.name)
+            .filter(name => typeof name === 'string' && name.startsWith('#'));
+        this.classStack.push({ name: node.name, privateNames: new Set(privateNames) });
+        let members;
+        try {
+            members = [
+                ...(node.fields || []).map(member => this.mark(member) + this.genClassMember(member)),
+                ...node.methods.map(method => this.mark(method) + this.genClassMethod(method, node))
+            ];
+        } finally {
+            this.classStack.pop();
+        }
+        const body = members.length ? `{\n${this.indent(members.join('\n\n'))}\n}` : '{}';
+        return `class ${this.safeName(node.name)}${heritage} ${body}`;
+    }
+
+    /**
+     * Ключ члена класса; #имя остаётся приватным именем JS
+     */
+    classKey(name) {
+        return name.startsWith('#') && IDENTIFIER_RE.test(name.slice(1)) ? name : this.propertyKey(name);
+    }
+
+    /**
+     * Поле или статический блок класса
+     */
+    genClassMember(member) {
+        if (member.type === 'ClassStaticBlock') {
+            return `static ${this.genBlock(member.body)}`;
+        }
+        const value = member.value ? ` = ${this.genExpression(member.value)}` : ' = null';
+        return `${member.isStatic ? 'static ' : ''}${this.classKey(member.name)}${value};`;
+    }
+
+    genClassMethod(method, classNode) {
+        const isConstructor = method.name === 'конструктор' || method.name === 'constructor';
+        const name = isConstructor ? 'constructor' : this.classKey(method.name);
+
+        let prefix = '';
+        if (method.isStatic) prefix += 'static ';
+        if (method.isGetter) prefix += 'get ';
+        if (method.isSetter) prefix += 'set ';
+        if (method.isAsync) prefix += 'async ';
+
+        if (method.isGenerator) {
+            return `${prefix}${name}(${this.genParams(method.params)}) ${this.genGeneratorBody(method)}`;
+        }
+
+        let body = this.genFunctionBody(method, {
+            isAsync: method.isAsync,
+            isGenerator: false,
+            implicitReturn: !isConstructor && !method.isSetter
+        });
+
+        // В VladX конструктор наследника может не вызывать супер(); в JS вызов обязателен
+        if (isConstructor && classNode.superClass && !this.callsSuper(method.body)) {
+            body = body === '{}' ? `{\n${INDENT}super();\n}` : body.replace('{\n', `{\n${INDENT}super();\n`);
+        }
+
+        return `${prefix}${name}(${this.genParams(method.params)}) ${body}`;
+    }
+
+    callsSuper(body) {
+        let found = false;
+        this.walk(body, node => {
+            if (node.type === 'CallExpression' && node.callee && node.callee.type === 'SuperExpression') {
+                found = true;
+            }
+        });
+        return found;
+    }
+
+    // ========== Образцы ==========
+
+    /**
+     * Образец в позиции объявления или присваивания
+     */
+    genPattern(node) {
+        if (!node) {
+            return '';
+        }
+
+        switch (node.type) {
+            case 'Identifier':
+                return this.safeName(node.name);
+
+            case 'AssignmentPattern':
+                return `${this.genPattern(node.left)} = ${this.genExpression(node.right)}`;
+
+            case 'RestElement':
+            case 'SpreadElement':
+                return `...${this.genPattern(node.argument)}`;
+
+            case 'ArrayPattern':
+            case 'ArrayExpression':
+                return `[${node.elements.map(element => element ? this.genPattern(element) : '').join(', ')}]`;
+
+            case 'ObjectPattern':
+            case 'ObjectExpression': {
+                const properties = node.properties.map(property => {
+                    if (property.type === 'RestElement') {
+                        return `...${this.genPattern(property.argument)}`;
+                    }
+                    const key = property.key.name ?? property.key.value;
+                    const value = property.value || property.key;
+                    if (value.type === 'Identifier' && value.name === key && this.safeName(key) === key) {
+                        return key;
+                    }
+                    return `${this.propertyKey(key)}: ${this.genPattern(value.type === 'PropertyKey' ? { type: 'Identifier', name: value.value } : value)}`;
+                });
+                return `{ ${properties.join(', ')} }`;
+            }
+
+            case 'MemberExpression':
+                return this.genExpression(node);
+
+            default:
+                throw this.error(`недопустимая цель деструктуризации '${node.type}'`);
+        }
+    }
+
+    /**
+     * Правая часть деструктуризации: массивный образец читает любое итерируемое
+     */
+    genDestructuringSource(pattern, initializer) {
+        const source = this.genExpression(initializer);
+        return pattern.type === 'ArrayPattern' ? `${this.helper('iter')}(${source})` : source;
+    }
+
+    // ========== Выражения ==========
+
+    genArguments(args) {
+        return args.map(arg => arg && arg.type === 'SpreadElement'
+            ? `...${this.helper('iter')}(${this.genExpression(arg.argument)})`
+            : this.genExpression(arg)).join(', ');
+    }
+
+    /**
+     * Выражение; bare = true для верхнего уровня инструкции (присваивания без скобок)
+     */
+    genExpression(node, bare = false) {
+        if (!node) {
+            return 'null';
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                return this.genLiteral(node.value);
+
+            case 'TemplateLiteral':
+                return this.genTemplateLiteral(node);
+
+            case 'RegexLiteral':
+                return `${this.helper('regex')}(${JSON.stringify(node.pattern)}, ${JSON.stringify(node.flags)})`;
+
+            case 'Identifier':
+                return this.genIdentifier(node.name);
+
+            case 'ThisExpression':
+                return 'this';
+
+            case 'SuperExpression':
+                return 'super';
+
+            case 'BinaryExpression':
+            case 'BitwiseExpression': {
+                const exact = !this.isPlainLiteral(node.left) || !this.isPlainLiteral(node.right);
+                // Варианты, большие и десятичные сравниваются средой выполнения
+                if ((node.operator === '==' || node.operator === '!=') && exact) {
+                    const equals = `${this.helper('equals')}(${this.genExpression(node.left)}, ${this.genExpression(node.right)})`;
+                    return node.operator === '==' ? equals : `(!${equals})`;
+                }
+                if (node.type === 'BinaryExpression' && Object.hasOwn(NUMERIC_HELPERS, node.operator) && exact) {
+                    return `${this.helper(NUMERIC_HELPERS[node.operator])}(${this.genExpression(node.left)}, ${this.genExpression(node.right)})`;
+                }
+                const operator = node.operator === 'экземпляр' ? 'instanceof' : node.operator;
+                return `(${this.genExpression(node.left)} ${operator} ${this.genExpression(node.right)})`;
+            }
+
+            case 'UnaryExpression': {
+                const operand = this.genExpression(node.operand);
+                if (node.operator === 'typeof') {
+                    return `${this.helper('typeOf')}(${operand})`;
+                }
+                if (node.operator === '-' && !this.isPlainLiteral(node.operand)) {
+                    return `${this.helper('neg')}(${operand})`;
+                }
+                const operator = node.operator === 'не' ? '!' : node.operator;
+                return `(${operator}${operand})`;
+            }
+
+            case 'CallExpression': {
+                let callee = this.genExpression(node.callee);
+                if (['FunctionDeclaration', 'ArrowFunctionExpression'].includes(node.callee.type)) {
+                    callee = `(${callee})`;
+                }
+                return `${callee}${node.optional ? '?.' : ''}(${this.genArguments(node.args)})`;
+            }
+
+            case 'NewExpression':
+                return `new ${this.genExpression(node.callee)}(${this.genArguments(node.args)})`;
+
+            case 'MemberExpression':
+                return this.genPrivateAccess(node) ?? this.genMember(node.object, node.property, node.computed, node.optional);
+
+            case 'ChainExpression':
+                // Прерванная цепочка даёт ничто, как в интерпретаторе; скобки сохраняют её границу
+                return `(${this.genExpression(node.expression)} ?? null)`;
+
+            case 'Assignment':
+                if (!this.declared.has(node.name)) {
+                    return `${this.helper('missing')}(${JSON.stringify(node.name)}, true)`;
+                }
+                return this.wrap(`${this.genIdentifier(node.name)} = ${this.genExpression(node.value)}`, bare);
+
+            case 'MemberAssignment':
+                return this.genPrivateAccess(node, node.value) ?? this.wrap(`${this.genMember(node.object, node.property, node.computed)} = ${this.genExpression(node.value)}`, bare);
+
+            case 'AssignmentExpression':
+                return `(${this.genPattern(node.left)} = ${this.genDestructuringSource(node.left, node.right)})`;
+
+            case 'CompoundAssignmentExpression':
+                return this.genCompoundAssignment(node, bare);
+
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return `[${node.elements.map(element => {
+                    if (!element) return '';
+                    if (element.type === 'SpreadElement' || element.type === 'RestElement') {
+                        return `...${this.helper('iter')}(${this.genExpression(element.argument)})`;
+                    }
+                    return this.genExpression(element);
+                }).join(', ')}]`;
+
+            case 'ObjectExpression':
+            case 'ObjectPattern':
+                return this.genObject(node);
+
+            case 'FunctionDeclaration':
+                return this.genFunction(node);
+
+            case 'ArrowFunctionExpression':
+                return this.genArrowFunction(node);
+
+            case 'TernaryExpression':
+                return `(${this.genExpression(node.condition)} ? ${this.genExpression(node.thenExpr)} : ${this.genExpression(node.elseExpr)})`;
+
+            case 'AwaitExpression':
+                if (this.functionStack.length > 0 && !this.functionStack[this.functionStack.length - 1].isAsync) {
+                    throw this.error('"ждать" в скомпилированном коде допустимо только в асинхронной функции или на верхнем уровне модуля');
+                }
+                return `(await ${this.genExpression(node.argument)})`;
+
+            case 'YieldExpression': {
+                const context = this.functionStack[this.functionStack.length - 1];
+                if (!context || !context.isGenerator) {
+                    throw this.error('"выдать" можно использовать только внутри функции-генератора (функция*)');
+                }
+                if (node.delegate) {
+                    return `(yield* ${this.helper('iter')}(${this.genExpression(node.argument)}))`;
+                }
+                return node.argument ? `(yield ${this.genExpression(node.argument)})` : '(yield)';
+            }
+
+            case 'ImportExpression':
+                this.recordImport(node.path);
+                return `import(${JSON.stringify(this.modulePath(node.path))})`;
+
+            case 'SequenceExpression':
+                return `(${node.expressions.map(expression => this.genExpression(expression)).join(', ')})`;
+
+            case 'SpreadElement':
+                return `...${this.helper('iter')}(${this.genExpression(node.argument)})`;
+
+            case 'MatchExpression':
+                return this.genMatch(node);
+
+            default:
+                throw this.error(`неизвестный тип выражения '${node.type}'`);
+        }
+    }
+
+    wrap(code, bare) {
+        return bare ? code : `(${code})`;
+    }
+
+    /**
+     * Литерал, который не может быть большим или десятичным
+     */
+    isPlainLiteral(node) {
+        return node.type === 'Literal' && (node.value === null || typeof node.value !== 'object' && typeof node.value !== 'bigint');
+    }
+
+    /**
+     * x += y → x = __vx.add(x, y), если цель можно безопасно прочитать дважды
+     */
+    genCompoundAssignment(node, bare) {
+        const { left } = node;
+        if (left.type === 'Identifier' && !this.declared.has(left.name)) {
+            return this.genIdentifier(left.name);
+        }
+        const target = left.type === 'MemberExpression'
+            ? this.genMember(left.object, left.property, left.computed)
+            : this.genExpression(left);
+        const helper = NUMERIC_HELPERS[node.operator.slice(0, -1)];
+        const repeatable = left.type === 'Identifier' || (left.type === 'MemberExpression' &&
+            ['Identifier', 'ThisExpression'].includes(left.object.type) &&
+            (!left.computed || ['Identifier', 'Literal'].includes(left.property.type)));
+
+        if (helper && repeatable) {
+            return this.wrap(`${target} = ${this.helper(helper)}(${target}, ${this.genExpression(node.right)})`, bare);
+        }
+        return this.wrap(`${target} ${node.operator} ${this.genExpression(node.right)}`, bare);
+    }
+
+    genLiteral(value) {
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (typeof value === 'number') {
+            return value < 0 || Object.is(value, -0) ? `(${value})` : String(value);
+        }
+        if (typeof value === 'bigint') {
+            return `${value}n`;
+        }
+        if (typeof value === 'object') {
+            // У JavaScript нет десятичных: значение создаёт среда выполнения
+            return `${this.helper('decimal')}(${JSON.stringify(String(value))})`;
+        }
+        return JSON.stringify(value);
+    }
+
+    genTemplateLiteral(node) {
+        let code = '`';
+        node.quasis.forEach((quasi, index) => {
+            code += (quasi.value || '')
+                .replace(/\\/g, '\\\\')
+                .replace(/`/g, '\\`')
+                .replace(/\$\{/g, '\\${')
+                .replace(/\n/g, '\\n')
+                .replace(/\r/g, '\\r');
+            if (index < node.expressions.length) {
+                // Значение подставляется так же, как его выводит печать()
+                const expression = node.expressions[index];
+                code += '${' + (this.isPlainLiteral(expression) ? this.genExpression(expression) : `${this.helper('format')}(${this.genExpression(expression)})`) + '}';
+            }
+        });
+        return code + '`';
+    }
+
+    genMember(object, property, computed, optional = false) {
+        let target = this.genExpression(object);
+        if (object.type === 'Literal' && typeof object.value === 'number' || /^[{]|^function\b/.test(target)) {
+            target = `(${target})`;
+        }
+        const link = optional ? '?.' : '';
+        if (computed || property.type !== 'Identifier') {
+            return `${target}${link}[${this.genExpression(property)}]`;
+        }
+        return IDENTIFIER_RE.test(property.name) || (property.name.startsWith('#') && IDENTIFIER_RE.test(property.name.slice(1)))
+            ? `${target}${optional ? '?.' : '.'}${property.name}`
+            : `${target}${link}[${JSON.stringify(property.name)}]`;
+    }
+
+    /**
+     * Чтение или запись приватного члена другого объекта: без члена #имя — ошибка
+     * интерпретатора вместо TypeError JavaScript. null, если проверка не нужна
+     */
+    genPrivateAccess(node, value = null) {
+        const { object, property } = node;
+        if (node.computed || node.optional || property.type !== 'Identifier' || !property.name.startsWith('#') ||
+            object.type === 'ThisExpression') {
+            return null;
+        }
+        const name = property.name;
+        const owner = [...this.classStack].reverse().find(entry => entry.privateNames.has(name)) || this.classStack.at(-1);
+        const fail = `${this.helper('notOwner')}(${JSON.stringify(name)}, ${JSON.stringify(owner ? owner.name : '')})`;
+        const target = this.genExpression(object);
+        if (value === null) {
+            return `((object) => ${name} in Object(object) ? object.${name} : ${fail})(${target})`;
+        }
+        return `((object, value) => ${name} in Object(object) ? (object.${name} = value) : ${fail})(${target}, ${this.genExpression(value)})`;
+    }
+
+    genObject(node) {
+        const properties = node.properties.map(property => {
+            if (property.type === 'SpreadElement' || property.type === 'RestElement') {
+                return `...${this.genExpression(property.argument)}`;
+            }
+            const key = property.key.name ?? property.key.value;
+            // Сокращённая запись { имя } — значение совпадает с ключом
+            if (property.value === property.key && property.key.type === 'Identifier') {
+                const value = this.genIdentifier(key);
+                return value === key ? key : `${this.propertyKey(key)}: ${value}`;
+            }
+            return `${this.propertyKey(key)}: ${this.genExpression(property.value)}`;
+        });
+        return properties.length ? `{ ${properties.join(', ')} }` : '{}';
+    }
+
+    // ========== Сопоставление с образцом ==========
+
+    /**
+     * сопоставить → немедленно вызываемая стрелочная функция с цепочкой проверок
+     */
+    genMatch(node) {
+        if (node.arms.some(arm => this.containsOutsideFunctions(arm, 'YieldExpression'))) {
+            throw this.error('"выдать" внутри сопоставить не поддерживается при компиляции', node);
+        }
+
+        const subject = `match$${this.matchCounter++}`;
+        const isAsync = node.arms.some(arm => this.containsOutsideFunctions(arm, 'AwaitExpression'));
+        const context = this.functionStack[this.functionStack.length - 1];
+        this.functionStack.push({ isAsync: isAsync || !context || context.isAsync, isGenerator: false });
+
+        try {
+            const arms = node.arms.map(arm => this.genMatchArm(arm, subject));
+            if (node.default) {
+                arms.push(`return ${this.genExpression(node.default.result || node.default)};`);
+            }
+
+            const location = node.line !== undefined ? `[${this.filename}:${node.line}:${node.column}]` : `[${this.filename}]`;
+            arms.push(`return ${this.helper('noMatch')}(${subject}, ${JSON.stringify(location)});`);
+
+            const fn = `${isAsync ? 'async ' : ''}(${subject}) => {\n${this.indent(arms.join('\n'))}\n}`;
+            const call = `(${fn})(${this.genExpression(node.value)})`;
+            return isAsync ? `(await ${call})` : call;
+        } finally {
+            this.functionStack.pop();
+        }
+    }
+
+    genMatchArm(arm, subject) {
+        const tests = [];
+        const bindings = [];
+        this.genMatchTest(arm.pattern, subject, tests, bindings);
+
+        const lines = bindings.map(([name, access]) => `const ${this.safeName(name)} = ${access};`);
+        const result = `return ${this.genExpression(arm.result)};`;
+        lines.push(arm.guard ? `if (${this.genExpression(arm.guard)}) ${result}` : result);
+
+        const body = `{\n${this.indent(lines.join('\n'))}\n}`;
+        return tests.length ? `if (${tests.join(' && ')}) ${body}` : body;
+    }
+
+    /**
+     * Условия и привязки для образца; access — JS-выражение проверяемого значения
+     */
+    genMatchTest(pattern, access, tests, bindings) {
+        switch (pattern.type) {
+            case 'Identifier':
+                if (pattern.name !== '_') {
+                    bindings.push([pattern.name, access]);
+                }
+                break;
+
+            case 'Literal':
+                // Образец ничто подходит и для отсутствующего значения
+                tests.push(pattern.value === null ? `${access} == null` : `${access} === ${this.genLiteral(pattern.value)}`);
+                break;
+
+            case 'RangePattern':
+                tests.push(`typeof ${access} === ${JSON.stringify(typeof pattern.start.value)}`);
+                tests.push(`${access} >= ${this.genLiteral(pattern.start.value)} && ${access} <= ${this.genLiteral(pattern.end.value)}`);
+                break;
+
+            case 'VariantPattern': {
+                tests.push(`${this.helper('isVariant')}(${access}, ${JSON.stringify(pattern.variant)}, ${JSON.stringify(pattern.enumName)})`);
+                // Без скобок поля не проверяются
+                if (pattern.args) {
+                    const values = `${this.helper('variantValues')}(${access})`;
+                    tests.push(`${values}.length === ${pattern.args.length}`);
+                    pattern.args.forEach((arg, index) => this.genMatchTest(arg, `${values}[${index}]`, tests, bindings));
+                }
+                break;
+            }
+
+            case 'TypePattern':
+                tests.push(`${this.helper('typeOf')}(${access}) === ${JSON.stringify(pattern.typeName)}`);
+                if (pattern.binding) {
+                    bindings.push([pattern.binding.name, access]);
+                }
+                break;
+
+            case 'ArrayPattern': {
+                const restIndex = pattern.elements.findIndex(element => element && element.type === 'RestElement');
+                const fixedCount = restIndex === -1 ? pattern.elements.length : restIndex;
+
+                tests.push(`Array.isArray(${access})`);
+                tests.push(restIndex === -1 ? `${access}.length === ${fixedCount}` : `${access}.length >= ${fixedCount}`);
+
+                for (let i = 0; i < fixedCount; i++) {
+                    if (pattern.elements[i]) {
+                        this.genMatchTest(pattern.elements[i], `${access}[${i}]`, tests, bindings);
+                    }
+                }
+                if (restIndex !== -1 && pattern.elements[restIndex].argument.name !== '_') {
+                    bindings.push([pattern.elements[restIndex].argument.name, `${access}.slice(${fixedCount})`]);
+                }
+                break;
+            }
+
+            case 'ObjectPattern': {
+                const type = `${this.helper('typeOf')}(${access})`;
+                tests.push(`(${type} === "object" || ${type} === "instance")`);
+
+                const keys = [];
+                let rest = null;
+                for (const property of pattern.properties) {
+                    if (property.type === 'RestElement') {
+                        rest = property;
+                        continue;
+                    }
+                    const key = property.key.name ?? property.key.value;
+                    keys.push(key);
+                    tests.push(`Object.prototype.hasOwnProperty.call(${access}, ${JSON.stringify(key)})`);
+                    this.genMatchTest(property.value, `${access}[${JSON.stringify(key)}]`, tests, bindings);
+                }
+                if (rest && rest.argument.name !== '_') {
+                    bindings.push([rest.argument.name, `${this.helper('omit')}(${access}, ${JSON.stringify(keys)})`]);
+                }
+                break;
+            }
+
+            default:
+                throw this.error(`неподдерживаемый образец '${pattern.type}'`);
+        }
+    }
+}
+return { AOTCompiler, default: AOTCompiler };
+})();
+
+// Module: runtime/builtins.js
+const __vx_m23 = (() => {
+/**
+ * VladX Builtins — Встроенные модули и функции
+ */
+
+const { VladXObject } = __vx_m6;
+
+class Builtins {
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.modules = new Map();
+        this.registerCoreModules();
+    }
+
+    /**
+     * Регистрация основных модулей
+     */
+    registerCoreModules() {
+        // Модуль для работы с консолью
+        this.modules.set('консоль', {
+            печать: (...args) => {
+                console.log(...args.map(arg => 
+                    typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
+                ));
+                return VladXObject.null();
+            },
+            вывод: (...args) => {
+                process.stdout.write(args.join(' '));
+                return VladXObject.null();
+            },
+            ошибка: (...args) => {
+                console.error(...args);
+                return VladXObject.null();
+            },
+            время: () => {
+    const now = new Date();
+    return VladXObject.object({
+        миллисекунды: now.getTime(),
+        год: now.getFullYear(),
+        месяц: now.getMonth() + 1,
+        день: now.getDate(),
+        час: now.getHours(),
+        минута: now.getMinutes(),
+        секунда: now.getSeconds()
+    });
+}
+
+        });
+
+        // Модуль для работы с файловой системой
+        this.modules.set('файловаяСистема', {
+            существует: async (path) => {
+                const fs = await import('fs');
+                return VladXObject.boolean(fs.existsSync(path));
+            },
+            читать: async (path) => {
+                const fs = await import('fs');
+                try {
+                    return VladXObject.string(fs.readFileSync(path, 'utf-8'));
+                } catch (e) {
+                    throw new Error(`Не удалось прочитать файл: ${e.message}`);
+                }
+            },
+            писать: async (path, content) => {
+                const fs = await import('fs');
+                try {
+                    fs.writeFileSync(path, content, 'utf-8');
+                    return VladXObject.boolean(true);
+                } catch (e) {
+                    throw new Error(`Не удалось записать файл: ${e.message}`);
+                }
+            }
+        });
+
+        // Модуль для работы с JSON
+        this.modules.set('json', {
+            сериализовать: (obj) => {
+                try {
+                    return VladXObject.string(JSON.stringify(obj));
+                } catch (e) {
+                    throw new Error(`Ошибка сериализации: ${e.message}`);
+                }
+            },
+            десериализовать: (str) => {
+                try {
+                    return VladXObject.object(JSON.parse(str));
+                } catch (e) {
+                    throw new Error(`Ошибка десериализации: ${e.message}`);
+                }
+            }
+        });
+
+        // Модуль для работы с датой и временем
+        this.modules.set('дата', {
+            сейчас: () => {
+                return VladXObject.object({
+                    год: new Date().getFullYear(),
+                    месяц: new Date().getMonth() + 1,
+                    день: new Date().getDate(),
+                    час: new Date().getHours(),
+                    минута: new Date().getMinutes(),
+                    секунда: new Date().getSeconds()
+                });
+            },
+            миллисекунды: () => {
+                return VladXObject.number(Date.now());
+            }
+        });
+    }
+
+    /**
+     * Загрузка модуля
+     */
+    async loadModule(moduleName) {
+        if (this.modules.has(moduleName)) {
+            return this.modules.get(moduleName);
+        }
+
+        // Внешние модули должны загружаться через module-system
+        throw new Error(`Встроенный модуль "${moduleName}" не найден. Используйте import для внешних модулей.`);
+    }
+
+    /**
+     * Импорт модуля
+     */
+    async importModule(moduleName, options = {}) {
+        const module = await this.loadModule(moduleName);
+
+        // Создание объекта модуля
+        const moduleObj = VladXObject.object({});
+
+        for (const [key, value] of Object.entries(module)) {
+            if (typeof value === 'function') {
+                moduleObj.value[key] = VladXObject.function(value, key);
+            } else {
+                moduleObj.value[key] = VladXObject.object(value);
+            }
+        }
+
+        return moduleObj;
+    }
+}
+return { Builtins, default: Builtins };
+})();
+
+// Module: runtime/cache-manager.js
+const __vx_m24 = (() => {
+/**
+ * CacheManager — Управление кэшированием для повышения производительности
+ */
+
+class CacheManager {
+    constructor(options = {}) {
+        this.maxSize = options.maxSize || 1000;
+        this.ttl = options.ttl || 300000; // 5 минут по умолчанию
+        this.cache = new Map();
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * Получить значение из кэша
+     */
+    get(key) {
+        const entry = this.cache.get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+
+        // Проверка TTL
+        if (this.ttl > 0 && Date.now() - entry.timestamp > this.ttl) {
+            this.cache.delete(key);
+            this.stats.misses++;
+            return undefined;
+        }
+
+        this.stats.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Установить значение в кэш
+     */
+    set(key, value) {
+        // Проверка размера и LRU eviction
+        if (this.cache.size >= this.maxSize) {
+            this.evictLRU();
+        }
+
+        this.cache.set(key, {
+            value,
+            timestamp: Date.now(),
+            lastAccess: Date.now()
+        });
+    }
+
+    /**
+     * Удалить из кэша по ключу
+     */
+    delete(key) {
+        return this.cache.delete(key);
+    }
+
+    /**
+     * Очистить весь кэш
+     */
+    clear() {
+        this.cache.clear();
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0
+        };
+    }
+
+    /**
+     * Evict наименее используемый элемент (LRU)
+     */
+    evictLRU() {
+        let lruKey = null;
+        let lruTime = Infinity;
+
+        for (const [key, entry] of this.cache) {
+            if (entry.lastAccess < lruTime) {
+                lruTime = entry.lastAccess;
+                lruKey = key;
+            }
+        }
+
+        if (lruKey) {
+            this.cache.delete(lruKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Получить статистику кэша
+     */
+    getStats() {
+        const total = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: total > 0 ? (this.stats.hits / total * 100).toFixed(2) + '%' : '0%',
+            size: this.cache.size,
+            maxSize: this.maxSize
+        };
+    }
+
+    /**
+     * Очистка устаревших записей
+     */
+    prune() {
+        if (this.ttl <= 0) return;
+
+        const now = Date.now();
+        const keysToDelete = [];
+
+        for (const [key, entry] of this.cache) {
+            if (now - entry.timestamp > this.ttl) {
+                keysToDelete.push(key);
+            }
+        }
+
+        keysToDelete.forEach(key => this.cache.delete(key));
+    }
+}
+return { CacheManager, default: CacheManager };
+})();
+
+// Module: runtime/security-manager.js
+const __vx_m25 = (() => {
+/**
+ * SecurityManager — Управление безопасностью и песочницей
+ */
+
+const { join, resolve, normalize } = __vx_ext1;
+const { existsSync, statSync } = __vx_ext0;
+
+class SecurityManager {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.allowedPaths = options.allowedPaths || [];
+        this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024; // 10MB
+        this.maxExecutionTime = options.maxExecutionTime || 30000; // 30s
+        this.maxMemory = options.maxMemory || 512 * 1024 * 1024; // 512MB
+        this.allowedDomains = options.allowedDomains || [];
+        this.blockedDomains = options.blockedDomains || [];
+        this.prototypePollutionProtection = options.prototypePollutionProtection !== false;
+    }
+
+    /**
+     * Проверка безопасности пути
+     */
+    checkPath(path, basePath = process.cwd()) {
+        if (!this.enabled) return true;
+
+        const resolvedPath = resolve(basePath, path);
+        const normalizedPath = normalize(resolvedPath);
+
+        // Проверка на path traversal
+        if (normalizedPath.includes('..')) {
+            throw new Error('Доступ к родительским директориям запрещен: ' + path);
+        }
+
+        // Проверка на разрешенные пути
+        if (this.allowedPaths.length > 0) {
+            const isAllowed = this.allowedPaths.some(allowedPath => {
+                const resolvedAllowed = resolve(allowedPath);
+                return normalizedPath.startsWith(resolvedAllowed);
+            });
+
+            if (!isAllowed) {
+                throw new Error('Доступ к пути запрещен: ' + path);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Проверка размера файла
+     */
+    checkFileSize(filePath) {
+        if (!this.enabled) return true;
+
+        const stats = statSync(filePath);
+        if (stats.size > this.maxFileSize) {
+            throw new Error(`Размер файла превышает лимит: ${stats.size} > ${this.maxFileSize}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Проверка безопасности URL
+     */
+    checkURL(url) {
+        if (!this.enabled) return true;
+
+        try {
+            const urlObj = new URL(url);
+            const domain = urlObj.hostname;
+
+            // Проверка заблокированных доменов
+            if (this.blockedDomains.includes(domain)) {
+                throw new Error('Домен заблокирован: ' + domain);
+            }
+
+            // Проверка разрешенных доменов
+            if (this.allowedDomains.length > 0 && !this.allowedDomains.includes(domain)) {
+                throw new Error('Доступ к домену запрещен: ' + domain);
+            }
+
+            // Проверка протокола
+            const allowedProtocols = ['http:', 'https:'];
+            if (!allowedProtocols.includes(urlObj.protocol)) {
+                throw new Error('Протокол не разрешен: ' + urlObj.protocol);
+            }
+
+            return true;
+        } catch (e) {
+            throw new Error('Неверный URL: ' + url);
+        }
+    }
+
+    /**
+     * Защита от prototype pollution
+     */
+    sanitizeObject(obj) {
+        if (!this.prototypePollutionProtection) return obj;
+
+        const sanitized = Array.isArray(obj) ? [] : {};
+
+        for (const key in obj) {
+            // Блокируем опасные ключи
+            if (key === '__proto__' || key === 'constructor' || key === 'prototype') {
+                continue;
+            }
+
+            const value = obj[key];
+
+            if (value && typeof value === 'object') {
+                sanitized[key] = this.sanitizeObject(value);
+            } else {
+                sanitized[key] = value;
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Проверка и очистка JSON данных
+     */
+    sanitizeJSON(data) {
+        try {
+            const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+            return this.sanitizeObject(parsed);
+        } catch (e) {
+            throw new Error('Неверный JSON: ' + e.message);
+        }
+    }
+
+    /**
+     * Проверка глубины рекурсии
+     */
+    checkRecursionDepth(currentDepth, maxDepth = 1000) {
+        if (currentDepth > maxDepth) {
+            throw new Error(`Превышена глубина рекурсии: ${currentDepth} > ${maxDepth}`);
+        }
+        return true;
+    }
+
+    /**
+     * Проверка использования памяти
+     */
+    checkMemoryUsage() {
+        if (!this.enabled) return true;
+
+        const usage = process.memoryUsage();
+        if (usage.heapUsed > this.maxMemory) {
+            throw new Error(`Превышен лимит памяти: ${usage.heapUsed} > ${this.maxMemory}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Создание безопасной среды выполнения
+     */
+    createSandbox() {
+        if (!this.enabled) return null;
+
+        const sandbox = {
+            console: {
+                log: (...args) => console.log('[SANDBOX]', ...args),
+                error: (...args) => console.error('[SANDBOX]', ...args),
+                warn: (...args) => console.warn('[SANDBOX]', ...args)
+            },
+            setTimeout: setTimeout.bind(null),
+            clearTimeout: clearTimeout.bind(null),
+            setInterval: setInterval.bind(null),
+            clearInterval: clearInterval.bind(null),
+            Date,
+            Math,
+            JSON: {
+                parse: (data) => this.sanitizeJSON(data),
+                stringify: JSON.stringify.bind(JSON)
+            },
+            // Ограниченный доступ к процессу
+            process: {
+                cwd: process.cwd.bind(process),
+                env: {}
+            }
+        };
+
+        return sandbox;
+    }
+
+    /**
+     * Валидация ввода
+     */
+    validateInput(input, schema) {
+        const errors = [];
+
+        if (schema.type) {
+            const expectedType = schema.type;
+            const actualType = Array.isArray(input) ? 'array' : typeof input;
+
+            if (expectedType !== actualType) {
+                errors.push(`Ожидается тип ${expectedType}, получен ${actualType}`);
+            }
+        }
+
+        if (schema.min !== undefined && input < schema.min) {
+            errors.push(`Значение должно быть >= ${schema.min}`);
+        }
+
+        if (schema.max !== undefined && input > schema.max) {
+            errors.push(`Значение должно быть <= ${schema.max}`);
+        }
+
+        if (schema.minLength !== undefined && input.length < schema.minLength) {
+            errors.push(`Длина должна быть >= ${schema.minLength}`);
+        }
+
+        if (schema.maxLength !== undefined && input.length > schema.maxLength) {
+            errors.push(`Длина должна быть <= ${schema.maxLength}`);
+        }
+
+        if (schema.pattern && !schema.pattern.test(input)) {
+            errors.push('Значение не соответствует паттерну');
+        }
+
+        if (errors.length > 0) {
+            throw new Error('Ошибки валидации: ' + errors.join(', '));
+        }
+
+        return true;
+    }
+
+    /**
+     * Очистка XSS уязвимостей
+     */
+    escapeHTML(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+}
+return { SecurityManager, default: SecurityManager };
+})();
+
+// Module: runtime/debugger.js
+const __vx_m26 = (() => {
+/**
+ * Debugger — Отладчик для пошагового выполнения
+ */
+
+const { Lexer } = __vx_m3;
+const { Parser } = __vx_m5;
+const { VladXObject } = __vx_m6;
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Инструкции с вложенным телом: вложенная инструкция на той же строке не останавливает повторно
+const COMPOUND_STATEMENTS = new Set([
+    'IfStatement', 'WhileStatement', 'ForStatement', 'ForOfStatement', 'ForInStatement',
+    'LabeledStatement', 'TryStatement', 'SwitchStatement'
+]);
+
+class Debugger {
+    constructor(interpreter) {
+        this.interpreter = interpreter;
+        this.breakpoints = new Set();
+        this.stepMode = false;
+        this.stepDepth = 0;
+        this.currentFrame = null;
+        this.callStack = [];
+        this.watchExpressions = [];
+        this.paused = false;
+        this.onNextBreakpoint = null;
+        this.sourceMaps = new Map();
+
+        // Остановки возможны только при подключённом клиенте (attach)
+        this.active = false;
+        this.onPause = null;
+        this.pauseRequested = null;
+        this.evaluating = false;
+        this.aborted = false;
+        this.statementCount = 0;
+    }
+
+    /**
+     * Подключить клиента: onPause(причина, фрейм) вызывается при каждой остановке
+     */
+    attach(onPause) {
+        this.active = true;
+        this.onPause = onPause;
+    }
+
+    /**
+     * Отключить клиента и продолжить выполнение без остановок
+     */
+    detach() {
+        this.active = false;
+        this.onPause = null;
+        this.pauseRequested = null;
+        this.breakpoints.clear();
+        this.continue();
+    }
+
+    /**
+     * Прервать программу: следующая инструкция завершится ошибкой
+     */
+    abort() {
+        this.aborted = true;
+        this.breakpoints.clear();
+        this.continue();
+    }
+
+    /**
+     * Остановиться перед следующей инструкцией (reason: 'pause' или 'entry')
+     */
+    requestPause(reason = 'pause') {
+        this.pauseRequested = reason;
+    }
+
+    /**
+     * Установить breakpoint
+     */
+    setBreakpoint(filename, line) {
+        const key = `${filename}:${line}`;
+        this.breakpoints.add(key);
+    }
+
+    /**
+     * Удалить breakpoint
+     */
+    removeBreakpoint(filename, line) {
+        const key = `${filename}:${line}`;
+        this.breakpoints.delete(key);
+    }
+
+    /**
+     * Проверить breakpoint
+     */
+    shouldBreak(filename, line) {
+        const key = `${filename}:${line}`;
+        return this.breakpoints.has(key);
+    }
+
+    /**
+     * Включить пошаговый режим
+     */
+    stepInto() {
+        this.stepMode = 'into';
+        this.stepDepth = this.callStack.length;
+        this.resume();
+    }
+
+    /**
+     * Шагнуть (перепрыгнуть через функцию)
+     */
+    stepOver() {
+        this.stepMode = 'over';
+        this.stepDepth = this.callStack.length;
+        this.resume();
+    }
+
+    /**
+     * Шагнуть из функции
+     */
+    stepOut() {
+        this.stepMode = 'out';
+        this.stepDepth = this.callStack.length;
+        this.resume();
+    }
+
+    /**
+     * Продолжить выполнение
+     */
+    continue() {
+        this.stepMode = false;
+        this.resume();
+    }
+
+    /**
+     * Снять паузу, не меняя режим шага
+     */
+    resume() {
+        this.paused = false;
+        if (this.onNextBreakpoint) {
+            const resolve = this.onNextBreakpoint;
+            this.onNextBreakpoint = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Перед выполнением инструкции: обновить позицию фрейма и при необходимости остановиться
+     */
+    async onStatement(statement, environment, filename) {
+        if (!this.active || this.evaluating || !statement.line || statement.type === 'BlockStatement') {
+            return;
+        }
+        if (this.aborted) {
+            throw new Error('Выполнение прервано отладчиком');
+        }
+        // Уступаем циклу событий, чтобы запросы клиента (pause) доходили и в длинных циклах
+        if (++this.statementCount % 1000 === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const frame = this.currentFrame;
+        const line = statement.line;
+        filename = statement.filename || filename;
+
+        // Тело составной инструкции на той же строке — та же позиция
+        const nested = frame && frame.statement && frame.statement !== statement &&
+            COMPOUND_STATEMENTS.has(frame.statement.type) && frame.line === line && frame.filename === filename;
+
+        if (frame) {
+            frame.filename = filename;
+            frame.line = line;
+            // Колонки лексера начинаются с 1, в кадрах и картах источников — с 0
+            frame.column = Math.max(0, (statement.column || 1) - 1);
+            frame.environment = environment;
+            frame.statement = statement;
+        }
+
+        if (nested) {
+            return;
+        }
+
+        let reason = null;
+        if (this.pauseRequested) {
+            reason = this.pauseRequested;
+        } else if (this.stepMode && this.checkBreak(filename, line)) {
+            reason = 'step';
+        } else if (this.shouldBreak(filename, line)) {
+            reason = 'breakpoint';
+        }
+
+        if (reason) {
+            await this.pause(reason);
+        }
+    }
+
+    /**
+     * Приостановить выполнение до continue/step*
+     */
+    async pause(reason) {
+        this.pauseRequested = null;
+        this.stepMode = false;
+        this.paused = true;
+
+        const resumed = new Promise(resolve => {
+            this.onNextBreakpoint = resolve;
+        });
+        if (this.onPause) {
+            this.onPause(reason, this.currentFrame);
+        }
+        await resumed;
+    }
+
+    /**
+     * Проверить, нужно ли паузу
+     */
+    checkBreak(filename, line) {
+        if (this.stepMode) {
+            switch (this.stepMode) {
+                case 'into':
+                    return true;
+                case 'over':
+                    return this.callStack.length <= this.stepDepth;
+                case 'out':
+                    return this.callStack.length < this.stepDepth;
+            }
+        }
+
+        return this.shouldBreak(filename, line);
+    }
+
+    /**
+     * Добавить watch expression
+     */
+    addWatch(expression) {
+        this.watchExpressions.push(expression);
+    }
+
+    /**
+     * Удалить watch expression
+     */
+    removeWatch(expression) {
+        const index = this.watchExpressions.indexOf(expression);
+        if (index !== -1) {
+            this.watchExpressions.splice(index, 1);
+        }
+    }
+
+    /**
+     * Оценить watch expressions
+     */
+    async evaluateWatches(frame = this.currentFrame) {
+        const results = {};
+
+        for (const expr of this.watchExpressions) {
+            try {
+                results[expr] = await this.evaluate(expr, frame);
+            } catch (e) {
+                results[expr] = { error: e.message };
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Вычислить выражение в окружении фрейма; остановки на время вычисления отключаются
+     */
+    async evaluate(expression, frame = this.currentFrame) {
+        const tokens = new Lexer(expression, '<отладчик>').tokenize();
+        const program = new Parser(tokens).parse();
+
+        const interpreter = this.interpreter;
+        const previousEnv = interpreter.currentEnv;
+        const previousInstance = interpreter.currentInstance;
+        const previousReturn = { isReturn: interpreter.isReturn, value: interpreter.returnValue };
+
+        this.evaluating = true;
+        try {
+            if (frame && frame.environment) {
+                interpreter.currentEnv = frame.environment;
+                interpreter.currentInstance = frame.instance || null;
+            }
+
+            let result = VladXObject.null();
+            for (const statement of program.body) {
+                result = await interpreter.evaluateStatement(statement);
+            }
+            return result;
+        } finally {
+            interpreter.currentEnv = previousEnv;
+            interpreter.currentInstance = previousInstance;
+            interpreter.isReturn = previousReturn.isReturn;
+            interpreter.returnValue = previousReturn.value;
+            this.evaluating = false;
+        }
+    }
+
+    /**
+     * Получить стек вызовов
+     */
+    getCallStack() {
+        return this.callStack.map(frame => ({
+            filename: frame.filename,
+            line: frame.line,
+            function: frame.functionName,
+            locals: this.getLocals(frame)
+        }));
+    }
+
+    /**
+     * Получить локальные переменные: окружения блоков до окружения функции
+     * (scopeEnvironment) включительно, внутренние имена скрывают внешние
+     */
+    getLocals(frame) {
+        if (!frame || !frame.environment) {
+            return {};
+        }
+
+        const locals = {};
+        let env = frame.environment;
+        while (env) {
+            for (const [key, value] of env.variables) {
+                if (!(key in locals)) {
+                    locals[key] = value;
+                }
+            }
+            if (!frame.scopeEnvironment || env === frame.scopeEnvironment) {
+                break;
+            }
+            env = env.parent;
+        }
+
+        return locals;
+    }
+
+    /**
+     * Получить значение переменной
+     */
+    getVariable(name) {
+        if (!this.currentFrame || !this.currentFrame.environment) {
+            return undefined;
+        }
+
+        try {
+            return this.currentFrame.environment.get(name);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Установить значение переменной
+     */
+    setVariable(name, value) {
+        if (!this.currentFrame || !this.currentFrame.environment) {
+            return false;
+        }
+
+        try {
+            this.currentFrame.environment.assign(name, value);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Добавить фрейм в стек вызовов
+     */
+    pushFrame(frame) {
+        this.callStack.push(frame);
+        this.currentFrame = frame;
+    }
+
+    /**
+     * Удалить фрейм из стека вызовов
+     */
+    popFrame(frame = null) {
+        // Генераторы и асинхронные функции завершаются не в порядке вызова
+        const index = frame ? this.callStack.lastIndexOf(frame) : this.callStack.length - 1;
+        if (index !== -1) {
+            this.callStack.splice(index, 1);
+        }
+        this.currentFrame = this.callStack[this.callStack.length - 1] || null;
+    }
+
+    /**
+     * Получить текущее состояние
+     */
+    getState() {
+        return {
+            paused: this.paused,
+            breakpoints: Array.from(this.breakpoints),
+            watchExpressions: [...this.watchExpressions],
+            callStack: this.getCallStack(),
+            currentFrame: this.currentFrame ? {
+                filename: this.currentFrame.filename,
+                line: this.currentFrame.line,
+                function: this.currentFrame.functionName
+            } : null
+        };
+    }
+
+    /**
+     * Добавить source map
+     */
+    addSourceMap(filename, map) {
+        this.sourceMaps.set(filename, map);
+    }
+
+    /**
+     * Конвертировать позицию в исходный код: { source, line, column }.
+     * Строки нумеруются с 1, столбцы — с 0
+     */
+    mapPosition(filename, line, column = 0) {
+        const mappings = this.getMappings(filename);
+        if (!mappings) {
+            return { source: filename, line, column };
+        }
+
+        const onLine = mappings
+            .filter(mapping => mapping.generated.line === line)
+            .sort((a, b) => a.generated.column - b.generated.column);
+        if (onLine.length === 0) {
+            return { source: filename, line, column };
+        }
+
+        // Ближайшее соответствие слева от столбца, иначе первое в строке
+        const best = onLine.filter(mapping => mapping.generated.column <= column).pop() || onLine[0];
+        return { source: best.source, line: best.original.line, column: best.original.column };
+    }
+
+    /**
+     * Обратное преобразование: строка исходного файла -> позиция в выполняемом файле
+     */
+    generatedPosition(source, line) {
+        for (const filename of this.sourceMaps.keys()) {
+            const mapping = this.getMappings(filename)
+                .filter(m => m.source === source && m.original.line === line)
+                .sort((a, b) => a.generated.line - b.generated.line || a.generated.column - b.generated.column)[0];
+            if (mapping) {
+                return { filename, line: mapping.generated.line, column: mapping.generated.column };
+            }
+        }
+
+        return { filename: source, line, column: 0 };
+    }
+
+    /**
+     * Соответствия source map: массив (формат Bundle) или строка base64 VLQ (версия 3)
+     */
+    getMappings(filename) {
+        const map = this.sourceMaps.get(filename);
+        if (!map) {
+            return null;
+        }
+
+        if (!map.decoded) {
+            map.decoded = typeof map.mappings === 'string'
+                ? this.decodeMappings(map)
+                : (map.mappings || []).filter(m => m.original);
+        }
+        return map.decoded;
+    }
+
+    /**
+     * Декодировать mappings source map версии 3
+     */
+    decodeMappings(map) {
+        const sources = (map.sources || []).map(source => (map.sourceRoot || '') + source);
+        const result = [];
+        let sourceIndex = 0;
+        let sourceLine = 0;
+        let sourceColumn = 0;
+
+        map.mappings.split(';').forEach((lineText, index) => {
+            let generatedColumn = 0;
+
+            for (const segment of lineText.split(',')) {
+                if (!segment) {
+                    continue;
+                }
+                const fields = this.decodeVLQ(segment);
+                generatedColumn += fields[0];
+
+                if (fields.length >= 4) {
+                    sourceIndex += fields[1];
+                    sourceLine += fields[2];
+                    sourceColumn += fields[3];
+                    result.push({
+                        generated: { line: index + 1, column: generatedColumn },
+                        original: { line: sourceLine + 1, column: sourceColumn },
+                        source: sources[sourceIndex]
+                    });
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Декодировать сегмент base64 VLQ
+     */
+    decodeVLQ(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const char of segment) {
+            const digit = BASE64.indexOf(char);
+            value += (digit & 31) << shift;
+
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Очистить состояние
+     */
+    clear() {
+        this.breakpoints.clear();
+        this.stepMode = false;
+        this.callStack = [];
+        this.watchExpressions = [];
+        this.currentFrame = null;
+        this.paused = false;
+        this.pauseRequested = null;
+    }
+}
+return { Debugger, default: Debugger };
+})();
+
+// Module: runtime/profiler.js
+const __vx_m27 = (() => {
+/**
+ * Profiler — Профилировщик производительности
+ */
+
+class Profiler {
+    constructor() {
+        this.records = new Map();
+        this.callCounts = new Map();
+        this.currentCallStack = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.memorySamples = [];
+        this.intervalId = null;
+        this.hotspots = new Map();
+    }
+
+    /**
+     * Начать профилирование
+     */
+    start(options = {}) {
+        this.records.clear();
+        this.callCounts.clear();
+        this.currentCallStack = [];
+        this.startTime = Date.now();
+        this.endTime = null;
+        this.memorySamples = [];
+        this.hotspots.clear();
+
+        if (options.sampleMemory) {
+            const sampleInterval = options.sampleInterval || 100;
+            this.intervalId = setInterval(() => {
+                this.memorySamples.push({
+                    timestamp: Date.now(),
+                    heapUsed: process.memoryUsage().heapUsed,
+                    heapTotal: process.memoryUsage().heapTotal
+                });
+            }, sampleInterval);
+        }
+    }
+
+    /**
+     * Завершить профилирование
+     */
+    stop() {
+        this.endTime = Date.now();
+
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+
+        return this.getResults();
+    }
+
+    /**
+     * Начать измерение функции
+     */
+    enterFunction(functionName, filename, line) {
+        const key = `${filename}:${functionName}`;
+
+        this.currentCallStack.push({
+            functionName,
+            filename,
+            line,
+            key,
+            startTime: Date.now()
+        });
+
+        this.callCounts.set(key, (this.callCounts.get(key) || 0) + 1);
+    }
+
+    /**
+     * Завершить измерение функции
+     */
+    exitFunction() {
+        if (this.currentCallStack.length === 0) {
+            return;
+        }
+
+        const frame = this.currentCallStack.pop();
+        const duration = Date.now() - frame.startTime;
+
+        if (!this.records.has(frame.key)) {
+            this.records.set(frame.key, {
+                functionName: frame.functionName,
+                filename: frame.filename,
+                totalTime: 0,
+                minTime: Infinity,
+                maxTime: 0,
+                avgTime: 0,
+                callCount: 0
+            });
+        }
+
+        const record = this.records.get(frame.key);
+        record.totalTime += duration;
+        record.minTime = Math.min(record.minTime, duration);
+        record.maxTime = Math.max(record.maxTime, duration);
+        record.callCount = this.callCounts.get(frame.key);
+        record.avgTime = record.totalTime / record.callCount;
+
+        // Обновляем hotspots
+        const hotspotKey = `${frame.filename}:${frame.line}`;
+        this.hotspots.set(hotspotKey, (this.hotspots.get(hotspotKey) || 0) + duration);
+    }
+
+    /**
+     * Получить результаты профилирования
+     */
+    getResults() {
+        const totalTime = this.endTime ? this.endTime - this.startTime : 0;
+
+        // Сортировка по total time
+        const sortedRecords = Array.from(this.records.values())
+            .sort((a, b) => b.totalTime - a.totalTime)
+            .map(record => ({
+                ...record,
+                percentage: totalTime > 0 ? ((record.totalTime / totalTime) * 100).toFixed(2) + '%' : '0%'
+            }));
+
+        // Сортировка hotspots
+        const sortedHotspots = Array.from(this.hotspots.entries())
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 10)
+            .map(([location, time]) => ({
+                location,
+                time,
+                percentage: totalTime > 0 ? ((time / totalTime) * 100).toFixed(2) + '%' : '0%'
+            }));
+
+        return {
+            summary: {
+                totalTime: totalTime + 'ms',
+                functionCount: this.records.size,
+                totalCalls: Array.from(this.callCounts.values()).reduce((a, b) => a + b, 0)
+            },
+            functions: sortedRecords,
+            hotspots: sortedHotspots,
+            memory: {
+                samples: this.memorySamples,
+                initial: this.memorySamples[0] || null,
+                final: this.memorySamples[this.memorySamples.length - 1] || null,
+                peak: this.memorySamples.reduce((max, sample) => 
+                    sample.heapUsed > max.heapUsed ? sample : max, 
+                    { heapUsed: 0 }
+                )
+            }
+        };
+    }
+
+    /**
+     * Получить данные о функциях в формате flame graph
+     */
+    getFlameGraphData() {
+        return Array.from(this.records.values()).map(record => ({
+            name: `${record.functionName} (${record.filename})`,
+            value: record.totalTime,
+            children: []
+        }));
+    }
+
+    /**
+     * Экспорт результатов в JSON
+     */
+    exportJSON() {
+        return JSON.stringify(this.getResults(), null, 2);
+    }
+
+    /**
+     * Экспорт результатов в формате для Flamegraph
+     */
+    exportFlamegraph() {
+        const lines = [];
+
+        for (const [key, record] of this.records) {
+            lines.push(`${record.functionName} ${record.totalTime}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Получить статистику по памяти
+     */
+    getMemoryStats() {
+        if (this.memorySamples.length === 0) {
+            return null;
+        }
+
+        const samples = this.memorySamples.map(s => s.heapUsed);
+        const min = Math.min(...samples);
+        const max = Math.max(...samples);
+        const avg = samples.reduce((a, b) => a + b, 0) / samples.length;
+
+        return {
+            min,
+            max,
+            avg,
+            growth: this.memorySamples[this.memorySamples.length - 1].heapUsed - this.memorySamples[0].heapUsed,
+            samples: this.memorySamples
+        };
+    }
+
+    /**
+     * Найти функции с высокой задержкой
+     */
+    findSlowFunctions(threshold = 100) {
+        return Array.from(this.records.values())
+            .filter(record => record.avgTime > threshold)
+            .sort((a, b) => b.avgTime - a.avgTime);
+    }
+
+    /**
+     * Найти функции с большим количеством вызовов
+     */
+    findFrequentFunctions(threshold = 100) {
+        return Array.from(this.records.values())
+            .filter(record => record.callCount > threshold)
+            .sort((a, b) => b.callCount - a.callCount);
+    }
+
+    /**
+     * Сравнить два профиля
+     */
+    static compare(profile1, profile2) {
+        const results1 = profile1.getResults();
+        const results2 = profile2.getResults();
+
+        const comparison = {
+            totalTime: {
+                before: results1.summary.totalTime,
+                after: results2.summary.totalTime,
+                change: this.calculateChange(
+                    parseInt(results1.summary.totalTime),
+                    parseInt(results2.summary.totalTime)
+                )
+            },
+            functions: []
+        };
+
+        // Сравнение функций
+        const allFunctions = new Set([
+            ...results1.functions.map(f => f.functionName),
+            ...results2.functions.map(f => f.functionName)
+        ]);
+
+        for (const funcName of allFunctions) {
+            const func1 = results1.functions.find(f => f.functionName === funcName);
+            const func2 = results2.functions.find(f => f.functionName === funcName);
+
+            comparison.functions.push({
+                name: funcName,
+                before: func1 ? func1.totalTime : 0,
+                after: func2 ? func2.totalTime : 0,
+                change: this.calculateChange(
+                    func1 ? func1.totalTime : 0,
+                    func2 ? func2.totalTime : 0
+                )
+            });
+        }
+
+        comparison.functions.sort((a, b) => b.after - a.after);
+
+        return comparison;
+    }
+
+    /**
+     * Рассчитать изменение
+     */
+    static calculateChange(before, after) {
+        if (before === 0) return after > 0 ? '+∞' : '0%';
+        const change = ((after - before) / before * 100).toFixed(2);
+        return change > 0 ? `+${change}%` : `${change}%`;
+    }
+
+    /**
+     * Очистить данные
+     */
+    clear() {
+        this.records.clear();
+        this.callCounts.clear();
+        this.currentCallStack = [];
+        this.startTime = null;
+        this.endTime = null;
+        this.memorySamples = [];
+        this.hotspots.clear();
+
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+        }
+    }
+}
+return { Profiler, default: Profiler };
+})();
+
+// Module: runtime/repl.js
+const __vx_m28 = (() => {
+/**
+ * REPL — Улучшенная интерактивная консоль
+ */
+
+const { VladXObject } = __vx_m6;
+const { readFileSync, existsSync } = __vx_ext0;
+const { join, dirname } = __vx_ext1;
+
+class REPL {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.history = [];
+        this.historyIndex = -1;
+        this.historyFile = options.historyFile || join(process.env.HOME || process.env.USERPROFILE || '', '.vladx_history');
+        this.maxHistorySize = options.maxHistorySize || 1000;
+        this.prompt = options.prompt || 'vladx> ';
+        this.multilinePrompt = options.multilinePrompt || '... ';
+        this.specialCommands = {
+            '.clear': this.clear.bind(this),
+            '.exit': this.exit.bind(this),
+            '.help': this.help.bind(this),
+            '.history': this.showHistory.bind(this),
+            '.load': this.loadFile.bind(this),
+            '.save': this.saveFile.bind(this),
+            '.debug': this.toggleDebug.bind(this),
+            '.profile': this.toggleProfile.bind(this),
+            '.version': this.version.bind(this)
+        };
+        this.debugMode = false;
+        this.profileMode = false;
+        this.context = {};
+    }
+
+    /**
+     * Запустить REPL
+     */
+    async start() {
+        const readline = await import('readline');
+        this.rl = readline.createInterface({
+            input: this.input,
+            output: this.output,
+            prompt: this.prompt
+        });
+
+        this.loadHistory();
+
+        this.rl.on('line', async (line) => {
+            await this.handleInput(line.trim());
+        });
+
+        this.rl.on('close', () => {
+            this.saveHistory();
+            this.output.write('\nДо встречи!\n');
+        });
+
+        this.rl.on('SIGINT', () => {
+            this.output.write('^C\n');
+            this.rl.prompt();
+        });
+
+        this.rl.setPrompt(this.prompt);
+        this.rl.prompt();
+    }
+
+    /**
+     * Обработка ввода
+     */
+    async handleInput(line) {
+        if (!line) {
+            this.rl.prompt();
+            return;
+        }
+
+        // Специальные команды
+        if (line.startsWith('.')) {
+            await this.handleSpecialCommand(line);
+            return;
+        }
+
+        // История (стрелки вверх/вниз)
+        if (line === '\x1B[A') { // Up arrow
+            if (this.historyIndex < this.history.length - 1) {
+                this.historyIndex++;
+                this.rl.write(null, { ctrl: true, name: 'u' });
+                this.rl.write(this.history[this.history.length - 1 - this.historyIndex]);
+            }
+            return;
+        }
+
+        if (line === '\x1B[B') { // Down arrow
+            if (this.historyIndex > -1) {
+                this.historyIndex--;
+                this.rl.write(null, { ctrl: true, name: 'u' });
+                if (this.historyIndex >= 0) {
+                    this.rl.write(this.history[this.history.length - 1 - this.historyIndex]);
+                }
+            }
+            return;
+        }
+
+        // Добавить в историю
+        this.addToHistory(line);
+        this.historyIndex = -1;
+
+        // Выполнить код
+        try {
+            const result = await this.engine.execute(line, {
+                filename: '<repl>',
+                context: this.context
+            });
+
+            if (result !== undefined) {
+                this.output.write(`→ ${this.formatResult(result)}\n`);
+            }
+        } catch (error) {
+            this.output.write(`\x1b[31mОшибка:\x1b[0m ${this.formatError(error)}\n`);
+        }
+
+        this.rl.prompt();
+    }
+
+    /**
+     * Обработка специальных команд
+     */
+    async handleSpecialCommand(line) {
+        const parts = line.split(' ');
+        const command = parts[0];
+        const args = parts.slice(1);
+
+        if (this.specialCommands[command]) {
+            try {
+                await this.specialCommands[command](...args);
+            } catch (error) {
+                this.output.write(`\x1b[31mОшибка:\x1b[0m ${error.message}\n`);
+            }
+        } else {
+            this.output.write(`Неизвестная команда: ${command}. Введите .help для справки.\n`);
+        }
+
+        this.rl.prompt();
+    }
+
+    /**
+     * Очистить контекст
+     */
+    clear() {
+        this.context = {};
+        this.output.write('Контекст очищен.\n');
+    }
+
+    /**
+     * Выйти из REPL
+     */
+    exit() {
+        this.saveHistory();
+        this.rl.close();
+    }
+
+    /**
+     * Показать справку
+     */
+    help() {
+        const helpText = `
+Доступные команды:
+  .clear     Очистить контекст REPL
+  .exit      Выйти из REPL
+  .help      Показать эту справку
+  .history   Показать историю команд
+  .load [файл] Загрузить и выполнить файл
+  .save [файл] Сохранить контекст в файл
+  .debug     Включить/выключить отладочный режим
+  .profile   Включить/выключить профилирование
+  .version   Показать версию VladX
+
+Используйте стрелки ↑↓ для навигации по истории.
+        `.trim();
+        this.output.write(helpText + '\n');
+    }
+
+    /**
+     * Показать историю
+     */
+    showHistory() {
+        this.output.write('История команд:\n');
+        this.history.forEach((line, i) => {
+            this.output.write(`  ${i + 1}: ${line}\n`);
+        });
+    }
+
+    /**
+     * Загрузить файл
+     */
+    async loadFile(filename) {
+        try {
+            const result = await this.engine.executeFile(filename);
+            this.output.write(`Загружен файл: ${filename}\n`);
+            if (result !== undefined) {
+                this.output.write(`→ ${this.formatResult(result)}\n`);
+            }
+        } catch (error) {
+            this.output.write(`\x1b[31mОшибка загрузки файла:\x1b[0m ${error.message}\n`);
+        }
+    }
+
+    /**
+     * Сохранить контекст
+     */
+    saveFile(filename) {
+        try {
+            const content = JSON.stringify(this.context, null, 2);
+            require('fs').writeFileSync(filename, content, 'utf-8');
+            this.output.write(`Контекст сохранен в: ${filename}\n`);
+        } catch (error) {
+            this.output.write(`\x1b[31mОшибка сохранения:\x1b[0m ${error.message}\n`);
+        }
+    }
+
+    /**
+     * Переключить отладочный режим
+     */
+    toggleDebug() {
+        this.debugMode = !this.debugMode;
+        this.engine.debug = this.debugMode;
+        this.output.write(`Отладочный режим: ${this.debugMode ? 'включен' : 'выключен'}\n`);
+    }
+
+    /**
+     * Переключить профилирование
+     */
+    toggleProfile() {
+        this.profileMode = !this.profileMode;
+        this.output.write(`Профилирование: ${this.profileMode ? 'включено' : 'выключено'}\n`);
+    }
+
+    /**
+     * Показать версию
+     */
+    version() {
+        this.output.write('VladX 1.0.0\n');
+    }
+
+    /**
+     * Добавить в историю
+     */
+    addToHistory(line) {
+        if (line.length === 0) return;
+
+        // Дубликаты не добавляем
+        if (this.history.length > 0 && this.history[this.history.length - 1] === line) {
+            return;
+        }
+
+        this.history.push(line);
+
+        // Ограничение размера
+        if (this.history.length > this.maxHistorySize) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Загрузить историю из файла
+     */
+    loadHistory() {
+        try {
+            if (existsSync(this.historyFile)) {
+                const content = readFileSync(this.historyFile, 'utf-8');
+                this.history = content.split('\n').filter(line => line.length > 0);
+            }
+        } catch (error) {
+            // Игнорируем ошибки загрузки истории
+        }
+    }
+
+    /**
+     * Сохранить историю в файл
+     */
+    saveHistory() {
+        try {
+            require('fs').writeFileSync(this.historyFile, this.history.join('\n'), 'utf-8');
+        } catch (error) {
+            // Игнорируем ошибки сохранения истории
+        }
+    }
+
+    /**
+     * Форматировать результат
+     */
+    formatResult(result) {
+        if (result === null || result === undefined) {
+            return 'ничто';
+        }
+
+        if (result && result.type !== undefined) {
+            return result.toString();
+        }
+
+        if (typeof result === 'object') {
+            return JSON.stringify(result, null, 2);
+        }
+
+        return String(result);
+    }
+
+    /**
+     * Форматировать ошибку
+     */
+    formatError(error) {
+        if (error.stack) {
+            return error.stack;
+        }
+        return error.message || String(error);
+    }
+
+    /**
+     * Установить пользовательский промпт
+     */
+    setPrompt(prompt) {
+        this.prompt = prompt;
+        this.rl.setPrompt(prompt);
+    }
+
+    /**
+     * Остановить REPL
+     */
+    stop() {
+        if (this.rl) {
+            this.saveHistory();
+            this.rl.close();
+        }
+    }
+}
+return { REPL, default: REPL };
+})();
+
+// Module: runtime/io-operations.js
+const __vx_m29 = (() => {
+/**
+ * IOOperations — Ввод/Вывод с поддержкой потоков
+ */
+
+const { createReadStream, createWriteStream, readFileSync, writeFileSync, existsSync, statSync, readdirSync } = __vx_ext0;
+const { join, basename, dirname, extname, resolve, normalize } = __vx_ext1;
+
+class IOOperations {
+    constructor(securityManager) {
+        this.securityManager = securityManager;
+    }
+
+    /**
+     * Чтение файла (streaming)
+     */
+    async readFileStream(filePath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+            this.securityManager.checkFileSize(filePath);
+        }
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            const stream = createReadStream(filePath, {
+                encoding: options.encoding || 'utf8',
+                highWaterMark: options.highWaterMark || 64 * 1024
+            });
+
+            stream.on('data', (chunk) => chunks.push(chunk));
+            stream.on('end', () => resolve(chunks.join('')));
+            stream.on('error', reject);
+        });
+    }
+
+    /**
+     * Чтение файла (sync)
+     */
+    readFile(filePath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+            this.securityManager.checkFileSize(filePath);
+        }
+
+        return readFileSync(filePath, options.encoding || 'utf-8');
+    }
+
+    /**
+     * Запись файла (streaming)
+     */
+    async writeFileStream(filePath, content, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        return new Promise((resolve, reject) => {
+            const stream = createWriteStream(filePath, {
+                encoding: options.encoding || 'utf8'
+            });
+
+            stream.on('finish', resolve);
+            stream.on('error', reject);
+            stream.write(content);
+            stream.end();
+        });
+    }
+
+    /**
+     * Запись файла (sync)
+     */
+    writeFile(filePath, content, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        return writeFileSync(filePath, content, options.encoding || 'utf-8');
+    }
+
+    /**
+     * Проверка существования файла
+     */
+    fileExists(filePath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        return existsSync(filePath);
+    }
+
+    /**
+     * Получить информацию о файле
+     */
+    getFileInfo(filePath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        const stats = statSync(filePath);
+
+        return {
+            size: stats.size,
+            created: stats.birthtime,
+            modified: stats.mtime,
+            accessed: stats.atime,
+            isFile: stats.isFile(),
+            isDirectory: stats.isDirectory(),
+            isSymbolicLink: stats.isSymbolicLink(),
+            mode: stats.mode,
+            uid: stats.uid,
+            gid: stats.gid
+        };
+    }
+
+    /**
+     * Прочитать директорию
+     */
+    readDirectory(dirPath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(dirPath);
+        }
+
+        const files = readdirSync(dirPath, {
+            withFileTypes: options.withFileTypes || false
+        });
+
+        if (options.recursive) {
+            const result = [];
+
+            for (const file of files) {
+                const filePath = join(dirPath, file.name || file);
+
+                if (statSync(filePath).isDirectory()) {
+                    const subDir = this.readDirectory(filePath, options);
+                    result.push(...subDir.map(f => join(file.name || file, f)));
+                } else {
+                    result.push(file.name || file);
+                }
+            }
+
+            return result;
+        }
+
+        return files;
+    }
+
+    /**
+     * Создать директорию
+     */
+    createDirectory(dirPath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(dirPath);
+        }
+
+        const fs = require('fs');
+        if (options.recursive) {
+            const parentDir = dirname(dirPath);
+            if (!existsSync(parentDir)) {
+                this.createDirectory(parentDir, options);
+            }
+        }
+
+        if (!existsSync(dirPath)) {
+            fs.mkdirSync(dirPath, { recursive: options.recursive });
+        }
+    }
+
+    /**
+     * Удалить файл
+     */
+    deleteFile(filePath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        const fs = require('fs');
+        fs.unlinkSync(filePath);
+    }
+
+    /**
+     * Удалить директорию
+     */
+    deleteDirectory(dirPath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(dirPath);
+        }
+
+        const fs = require('fs');
+
+        if (options.recursive) {
+            const files = this.readDirectory(dirPath);
+            for (const file of files) {
+                const filePath = join(dirPath, file);
+                const stats = statSync(filePath);
+
+                if (stats.isDirectory()) {
+                    this.deleteDirectory(filePath, options);
+                } else {
+                    fs.unlinkSync(filePath);
+                }
+            }
+        }
+
+        fs.rmdirSync(dirPath);
+    }
+
+    /**
+     * Копировать файл
+     */
+    copyFile(src, dest) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(src);
+            this.securityManager.checkPath(dest);
+        }
+
+        const fs = require('fs');
+        fs.copyFileSync(src, dest);
+    }
+
+    /**
+     * Переместить файл
+     */
+    moveFile(src, dest) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(src);
+            this.securityManager.checkPath(dest);
+        }
+
+        const fs = require('fs');
+        fs.renameSync(src, dest);
+    }
+
+    /**
+     * Смотреть за изменениями файла (watch)
+     */
+    watchFile(filePath, callback, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(filePath);
+        }
+
+        const fs = require('fs');
+
+        const watcher = fs.watch(filePath, options, (eventType, filename) => {
+            callback({
+                event: eventType,
+                filename: filename,
+                path: filePath
+            });
+        });
+
+        return {
+            close: () => watcher.close()
+        };
+    }
+
+    /**
+     * Смотреть за изменениями директории
+     */
+    watchDirectory(dirPath, callback, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(dirPath);
+        }
+
+        const fs = require('fs');
+
+        const watcher = fs.watch(dirPath, options, (eventType, filename) => {
+            callback({
+                event: eventType,
+                filename: filename,
+                path: dirPath
+            });
+        });
+
+        return {
+            close: () => watcher.close()
+        };
+    }
+
+    /**
+     * Поиск файлов по паттерну
+     */
+    findFiles(dirPath, pattern, options = {}) {
+        const results = [];
+        const files = this.readDirectory(dirPath, { recursive: true });
+
+        for (const file of files) {
+            const filePath = join(dirPath, file);
+
+            if (pattern instanceof RegExp) {
+                if (pattern.test(file)) {
+                    results.push(filePath);
+                }
+            } else if (typeof pattern === 'string') {
+                if (file.includes(pattern)) {
+                    results.push(filePath);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Поиск файлов по расширению
+     */
+    findByExtension(dirPath, extension, options = {}) {
+        return this.findFiles(dirPath, new RegExp(`\\.${extension}$`), options);
+    }
+
+    /**
+     * Получить размер директории
+     */
+    getDirectorySize(dirPath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(dirPath);
+        }
+
+        let totalSize = 0;
+        const files = this.readDirectory(dirPath, { recursive: true });
+
+        for (const file of files) {
+            const filePath = join(dirPath, file);
+            totalSize += statSync(filePath).size;
+        }
+
+        return totalSize;
+    }
+
+    /**
+     * Получить MIME тип файла
+     */
+    getMimeType(filePath) {
+        const ext = extname(filePath).toLowerCase();
+
+        const mimeTypes = {
+            '.txt': 'text/plain',
+            '.json': 'application/json',
+            '.xml': 'application/xml',
+            '.html': 'text/html',
+            '.css': 'text/css',
+            '.js': 'application/javascript',
+            '.vx': 'text/plain',
+            '.pdf': 'application/pdf',
+            '.zip': 'application/zip',
+            '.png': 'image/png',
+            '.jpg': 'image/jpeg',
+            '.jpeg': 'image/jpeg',
+            '.gif': 'image/gif',
+            '.svg': 'image/svg+xml'
+        };
+
+        return mimeTypes[ext] || 'application/octet-stream';
+    }
+
+    /**
+     * Создать символическую ссылку
+     */
+    createSymlink(target, linkPath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(target);
+            this.securityManager.checkPath(linkPath);
+        }
+
+        const fs = require('fs');
+        fs.symlinkSync(target, linkPath);
+    }
+
+    /**
+     * Прочитать символическую ссылку
+     */
+    readSymlink(linkPath) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(linkPath);
+        }
+
+        const fs = require('fs');
+        return fs.readlinkSync(linkPath);
+    }
+
+    /**
+     * Проверить, является ли путь символической ссылкой
+     */
+    isSymlink(path) {
+        if (this.securityManager) {
+            this.securityManager.checkPath(path);
+        }
+
+        return statSync(path).isSymbolicLink();
+    }
+}
+return { IOOperations, default: IOOperations };
+})();
+
+// Module: runtime/network-operations.js
+const __vx_m30 = (() => {
+/**
+ * NetworkOperations — Сетевые операции
+ */
+
+const { default: https } = __vx_ext4;
+const { default: http } = __vx_ext5;
+const { URL } = __vx_ext2;
+
+class NetworkOperations {
+    constructor(securityManager) {
+        this.securityManager = securityManager;
+        this.defaultOptions = {
+            timeout: 30000,
+            maxRedirects: 5,
+            headers: {
+                'User-Agent': 'VladX/1.0'
+            }
+        };
+    }
+
+    /**
+     * HTTP GET запрос
+     */
+    async get(url, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'GET'
+        });
+    }
+
+    /**
+     * HTTP POST запрос
+     */
+    async post(url, data, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            body: data
+        });
+    }
+
+    /**
+     * HTTP PUT запрос
+     */
+    async put(url, data, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'PUT',
+            body: data
+        });
+    }
+
+    /**
+     * HTTP DELETE запрос
+     */
+    async delete(url, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'DELETE'
+        });
+    }
+
+    /**
+     * HTTP PATCH запрос
+     */
+    async patch(url, data, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'PATCH',
+            body: data
+        });
+    }
+
+    /**
+     * Общий HTTP запрос
+     */
+    async request(url, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkURL(url);
+        }
+
+        const mergedOptions = {
+            ...this.defaultOptions,
+            ...options
+        };
+
+        return new Promise((resolve, reject) => {
+            const urlObj = new URL(url);
+            const client = urlObj.protocol === 'https:' ? https : http;
+
+            const reqOptions = {
+                method: mergedOptions.method,
+                headers: {
+                    ...mergedOptions.headers
+                },
+                timeout: mergedOptions.timeout
+            };
+
+            const req = client.request(url, reqOptions, (res) => {
+                let data = '';
+
+                res.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                res.on('end', () => {
+                    const response = {
+                        status: res.statusCode,
+                        statusText: res.statusMessage,
+                        headers: res.headers,
+                        data: this.parseResponse(data, res.headers['content-type'])
+                    };
+
+                    // Редиректы
+                    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                        if (mergedOptions.maxRedirects > 0) {
+                            this.request(res.headers.location, {
+                                ...mergedOptions,
+                                maxRedirects: mergedOptions.maxRedirects - 1
+                            }).then(resolve).catch(reject);
+                            return;
+                        }
+                    }
+
+                    resolve(response);
+                });
+            });
+
+            req.on('error', reject);
+            req.on('timeout', () => {
+                req.destroy();
+                reject(new Error(`Request timeout: ${url}`));
+            });
+
+            if (mergedOptions.body) {
+                req.write(mergedOptions.body);
+            }
+
+            req.end();
+        });
+    }
+
+    /**
+     * Парсинг ответа
+     */
+    parseResponse(data, contentType) {
+        if (!contentType) return data;
+
+        if (contentType.includes('application/json')) {
+            try {
+                return JSON.parse(data);
+            } catch (e) {
+                return data;
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Download файла
+     */
+    async downloadFile(url, destPath) {
+        if (this.securityManager) {
+            this.securityManager.checkURL(url);
+            this.securityManager.checkPath(destPath);
+        }
+
+        return new Promise((resolve, reject) => {
+            const urlObj = new URL(url);
+            const client = urlObj.protocol === 'https:' ? https : http;
+            const fs = require('fs');
+            const file = fs.createWriteStream(destPath);
+
+            client.get(url, (response) => {
+                response.pipe(file);
+
+                file.on('finish', () => {
+                    file.close();
+                    resolve(destPath);
+                });
+            }).on('error', (err) => {
+                fs.unlink(destPath, () => {});
+                reject(err);
+            });
+        });
+    }
+
+    /**
+     * Upload файла
+     */
+    async uploadFile(url, filePath, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkURL(url);
+            this.securityManager.checkPath(filePath);
+        }
+
+        const fs = require('fs');
+        const formData = require('form-data');
+
+        const form = new FormData();
+        const stats = fs.statSync(filePath);
+
+        form.append('file', fs.createReadStream(filePath), {
+            filename: require('path').basename(filePath),
+            knownLength: stats.size
+        });
+
+        const formHeaders = form.getHeaders();
+
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            headers: {
+                ...options.headers,
+                ...formHeaders
+            },
+            body: form
+        });
+    }
+
+    /**
+     * WebSocket соединение
+     */
+    createWebSocket(url, options = {}) {
+        if (this.securityManager) {
+            this.securityManager.checkURL(url);
+        }
+
+        const WebSocket = require('ws');
+        return new WebSocket(url, options);
+    }
+
+    /**
+     * Создать HTTP сервер
+     */
+    createServer(port, handler, options = {}) {
+        const server = http.createServer((req, res) => {
+            // CORS
+            if (options.cors) {
+                res.setHeader('Access-Control-Allow-Origin', options.cors.origin || '*');
+                res.setHeader('Access-Control-Allow-Methods', options.cors.methods || 'GET, POST, PUT, DELETE');
+                res.setHeader('Access-Control-Allow-Headers', options.cors.headers || 'Content-Type');
+            }
+
+            // Logging
+            if (options.logging) {
+                console.log(`${req.method} ${req.url}`);
+            }
+
+            handler(req, res);
+        });
+
+        server.listen(port, () => {
+            console.log(`Server running on port ${port}`);
+        });
+
+        return server;
+    }
+
+    /**
+     * Создать HTTPS сервер
+     */
+    createHttpsServer(port, handler, options = {}) {
+        const server = https.createServer(options.credentials || {}, (req, res) => {
+            // CORS
+            if (options.cors) {
+                res.setHeader('Access-Control-Allow-Origin', options.cors.origin || '*');
+                res.setHeader('Access-Control-Allow-Methods', options.cors.methods || 'GET, POST, PUT, DELETE');
+                res.setHeader('Access-Control-Allow-Headers', options.cors.headers || 'Content-Type');
+            }
+
+            handler(req, res);
+        });
+
+        server.listen(port, () => {
+            console.log(`HTTPS Server running on port ${port}`);
+        });
+
+        return server;
+    }
+
+    /**
+     * Проверить доступность URL
+     */
+    async checkUrl(url) {
+        try {
+            const response = await this.head(url);
+            return response.status >= 200 && response.status < 400;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * HEAD запрос
+     */
+    async head(url, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'HEAD'
+        });
+    }
+
+    /**
+     * OPTIONS запрос
+     */
+    async options(url, options = {}) {
+        return this.request(url, {
+            ...options,
+            method: 'OPTIONS'
+        });
+    }
+
+    /**
+     * Отправить FormData
+     */
+    async sendForm(url, formData, options = {}) {
+        if (typeof formData === 'object') {
+            const form = new FormData();
+            for (const [key, value] of Object.entries(formData)) {
+                form.append(key, value);
+            }
+            formData = form;
+        }
+
+        const formHeaders = formData.getHeaders();
+
+        return this.request(url, {
+            ...options,
+            method: 'POST',
+            headers: {
+                ...options.headers,
+                ...formHeaders
+            },
+            body: formData
+        });
+    }
+
+    /**
+     * multipart/form-data
+     */
+    createMultipartForm() {
+        const boundary = `----VladX${Date.now()}`;
+        const parts = [];
+
+        return {
+            addField: (name, value) => {
+                parts.push(
+                    `--${boundary}\r\n` +
+                    `Content-Disposition: form-data; name="${name}"\r\n\r\n` +
+                    `${value}\r\n`
+                );
+            },
+            addFile: (name, filename, content, contentType) => {
+                parts.push(
+                    `--${boundary}\r\n` +
+                    `Content-Disposition: form-data; name="${name}"; filename="${filename}"\r\n` +
+                    `Content-Type: ${contentType || 'application/octet-stream'}\r\n\r\n` +
+                    `${content}\r\n`
+                );
+            },
+            build: () => {
+                return parts.join('') + `--${boundary}--\r\n`;
+            },
+            getContentType: () => {
+                return `multipart/form-data; boundary=${boundary}`;
+            }
+        };
+    }
+}
+return { NetworkOperations, default: NetworkOperations };
+})();
+
+// Module: runtime/data-structures.js
+const __vx_m31 = (() => {
+/**
+ * DataStructures — Структуры данных
+ */
+
+const { VladXObject } = __vx_m6;
+
+class Stack {
+    constructor() {
+        this.items = [];
+    }
+
+    push(item) {
+        this.items.push(item);
+    }
+
+    pop() {
+        if (this.items.length === 0) {
+            throw new Error('Стек пуст');
+        }
+        return this.items.pop();
+    }
+
+    peek() {
+        if (this.items.length === 0) {
+            return null;
+        }
+        return this.items[this.items.length - 1];
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    clear() {
+        this.items = [];
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+}
+
+class Queue {
+    constructor() {
+        this.items = [];
+    }
+
+    enqueue(item) {
+        this.items.push(item);
+    }
+
+    dequeue() {
+        if (this.items.length === 0) {
+            throw new Error('Очередь пуста');
+        }
+        return this.items.shift();
+    }
+
+    peek() {
+        if (this.items.length === 0) {
+            return null;
+        }
+        return this.items[0];
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    clear() {
+        this.items = [];
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+}
+
+class LinkedList {
+    constructor() {
+        this.head = null;
+        this.tail = null;
+        this.size = 0;
+    }
+
+    append(value) {
+        const node = { value, next: null };
+
+        if (!this.head) {
+            this.head = node;
+            this.tail = node;
+        } else {
+            this.tail.next = node;
+            this.tail = node;
+        }
+
+        this.size++;
+    }
+
+    prepend(value) {
+        const node = { value, next: this.head };
+
+        if (!this.head) {
+            this.tail = node;
+        }
+
+        this.head = node;
+        this.size++;
+    }
+
+    remove(value) {
+        if (!this.head) return false;
+
+        if (this.head.value === value) {
+            this.head = this.head.next;
+            if (!this.head) this.tail = null;
+            this.size--;
+            return true;
+        }
+
+        let current = this.head;
+        while (current.next) {
+            if (current.next.value === value) {
+                if (!current.next.next) {
+                    this.tail = current;
+                }
+                current.next = current.next.next;
+                this.size--;
+                return true;
+            }
+            current = current.next;
+        }
+
+        return false;
+    }
+
+    contains(value) {
+        let current = this.head;
+        while (current) {
+            if (current.value === value) return true;
+            current = current.next;
+        }
+        return false;
+    }
+
+    toArray() {
+        const result = [];
+        let current = this.head;
+        while (current) {
+            result.push(current.value);
+            current = current.next;
+        }
+        return result;
+    }
+
+    getSize() {
+        return this.size;
+    }
+
+    isEmpty() {
+        return this.size === 0;
+    }
+
+    clear() {
+        this.head = null;
+        this.tail = null;
+        this.size = 0;
+    }
+}
+
+class PriorityQueue {
+    constructor(comparator = (a, b) => a < b) {
+        this.items = [];
+        this.comparator = comparator;
+    }
+
+    enqueue(item, priority = 0) {
+        const element = { item, priority };
+        let added = false;
+
+        for (let i = 0; i < this.items.length; i++) {
+            if (this.comparator(priority, this.items[i].priority)) {
+                this.items.splice(i, 0, element);
+                added = true;
+                break;
+            }
+        }
+
+        if (!added) {
+            this.items.push(element);
+        }
+    }
+
+    dequeue() {
+        if (this.items.length === 0) {
+            throw new Error('Очередь пуста');
+        }
+        return this.items.shift().item;
+    }
+
+    peek() {
+        if (this.items.length === 0) {
+            return null;
+        }
+        return this.items[0].item;
+    }
+
+    isEmpty() {
+        return this.items.length === 0;
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    clear() {
+        this.items = [];
+    }
+}
+
+class SetCustom {
+    constructor() {
+        this.items = new Map();
+    }
+
+    add(value) {
+        const key = JSON.stringify(value);
+        if (!this.items.has(key)) {
+            this.items.set(key, value);
+        }
+    }
+
+    has(value) {
+        const key = JSON.stringify(value);
+        return this.items.has(key);
+    }
+
+    delete(value) {
+        const key = JSON.stringify(value);
+        return this.items.delete(key);
+    }
+
+    values() {
+        return Array.from(this.items.values());
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    union(otherSet) {
+        const unionSet = new SetCustom();
+        this.values().forEach(value => unionSet.add(value));
+        otherSet.values().forEach(value => unionSet.add(value));
+        return unionSet;
+    }
+
+    intersection(otherSet) {
+        const intersectionSet = new SetCustom();
+        this.values().forEach(value => {
+            if (otherSet.has(value)) {
+                intersectionSet.add(value);
+            }
+        });
+        return intersectionSet;
+    }
+
+    difference(otherSet) {
+        const differenceSet = new SetCustom();
+        this.values().forEach(value => {
+            if (!otherSet.has(value)) {
+                differenceSet.add(value);
+            }
+        });
+        return differenceSet;
+    }
+
+    isSubset(otherSet) {
+        return this.values().every(value => otherSet.has(value));
+    }
+
+    keys() {
+        return this.values();
+    }
+
+    [Symbol.iterator]() {
+        return this.items.values();
+    }
+}
+
+class MapCustom {
+    constructor() {
+        this.items = new Map();
+    }
+
+    set(key, value) {
+        const hashKey = JSON.stringify(key);
+        this.items.set(hashKey, { key, value });
+    }
+
+    get(key) {
+        const hashKey = JSON.stringify(key);
+        const entry = this.items.get(hashKey);
+        return entry ? entry.value : undefined;
+    }
+
+    has(key) {
+        const hashKey = JSON.stringify(key);
+        return this.items.has(hashKey);
+    }
+
+    delete(key) {
+        const hashKey = JSON.stringify(key);
+        return this.items.delete(hashKey);
+    }
+
+    keys() {
+        return Array.from(this.items.values()).map(entry => entry.key);
+    }
+
+    values() {
+        return Array.from(this.items.values()).map(entry => entry.value);
+    }
+
+    entries() {
+        return Array.from(this.items.values()).map(entry => [entry.key, entry.value]);
+    }
+
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+class TrieNode {
+    constructor() {
+        this.children = new Map();
+        this.isEndOfWord = false;
+    }
+}
+
+class Trie {
+    constructor() {
+        this.root = new TrieNode();
+    }
+
+    insert(word) {
+        let node = this.root;
+
+        for (const char of word) {
+            if (!node.children.has(char)) {
+                node.children.set(char, new TrieNode());
+            }
+            node = node.children.get(char);
+        }
+
+        node.isEndOfWord = true;
+    }
+
+    search(word) {
+        let node = this.root;
+
+        for (const char of word) {
+            if (!node.children.has(char)) {
+                return false;
+            }
+            node = node.children.get(char);
+        }
+
+        return node.isEndOfWord;
+    }
+
+    startsWith(prefix) {
+        let node = this.root;
+
+        for (const char of prefix) {
+            if (!node.children.has(char)) {
+                return false;
+            }
+            node = node.children.get(char);
+        }
+
+        return true;
+    }
+
+    delete(word) {
+        const deleteRecursive = (node, word, index) => {
+            if (index === word.length) {
+                if (!node.isEndOfWord) return false;
+                node.isEndOfWord = false;
+                return node.children.size === 0;
+            }
+
+            const char = word[index];
+            const child = node.children.get(char);
+
+            if (!child) return false;
+
+            const shouldDeleteChild = deleteRecursive(child, word, index + 1);
+
+            if (shouldDeleteChild) {
+                node.children.delete(char);
+                return node.children.size === 0 && !node.isEndOfWord;
+            }
+
+            return false;
+        };
+
+        deleteRecursive(this.root, word, 0);
+    }
+
+    getAllWords(prefix = '') {
+        const words = [];
+        let node = this.root;
+
+        for (const char of prefix) {
+            if (!node.children.has(char)) return words;
+            node = node.children.get(char);
+        }
+
+        const collectWords = (currentNode, currentPrefix) => {
+            if (currentNode.isEndOfWord) {
+                words.push(currentPrefix);
+            }
+
+            for (const [char, child] of currentNode.children) {
+                collectWords(child, currentPrefix + char);
+            }
+        };
+
+        collectWords(node, prefix);
+        return words;
+    }
+}
+
+class BinarySearchTree {
+    constructor(compareFn = (a, b) => a - b) {
+        this.root = null;
+        this.compareFn = compareFn;
+    }
+
+    insert(value) {
+        const newNode = { value, left: null, right: null };
+
+        if (!this.root) {
+            this.root = newNode;
+        } else {
+            this.insertNode(this.root, newNode);
+        }
+    }
+
+    insertNode(node, newNode) {
+        const comparison = this.compareFn(newNode.value, node.value);
+
+        if (comparison < 0) {
+            if (!node.left) {
+                node.left = newNode;
+            } else {
+                this.insertNode(node.left, newNode);
+            }
+        } else {
+            if (!node.right) {
+                node.right = newNode;
+            } else {
+                this.insertNode(node.right, newNode);
+            }
+        }
+    }
+
+    search(value) {
+        return this.searchNode(this.root, value);
+    }
+
+    searchNode(node, value) {
+        if (!node) return null;
+
+        const comparison = this.compareFn(value, node.value);
+
+        if (comparison === 0) return node;
+        if (comparison < 0) return this.searchNode(node.left, value);
+        return this.searchNode(node.right, value);
+    }
+
+    inOrderTraversal(callback) {
+        this.inOrderTraversalNode(this.root, callback);
+    }
+
+    inOrderTraversalNode(node, callback) {
+        if (!node) return;
+
+        this.inOrderTraversalNode(node.left, callback);
+        callback(node.value);
+        this.inOrderTraversalNode(node.right, callback);
+    }
+
+    preOrderTraversal(callback) {
+        this.preOrderTraversalNode(this.root, callback);
+    }
+
+    preOrderTraversalNode(node, callback) {
+        if (!node) return;
+
+        callback(node.value);
+        this.preOrderTraversalNode(node.left, callback);
+        this.preOrderTraversalNode(node.right, callback);
+    }
+
+    postOrderTraversal(callback) {
+        this.postOrderTraversalNode(this.root, callback);
+    }
+
+    postOrderTraversalNode(node, callback) {
+        if (!node) return;
+
+        this.postOrderTraversalNode(node.left, callback);
+        this.postOrderTraversalNode(node.right, callback);
+        callback(node.value);
+    }
+
+    min() {
+        if (!this.root) return null;
+
+        let node = this.root;
+        while (node.left) {
+            node = node.left;
+        }
+        return node.value;
+    }
+
+    max() {
+        if (!this.root) return null;
+
+        let node = this.root;
+        while (node.right) {
+            node = node.right;
+        }
+        return node.value;
+    }
+
+    remove(value) {
+        this.root = this.removeNode(this.root, value);
+    }
+
+    removeNode(node, value) {
+        if (!node) return null;
+
+        const comparison = this.compareFn(value, node.value);
+
+        if (comparison < 0) {
+            node.left = this.removeNode(node.left, value);
+        } else if (comparison > 0) {
+            node.right = this.removeNode(node.right, value);
+        } else {
+            if (!node.left && !node.right) {
+                return null;
+            }
+
+            if (!node.left) {
+                return node.right;
+            }
+
+            if (!node.right) {
+                return node.left;
+            }
+
+            const minRight = this.findMinNode(node.right);
+            node.value = minRight.value;
+            node.right = this.removeNode(node.right, minRight.value);
+        }
+
+        return node;
+    }
+
+    findMinNode(node) {
+        while (node.left) {
+            node = node.left;
+        }
+        return node;
+    }
+
+    toArray() {
+        const result = [];
+        this.inOrderTraversal(value => result.push(value));
+        return result;
+    }
+}
+
+const __vx_default = {
+    Stack,
+    Queue,
+    LinkedList,
+    PriorityQueue,
+    SetCustom,
+    MapCustom,
+    Trie,
+    BinarySearchTree
+};
+return { Stack, Queue, LinkedList, PriorityQueue, SetCustom, MapCustom, TrieNode, Trie, BinarySearchTree, default: __vx_default };
+})();
+
+// Module: engine/vladx-engine.js
+const __vx_m32 = (() => {
+/**
+ * VladX Engine — Основной движок языка
+ * Объединяет лексер, парсер и интерпретатор
+ */
+
+const { Lexer } = __vx_m3;
+const { Parser } = __vx_m5;
+const { Interpreter } = __vx_m16;
+const { AOTCompiler } = __vx_m22;
+const { JITCompiler } = __vx_m12;
+const { BytecodeVM } = __vx_m15;
+const { ModuleSystem } = __vx_m21;
+const { Builtins } = __vx_m23;
+const { VladXObject, EnumType, EnumValue } = __vx_m6;
+const { Decimal } = __vx_m0;
+const { encodeJson, decodeJson } = __vx_m17;
+const { compileRegex } = __vx_m2;
+const { CacheManager } = __vx_m24;
+const { SecurityManager } = __vx_m25;
+const { Debugger } = __vx_m26;
+const { Profiler } = __vx_m27;
+const { REPL } = __vx_m28;
+const { IOOperations } = __vx_m29;
+const { NetworkOperations } = __vx_m30;
+const { Functional } = __vx_m9;
+const { default: DataStructures } = __vx_m31;
+const { readFileSync, writeFileSync, existsSync } = __vx_ext0;
+const { dirname, join, extname } = __vx_ext1;
+const { fileURLToPath } = __vx_ext2;
+
+const __dirname = dirname(fileURLToPath(new URL('./engine/vladx-engine.js', import.meta.url).href));
+
+class VladXEngine {
+    constructor(options = {}) {
+        this.debug = options.debug || false;
+        this.strictMode = options.strictMode || false;
+        this.maxExecutionTime = options.maxExecutionTime ?? 30000; // 30 секунд по умолчанию, 0 — без ограничения
+        // Аргументы программы: то, что стоит после -- в "vladx run файл.vx -- ..."
+        this.argv = options.argv || [];
+
+        this.cacheManager = new CacheManager(options.cache);
+        this.securityManager = new SecurityManager(options.security);
+        this.debugger = new Debugger(null);
+        this.profiler = new Profiler();
+
+        this.moduleSystem = new ModuleSystem(null);
+        this.moduleSystem.securityManager = this.securityManager;
+
+        this.interpreter = new Interpreter({
+            debug: this.debug,
+            strictMode: this.strictMode,
+            maxExecutionTime: this.maxExecutionTime,
+            moduleSystem: this.moduleSystem
+        });
+
+        this.moduleSystem.interpreter = this.interpreter;
+        this.debugger.interpreter = this.interpreter;
+        this.interpreter.debugger = this.debugger;
+        this.interpreter.profiler = this.profiler;
+
+        // ВМ и JIT отключаются в режиме отладки и в строгом режиме:
+        // их код не проходит через отладчик и проверки типов
+        this.vm = null;
+        if (options.vm && !this.debug && !this.strictMode) {
+            this.vm = new BytecodeVM(this.interpreter);
+            this.interpreter.vm = this.vm;
+        }
+
+        this.jit = null;
+        if ((options.jit || options.jitDifferential) && !this.debug && !this.strictMode && !this.vm) {
+            this.jit = new JITCompiler(this.interpreter, {
+                threshold: options.jitThreshold,
+                differential: options.jitDifferential
+            });
+            this.interpreter.jit = this.jit;
+        }
+
+        this.ioOperations = new IOOperations(this.securityManager);
+        this.networkOperations = new NetworkOperations(this.securityManager);
+
+        this.builtins = new Builtins(this.interpreter);
+
+        this.updateNodeModulesPaths(process.cwd());
+
+        this.registerBuiltins();
+        this.registerAdvancedBuiltins();
+        // Now register the built-ins in the interpreter's environment
+        this.interpreter.refreshBuiltins();
+    }
+    
+    /**
+     * Обновление путей для поиска модулей в node_modules
+     */
+    updateNodeModulesPaths(projectPath) {
+        const paths = [];
+        
+        // Добавляем локальную node_modules
+        paths.push(join(projectPath, 'node_modules'));
+        
+        // Добавляем родительские node_modules (аналог Node.js)
+        let currentPath = projectPath;
+        const rootDir = process.env.HOME || process.env.USERPROFILE || '/';
+        
+        while (currentPath !== rootDir && currentPath !== '/' && currentPath !== 'C:\\') {
+            currentPath = dirname(currentPath);
+            paths.push(join(currentPath, 'node_modules'));
+        }
+        
+        // Добавляем глобальные модули vladpm
+        const globalPath = join(process.env.HOME || process.env.USERPROFILE, '.vladx', 'global_modules');
+        paths.push(globalPath);
+        
+        this.moduleSystem.setNodeModulesPaths(paths);
+    }
+
+    /**
+     * Форматирование значения для вывода
+     */
+    formatValue(arg) {
+        // Проверяем, является ли это VladXObject
+        if (arg && typeof arg === 'object' && arg.type !== undefined) {
+            switch (arg.type) {
+                case 'null':
+                    return 'nothing';
+                case 'string':
+                    return arg.value;
+                case 'number':
+                    return String(arg.value);
+                case 'boolean':
+                    return arg.value ? 'истина' : 'ложь';
+                case 'object':
+                    // Красивый вывод объекта
+                    const props = [];
+                    for (const [key, val] of Object.entries(arg.value || {})) {
+                        props.push(`${key}: ${this.formatValue(val)}`);
+                    }
+                    return '{ ' + props.join(', ') + ' }';
+                case 'array':
+                    const elements = (arg.value || []).map(v => this.formatValue(v));
+                    return '[' + elements.join(', ') + ']';
+                case 'function':
+                    return `<функция ${arg.name}>`;
+                case 'generator':
+                    return `<генератор ${arg.name}>`;
+                default:
+                    return String(arg.value);
+            }
+        }
+        if (arg instanceof Decimal || arg instanceof RegExp || arg instanceof EnumType || arg instanceof EnumValue) {
+            return arg.toString();
+        }
+        // Обычные объекты JS
+        if (typeof arg === 'object' && arg !== null) {
+            // Проверяем, не является ли это массивом
+            if (Array.isArray(arg)) {
+                return '[' + arg.map(v => this.formatValue(v)).join(', ') + ']';
+            }
+            return JSON.stringify(arg, null, 2);
+        }
+        return String(arg);
+    }
+
+    /**
+     * Регистрация встроенных модулей и функций
+     */
+    registerBuiltins() {
+        // Математические функции
+        this.interpreter.builtins.set('максимум', (...args) => Math.max(...args));
+        this.interpreter.builtins.set('минимум', (...args) => Math.min(...args));
+        this.interpreter.builtins.set('случайный', () => Math.random());
+        this.interpreter.builtins.set('случайноеЦелое', (min, max) => 
+            Math.floor(Math.random() * (max - min + 1)) + min);
+        this.interpreter.builtins.set('abs', (n) => Math.abs(n));
+        this.interpreter.builtins.set('округлить', (n) => Math.round(n));
+        this.interpreter.builtins.set('пол', (n) => Math.floor(n));
+        this.interpreter.builtins.set('потолок', (n) => Math.ceil(n));
+        this.interpreter.builtins.set('корень', (n) => Math.sqrt(n));
+        this.interpreter.builtins.set('степень', (base, exp) => Math.pow(base, exp));
+        this.interpreter.builtins.set('ln', (n) => Math.log(n));
+        this.interpreter.builtins.set('log10', (n) => Math.log10(n));
+        this.interpreter.builtins.set('sin', (n) => Math.sin(n));
+        this.interpreter.builtins.set('cos', (n) => Math.cos(n));
+        this.interpreter.builtins.set('tan', (n) => Math.tan(n));
+        this.interpreter.builtins.set('asin', (n) => Math.asin(n));
+        this.interpreter.builtins.set('acos', (n) => Math.acos(n));
+        this.interpreter.builtins.set('atan', (n) => Math.atan(n));
+        this.interpreter.builtins.set('пи', () => Math.PI);
+        this.interpreter.builtins.set('e', () => Math.E);
+        
+        // Строковые функции
+        this.interpreter.builtins.set('длина', (str) => str?.length ?? 0);
+        this.interpreter.builtins.set('нижнийРегистр', (str) => str.toLowerCase());
+        this.interpreter.builtins.set('верхнийРегистр', (str) => str.toUpperCase());
+        this.interpreter.builtins.set('обрезка', (str) => str.trim());
+        // С регулярным выражением заменяет все совпадения, замена может быть функцией
+        this.interpreter.builtins.set('заменить', (str, old, replacement) => old instanceof RegExp
+            ? this.interpreter.regex.заменитьВсе(old, str, replacement)
+            : str.replaceAll(old, replacement));
+        this.interpreter.builtins.set('разделить', (str, delimiter) => str.split(delimiter));
+        this.interpreter.builtins.set('соединить', (arr, delimiter) => arr.join(delimiter));
+        this.interpreter.builtins.set('подстрока', (str, start, end) => 
+            str.substring(start, end));
+        this.interpreter.builtins.set('кодСимвола', (str, index) => str.charCodeAt(index));
+        this.interpreter.builtins.set('символПоКоду', (code) => String.fromCharCode(code));
+        this.interpreter.builtins.set('код', (val, indent) => encodeJson(val, indent));
+        this.interpreter.builtins.set('разкод', (str, options) => decodeJson(str, options || {}));
+        
+        // Функции для работы с массивами
+        this.interpreter.builtins.set('создатьМассив', (...args) => {
+            // Args are already native values since they came from nativeArgs
+            return VladXObject.array([...args]);
+        });
+        this.interpreter.builtins.set('объединить', (...arrays) => {
+            // Arrays are already native arrays since they came from nativeArgs
+            const nativeArrays = arrays.map(arr => Array.isArray(arr) ? arr : []);
+            return VladXObject.array(nativeArrays.reduce((acc, arr) => [...acc, ...arr], []));
+        });
+        this.interpreter.builtins.set('фильтр', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.filter(callback));
+        });
+        this.interpreter.builtins.set('отобразить', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.map(callback));
+        });
+        this.interpreter.builtins.set('уменьшить', (arr, callback, initial) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.reduce(callback, initial);
+        });
+        this.interpreter.builtins.set('найти', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.find(callback);
+        });
+        this.interpreter.builtins.set('найтиИндекс', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.findIndex(callback);
+        });
+        this.interpreter.builtins.set('включает', (arr, item) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.includes(item);
+        });
+        this.interpreter.builtins.set('сортировать', (arr, comparator) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array([...nativeArray].sort(comparator));
+        });
+        this.interpreter.builtins.set('перевернуть', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array([...nativeArray].reverse());
+        });
+        this.interpreter.builtins.set('копировать', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array([...nativeArray]);
+        });
+        this.interpreter.builtins.set('пустой', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.length === 0;
+        });
+        this.interpreter.builtins.set('первый', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.length > 0 ? nativeArray[0] : undefined;
+        });
+        this.interpreter.builtins.set('последний', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.length > 0 ? nativeArray[nativeArray.length - 1] : undefined;
+        });
+        this.interpreter.builtins.set('хвост', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.length > 0 ? nativeArray.slice(1) : []);
+        });
+        this.interpreter.builtins.set('голова', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.length > 0 ? nativeArray.slice(0, -1) : []);
+        });
+        this.interpreter.builtins.set('добавить', (arr, item) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            const newArr = [...nativeArray];
+            newArr.push(item);
+            return VladXObject.array(newArr);
+        });
+        this.interpreter.builtins.set('вставить', (arr, index, item) => {
+            // arr is already a native array since it came from nativeArgs
+            if (!Array.isArray(arr)) {
+                console.warn(`Предупреждение: функция 'вставить' ожидает массив, получено: ${typeof arr}`);
+                return VladXObject.array([item]);
+            }
+            if (typeof index !== 'number' || !Number.isInteger(index)) {
+                throw new Error(`Индекс должен быть целым числом, получено: ${typeof index} (${index})`);
+            }
+            if (index < 0 || index > arr.length) {
+                throw new Error(`Индекс ${index} выходит за пределы допустимого диапазона [0, ${arr.length}]`);
+            }
+            const newArr = [...arr];
+            newArr.splice(index, 0, item);
+            return VladXObject.array(newArr);
+        });
+        this.interpreter.builtins.set('удалить', (arr, index) => {
+            // arr is already a native array since it came from nativeArgs
+            if (!Array.isArray(arr)) {
+                console.warn(`Предупреждение: функция 'удалить' ожидает массив, получено: ${typeof arr}`);
+                return VladXObject.array([]);
+            }
+            if (typeof index !== 'number' || !Number.isInteger(index)) {
+                throw new Error(`Индекс должен быть целым числом, получено: ${typeof index} (${index})`);
+            }
+            if (index < 0 || index >= arr.length) {
+                throw new Error(`Индекс ${index} выходит за пределы массива длиной ${arr.length}`);
+            }
+            const newArr = [...arr];
+            newArr.splice(index, 1);
+            return VladXObject.array(newArr);
+        });
+        this.interpreter.builtins.set('размер', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.length;
+        });
+        this.interpreter.builtins.set('каждый', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.every(callback);
+        });
+        this.interpreter.builtins.set('некоторые', (arr, callback) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return nativeArray.some(callback);
+        });
+        this.interpreter.builtins.set('срез', (arr, start, end) => {
+            // arr is already a native array since it came from nativeArgs
+            if (!Array.isArray(arr)) {
+                console.warn(`Предупреждение: функция 'срез' ожидает массив, получено: ${typeof arr}`);
+                return VladXObject.array([]);
+            }
+            if (typeof start !== 'number' || !Number.isInteger(start)) {
+                throw new Error(`Начальный индекс должен быть целым числом, получено: ${typeof start} (${start})`);
+            }
+            if (typeof end !== 'number' && end !== undefined) {
+                throw new Error(`Конечный индекс должен быть числом или undefined, получено: ${typeof end} (${end})`);
+            }
+            if (start < 0) start = Math.max(0, arr.length + start);
+            if (end !== undefined && end < 0) end = arr.length + end;
+            if (start > arr.length) start = arr.length;
+            if (end !== undefined && end > arr.length) end = arr.length;
+            if (start < 0) start = 0;
+            if (end !== undefined && end < 0) end = 0;
+
+            return VladXObject.array(arr.slice(start, end));
+        });
+        this.interpreter.builtins.set('заполнить', (arr, value, start = 0, end = arr.length) => {
+            // arr is already a native array since it came from nativeArgs
+            if (!Array.isArray(arr)) {
+                console.warn(`Предупреждение: функция 'заполнить' ожидает массив, получено: ${typeof arr}`);
+                return VladXObject.array([]);
+            }
+            if (typeof start !== 'number' || !Number.isInteger(start)) {
+                throw new Error(`Начальный индекс должен быть целым числом, получено: ${typeof start} (${start})`);
+            }
+            if (typeof end !== 'number' || !Number.isInteger(end)) {
+                throw new Error(`Конечный индекс должен быть целым числом, получено: ${typeof end} (${end})`);
+            }
+            const newArr = [...arr];
+            newArr.fill(value, start, end);
+            return VladXObject.array(newArr);
+        });
+        this.interpreter.builtins.set('развернуть', (arr) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.flat());
+        });
+        this.interpreter.builtins.set('развернутьГлубоко', (arr, depth = 1) => {
+            // arr is already a native array since it came from nativeArgs
+            const nativeArray = Array.isArray(arr) ? arr : [];
+            return VladXObject.array(nativeArray.flat(depth));
+        });
+        
+        // Функции для работы с объектами
+        this.interpreter.builtins.set('объект', (obj = {}) => {
+            // obj is already a native object since it came from nativeArgs
+            const nativeObj = obj && typeof obj === 'object' ? obj : {};
+            return VladXObject.object({...nativeObj});
+        });
+        this.interpreter.builtins.set('ключи', (obj) => Object.keys(obj));
+        this.interpreter.builtins.set('значения', (obj) => Object.values(obj));
+        this.interpreter.builtins.set('пары', (obj) => Object.entries(obj));
+        this.interpreter.builtins.set('слить', (...objects) => 
+            objects.reduce((acc, obj) => ({...acc, ...obj}), {}));
+        this.interpreter.builtins.set('из', (obj, key) => obj[key]);
+        this.interpreter.builtins.set('в', (obj, key, value) => {
+            const newObj = {...obj};
+            newObj[key] = value;
+            return newObj;
+        });
+        this.interpreter.builtins.set('удалитьСвойство', (obj, key) => {
+            const newObj = {...obj};
+            delete newObj[key];
+            return newObj;
+        });
+        this.interpreter.builtins.set('проверить', (obj, key) => key in obj);
+        
+        // Системные функции
+        const engine = this; // Capture engine reference for use in builtins
+        this.interpreter.builtins.set('печать', (...args) => {
+            console.log(...args.map(arg => engine.formatValue(arg)));
+        });
+        this.interpreter.builtins.set('вывод', (...args) => {
+            process.stdout.write(args.map(arg => engine.formatValue(arg)).join(' '));
+        });
+        this.interpreter.builtins.set('ждать', (ms) => new Promise(resolve => 
+            setTimeout(resolve, ms)));
+        this.interpreter.builtins.set('время', () => Date.now());
+        this.interpreter.builtins.set('аргументыКоманды', () => [...engine.argv]);
+        this.interpreter.builtins.set('дата', () => new Date());
+        this.interpreter.builtins.set('форматДаты', (date, format) => {
+            const pad = n => String(n).padStart(2, '0');
+            return format
+                .replace('YYYY', date.getFullYear())
+                .replace('MM', pad(date.getMonth() + 1))
+                .replace('DD', pad(date.getDate()))
+                .replace('HH', pad(date.getHours()))
+                .replace('mm', pad(date.getMinutes()))
+                .replace('ss', pad(date.getSeconds()));
+        });
+        
+        // Ввод от пользователя
+        this.interpreter.builtins.set('ввести', async (prompt = '') => {
+            const readline = await import('readline');
+            const rl = readline.createInterface({
+                input: process.stdin,
+                output: process.stdout
+            });
+
+            return new Promise((resolve) => {
+                rl.question(prompt, (answer) => {
+                    rl.close();
+                    resolve(answer);
+                });
+            });
+        });
+
+        // Файловые операции (улучшенные)
+        this.interpreter.builtins.set('файлЧитать', (path) => {
+            try {
+                return readFileSync(path, 'utf-8');
+            } catch (e) {
+                throw new Error(`Не удалось прочитать файл: ${path}: ${e.message}`);
+            }
+        });
+        this.interpreter.builtins.set('файлЗаписать', (path, content) => {
+            try {
+                writeFileSync(path, content, 'utf-8');
+                return true;
+            } catch (e) {
+                throw new Error(`Не удалось записать файл: ${path}: ${e.message}`);
+            }
+        });
+        this.interpreter.builtins.set('файлСуществует', (path) => existsSync(path));
+        
+        // Сетевые функции (улучшенные)
+        this.interpreter.builtins.set('запрос', async (url, options = {}) => {
+            const https = await import('https');
+            const http = await import('http');
+            
+            return new Promise((resolve, reject) => {
+                const urlObj = new URL(url);
+                const client = urlObj.protocol === 'https:' ? https : http;
+                
+                const req = client.request(url, {
+                    method: options.method || 'GET',
+                    headers: options.headers || {}
+                }, (res) => {
+                    let data = '';
+                    res.on('data', chunk => data += chunk);
+                    res.on('end', () => {
+                        if (options.raw) {
+                            resolve({ 
+                                status: res.statusCode, 
+                                headers: res.headers,
+                                body: data 
+                            });
+                        } else {
+                            try {
+                                resolve(JSON.parse(data));
+                            } catch {
+                                resolve(data);
+                            }
+                        }
+                    });
+                });
+                
+                req.on('error', reject);
+                if (options.body) {
+                    req.write(options.body);
+                }
+                req.end();
+            });
+        });
+        
+        // Криптографические функции
+        this.interpreter.builtins.set('хешMD5', async (str) => {
+            const crypto = await import('crypto');
+            return crypto.createHash('md5').update(str).digest('hex');
+        });
+        this.interpreter.builtins.set('хешSHA256', async (str) => {
+            const crypto = await import('crypto');
+            return crypto.createHash('sha256').update(str).digest('hex');
+        });
+        this.interpreter.builtins.set('генUUID', () => {
+            return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+                const r = Math.random() * 16 | 0;
+                return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+            });
+        });
+        
+        // Регулярные выражения
+        this.interpreter.builtins.set('регex', (pattern, flags = '') => compileRegex(pattern, flags));
+        this.interpreter.builtins.set('сопоставить', (str, regex) => str.match(regex));
+        this.interpreter.builtins.set('заменитьРВ', (str, regex, replacement) => 
+            str.replace(regex, replacement));
+        this.interpreter.builtins.set('разбитьРВ', (str, regex) => str.split(regex));
+        
+        // Типы и проверки
+        this.interpreter.builtins.set('тип', (val) => {
+            // Проверяем, является ли это VladXObject
+            if (val && typeof val === 'object' && val.type !== undefined) {
+                switch (val.type) {
+                    case 'null': return 'ничто';
+                    case 'string': return 'строка';
+                    case 'number': return 'число';
+                    case 'bigint': return 'большое';
+                    case 'decimal': return 'десятичное';
+                    case 'regex': return 'регвыр';
+                    case 'enum': return 'перечисление';
+                    case 'variant': return 'вариант';
+                    case 'boolean': return 'логический';
+                    case 'array': return 'массив';
+                    case 'object': return 'объект';
+                    case 'function': return 'функция';
+                    case 'closure': return 'замыкание';
+                    case 'class': return 'класс';
+                    case 'instance': return 'экземпляр';
+                    case 'generator': return 'генератор';
+                    default: return val.type;
+                }
+            }
+            if (val === null) return 'ничто';
+            if (val === undefined) return 'неопределено';
+            if (Array.isArray(val)) return 'массив';
+            if (typeof val === 'bigint') return 'большое';
+            if (val instanceof Decimal) return 'десятичное';
+            if (val instanceof RegExp) return 'регвыр';
+            if (val instanceof EnumType) return 'перечисление';
+            if (val instanceof EnumValue) return 'вариант';
+            return typeof val;
+        });
+        this.interpreter.builtins.set('этоЧисло', (val) => typeof val === 'number' && !isNaN(val));
+        this.interpreter.builtins.set('этоСтрока', (val) => typeof val === 'string');
+        this.interpreter.builtins.set('этоМассив', (val) => Array.isArray(val));
+        this.interpreter.builtins.set('этоОбъект', (val) => typeof val === 'object' && val !== null && !Array.isArray(val));
+        this.interpreter.builtins.set('этоФункция', (val) => typeof val === 'function');
+        this.interpreter.builtins.set('этоЛогическое', (val) => typeof val === 'boolean');
+        this.interpreter.builtins.set('этоПустой', (val) => {
+            if (val === null || val === undefined) return true;
+            if (typeof val === 'string') return val.length === 0;
+            if (Array.isArray(val)) return val.length === 0;
+            if (typeof val === 'object') return Object.keys(val).length === 0;
+            return false;
+        });
+        
+        // Конвертация типов
+        this.interpreter.builtins.set('вСтроку', (val) => String(val));
+        this.interpreter.builtins.set('вЧисло', (val) => {
+            const n = Number(val);
+            if (isNaN(n)) throw new Error('Не удалось конвертировать в число');
+            return n;
+        });
+        this.interpreter.builtins.set('большое', (val) => {
+            if (val instanceof Decimal) {
+                if (val.trim().scale > 0) throw new Error(`Десятичное ${val} не целое`);
+                return VladXObject.bigint(val.toBigInt());
+            }
+            if (typeof val === 'number' && !Number.isInteger(val)) {
+                throw new Error(`Число ${val} не целое`);
+            }
+            try {
+                return VladXObject.bigint(typeof val === 'string' ? val.trim().replace(/_/g, '') : val);
+            } catch {
+                throw new Error(`Не удалось конвертировать в большое: ${val}`);
+            }
+        });
+        // десятичное(значение, знаков, режим) — с округлением, если задано число знаков
+        this.interpreter.builtins.set('десятичное', (val, digits, rounding) => {
+            const decimal = Decimal.from(val);
+            return VladXObject.decimal(digits === undefined || digits === null ? decimal : decimal.round(digits, rounding));
+        });
+        this.interpreter.builtins.set('настроитьДесятичные', (options = {}) => Decimal.configure(options || {}));
+        this.interpreter.builtins.set('вМассив', (val) => {
+            if (Array.isArray(val)) return val;
+            if (val === null || val === undefined) return [];
+            return [val];
+        });
+        
+        // Функциональное программирование
+        this.interpreter.builtins.set('частичное', (fn, ...args) => 
+            (...moreArgs) => fn(...args, ...moreArgs));
+        this.interpreter.builtins.set('композиция', (...fns) => 
+            (arg) => fns.reduce((acc, fn) => fn(acc), arg));
+        this.interpreter.builtins.set('труба', (val, ...fns) => 
+            fns.reduce((acc, fn) => fn(acc), val));
+        this.interpreter.builtins.set('мемоизировать', (fn) => {
+            const cache = new Map();
+            return (...args) => {
+                const key = JSON.stringify(args);
+                if (cache.has(key)) return cache.get(key);
+                const result = fn(...args);
+                cache.set(key, result);
+                return result;
+            };
+        });
+        
+        // Асинхронные утилиты
+        this.interpreter.builtins.set('обещание', (executor) => new Promise(executor));
+        this.interpreter.builtins.set('всеОбещания', (promises) => Promise.all(promises));
+        this.interpreter.builtins.set('любоеОбещание', (promises) => Promise.any(promises));
+        this.interpreter.builtins.set('всеОбещанияКакОбъект', async (obj) => {
+            const keys = Object.keys(obj);
+            const promises = Object.values(obj);
+            const results = await Promise.all(promises);
+            return keys.reduce((acc, key, i) => {
+                acc[key] = results[i];
+                return acc;
+            }, {});
+        });
+        
+        // Генераторы
+        this.interpreter.builtins.set('диапазон', (start, end, step = 1) => {
+            if (end === undefined) {
+                return Functional.lazyRange(0, start, step);
+            }
+            return Functional.lazyRange(start, end, step);
+        });
+        this.interpreter.builtins.set('генерировать', function* (callback) {
+            let index = 0;
+            while (true) {
+                const result = callback(index++);
+                if (result.done) break;
+                yield result.value;
+            }
+        });
+        
+        // Бинарные операции
+        this.interpreter.builtins.set('битИ', (a, b) => a & b);
+        this.interpreter.builtins.set('битИЛИ', (a, b) => a | b);
+        this.interpreter.builtins.set('битИСКЛ', (a, b) => a ^ b);
+        this.interpreter.builtins.set('битНЕ', (a) => ~a);
+        this.interpreter.builtins.set('сдвигВлево', (a, n) => a << n);
+        this.interpreter.builtins.set('сдвигВправо', (a, n) => a >> n);
+        this.interpreter.builtins.set('беззнаковыйСдвиг', (a, n) => a >>> n);
+    }
+
+    /**
+     * Регистрация продвинутых встроенных функций
+     */
+    registerAdvancedBuiltins() {
+        // Кэш менеджер
+        this.interpreter.builtins.set('кэшПолучить', (key) => this.cacheManager.get(key));
+        this.interpreter.builtins.set('кэшУстановить', (key, value) => {
+            this.cacheManager.set(key, value);
+            return true;
+        });
+        this.interpreter.builtins.set('кэшУдалить', (key) => this.cacheManager.delete(key));
+        this.interpreter.builtins.set('кэшОчистить', () => {
+            this.cacheManager.clear();
+            return true;
+        });
+        this.interpreter.builtins.set('кэшСтатистика', () => this.cacheManager.getStats());
+
+        // Безопасность
+        this.interpreter.builtins.set('проверитьПуть', (path) => {
+            this.securityManager.checkPath(path);
+            return true;
+        });
+        this.interpreter.builtins.set('проверитьURL', (url) => {
+            this.securityManager.checkURL(url);
+            return true;
+        });
+        this.interpreter.builtins.set('санитизировать', (data) => this.securityManager.sanitizeJSON(data));
+        this.interpreter.builtins.set('экранироватьHTML', (str) => this.securityManager.escapeHTML(str));
+
+        // Отладчик
+        this.interpreter.builtins.set('точкаОстанова', (filename, line) => {
+            this.debugger.setBreakpoint(filename, line);
+            return true;
+        });
+        this.interpreter.builtins.set('удалитьТочкуОстанова', (filename, line) => {
+            this.debugger.removeBreakpoint(filename, line);
+            return true;
+        });
+        this.interpreter.builtins.set('пошаговыйРежим', () => {
+            this.debugger.stepInto();
+        });
+        this.interpreter.builtins.set('продолжить', () => {
+            this.debugger.continue();
+        });
+        this.interpreter.builtins.set('стекВызовов', () => this.debugger.getCallStack());
+        this.interpreter.builtins.set('локальныеПеременные', () => this.debugger.getLocals(this.debugger.currentFrame));
+
+        // Профайлер
+        this.interpreter.builtins.set('стартПрофилирования', () => {
+            this.profiler.start();
+            return true;
+        });
+        this.interpreter.builtins.set('стопПрофилирования', () => this.profiler.stop());
+        this.interpreter.builtins.set('результатыПрофилирования', () => this.profiler.getResults());
+
+        // Функциональное программирование
+        this.interpreter.builtins.set('каррировать', Functional.curry);
+        this.interpreter.builtins.set('композиция', Functional.compose);
+        this.interpreter.builtins.set('труба', Functional.pipe);
+        this.interpreter.builtins.set('мемоизировать', Functional.memoize);
+        this.interpreter.builtins.set('частично', Functional.partial);
+        this.interpreter.builtins.set('инвертировать', Functional.flip);
+        this.interpreter.builtins.set('одинРаз', Functional.once);
+        this.interpreter.builtins.set('отладить', Functional.trace);
+
+        // Maybe монада
+        this.interpreter.builtins.set('можетБыть', Functional.Maybe);
+        this.interpreter.builtins.set('илиИначе', (maybe, defaultValue) => maybe.getOrElse(defaultValue));
+
+        // Структуры данных
+        this.interpreter.builtins.set('Стек', () => new DataStructures.Stack());
+        this.interpreter.builtins.set('Очередь', () => new DataStructures.Queue());
+        this.interpreter.builtins.set('СвязныйСписок', () => new DataStructures.LinkedList());
+        this.interpreter.builtins.set('ПриоритетнаяОчередь', (comparator) => new DataStructures.PriorityQueue(comparator));
+        this.interpreter.builtins.set('Множество', () => new DataStructures.SetCustom());
+        this.interpreter.builtins.set('Карта', () => new DataStructures.MapCustom());
+        this.interpreter.builtins.set('Дерево', () => new DataStructures.Trie());
+        this.interpreter.builtins.set('БинарноеДерево', (compareFn) => new DataStructures.BinarySearchTree(compareFn));
+
+        // I/O операции
+        this.interpreter.builtins.set('файлПрочитатьПоток', (path, options) => this.ioOperations.readFileStream(path, options));
+        this.interpreter.builtins.set('файлЗаписатьПоток', (path, content, options) => this.ioOperations.writeFileStream(path, content, options));
+        this.interpreter.builtins.set('файлИнформация', (path) => this.ioOperations.getFileInfo(path));
+        this.interpreter.builtins.set('директорияПрочитать', (path, options) => this.ioOperations.readDirectory(path, options));
+        this.interpreter.builtins.set('директорияСоздать', (path, options) => this.ioOperations.createDirectory(path, options));
+        this.interpreter.builtins.set('файлУдалить', (path) => this.ioOperations.deleteFile(path));
+        this.interpreter.builtins.set('директорияУдалить', (path, options) => this.ioOperations.deleteDirectory(path, options));
+        this.interpreter.builtins.set('файлКопировать', (src, dest) => this.ioOperations.copyFile(src, dest));
+        this.interpreter.builtins.set('файлПереместить', (src, dest) => this.ioOperations.moveFile(src, dest));
+        this.interpreter.builtins.set('смотретьФайл', (path, callback, options) => this.ioOperations.watchFile(path, callback, options));
+        this.interpreter.builtins.set('найтиФайлы', (path, pattern, options) => this.ioOperations.findFiles(path, pattern, options));
+        this.interpreter.builtins.set('размерДиректории', (path) => this.ioOperations.getDirectorySize(path));
+        this.interpreter.builtins.set('mimeТип', (path) => this.ioOperations.getMimeType(path));
+
+        // Сетевые операции
+        this.interpreter.builtins.set('httpGet', (url, options) => this.networkOperations.get(url, options));
+        this.interpreter.builtins.set('httpPost', (url, data, options) => this.networkOperations.post(url, data, options));
+        this.interpreter.builtins.set('httpPut', (url, data, options) => this.networkOperations.put(url, data, options));
+        this.interpreter.builtins.set('httpDelete', (url, options) => this.networkOperations.delete(url, options));
+        this.interpreter.builtins.set('httpPatch', (url, data, options) => this.networkOperations.patch(url, data, options));
+        this.interpreter.builtins.set('httpЗапрос', (url, options) => this.networkOperations.request(url, options));
+        this.interpreter.builtins.set('скачатьФайл', (url, destPath) => this.networkOperations.downloadFile(url, destPath));
+        this.interpreter.builtins.set('загрузитьФайл', (url, filePath, options) => this.networkOperations.uploadFile(url, filePath, options));
+        this.interpreter.builtins.set('проверитьURL', (url) => this.networkOperations.checkUrl(url));
+        this.interpreter.builtins.set('multipartForm', () => this.networkOperations.createMultipartForm());
+    }
+
+    /**
+     * Выполнение кода из строки (асинхронное)
+     */
+    async execute(source, options = {}) {
+        const filename = options.filename || '<anonymous>';
+        const context = options.context || null;
+        
+        if (this.debug) {
+            console.log(`[VladX] Начинаем выполнение: ${filename}`);
+        }
+        
+        try {
+            if (this.debug) {
+            console.log('[Engine] Starting lexing');
+        }
+            // Лексический анализ
+            const lexer = new Lexer(source, filename);
+            const tokens = lexer.tokenize();
+            if (this.debug) {
+            console.log('[Engine] Tokens count:', tokens.length);
+        }
+            
+            if (this.debug) {
+                console.log(`[VladX] Получено токенов: ${tokens.length}`);
+            }
+            
+            if (this.debug) {
+            console.log('[Engine] Starting parsing');
+        }
+            // Синтаксический анализ
+            const parser = new Parser(tokens, { debug: this.debug });
+            const ast = parser.parse();
+            if (this.debug) {
+            console.log('[Engine] AST body length:', ast.body.length);
+        }
+            
+            if (this.debug) {
+                console.log(`[VladX] AST создан: ${ast.body.length} узлов`);
+            }
+            
+            if (this.debug) {
+            console.log('[Engine] Starting interpretation');
+        }
+            // Интерпретация
+            const result = await this.interpreter.interpret(ast, {
+                filename,
+                context,
+                modulePath: options.modulePath || process.cwd()
+            });
+            
+            if (this.debug) {
+            console.log('[VladX] Raw result:', result);
+            console.log('[VladX] Result type:', result?.type);
+            console.log('[VladX] Result value:', result?.value);
+        }
+            
+            if (this.debug) {
+                console.log(`[VladX] Результат:`, result);
+            }
+            
+            return result;
+        } catch (error) {
+            if (error instanceof VladXObject && error.type === 'error') {
+                throw error;
+            }
+            // Получаем сообщение об ошибке или используем более подробное описание
+            let errorMessage = error.toString ? error.toString() : String(error);
+            if (!errorMessage) {
+                errorMessage = `Ошибка типа: ${error.constructor.name}`;
+                if (error.stack) {
+                    errorMessage += `\nСтек вызовов: ${error.stack}`;
+                } else {
+                    errorMessage += ' (Стек вызовов недоступен)';
+                }
+            }
+            throw new VladXObject('error', errorMessage, {
+                stack: error.stack
+            });
+        }
+    }
+
+    /**
+     * Выполнение файла
+     */
+    async executeFile(filepath) {
+        const { readFileSync, existsSync } = await import('fs');
+        const { dirname, join } = await import('path');
+        const { fileURLToPath } = await import('url');
+        
+        const __dirname = dirname(fileURLToPath(new URL('./engine/vladx-engine.js', import.meta.url).href));
+        
+        if (!existsSync(filepath)) {
+            throw new VladXObject('error', `Файл не найден: ${filepath}`);
+        }
+        
+        // Обновляем пути node_modules для текущего проекта
+        this.updateNodeModulesPaths(dirname(filepath));
+        
+        const source = readFileSync(filepath, 'utf-8');
+        const modulePath = dirname(filepath);
+        
+        return this.execute(source, {
+            filename: filepath,
+            modulePath
+        });
+    }
+
+    /**
+     * REPL режим
+     */
+    async repl(inputStream = process.stdin, outputStream = process.stdout) {
+        const repl = new REPL(this, {
+            input: inputStream,
+            output: outputStream
+        });
+
+        await repl.start();
+    }
+
+    /**
+     * Компиляция в JavaScript (транспиляция) — возвращает код ES-модуля
+     */
+    compile(source, options = {}) {
+        return this.compileModule(source, { ...options, sourceMap: options.sourceMap ?? false }).code;
+    }
+
+    /**
+     * Компиляция модуля в JavaScript с source map
+     * Возвращает { code, map, imports } — imports содержит относительные пути импортируемых модулей
+     */
+    compileModule(source, options = {}) {
+        const filename = options.filename || '<anonymous>';
+        const lexer = new Lexer(source, filename);
+        const tokens = lexer.tokenize();
+        const parser = new Parser(tokens);
+        const ast = parser.parse();
+
+        return this.getAOTCompiler().compile(ast, { ...options, filename, source });
+    }
+
+    /**
+     * Компилятор AOT (создаётся при первом использовании)
+     */
+    getAOTCompiler() {
+        if (!this.aotCompiler) {
+            this.aotCompiler = new AOTCompiler({
+                builtinNames: [...this.interpreter.builtins.keys()]
+            });
+        }
+        return this.aotCompiler;
+    }
+
+    /**
+     * Преобразование AST в JavaScript код
+     */
+    astToJs(ast) {
+        return this.getAOTCompiler().compile(ast, { sourceMap: false }).code;
+    }
+
+    /**
+     * Преобразование отдельного узла AST в JS
+     */
+    nodeToJs(node) {
+        return this.getAOTCompiler().nodeToJs(node);
+    }
+}
+return { VladXEngine, default: VladXEngine };
+})();
+
+// Module: lexer/optimized-lexer.js
+const __vx_m33 = (() => {
+/**
+ * OptimizedLexer — Оптимизированный лексер с кэшированием
+ */
+
+const { Lexer } = __vx_m3;
+const { RegexCache } = __vx_m1;
+
+class OptimizedLexer extends Lexer {
+    constructor(source, filename = '<anonymous>') {
+        super(source, filename);
+        this.regexCache = new RegexCache({ maxSize: 50 });
+        this.charCache = new Map();
+        this.lineCache = new Map();
+    }
+
+    /**
+     * Быстрая проверка символа с кэшированием
+     */
+    isDigitFast(char) {
+        const cacheKey = `digit_${char}`;
+        if (this.charCache.has(cacheKey)) {
+            return this.charCache.get(cacheKey);
+        }
+
+        const result = char >= '0' && char <= '9';
+        this.charCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Быстрая проверка буквы
+     */
+    isAlphaFast(char) {
+        const cacheKey = `alpha_${char}`;
+        if (this.charCache.has(cacheKey)) {
+            return this.charCache.get(cacheKey);
+        }
+
+        const result = this.isAlpha(char);
+        this.charCache.set(cacheKey, result);
+        return result;
+    }
+
+    /**
+     * Кэшированное получение regex
+     */
+    getRegex(pattern, flags = '') {
+        return this.regexCache.get(pattern, flags);
+    }
+
+    /**
+     * Оптимизированный skipWhitespace
+     */
+    skipWhitespace() {
+        const startLine = this.line;
+
+        while (this.currentChar !== null && /\s/.test(this.currentChar)) {
+            if (this.currentChar === '\n') {
+                this.line++;
+                this.column = 0;
+            }
+            this.advance();
+        }
+    }
+
+    /**
+     * Кэширование результатов токенизации
+     */
+    tokenizeCached() {
+        const cacheKey = `${this.filename}_${this.source.length}_${this.source.substring(0, 100)}`;
+
+        if (this.lineCache.has(cacheKey)) {
+            return [...this.lineCache.get(cacheKey)];
+        }
+
+        const tokens = this.tokenize();
+
+        if (this.lineCache.size < 10) {
+            this.lineCache.set(cacheKey, [...tokens]);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Получить статистику оптимизации
+     */
+    getOptimizationStats() {
+        return {
+            regexCache: this.regexCache.getStats(),
+            charCacheSize: this.charCache.size,
+            lineCacheSize: this.lineCache.size
+        };
+    }
+
+    /**
+     * Очистить кэши
+     */
+    clearCaches() {
+        this.regexCache.clear();
+        this.charCache.clear();
+        this.lineCache.clear();
+    }
+}
+return { OptimizedLexer, default: OptimizedLexer };
+})();
+
+// Module: runtime/advanced-type-system.js
+const __vx_m34 = (() => {
+/**
+ * AdvancedTypeSystem — Расширенная система типов
+ */
+
+const { TypeSystem } = __vx_m11;
+
+class AdvancedTypeSystem extends TypeSystem {
+    constructor() {
+        super();
+        this.typeAliases = new Map();
+        this.unionTypes = new Map();
+        this.intersectionTypes = new Map();
+        this.genericTypes = new Map();
+        this.initializeAdvancedTypes();
+    }
+
+    /**
+     * Инициализация расширенных типов
+     */
+    initializeAdvancedTypes() {
+        // Union types
+        this.types.set('числоилистрока', {
+            name: 'числоилистрока',
+            check: (value) => {
+                if (value && typeof value === 'object' && 'value' in value) {
+                    return value.type === 'number' || value.type === 'string';
+                }
+                return typeof value === 'number' || typeof value === 'string';
+            },
+            defaultValue: 0
+        });
+
+        // Tuple types (массивы фиксированной длины)
+        this.types.set('пара', {
+            name: 'пара',
+            check: (value) => Array.isArray(value) && value.length === 2,
+            defaultValue: [null, null]
+        });
+
+        this.types.set('тройка', {
+            name: 'тройка',
+            check: (value) => Array.isArray(value) && value.length === 3,
+            defaultValue: [null, null, null]
+        });
+    }
+
+    /**
+     * Создать union type
+     */
+    createUnionType(name, ...typeNames) {
+        const typeCheckers = typeNames.map(tn => {
+            const typeDef = this.types.get(tn);
+            return typeDef ? typeDef.check : (() => false);
+        });
+
+        this.unionTypes.set(name, typeNames);
+        this.types.set(name, {
+            name,
+            check: (value) => typeCheckers.some(checker => checker(value)),
+            defaultValue: this.types.get(typeNames[0])?.defaultValue || null
+        });
+
+        return this;
+    }
+
+    /**
+     * Создать intersection type
+     */
+    createIntersectionType(name, ...typeNames) {
+        const typeCheckers = typeNames.map(tn => {
+            const typeDef = this.types.get(tn);
+            return typeDef ? typeDef.check : (() => true);
+        });
+
+        this.intersectionTypes.set(name, typeNames);
+        this.types.set(name, {
+            name,
+            check: (value) => typeCheckers.every(checker => checker(value)),
+            defaultValue: null
+        });
+
+        return this;
+    }
+
+    /**
+     * Создать generic type
+     */
+    createGenericType(name, baseTypeName) {
+        const baseType = this.types.get(baseTypeName);
+        if (!baseType) {
+            throw new Error(`Базовый тип не найден: ${baseTypeName}`);
+        }
+
+        this.genericTypes.set(name, {
+            baseType: baseTypeName,
+            typeParameters: []
+        });
+
+        this.types.set(name, {
+            name,
+            check: baseType.check,
+            defaultValue: baseType.defaultValue
+        });
+
+        return this;
+    }
+
+    /**
+     * Создать alias для типа
+     */
+    createTypeAlias(aliasName, originalTypeName) {
+        const originalType = this.types.get(originalTypeName);
+        if (!originalType) {
+            throw new Error(`Тип не найден: ${originalTypeName}`);
+        }
+
+        this.typeAliases.set(aliasName, originalTypeName);
+        this.types.set(aliasName, originalType);
+
+        return this;
+    }
+
+    /**
+     * Инференс типа с поддержкой union и intersection
+     */
+    inferType(value) {
+        if (value === null || value === undefined) return 'ничто';
+
+        // Если это VladXObject
+        if (value && typeof value === 'object' && 'type' in value) {
+            switch (value.type) {
+                case 'number': return 'число';
+                case 'string': return 'строка';
+                case 'boolean': return 'логический';
+                case 'array':
+                    // Проверка на tuple types
+                    if (Array.isArray(value.value)) {
+                        if (value.value.length === 2) return 'пара';
+                        if (value.value.length === 3) return 'тройка';
+                    }
+                    return 'массив';
+                case 'object': return 'объект';
+                case 'function':
+                case 'closure': return 'функция';
+                case 'null': return 'ничто';
+                default: return 'любой';
+            }
+        }
+
+        if (typeof value === 'number') return 'число';
+        if (typeof value === 'string') return 'строка';
+        if (typeof value === 'boolean') return 'логический';
+        if (Array.isArray(value)) {
+            if (value.length === 2) return 'пара';
+            if (value.length === 3) return 'тройка';
+            return 'массив';
+        }
+        if (typeof value === 'function') return 'функция';
+        if (typeof value === 'object') return 'объект';
+        return 'любой';
+    }
+
+    /**
+     * Проверить совместимость типов
+     */
+    isTypeCompatible(type1, type2) {
+        if (type1 === type2) return true;
+        if (type1 === 'любой' || type2 === 'любой') return true;
+
+        // Проверка union types
+        if (this.unionTypes.has(type1)) {
+            const types = this.unionTypes.get(type1);
+            return types.includes(type2);
+        }
+
+        if (this.unionTypes.has(type2)) {
+            const types = this.unionTypes.get(type2);
+            return types.includes(type1);
+        }
+
+        // Проверка type aliases
+        if (this.typeAliases.has(type1)) {
+            const original = this.typeAliases.get(type1);
+            return this.isTypeCompatible(original, type2);
+        }
+
+        if (this.typeAliases.has(type2)) {
+            const original = this.typeAliases.get(type2);
+            return this.isTypeCompatible(type1, original);
+        }
+
+        return false;
+    }
+
+    /**
+     * Получить все типы
+     */
+    getAllTypes() {
+        return {
+            basic: Array.from(this.types.keys()),
+            unions: Array.from(this.unionTypes.keys()),
+            intersections: Array.from(this.intersectionTypes.keys()),
+            generics: Array.from(this.genericTypes.keys()),
+            aliases: Array.from(this.typeAliases.keys())
+        };
+    }
+}
+return { AdvancedTypeSystem, default: AdvancedTypeSystem };
+})();
+
+// Module: runtime/enhanced-module-system.js
+const __vx_m35 = (() => {
+/**
+ * EnhancedModuleSystem — Улучшенная система модулей
+ */
+
+const { ModuleSystem } = __vx_m21;
+
+class EnhancedModuleSystem extends ModuleSystem {
+    constructor(interpreter) {
+        super(interpreter);
+        this.circularDependencies = new Map();
+        this.dependencyGraph = new Map();
+        this.importStack = [];
+        this.dynamicImports = new Map();
+    }
+
+    /**
+     * Проверка на циклические зависимости
+     */
+    checkCircularDependencies(modulePath) {
+        if (this.importStack.includes(modulePath)) {
+            const cycle = [...this.importStack, modulePath];
+            throw new Error(`Циклическая зависимость: ${cycle.join(' -> ')}`);
+        }
+
+        this.importStack.push(modulePath);
+
+        const dependencies = this.dependencyGraph.get(modulePath) || [];
+
+        for (const dep of dependencies) {
+            this.checkCircularDependencies(dep);
+        }
+
+        this.importStack.pop();
+    }
+
+    /**
+     * Добавить зависимость в граф
+     */
+    addDependency(from, to) {
+        if (!this.dependencyGraph.has(from)) {
+            this.dependencyGraph.set(from, []);
+        }
+        this.dependencyGraph.get(from).push(to);
+    }
+
+    /**
+     * Динамический импорт
+     */
+    async dynamicImport(modulePath, currentPath) {
+        const cacheKey = `${currentPath}:${modulePath}`;
+
+        if (this.dynamicImports.has(cacheKey)) {
+            return this.dynamicImports.get(cacheKey);
+        }
+
+        const promise = this.loadModule(modulePath, currentPath);
+        this.dynamicImports.set(cacheKey, promise);
+
+        try {
+            return await promise;
+        } catch (error) {
+            this.dynamicImports.delete(cacheKey);
+            throw error;
+        }
+    }
+
+    /**
+     * Переэкспорт
+     */
+    async reExport(fromModule, exports, currentPath) {
+        const module = await this.loadModule(fromModule, currentPath);
+
+        if (Array.isArray(exports)) {
+            // Именованный реэкспорт
+            const result = {};
+            for (const name of exports) {
+                if (name in module) {
+                    result[name] = module[name];
+                }
+            }
+            return result;
+        } else if (typeof exports === 'string') {
+            // Реэкспорт по умолчанию
+            return module[exports] || module;
+        } else {
+            // Реэкспорт всего
+            return module;
+        }
+    }
+
+    /**
+     * Conditional экспорт
+     */
+    async conditionalExport(modulePath, conditions, currentPath) {
+        const module = await this.loadModule(modulePath, currentPath);
+
+        for (const [condition, value] of Object.entries(conditions)) {
+            if (this.checkCondition(condition)) {
+                return value;
+            }
+        }
+
+        return module;
+    }
+
+    /**
+     * Проверка условия экспорта
+     */
+    checkCondition(condition) {
+        switch (condition) {
+            case 'production':
+                return process.env.NODE_ENV === 'production';
+            case 'development':
+                return process.env.NODE_ENV === 'development';
+            case 'test':
+                return process.env.NODE_ENV === 'test';
+            case 'node':
+                return typeof process !== 'undefined';
+            case 'browser':
+                return typeof window !== 'undefined';
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Получить граф зависимостей
+     */
+    getDependencyGraph() {
+        return {
+            graph: Object.fromEntries(this.dependencyGraph),
+            circular: Array.from(this.circularDependencies.entries())
+        };
+    }
+
+    /**
+     * Очистить граф зависимостей
+     */
+    clearDependencyGraph() {
+        this.dependencyGraph.clear();
+        this.circularDependencies.clear();
+        this.importStack = [];
+    }
+
+    /**
+     * Топологическая сортировка зависимостей
+     */
+    topologicalSort() {
+        const visited = new Set();
+        const result = [];
+        const graph = Object.fromEntries(this.dependencyGraph);
+
+        const visit = (node) => {
+            if (visited.has(node)) return;
+            visited.add(node);
+
+            const dependencies = graph[node] || [];
+            for (const dep of dependencies) {
+                visit(dep);
+            }
+
+            result.push(node);
+        };
+
+        for (const node of Object.keys(graph)) {
+            visit(node);
+        }
+
+        return result;
+    }
+
+    /**
+     * Проверить модуль на наличие зависимостей
+     */
+    hasDependencies(modulePath) {
+        const deps = this.dependencyGraph.get(modulePath);
+        return deps && deps.length > 0;
+    }
+
+    /**
+     * Получить все модули, которые зависят от данного
+     */
+    getDependents(modulePath) {
+        const dependents = [];
+
+        for (const [from, tos] of this.dependencyGraph.entries()) {
+            if (tos.includes(modulePath)) {
+                dependents.push(from);
+            }
+        }
+
+        return dependents;
+    }
+}
+return { EnhancedModuleSystem, default: EnhancedModuleSystem };
+})();
+
+// Module: runtime/debug-adapter.js
+const __vx_m36 = (() => {
+/**
+ * DebugAdapter — Сервер Debug Adapter Protocol (DAP) для редакторов
+ * Сообщения передаются через stdio или TCP в виде
+ * `Content-Length: <байты>\r\n\r\n<JSON>`; отладка идёт через Debugger движка.
+ */
+
+const { createServer } = __vx_ext6;
+const { existsSync, readFileSync } = __vx_ext0;
+const { basename, resolve } = __vx_ext1;
+const { format } = __vx_ext7;
+const { VladXEngine } = __vx_m32;
+const { Lexer } = __vx_m3;
+const { Parser } = __vx_m5;
+const { VladXObject } = __vx_m6;
+
+const THREAD_ID = 1;
+
+// Запросы, которые выполняются сразу, не дожидаясь очереди: они не трогают
+// состояние интерпретатора и должны сработать, даже если вычисление зависло
+const IMMEDIATE_REQUESTS = new Set(['pause', 'terminate', 'disconnect']);
+
+class DebugAdapter {
+    constructor(options = {}) {
+        this.program = options.program || null;
+        this.onClose = options.onClose || null;
+        this.input = null;
+        this.output = null;
+        this.buffer = Buffer.alloc(0);
+        this.seq = 1;
+        this.closed = false;
+
+        this.engine = null;
+        this.debugger = null;
+        this.launched = false;
+        this.configured = false;
+        this.running = false;
+
+        // Строки клиента и их позиции в выполняемых файлах (через source maps)
+        this.sourceBreakpoints = new Map();
+        this.appliedBreakpoints = new Map();
+
+        // Ссылки на переменные действительны до следующего продолжения
+        this.handles = new Map();
+        this.nextHandle = 1;
+
+        this.lineBase = 1;
+        this.columnBase = 1;
+
+        this.requests = new Map();
+        // Запросы выполняются по одному: evaluate подменяет окружение интерпретатора
+        this.queue = Promise.resolve();
+        this.registerRequests();
+    }
+
+    /**
+     * Регистрация обработчиков запросов
+     */
+    registerRequests() {
+        this.requests.set('initialize', this.initialize.bind(this));
+        this.requests.set('launch', this.launch.bind(this));
+        this.requests.set('setBreakpoints', this.setBreakpoints.bind(this));
+        this.requests.set('setExceptionBreakpoints', () => ({}));
+        this.requests.set('configurationDone', this.configurationDone.bind(this));
+        this.requests.set('threads', this.threads.bind(this));
+        this.requests.set('stackTrace', this.stackTrace.bind(this));
+        this.requests.set('scopes', this.scopes.bind(this));
+        this.requests.set('variables', this.variables.bind(this));
+        this.requests.set('evaluate', this.evaluate.bind(this));
+        this.requests.set('continue', this.continue.bind(this));
+        this.requests.set('next', () => this.step('stepOver'));
+        this.requests.set('stepIn', () => this.step('stepInto'));
+        this.requests.set('stepOut', () => this.step('stepOut'));
+        this.requests.set('pause', this.pause.bind(this));
+        this.requests.set('terminate', this.terminate.bind(this));
+        this.requests.set('disconnect', this.disconnect.bind(this));
+    }
+
+    /**
+     * Начать сеанс на паре потоков (stdin/stdout или сокет)
+     */
+    start(input, output) {
+        this.input = input;
+        this.output = output;
+        input.on('data', chunk => this.receive(chunk));
+        input.on('end', () => this.close());
+        return this;
+    }
+
+    /**
+     * TCP-сервер: подключения обслуживаются по одному — вывод программы
+     * перехватывается через общий console
+     */
+    static listen(port, options = {}) {
+        const server = createServer(socket => {
+            new DebugAdapter(options).start(socket, socket);
+        });
+        server.maxConnections = 1;
+
+        return new Promise((resolveServer, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => resolveServer(server));
+        });
+    }
+
+    // ========== Транспорт ==========
+
+    /**
+     * Разбор входящих сообщений с заголовком Content-Length
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+
+            const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            const start = headerEnd + 4;
+            if (!match) {
+                this.buffer = this.buffer.subarray(start);
+                continue;
+            }
+
+            const length = Number(match[1]);
+            if (this.buffer.length < start + length) {
+                return;
+            }
+
+            const body = this.buffer.subarray(start, start + length).toString('utf-8');
+            this.buffer = this.buffer.subarray(start + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.sendEvent('output', { category: 'stderr', output: `Некорректное сообщение DAP: ${error.message}\n` });
+                continue;
+            }
+            if (IMMEDIATE_REQUESTS.has(message.command)) {
+                this.dispatch(message);
+            } else {
+                this.queue = this.queue.then(() => this.dispatch(message));
+            }
+        }
+    }
+
+    /**
+     * Выполнить запрос и отправить ответ
+     */
+    async dispatch(message) {
+        if (message.type !== 'request') {
+            return;
+        }
+
+        const handler = this.requests.get(message.command);
+        if (!handler) {
+            this.sendResponse(message, null, `Неподдерживаемый запрос: ${message.command}`);
+            return;
+        }
+
+        try {
+            const body = await handler(message.arguments || {});
+            this.sendResponse(message, body || {});
+        } catch (error) {
+            this.sendResponse(message, null, error.message || String(error.value || error));
+        }
+    }
+
+    sendResponse(request, body, error = null) {
+        const response = {
+            seq: this.seq++,
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: !error
+        };
+        if (error) {
+            response.message = error;
+        } else {
+            response.body = body;
+        }
+        this.send(response);
+    }
+
+    sendEvent(event, body = {}) {
+        this.send({ seq: this.seq++, type: 'event', event, body });
+    }
+
+    send(message) {
+        if (this.closed || !this.output) {
+            return;
+        }
+        const json = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+    }
+
+    /**
+     * Завершить сеанс
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        if (this.debugger) {
+            this.debugger.abort();
+        }
+        this.closed = true;
+        if (this.output && this.output !== process.stdout) {
+            this.output.end();
+        }
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    // ========== Запуск ==========
+
+    initialize(args) {
+        this.lineBase = args.linesStartAt1 === false ? 0 : 1;
+        this.columnBase = args.columnsStartAt1 === false ? 0 : 1;
+
+        this.engine = new VladXEngine({ maxExecutionTime: 0 });
+        this.debugger = this.engine.debugger;
+        this.debugger.attach(reason => this.onPause(reason));
+
+        setImmediate(() => this.sendEvent('initialized'));
+
+        return {
+            supportsConfigurationDoneRequest: true,
+            supportsEvaluateForHovers: true,
+            supportsTerminateRequest: true,
+            exceptionBreakpointFilters: []
+        };
+    }
+
+    /**
+     * launch: program, stopOnEntry, sourceMaps (по умолчанию true)
+     */
+    launch(args) {
+        const program = args.program || this.program;
+        if (!program) {
+            throw new Error('Не указана программа для отладки (program)');
+        }
+
+        this.program = resolve(args.cwd || process.cwd(), program);
+        if (!existsSync(this.program)) {
+            throw new Error(`Файл не найден: ${this.program}`);
+        }
+
+        if (args.sourceMaps !== false) {
+            this.loadSourceMap(this.program);
+        }
+        for (const path of this.sourceBreakpoints.keys()) {
+            this.applyBreakpoints(path);
+        }
+        if (args.stopOnEntry) {
+            this.debugger.requestPause('entry');
+        }
+
+        this.launched = true;
+        setImmediate(() => this.run());
+        return {};
+    }
+
+    configurationDone() {
+        this.configured = true;
+        setImmediate(() => this.run());
+        return {};
+    }
+
+    /**
+     * Source map рядом с программой (<файл>.map), например от vladx bundle --sourcemap
+     */
+    loadSourceMap(filename) {
+        const mapPath = `${filename}.map`;
+        if (existsSync(mapPath)) {
+            this.debugger.addSourceMap(filename, JSON.parse(readFileSync(mapPath, 'utf-8')));
+        }
+    }
+
+    /**
+     * Выполнить программу, когда получены и launch, и configurationDone
+     */
+    async run() {
+        if (this.running || !this.launched || !this.configured) {
+            return;
+        }
+        this.running = true;
+
+        const restoreConsole = this.captureOutput();
+        let exitCode = 0;
+        try {
+            await this.engine.executeFile(this.program);
+        } catch (error) {
+            exitCode = 1;
+            const message = error instanceof VladXObject ? error.value : error.message;
+            this.sendEvent('output', { category: 'stderr', output: `Ошибка: ${message}\n` });
+        } finally {
+            restoreConsole();
+        }
+
+        this.sendEvent('exited', { exitCode });
+        this.sendEvent('terminated');
+    }
+
+    /**
+     * Перенаправить печать программы в события output: stdout занят протоколом
+     */
+    captureOutput() {
+        const original = { log: console.log, error: console.error, warn: console.warn };
+        const forward = category => (...items) => {
+            this.sendEvent('output', { category, output: format(...items) + '\n' });
+        };
+
+        console.log = forward('stdout');
+        console.error = forward('stderr');
+        console.warn = forward('stderr');
+
+        return () => Object.assign(console, original);
+    }
+
+    // ========== Точки останова и управление ==========
+
+    /**
+     * Строки клиента переводятся в позиции выполняемого файла через source maps.
+     * Точки на строках без инструкций (пустых, с комментарием, с закрывающей
+     * скобкой) не срабатывают: они возвращаются с verified: false
+     */
+    setBreakpoints(args) {
+        const path = resolve(args.source.path);
+        const lines = (args.breakpoints
+            ? args.breakpoints.map(breakpoint => breakpoint.line)
+            : (args.lines || [])).map(line => line - this.lineBase + 1);
+
+        const { statements, error } = this.statementLines(path);
+        this.sourceBreakpoints.set(path, lines.filter(line => statements.has(line)));
+        this.applyBreakpoints(path);
+
+        const breakpoints = lines.map(line => statements.has(line)
+            ? { verified: true, line: line - 1 + this.lineBase }
+            : { verified: false, line: line - 1 + this.lineBase, message: error || `На строке ${line} нет инструкций` });
+
+        return { breakpoints };
+    }
+
+    /**
+     * Строки исходного файла, с которых начинаются инструкции:
+     * { statements } или пустое множество и error, если файл не разобран
+     */
+    statementLines(path) {
+        const statements = new Set();
+        let ast;
+        try {
+            ast = new Parser(new Lexer(readFileSync(path, 'utf-8'), path).tokenize()).parse();
+        } catch (error) {
+            return { statements, error: error.code === 'ENOENT' ? `Файл ${path} не найден` : error.message.split('\n')[0] };
+        }
+
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (node.type && node.line && node.type !== 'BlockStatement' &&
+                node.type !== 'EmptyStatement' && !node.type.endsWith('Expression')) {
+                statements.add(node.line);
+            }
+            Object.values(node).forEach(visit);
+        };
+        visit(ast);
+        return { statements };
+    }
+
+    applyBreakpoints(path) {
+        for (const { filename, line } of this.appliedBreakpoints.get(path) || []) {
+            this.debugger.removeBreakpoint(filename, line);
+        }
+
+        const lines = this.sourceBreakpoints.get(path) || [];
+        const positions = lines.map(line => this.debugger.generatedPosition(path, line));
+        for (const { filename, line } of positions) {
+            this.debugger.setBreakpoint(filename, line);
+        }
+        this.appliedBreakpoints.set(path, positions);
+    }
+
+    onPause(reason) {
+        this.handles.clear();
+        this.sendEvent('stopped', { reason, threadId: THREAD_ID, allThreadsStopped: true });
+    }
+
+    continue() {
+        this.debugger.continue();
+        return { allThreadsContinued: true };
+    }
+
+    step(method) {
+        this.debugger[method]();
+        return {};
+    }
+
+    pause() {
+        this.debugger.requestPause('pause');
+        return {};
+    }
+
+    terminate() {
+        this.debugger.abort();
+        return {};
+    }
+
+    disconnect() {
+        setImmediate(() => this.close());
+        return {};
+    }
+
+    // ========== Состояние ==========
+
+    threads() {
+        return { threads: [{ id: THREAD_ID, name: 'VladX' }] };
+    }
+
+    /**
+     * Фреймы от верхнего к нижнему; id — глубина от вершины стека
+     */
+    stackTrace(args) {
+        const frames = [...this.debugger.callStack].reverse();
+        const start = args.startFrame || 0;
+        const end = args.levels ? start + args.levels : frames.length;
+
+        const stackFrames = frames.slice(start, end).map((frame, index) => {
+            const position = this.debugger.mapPosition(frame.filename, frame.line, frame.column);
+            return {
+                id: start + index,
+                name: frame.functionName,
+                source: { name: basename(position.source), path: position.source },
+                line: position.line - 1 + this.lineBase,
+                column: position.column + this.columnBase
+            };
+        });
+
+        return { stackFrames, totalFrames: frames.length };
+    }
+
+    frameAt(frameId) {
+        const stack = this.debugger.callStack;
+        const frame = stack[stack.length - 1 - frameId];
+        if (!frame) {
+            throw new Error(`Фрейм не найден: ${frameId}`);
+        }
+        return frame;
+    }
+
+    scopes(args) {
+        const frame = this.frameAt(args.frameId);
+        const scopes = [
+            { name: 'Локальные', variablesReference: this.handle({ frame, withInstance: true }), expensive: false }
+        ];
+
+        const program = this.debugger.callStack[0];
+        if (program && program !== frame) {
+            scopes.push({ name: 'Глобальные', variablesReference: this.handle({ frame: program }), expensive: false });
+        }
+
+        return { scopes };
+    }
+
+    variables(args) {
+        const target = this.handles.get(args.variablesReference);
+        if (!target) {
+            return { variables: [] };
+        }
+
+        let entries;
+        if (target.frame) {
+            entries = Object.entries(this.debugger.getLocals(target.frame));
+            if (target.withInstance && target.frame.instance) {
+                entries.unshift(['это', target.frame.instance]);
+            }
+        } else if (target.value.type === 'array') {
+            entries = target.value.value.map((item, index) => [String(index), item]);
+        } else {
+            entries = Object.entries(target.value.value || {});
+        }
+
+        return { variables: entries.map(([name, value]) => this.describe(name, value)) };
+    }
+
+    /**
+     * evaluate: выражения наблюдения, подсказки при наведении и консоль отладки
+     */
+    async evaluate(args) {
+        if (!this.debugger.paused) {
+            throw new Error('Программа не приостановлена');
+        }
+
+        const frame = args.frameId !== undefined ? this.frameAt(args.frameId) : this.debugger.currentFrame;
+        const value = await this.debugger.evaluate(args.expression, frame);
+        const { value: result, type, variablesReference } = this.describe(args.expression, value);
+
+        return { result, type, variablesReference };
+    }
+
+    /**
+     * Переменная DAP; массивы, объекты и экземпляры раскрываются по ссылке
+     */
+    describe(name, value) {
+        if (!(value instanceof VladXObject)) {
+            return { name, value: value === undefined ? 'ничто' : String(value), variablesReference: 0 };
+        }
+
+        const expandable = ['array', 'object', 'instance'].includes(value.type) && value.value;
+        return {
+            name,
+            value: this.display(value),
+            type: value.type,
+            variablesReference: expandable ? this.handle({ value }) : 0
+        };
+    }
+
+    /**
+     * Краткое представление значения; у функций и классов value равно null
+     */
+    display(value) {
+        switch (value.type) {
+            case 'string':
+                return JSON.stringify(value.value);
+            case 'function':
+            case 'closure':
+                return `[функция: ${value.name}]`;
+            case 'class':
+                return `[класс: ${value.name}]`;
+            default:
+                return value.toString();
+        }
+    }
+
+    handle(target) {
+        const id = this.nextHandle++;
+        this.handles.set(id, target);
+        return id;
+    }
+}
+return { DebugAdapter, default: DebugAdapter };
+})();
+
+// Module: runtime/linter.js
+const __vx_m37 = (() => {
+/**
+ * Linter — Линтер для кода VladX
+ */
+
+const { Lexer } = __vx_m3;
+const { Parser } = __vx_m5;
+
+class Linter {
+    constructor(options = {}) {
+        this.rules = new Map();
+        this.config = options.config || {};
+        this.severity = options.severity || 'error'; // error, warning, info
+        this.autoFix = options.autoFix || false;
+
+        this.registerDefaultRules();
+    }
+
+    /**
+     * Добавить правило
+     */
+    addRule(name, rule) {
+        this.rules.set(name, rule);
+        return this;
+    }
+
+    /**
+     * Удалить правило
+     */
+    removeRule(name) {
+        return this.rules.delete(name);
+    }
+
+    /**
+     * Проверить файл
+     */
+    lint(source, filename = '<anonymous>') {
+        const results = [];
+
+        // Лексический анализ
+        const lexer = new Lexer(source, filename);
+        const tokens = lexer.tokenize();
+
+        // Синтаксический анализ
+        const parser = new Parser(tokens);
+        const ast = parser.parse();
+
+        // Применить правила
+        for (const [ruleName, rule] of this.rules) {
+            if (rule.checkTokens) {
+                const tokenResults = rule.checkTokens(tokens, filename);
+                results.push(...tokenResults.map(r => ({ ...r, rule: ruleName })));
+            }
+
+            if (rule.checkAST) {
+                const astResults = rule.checkAST(ast, filename);
+                results.push(...astResults.map(r => ({ ...r, rule: ruleName })));
+            }
+
+            if (rule.checkSource) {
+                const sourceResults = rule.checkSource(source, filename);
+                results.push(...sourceResults.map(r => ({ ...r, rule: ruleName })));
+            }
+        }
+
+        return {
+            errors: results.filter(r => r.severity === 'error'),
+            warnings: results.filter(r => r.severity === 'warning'),
+            info: results.filter(r => r.severity === 'info'),
+            all: results,
+            hasErrors: results.some(r => r.severity === 'error')
+        };
+    }
+
+    /**
+     * Автофикс проблем
+     */
+    fix(source, filename = '<anonymous>') {
+        const results = this.lint(source, filename);
+        let fixedSource = source;
+
+        if (!this.autoFix) {
+            return {
+                source,
+                results,
+                fixed: false
+            };
+        }
+
+        for (const [ruleName, rule] of this.rules) {
+            if (rule.fix && results.some(r => r.rule === ruleName)) {
+                fixedSource = rule.fix(fixedSource, filename);
+            }
+        }
+
+        const newResults = this.lint(fixedSource, filename);
+
+        return {
+            source: fixedSource,
+            originalResults: results,
+            results: newResults,
+            fixed: newResults.all.length < results.all.length
+        };
+    }
+
+    /**
+     * Зарегистрировать правила по умолчанию
+     */
+    registerDefaultRules() {
+        // Правило: unused variables
+        this.addRule('no-unused-vars', {
+            checkAST: (ast, filename) => {
+                const results = [];
+                const usedVars = new Set();
+                const declaredVars = new Map();
+
+                const traverse = (node) => {
+                    if (!node) return;
+
+                    if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                        if (!declaredVars.has(node.name)) {
+                            declaredVars.set(node.name, node);
+                        }
+                    }
+
+                    if (node.type === 'Identifier') {
+                        usedVars.add(node.name);
+                    }
+
+                    for (const key in node) {
+                        if (Array.isArray(node[key])) {
+                            node[key].forEach(traverse);
+                        } else if (typeof node[key] === 'object') {
+                            traverse(node[key]);
+                        }
+                    }
+                };
+
+                traverse(ast);
+
+                for (const [varName, declaration] of declaredVars) {
+                    if (!usedVars.has(varName)) {
+                        results.push({
+                            message: `Переменная "${varName}" не используется`,
+                            line: declaration.line || 0,
+                            column: declaration.column || 0,
+                            severity: 'warning',
+                            filename
+                        });
+                    }
+                }
+
+                return results;
+            }
+        });
+
+        // Правило: console.log в production
+        this.addRule('no-console', {
+            checkAST: (ast, filename) => {
+                const results = [];
+
+                const traverse = (node) => {
+                    if (!node) return;
+
+                    if (node.type === 'CallExpression') {
+                        if (node.callee === 'печать' || node.callee === 'console.log') {
+                            results.push({
+                                message: 'Не используйте console.log в production коде',
+                                line: node.line || 0,
+                                column: 0,
+                                severity: 'warning',
+                                filename
+                            });
+                        }
+                    }
+
+                    for (const key in node) {
+                        if (Array.isArray(node[key])) {
+                            node[key].forEach(traverse);
+                        } else if (typeof node[key] === 'object') {
+                            traverse(node[key]);
+                        }
+                    }
+                };
+
+                traverse(ast);
+                return results;
+            }
+        });
+
+        // Правило: empty blocks
+        this.addRule('no-empty-blocks', {
+            checkAST: (ast, filename) => {
+                const results = [];
+
+                const traverse = (node) => {
+                    if (!node) return;
+
+                    if (node.type === 'IfStatement' || node.type === 'WhileStatement') {
+                        const body = node.thenBranch?.body || node.body;
+                        if (body && body.length === 0) {
+                            results.push({
+                                message: 'Пустой блок кода',
+                                line: node.line || 0,
+                                column: 0,
+                                severity: 'warning',
+                                filename
+                            });
+                        }
+                    }
+
+                    for (const key in node) {
+                        if (Array.isArray(node[key])) {
+                            node[key].forEach(traverse);
+                        } else if (typeof node[key] === 'object') {
+                            traverse(node[key]);
+                        }
+                    }
+                };
+
+                traverse(ast);
+                return results;
+            },
+            fix: (source) => {
+                return source.replace(/(?:если|if)\s*\([^)]*\)\s*{\s*}/g, '');
+            }
+        });
+
+        // Правило: trailing whitespace
+        this.addRule('no-trailing-whitespace', {
+            checkSource: (source, filename) => {
+                const results = [];
+                const lines = source.split('\n');
+
+                lines.forEach((line, index) => {
+                    if (line !== line.trimEnd()) {
+                        results.push({
+                            message: 'Trailing whitespace в конце строки',
+                            line: index + 1,
+                            column: line.length,
+                            severity: 'info',
+                            filename
+                        });
+                    }
+                });
+
+                return results;
+            },
+            fix: (source) => {
+                return source.split('\n').map(line => line.trimEnd()).join('\n');
+            }
+        });
+
+        // Правило: line length
+        this.addRule('max-line-length', {
+            checkSource: (source, filename) => {
+                const results = [];
+                const maxLength = this.config.maxLineLength || 100;
+                const lines = source.split('\n');
+
+                lines.forEach((line, index) => {
+                    if (line.length > maxLength) {
+                        results.push({
+                            message: `Строка слишком длинная: ${line.length} > ${maxLength}`,
+                            line: index + 1,
+                            column: maxLength,
+                            severity: 'warning',
+                            filename
+                        });
+                    }
+                });
+
+                return results;
+            }
+        });
+
+        // Правило: no var
+        this.addRule('no-var', {
+            checkTokens: (tokens, filename) => {
+                const results = [];
+
+                tokens.forEach(token => {
+                    if (token.type === 'VAR' || token.value === 'переменная') {
+                        results.push({
+                            message: 'Используйте "пусть" или "константа" вместо "переменная"',
+                            line: token.line,
+                            column: token.column,
+                            severity: 'error',
+                            filename
+                        });
+                    }
+                });
+
+                return results;
+            }
+        });
+
+        // Правило: curly braces
+        this.addRule('curly', {
+            checkAST: (ast, filename) => {
+                const results = [];
+
+                const traverse = (node) => {
+                    if (!node) return;
+
+                    if (node.type === 'IfStatement') {
+                        const thenBranch = node.thenBranch;
+                        if (thenBranch && thenBranch.type !== 'BlockStatement') {
+                            results.push({
+                                message: 'Используйте фигурные скобки для if блоков',
+                                line: node.line || 0,
+                                column: 0,
+                                severity: 'error',
+                                filename
+                            });
+                        }
+                    }
+
+                    for (const key in node) {
+                        if (Array.isArray(node[key])) {
+                            node[key].forEach(traverse);
+                        } else if (typeof node[key] === 'object') {
+                            traverse(node[key]);
+                        }
+                    }
+                };
+
+                traverse(ast);
+                return results;
+            }
+        });
+    }
+
+    /**
+     * Получить результаты в формате JSON
+     */
+    getResultsJSON(lintResults) {
+        return JSON.stringify(lintResults, null, 2);
+    }
+
+    /**
+     * Получить результаты в формате JUnit
+     */
+    getResultsJUnit(lintResults) {
+        const errors = lintResults.errors;
+        const warnings = lintResults.warnings;
+
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+        xml += `<testsuites errors="${errors.length}" failures="0" tests="${errors.length + warnings.length}">\n`;
+        xml += '  <testsuite name="VladX Linter">\n';
+
+        for (const error of errors) {
+            xml += `    <testcase name="${error.rule}">\n`;
+            xml += `      <error message="${error.message}" line="${error.line}"/>\n`;
+            xml += '    </testcase>\n';
+        }
+
+        for (const warning of warnings) {
+            xml += `    <testcase name="${warning.rule}"/>\n`;
+        }
+
+        xml += '  </testsuite>\n';
+        xml += '</testsuites>';
+
+        return xml;
+    }
+
+    /**
+     * Очистить правила
+     */
+    clearRules() {
+        this.rules.clear();
+        return this;
+    }
+}
+return { Linter, default: Linter };
+})();
+
+// Module: runtime/formatter.js
+const __vx_m38 = (() => {
+/**
+ * Formatter — Форматирование кода VladX
+ */
+
+const { Lexer, isPrivateNameAt, isRegexStartAt, scanRegexLiteral } = __vx_m3;
+const { Parser } = __vx_m5;
+
+// Операторы, от длинных к коротким
+const OPERATORS = [
+    '===', '!==', '**=', '??=', '...', '=>', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '+=', '-=', '*=', '/=', '%=', '**', '<<', '>>',
+    '+', '-', '*', '/', '%', '=', '<', '>', '!'
+];
+
+class Formatter {
+    constructor(options = {}) {
+        this.indentSize = options.indentSize || 4;
+        this.indentChar = options.indentChar || ' ';
+        this.useTabs = options.useTabs || false;
+        this.semicolons = options.semicolons !== false;
+        this.trailingComma = options.trailingComma || false;
+        this.singleQuote = options.singleQuote || false;
+        this.printWidth = options.printWidth || 100;
+        this.insertFinalNewline = options.insertFinalNewline !== false;
+    }
+
+    /**
+     * Отформатировать код
+     */
+    format(source, filename = '<anonymous>') {
+        let formatted = source;
+
+        // Шаг 1: Нормализация пробелов
+        formatted = this.normalizeWhitespace(formatted);
+
+        // Шаг 2: Форматирование блоков
+        formatted = this.formatBlocks(formatted);
+
+        // Шаг 3: Форматирование отступов
+        formatted = this.formatIndentation(formatted);
+
+        // Шаг 4: Форматирование операторов
+        formatted = this.formatOperators(formatted);
+
+        // Шаг 5: Удаление лишних пустых строк
+        formatted = this.formatEmptyLines(formatted);
+
+        // Шаг 6: Добавление перевода строки в конце
+        if (this.insertFinalNewline && !formatted.endsWith('\n')) {
+            formatted += '\n';
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Нормализация пробелов
+     */
+    normalizeWhitespace(source) {
+        // Удалить trailing whitespace
+        let formatted = source.split('\n').map(line => line.trimEnd()).join('\n');
+
+        // Нормализировать табы в пробелы или наоборот
+        if (this.useTabs) {
+            formatted = formatted.replace(/ {4}/g, '\t');
+        } else {
+            formatted = formatted.replace(/\t/g, ' '.repeat(this.indentSize));
+        }
+
+        return formatted;
+    }
+
+    /**
+     * Форматирование блоков: одиночная инструкция после если/пока/для
+     * на той же строке оборачивается в фигурные скобки
+     */
+    formatBlocks(source) {
+        return source.split('\n').map(line => this.wrapSingleStatement(line)).join('\n');
+    }
+
+    wrapSingleStatement(line) {
+        const match = /^(\s*)(если|if|пока|while|для|for)\s*\(/.exec(line);
+        if (!match) {
+            return line;
+        }
+
+        // Конец условия — парная закрывающая скобка
+        let depth = 0;
+        let end = -1;
+        for (let i = match[0].length - 1; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' || char === "'") {
+                const close = line.indexOf(char, i + 1);
+                if (close === -1) {
+                    return line;
+                }
+                i = close;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                end = i;
+                break;
+            }
+        }
+
+        const body = end === -1 ? '' : line.slice(end + 1).trim();
+        if (body === '' || body.startsWith('{')) {
+            return line;
+        }
+
+        const [, indent, keyword] = match;
+        const condition = line.slice(match[0].length, end);
+        const inner = this.useTabs ? '\t' : ' '.repeat(this.indentSize);
+        return `${indent}${keyword} (${condition}) {\n${indent}${inner}${body}\n${indent}}`;
+    }
+
+    /**
+     * Форматирование отступов
+     */
+    formatIndentation(source) {
+        const lines = source.split('\n');
+        const formattedLines = [];
+        let indentLevel = 0;
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+
+            if (trimmed.length === 0) {
+                formattedLines.push('');
+                continue;
+            }
+
+            // Уменьшить отступ перед закрывающей скобкой
+            if (trimmed.startsWith('}') || trimmed.startsWith('иначе')) {
+                indentLevel = Math.max(0, indentLevel - 1);
+            }
+
+            // Добавить отступ
+            const indent = this.useTabs
+                ? '\t'.repeat(indentLevel)
+                : ' '.repeat(indentLevel * this.indentSize);
+            formattedLines.push(indent + trimmed);
+
+            // Увеличить отступ после открывающей скобки
+            if (trimmed.endsWith('{')) {
+                indentLevel++;
+            }
+        }
+
+        return formattedLines.join('\n');
+    }
+
+    /**
+     * Форматирование операторов
+     */
+    formatOperators(source) {
+        return source.split('\n').map(line => this.formatLineOperators(line)).join('\n');
+    }
+
+    /**
+     * Пробелы вокруг бинарных операторов и после запятых; строки
+     * и комментарии не затрагиваются
+     */
+    formatLineOperators(line) {
+        const indent = line.match(/^\s*/)[0];
+        let result = '';
+        let i = indent.length;
+
+        while (i < line.length) {
+            const char = line[i];
+
+            if (char === '"' || char === "'" || char === '`') {
+                let j = i + 1;
+                while (j < line.length && line[j] !== char) {
+                    j += line[j] === '\\' ? 2 : 1;
+                }
+                result += line.slice(i, j + 1);
+                i = j + 1;
+                continue;
+            }
+
+            // Регулярное выражение копируется как есть
+            if (isRegexStartAt(line, i)) {
+                const { end } = scanRegexLiteral(line, i);
+                result += line.slice(i, end);
+                i = end;
+                continue;
+            }
+
+            if ((char === '#' && !isPrivateNameAt(line, i)) || (char === '/' && (line[i + 1] === '/' || line[i + 1] === '*'))) {
+                result += line.slice(i);
+                break;
+            }
+
+            if (char === ',' || char === ';') {
+                result = result.trimEnd() + char;
+                i++;
+                while (line[i] === ' ' || line[i] === '\t') {
+                    i++;
+                }
+                if (i < line.length) {
+                    result += ' ';
+                }
+                continue;
+            }
+
+            // Необязательная цепочка пишется слитно: obj?.имя, f?.(), a?.[0]
+            if (char === '?' && line[i + 1] === '.' && !/\d/.test(line[i + 2] || '')) {
+                result = result.trimEnd() + '?.';
+                i += 2;
+                while (line[i] === ' ' || line[i] === '\t') {
+                    i++;
+                }
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => line.startsWith(op, i));
+            if (!operator) {
+                result += char;
+                i++;
+                continue;
+            }
+
+            const before = result.trimEnd();
+            const unary = operator === '!' || operator === '...' ||
+                ((operator === '-' || operator === '+') && (before === '' || /[([{,=:?<>!&|+\-*/%]$/.test(before) ||
+                    /(?:^|[^\p{L}\p{N}_])(?:вернуть|return|бросить|throw|выдать|yield)$/u.test(before))) ||
+                // Показатель степени в числе (1e-5) и генератор (функция*)
+                (/\d[eE]$/.test(before) && /\d/.test(line[i + 1] || '')) ||
+                (operator === '*' && /(?:функция|function)$/.test(before));
+
+            i += operator.length;
+            if (unary) {
+                result += operator;
+                continue;
+            }
+
+            result = `${before} ${operator} `;
+            while (line[i] === ' ' || line[i] === '\t') {
+                i++;
+            }
+        }
+
+        return indent + result.trimEnd();
+    }
+
+    /**
+     * Форматирование пустых строк
+     */
+    formatEmptyLines(source) {
+        const lines = source.split('\n');
+        const formattedLines = [];
+        let emptyCount = 0;
+
+        for (const line of lines) {
+            if (line.trim().length === 0) {
+                emptyCount++;
+                if (emptyCount <= 2) {
+                    formattedLines.push(line);
+                }
+            } else {
+                emptyCount = 0;
+                formattedLines.push(line);
+            }
+        }
+
+        return formattedLines.join('\n');
+    }
+
+    /**
+     * Проверить код
+     */
+    check(source, filename = '<anonymous>') {
+        const issues = [];
+
+        // Проверить длину строк
+        const lines = source.split('\n');
+        lines.forEach((line, index) => {
+            if (line.length > this.printWidth) {
+                issues.push({
+                    message: `Строка слишком длинная: ${line.length} > ${this.printWidth}`,
+                    line: index + 1,
+                    severity: 'warning'
+                });
+            }
+        });
+
+        // Проверить trailing whitespace
+        lines.forEach((line, index) => {
+            if (line !== line.trimEnd()) {
+                issues.push({
+                    message: 'Trailing whitespace в конце строки',
+                    line: index + 1,
+                    severity: 'info'
+                });
+            }
+        });
+
+        // Проверить смешивание табов и пробелов
+        lines.forEach((line, index) => {
+            if (line.includes('\t') && line.includes('  ')) {
+                issues.push({
+                    message: 'Смешивание табов и пробелов',
+                    line: index + 1,
+                    severity: 'error'
+                });
+            }
+        });
+
+        return {
+            issues,
+            hasIssues: issues.length > 0
+        };
+    }
+
+    /**
+     * Форматировать с автофиксом
+     */
+    formatWithFix(source, filename = '<anonymous>') {
+        const checkResult = this.check(source, filename);
+
+        if (!checkResult.hasIssues) {
+            return {
+                source,
+                formatted: false,
+                issues: []
+            };
+        }
+
+        const formatted = this.format(source, filename);
+
+        return {
+            source: formatted,
+            formatted: true,
+            issues: checkResult.issues
+        };
+    }
+
+    /**
+     * Получить конфигурацию
+     */
+    getConfig() {
+        return {
+            indentSize: this.indentSize,
+            indentChar: this.indentChar,
+            useTabs: this.useTabs,
+            semicolons: this.semicolons,
+            trailingComma: this.trailingComma,
+            singleQuote: this.singleQuote,
+            printWidth: this.printWidth,
+            insertFinalNewline: this.insertFinalNewline
+        };
+    }
+
+    /**
+     * Установить конфигурацию
+     */
+    setConfig(config) {
+        Object.assign(this, config);
+        return this;
+    }
+}
+return { Formatter, default: Formatter };
+})();
+
+// Module: runtime/language-server.js
+const __vx_m39 = (() => {
 /**
- * VladX - Полностью самодостаточный интерпретатор
- * Все в одном файле для простоты использования
+ * LanguageServer — Сервер Language Server Protocol (LSP) для файлов .vx
+ * Сообщения JSON-RPC передаются через stdio в виде
+ * `Content-Length: <байты>\r\n\r\n<JSON>`. Диагностика строится на Lexer,
+ * Parser и Linter, форматирование — на Formatter, типы — на TypeSystem.
  */
 
-// === Типы данных ===
-const types = {
-    NULL: 'null',
-    NUMBER: 'number',
-    STRING: 'string',
-    BOOLEAN: 'boolean',
-    ARRAY: 'array',
-    OBJECT: 'object',
-    FUNCTION: 'function',
-    CLOSURE: 'closure'
-};
+const { dirname, resolve } = __vx_ext1;
+const { fileURLToPath, pathToFileURL } = __vx_ext2;
+const { Lexer, KEYWORDS } = __vx_m3;
+const { Parser } = __vx_m5;
+const { VladXEngine } = __vx_m32;
+const { Linter } = __vx_m37;
+const { Formatter } = __vx_m38;
+const { TypeSystem } = __vx_m11;
+const { VladXObject } = __vx_m6;
+
+// Коды ошибок JSON-RPC
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const SERVER_NOT_INITIALIZED = -32002;
+
+// Важность диагностики: error, warning, info
+const SEVERITY = { error: 1, warning: 2, info: 3 };
+
+// Виды элементов автодополнения LSP
+const COMPLETION_KIND = {
+    method: 2,
+    function: 3,
+    variable: 6,
+    parameter: 6,
+    class: 7,
+    module: 9,
+    keyword: 14,
+    constant: 21
+};
+
+// Как символ объявлен — для подсказки при наведении
+const KIND_LABEL = {
+    variable: 'пусть',
+    constant: 'константа',
+    parameter: 'параметр',
+    function: 'функция',
+    method: 'метод',
+    class: 'класс',
+    module: 'импорт'
+};
+
+// Токены, после которых { открывает объектный литерал, а не блок
+const LITERAL_CONTEXT = new Set([
+    'ASSIGN', 'LPAREN', 'COMMA', 'COLON', 'LBRACKET', 'RETURN', 'TERNARY', 'SPREAD', 'YIELD', 'AWAIT'
+]);
+
+// Токены, после которых имя в образце деструктуризации — новая переменная
+const PATTERN_BINDING = new Set(['LBRACKET', 'LBRACE', 'COMMA', 'COLON', 'SPREAD']);
+
+const COMPARISON = new Set(['==', '!=', '===', '!==', '<', '>', '<=', '>=']);
+const ARITHMETIC = new Set(['+', '-', '*', '/', '%', '**']);
+
+class LanguageServer {
+    constructor(options = {}) {
+        this.onClose = options.onClose || null;
+        this.input = null;
+        this.output = null;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.initialized = false;
+        // Диагностика публикуется после уведомления initialized от клиента
+        this.ready = false;
+        this.shuttingDown = false;
+        // Запросы, ответ на которые ещё не отправлен
+        this.pending = new Set();
+
+        // Открытые документы: uri → { uri, text, version, analysis }
+        this.documents = new Map();
+
+        this.linter = new Linter(options.lint || {});
+        this.typeSystem = new TypeSystem();
+        this.builtins = null;
+
+        this.handlers = new Map();
+        this.registerHandlers();
+    }
+
+    /**
+     * Регистрация обработчиков запросов и уведомлений
+     */
+    registerHandlers() {
+        this.handlers.set('initialize', this.initialize.bind(this));
+        this.handlers.set('initialized', this.onInitialized.bind(this));
+        this.handlers.set('shutdown', this.shutdown.bind(this));
+        this.handlers.set('exit', this.exit.bind(this));
+        this.handlers.set('textDocument/didOpen', this.didOpen.bind(this));
+        this.handlers.set('textDocument/didChange', this.didChange.bind(this));
+        this.handlers.set('textDocument/didClose', this.didClose.bind(this));
+        this.handlers.set('textDocument/formatting', this.formatting.bind(this));
+        this.handlers.set('textDocument/definition', this.definition.bind(this));
+        this.handlers.set('textDocument/references', this.references.bind(this));
+        this.handlers.set('textDocument/hover', this.hover.bind(this));
+        this.handlers.set('textDocument/completion', this.completion.bind(this));
+    }
+
+    /**
+     * Начать сеанс на паре потоков (stdin/stdout)
+     */
+    start(input, output) {
+        this.input = input;
+        this.output = output;
+        input.on('data', chunk => this.receive(chunk));
+        input.on('end', () => this.close());
+        return this;
+    }
+
+    // ========== Транспорт ==========
+
+    /**
+     * Разбор входящих сообщений с заголовком Content-Length
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+
+            const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            const start = headerEnd + 4;
+            if (!match) {
+                this.buffer = this.buffer.subarray(start);
+                continue;
+            }
+
+            const length = Number(match[1]);
+            if (this.buffer.length < start + length) {
+                return;
+            }
+
+            const body = this.buffer.subarray(start, start + length).toString('utf-8');
+            this.buffer = this.buffer.subarray(start + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.sendError(null, PARSE_ERROR, `Некорректное сообщение LSP: ${error.message}`);
+                continue;
+            }
+
+            const task = this.dispatch(message);
+            this.pending.add(task);
+            task.finally(() => this.pending.delete(task));
+        }
+    }
+
+    /**
+     * Выполнить запрос или уведомление; ответ отправляется только на запросы
+     */
+    async dispatch(message) {
+        const isRequest = message.id !== undefined && message.id !== null;
+        const handler = this.handlers.get(message.method);
+
+        if (!handler) {
+            if (isRequest) {
+                this.sendError(message.id, METHOD_NOT_FOUND, `Неподдерживаемый метод: ${message.method}`);
+            }
+            return;
+        }
+
+        if (!this.initialized && message.method !== 'initialize' && message.method !== 'exit') {
+            if (isRequest) {
+                this.sendError(message.id, SERVER_NOT_INITIALIZED, 'Сервер не инициализирован');
+            }
+            return;
+        }
+
+        try {
+            const result = await handler(message.params || {});
+            if (isRequest) {
+                this.send({ id: message.id, result: result ?? null });
+            }
+        } catch (error) {
+            if (isRequest) {
+                this.sendError(message.id, INTERNAL_ERROR, error.message || String(error));
+            }
+        }
+    }
+
+    sendError(id, code, message) {
+        this.send({ id, error: { code, message } });
+    }
+
+    notify(method, params) {
+        this.send({ method, params });
+    }
+
+    send(message) {
+        if (this.closed || !this.output) {
+            return;
+        }
+        const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+    }
+
+    /**
+     * Завершить сеанс; код 0 — если клиент прислал shutdown перед exit
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        if (this.output && this.output !== process.stdout) {
+            this.output.end();
+        }
+        if (this.onClose) {
+            this.onClose(this.shuttingDown ? 0 : 1);
+        }
+    }
+
+    // ========== Жизненный цикл ==========
+
+    initialize() {
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                textDocumentSync: { openClose: true, change: 1 },
+                documentFormattingProvider: true,
+                definitionProvider: true,
+                referencesProvider: true,
+                hoverProvider: true,
+                completionProvider: { resolveProvider: false }
+            },
+            serverInfo: { name: 'vladx' }
+        };
+    }
+
+    /**
+     * Клиент готов принимать уведомления: диагностика документов, открытых раньше
+     */
+    onInitialized() {
+        this.ready = true;
+        for (const document of this.documents.values()) {
+            this.publishDiagnostics(document.uri, document.version, document.analysis.diagnostics);
+        }
+        return null;
+    }
+
+    shutdown() {
+        this.shuttingDown = true;
+        return null;
+    }
+
+    /**
+     * exit: сеанс закрывается после ответов на уже полученные запросы
+     */
+    exit() {
+        Promise.allSettled([...this.pending]).then(() => this.close());
+        return null;
+    }
+
+    // ========== Документы ==========
+
+    didOpen({ textDocument }) {
+        this.update(textDocument.uri, textDocument.text, textDocument.version);
+    }
+
+    /**
+     * Синхронизация полная: последнее изменение содержит весь текст
+     */
+    didChange({ textDocument, contentChanges = [] }) {
+        const change = contentChanges[contentChanges.length - 1];
+        if (change) {
+            this.update(textDocument.uri, change.text, textDocument.version);
+        }
+    }
+
+    didClose({ textDocument }) {
+        this.documents.delete(textDocument.uri);
+        this.publishDiagnostics(textDocument.uri, undefined, []);
+    }
+
+    /**
+     * Проанализировать документ и опубликовать диагностику
+     */
+    update(uri, text, version) {
+        const analysis = this.analyze(text, uri);
+        this.documents.set(uri, { uri, text, version, analysis });
+        this.publishDiagnostics(uri, version, analysis.diagnostics);
+    }
+
+    publishDiagnostics(uri, version, diagnostics) {
+        if (this.ready) {
+            this.notify('textDocument/publishDiagnostics', { uri, version, diagnostics });
+        }
+    }
+
+    // ========== Анализ ==========
+
+    /**
+     * Синтаксические ошибки, замечания линтера и таблица символов.
+     * Символы собираются по токенам, поэтому навигация работает и в файле
+     * с синтаксической ошибкой
+     */
+    analyze(text, uri) {
+        const filename = uri.startsWith('file:') ? fileURLToPath(uri) : uri;
+        const diagnostics = [];
+        const lexer = new Lexer(text, filename);
+        let tokens = null;
+        let ast = null;
+
+        try {
+            tokens = lexer.tokenize();
+            ast = new Parser(tokens).parse();
+        } catch (error) {
+            diagnostics.push(this.syntaxDiagnostic(error));
+        }
+
+        if (ast) {
+            const lines = text.split('\n');
+            try {
+                const results = this.linter.lint(text, filename);
+                diagnostics.push(...results.all.map(result => this.lintDiagnostic(result, lines)));
+            } catch (error) {
+                diagnostics.push(this.syntaxDiagnostic(error));
+            }
+        }
+
+        const analysis = this.collectSymbols(tokens || lexer.tokens);
+        analysis.filename = filename;
+        analysis.diagnostics = diagnostics;
+        this.attachDeclarations(analysis, ast);
+        return analysis;
+    }
+
+    /**
+     * Ошибка лексера или парсера: позиция берётся из префикса [файл:строка:колонка]
+     */
+    syntaxDiagnostic(error) {
+        const text = error.message || String(error);
+        const match = /^\[.*?:(\d+|\?):(\d+|\?)\]\s*([\s\S]*)$/.exec(text);
+        const line = match && match[1] !== '?' ? Number(match[1]) - 1 : 0;
+        const character = match && match[2] !== '?' ? Number(match[2]) - 1 : 0;
+        const message = (match ? match[3] : text).split('\n')[0];
+
+        return {
+            range: {
+                start: { line, character },
+                end: { line, character: character + 1 }
+            },
+            severity: SEVERITY.error,
+            source: 'vladx',
+            message
+        };
+    }
+
+    /**
+     * Замечание линтера подсвечивается от колонки до конца строки
+     */
+    lintDiagnostic(result, lines) {
+        const line = Math.max(0, (result.line || 1) - 1);
+        const length = (lines[line] || '').length;
+        const character = Math.min(Math.max(0, (result.column || 1) - 1), length);
+
+        return {
+            range: {
+                start: { line, character },
+                end: { line, character: Math.max(length, character) }
+            },
+            severity: SEVERITY[result.severity] || SEVERITY.warning,
+            source: 'vladx-lint',
+            code: result.rule,
+            message: result.message
+        };
+    }
+
+    /**
+     * Таблица символов по потоку токенов: области видимости — блоки { },
+     * параметры функций, методов, перехвата и заголовки циклов «для»
+     * относятся к следующему за ними блоку. Ссылки разрешаются по цепочке
+     * областей независимо от порядка объявления (функции и классы поднимаются)
+     */
+    collectSymbols(tokens) {
+        const significant = tokens.filter(token => token.type !== 'NEWLINE' && token.type !== 'EOF');
+        const scopes = [];
+        const symbols = [];
+        const occurrences = [];
+        const references = [];
+
+        const createScope = (parent, start) => {
+            const created = { parent, symbols: new Map(), start, end: null };
+            scopes.push(created);
+            return created;
+        };
+
+        const root = createScope(null, null);
+        let scope = root;
+        let pending = null;       // область параметров для следующего блока
+        let classPending = false;
+        let expectHeader = null;  // { params, owner } — чего ждать от следующей (
+        let parenDepth = 0;
+        const braces = [];
+        const headers = [];
+
+        const declare = (token, kind, extra = {}) => {
+            const symbol = { name: token.value, kind, token, scope, references: [], ...extra };
+            // Методы доступны только через объект, а не по имени
+            if (kind !== 'method') {
+                scope.symbols.set(token.value, symbol);
+            }
+            symbols.push(symbol);
+            occurrences.push({ token, symbol });
+            return symbol;
+        };
+
+        const reference = token => references.push({ token, scope });
+
+        for (let i = 0; i < significant.length; i++) {
+            const token = significant[i];
+            const prev = significant[i - 1];
+            const next = significant[i + 1];
+            const header = expectHeader;
+            expectHeader = null;
+
+            switch (token.type) {
+                case 'LPAREN':
+                    parenDepth++;
+                    if (header) {
+                        headers.push({ depth: parenDepth, ...header });
+                        scope = createScope(scope, token);
+                    }
+                    break;
+
+                case 'RPAREN':
+                    if (headers.length > 0 && headers[headers.length - 1].depth === parenDepth) {
+                        headers.pop();
+                        pending = scope;
+                        scope = scope.parent;
+                    }
+                    parenDepth--;
+                    break;
+
+                case 'LBRACE':
+                    if (pending) {
+                        scope = pending;
+                        pending = null;
+                        braces.push({ scope });
+                    } else if (classPending) {
+                        scope = createScope(scope, token);
+                        classPending = false;
+                        braces.push({ scope, classBody: true });
+                    } else if (prev && LITERAL_CONTEXT.has(prev.type)) {
+                        braces.push({ scope, literal: true });
+                    } else {
+                        scope = createScope(scope, token);
+                        braces.push({ scope });
+                    }
+                    break;
+
+                case 'RBRACE': {
+                    const entry = braces.pop();
+                    if (entry && !entry.literal) {
+                        entry.scope.end = token;
+                        scope = entry.scope.parent || root;
+                    }
+                    break;
+                }
+
+                case 'LET':
+                case 'CONST': {
+                    const kind = token.type === 'LET' ? 'variable' : 'constant';
+                    if (next && next.type === 'IDENTIFIER') {
+                        declare(next, kind);
+                        i++;
+                    } else if (next && (next.type === 'LBRACKET' || next.type === 'LBRACE')) {
+                        // Образец деструктуризации — до парной скобки
+                        let depth = 0;
+                        let j = i + 1;
+                        for (; j < significant.length; j++) {
+                            const part = significant[j];
+                            if (part.type === 'LBRACKET' || part.type === 'LBRACE') {
+                                depth++;
+                            } else if (part.type === 'RBRACKET' || part.type === 'RBRACE') {
+                                depth--;
+                                if (depth === 0) {
+                                    break;
+                                }
+                            } else if (part.type === 'IDENTIFIER' && significant[j + 1]?.type !== 'COLON') {
+                                if (PATTERN_BINDING.has(significant[j - 1].type)) {
+                                    declare(part, kind);
+                                } else {
+                                    reference(part);
+                                }
+                            }
+                        }
+                        i = j;
+                    }
+                    break;
+                }
+
+                case 'FUNCTION': {
+                    let j = i + 1;
+                    if (significant[j]?.type === 'MULT') {
+                        j++;
+                    }
+                    if (significant[j]?.type === 'IDENTIFIER') {
+                        const owner = declare(significant[j], 'function', { params: [] });
+                        expectHeader = { params: true, owner };
+                        i = j;
+                    }
+                    break;
+                }
+
+                case 'CLASS':
+                    if (next && next.type === 'IDENTIFIER') {
+                        declare(next, 'class');
+                        classPending = true;
+                        i++;
+                    }
+                    break;
+
+                case 'FOR':
+                    expectHeader = { params: false };
+                    break;
+
+                case 'CATCH':
+                    expectHeader = { params: true, owner: null };
+                    break;
+
+                case 'IMPORT':
+                    if (next?.type === 'STRING' && significant[i + 2]?.type === 'AS' && significant[i + 3]?.type === 'IDENTIFIER') {
+                        declare(significant[i + 3], 'module', { path: next.value });
+                        i += 3;
+                    }
+                    break;
+
+                case 'IDENTIFIER': {
+                    const block = braces[braces.length - 1];
+                    const current = headers[headers.length - 1];
+
+                    if (prev && prev.type === 'DOT') {
+                        // Свойство объекта
+                        break;
+                    }
+                    if (block && block.classBody && next && next.type === 'LPAREN') {
+                        const owner = declare(token, 'method', { params: [] });
+                        expectHeader = { params: true, owner };
+                        break;
+                    }
+                    if (block && block.literal && next && next.type === 'COLON' && prev && (prev.type === 'LBRACE' || prev.type === 'COMMA')) {
+                        // Ключ объектного литерала
+                        break;
+                    }
+                    if (current && current.params && current.depth === parenDepth && prev && (prev.type === 'LPAREN' || prev.type === 'COMMA')) {
+                        const param = declare(token, 'parameter');
+                        if (current.owner) {
+                            current.owner.params.push(param.name);
+                        }
+                        break;
+                    }
+                    reference(token);
+                    break;
+                }
+            }
+        }
+
+        for (const { token, scope: from } of references) {
+            const symbol = this.lookup(token.value, from);
+            if (symbol) {
+                symbol.references.push(token);
+            }
+            occurrences.push({ token, symbol });
+        }
+
+        return { root, scopes, symbols, occurrences };
+    }
+
+    /**
+     * Найти символ по имени в цепочке областей видимости
+     */
+    lookup(name, scope) {
+        for (let current = scope; current; current = current.parent) {
+            const symbol = current.symbols.get(name);
+            if (symbol) {
+                return symbol;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Связать объявления переменных с узлами AST (по строке и имени) —
+     * для вывода типа по инициализатору
+     */
+    attachDeclarations(analysis, ast) {
+        if (!ast) {
+            return;
+        }
+
+        const declarations = new Map();
+        const traverse = (node) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if ((node.type === 'LetStatement' || node.type === 'ConstStatement') && node.line !== undefined) {
+                const key = `${node.line}:${node.name}`;
+                if (!declarations.has(key)) {
+                    declarations.set(key, node);
+                }
+            }
+            for (const key in node) {
+                if (Array.isArray(node[key])) {
+                    node[key].forEach(traverse);
+                } else if (typeof node[key] === 'object') {
+                    traverse(node[key]);
+                }
+            }
+        };
+        traverse(ast);
+
+        for (const symbol of analysis.symbols) {
+            const node = declarations.get(`${symbol.token.line}:${symbol.name}`);
+            if (node && (symbol.kind === 'variable' || symbol.kind === 'constant')) {
+                symbol.node = node;
+            }
+        }
+    }
+
+    /**
+     * Тип символа через TypeSystem.inferType или null, если он неизвестен
+     */
+    inferSymbolType(symbol) {
+        const value = this.symbolValue(symbol, new Set());
+        return value ? this.typeSystem.inferType(value) : null;
+    }
+
+    /**
+     * Представитель значения символа (для вывода типа)
+     */
+    symbolValue(symbol, seen) {
+        if (seen.has(symbol)) {
+            return null;
+        }
+        seen.add(symbol);
+
+        switch (symbol.kind) {
+            case 'function':
+            case 'method':
+                return VladXObject.closure(null, null, symbol.name);
+            case 'class':
+                return VladXObject.class(symbol.name);
+            case 'variable':
+            case 'constant':
+                return symbol.node ? this.staticValue(symbol.node.initializer, symbol.scope, seen) : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Значение выражения, известное без выполнения программы
+     */
+    staticValue(node, scope, seen) {
+        if (!node) {
+            return null;
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                return VladXObject.fromJS(node.value);
+            case 'TemplateLiteral':
+                return VladXObject.string('');
+            case 'ArrayExpression':
+                return VladXObject.array([]);
+            case 'ObjectExpression':
+                return VladXObject.object({});
+            case 'FunctionDeclaration':
+            case 'ArrowFunctionExpression':
+                return VladXObject.closure(node, null, node.name);
+            case 'NewExpression': {
+                const name = node.callee?.name ?? node.callee;
+                return typeof name === 'string' ? VladXObject.instance(VladXObject.class(name)) : null;
+            }
+            case 'UnaryExpression':
+                if (node.operator === '!') {
+                    return VladXObject.boolean(false);
+                }
+                return node.operator === '-' || node.operator === '+' ? VladXObject.number(0) : null;
+            case 'BinaryExpression': {
+                if (COMPARISON.has(node.operator)) {
+                    return VladXObject.boolean(false);
+                }
+                const left = this.staticValue(node.left, scope, seen);
+                const right = this.staticValue(node.right, scope, seen);
+                if (node.operator === '+' && (left?.type === 'string' || right?.type === 'string')) {
+                    return VladXObject.string('');
+                }
+                if (ARITHMETIC.has(node.operator) && left?.type === 'number' && right?.type === 'number') {
+                    return VladXObject.number(0);
+                }
+                return null;
+            }
+            case 'Identifier': {
+                const symbol = this.lookup(node.name, scope);
+                return symbol ? this.symbolValue(symbol, seen) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Подпись символа: «функция сумма(а, б)», «пусть x: число»
+     */
+    signature(symbol) {
+        const label = KIND_LABEL[symbol.kind];
 
-// === Базовый объект ===
-class VladXObject {
-    constructor(type, value = null) {
-        this.type = type;
-        this.value = value;
+        switch (symbol.kind) {
+            case 'function':
+            case 'method':
+                return `${label} ${symbol.name}(${symbol.params.join(', ')})`;
+            case 'module':
+                return `${label} "${symbol.path}" как ${symbol.name}`;
+            case 'class':
+            case 'parameter':
+                return `${label} ${symbol.name}`;
+            default: {
+                const type = this.inferSymbolType(symbol);
+                return type ? `${label} ${symbol.name}: ${type}` : `${label} ${symbol.name}`;
+            }
+        }
     }
 
-    static null() { return new VladXObject(types.NULL, null); }
-    static number(value) { return new VladXObject(types.NUMBER, Number(value)); }
-    static string(value) { return new VladXObject(types.STRING, String(value)); }
-    static boolean(value) { return new VladXObject(types.BOOLEAN, Boolean(value)); }
-    static array(value) { return new VladXObject(types.ARRAY, Array.isArray(value) ? value : [value]); }
-    static object(value) { return new VladXObject(types.OBJECT, value && typeof value === 'object' ? value : {}); }
-    static function(value, name = '<function>') { return new VladXObject(types.FUNCTION, value, { name }); }
-    static closure(ast, env, name = '<closure>') { return new VladXObject(types.CLOSURE, null, { env, name, ast }); }
+    // ========== Навигация ==========
 
-    toString() {
-        switch (this.type) {
-            case types.NULL: return 'ничто';
-            case types.STRING: return this.value;
-            case types.NUMBER: return String(this.value);
-            case types.BOOLEAN: return this.value ? 'истина' : 'ложь';
-            case types.ARRAY: return '[' + this.value.map(v => v?.toString() || String(v)).join(', ') + ']';
-            case types.OBJECT: return '{' + Object.entries(this.value).map(([k, v]) => `${k}: ${v?.toString() || String(v)}`).join(', ') + '}';
-            case types.FUNCTION: return `[функция: ${this.name}]`;
-            case types.CLOSURE: return `[замыкание: ${this.name}]`;
-            default: return String(this.value);
+    /**
+     * Вхождение имени под курсором (курсор может стоять сразу после имени)
+     */
+    occurrenceAt(analysis, position) {
+        return analysis.occurrences.find(({ token }) => {
+            const start = token.column - 1;
+            return token.line - 1 === position.line &&
+                position.character >= start && position.character <= start + String(token.value).length;
+        }) || null;
+    }
+
+    /**
+     * Самая вложенная область видимости, содержащая позицию
+     */
+    scopeAt(analysis, position) {
+        const before = (token, line, character) =>
+            token.line - 1 < line || (token.line - 1 === line && token.column - 1 <= character);
+
+        let found = analysis.root;
+        for (const scope of analysis.scopes) {
+            if (!scope.start || !before(scope.start, position.line, position.character)) {
+                continue;
+            }
+            if (scope.end && before(scope.end, position.line, position.character - 1)) {
+                continue;
+            }
+            found = scope;
         }
+        return found;
     }
-}
 
-// === Кэш ===
-class Cache {
-    constructor(maxSize = 1000, ttl = 300000) {
-        this.cache = new Map();
-        this.maxSize = maxSize;
-        this.ttl = ttl;
-        this.hits = 0;
-        this.misses = 0;
+    location(uri, token) {
+        return { uri, range: this.tokenRange(token) };
     }
 
-    get(key) {
-        const entry = this.cache.get(key);
-        if (!entry) {
-            this.misses++;
-            return undefined;
+    tokenRange(token) {
+        const line = token.line - 1;
+        const character = token.column - 1;
+        return {
+            start: { line, character },
+            end: { line, character: character + String(token.value).length }
+        };
+    }
+
+    /**
+     * Переход к объявлению; для псевдонима импорта — к файлу модуля
+     */
+    definition({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence || !occurrence.symbol) {
+            return null;
         }
-        if (this.ttl > 0 && Date.now() - entry.timestamp > this.ttl) {
-            this.cache.delete(key);
-            this.misses++;
-            return undefined;
+
+        const { symbol } = occurrence;
+        if (symbol.kind === 'module' && symbol.path.startsWith('.') && occurrence.token !== symbol.token) {
+            const target = resolve(dirname(document.analysis.filename), symbol.path);
+            const start = { line: 0, character: 0 };
+            return { uri: pathToFileURL(target).href, range: { start, end: start } };
         }
-        this.hits++;
-        return entry.value;
+
+        return this.location(textDocument.uri, symbol.token);
     }
 
-    set(key, value) {
-        if (this.cache.size >= this.maxSize) {
-            this.evictLRU();
+    references({ textDocument, position, context = {} }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence || !occurrence.symbol) {
+            return [];
         }
-        this.cache.set(key, { value, timestamp: Date.now() });
+
+        const { symbol } = occurrence;
+        const tokens = context.includeDeclaration === false ? symbol.references : [symbol.token, ...symbol.references];
+        return tokens.map(token => this.location(textDocument.uri, token));
     }
 
-    evictLRU() {
-        let lruKey = null;
-        let lruTime = Infinity;
-        for (const [key, entry] of this.cache) {
-            if (entry.timestamp < lruTime) {
-                lruTime = entry.timestamp;
-                lruKey = key;
-            }
+    hover({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence) {
+            return null;
         }
-        if (lruKey) this.cache.delete(lruKey);
-    }
 
-    clear() {
-        this.cache.clear();
-    }
+        let text;
+        if (occurrence.symbol) {
+            text = this.signature(occurrence.symbol);
+        } else if (this.getBuiltins().includes(occurrence.token.value)) {
+            text = `встроенная функция ${occurrence.token.value}`;
+        } else {
+            return null;
+        }
 
-    getStats() {
         return {
-            size: this.cache.size,
-            hits: this.hits,
-            misses: this.misses,
-            hitRate: this.hits + this.misses > 0 ? ((this.hits / (this.hits + this.misses)) * 100).toFixed(2) + '%' : '0%'
+            contents: { kind: 'markdown', value: `\`\`\`vladx\n${text}\n\`\`\`` },
+            range: this.tokenRange(occurrence.token)
         };
     }
-}
 
-// === Функциональное программирование ===
-const Functional = {
-    curry(fn) {
-        const curried = (...args) => {
-            if (args.length >= fn.length) return fn(...args);
-            return (...more) => curried(...args, ...more);
-        };
-        return curried;
-    },
+    // ========== Правка ==========
 
-    compose(...fns) {
-        return (arg) => fns.reduceRight((acc, fn) => fn(acc), arg);
-    },
+    /**
+     * Форматирование всего документа одной правкой
+     */
+    formatting({ textDocument, options = {} }) {
+        const document = this.documents.get(textDocument.uri);
+        if (!document) {
+            return null;
+        }
 
-    pipe(...fns) {
-        return (arg) => fns.reduce((acc, fn) => fn(acc), arg);
-    },
+        const formatter = new Formatter({
+            indentSize: options.tabSize || 4,
+            useTabs: options.insertSpaces === false
+        });
+        const formatted = formatter.format(document.text, document.analysis.filename);
+        if (formatted === document.text) {
+            return [];
+        }
 
-    memoize(fn, keyFn = (...args) => JSON.stringify(args)) {
-        const cache = new Map();
-        return (...args) => {
-            const key = keyFn(...args);
-            if (cache.has(key)) return cache.get(key);
-            const result = fn(...args);
-            cache.set(key, result);
-            return result;
+        const lines = document.text.split('\n');
+        return [{
+            range: {
+                start: { line: 0, character: 0 },
+                end: { line: lines.length - 1, character: lines[lines.length - 1].length }
+            },
+            newText: formatted
+        }];
+    }
+
+    /**
+     * Символы видимых областей, встроенные функции и ключевые слова
+     */
+    completion({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const items = [];
+        const seen = new Set();
+        const add = (label, kind, detail) => {
+            if (!seen.has(label)) {
+                seen.add(label);
+                items.push({ label, kind, detail });
+            }
         };
-    },
 
-    partial(fn, ...presetArgs) {
-        return (...args) => fn(...presetArgs, ...args);
-    },
+        if (document) {
+            for (let scope = this.scopeAt(document.analysis, position); scope; scope = scope.parent) {
+                for (const symbol of scope.symbols.values()) {
+                    add(symbol.name, COMPLETION_KIND[symbol.kind], this.signature(symbol));
+                }
+            }
+        }
 
-    flip(fn) {
-        return (...args) => fn(...args.reverse());
-    },
+        for (const name of this.getBuiltins()) {
+            add(name, COMPLETION_KIND.function, 'встроенная функция');
+        }
 
-    once(fn) {
-        let called = false;
-        return (...args) => {
-            if (called) return result;
-            called = true;
-            result = fn(...args);
-            return result;
-        };
-    },
+        for (const keyword of Object.keys(KEYWORDS)) {
+            add(keyword, COMPLETION_KIND.keyword, 'ключевое слово');
+        }
 
-    trace(label = 'trace') => {
-        return function(x) {
-            console.log(label, x);
-            return x;
-        };
-    },
+        return { isIncomplete: false, items };
+    }
 
-    flip(fn) {
-        return (...args) => fn(...args.reverse());
-    },
+    /**
+     * Имена встроенных функций, зарегистрированных движком
+     */
+    getBuiltins() {
+        if (!this.builtins) {
+            const engine = new VladXEngine();
+            this.builtins = [...engine.interpreter.builtins.keys()].sort();
+        }
+        return this.builtins;
+    }
+}
+return { LanguageServer, default: LanguageServer };
+})();
 
-    once(fn) {
-        let called = false;
-        return (...args) => {
-            if (called) return;
-            called = true;
-            return fn(...args);
-        };
-    },
+// Module: runtime/test-runner.js
+const __vx_m40 = (() => {
+/**
+ * TestRunner — Фреймворк для тестирования
+ */
 
-    trace: (label) => {
-        return function(x) {
-            console.log(label, x);
-            return x;
-        };
-    }
-};
-    },
+const { VladXObject } = __vx_m6;
 
-    trace(label = 'trace') => {
-        return function(x) {
-            console.log(label, x);
-            return x;
+class TestRunner {
+    constructor() {
+        this.suites = [];
+        this.currentSuite = null;
+        this.results = {
+            total: 0,
+            passed: 0,
+            failed: 0,
+            skipped: 0,
+            suites: []
         };
+        this.assertions = this.createAssertions();
     }
 
-    once(fn) {
-        let called = false;
-        return (...args) => {
-            if (called) return result;
-            called = true;
-            result = fn(...args);
-            return result;
+    /**
+     * Создать группу тестов
+     */
+    describe(name, callback) {
+        const suite = {
+            name,
+            tests: [],
+            beforeEach: [],
+            afterEach: []
         };
-    },
 
-    trace(label = 'trace') => {
-        return function(x) {
-            console.log(label, x);
-            return x;
-        };
+        this.suites.push(suite);
+        const parentSuite = this.currentSuite;
+        this.currentSuite = suite;
+
+        callback();
+
+        this.currentSuite = parentSuite;
     }
-};
-    },
 
-    trace(label = 'trace') => {
-        return (x) => {
-            console.log(label, x);
-            return x;
+    /**
+     * Создать тест
+     */
+    it(name, callback, options = {}) {
+        if (!this.currentSuite) {
+            throw new Error('Test must be inside a describe block');
+        }
+
+        const test = {
+            name,
+            callback,
+            skip: options.skip || false,
+            only: options.only || false,
+            timeout: options.timeout || 5000
         };
+
+        this.currentSuite.tests.push(test);
     }
-};
 
-// === Асинхронность ===
-class AsyncManager {
-    constructor(options = {}) {
-        this.maxConcurrent = options.maxConcurrent || 10;
-        this.timeout = options.timeout || 30000;
+    /**
+     * Пропустить тест
+     */
+    skip(name, callback) {
+        this.it(name, callback, { skip: true });
     }
 
-    async parallel(tasks) {
-        return Promise.all(tasks.map(t => t()));
+    /**
+     * Запустить только этот тест
+     */
+    only(name, callback) {
+        this.it(name, callback, { only: true });
     }
 
-    async sequential(tasks) {
-        const results = [];
-        for (const task of tasks) {
-            results.push(await task());
+    /**
+     * Before each
+     */
+    beforeEach(callback) {
+        if (!this.currentSuite) {
+            throw new Error('beforeEach must be inside a describe block');
         }
-        return results;
+        this.currentSuite.beforeEach.push(callback);
     }
 
-    async race(tasks) {
-        return Promise.race(tasks.map(t => t()));
+    /**
+     * After each
+     */
+    afterEach(callback) {
+        if (!this.currentSuite) {
+            throw new Error('afterEach must be inside a describe block');
+        }
+        this.currentSuite.afterEach.push(callback);
     }
 
-    async allSettled(tasks) {
-        return Promise.allSettled(tasks.map(t => t()));
-    }
+    /**
+     * Запустить все тесты
+     */
+    async run() {
+        this.results = {
+            total: 0,
+            passed: 0,
+            failed: 0,
+            skipped: 0,
+            suites: []
+        };
 
-    async any(tasks) {
-        return Promise.any(tasks.map(t => t()));
-    }
-}
+        // Запустить только тесты с .only
+        const onlyTests = this.findOnlyTests();
+        const suitesToRun = onlyTests.length > 0 ? this.getSuitesWithOnly() : this.suites;
 
-// === Окружение ===
-class Environment {
-    constructor(parent = null, name = '<env>') {
-        this.parent = parent;
-        this.name = name;
-        this.variables = new Map();
-        this.constants = new Set();
+        for (const suite of suitesToRun) {
+            await this.runSuite(suite);
+        }
+
+        return this.results;
     }
 
-    define(name, value, isConst = false) {
-        if (this.constants.has(name)) {
-            throw new Error(`Константа ${name} уже объявлена`);
-        }
-        this.variables.set(name, value);
-        if (isConst) {
-            this.constants.add(name);
+    /**
+     * Запустить suite
+     */
+    async runSuite(suite) {
+        const suiteResult = {
+            name: suite.name,
+            tests: []
+        };
+
+        console.log(`\n${suite.name}`);
+
+        for (const test of suite.tests) {
+            const testResult = await this.runTest(suite, test);
+            suiteResult.tests.push(testResult);
+
+            if (testResult.skipped) {
+                this.results.skipped++;
+                console.log(`  ⊘ ${test.name} (skipped)`);
+            } else if (testResult.passed) {
+                this.results.passed++;
+                console.log(`  ✓ ${test.name}`);
+            } else {
+                this.results.failed++;
+                console.log(`  ✗ ${test.name}`);
+                if (testResult.error) {
+                    console.log(`    ${testResult.error.message}`);
+                }
+            }
+
+            this.results.total++;
         }
+
+        this.results.suites.push(suiteResult);
     }
 
-    get(name) {
-        if (this.variables.has(name)) {
-            return this.variables.get(name);
+    /**
+     * Запустить тест
+     */
+    async runTest(suite, test) {
+        const result = {
+            name: test.name,
+            passed: false,
+            failed: false,
+            skipped: test.skip,
+            error: null
+        };
+
+        if (test.skip) {
+            return result;
         }
-        if (this.parent) {
-            return this.parent.get(name);
+
+        try {
+            // Before each hooks
+            for (const hook of suite.beforeEach) {
+                await hook();
+            }
+
+            // Run test with timeout
+            await Promise.race([
+                test.callback(this.assertions),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error(`Timeout: ${test.timeout}ms`)), test.timeout)
+                )
+            ]);
+
+            result.passed = true;
+        } catch (error) {
+            result.failed = true;
+            result.error = error;
+        } finally {
+            // After each hooks
+            for (const hook of suite.afterEach) {
+                try {
+                    await hook();
+                } catch (e) {
+                    console.error('Error in afterEach:', e);
+                }
+            }
         }
-        throw new Error(`Переменная "${name}" не найдена в окружении ${this.name}`);
+
+        return result;
     }
 
-    assign(name, value) {
-        if (this.variables.has(name)) {
-            if (this.constants.has(name)) {
-                throw new Error(`Нельзя изменить константу ${name}`);
+    /**
+     * Создать assertions
+     */
+    createAssertions() {
+        const assert = (condition, message) => {
+            if (!condition) {
+                throw new Error(message || 'Assertion failed');
             }
-            this.variables.set(name, value);
-            return true;
-        }
-        if (this.parent) {
-            return this.parent.assign(name, value);
-        }
-        throw new Error(`Переменная ${name} не найдена`);
+        };
+
+        return {
+            assert,
+
+            equal: (actual, expected, message) => {
+                assert(actual === expected, message || `Expected ${actual} to equal ${expected}`);
+            },
+
+            deepEqual: (actual, expected, message) => {
+                assert(
+                    JSON.stringify(actual) === JSON.stringify(expected),
+                    message || `Expected ${JSON.stringify(actual)} to deeply equal ${JSON.stringify(expected)}`
+                );
+            },
+
+            notEqual: (actual, expected, message) => {
+                assert(actual !== expected, message || `Expected ${actual} to not equal ${expected}`);
+            },
+
+            throws: async (fn, message) => {
+                let threw = false;
+                try {
+                    await fn();
+                } catch (e) {
+                    threw = true;
+                }
+                assert(threw, message || 'Expected function to throw');
+            },
+
+            doesNotThrow: async (fn, message) => {
+                let threw = false;
+                let error;
+                try {
+                    await fn();
+                } catch (e) {
+                    threw = true;
+                    error = e;
+                }
+                assert(!threw, message || `Expected function not to throw, but threw: ${error?.message}`);
+            },
+
+            isTrue: (value, message) => {
+                assert(value === true, message || `Expected ${value} to be true`);
+            },
+
+            isFalse: (value, message) => {
+                assert(value === false, message || `Expected ${value} to be false`);
+            },
+
+            isNull: (value, message) => {
+                assert(value === null, message || `Expected ${value} to be null`);
+            },
+
+            isNotNull: (value, message) => {
+                assert(value !== null, message || `Expected ${value} to not be null`);
+            },
+
+            isUndefined: (value, message) => {
+                assert(value === undefined, message || `Expected ${value} to be undefined`);
+            },
+
+            isDefined: (value, message) => {
+                assert(value !== undefined, message || `Expected ${value} to be defined`);
+            },
+
+            contains: (array, item, message) => {
+                assert(array.includes(item), message || `Expected ${array} to contain ${item}`);
+            },
+
+            notContains: (array, item, message) => {
+                assert(!array.includes(item), message || `Expected ${array} to not contain ${item}`);
+            },
+
+            hasProperty: (object, property, message) => {
+                assert(property in object, message || `Expected object to have property ${property}`);
+            },
+
+            typeOf: (value, type, message) => {
+                assert(
+                    typeof value === type,
+                    message || `Expected ${value} to be of type ${type}`
+                );
+            },
+
+            instanceOf: (value, constructor, message) => {
+                assert(
+                    value instanceof constructor,
+                    message || `Expected ${value} to be instance of ${constructor.name}`
+                );
+            },
+
+            lengthOf: (array, length, message) => {
+                assert(
+                    array.length === length,
+                    message || `Expected array to have length ${length}`
+                );
+            },
+
+            greaterThan: (value, expected, message) => {
+                assert(value > expected, message || `Expected ${value} to be greater than ${expected}`);
+            },
+
+            lessThan: (value, expected, message) => {
+                assert(value < expected, message || `Expected ${value} to be less than ${expected}`);
+            },
+
+            matches: (string, regex, message) => {
+                assert(regex.test(string), message || `Expected ${string} to match ${regex}`);
+            },
+
+            fail: (message) => {
+                throw new Error(message || 'Test failed');
+            },
+
+            snapshot: (value, name) => {
+                // Simplified snapshot testing
+                const snapshotKey = `${name}`;
+                console.log(`Snapshot: ${snapshotKey}`, JSON.stringify(value, null, 2));
+            }
+        };
     }
 
-    child(name = '<child>') {
-        return new Environment(this, name);
+    /**
+     * Найти тесты с .only
+     */
+    findOnlyTests() {
+        const onlyTests = [];
+        for (const suite of this.suites) {
+            for (const test of suite.tests) {
+                if (test.only) {
+                    onlyTests.push(test);
+                }
+            }
+        }
+        return onlyTests;
     }
-}
 
-// === Лексер ===
-class Lexer {
-    constructor(source, filename = '<unknown>') {
-        this.source = source;
-        this.filename = filename;
-        this.tokens = [];
-        this.pos = 0;
-        this.line = 1;
-        this.column = 1;
+    /**
+     * Получить suites с тестами .only
+     */
+    getSuitesWithOnly() {
+        const suitesWithOnly = [];
+        for (const suite of this.suites) {
+            if (suite.tests.some(test => test.only)) {
+                suitesWithOnly.push(suite);
+            }
+        }
+        return suitesWithOnly;
     }
 
-    tokenize() {
-        while (this.pos < this.source.length) {
-            this.skipWhitespace();
+    /**
+     * Получить результаты в формате JSON
+     */
+    getResultsJSON() {
+        return JSON.stringify(this.results, null, 2);
+    }
 
-            if (this.pos >= this.source.length) break;
+    /**
+     * Получить результаты в формате JUnit XML
+     */
+    getResultsJUnit() {
+        let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<testsuites>\n';
 
-            const char = this.source[this.pos];
+        for (const suite of this.results.suites) {
+            const suiteFailed = suite.tests.some(t => t.failed);
+            xml += `  <testsuite name="${suite.name}" tests="${suite.tests.length}" failures="${suite.tests.filter(t => t.failed).length}" skipped="${suite.tests.filter(t => t.skipped).length}">\n`;
 
-            // Комменатарии
-            if (char === '#') {
-                this.skipComment();
-                continue;
+            for (const test of suite.tests) {
+                if (test.skipped) {
+                    xml += `    <testcase name="${test.name}">\n      <skipped/>\n    </testcase>\n`;
+                } else if (test.failed) {
+                    xml += `    <testcase name="${test.name}">\n      <failure message="${test.error?.message || 'Test failed'}"/>\n    </testcase>\n`;
+                } else {
+                    xml += `    <testcase name="${test.name}"/>\n`;
+                }
             }
 
-            // Строки
-            if (char === '"' || char === "'") {
-                this.readString();
-                continue;
-            }
+            xml += '  </testsuite>\n';
+        }
 
-            // Числа
-            if (this.isDigit(char)) {
-                this.readNumber();
-                continue;
-            }
+        xml += '</testsuites>';
+        return xml;
+    }
+}
+return { TestRunner, default: TestRunner };
+})();
 
-            // Ключевые слова и идентификаторы
-            if (this.isAlpha(char)) {
-                this.readWordOrKeyword();
-                continue;
-            }
+// Module: runtime/minifier.js
+const __vx_m41 = (() => {
+/**
+ * Minifier — Минификатор кода VladX
+ */
 
-            // Операторы
-            this.readOperator();
-        }
+const { isPrivateNameAt } = __vx_m3;
 
-        return this.tokens;
+class Minifier {
+    constructor(options = {}) {
+        this.removeComments = options.removeComments !== false;
+        this.removeWhitespace = options.removeWhitespace !== false;
+        this.mangleNames = options.mangleNames || false;
+        this.renameVariables = options.renameVariables || false;
+        this.deadCodeElimination = options.deadCodeElimination || false;
     }
 
-    skipWhitespace() {
-        while (this.pos < this.source.length && /[\s\n\r]/.test(this.source[this.pos])) {
-            if (this.source[this.pos] === '\n') {
-                this.line++;
-                this.column = 1;
-            } else {
-                this.column++;
-            }
-            this.pos++;
+    /**
+     * Минифицировать код
+     */
+    minify(source, options = {}) {
+        let code = source;
+
+        // Удаление комментариев
+        if (this.removeComments) {
+            code = this.removeCommentsBlock(code);
         }
-    }
 
-    skipComment() {
-        while (this.pos < this.source.length && this.source[this.pos] !== '\n') {
-            this.pos++;
+        // Удаление лишних пробелов
+        if (this.removeWhitespace) {
+            code = this.removeExtraWhitespace(code);
+        }
+
+        // Obfuscation имен переменных
+        if (this.mangleNames) {
+            code = this.mangleVariableNames(code);
         }
-        if (this.source[this.pos] === '\n') {
-            this.line++;
-            this.column = 1;
-            this.pos++;
+
+        // Удаление мертвого кода
+        if (this.deadCodeElimination) {
+            code = this.removeDeadCode(code);
         }
+
+        return {
+            code,
+            originalSize: source.length,
+            minifiedSize: code.length,
+            reduction: ((1 - code.length / source.length) * 100).toFixed(2) + '%'
+        };
     }
 
-    readString() {
-        const quote = this.source[this.pos];
-        this.pos++;
-        this.column++;
-        let value = '';
+    /**
+     * Удалить комментарии
+     */
+    removeCommentsBlock(code) {
+        // Многострочные комментарии /* */
+        code = code.replace(/\/\*[\s\S]*?\*\//g, '');
 
-        while (this.pos < this.source.length && this.source[this.pos] !== quote) {
-            if (this.source[this.pos] === '\\' && this.pos + 1 < this.source.length) {
-                this.pos += 2;
-                value += this.source[this.pos - 1];
-            } else {
-                value += this.source[this.pos];
-                this.pos++;
+        // Однострочные комментарии //
+        code = code.replace(/\/\/.*$/gm, '');
+
+        // Русские комментарии #; приватные имена #поле остаются
+        code = code.split('\n').map(line => {
+            for (let i = line.indexOf('#'); i >= 0; i = line.indexOf('#', i + 1)) {
+                if (!isPrivateNameAt(line, i)) return line.slice(0, i);
             }
-            this.column++;
-        }
+            return line;
+        }).join('\n');
 
-        this.pos++; // закрывающая кавычка
-        this.column++;
-        this.tokens.push({
-            type: 'STRING',
-            value,
-            line: this.line,
-            column: this.column
-        });
+        return code;
     }
 
-    readNumber() {
-        let start = this.pos;
-        let hasDot = false;
+    /**
+     * Удалить лишние пробелы
+     */
+    removeExtraWhitespace(code) {
+        // Заменить несколько пробелов одним
+        code = code.replace(/[ \t]+/g, ' ');
 
-        while (this.pos < this.source.length) {
-            const char = this.source[this.pos];
-            if (char === '.') {
-                if (hasDot) break;
-                hasDot = true;
-            } else if (!this.isDigit(char)) {
-                break;
-            }
-            this.pos++;
+        // Удалить пробелы до и после операторов
+        const operators = ['+', '-', '*', '/', '%', '=', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!', '&', '|', '^', '~'];
+        for (const op of operators) {
+            code = code.replace(new RegExp(`\\s*\\${op}\\s*`, 'g'), op);
         }
 
-        const value = this.source.substring(start, this.pos);
-        const number = parseFloat(value);
-        this.column += this.pos - start;
-        this.tokens.push({
-            type: 'NUMBER',
-            value: number,
-            line: this.line,
-            column: this.column
-        });
+        // Удалить пробелы вокруг скобок и фигурных скобок
+        code = code.replace(/\s*([(){}[\],;:])\s*/g, '$1');
+
+        // Удалить пробелы в начале и конце строк
+        code = code.split('\n').map(line => line.trim()).join(' ');
+
+        // Удалить пустые строки
+        code = code.replace(/\n\s*\n/g, '\n');
+
+        return code.trim();
     }
 
-    readWordOrKeyword() {
-        const start = this.pos;
-        while (this.pos < this.source.length && (this.isAlphaNum(this.source[this.pos]) || this.source[this.pos] === '_')) {
-            this.pos++;
-        }
+    /**
+     * Obfuscation имен переменных
+     */
+    mangleVariableNames(code) {
+        const keywords = new Set([
+            'пусть', 'константа', 'функция', 'класс', 'вернуть', 'если', 'иначе', 'пока', 'для',
+            'импорт', 'экспорт', 'из', 'поумолчанию', 'истина', 'ложь', 'ничто',
+            'async', 'await', 'this', 'super', 'new', 'typeof', 'instanceof'
+        ]);
+
+        const nameMap = new Map();
+        let nameIndex = 0;
 
-        const word = this.source.substring(start, this.pos);
-        this.column += this.pos - start;
+        const generateShortName = () => {
+            const chars = 'abcdefghijklmnopqrstuvwxyz';
+            let name = '';
 
-        // Ключевые слова
-        const keywords = {
-            'пусть': 'LET', 'let': 'LET',
-            'константа': 'CONST', 'const': 'CONST',
-            'функция': 'FUNCTION', 'function': 'FUNCTION',
-            'вернуть': 'RETURN', 'return': 'RETURN',
-            'если': 'IF', 'if': 'IF',
-            'иначе': 'ELSE', 'else': 'ELSE',
-            'пока': 'WHILE', 'while': 'WHILE',
-            'для': 'FOR', 'for': 'FOR',
-            'истина': 'TRUE', 'true': 'TRUE',
-            'ложь': 'FALSE', 'false': 'FALSE',
-            'ничто': 'NULL', 'null': 'NULL',
-            'печать': 'PRINT', 'console.log': 'PRINT',
-            'класс': 'CLASS', 'class': 'CLASS',
-            'новый': 'NEW', 'new': 'NEW',
-            'этот': 'THIS', 'this': 'THIS'
+            do {
+                name = chars[nameIndex % chars.length] + (Math.floor(nameIndex / chars.length) > 0 ? Math.floor(nameIndex / chars.length) : '');
+                nameIndex++;
+            } while (keywords.has(name));
+
+            return name;
         };
 
-        const type = keywords[word] || 'IDENTIFIER';
-        this.tokens.push({
-            type,
-            value: word,
-            line: this.line,
-            column: this.column
-        });
-    }
+        // Найти объявления переменных
+        const letPattern = /(?:пусть|let)\s+([a-zA-Z_][a-zA-Z0-9_]*)/g;
+        const constPattern = /(?:константа|const)\s+([a-zA-Z_][a-zA-Z0-9_]*)/g;
+        const funcPattern = /(?:функция|function)\s+([a-zA-Z_][a-zA-Z0-9_]*)/g;
+        const paramPattern = /\(([^)]+)\)/g;
 
-    readOperator() {
-        const twoCharOps = [
-            '==', '!=', '<=', '>=', '&&', '||',
-            '+=', '-=', '*=', '/=', '%=', '**'
-        ];
+        // Собрать все имена
+        const names = new Set();
+        let match;
 
-        const twoChar = this.source.substring(this.pos, this.pos + 2);
-        if (twoCharOps.includes(twoChar)) {
-            this.tokens.push({
-                type: 'OPERATOR',
-                value: twoChar,
-                line: this.line,
-                column: this.column
-            });
-            this.pos += 2;
-            this.column += 2;
-            return;
+        while ((match = letPattern.exec(code)) !== null) {
+            names.add(match[1]);
+        }
+
+        while ((match = constPattern.exec(code)) !== null) {
+            names.add(match[1]);
         }
 
-        const oneCharOps = '+-*/%=!<>,.:()[]{};';
+        while ((match = funcPattern.exec(code)) !== null) {
+            names.add(match[1]);
+        }
 
-        if (oneCharOps.includes(this.source[this.pos])) {
-            this.tokens.push({
-                type: 'OPERATOR',
-                value: this.source[this.pos],
-                line: this.line,
-                column: this.column
+        while ((match = paramPattern.exec(code)) !== null) {
+            const params = match[1].split(',').map(p => p.trim());
+            params.forEach(p => {
+                if (!keywords.has(p)) {
+                    names.add(p);
+                }
             });
-            this.pos++;
-            this.column++;
         }
+
+        // Создать map коротких имен
+        for (const name of names) {
+            if (!keywords.has(name) && !nameMap.has(name)) {
+                nameMap.set(name, generateShortName());
+            }
+        }
+
+        // Заменить имена в коде
+        let mangled = code;
+        for (const [oldName, newName] of nameMap) {
+            const regex = new RegExp(`\\b${oldName}\\b`, 'g');
+            mangled = mangled.replace(regex, newName);
+        }
+
+        return mangled;
     }
 
-    isDigit(char) {
-        return char >= '0' && char <= '9';
+    /**
+     * Удаление мертвого кода
+     */
+    removeDeadCode(code) {
+        // Удалить недостижимый код после return
+        code = code.replace(/(?:вернуть|return)[^;{};]*;[\s\S]*?(?=[{}]|$)/g, match => {
+            const lines = match.split('\n');
+            return lines[0] + '\n';
+        });
+
+        // Удалить недостижимый код после throw
+        code = code.replace(/(?:выбросить|throw)[^;{};]*;[\s\S]*?(?=[{}]|$)/g, match => {
+            const lines = match.split('\n');
+            return lines[0] + '\n';
+        });
+
+        // Удалить пустые if блоки
+        code = code.replace(/(?:если|if)\s*\([^)]*\)\s*{\s*}/g, '');
+
+        // Удалить while(true) с break без тела
+        code = code.replace(/(?:пока|while)\s*\(истина\)\s*{\s*(?:прервать|break)\s*;}/g, '');
+
+        // Удалить бесполезные присваивания
+        code = code.replace(/([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*\1\s*;?/g, '');
+
+        return code;
     }
 
-    isAlpha(char) {
-        return (char >= 'a' && char <= 'z') || (char >= 'A' && char <= 'Z') ||
-               (char >= 'а' && char <= 'я') || (char >= 'А' && char <= 'Я');
+    /**
+     * Обфускация строк
+     */
+    obfuscateStrings(code) {
+        // Превратить строки в escape sequences
+        return code.replace(/(["'])((?:\\.|(?!\1)[^\\])*)\1/g, (match, quote, content) => {
+            return JSON.stringify(content);
+        });
     }
 
-    isAlphaNum(char) {
-        return this.isAlpha(char) || this.isDigit(char);
+    /**
+     * Сжать код с помощью base64 (для дополнительной обфускации)
+     */
+    encode(code) {
+        const encoded = Buffer.from(code).toString('base64');
+        return `eval(atob('${encoded}'))`;
+    }
+
+    /**
+     * Минификация с AST
+     */
+    minifyAST(ast) {
+        // Рекурсивно обходим AST и удаляем ненужные узлы
+        const optimize = (node) => {
+            if (!node) return null;
+
+            // Удалить пустые блоки
+            if (node.type === 'BlockStatement' && (!node.body || node.body.length === 0)) {
+                return null;
+            }
+
+            // Удалить недостижимые выражения
+            if (node.type === 'ExpressionStatement' && !node.expression) {
+                return null;
+            }
+
+            // Удалить ненужные свойства
+            for (const key in node) {
+                if (Array.isArray(node[key])) {
+                    node[key] = node[key].map(optimize).filter(n => n !== null);
+                } else if (typeof node[key] === 'object') {
+                    node[key] = optimize(node[key]);
+                }
+            }
+
+            return node;
+        };
+
+        return optimize(ast);
     }
 }
+return { Minifier, default: Minifier };
+})();
 
-// === Парсер ===
-class Parser {
-    constructor(tokens) {
-        this.tokens = tokens;
-        this.pos = 0;
+// Module: runtime/transformer.js
+const __vx_m42 = (() => {
+/**
+ * Transformer — AST трансформации
+ */
+
+class Transformer {
+    constructor() {
+        this.plugins = [];
     }
 
-    parse() {
-        const statements = [];
+    /**
+     * Добавить плагин
+     */
+    use(plugin) {
+        this.plugins.push(plugin);
+        return this;
+    }
+
+    /**
+     * Применить трансформации к AST
+     */
+    transform(ast) {
+        let transformed = ast;
 
-        while (this.pos < this.tokens.length) {
-            const stmt = this.parseStatement();
-            if (stmt) statements.push(stmt);
+        for (const plugin of this.plugins) {
+            transformed = plugin(transformed, this.traverse);
         }
 
-        return { type: 'Program', body: statements };
+        return transformed;
     }
 
-    parseStatement() {
-        const token = this.current();
-
-        if (!token) return null;
+    /**
+     * Траверс AST
+     */
+    traverse(node, visitor) {
+        if (!node || typeof node !== 'object') {
+            return;
+        }
 
-        switch (token.type) {
-            case 'LET':
-            return this.parseLetStatement();
-            case 'CONST':
-                return this.parseConstStatement();
-            case 'FUNCTION':
-                return this.parseFunctionDeclaration();
-            case 'RETURN':
-                return this.parseReturnStatement();
-            case 'IF':
-                return this.parseIfStatement();
-            case 'WHILE':
-                return this.parseWhileStatement();
-            case 'FOR':
-                return this.parseForStatement();
-            case 'PRINT':
-                return this.parsePrintStatement();
-            case 'IDENTIFIER':
-                return this.parseExpressionStatement();
-            default:
-                throw new Error(`Неизвестный токен: ${token.type} "${token.value}" на линии ${token.line}`);
+        // Enter
+        if (visitor.enter) {
+            const result = visitor.enter(node);
+            if (result === false) return;
+            if (result !== undefined) node = result;
         }
-    }
 
-    parseLetStatement() {
-        const letToken = this.advance(); // 'пусть'
-        const nameToken = this.expect('IDENTIFIER');
-        const name = nameToken.value;
+        // Traverse children
+        const traverseNode = (child) => {
+            if (Array.isArray(child)) {
+                child.forEach(c => this.traverse(c, visitor));
+            } else if (typeof child === 'object' && child !== null) {
+                this.traverse(child, visitor);
+            }
+        };
+
+        for (const key in node) {
+            if (key === 'parent') continue;
+
+            const child = node[key];
+            if (child === node) continue;
 
-        let init = null;
-        if (this.current() && this.current().value === '=') {
-            this.advance(); // '='
-            init = this.parseExpression();
+            traverseNode(child);
         }
 
-        return { type: 'LetStatement', name, initializer: init };
+        // Exit
+        if (visitor.exit) {
+            const result = visitor.exit(node);
+            if (result !== undefined) node = result;
+        }
     }
 
-    parseConstStatement() {
-        const constToken = this.advance(); // 'константа'
-        const nameToken = this.expect('IDENTIFIER');
-        const name = nameToken.value;
+    /**
+     * Найти узлы по типу
+     */
+    find(ast, type) {
+        const results = [];
+
+        this.traverse(ast, {
+            enter: (node) => {
+                if (node.type === type) {
+                    results.push(node);
+                }
+            }
+        });
 
-        this.expect('=');
+        return results;
+    }
 
-        const init = this.parseExpression();
+    /**
+     * Заменить узлы по типу
+     */
+    replace(ast, type, replacer) {
+        this.traverse(ast, {
+            enter: (node, parent) => {
+                if (node.type === type) {
+                    const replacement = replacer(node);
+                    if (parent) {
+                        for (const key in parent) {
+                            if (parent[key] === node) {
+                                parent[key] = replacement;
+                                break;
+                            }
+                            if (Array.isArray(parent[key])) {
+                                const index = parent[key].indexOf(node);
+                                if (index !== -1) {
+                                    parent[key][index] = replacement;
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        });
 
-        return { type: 'ConstStatement', name, initializer: init };
+        return ast;
     }
 
-    parseFunctionDeclaration() {
-        const funcToken = this.advance(); // 'функция'
-        const nameToken = this.expect('IDENTIFIER');
-        const name = nameToken.value;
+    /**
+     * Встроенные плагины
+     */
 
-        this.expect('(');
+    /**
+     * Плагин: hoisting - поднятие объявлений
+     */
+    static hoisting() {
+        return (ast, traverse) => {
+            const declarations = [];
 
-        const params = [];
-        if (this.current() && this.current().type !== ')') {
-            params.push(this.expect('IDENTIFIER').value);
-            while (this.current() && this.current().value === ',') {
-                this.advance(); // ','
-                params.push(this.expect('IDENTIFIER').value);
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
+                        declarations.push(node);
+                    }
+                }
+            });
+
+            // Переместить объявления в начало
+            for (const decl of declarations) {
+                // Логика hoisting...
             }
-        }
 
-        this.expect(')');
+            return ast;
+        };
+    }
+
+    /**
+     * Плагин: constant folding - вычисление констант во время компиляции
+     */
+    static constantFolding() {
+        return (ast, traverse) => {
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'BinaryExpression') {
+                        if (node.left.type === 'Literal' && node.right.type === 'Literal') {
+                            if (typeof node.left.value === 'number' && typeof node.right.value === 'number') {
+                                let result;
+                                switch (node.operator) {
+                                    case '+': result = node.left.value + node.right.value; break;
+                                    case '-': result = node.left.value - node.right.value; break;
+                                    case '*': result = node.left.value * node.right.value; break;
+                                    case '/': result = node.left.value / node.right.value; break;
+                                    case '%': result = node.left.value % node.right.value; break;
+                                    case '**': result = Math.pow(node.left.value, node.right.value); break;
+                                    default: return;
+                                }
 
-        const body = this.parseBlock();
+                                node.type = 'Literal';
+                                node.value = result;
+                                delete node.left;
+                                delete node.right;
+                                delete node.operator;
+                            }
+                        }
+                    }
+                }
+            });
 
-        return { type: 'FunctionDeclaration', name, params, body };
+            return ast;
+        };
     }
 
-    parseReturnStatement() {
-        this.advance(); // 'вернуть'
-        const value = this.parseExpression();
-        return { type: 'ReturnStatement', value };
+    /**
+     * Плагин: dead code elimination - удаление мертвого кода
+     */
+    static deadCodeElimination() {
+        return (ast, traverse) => {
+            let unreachable = false;
+
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'ReturnStatement' || node.type === 'ThrowStatement') {
+                        unreachable = true;
+                    } else if (unreachable && node.type !== 'FunctionDeclaration') {
+                        node.removed = true;
+                    } else {
+                        unreachable = false;
+                    }
+                }
+            });
+
+            return ast;
+        };
     }
 
-    parseIfStatement() {
-        this.advance(); // 'если'
-        this.expect('(');
-        const condition = this.parseExpression();
-        this.expect(')');
+    /**
+     * Плагин: inline small functions - inline маленьких функций
+     */
+    static inlineFunctions() {
+        return (ast, traverse) => {
+            const functions = new Map();
 
-        const thenBranch = this.parseBlock();
-        let elseBranch = null;
+            // Найти маленькие функции
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'FunctionDeclaration') {
+                        const bodySize = node.thenBranch?.body?.length || 0;
+                        if (bodySize <= 3) {
+                            functions.set(node.name, node);
+                        }
+                    }
+                }
+            });
 
-        if (this.current() && (this.current().value === 'иначе' || this.current().value === 'else')) {
-            this.advance(); // 'иначе'
-            elseBranch = this.parseBlock();
-        }
+            // Inline функции
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'CallExpression' && node.callee.type === 'Identifier') {
+                        const func = functions.get(node.callee.name);
+                        if (func) {
+                            node.type = 'BlockStatement';
+                            node.body = func.thenBranch?.body || [];
+                        }
+                    }
+                }
+            });
 
-        return { type: 'IfStatement', condition, thenBranch, elseBranch };
+            return ast;
+        };
     }
 
-    parseWhileStatement() {
-        this.advance(); // 'пока'
-        this.expect('(');
-        const condition = this.parseExpression();
-        this.expect(')');
+    /**
+     * Плагин: simplify conditionals - упрощение условий
+     */
+    static simplifyConditionals() {
+        return (ast, traverse) => {
+            traverse(ast, {
+                enter: (node) => {
+                    if (node.type === 'IfStatement') {
+                        const condition = node.condition;
 
-        const body = this.parseBlock();
+                        // if (true) { ... }
+                        if (condition.type === 'Literal' && condition.value === true) {
+                            node.type = 'BlockStatement';
+                            node.body = node.thenBranch?.body || [];
+                            delete node.condition;
+                            delete node.thenBranch;
+                            delete node.elseBranch;
+                        }
 
-        return { type: 'WhileStatement', condition, body };
-    }
+                        // if (false) { ... } else { ... }
+                        if (condition.type === 'Literal' && condition.value === false) {
+                            if (node.elseBranch) {
+                                node.type = 'BlockStatement';
+                                node.body = node.elseBranch.thenBranch?.body || [];
+                            } else {
+                                node.removed = true;
+                            }
+                        }
+                    }
+                }
+            });
 
-    parseForStatement() {
-        this.advance(); // 'для'
-        this.expect('(');
+            return ast;
+        };
+    }
+}
+return { Transformer, default: Transformer };
+})();
 
-        let init = null;
-        if (this.current() && this.current().type !== ';') {
-            init = this.parseExpression();
-        }
+// Module: runtime/environment-enhanced.js
+const __vx_m43 = (() => {
+/**
+ * Environment — Улучшенное управление окружением
+ */
 
-        this.expect(';');
+const { CacheManager } = __vx_m24;
+const { SecurityManager } = __vx_m25;
 
-        const condition = this.parseExpression();
-        this.expect(';');
+class EnvironmentEnhanced {
+    constructor(options = {}) {
+        this.name = options.name || process.env.NODE_ENV || 'development';
+        this.isDevelopment = this.name === 'development';
+        this.isProduction = this.name === 'production';
+        this.isTest = this.name === 'test';
 
-        const update = this.parseExpression();
-        this.expect(')');
+        this.cache = new CacheManager({
+            maxSize: options.cacheSize || 1000,
+            ttl: options.cacheTTL || 300000
+        });
 
-        const body = this.parseBlock();
+        this.security = new SecurityManager({
+            enabled: options.securityEnabled !== false,
+            allowedPaths: options.allowedPaths || [],
+            maxFileSize: options.maxFileSize || 10 * 1024 * 1024
+        });
 
-        return { type: 'ForStatement', initializer: init, condition, update, body };
+        this.config = options.config || {};
+        this.variables = options.variables || {};
+        this.plugins = new Map();
+        this.middleware = [];
+        this.hooks = new Map();
     }
 
-    parsePrintStatement() {
-        this.advance(); // 'печать'
-        const args = [];
+    /**
+     * Получить переменную окружения
+     */
+    get(key, defaultValue) {
+        if (key in this.variables) {
+            return this.variables[key];
+        }
 
-        if (this.current() && this.current().value === '(') {
-            this.advance(); // '('
-            while (this.current() && this.current().value !== ')') {
-                args.push(this.parseExpression());
-                if (this.current() && this.current().value === ',') {
-                    this.advance();
-                }
-            }
-            this.expect(')');
+        if (key in process.env) {
+            return process.env[key];
         }
 
-        return { type: 'PrintStatement', args };
+        return defaultValue;
     }
 
-    parseExpressionStatement() {
-        const expr = this.parseExpression();
-        return { type: 'ExpressionStatement', expression: expr };
+    /**
+     * Установить переменную окружения
+     */
+    set(key, value) {
+        this.variables[key] = value;
+        return this;
     }
 
-    parseExpression() {
-        return this.parseAssignment();
+    /**
+     * Получить конфигурацию
+     */
+    getConfig(key, defaultValue) {
+        return this.getNestedValue(this.config, key, defaultValue);
     }
 
-    parseAssignment() {
-        const left = this.parseEquality();
+    /**
+     * Получить вложенное значение
+     */
+    getNestedValue(obj, path, defaultValue) {
+        const keys = path.split('.');
+        let result = obj;
 
-        if (this.current() && this.current().value === '=') {
-            this.advance(); // '='
-            const right = this.parseAssignment();
-            return { type: 'AssignmentExpression', left, right };
+        for (const key of keys) {
+            if (result && typeof result === 'object' && key in result) {
+                result = result[key];
+            } else {
+                return defaultValue;
+            }
         }
 
-        return left;
+        return result;
     }
 
-    parseEquality() {
-        let left = this.parseComparison();
+    /**
+     * Добавить плагин
+     */
+    use(plugin) {
+        const name = plugin.name || `plugin_${this.plugins.size}`;
+        this.plugins.set(name, plugin);
 
-        while (this.current() && ['==', '!='].includes(this.current().value)) {
-            const operator = this.advance().value;
-            const right = this.parseComparison();
-            left = { type: 'BinaryExpression', operator, left, right };
+        if (plugin.install) {
+            plugin.install(this);
         }
 
-        return left;
+        return this;
     }
 
-    parseComparison() {
-        let left = this.parseTerm();
+    /**
+     * Добавить middleware
+     */
+    add(middleware) {
+        this.middleware.push(middleware);
+        return this;
+    }
 
-        while (this.current() && ['<', '<=', '>', '>='].includes(this.current().value)) {
-            const operator = this.advance().value;
-            const right = this.parseTerm();
-            left = { type: 'BinaryExpression', operator, left, right };
+    /**
+     * Выполнить middleware
+     */
+    async executeMiddleware(context) {
+        for (const middleware of this.middleware) {
+            const result = await middleware(context, this);
+
+            if (result === false) {
+                break;
+            }
         }
 
-        return left;
+        return context;
     }
 
-    parseTerm() {
-        let left = this.parseFactor();
-
-        while (this.current() && ['+', '-'].includes(this.current().value)) {
-            const operator = this.advance().value;
-            const right = this.parseFactor();
-            left = { type: 'BinaryExpression', operator, left, right };
+    /**
+     * Добавить hook
+     */
+    on(event, callback) {
+        if (!this.hooks.has(event)) {
+            this.hooks.set(event, []);
         }
 
-        return left;
+        this.hooks.get(event).push(callback);
+        return this;
     }
 
-    parseFactor() {
-        let left = this.parseUnary();
+    /**
+     * Удалить hook
+     */
+    off(event, callback) {
+        const hooks = this.hooks.get(event);
+        if (hooks) {
+            const index = hooks.indexOf(callback);
+            if (index !== -1) {
+                hooks.splice(index, 1);
+            }
+        }
+        return this;
+    }
 
-        while (this.current() && ['*', '/', '%'].includes(this.current().value)) {
-            const operator = this.advance().value;
-            const right = this.parseUnary();
-            left = { type: 'BinaryExpression', operator, left, right };
+    /**
+     * Запустить hook
+     */
+    async emit(event, ...args) {
+        const hooks = this.hooks.get(event);
+        if (hooks) {
+            for (const callback of hooks) {
+                await callback(...args);
+            }
         }
+        return this;
+    }
 
-        return left;
+    /**
+     * Проверить функцию
+     */
+    hasFeature(feature) {
+        return this.getConfig(`features.${feature}`, false);
     }
 
-    parseUnary() {
-        if (this.current() && ['!', '-', '+'].includes(this.current().value)) {
-            const operator = this.advance().value;
-            const operand = this.parseUnary();
-            return { type: 'UnaryExpression', operator, operand };
-        }
+    /**
+     * Получить режим работы
+     */
+    getMode() {
+        return this.name;
+    }
 
-        return this.parseCallMember();
+    /**
+     * Получить информацию о системе
+     */
+    getSystemInfo() {
+        return {
+            platform: process.platform,
+            arch: process.arch,
+            nodeVersion: process.version,
+            cpus: process.cpuUsage(),
+            memory: process.memoryUsage(),
+            uptime: process.uptime(),
+            env: process.env.NODE_ENV
+        };
+    }
+
+    /**
+     * Логирование
+     */
+    log(level, ...args) {
+        const timestamp = new Date().toISOString();
+        const message = args.map(arg =>
+            typeof arg === 'object' ? JSON.stringify(arg) : String(arg)
+        ).join(' ');
+
+        console.log(`[${timestamp}] [${level.toUpperCase()}] ${message}`);
+
+        this.emit('log', { level, message, timestamp });
+    }
+
+    info(...args) {
+        this.log('info', ...args);
+    }
+
+    warn(...args) {
+        this.log('warn', ...args);
+    }
+
+    error(...args) {
+        this.log('error', ...args);
+    }
+
+    debug(...args) {
+        if (this.isDevelopment) {
+            this.log('debug', ...args);
+        }
     }
 
-    parseCallMember() {
-        let left = this.parsePrimary();
+    /**
+     * Измерение времени
+     */
+    time(label) {
+        this.timers = this.timers || {};
+        this.timers[label] = Date.now();
+    }
 
-        while (this.current() && this.current().value === '(') {
-            const args = this.parseArguments();
-            left = { type: 'CallExpression', callee: left, arguments: args };
+    timeEnd(label) {
+        if (!this.timers || !(label in this.timers)) {
+            return 0;
         }
 
-        return left;
+        const duration = Date.now() - this.timers[label];
+        delete this.timers[label];
+
+        this.info(`${label}: ${duration}ms`);
+        return duration;
     }
 
-    parsePrimary() {
-        const token = this.current();
+    /**
+     * Очистить ресурсы
+     */
+    async cleanup() {
+        this.cache.clear();
 
-        if (!token) {
-            throw new Error('Неожиданный конец кода');
+        for (const [name, plugin] of this.plugins) {
+            if (plugin.uninstall) {
+                await plugin.uninstall(this);
+            }
         }
 
-        if (token.type === 'NUMBER') {
-            this.advance();
-            return { type: 'Literal', value: token.value };
-        }
+        this.plugins.clear();
+        this.middleware = [];
+        this.hooks.clear();
+    }
 
-        if (token.type === 'STRING') {
-            this.advance();
-            return { type: 'Literal', value: token.value };
-        }
+    /**
+     * Получить статистику окружения
+     */
+    getStats() {
+        return {
+            name: this.name,
+            cache: this.cache.getStats(),
+            plugins: Array.from(this.plugins.keys()),
+            middleware: this.middleware.length,
+            hooks: Object.fromEntries(
+                Array.from(this.hooks.entries()).map(([k, v]) => [k, v.length])
+            ),
+            system: this.getSystemInfo()
+        };
+    }
+}
+return { EnvironmentEnhanced, default: EnvironmentEnhanced };
+})();
 
-        if (token.type === 'IDENTIFIER') {
-            const name = this.advance().value;
-            return { type: 'Identifier', name };
-        }
+// Module: runtime/event-emitter.js
+const __vx_m44 = (() => {
+/**
+ * EventEmitter — Реализация события emitter
+ */
 
-        if (token.type === 'TRUE' || token.type === 'FALSE') {
-            this.advance();
-            return { type: 'Literal', value: token.type === 'TRUE' };
-        }
+class EventEmitter {
+    constructor() {
+        this.events = new Map();
+        this.onceEvents = new Map();
+        this.maxListeners = 10;
+    }
 
-        if (token.type === 'NULL') {
-            this.advance();
-            return { type: 'Literal', value: null };
+    /**
+     * Добавить listener
+     */
+    on(event, listener) {
+        if (!this.events.has(event)) {
+            this.events.set(event, []);
         }
 
-        if (token.type === '(') {
-            this.advance();
-            const expr = this.parseExpression();
-            this.expect(')');
-            return expr;
-        }
+        const listeners = this.events.get(event);
 
-        if (token.value === 'новый') {
-            this.advance();
-            const callee = this.parsePrimary();
-            return { type: 'NewExpression', callee };
+        // Проверка на maxListeners
+        if (listeners.length >= this.maxListeners) {
+            console.warn(`Possible memory leak detected. ${listeners.length} ${event} listeners added.`);
         }
 
-        if (token.value === 'этот') {
-            this.advance();
-            return { type: 'ThisExpression' };
-        }
+        listeners.push(listener);
+        return this;
+    }
+
+    /**
+     * Добавить one-time listener
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
 
-        throw new Error(`Неожиданный токен: ${token.type} "${token.value}" на линии ${token.line}`);
+        this.on(event, wrapper);
+        return this;
     }
 
-    parseArguments() {
-        this.expect('(');
+    /**
+     * Удалить listener
+     */
+    off(event, listener) {
+        const listeners = this.events.get(event);
+        if (listeners) {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
 
-        const args = [];
-        if (this.current() && this.current().value !== ')') {
-            args.push(this.parseExpression());
-            while (this.current() && this.current().value === ',') {
-                this.advance();
-                args.push(this.parseExpression());
+            if (listeners.length === 0) {
+                this.events.delete(event);
             }
         }
-
-        this.expect(')');
-        return args;
+        return this;
     }
 
-    parseBlock() {
-        this.expect('{');
-        const statements = [];
+    /**
+     * Запустить событие
+     */
+    emit(event, ...args) {
+        const listeners = this.events.get(event);
+        if (listeners) {
+            // Копируем массив для безопасной модификации во время итерации
+            const listenersCopy = [...listeners];
 
-        while (this.current() && this.current().value !== '}') {
-            const stmt = this.parseStatement();
-            if (stmt) statements.push(stmt);
-        }
+            for (const listener of listenersCopy) {
+                try {
+                    listener(...args);
+                } catch (error) {
+                    // Ошибка в listener не должна прерывать других
+                    console.error(`Error in ${event} listener:`, error);
+                }
+            }
 
-        this.expect('}');
-        return { type: 'BlockStatement', body: statements };
+            return listeners.length > 0;
+        }
+        return false;
     }
 
-    current() {
-        return this.tokens[this.pos] || null;
+    /**
+     * Добавить listener (синоним on)
+     */
+    addListener(event, listener) {
+        return this.on(event, listener);
     }
 
-    advance() {
-        return this.tokens[this.pos++];
+    /**
+     * Удалить listener (синоним off)
+     */
+    removeListener(event, listener) {
+        return this.off(event, listener);
     }
 
-    expect(expectedType) {
-        const token = this.current();
-        if (!token) {
-            throw new Error(`Ожидалось ${expectedType}, но достигнут конец кода`);
+    /**
+     * Удалить все listeners для события
+     */
+    removeAllListeners(event) {
+        if (event) {
+            this.events.delete(event);
+        } else {
+            this.events.clear();
         }
-        if (token.type !== expectedType && token.value !== expectedType) {
-            throw new Error(`Ожидалось ${expectedType}, но получено ${token.type} "${token.value}" на линии ${token.line}`);
-        }
-        return token;
+        return this;
     }
-}
 
-// === Интерпретатор ===
-class Interpreter {
-    constructor(options = {}) {
-        this.debug = options.debug || false;
-        this.globalEnv = new Environment(null, '<global>');
-        this.currentEnv = this.globalEnv;
-        this.isReturn = false;
-        this.returnValue = null;
-        this.cache = new Cache();
-        this.asyncManager = new AsyncManager(options.async);
-        this.builtins = new Map();
-        this.registerBuiltins();
+    /**
+     * Получить listeners для события
+     */
+    listeners(event) {
+        return this.events.get(event) || [];
     }
 
-    async interpret(ast) {
-        let result = VladXObject.null();
+    /**
+     * Получить количество listeners для события
+     */
+    listenerCount(event) {
+        return (this.events.get(event) || []).length;
+    }
 
-        for (const stmt of ast.body) {
-            result = await this.evaluateStatement(stmt);
+    /**
+     * Получить все имена событий
+     */
+    eventNames() {
+        return Array.from(this.events.keys());
+    }
 
-            if (this.isReturn) {
-                return this.returnValue;
-            }
-        }
+    /**
+     * Установить максимальное количество listeners
+     */
+    setMaxListeners(n) {
+        this.maxListeners = n;
+        return this;
+    }
 
-        return result;
+    /**
+     * Получить максимальное количество listeners
+     */
+    getMaxListeners() {
+        return this.maxListeners;
     }
 
-    async evaluateStatement(stmt) {
-        switch (stmt.type) {
-            case 'LetStatement':
-                const value = stmt.initializer ? await this.evaluateExpression(stmt.initializer) : VladXObject.null();
-                this.currentEnv.define(stmt.name, value, false);
-                return VladXObject.null();
+    /**
+     * Добавить prepend listener (добавляется в начало)
+     */
+    prependListener(event, listener) {
+        if (!this.events.has(event)) {
+            this.events.set(event, []);
+        }
 
-            case 'ConstStatement':
-                const constValue = await this.evaluateExpression(stmt.initializer);
-                this.currentEnv.define(stmt.name, constValue, true);
-                return VladXObject.null();
+        this.events.get(event).unshift(listener);
+        return this;
+    }
 
-            case 'FunctionDeclaration':
-                const closure = VladXObject.closure(
-                    { type: 'FunctionDeclaration', name: stmt.name, params: stmt.params, body: stmt.body },
-                    this.currentEnv,
-                    stmt.name
-                );
-                this.currentEnv.define(stmt.name, closure, true);
-                return VladXObject.null();
+    /**
+     * Добавить prepend once listener
+     */
+    prependOnceListener(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener(...args);
+        };
 
-            case 'ReturnStatement':
-                this.isReturn = true;
-                this.returnValue = stmt.value ? await this.evaluateExpression(stmt.value) : VladXObject.null();
-                return this.returnValue;
+        this.prependListener(event, wrapper);
+        return this;
+    }
 
-            case 'IfStatement':
-                const condition = await this.evaluateExpression(stmt.condition);
-                const conditionValue = this.getNativeValue(condition);
+    /**
+     * Статический метод для создания emitter
+     */
+    static create() {
+        return new EventEmitter();
+    }
 
-                if (conditionValue) {
-                    return await this.evaluateBlock(stmt.thenBranch);
-                } else if (stmt.elseBranch) {
-                    return await this.evaluateBlock(stmt.elseBranch);
-                }
-                return VladXObject.null();
+    /**
+     * Асинхронный emit (Promise)
+     */
+    async emitAsync(event, ...args) {
+        const listeners = this.events.get(event);
+        if (!listeners) {
+            return false;
+        }
 
-            case 'WhileStatement':
-                let whileResult = VladXObject.null();
-                while (true) {
-                    const cond = await this.evaluateExpression(stmt.condition);
-                    if (!this.getNativeValue(cond)) break;
-                    whileResult = await this.evaluateBlock(stmt.body);
-                }
-                return whileResult;
+        const results = [];
 
-            case 'ForStatement':
-                await this.evaluateStatement(stmt.initializer);
-                while (true) {
-                    const cond = await this.evaluateExpression(stmt.condition);
-                    if (!this.getNativeValue(cond)) break;
-                    await this.evaluateStatement(stmt.update);
-                    await this.evaluateBlock(stmt.body);
+        for (const listener of listeners) {
+            try {
+                const result = listener(...args);
+                if (result && typeof result.then === 'function') {
+                    results.push(await result);
+                } else {
+                    results.push(result);
                 }
-                return VladXObject.null();
-
-            case 'PrintStatement':
-                const values = await Promise.all(stmt.args.map(arg => this.evaluateExpression(arg)));
-                console.log(...values.map(v => this.getDisplayValue(v)));
-                return VladXObject.null();
-
-            case 'ExpressionStatement':
-                return await this.evaluateExpression(stmt.expression);
-
-            default:
-                throw new Error(`Неизвестный оператор: ${stmt.type}`);
+            } catch (error) {
+                console.error(`Error in ${event} async listener:`, error);
+                results.push(Promise.reject(error));
+            }
         }
+
+        return results;
     }
 
-    async evaluateBlock(block) {
-        const parentEnv = this.currentEnv;
-        this.currentEnv = parentEnv.child('<block>');
+    /**
+     * Проверить, есть ли listeners
+     */
+    hasListeners(event) {
+        return this.listenerCount(event) > 0;
+    }
 
-        let result = VladXObject.null();
-        for (const stmt of block.body) {
-            result = await this.evaluateStatement(stmt);
+    /**
+     * Получить информацию о памяти
+     */
+    getMemoryUsage() {
+        let totalListeners = 0;
 
-            if (this.isReturn) {
-                break;
-            }
+        for (const [event, listeners] of this.events) {
+            totalListeners += listeners.length;
         }
 
-        this.currentEnv = parentEnv;
-        return result;
+        return {
+            events: this.events.size,
+            totalListeners,
+            maxListeners: this.maxListeners
+        };
     }
+}
+return { EventEmitter, default: EventEmitter };
+})();
 
-    async evaluateExpression(expr) {
-        switch (expr.type) {
-            case 'Literal':
-                if (expr.value === null) return VladXObject.null();
-                if (typeof expr.value === 'number') return VladXObject.number(expr.value);
-                if (typeof expr.value === 'boolean') return VladXObject.boolean(expr.value);
-                if (typeof expr.value === 'string') return VladXObject.string(expr.value);
-                return VladXObject.object(expr.value);
+// Module: runtime/logging.js
+const __vx_m45 = (() => {
+/**
+ * Logging — Система логирования
+ */
 
-            case 'Identifier':
-                return this.currentEnv.get(expr.name);
+const { existsSync, writeFileSync, appendFileSync, mkdirSync } = __vx_ext0;
+const { dirname } = __vx_ext1;
 
-            case 'BinaryExpression':
-                const left = await this.evaluateExpression(expr.left);
-                const right = await this.evaluateExpression(expr.right);
-                const leftVal = this.getNativeValue(left);
-                const rightVal = this.getNativeValue(right);
-
-                switch (expr.operator) {
-                    case '+': return VladXObject.number(leftVal + rightVal);
-                    case '-': return VladXObject.number(leftVal - rightVal);
-                    case '*': return VladXObject.number(leftVal * rightVal);
-                    case '/': return VladXObject.number(leftVal / rightVal);
-                    case '%': return VladXObject.number(leftVal % rightVal);
-                    case '**': return VladXObject.number(Math.pow(leftVal, rightVal));
-                    case '==': return VladXObject.boolean(leftVal === rightVal);
-                    case '!=': return VladXObject.boolean(leftVal !== rightVal);
-                    case '<': return VladXObject.boolean(leftVal < rightVal);
-                    case '<=': return VladXObject.boolean(leftVal <= rightVal);
-                    case '>': return VladXObject.boolean(leftVal > rightVal);
-                    case '>=': return VladXObject.boolean(leftVal >= rightVal);
-                    case '&&': return VladXObject.boolean(leftVal && rightVal);
-                    case '||': return VladXObject.boolean(leftVal || rightVal);
-                    default:
-                        throw new Error(`Неизвестный оператор: ${expr.operator}`);
-                }
+class Logging {
+    constructor(options = {}) {
+        this.level = options.level || 'info'; // debug, info, warn, error
+        this.format = options.format || 'text'; // text, json
+        this.file = options.file || null;
+        this.console = options.console !== false;
+        this.colors = options.colors !== false;
+        this.timestamp = options.timestamp !== false;
 
-            case 'UnaryExpression':
-                const operand = await this.evaluateExpression(expr.operand);
-                const operandVal = this.getNativeValue(operand);
+        this.levels = {
+            debug: 0,
+            info: 1,
+            warn: 2,
+            error: 3
+        };
 
-                switch (expr.operator) {
-                    case '-': return VladXObject.number(-operandVal);
-                    case '+': return VladXObject.number(+operandVal);
-                    case '!': return VladXObject.boolean(!operandVal);
-                    default:
-                        throw new Error(`Неизвестный унарный оператор: ${expr.operator}`);
-                }
+        this.colorsMap = {
+            debug: '\x1b[36m', // cyan
+            info: '\x1b[32m',  // green
+            warn: '\x1b[33m',  // yellow
+            error: '\x1b[31m', // red
+            reset: '\x1b[0m'
+        };
 
-            case 'AssignmentExpression':
-                const assignRight = await this.evaluateExpression(expr.right);
-                const assignValue = this.getNativeValue(assignRight);
-                this.currentEnv.assign(expr.left.name, VladXObject.fromJS(assignValue));
-                return assignRight;
+        this.logBuffer = [];
+        this.maxBufferSize = options.maxBufferSize || 1000;
+    }
 
-            case 'CallExpression':
-                return await this.evaluateCallExpression(expr);
+    /**
+     * Логирование
+     */
+    log(level, message, context) {
+        context = context || {};
+        if (this.levels[level] < this.levels[this.level]) {
+            return;
+        }
 
-            case 'NewExpression':
-                return await this.evaluateNewExpression(expr);
+        const logEntry = {
+            level,
+            message,
+            context,
+            timestamp: this.timestamp ? new Date().toISOString() : undefined
+        };
 
-            case 'ThisExpression':
-                return this.currentEnv.get('этот') || VladXObject.null();
+        this.logBuffer.push(logEntry);
 
-            default:
-                throw new Error(`Неизвестное выражение: ${expr.type}`);
+        if (this.logBuffer.length > this.maxBufferSize) {
+            this.logBuffer.shift();
         }
-    }
-
-    async evaluateCallExpression(expr) {
-        const callee = await this.evaluateExpression(expr.callee);
-        const args = await Promise.all(expr.arguments.map(arg => this.evaluateExpression(arg)));
-        const nativeArgs = args.map(arg => this.getNativeValue(arg));
 
-        // Проверка на встроенную функцию
-        if (callee.type === 'function' && this.builtins.has(callee.name)) {
-            const fn = this.builtins.get(callee.name);
-            const result = fn(...nativeArgs);
+        const formatted = this.formatLogEntry(logEntry);
 
-            // Если это промис, ожидаем его
-            if (result && typeof result.then === 'function') {
-                return VladXObject.fromJS(await result);
-            }
+        if (this.console) {
+            console.log(formatted);
+        }
 
-            return VladXObject.fromJS(result);
+        if (this.file) {
+            this.writeToFile(formatted);
         }
+    }
 
-        // Проверка на замыкание
-        if (callee.type === 'closure') {
-            const closure = callee;
-            const parentEnv = this.currentEnv;
-            this.currentEnv = closure.env.child(`<closure:${callee.name}>`);
+    /**
+     * Format log entry
+     */
+    formatLogEntry(entry) {
+        if (this.format === 'json') {
+            return JSON.stringify(entry);
+        }
 
-            for (let i = 0; i < closure.ast.params.length; i++) {
-                const paramName = closure.ast.params[i];
-                const argValue = nativeArgs[i] !== undefined ? nativeArgs[i] : VladXObject.null();
-                this.currentEnv.define(paramName, argValue);
-            }
+        let output = '';
 
-            let result = VladXObject.null();
-            for (const stmt of closure.ast.body.body) {
-                result = await this.evaluateStatement(stmt);
-                if (this.isReturn) {
-                    this.isReturn = false;
-                    this.currentEnv = parentEnv;
-                    return this.returnValue;
-                }
-            }
+        // Timestamp
+        if (entry.timestamp) {
+            output += `[${entry.timestamp}] `;
+        }
 
-            this.currentEnv = parentEnv;
-            return result;
+        // Level
+        const levelUpper = entry.level.toUpperCase();
+        if (this.colors) {
+            output += `${this.colorsMap[entry.level]}${levelUpper}${this.colorsMap.reset} `;
+        } else {
+            output += `${levelUpper} `;
         }
 
-        throw new Error(`${callee.name} не является функцией`);
-    }
+        // Message
+        output += entry.message;
 
-    async evaluateNewExpression(expr) {
-        return VladXObject.object({});
+        // Context
+        if (Object.keys(entry.context).length > 0) {
+            output += ` ${JSON.stringify(entry.context)}`;
+        }
+
+        return output;
     }
 
-    getNativeValue(obj) {
-        if (obj && obj.type !== undefined) {
-            if (obj.type === 'number') return obj.value;
-            if (obj.type === 'string') return obj.value;
-            if (obj.type === 'boolean') return obj.value;
-            if (obj.type === 'null') return null;
-            if (obj.type === 'array') return obj.value;
-            if (obj.type === 'object') return obj.value;
+    /**
+     * Записать в файл
+     */
+    writeToFile(formatted) {
+        try {
+            if (!existsSync(this.file)) {
+                mkdirSync(dirname(this.file), { recursive: true });
+            }
+            appendFileSync(this.file, formatted + '\n', 'utf-8');
+        } catch (error) {
+            console.error('Ошибка записи лога:', error);
         }
-        return obj;
     }
 
-    registerBuiltins() {
-        // Математика
-        this.builtins.set('максимум', (...args) => Math.max(...args));
-        this.builtins.set('минимум', (...args) => Math.min(...args));
-        this.builtins.set('случайный', () => Math.random());
-        this.builtins.set('случайноеЦелое', (min, max) => 
-            Math.floor(Math.random() * (max - min + 1)) + min);
-        this.builtins.set('abs', (n) => Math.abs(n));
-        this.builtins.set('округлить', (n) => Math.round(n));
-        this.builtins.set('корень', (n) => Math.sqrt(n));
-
-        // Строки
-        this.builtins.set('длина', (str) => String(str)?.length ?? 0);
-        this.builtins.set('нижнийРегистр', (str) => String(str)?.toLowerCase() || '');
-        this.builtins.set('верхнийРегистр', (str) => String(str)?.toUpperCase() || '');
-
-        // Кэш
-        this.builtins.set('кэшУстановить', (key, value) => {
-            this.cache.set(key, value);
-            return true;
-        });
-        this.builtins.set('кэшПолучить', (key) => this.cache.get(key));
-        this.builtins.set('кэшОчистить', () => {
-            this.cache.clear();
-            return true;
-        });
-        this.builtins.set('кэшСтатистика', () => this.cache.getStats());
-
-        // Функциональное
-        this.builtins.set('каррировать', Functional.curry);
-        this.builtins.set('композиция', Functional.compose);
-        this.builtins.set('труба', Functional.pipe);
-        this.builtins.set('мемоизировать', Functional.memoize);
-        this.builtins.set('частично', Functional.partial);
-        this.builtins.set('инвертировать', Functional.flip);
-        this.builtins.set('одинРаз', Functional.once);
-        this.builtins.set('отладить', Functional.trace);
+    /**
+     * Debug
+     */
+    debug(message, context) {
+        this.log('debug', message, context);
+    }
 
-        // Структуры данных
-        this.builtins.set('Стек', () => ({
-            push: (x) => { return { __type: 'stack', __data: [] } },
-            pop: () => undefined
-        }));
-        this.builtins.set('Очередь', () => ({
-            enqueue: (x) => undefined,
-            dequeue: () => undefined
-        }));
+    /**
+     * Info
+     */
+    info(message, context) {
+        this.log('info', message, context);
+    }
 
-        // Асинхронность
-        this.builtins.set('параллельно', (tasks) => this.asyncManager.parallel(tasks));
-        this.builtins.set('последовательно', (tasks) => this.asyncManager.sequential(tasks));
-        this.builtins.set('гонка', (tasks) => this.asyncManager.race(tasks));
-        this.builtins.set('всеSettled', (tasks) => this.asyncManager.allSettled(tasks));
+    /**
+     * Warn
+     */
+    warn(message, context) {
+        this.log('warn', message, context);
     }
-}
 
-// === Главный движок ===
-export class VladXEngine {
-    constructor(options = {}) {
-        this.debug = options.debug || false;
+    /**
+     * Error
+     */
+    error(message, context) {
+        this.log('error', message, context);
     }
 
-    async execute(source, options = {}) {
-        const filename = options.filename || '<unknown>';
+    /**
+     * Создать child logger с контекстом
+     */
+    child(context) {
+        const child = new Logging({
+            level: this.level,
+            format: this.format,
+            file: this.file,
+            console: this.console,
+            colors: this.colors,
+            timestamp: this.timestamp
+        });
 
-        if (this.debug) {
-            console.log(`[VladX] Начинаем выполнение: ${filename}`);
-        }
+        child.defaultContext = { ...this.defaultContext, ...context };
 
-        try {
-            // Лексический анализ
-            const lexer = new Lexer(source, filename);
-            const tokens = lexer.tokenize();
+        const originalLog = child.log.bind(child);
+        child.log = (level, message, context) => {
+            originalLog(level, message, { ...this.defaultContext, ...context });
+        };
 
-            if (this.debug) {
-                console.log(`[VladX] Токенов: ${tokens.length}`);
-            }
+        return child;
+    }
 
-            // Синтаксический анализ
-            const parser = new Parser(tokens);
-            const ast = parser.parse();
+    /**
+     * Создать logger с уровнем
+     */
+    withLevel(level) {
+        const logger = new Logging({
+            level,
+            format: this.format,
+            file: this.file,
+            console: this.console,
+            colors: this.colors,
+            timestamp: this.timestamp
+        });
 
-            if (this.debug) {
-                console.log(`[VladX] AST: ${ast.body.length} узлов`);
-            }
+        return logger;
+    }
 
-            // Интерпретация
-            const interpreter = new Interpreter({
-                debug: this.debug
-            });
+    /**
+     * Установить уровень логирования
+     */
+    setLevel(level) {
+        this.level = level;
+        return this;
+    }
 
-            const result = await interpreter.interpret(ast);
+    /**
+     * Получить буфер логов
+     */
+    getLogs() {
+        return [...this.logBuffer];
+    }
 
-            if (this.debug) {
-                console.log(`[VladX] Результат:`, result);
-            }
+    /**
+     * Очистить буфер логов
+     */
+    clearLogs() {
+        this.logBuffer = [];
+        return this;
+    }
 
-            return result;
-        } catch (error) {
-            console.error(`[VladX] Ошибка:`, error.message);
-            if (error.stack) {
-                console.error(error.stack);
-            }
-            throw error;
+    /**
+     * Экспорт логов
+     */
+    exportLogs(format = 'json') {
+        if (format === 'json') {
+            return JSON.stringify(this.logBuffer, null, 2);
+        } else {
+            return this.logBuffer.map(entry => this.formatLogEntry(entry)).join('\n');
         }
     }
 
-    async executeFile(filepath) {
-        const { readFileSync } = await import('fs');
-        const { resolve, dirname } = await import('path');
-
-        try {
-            const source = readFileSync(filepath, 'utf-8');
-            return this.execute(source, { filename: filepath });
-        } catch (error) {
-            throw error;
-        }
+    /**
+     * Фильтр логов по уровню
+     */
+    filterLogs(level) {
+        const minLevel = this.levels[level];
+        return this.logBuffer.filter(entry => this.levels[entry.level] >= minLevel);
     }
 
-    async repl(inputStream = process.stdin, outputStream = process.stdout) {
-        const readline = await import('readline');
-        const rl = readline.createInterface({
-            input: inputStream,
-            output: outputStream,
-            prompt: 'vladx> '
+    /**
+     * Фильтр логов по времени
+     */
+    filterLogsByTime(startTime, endTime) {
+        return this.logBuffer.filter(entry => {
+            if (!entry.timestamp) return true;
+            const time = new Date(entry.timestamp).getTime();
+            return time >= startTime.getTime() && time <= endTime.getTime();
         });
+    }
 
-        console.log('VladX REPL (введите .exit для выхода)');
+    /**
+     * Создать logger с метриками
+     */
+    static withMetrics(logger) {
+        const metrics = {
+            debug: 0,
+            info: 0,
+            warn: 0,
+            error: 0
+        };
 
-        let buffer = '';
+        const originalLog = logger.log.bind(logger);
+        logger.log = (level, message, context) => {
+            metrics[level]++;
+            originalLog(level, message, context);
+        };
 
-        rl.on('line', async (line) => {
-            buffer += line + '\n';
+        logger.getMetrics = () => metrics;
 
-            let complete = false;
+        return logger;
+    }
 
-            // Простая проверка на завершение
-            if (line.trim() === '') {
-                // Пустая строка - может быть конец блока
-            } else {
-                // Проверяем скобки
-                const openParens = (buffer.match(/\(/g) || []).length;
-                const openBraces = (buffer.match(/{/g) || []).length;
-                const openBrackets = (buffer.match(/\[/g) || []).length;
+    /**
+     * Создать logger с ротацией файлов
+     */
+    static withFileRotation(logger, options = {}) {
+        const maxSize = options.maxSize || 1024 * 1024; // 1MB
+        const maxFiles = options.maxFiles || 5;
 
-                if (openParens === 0 && openBraces === 0 && openBrackets === 0) {
-                    complete = true;
-                }
-            }
+        const checkAndRotate = () => {
+            if (!logger.file) return;
 
-            if (complete || line.trim() === '') {
-                if (buffer.trim()) {
-                    try {
-                        const result = await this.execute(buffer, { filename: '<repl>' });
-                        if (result !== undefined) {
-                            outputStream.write(`=> ${this.getDisplayValue(result)}\n`);
-                        }
-                    } catch (error) {
-                        outputStream.write(`Ошибка: ${error.message}\n`);
+            try {
+                const stats = require('fs').statSync(logger.file);
+                if (stats.size > maxSize) {
+                    // Ротация файлов
+                    for (let i = maxFiles - 1; i >= 1; i--) {
+                        const oldFile = i === 1 ? logger.file : `${logger.file}.${i - 1}`;
+                        const newFile = `${logger.file}.${i}`;
+
+                        try {
+                            require('fs').renameSync(oldFile, newFile);
+                        } catch (e) {}
                     }
+
+                    // Создать новый файл
+                    require('fs').writeFileSync(logger.file, '', 'utf-8');
                 }
-                buffer = '';
-            }
-        });
+            } catch (e) {}
+        };
 
-        rl.on('close', () => {
-            outputStream.write('\nДо встречи!\n');
-        });
+        // Перехватить writeToFile
+        const originalWrite = logger.writeToFile.bind(logger);
+        logger.writeToFile = (formatted) => {
+            checkAndRotate();
+            originalWrite(formatted);
+        };
+
+        return logger;
     }
 
-    getDisplayValue(obj) {
-        if (!obj) return 'ничто';
-        if (obj.type === 'string') return obj.value;
-        if (obj.type === 'number') return String(obj.value);
-        if (obj.type === 'boolean') return obj.value ? 'истина' : 'ложь';
-        if (obj.type === 'null') return 'ничто';
-        if (obj.type === 'array') return obj.value.map(v => this.getDisplayValue(v));
-        if (obj.type === 'object') {
-            const entries = Object.entries(obj.value || {}).map(([k, v]) => `${k}: ${this.getDisplayValue(v)}`);
-            return '{ ' + entries.join(', ') + ' }';
-        }
-        return String(obj);
+    /**
+     * Создать logger с цветным выводом
+     */
+    static withColors(logger) {
+        logger.colors = true;
+        return logger;
+    }
+
+    /**
+     * Создать logger без цветов
+     */
+    static withoutColors(logger) {
+        logger.colors = false;
+        return logger;
     }
 }
+return { Logging, default: Logging };
+})();
+
+// Module: index.js
+const __vx_m46 = (() => {
+/**
+ * VladX - Основной файл экспорта
+ */
 
-// Для ES модулей
-if (import.meta.url === `file://${process.argv[1]}`) {
+const { VladXEngine } = __vx_m32;
+const { JITCompiler } = __vx_m12;
+
+const { Lexer } = __vx_m3;
+const { OptimizedLexer } = __vx_m33;
+const { RegexCache } = __vx_m1;
+
+const { Parser } = __vx_m5;
+
+
+const { Interpreter } = __vx_m16;
+
+const { Environment } = __vx_m7;
+const { TypeSystem } = __vx_m11;
+const { AdvancedTypeSystem } = __vx_m34;
+const { TypeChecker } = __vx_m10;
+const { VladXObject, types } = __vx_m6;
+const { Builtins } = __vx_m23;
+const { ModuleSystem } = __vx_m21;
+const { EnhancedModuleSystem } = __vx_m35;
+
+const { CacheManager } = __vx_m24;
+const { SecurityManager } = __vx_m25;
+const { Debugger } = __vx_m26;
+const { DebugAdapter } = __vx_m36;
+const { LanguageServer } = __vx_m39;
+const { Profiler } = __vx_m27;
+const { REPL } = __vx_m28;
+const { AsyncManager } = __vx_m8;
+const { Functional } = __vx_m9;
+const { default: DataStructures } = __vx_m31;
+const { TestRunner } = __vx_m40;
+const { Bundle } = __vx_m19;
+const { Minifier } = __vx_m41;
+const { Transformer } = __vx_m42;
+const { SourceMapGenerator } = __vx_m20;
+const { IOOperations } = __vx_m29;
+const { NetworkOperations } = __vx_m30;
+const { EnvironmentEnhanced } = __vx_m43;
+const { EventEmitter } = __vx_m44;
+const { Linter } = __vx_m37;
+const { Formatter } = __vx_m38;
+const { Logging } = __vx_m45;
+
+const { default: __vx_reexport_default } = __vx_m32;
+return { VladXEngine, JITCompiler, Lexer, OptimizedLexer, RegexCache, Parser, Interpreter, Environment, TypeSystem, AdvancedTypeSystem, TypeChecker, VladXObject, types, Builtins, ModuleSystem, EnhancedModuleSystem, CacheManager, SecurityManager, Debugger, DebugAdapter, LanguageServer, Profiler, REPL, AsyncManager, Functional, DataStructures, TestRunner, Bundle, Minifier, Transformer, SourceMapGenerator, IOOperations, NetworkOperations, EnvironmentEnhanced, EventEmitter, Linter, Formatter, Logging, default: __vx_reexport_default, Node: __vx_m4.Node, Program: __vx_m4.Program, ExpressionStatement: __vx_m4.ExpressionStatement, EmptyStatement: __vx_m4.EmptyStatement, LetStatement: __vx_m4.LetStatement, ConstStatement: __vx_m4.ConstStatement, ReturnStatement: __vx_m4.ReturnStatement, BlockStatement: __vx_m4.BlockStatement, IfStatement: __vx_m4.IfStatement, WhileStatement: __vx_m4.WhileStatement, ForStatement: __vx_m4.ForStatement, BreakStatement: __vx_m4.BreakStatement, ContinueStatement: __vx_m4.ContinueStatement, LabeledStatement: __vx_m4.LabeledStatement, ForOfStatement: __vx_m4.ForOfStatement, ForInStatement: __vx_m4.ForInStatement, FunctionDeclaration: __vx_m4.FunctionDeclaration, ClassDeclaration: __vx_m4.ClassDeclaration, ClassField: __vx_m4.ClassField, ClassStaticBlock: __vx_m4.ClassStaticBlock, EnumDeclaration: __vx_m4.EnumDeclaration, EnumVariant: __vx_m4.EnumVariant, TryStatement: __vx_m4.TryStatement, ThrowStatement: __vx_m4.ThrowStatement, Literal: __vx_m4.Literal, RegexLiteral: __vx_m4.RegexLiteral, Identifier: __vx_m4.Identifier, ThisExpression: __vx_m4.ThisExpression, SuperExpression: __vx_m4.SuperExpression, NewExpression: __vx_m4.NewExpression, ClassMethod: __vx_m4.ClassMethod, BinaryExpression: __vx_m4.BinaryExpression, UnaryExpression: __vx_m4.UnaryExpression, CallExpression: __vx_m4.CallExpression, MemberExpression: __vx_m4.MemberExpression, ChainExpression: __vx_m4.ChainExpression, MemberAssignment: __vx_m4.MemberAssignment, Assignment: __vx_m4.Assignment, ArrayExpression: __vx_m4.ArrayExpression, ObjectExpression: __vx_m4.ObjectExpression, PropertyDefinition: __vx_m4.PropertyDefinition, PropertyKey: __vx_m4.PropertyKey, ArrowFunctionExpression: __vx_m4.ArrowFunctionExpression, TernaryExpression: __vx_m4.TernaryExpression, AssignmentExpression: __vx_m4.AssignmentExpression, CompoundAssignmentExpression: __vx_m4.CompoundAssignmentExpression, BitwiseExpression: __vx_m4.BitwiseExpression, TemplateLiteral: __vx_m4.TemplateLiteral, AwaitExpression: __vx_m4.AwaitExpression, YieldExpression: __vx_m4.YieldExpression, ArrayPattern: __vx_m4.ArrayPattern, ObjectPattern: __vx_m4.ObjectPattern, Property: __vx_m4.Property, VariableDeclarationWithPattern: __vx_m4.VariableDeclarationWithPattern, SpreadElement: __vx_m4.SpreadElement, AssignmentPattern: __vx_m4.AssignmentPattern, RestElement: __vx_m4.RestElement, ImportExpression: __vx_m4.ImportExpression, SequenceExpression: __vx_m4.SequenceExpression, ImportStatement: __vx_m4.ImportStatement, ExportStatement: __vx_m4.ExportStatement, SwitchStatement: __vx_m4.SwitchStatement, MatchExpression: __vx_m4.MatchExpression, MatchArm: __vx_m4.MatchArm, RangePattern: __vx_m4.RangePattern, TypePattern: __vx_m4.TypePattern, VariantPattern: __vx_m4.VariantPattern, SimpleType: __vx_m4.SimpleType, ArrayType: __vx_m4.ArrayType, TupleType: __vx_m4.TupleType, UnionType: __vx_m4.UnionType, IntersectionType: __vx_m4.IntersectionType, GenericType: __vx_m4.GenericType, FunctionType: __vx_m4.FunctionType, TypeAliasDeclaration: __vx_m4.TypeAliasDeclaration, ASTNodes: __vx_m4.ASTNodes };
+})();
+
+// Module: standalone.js
+const __vx_m47 = (() => {
+/**
+ * VladX - Точка входа однофайловой сборки
+ * Из этого модуля сборщиком генерируется src/index-standalone.js:
+ * npm run build:standalone
+ */
+
+const { resolve } = __vx_ext1;
+const { pathToFileURL } = __vx_ext2;
+const { VladXEngine } = __vx_m32;
+
+
+
+
+// Запуск файла сборки напрямую: node index-standalone.js run <файл>
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
     const engine = new VladXEngine();
 
     const command = process.argv[2];
     const args = process.argv.slice(3);
 
     if (command === 'run' && args[0]) {
-        engine.executeFile(args[0]);
+        engine.executeFile(resolve(args[0])).catch(error => {
+            console.error(`Ошибка: ${error.message}`);
+            process.exit(1);
+        });
     } else if (command === 'repl') {
         engine.repl();
     } else {
         console.log(`
-VladX v1.0.0
+VladX v1.1.0
 
 Использование:
-  node vladx run <файл>  - выполнить файл
-  node vladx repl             - REPL режим
+  node index-standalone.js run <файл>  - выполнить файл
+  node index-standalone.js repl        - REPL режим
 
 Примеры:
-  node vladx run examples/demo.vx
-  node vladx repl
+  node index-standalone.js run examples/demo.vx
+  node index-standalone.js repl
         `.trim());
     }
 }
+return { default: VladXEngine, VladXEngine: __vx_m46.VladXEngine, JITCompiler: __vx_m46.JITCompiler, Lexer: __vx_m46.Lexer, OptimizedLexer: __vx_m46.OptimizedLexer, RegexCache: __vx_m46.RegexCache, Parser: __vx_m46.Parser, Interpreter: __vx_m46.Interpreter, Environment: __vx_m46.Environment, TypeSystem: __vx_m46.TypeSystem, AdvancedTypeSystem: __vx_m46.AdvancedTypeSystem, TypeChecker: __vx_m46.TypeChecker, VladXObject: __vx_m46.VladXObject, types: __vx_m46.types, Builtins: __vx_m46.Builtins, ModuleSystem: __vx_m46.ModuleSystem, EnhancedModuleSystem: __vx_m46.EnhancedModuleSystem, CacheManager: __vx_m46.CacheManager, SecurityManager: __vx_m46.SecurityManager, Debugger: __vx_m46.Debugger, DebugAdapter: __vx_m46.DebugAdapter, LanguageServer: __vx_m46.LanguageServer, Profiler: __vx_m46.Profiler, REPL: __vx_m46.REPL, AsyncManager: __vx_m46.AsyncManager, Functional: __vx_m46.Functional, DataStructures: __vx_m46.DataStructures, TestRunner: __vx_m46.TestRunner, Bundle: __vx_m46.Bundle, Minifier: __vx_m46.Minifier, Transformer: __vx_m46.Transformer, SourceMapGenerator: __vx_m46.SourceMapGenerator, IOOperations: __vx_m46.IOOperations, NetworkOperations: __vx_m46.NetworkOperations, EnvironmentEnhanced: __vx_m46.EnvironmentEnhanced, EventEmitter: __vx_m46.EventEmitter, Linter: __vx_m46.Linter, Formatter: __vx_m46.Formatter, Logging: __vx_m46.Logging, Node: __vx_m46.Node, Program: __vx_m46.Program, ExpressionStatement: __vx_m46.ExpressionStatement, EmptyStatement: __vx_m46.EmptyStatement, LetStatement: __vx_m46.LetStatement, ConstStatement: __vx_m46.ConstStatement, ReturnStatement: __vx_m46.ReturnStatement, BlockStatement: __vx_m46.BlockStatement, IfStatement: __vx_m46.IfStatement, WhileStatement: __vx_m46.WhileStatement, ForStatement: __vx_m46.ForStatement, BreakStatement: __vx_m46.BreakStatement, ContinueStatement: __vx_m46.ContinueStatement, LabeledStatement: __vx_m46.LabeledStatement, ForOfStatement: __vx_m46.ForOfStatement, ForInStatement: __vx_m46.ForInStatement, FunctionDeclaration: __vx_m46.FunctionDeclaration, ClassDeclaration: __vx_m46.ClassDeclaration, ClassField: __vx_m46.ClassField, ClassStaticBlock: __vx_m46.ClassStaticBlock, EnumDeclaration: __vx_m46.EnumDeclaration, EnumVariant: __vx_m46.EnumVariant, TryStatement: __vx_m46.TryStatement, ThrowStatement: __vx_m46.ThrowStatement, Literal: __vx_m46.Literal, RegexLiteral: __vx_m46.RegexLiteral, Identifier: __vx_m46.Identifier, ThisExpression: __vx_m46.ThisExpression, SuperExpression: __vx_m46.SuperExpression, NewExpression: __vx_m46.NewExpression, ClassMethod: __vx_m46.ClassMethod, BinaryExpression: __vx_m46.BinaryExpression, UnaryExpression: __vx_m46.UnaryExpression, CallExpression: __vx_m46.CallExpression, MemberExpression: __vx_m46.MemberExpression, ChainExpression: __vx_m46.ChainExpression, MemberAssignment: __vx_m46.MemberAssignment, Assignment: __vx_m46.Assignment, ArrayExpression: __vx_m46.ArrayExpression, ObjectExpression: __vx_m46.ObjectExpression, PropertyDefinition: __vx_m46.PropertyDefinition, PropertyKey: __vx_m46.PropertyKey, ArrowFunctionExpression: __vx_m46.ArrowFunctionExpression, TernaryExpression: __vx_m46.TernaryExpression, AssignmentExpression: __vx_m46.AssignmentExpression, CompoundAssignmentExpression: __vx_m46.CompoundAssignmentExpression, BitwiseExpression: __vx_m46.BitwiseExpression, TemplateLiteral: __vx_m46.TemplateLiteral, AwaitExpression: __vx_m46.AwaitExpression, YieldExpression: __vx_m46.YieldExpression, ArrayPattern: __vx_m46.ArrayPattern, ObjectPattern: __vx_m46.ObjectPattern, Property: __vx_m46.Property, VariableDeclarationWithPattern: __vx_m46.VariableDeclarationWithPattern, SpreadElement: __vx_m46.SpreadElement, AssignmentPattern: __vx_m46.AssignmentPattern, RestElement: __vx_m46.RestElement, ImportExpression: __vx_m46.ImportExpression, SequenceExpression: __vx_m46.SequenceExpression, ImportStatement: __vx_m46.ImportStatement, ExportStatement: __vx_m46.ExportStatement, SwitchStatement: __vx_m46.SwitchStatement, MatchExpression: __vx_m46.MatchExpression, MatchArm: __vx_m46.MatchArm, RangePattern: __vx_m46.RangePattern, TypePattern: __vx_m46.TypePattern, VariantPattern: __vx_m46.VariantPattern, SimpleType: __vx_m46.SimpleType, ArrayType: __vx_m46.ArrayType, TupleType: __vx_m46.TupleType, UnionType: __vx_m46.UnionType, IntersectionType: __vx_m46.IntersectionType, GenericType: __vx_m46.GenericType, FunctionType: __vx_m46.FunctionType, TypeAliasDeclaration: __vx_m46.TypeAliasDeclaration, ASTNodes: __vx_m46.ASTNodes };
+})();
 
-export default VladXEngine;
+export const { VladXEngine, JITCompiler, Lexer, OptimizedLexer, RegexCache, Parser, Interpreter, Environment, TypeSystem, AdvancedTypeSystem, TypeChecker, VladXObject, types, Builtins, ModuleSystem, EnhancedModuleSystem, CacheManager, SecurityManager, Debugger, DebugAdapter, LanguageServer, Profiler, REPL, AsyncManager, Functional, DataStructures, TestRunner, Bundle, Minifier, Transformer, SourceMapGenerator, IOOperations, NetworkOperations, EnvironmentEnhanced, EventEmitter, Linter, Formatter, Logging, Node, Program, ExpressionStatement, EmptyStatement, LetStatement, ConstStatement, ReturnStatement, BlockStatement, IfStatement, WhileStatement, ForStatement, BreakStatement, ContinueStatement, LabeledStatement, ForOfStatement, ForInStatement, FunctionDeclaration, ClassDeclaration, ClassField, ClassStaticBlock, EnumDeclaration, EnumVariant, TryStatement, ThrowStatement, Literal, RegexLiteral, Identifier, ThisExpression, SuperExpression, NewExpression, ClassMethod, BinaryExpression, UnaryExpression, CallExpression, MemberExpression, ChainExpression, MemberAssignment, Assignment, ArrayExpression, ObjectExpression, PropertyDefinition, PropertyKey, ArrowFunctionExpression, TernaryExpression, AssignmentExpression, CompoundAssignmentExpression, BitwiseExpression, TemplateLiteral, AwaitExpression, YieldExpression, ArrayPattern, ObjectPattern, Property, VariableDeclarationWithPattern, SpreadElement, AssignmentPattern, RestElement, ImportExpression, SequenceExpression, ImportStatement, ExportStatement, SwitchStatement, MatchExpression, MatchArm, RangePattern, TypePattern, VariantPattern, SimpleType, ArrayType, TupleType, UnionType, IntersectionType, GenericType, FunctionType, TypeAliasDeclaration, ASTNodes } = __vx_m47;
+export default __vx_m47.default;
@@ -5,7 +5,8 @@
 export { VladXEngine } from './engine/vladx-engine.js';
 export { JITCompiler } from './engine/jit-compiler.js';
 
-export { Lexer, OptimizedLexer } from './lexer/lexer.js';
+export { Lexer } from './lexer/lexer.js';
+export { OptimizedLexer } from './lexer/optimized-lexer.js';
 export { RegexCache } from './lexer/regex-cache.js';
 
 export { Parser } from './parser/parser.js';
@@ -14,7 +15,9 @@ export * from './parser/ast-nodes.js';
 export { Interpreter } from './interpreter/interpreter.js';
 
 export { Environment } from './runtime/environment.js';
-export { TypeSystem, AdvancedTypeSystem } from './runtime/type-system.js';
+export { TypeSystem } from './runtime/type-system.js';
+export { AdvancedTypeSystem } from './runtime/advanced-type-system.js';
+export { TypeChecker } from './runtime/type-checker.js';
 export { VladXObject, types } from './runtime/vladx-object.js';
 export { Builtins } from './runtime/builtins.js';
 export { ModuleSystem } from './runtime/module-system.js';
@@ -23,11 +26,13 @@ export { EnhancedModuleSystem } from './runtime/enhanced-module-system.js';
 export { CacheManager } from './runtime/cache-manager.js';
 export { SecurityManager } from './runtime/security-manager.js';
 export { Debugger } from './runtime/debugger.js';
+export { DebugAdapter } from './runtime/debug-adapter.js';
+export { LanguageServer } from './runtime/language-server.js';
 export { Profiler } from './runtime/profiler.js';
 export { REPL } from './runtime/repl.js';
 export { AsyncManager } from './runtime/async-manager.js';
 export { Functional } from './runtime/functional.js';
-export DataStructures from './runtime/data-structures.js';
+export { default as DataStructures } from './runtime/data-structures.js';
 export { TestRunner } from './runtime/test-runner.js';
 export { Bundle } from './runtime/bundler.js';
 export { Minifier } from './runtime/minifier.js';
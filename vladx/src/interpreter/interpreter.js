@@ -3,25 +3,178 @@
  * Выполняет AST и управляет выполнением программы
  */
 
-import { VladXObject, types } from '../runtime/vladx-object.js';
+import { VladXObject, EnumValue, types } from '../runtime/vladx-object.js';
 import { Environment } from '../runtime/environment.js';
 import { AsyncManager } from '../runtime/async-manager.js';
 import { Functional } from '../runtime/functional.js';
+import { TypeSystem } from '../runtime/type-system.js';
+import { Decimal, isExact, exactBinary } from '../runtime/decimal.js';
+import { compileRegex, createRegexModule, REGEX_METHODS } from '../runtime/regex.js';
+import { JITCompiler } from '../engine/jit-compiler.js';
+import { BytecodeVM } from '../engine/bytecode-vm.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Звено ?. встретило ничто: остаток цепочки не вычисляется
+const SHORT_CIRCUIT = Symbol('short-circuit');
+
+/**
+ * Закрытие генератора: прерывает приостановленное тело, минуя поймать, но не наконец
+ */
+class GeneratorClosed {}
+
+/**
+ * Состояние функции-генератора
+ * Тело выполняется как сопрограмма: на "выдать" состояние интерпретатора
+ * сохраняется, и управление возвращается коду, вызвавшему следующий()
+ */
+class GeneratorState {
+    constructor(interpreter, fn, args, instance) {
+        this.interpreter = interpreter;
+        this.fn = fn;
+        this.args = args;
+        this.instance = instance;
+
+        this.started = false;
+        this.running = false;
+        this.done = false;
+
+        this.callerState = null;
+        this.bodyState = null;
+        this.pendingStep = null;
+        this.resumeBody = null;
+        this.closing = false;
+
+        // Методы, доступные из VladX: ген.следующий(значение), ген.закрыть()
+        this['следующий'] = VladXObject.function(async (sent) => {
+            const step = await this.next(VladXObject.fromJS(sent));
+            return VladXObject.object({
+                'значение': step.value,
+                'готово': VladXObject.boolean(step.done)
+            });
+        }, 'следующий');
+        this['закрыть'] = VladXObject.function(async () => {
+            await this.close();
+            return true;
+        }, 'закрыть');
+    }
+
+    /**
+     * Продолжить выполнение до следующего "выдать"
+     */
+    next(sent = VladXObject.null()) {
+        if (this.done) {
+            return Promise.resolve({ value: VladXObject.null(), done: true });
+        }
+        if (this.running) {
+            return Promise.reject(new Error('Генератор уже выполняется'));
+        }
+
+        this.running = true;
+        this.callerState = this.interpreter.saveState();
+
+        return new Promise((resolve, reject) => {
+            this.pendingStep = { resolve, reject };
+
+            if (!this.started) {
+                this.started = true;
+                // Тело стартует после того, как вызывающий код дойдёт до await
+                Promise.resolve().then(() => this.run());
+            } else {
+                this.resumeBody(sent);
+            }
+        });
+    }
+
+    /**
+     * Закрыть генератор: приостановленное тело продолжается с выходом из функции,
+     * по пути выполняются блоки наконец
+     */
+    async close() {
+        if (this.done) {
+            return;
+        }
+        if (this.running) {
+            throw new Error('Генератор уже выполняется');
+        }
+        if (!this.started) {
+            this.done = true;
+            return;
+        }
+        this.closing = true;
+        await this.next();
+    }
+
+    async run() {
+        const interpreter = this.interpreter;
+        interpreter.currentInstance = this.instance;
+        interpreter.callStack = [...this.callerState.callStack];
+
+        let result;
+        try {
+            result = await interpreter.executeFunction(this.fn, this.args, this);
+        } catch (error) {
+            this.finish();
+            if (error instanceof GeneratorClosed) {
+                this.pendingStep.resolve({ value: VladXObject.null(), done: true });
+            } else {
+                this.pendingStep.reject(error);
+            }
+            return;
+        }
+
+        this.finish();
+        this.pendingStep.resolve({
+            value: result instanceof VladXObject ? result : VladXObject.fromJS(result),
+            done: true
+        });
+    }
+
+    finish() {
+        this.done = true;
+        this.running = false;
+        this.interpreter.restoreState(this.callerState);
+    }
+
+    /**
+     * Приостановка тела на "выдать"; возвращает значение, переданное в следующий()
+     */
+    async suspend(value) {
+        const interpreter = this.interpreter;
+        const step = this.pendingStep;
+
+        this.bodyState = interpreter.saveState();
+        interpreter.restoreState(this.callerState);
+        this.running = false;
+
+        const sent = await new Promise(resume => {
+            this.resumeBody = resume;
+            step.resolve({ value, done: false });
+        });
+
+        interpreter.restoreState(this.bodyState);
+        if (this.closing) {
+            throw new GeneratorClosed();
+        }
+        return sent;
+    }
+}
+
 export class Interpreter {
     constructor(options = {}) {
         this.debug = options.debug || false;
         this.strictMode = options.strictMode || false;
-        this.maxExecutionTime = options.maxExecutionTime || 30000;
+        this.typeSystem = new TypeSystem();
+        this.maxExecutionTime = options.maxExecutionTime ?? 30000;
         this.executionTimer = null;
         this.moduleSystem = options.moduleSystem || null;
         this.debugger = options.debugger || null;
         this.profiler = options.profiler || null;
+        this.jit = null; // JITCompiler, подключается движком
+        this.vm = null; // BytecodeVM, подключается движком
 
         this.globalEnv = new Environment(null, '<global>');
         this.currentEnv = this.globalEnv;
@@ -32,11 +185,17 @@ export class Interpreter {
         this.isContinue = false;
 
         this.builtins = new Map();
+        this.callStack = [];
+        this.currentGenerator = null;
 
         this.asyncManager = new AsyncManager(options.async);
         this.currentFilename = '<unknown>';
         this.currentLine = 0;
 
+        // Функции модуля «регвыр»: функция-замена получает объект совпадения
+        this.regex = createRegexModule(async (fn, match) =>
+            this.toNative(await this.callValue(fn, [VladXObject.fromJS(match)])));
+
         this.registerBuiltins();
     }
 
@@ -96,6 +255,7 @@ export class Interpreter {
      */
     startExecution() {
         if (this.maxExecutionTime > 0 && !this.executionTimer) {
+            this.executionDeadline = Date.now() + this.maxExecutionTime;
             this.executionTimer = setTimeout(() => {
                 this.stopExecution();
                 throw new Error(`Превышено максимальное время выполнения (${this.maxExecutionTime}мс)`);
@@ -110,6 +270,7 @@ export class Interpreter {
         if (this.executionTimer) {
             clearTimeout(this.executionTimer);
             this.executionTimer = null;
+            this.executionDeadline = null;
         }
 
         if (this.asyncManager) {
@@ -141,7 +302,7 @@ export class Interpreter {
 
         const convertToNative = (val) => {
             if (val && typeof val === 'object' && val.type !== undefined) {
-                if (val.type === 'function' || val.type === 'closure') {
+                if (val.type === 'function' || val.type === 'closure' || val.type === 'generator') {
                     return val;
                 }
 
@@ -275,6 +436,7 @@ export class Interpreter {
             console.log('[Interpreter] Starting interpretation');
         }
         this.startExecution();
+        let debugFrame = null;
         
         try {
             const previousEnv = this.currentEnv;
@@ -298,10 +460,26 @@ export class Interpreter {
             const programEnv = executionEnv.child('<program>');
             this.currentEnv = programEnv;
 
+            // Фрейм программы (или импортируемого модуля) для подключённого отладчика
+            if (this.debugger && this.debugger.active) {
+                debugFrame = {
+                    filename: this.currentFilename,
+                    line: 0,
+                    column: 0,
+                    functionName: this.debugger.callStack.length === 0 ? '<программа>' : '<модуль>',
+                    environment: programEnv,
+                    scopeEnvironment: programEnv
+                };
+                this.debugger.pushFrame(debugFrame);
+            }
+
             if (this.debug) {
                 console.log('[Interpreter] AST body length:', ast.body.length);
             }
-            const result = await this.evaluateProgram(ast);
+            let result = this.vm ? await this.vm.runProgram(ast) : BytecodeVM.NOT_HANDLED;
+            if (result === BytecodeVM.NOT_HANDLED) {
+                result = await this.evaluateProgram(ast);
+            }
             if (this.debug) {
                 console.log('[Interpreter] Program evaluated');
             }
@@ -331,6 +509,10 @@ export class Interpreter {
                 console.error('[Interpreter] Текущий стек вызовов:', this.callStack);
             }
             throw this.wrapError(error);
+        } finally {
+            if (debugFrame) {
+                this.debugger.popFrame(debugFrame);
+            }
         }
     }
 
@@ -394,6 +576,10 @@ export class Interpreter {
         if (!statement) {
             return VladXObject.null();
         }
+
+        if (this.debugger && this.debugger.active) {
+            await this.debugger.onStatement(statement, this.currentEnv, this.currentFilename);
+        }
         
         switch (statement.type) {
             case 'ExpressionStatement':
@@ -423,6 +609,12 @@ export class Interpreter {
             case 'ForStatement':
                 return await this.evaluateForStatement(statement);
 
+            case 'ForOfStatement':
+                return await this.evaluateForOfStatement(statement);
+
+            case 'ForInStatement':
+                return await this.evaluateForInStatement(statement);
+
             case 'BreakStatement':
                 return this.evaluateBreakStatement(statement);
 
@@ -435,6 +627,9 @@ export class Interpreter {
             case 'ClassDeclaration':
                 return await this.evaluateClassDeclaration(statement);
 
+            case 'EnumDeclaration':
+                return this.evaluateEnumDeclaration(statement);
+
             case 'TryStatement':
                 return await this.evaluateTryStatement(statement);
 
@@ -456,8 +651,12 @@ export class Interpreter {
             case 'EmptyStatement':
                 return VladXObject.null();
 
+            case 'TypeAliasDeclaration':
+                this.typeSystem.defineAlias(statement.name, statement.typeAnnotation);
+                return VladXObject.null();
+
             default:
-                throw new Error(`Неизвестный тип инструкции: '${statement.type}'. Доступные типы: ExpressionStatement, LetStatement, ConstStatement, ReturnStatement, BlockStatement, IfStatement, WhileStatement, ForStatement, BreakStatement, ContinueStatement, FunctionDeclaration, ClassDeclaration, TryStatement, ThrowStatement, SwitchStatement, ImportStatement, ExportStatement, LabeledStatement, EmptyStatement`);
+                throw new Error(`Неизвестный тип инструкции: '${statement.type}'. Доступные типы: ExpressionStatement, LetStatement, ConstStatement, ReturnStatement, BlockStatement, IfStatement, WhileStatement, ForStatement, ForOfStatement, ForInStatement, BreakStatement, ContinueStatement, FunctionDeclaration, ClassDeclaration, EnumDeclaration, TryStatement, ThrowStatement, SwitchStatement, ImportStatement, ExportStatement, LabeledStatement, EmptyStatement`);
         }
     }
 
@@ -499,6 +698,9 @@ export class Interpreter {
             case 'MemberExpression':
                 return this.evaluateMemberExpression(expr);
 
+            case 'ChainExpression':
+                return this.evaluateChainExpression(expr);
+
             case 'Assignment':
                 return this.evaluateAssignment(expr);
 
@@ -517,6 +719,9 @@ export class Interpreter {
             case 'TemplateLiteral':
                 return this.evaluateTemplateLiteral(expr);
 
+            case 'RegexLiteral':
+                return VladXObject.regex(compileRegex(expr.pattern, expr.flags));
+
             case 'AwaitExpression':
                 return this.evaluateAwaitExpression(expr);
 
@@ -547,8 +752,14 @@ export class Interpreter {
             case 'ObjectPattern':
                 return this.evaluateObjectPattern(expr);
 
+            case 'MatchExpression':
+                return this.evaluateMatchExpression(expr);
+
+            case 'YieldExpression':
+                return this.evaluateYieldExpression(expr);
+
             default:
-                throw new Error(`Неизвестный тип выражения: '${expr.type}'. Доступные типы: Literal, Identifier, ThisExpression, SuperExpression, BinaryExpression, UnaryExpression, CallExpression, MemberExpression, Assignment, MemberAssignment, AssignmentExpression, CompoundAssignmentExpression, BitwiseExpression, TemplateLiteral, ArrayExpression, ObjectExpression, FunctionDeclaration, ArrowFunctionExpression, TernaryExpression, ImportExpression, SequenceExpression, ArrayPattern, ObjectPattern, NewExpression`);
+                throw new Error(`Неизвестный тип выражения: '${expr.type}'. Доступные типы: Literal, Identifier, ThisExpression, SuperExpression, BinaryExpression, UnaryExpression, CallExpression, MemberExpression, Assignment, MemberAssignment, AssignmentExpression, CompoundAssignmentExpression, BitwiseExpression, TemplateLiteral, ArrayExpression, ObjectExpression, FunctionDeclaration, ArrowFunctionExpression, TernaryExpression, ImportExpression, SequenceExpression, ArrayPattern, ObjectPattern, NewExpression, MatchExpression, YieldExpression`);
         }
     }
 
@@ -571,6 +782,9 @@ export class Interpreter {
         if (value === null) {
             return VladXObject.null();
         }
+        if (isExact(value)) {
+            return VladXObject.fromJS(value);
+        }
         
         return VladXObject.string(value);
     }
@@ -586,7 +800,8 @@ export class Interpreter {
      * This выражение
      */
     evaluateThisExpression(expr) {
-        if (this.currentInstance && this.currentInstance.type === 'instance') {
+        // В статических методах и блоках "это" — сам класс
+        if (this.currentInstance && (this.currentInstance.type === 'instance' || this.currentInstance.type === 'class')) {
             return this.currentInstance;
         }
         throw new Error('Использование "это" (this) вне контекста метода класса');
@@ -596,16 +811,26 @@ export class Interpreter {
      * Super выражение
      */
     evaluateSuperExpression(expr) {
-        if (!this.currentInstance || this.currentInstance.type !== 'instance') {
+        if (!this.currentInstance || (this.currentInstance.type !== 'instance' && this.currentInstance.type !== 'class')) {
             throw new Error('Использование "super" вне контекста метода класса');
         }
-        if (!this.currentInstance.prototype || !this.currentInstance.prototype.prototype) {
+        // В статическом контексте "супер" — родительский класс
+        const subject = this.currentInstance;
+        const ownClass = subject.type === 'class' ? subject : subject.prototype;
+        if (!ownClass || !ownClass.prototype) {
             throw new Error('У класса нет родительского класса');
         }
 
-        const superClass = this.currentInstance.prototype.prototype;
+        return subject.type === 'class' ? ownClass.prototype : this.superInstance(subject, ownClass.prototype);
+    }
+
+    /**
+     * Экземпляр родительского класса с общими полями (для "супер")
+     */
+    superInstance(instance, superClass) {
         const superInstance = VladXObject.instance(superClass);
-        superInstance.value = this.currentInstance.value;
+        superInstance.value = instance.value;
+        superInstance.privateFields = instance.privateFields;
         return superInstance;
     }
 
@@ -613,8 +838,20 @@ export class Interpreter {
      * New expression - создание экземпляра класса
      */
     async evaluateNewExpression(expr) {
-        const callee = await this.evaluateExpression(expr.callee);
+        const callee = this.assertClass(await this.evaluateExpression(expr.callee));
 
+        const args = [];
+        for (const arg of expr.args) {
+            args.push(await this.evaluateExpression(arg));
+        }
+
+        return this.constructInstance(callee, args);
+    }
+
+    /**
+     * Проверка, что значение после "новый" — класс
+     */
+    assertClass(callee) {
         if (!callee || callee.type !== 'class') {
             if (callee) {
                 throw new Error(`new можно использовать только с классами, получено: ${callee.type}`);
@@ -622,13 +859,16 @@ export class Interpreter {
                 throw new Error('new можно использовать только с классами, callee is null');
             }
         }
+        return callee;
+    }
 
+    /**
+     * Создание экземпляра класса с вызовом конструктора
+     */
+    async constructInstance(callee, args) {
         const instance = VladXObject.instance(callee);
-
-        const args = [];
-        for (const arg of expr.args) {
-            args.push(await this.evaluateExpression(arg));
-        }
+        // Поля всей цепочки классов инициализируются до конструктора
+        await this.initializeFields(instance, callee);
 
         if (callee.methods && (callee.methods.has('конструктор') || callee.methods.has('constructor'))) {
             const constructorMethod = callee.methods.has('конструктор') ? callee.methods.get('конструктор') : callee.methods.get('constructor');
@@ -644,9 +884,7 @@ export class Interpreter {
             const parentConstructorMethod = callee.prototype.methods.has('конструктор') ? callee.prototype.methods.get('конструктор') : callee.prototype.methods.get('constructor');
 
             const previousInstance = this.currentInstance;
-            const superInstance = VladXObject.instance(callee.prototype);
-            superInstance.value = instance.value;
-            this.currentInstance = superInstance;
+            this.currentInstance = this.superInstance(instance, callee.prototype);
             try {
                 await this.executeFunction(parentConstructorMethod, args);
             } finally {
@@ -662,13 +900,37 @@ export class Interpreter {
      */
     async evaluateBinaryExpression(expr) {
         const left = await this.evaluateExpression(expr.left);
+        if (expr.operator === '??') {
+            return this.isNullish(left) ? this.evaluateExpression(expr.right) : left;
+        }
         const right = await this.evaluateExpression(expr.right);
-        
+        return this.binaryOperation(expr.operator, left, right);
+    }
+
+    /**
+     * Бинарная операция над уже вычисленными операндами
+     */
+    binaryOperation(operator, left, right) {
         // Извлекаем "сырые" значения из VladXObject
         const lval = (left && left.type !== undefined && 'value' in left) ? left.value : (left ?? '');
         const rval = (right && right.type !== undefined && 'value' in right) ? right.value : (right ?? '');
+
+        // Варианты перечислений равны, если совпадают вариант и все поля
+        if ((lval instanceof EnumValue || rval instanceof EnumValue) && (operator === '==' || operator === '!=')) {
+            const equal = lval instanceof EnumValue &&
+                lval.equals(rval, (a, b) => this.binaryOperation('==', a, b).value);
+            return VladXObject.boolean(operator === '==' ? equal : !equal);
+        }
+
+        // Большие и десятичные считаются точно
+        if (isExact(lval) || isExact(rval)) {
+            const result = exactBinary(operator, lval, rval);
+            if (result !== undefined) {
+                return VladXObject.fromJS(result);
+            }
+        }
         
-        switch (expr.operator) {
+        switch (operator) {
             case '+': 
                 // Проверяем, если хотя бы один операнд строка
                 if (typeof lval === 'string' || typeof rval === 'string') {
@@ -693,9 +955,27 @@ export class Interpreter {
             case '&&': return VladXObject.boolean(lval && rval);
             case '||': return VladXObject.boolean(lval || rval);
 
+            case 'экземпляр': return VladXObject.boolean(this.isInstanceOf(left, right));
+
             default:
-                throw new Error(`Неизвестный оператор: '${expr.operator}' при вычислении выражения ${lval} ${expr.operator} ${rval}`);
+                throw new Error(`Неизвестный оператор: '${operator}' при вычислении выражения ${lval} ${operator} ${rval}`);
+        }
+    }
+
+    /**
+     * Проверка "значение экземпляр Класс" с учётом цепочки "расширяет"
+     */
+    isInstanceOf(value, classObj) {
+        if (!classObj || classObj.type !== 'class') {
+            throw new Error(`Справа от "экземпляр" должен быть класс, получено: ${classObj ? classObj.type : 'ничто'}`);
+        }
+        if (!value || value.type !== 'instance') {
+            return false;
         }
+        for (let current = value.prototype; current; current = current.prototype) {
+            if (current === classObj) return true;
+        }
+        return false;
     }
 
     /**
@@ -703,9 +983,21 @@ export class Interpreter {
      */
     async evaluateUnaryExpression(expr) {
         const operand = await this.evaluateExpression(expr.operand);
+        return this.unaryOperation(expr.operator, operand);
+    }
+
+    /**
+     * Унарная операция над уже вычисленным операндом
+     */
+    unaryOperation(operator, operand) {
         const val = operand && operand.value !== undefined ? operand.value : operand;
 
-        switch (expr.operator) {
+        if (isExact(val) && (operator === '-' || operator === '+')) {
+            if (operator === '+') return VladXObject.fromJS(val);
+            return VladXObject.fromJS(typeof val === 'bigint' ? -val : val.neg());
+        }
+
+        switch (operator) {
             case '-': return VladXObject.number(-val);
             case '+': return VladXObject.number(+val);
             case '!': return VladXObject.boolean(!val);
@@ -717,7 +1009,7 @@ export class Interpreter {
                 return VladXObject.string(typeof val);
 
             default:
-                throw new Error(`Неизвестный унарный оператор: '${expr.operator}' при вычислении выражения ${expr.operator} ${val}`);
+                throw new Error(`Неизвестный унарный оператор: '${operator}' при вычислении выражения ${operator} ${val}`);
         }
     }
 
@@ -726,64 +1018,63 @@ export class Interpreter {
      */
     async evaluateCallExpression(expr) {
         let instance = null;
+        let callee;
 
         if (expr.callee.type === 'MemberExpression') {
+            // Метод получает "это": экземпляр или класс (для статических методов)
             const object = await this.evaluateExpression(expr.callee.object);
-            if (object && object.type === 'instance') {
+            if (object === SHORT_CIRCUIT || (expr.callee.optional && this.isNullish(object))) {
+                return SHORT_CIRCUIT;
+            }
+            if (object && (object.type === 'instance' || object.type === 'class')) {
                 instance = object;
             }
+            callee = await this.evaluateMemberOf(object, expr.callee);
+        } else {
+            callee = await this.evaluateExpression(expr.callee);
+        }
+        if (callee === SHORT_CIRCUIT || (expr.optional && this.isNullish(callee))) {
+            return SHORT_CIRCUIT;
         }
-
-        const callee = await this.evaluateExpression(expr.callee);
 
         const args = [];
         for (const arg of expr.args) {
             if (arg && arg.type === 'SpreadElement') {
-                const spreadValue = await this.evaluateExpression(arg.argument);
-                const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
-
-                if (Array.isArray(spreadArray)) {
-                    args.push(...spreadArray);
-                } else {
-                    args.push(spreadValue);
-                }
+                args.push(...await this.spreadArguments(await this.evaluateExpression(arg.argument)));
             } else {
                 args.push(await this.evaluateExpression(arg));
             }
         }
 
-        const convertToNative = (val) => {
-            if (val && typeof val === 'object' && val.type !== undefined) {
-                if (val.type === 'function' || val.type === 'closure') {
-                    return val;
-                }
+        return this.callValue(callee, args, instance);
+    }
 
-                if (val.type === 'null') {
-                    return null;
-                }
+    /**
+     * Аргументы из ...значение при вызове функции
+     */
+    async spreadArguments(spreadValue) {
+        const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
 
-                if (val.value !== undefined) {
-                    const rawValue = val.value;
+        if (Array.isArray(spreadArray)) {
+            return spreadArray;
+        }
 
-                    if (Array.isArray(rawValue)) {
-                        return rawValue.map(item => convertToNative(item));
-                    } else if (rawValue && typeof rawValue === 'object' && rawValue.constructor === Object) {
-                        const converted = {};
-                        for (const key in rawValue) {
-                            if (rawValue.hasOwnProperty(key)) {
-                                converted[key] = convertToNative(rawValue[key]);
-                            }
-                        }
-                        return converted;
-                    } else {
-                        return rawValue;
-                    }
-                }
+        const items = [];
+        if (this.isIterable(spreadValue)) {
+            for await (const item of this.iterate(spreadValue)) {
+                items.push(item);
             }
-            return val;
-        };
+        } else {
+            items.push(spreadValue);
+        }
+        return items;
+    }
 
-        const nativeArgs = args.map(arg => convertToNative(arg));
+    /**
+     * Вызов уже вычисленного значения с вычисленными аргументами
+     */
+    async callValue(callee, args, instance = null) {
+        const nativeArgs = args.map(arg => this.toNative(arg));
 
         if (callee && callee.isNative) {
             try {
@@ -835,11 +1126,67 @@ export class Interpreter {
         throw error;
     }
 
+    /**
+     * Преобразование аргумента встроенной функции в обычное JS-значение
+     */
+    toNative(val) {
+        if (val && typeof val === 'object' && val.type !== undefined) {
+            if (val.type === 'function' || val.type === 'closure' || val.type === 'generator') {
+                return val;
+            }
+
+            if (val.type === 'null') {
+                return null;
+            }
+
+            if (val.value !== undefined) {
+                const rawValue = val.value;
+
+                if (Array.isArray(rawValue)) {
+                    return rawValue.map(item => this.toNative(item));
+                } else if (rawValue && typeof rawValue === 'object' && rawValue.constructor === Object) {
+                    const converted = {};
+                    for (const key in rawValue) {
+                        if (rawValue.hasOwnProperty(key)) {
+                            converted[key] = this.toNative(rawValue[key]);
+                        }
+                    }
+                    return converted;
+                } else {
+                    return rawValue;
+                }
+            }
+        }
+        return val;
+    }
+
     /**
      * Выполнение функции
      */
-    async executeFunction(fn, args) {
+    async executeFunction(fn, args, generatorState = null) {
+        // Вызов функции-генератора только создаёт генератор; тело выполнится при следующий()
+        if (fn.ast && fn.ast.isGenerator && !generatorState) {
+            return VladXObject.generator(new GeneratorState(this, fn, args, this.currentInstance), fn.name);
+        }
+
+        // В режиме ВМ тело функции выполняется байт-кодом
+        if (this.vm && !generatorState) {
+            const vmResult = await this.vm.execute(fn, args);
+            if (vmResult !== BytecodeVM.NOT_HANDLED) {
+                return vmResult;
+            }
+        }
+
+        // Горячие функции выполняются скомпилированным кодом
+        if (this.jit && !generatorState) {
+            const compiledResult = await this.jit.execute(fn, args);
+            if (compiledResult !== JITCompiler.NOT_COMPILED) {
+                return compiledResult;
+            }
+        }
+
         const previousFunction = this.currentFunction;
+        const previousGenerator = this.currentGenerator;
         const previousReturn = { isReturn: this.isReturn, value: this.returnValue };
         const previousEnv = this.currentEnv;
 
@@ -885,12 +1232,31 @@ export class Interpreter {
             }
         }
 
+        // В строгом режиме аргументы проверяются по аннотациям параметров
+        if (this.strictMode && fn.ast && fn.ast.params) {
+            this.checkParameterTypes(fn, functionEnv);
+        }
+
         this.currentFunction = fn;
+        this.currentGenerator = generatorState;
         this.isReturn = false;
         this.returnValue = null;
 
         this.callStack.push(fn.name);
 
+        const debugFrame = this.debugger && this.debugger.active ? {
+            filename: this.currentFilename,
+            line: fn.ast?.line || 0,
+            column: 0,
+            functionName: fn.name,
+            environment: functionEnv,
+            scopeEnvironment: functionEnv,
+            instance: this.currentInstance
+        } : null;
+        if (debugFrame) {
+            this.debugger.pushFrame(debugFrame);
+        }
+
         let result = VladXObject.null();
         let didReturn = false;
         let returnVal = null;
@@ -923,25 +1289,65 @@ export class Interpreter {
             }
         } finally {
             this.currentFunction = previousFunction;
+            this.currentGenerator = previousGenerator;
             this.isReturn = previousReturn.isReturn;
             this.returnValue = previousReturn.value;
             this.currentEnv = previousEnv;
 
             this.callStack.pop();
+            if (debugFrame) {
+                this.debugger.popFrame(debugFrame);
+            }
         }
 
+        let value = didReturn ? returnVal : result;
+
         // Если функция асинхронная, и результат - промис, дожидаемся его
         if (fn.ast && fn.ast.isAsync) {
             if (result && typeof result.then === 'function') {
-                return await result;
-            }
-            if (result && result.value && typeof result.value.then === 'function') {
+                value = await result;
+            } else if (result && result.value && typeof result.value.then === 'function') {
                 const resolved = await result.value;
-                return VladXObject.fromJS(resolved);
+                value = VladXObject.fromJS(resolved);
             }
         }
 
-        return didReturn ? returnVal : result;
+        if (this.strictMode && fn.ast && fn.ast.returnType && !fn.ast.isGenerator) {
+            this.checkReturnType(fn, value, didReturn);
+        }
+
+        return value;
+    }
+
+    /**
+     * Проверка аргументов функции в строгом режиме (--strict)
+     */
+    checkParameterTypes(fn, functionEnv) {
+        for (const param of fn.ast.params) {
+            const identifier = param.type === 'AssignmentPattern' ? param.left : param;
+            if (!identifier.typeAnnotation) continue;
+
+            const value = functionEnv.get(identifier.name);
+            if (!this.typeSystem.checkType(value, identifier.typeAnnotation)) {
+                throw new Error(`Ошибка типа: параметр ${identifier.name} функции ${fn.name} ожидает «${this.typeSystem.typeToString(identifier.typeAnnotation)}», получено «${this.typeSystem.inferType(value)}»`);
+            }
+        }
+    }
+
+    /**
+     * Проверка возвращаемого значения в строгом режиме (--strict)
+     */
+    checkReturnType(fn, value, didReturn) {
+        const returnType = fn.ast.returnType;
+
+        // Функция без вернуть с типом ничто: значение последнего выражения не считается результатом
+        if (!didReturn && returnType.type === 'SimpleType' && returnType.name === 'ничто') {
+            return;
+        }
+
+        if (!this.typeSystem.checkType(value, returnType)) {
+            throw new Error(`Ошибка типа: функция ${fn.name} должна вернуть «${this.typeSystem.typeToString(returnType)}», получено «${this.typeSystem.inferType(value)}»`);
+        }
     }
 
     /**
@@ -960,19 +1366,31 @@ export class Interpreter {
     /**
      * Деструктуризация массива
      */
-    async evaluateArrayDestructuring(pattern, value) {
-        // Извлекаем нативный массив из VladXObject
+    async evaluateArrayDestructuring(pattern, value, isConst = false) {
+        const restIndex = pattern.elements.findIndex(element => element && element.type === 'RestElement');
+
+        // Извлекаем нативный массив из VladXObject; прочие итерируемые читаются только на нужную длину
         let arrayValue;
         if (value && value.type === 'array' && value.value) {
             arrayValue = value.value;
         } else if (Array.isArray(value)) {
             arrayValue = value;
+        } else if (this.isIterable(value)) {
+            const limit = restIndex === -1 ? pattern.elements.length : Infinity;
+            arrayValue = await this.takeFromIterable(value, limit);
         } else {
             throw new Error('Деструктуризация массива требует массив в правой части');
         }
 
         for (let i = 0; i < pattern.elements.length; i++) {
             const element = pattern.elements[i];
+
+            if (element && element.type === 'RestElement') {
+                const rest = arrayValue.slice(i).map(item => item instanceof VladXObject ? item : VladXObject.fromJS(item));
+                await this.bindPatternTarget(element.argument, VladXObject.array(rest), isConst);
+                break;
+            }
+
             let elementValue = VladXObject.null();
 
             if (i < arrayValue.length) {
@@ -986,14 +1404,8 @@ export class Interpreter {
             }
 
             if (element) {
-                if (element.type === 'Identifier') {
-                    this.currentEnv.define(element.name, elementValue);
-                } else if (element.type === 'AssignmentPattern') {
-                    // Обработка параметров с умолчанием
-                    this.currentEnv.define(element.left.name, elementValue);
-                }
+                await this.bindPatternTarget(element, elementValue, isConst);
             }
-            // TODO: Поддержка вложенной деструктуризации
         }
 
         return value;
@@ -1002,7 +1414,7 @@ export class Interpreter {
     /**
      * Деструктуризация объекта
      */
-    async evaluateObjectDestructuring(pattern, value) {
+    async evaluateObjectDestructuring(pattern, value, isConst = false) {
         // Извлекаем нативный объект из VladXObject
         let objectValue;
         if (value && value.type === 'object' && value.value) {
@@ -1021,8 +1433,7 @@ export class Interpreter {
                     // Вычисленное свойство
                     const key = await this.evaluateExpression(property.key);
                     const keyValue = key && key.value !== undefined ? key.value : key;
-                    const rawValue = objectValue[keyValue];
-                    propertyValue = rawValue !== undefined ? VladXObject.fromJS(rawValue) : VladXObject.null();
+                    propertyValue = this.destructuredValue(objectValue[keyValue]);
                 } else {
                     // Статическое свойство
                     let key;
@@ -1033,15 +1444,11 @@ export class Interpreter {
                     } else {
                         key = property.key;
                     }
-                    const rawValue = objectValue[key];
-                    propertyValue = rawValue !== undefined ? VladXObject.fromJS(rawValue) : VladXObject.null();
+                    propertyValue = this.destructuredValue(objectValue[key]);
                 }
 
-                if (property.value && property.value.type === 'Identifier') {
-                    this.currentEnv.define(property.value.name, propertyValue);
-                } else if (property.value && property.value.type === 'AssignmentPattern') {
-                    // Обработка параметров с умолчанием
-                    this.currentEnv.define(property.value.left.name, propertyValue);
+                if (property.value) {
+                    await this.bindPatternTarget(property.value, propertyValue, isConst);
                 }
             }
         }
@@ -1049,11 +1456,49 @@ export class Interpreter {
         return value;
     }
 
+    /**
+     * Значение свойства для привязки: VladXObject как есть, нативное — обёрнутым
+     */
+    destructuredValue(rawValue) {
+        if (rawValue === undefined) {
+            return VladXObject.null();
+        }
+        return rawValue instanceof VladXObject ? rawValue : VladXObject.fromJS(rawValue);
+    }
+
+    /**
+     * Привязка значения к цели деструктуризации (имя, значение по умолчанию или вложенный паттерн)
+     */
+    async bindPatternTarget(target, value, isConst = false) {
+        switch (target.type) {
+            case 'Identifier':
+                this.currentEnv.define(target.name, value, isConst);
+                break;
+
+            case 'AssignmentPattern': {
+                const isMissing = !value || value.type === 'null';
+                const actual = isMissing && target.right ? await this.evaluateExpression(target.right) : value;
+                await this.bindPatternTarget(target.left, actual, isConst);
+                break;
+            }
+
+            case 'ArrayPattern':
+                await this.evaluateArrayDestructuring(target, value, isConst);
+                break;
+
+            case 'ObjectPattern':
+                await this.evaluateObjectDestructuring(target, value, isConst);
+                break;
+
+            default:
+                throw new Error(`Недопустимая цель деструктуризации: ${target.type}`);
+        }
+    }
+
     /**
      * Обычное присваивание выражения
      */
     async evaluateAssignmentExpression(expr) {
-        const left = await this.evaluateExpression(expr.left);
         const right = await this.evaluateExpression(expr.right);
 
         // Обработка обычного присваивания
@@ -1064,12 +1509,8 @@ export class Interpreter {
             } else if (expr.left.type === 'MemberExpression') {
                 // Обработка присваивания свойству объекта
                 const object = await this.evaluateExpression(expr.left.object);
-                const property = expr.left.property.name;
-
-                if (object && typeof object === 'object' && object.value) {
-                    object.value[property] = right;
-                }
-                return right;
+                const key = await this.memberKey(expr.left);
+                return this.writeMember(object, key, right, expr.left.computed);
             }
         }
 
@@ -1080,25 +1521,71 @@ export class Interpreter {
      * Составное присваивание
      */
     async evaluateCompoundAssignmentExpression(expr) {
-        const left = await this.evaluateExpression(expr.left);
+        if (expr.operator === '??=') {
+            return this.evaluateNullishAssignment(expr);
+        }
+        if (expr.left.type === 'MemberExpression') {
+            // Объект и ключ вычисляются один раз; текущее значение читается после правой части
+            const object = await this.evaluateExpression(expr.left.object);
+            const key = await this.memberKey(expr.left);
+            const right = await this.evaluateExpression(expr.right);
+            const currentValue = await this.readMember(object, key, expr.left.computed);
+            return this.writeMember(object, key, this.compoundOperation(expr.operator, currentValue, right), expr.left.computed);
+        }
+
         const right = await this.evaluateExpression(expr.right);
+        const result = this.compoundOperation(expr.operator, this.currentEnv.get(expr.left.name), right);
+        this.currentEnv.assign(expr.left.name, result);
+        return result;
+    }
 
-        // Получаем текущее значение левой части
-        let currentValue;
-        if (expr.left.type === 'Identifier') {
-            currentValue = this.currentEnv.get(expr.left.name);
-        } else if (expr.left.type === 'MemberExpression') {
+    /**
+     * a ??= b: правая часть вычисляется и записывается, только если a — ничто
+     */
+    async evaluateNullishAssignment(expr) {
+        if (expr.left.type === 'MemberExpression') {
             const object = await this.evaluateExpression(expr.left.object);
-            const property = expr.left.property.name;
-            currentValue = object.value[property];
+            const key = await this.memberKey(expr.left);
+            const currentValue = await this.readMember(object, key, expr.left.computed);
+            if (!this.isNullish(currentValue)) {
+                return currentValue;
+            }
+            return this.writeMember(object, key, await this.evaluateExpression(expr.right), expr.left.computed);
         }
 
-        // Выполняем операцию в зависимости от оператора
-        let result;
-        const leftVal = currentValue && currentValue.value !== undefined ? currentValue.value : currentValue;
+        const currentValue = this.currentEnv.get(expr.left.name);
+        if (!this.isNullish(currentValue)) {
+            return currentValue;
+        }
+        const right = await this.evaluateExpression(expr.right);
+        this.currentEnv.assign(expr.left.name, right);
+        return right;
+    }
+
+    /**
+     * Ключ члена: имя для obj.имя, вычисленное значение для obj[выражение]
+     */
+    async memberKey(expr) {
+        if (!expr.computed && expr.property.type === 'Identifier') {
+            return expr.property.name;
+        }
+        const property = await this.evaluateExpression(expr.property);
+        return property && property.value !== undefined ? property.value : property;
+    }
+
+    /**
+     * Операция составного присваивания над текущим значением и правой частью
+     */
+    compoundOperation(operator, currentValue, right) {
+        let result;
+        const leftVal = currentValue && currentValue.value !== undefined ? currentValue.value : currentValue;
         const rightVal = right && right.value !== undefined ? right.value : right;
 
-        switch (expr.operator) {
+        if (isExact(leftVal) || isExact(rightVal)) {
+            return this.binaryOperation(operator.slice(0, -1), currentValue, right);
+        }
+
+        switch (operator) {
             case '+=':
                 if (typeof leftVal === 'string' || typeof rightVal === 'string') {
                     result = VladXObject.string(String(leftVal) + String(rightVal));
@@ -1120,16 +1607,7 @@ export class Interpreter {
                 result = VladXObject.number(leftVal % rightVal);
                 break;
             default:
-                throw new Error(`Неизвестный оператор составного присваивания: ${expr.operator}`);
-        }
-
-        // Присваиваем результат обратно
-        if (expr.left.type === 'Identifier') {
-            this.currentEnv.assign(expr.left.name, result);
-        } else if (expr.left.type === 'MemberExpression') {
-            const object = await this.evaluateExpression(expr.left.object);
-            const property = expr.left.property.name;
-            object.value[property] = result;
+                throw new Error(`Неизвестный оператор составного присваивания: ${operator}`);
         }
 
         return result;
@@ -1141,11 +1619,17 @@ export class Interpreter {
     async evaluateBitwiseExpression(expr) {
         const left = await this.evaluateExpression(expr.left);
         const right = await this.evaluateExpression(expr.right);
+        return this.bitwiseOperation(expr.operator, left, right);
+    }
 
+    /**
+     * Битовая операция над уже вычисленными операндами
+     */
+    bitwiseOperation(operator, left, right) {
         const lval = left && left.value !== undefined ? left.value : left;
         const rval = right && right.value !== undefined ? right.value : right;
 
-        switch (expr.operator) {
+        switch (operator) {
             case '<<':
                 return VladXObject.number(lval << rval);
             case '>>':
@@ -1157,7 +1641,7 @@ export class Interpreter {
             case '^':
                 return VladXObject.number(lval ^ rval);
             default:
-                throw new Error(`Неизвестный битовый оператор: ${expr.operator}`);
+                throw new Error(`Неизвестный битовый оператор: ${operator}`);
         }
     }
 
@@ -1170,20 +1654,28 @@ export class Interpreter {
         }
 
         let result = '';
+        const quasis = expr.quasis || [];
 
-        for (const quasi of expr.quasis || []) {
-            result += quasi.value || '';
-        }
+        // Текстовые части чередуются с интерполяциями: q0 ${e0} q1 ${e1} q2
+        for (let i = 0; i < quasis.length; i++) {
+            result += quasis[i].value || '';
 
-        for (const exp of expr.expressions || []) {
-            const value = await this.evaluateExpression(exp);
-            const val = value && value.value !== undefined ? value.value : value;
-            result += String(val);
+            if (i < expr.expressions.length) {
+                result += this.templatePart(await this.evaluateExpression(expr.expressions[i]));
+            }
         }
 
         return VladXObject.string(result);
     }
 
+    /**
+     * Строковое представление значения внутри шаблонной строки
+     */
+    templatePart(value) {
+        const val = value && value.value !== undefined ? value.value : value;
+        return val !== null && typeof val === 'object' ? value.toString() : String(val);
+    }
+
     /**
      * Await выражение
      */
@@ -1206,13 +1698,45 @@ export class Interpreter {
         return value;
     }
 
+    /**
+     * Yield выражение (только внутри функции-генератора)
+     */
+    async evaluateYieldExpression(expr) {
+        const generator = this.currentGenerator;
+        if (!generator) {
+            throw new Error('"выдать" можно использовать только внутри функции-генератора (функция*)');
+        }
+
+        if (expr.delegate) {
+            const source = await this.evaluateExpression(expr.argument);
+            for await (const item of this.iterate(source)) {
+                await generator.suspend(item);
+            }
+            return VladXObject.null();
+        }
+
+        const value = expr.argument ? await this.evaluateExpression(expr.argument) : VladXObject.null();
+        const sent = await generator.suspend(value);
+        return sent instanceof VladXObject ? sent : VladXObject.fromJS(sent);
+    }
+
     async evaluateMemberAssignment(expr) {
         const object = await this.evaluateExpression(expr.object);
         const value = await this.evaluateExpression(expr.value);
 
-        // Evaluate the property/index expression (for array access like arr[index])
-        const property = await this.evaluateExpression(expr.property);
-        const indexValue = property && property.value !== undefined ? property.value : property;
+        // Вычисляем индекс только для obj[выражение]; для obj.имя берём имя свойства
+        const indexValue = await this.memberKey(expr);
+
+        return this.writeMember(object, indexValue, value, expr.computed);
+    }
+
+    /**
+     * Запись свойства или элемента массива
+     */
+    setMember(object, indexValue, value, computed = false) {
+        if (!computed && typeof indexValue === 'string' && indexValue.startsWith('#')) {
+            return this.setPrivateMember(object, indexValue, value);
+        }
 
         // Handle array element assignment: array[index] = value
         if (object.type === 'array' && object.value && Array.isArray(object.value)) {
@@ -1227,19 +1751,23 @@ export class Interpreter {
             }
         }
         else if (object.type === 'instance' && object.value && typeof object.value === 'object') {
-            const propName = expr.property.name || String(indexValue);
+            const propName = String(indexValue);
             object.value[propName] = value;
         }
-        else if (object.type === 'class' && !expr.computed) {
-            const propName = expr.property.name;
-            object[propName] = value;
+        else if (object.type === 'class' && !computed) {
+            const propName = indexValue;
+            if (object.staticFields) {
+                object.staticFields[propName] = value;
+            } else {
+                object[propName] = value;
+            }
         }
         else if (object.type === 'object' && object.value && typeof object.value === 'object') {
-            const propName = expr.property.name || String(indexValue);
+            const propName = String(indexValue);
             object.value[propName] = value;
         }
         else if (object && typeof object === 'object' && !object.type) {
-            const propName = expr.property.name || String(indexValue);
+            const propName = String(indexValue);
             object[propName] = value;
         }
 
@@ -1251,15 +1779,54 @@ export class Interpreter {
      */
     async evaluateMemberExpression(expr) {
         const object = await this.evaluateExpression(expr.object);
+        if (object === SHORT_CIRCUIT || (expr.optional && this.isNullish(object))) {
+            return SHORT_CIRCUIT;
+        }
+        return this.evaluateMemberOf(object, expr);
+    }
 
+    /**
+     * Цепочка с ?.: прерванная цепочка даёт ничто
+     */
+    async evaluateChainExpression(expr) {
+        const value = await this.evaluateExpression(expr.expression);
+        return value === SHORT_CIRCUIT ? VladXObject.null() : value;
+    }
+
+    /**
+     * Значение ничто (или отсутствующее значение)
+     */
+    isNullish(value) {
+        return value === null || value === undefined || value.type === 'null';
+    }
+
+    /**
+     * Член уже вычисленного объекта по узлу MemberExpression
+     */
+    async evaluateMemberOf(object, expr) {
         if (!object) {
             return VladXObject.null();
         }
 
         if (expr.computed) {
-            // Вычисленный доступ: array[index] или obj[expression]
             const index = await this.evaluateExpression(expr.property);
-            const indexValue = index && index.value !== undefined ? index.value : index;
+            return this.getMember(object, index && index.value !== undefined ? index.value : index, true);
+        }
+
+        return this.readMember(object, expr.property.name, false);
+    }
+
+    /**
+     * Чтение свойства (obj.имя) или вычисленного элемента (obj[ключ]) уже вычисленного объекта
+     */
+    getMember(object, key, computed = false) {
+        if (!object) {
+            return VladXObject.null();
+        }
+
+        if (computed) {
+            // Вычисленный доступ: array[index] или obj[expression]
+            const indexValue = key;
 
             // Если это VladXObject массива
             if (object.type === 'array' && object.value && Array.isArray(object.value)) {
@@ -1280,16 +1847,44 @@ export class Interpreter {
                 return object[key] !== undefined ? object[key] : VladXObject.null();
             }
         } else {
-            const propName = expr.property.name;
+            const propName = key;
 
-            if (object.type === 'class' && object.staticMethods && object.staticMethods.has(propName)) {
-                const staticMethod = object.staticMethods.get(propName);
-                return staticMethod;
+            if (typeof propName === 'string' && propName.startsWith('#')) {
+                return this.getPrivateMember(object, propName);
             }
 
-            if (object.type === 'instance' && object.prototype && object.prototype.methods && object.prototype.methods.has(propName)) {
-                const method = object.prototype.methods.get(propName);
-                return method;
+            // Статические методы и поля наследуются по цепочке "расширяет"
+            if (object.type === 'class') {
+                for (let classObj = object; classObj; classObj = classObj.prototype) {
+                    if (classObj.staticMethods && classObj.staticMethods.has(propName)) {
+                        return classObj.staticMethods.get(propName);
+                    }
+                    if (classObj.staticFields && Object.prototype.hasOwnProperty.call(classObj.staticFields, propName)) {
+                        return classObj.staticFields[propName];
+                    }
+                }
+            }
+
+            if (object.type === 'enum') {
+                if (!object.value.members.has(propName)) {
+                    throw new Error(`В перечислении ${object.value.name} нет варианта ${propName}`);
+                }
+                return object.value.members.get(propName);
+            }
+
+            if (object.type === 'variant') {
+                return object.value.field(propName) ?? VladXObject.null();
+            }
+
+            if (object.type === 'regex' || object instanceof RegExp) {
+                return this.regexMember(object.type === 'regex' ? object.value : object, propName);
+            }
+
+            if (object.type === 'instance') {
+                const method = this.findMethod(object, propName);
+                if (method) {
+                    return method;
+                }
             }
 
             if (object.type === 'instance' && object.value && typeof object.value === 'object' && object.value[propName] !== undefined) {
@@ -1305,6 +1900,10 @@ export class Interpreter {
                 if (val && typeof val === 'object' && val.type !== undefined) {
                     return val;
                 }
+                // Методы нативных объектов (Карта, Множество и т.п.) вызываются с привязкой к объекту
+                if (typeof val === 'function') {
+                    return VladXObject.function(val.bind(object.value), propName);
+                }
                 return VladXObject.fromJS(val);
             }
 
@@ -1313,6 +1912,9 @@ export class Interpreter {
                 if (val && typeof val === 'object' && val.type !== undefined) {
                     return val;
                 }
+                if (typeof val === 'function' && !(object instanceof VladXObject)) {
+                    return VladXObject.function(val.bind(object), propName);
+                }
                 return VladXObject.fromJS(val);
             }
         }
@@ -1320,6 +1922,22 @@ export class Interpreter {
         return VladXObject.null();
     }
 
+    /**
+     * Свойство регулярного выражения: шаблон, флаги или метод модуля «регвыр»
+     */
+    regexMember(regexp, name) {
+        if (name === 'шаблон') {
+            return VladXObject.string(regexp.source);
+        }
+        if (name === 'флаги') {
+            return VladXObject.string(regexp.flags);
+        }
+        if (REGEX_METHODS.includes(name)) {
+            return VladXObject.function((...args) => this.regex[name](regexp, ...args), name);
+        }
+        return VladXObject.null();
+    }
+
     /**
      * Массив
      */
@@ -1334,15 +1952,7 @@ export class Interpreter {
                 }
 
                 if (el && el.type === 'SpreadElement') {
-                    const spreadValue = await this.evaluateExpression(el.argument);
-                    const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
-
-                    if (Array.isArray(spreadArray)) {
-                        elements.push(...spreadArray.map(v => VladXObject.fromJS(v)));
-                    } else {
-                        // Если это не массив, просто добавляем значение
-                        elements.push(VladXObject.fromJS(spreadValue));
-                    }
+                    elements.push(...await this.spreadElements(await this.evaluateExpression(el.argument)));
                 } else {
                     elements.push(await this.evaluateExpression(el));
                 }
@@ -1352,6 +1962,28 @@ export class Interpreter {
         return VladXObject.array(elements);
     }
 
+    /**
+     * Элементы из ...значение внутри литерала массива
+     */
+    async spreadElements(spreadValue) {
+        const spreadArray = spreadValue && spreadValue.value ? spreadValue.value : [];
+
+        if (Array.isArray(spreadArray)) {
+            return spreadArray.map(v => VladXObject.fromJS(v));
+        }
+
+        const elements = [];
+        if (this.isIterable(spreadValue)) {
+            for await (const item of this.iterate(spreadValue)) {
+                elements.push(item);
+            }
+        } else {
+            // Если это не массив, просто добавляем значение
+            elements.push(VladXObject.fromJS(spreadValue));
+        }
+        return elements;
+    }
+
     /**
      * Паттерн массива (для деструктуризации)
      */
@@ -1459,11 +2091,13 @@ export class Interpreter {
             value = await this.evaluateExpression(stmt.initializer);
         }
 
+        const isConst = stmt.kind === 'const';
+
         // Выполняем деструктуризацию в зависимости от типа паттерна
         if (stmt.pattern && stmt.pattern.type === 'ArrayPattern') {
-            await this.evaluateArrayDestructuring(stmt.pattern, value);
+            await this.evaluateArrayDestructuring(stmt.pattern, value, isConst);
         } else if (stmt.pattern && stmt.pattern.type === 'ObjectPattern') {
-            await this.evaluateObjectDestructuring(stmt.pattern, value);
+            await this.evaluateObjectDestructuring(stmt.pattern, value, isConst);
         } else {
             // This shouldn't happen if parser is correct, but just in case
             // If we get here, it means this was incorrectly processed as a pattern declaration
@@ -1533,7 +2167,7 @@ export class Interpreter {
     /**
      * While
      */
-    async evaluateWhileStatement(stmt) {
+    async evaluateWhileStatement(stmt, label = null) {
         let result = VladXObject.null();
         
         while (true) {
@@ -1545,14 +2179,19 @@ export class Interpreter {
             try {
                 result = await this.evaluateStatement(stmt.body);
             } catch (e) {
-                if (e.message === 'break') {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
                     break;
                 }
-                if (e.message === 'continue') {
+                if (signal === 'continue') {
                     continue;
                 }
                 throw e;
             }
+
+            if (this.isReturn) {
+                break;
+            }
         }
         
         return result;
@@ -1561,7 +2200,7 @@ export class Interpreter {
     /**
      * For
      */
-    async evaluateForStatement(stmt) {
+    async evaluateForStatement(stmt, label = null) {
         let result = VladXObject.null();
         
         // Инициализация
@@ -1580,15 +2219,18 @@ export class Interpreter {
             try {
                 result = await this.evaluateStatement(stmt.body);
             } catch (e) {
-                if (e.message === 'break') {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
                     break;
                 }
-                if (e.message === 'continue') {
-                    // Продолжаем цикл
-                } else {
+                if (signal !== 'continue') {
                     throw e;
                 }
             }
+
+            if (this.isReturn) {
+                break;
+            }
             
             // Обновление
             if (stmt.update && stmt.update.type !== 'EmptyStatement') {
@@ -1599,24 +2241,164 @@ export class Interpreter {
         return result;
     }
 
+    /**
+     * For-of: для (пусть x из коллекция)
+     */
+    async evaluateForOfStatement(stmt, label = null) {
+        const iterable = await this.evaluateExpression(stmt.right);
+        return this.runIterationLoop(stmt, this.iterate(iterable), label, '<for-of>');
+    }
+
+    /**
+     * For-in: для (пусть ключ в объект)
+     */
+    async evaluateForInStatement(stmt, label = null) {
+        const subject = await this.evaluateExpression(stmt.right);
+        return this.runIterationLoop(stmt, this.keysOf(subject), label, '<for-in>');
+    }
+
+    /**
+     * Общий цикл перебора для для-из / для-в
+     */
+    async runIterationLoop(stmt, items, label, scopeName) {
+        const previousEnv = this.currentEnv;
+        let result = VladXObject.null();
+
+        for await (const item of items) {
+            // Каждая итерация получает собственное окружение для переменной цикла
+            this.currentEnv = previousEnv.child(scopeName);
+
+            try {
+                await this.bindLoopTarget(stmt, item);
+                result = await this.evaluateStatement(stmt.body);
+            } catch (e) {
+                const signal = this.loopSignal(e, label);
+                if (signal === 'break') {
+                    break;
+                }
+                if (signal !== 'continue') {
+                    throw e;
+                }
+            } finally {
+                this.currentEnv = previousEnv;
+            }
+
+            if (this.isReturn) {
+                break;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Привязка переменной (или образца) заголовка цикла к текущему элементу
+     */
+    async bindLoopTarget(stmt, item) {
+        if (stmt.kind) {
+            await this.bindPatternTarget(stmt.left, item, stmt.kind === 'const');
+        } else if (stmt.left.type === 'Identifier') {
+            this.currentEnv.assign(stmt.left.name, item);
+        } else {
+            throw new Error('Деструктуризация в заголовке цикла требует пусть или конст');
+        }
+    }
+
+    /**
+     * Ключи значения для цикла для-в: индексы массива и строки, поля объекта, ключи Карты, элементы Множества
+     */
+    keysOf(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (subject.type === 'array' || subject.type === 'string') {
+            return Array.from({ length: raw.length }, (_, index) => VladXObject.number(index));
+        }
+
+        if ((subject.type === 'object' || subject.type === 'instance') && raw && typeof raw === 'object') {
+            if (!this.isPlainObject(raw) && typeof raw.keys === 'function') {
+                return Array.from(raw.keys(), key => key instanceof VladXObject ? key : VladXObject.fromJS(key));
+            }
+            return Object.keys(raw).map(key => VladXObject.string(key));
+        }
+
+        throw new Error(`Значение типа '${subject.type}' не поддерживает перебор ключей`);
+    }
+
+    /**
+     * Обычный объект-словарь (в отличие от Карты, Множества и других нативных объектов)
+     */
+    isPlainObject(raw) {
+        const proto = Object.getPrototypeOf(raw);
+        return proto === Object.prototype || proto === null;
+    }
+
+    /**
+     * Помеченная инструкция: метка передаётся циклу, прервать метка выходит из блока
+     */
+    async evaluateLabeledStatement(stmt) {
+        const body = stmt.body;
+
+        switch (body.type) {
+            case 'WhileStatement':
+                return await this.evaluateWhileStatement(body, stmt.label);
+            case 'ForStatement':
+                return await this.evaluateForStatement(body, stmt.label);
+            case 'ForOfStatement':
+                return await this.evaluateForOfStatement(body, stmt.label);
+            case 'ForInStatement':
+                return await this.evaluateForInStatement(body, stmt.label);
+        }
+
+        try {
+            return await this.evaluateStatement(body);
+        } catch (e) {
+            if (e.message === 'break' && e.label === stmt.label) {
+                return VladXObject.null();
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Разбор сигнала прервать/продолжить для цикла с меткой label.
+     * Возвращает 'break', 'continue' или null, если сигнал адресован не этому циклу
+     */
+    loopSignal(error, label = null) {
+        if (error.message !== 'break' && error.message !== 'continue') {
+            return null;
+        }
+        if (error.label && error.label !== label) {
+            return null;
+        }
+        return error.message;
+    }
+
     /**
      * Break
      */
     evaluateBreakStatement(stmt) {
-        throw new Error('break');
+        const signal = new Error('break');
+        signal.label = stmt.label || null;
+        throw signal;
     }
 
     /**
      * Continue
      */
     evaluateContinueStatement(stmt) {
-        throw new Error('continue');
+        const signal = new Error('continue');
+        signal.label = stmt.label || null;
+        throw signal;
     }
 
     /**
      * Объявление функции
      */
     evaluateFunctionDeclaration(stmt) {
+        // Имя функционального выражения видно только в его собственном теле
+        const env = stmt.isExpression && stmt.name ? this.currentEnv.child(`<function ${stmt.name}>`) : this.currentEnv;
+
         // Создаём легковесное замыкание без клонирования всего окружения
         // Это предотвращает утечки памяти через циклические ссылки
         const closure = VladXObject.closure({
@@ -1624,9 +2406,15 @@ export class Interpreter {
             name: stmt.name,
             params: stmt.params,
             body: stmt.body,
-            isAsync: stmt.isAsync
-        }, this.currentEnv, stmt.name || '<anonymous>');
+            isAsync: stmt.isAsync,
+            isGenerator: stmt.isGenerator,
+            returnType: stmt.returnType
+        }, env, stmt.name || '<anonymous>');
 
+        if (stmt.isExpression) {
+            if (stmt.name) env.define(stmt.name, closure);
+            return closure;
+        }
         this.currentEnv.define(stmt.name, closure);
         return VladXObject.null();
     }
@@ -1640,10 +2428,20 @@ export class Interpreter {
             type: 'ArrowFunctionExpression',
             params: expr.params,
             body: Array.isArray(expr.body) ? expr.body : [{ type: 'ReturnStatement', argument: expr.body }],
-            isAsync: expr.isAsync
+            isAsync: expr.isAsync,
+            returnType: expr.returnType
         }, this.currentEnv, '<arrow>');
     }
 
+    /**
+     * Перечисление: имя объявляется константой
+     */
+    evaluateEnumDeclaration(stmt) {
+        const enumObj = VladXObject.enum(stmt.name, stmt.variants);
+        this.currentEnv.define(stmt.name, enumObj, true);
+        return enumObj;
+    }
+
     /**
      * Класс
      */
@@ -1659,29 +2457,230 @@ export class Interpreter {
             }
         }
 
-        if (stmt.methods) {
-            for (const method of stmt.methods) {
-                const methodClosure = VladXObject.closure({
-                    type: 'FunctionDeclaration',
-                    name: method.name,
-                    params: method.params,
-                    body: method.body,
-                    isAsync: method.isAsync
-                }, this.currentEnv, method.name);
+        const classObj = VladXObject.class(stmt.name, methods, staticMethods, superClass);
+        // Окружение тела класса: по нему методы находят свои #имена
+        const classEnv = this.currentEnv.child(`<класс ${stmt.name}>`);
+        classEnv.privateScope = classObj;
+
+        for (const member of stmt.fields || []) {
+            if (member.type === 'ClassField' && member.name.startsWith('#')) {
+                classObj.privateNames.add(member.name);
+            }
+        }
+
+        for (const method of stmt.methods || []) {
+            const methodClosure = VladXObject.closure({
+                type: 'FunctionDeclaration',
+                name: method.name,
+                params: method.params,
+                body: method.body,
+                isAsync: method.isAsync,
+                isGenerator: method.isGenerator,
+                returnType: method.returnType
+            }, classEnv, method.name);
+
+            if (method.name.startsWith('#')) {
+                classObj.privateNames.add(method.name);
+                (method.isStatic ? classObj.privateStaticMethods : classObj.privateMethods).set(method.name, methodClosure);
+            } else if (method.isGetter) {
+                (method.isStatic ? classObj.staticGetters : classObj.getters).set(method.name, methodClosure);
+            } else if (method.isSetter) {
+                (method.isStatic ? classObj.staticSetters : classObj.setters).set(method.name, methodClosure);
+            } else if (method.isStatic) {
+                staticMethods.set(method.name, methodClosure);
+            } else {
+                methods.set(method.name, methodClosure);
+            }
+        }
 
-                if (method.isStatic) {
-                    staticMethods.set(method.name, methodClosure);
+        classObj.fields = (stmt.fields || []).filter(member => member.type === 'ClassField' && !member.isStatic);
+        classObj.initEnv = classEnv;
+        this.currentEnv.define(stmt.name, classObj);
+
+        // Статические поля и блоки выполняются по порядку, "это" — сам класс
+        for (const member of stmt.fields || []) {
+            if (member.type === 'ClassStaticBlock') {
+                await this.runInClassScope(classObj, classObj, '<статический блок>', async () => {
+                    for (const statement of member.body.body) {
+                        await this.evaluateStatement(statement);
+                    }
+                });
+            } else if (member.isStatic) {
+                const value = await this.evaluateFieldInitializer(classObj, classObj, member);
+                if (member.name.startsWith('#')) {
+                    classObj.privateStatics.set(member.name, value);
                 } else {
-                    methods.set(method.name, methodClosure);
+                    classObj.staticFields[member.name] = value;
                 }
             }
         }
 
-        const classObj = VladXObject.class(stmt.name, methods, staticMethods, superClass);
-        this.currentEnv.define(stmt.name, classObj);
         return VladXObject.null();
     }
 
+    /**
+     * Выполнить fn в окружении тела класса с заданным "это"
+     */
+    async runInClassScope(classObj, subject, name, fn) {
+        const previousEnv = this.currentEnv;
+        const previousInstance = this.currentInstance;
+        this.currentEnv = classObj.initEnv.child(name);
+        this.currentInstance = subject;
+        try {
+            return await fn();
+        } finally {
+            this.currentEnv = previousEnv;
+            this.currentInstance = previousInstance;
+        }
+    }
+
+    /**
+     * Значение инициализатора поля (без инициализатора — ничто)
+     */
+    async evaluateFieldInitializer(classObj, subject, field) {
+        if (!field.value) {
+            return VladXObject.null();
+        }
+        return this.runInClassScope(classObj, subject, `<поле ${field.name}>`, () => this.evaluateExpression(field.value));
+    }
+
+    /**
+     * Поля экземпляра по цепочке классов, начиная с базового
+     */
+    async initializeFields(instance, classObj) {
+        if (classObj.prototype) {
+            await this.initializeFields(instance, classObj.prototype);
+        }
+
+        const privateFields = new Map();
+        instance.privateFields.set(classObj, privateFields);
+        for (const field of classObj.fields || []) {
+            const value = await this.evaluateFieldInitializer(classObj, instance, field);
+            if (field.name.startsWith('#')) {
+                privateFields.set(field.name, value);
+            } else {
+                instance.value[field.name] = value;
+            }
+        }
+    }
+
+    /**
+     * Есть ли в цепочке классов поля или приватные методы экземпляра
+     */
+    hasInstanceInitializers(classObj) {
+        for (let current = classObj; current; current = current.prototype) {
+            if ((current.fields && current.fields.length > 0) || (current.privateMethods && current.privateMethods.size > 0)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Класс, в теле которого объявлено приватное имя (ближайший по окружениям)
+     */
+    resolvePrivateClass(name) {
+        for (let env = this.currentEnv; env; env = env.parent) {
+            if (env.privateScope && env.privateScope.privateNames.has(name)) {
+                return env.privateScope;
+            }
+        }
+        throw new Error(`Приватное имя ${name} недоступно вне тела класса`);
+    }
+
+    /**
+     * Хранилище приватных членов объекта для класса-владельца или ошибка
+     */
+    privateSlots(object, owner, name) {
+        const slots = object === owner
+            ? owner.privateStatics
+            : object && object.privateFields ? object.privateFields.get(owner) : null;
+        if (!slots) {
+            throw new Error(`Нельзя обратиться к ${name}: объект не создан классом ${owner.name}`);
+        }
+        return slots;
+    }
+
+    /**
+     * Чтение приватного поля или метода #имя
+     */
+    getPrivateMember(object, name) {
+        const owner = this.resolvePrivateClass(name);
+        const slots = this.privateSlots(object, owner, name);
+        const methods = object === owner ? owner.privateStaticMethods : owner.privateMethods;
+        if (methods.has(name)) {
+            return methods.get(name);
+        }
+        if (!slots.has(name)) {
+            throw new Error(`${object === owner ? 'Класс' : 'Экземпляр'} ${owner.name} не содержит ${name}`);
+        }
+        return slots.get(name);
+    }
+
+    /**
+     * Запись приватного поля #имя; приватные методы не перезаписываются
+     */
+    setPrivateMember(object, name, value) {
+        const owner = this.resolvePrivateClass(name);
+        const slots = this.privateSlots(object, owner, name);
+        if (owner.privateMethods.has(name) || owner.privateStaticMethods.has(name)) {
+            throw new Error(`Приватный метод ${name} нельзя перезаписать`);
+        }
+        if (!slots.has(name)) {
+            throw new Error(`${object === owner ? 'Класс' : 'Экземпляр'} ${owner.name} не содержит ${name}`);
+        }
+        slots.set(name, value);
+        return value;
+    }
+
+    /**
+     * Аксессор (get или set) по цепочке классов экземпляра или класса
+     */
+    findAccessor(object, name, kind) {
+        if (!object || (object.type !== 'instance' && object.type !== 'class')) {
+            return null;
+        }
+        const isStatic = object.type === 'class';
+        const key = kind === 'get' ? (isStatic ? 'staticGetters' : 'getters') : (isStatic ? 'staticSetters' : 'setters');
+
+        for (let classObj = isStatic ? object : object.prototype; classObj; classObj = classObj.prototype) {
+            if (classObj[key] && classObj[key].has(name)) {
+                return classObj[key].get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Чтение свойства с вызовом геттера
+     */
+    async readMember(object, key, computed = false) {
+        if (!computed) {
+            const getter = this.findAccessor(object, key, 'get');
+            if (getter) {
+                return this.callValue(getter, [], object);
+            }
+        }
+        return this.getMember(object, key, computed);
+    }
+
+    /**
+     * Запись свойства с вызовом сеттера; результат — присвоенное значение
+     */
+    async writeMember(object, key, value, computed = false) {
+        if (!computed) {
+            const setter = this.findAccessor(object, key, 'set');
+            if (setter) {
+                await this.callValue(setter, [value], object);
+                return value;
+            }
+            if (this.findAccessor(object, key, 'get')) {
+                throw new Error(`Свойство ${key} доступно только для чтения`);
+            }
+        }
+        return this.setMember(object, key, value, computed);
+    }
+
     /**
      * Try-catch-finally
      */
@@ -1701,8 +2700,11 @@ export class Interpreter {
             error = e;
         }
         
+        // Закрытие генератора не ловится, но наконец выполняется
+        const closing = error instanceof GeneratorClosed;
+
         // Catch
-        if (stmt.handler && error) {
+        if (stmt.handler && error && !closing) {
             const catchEnv = this.currentEnv.child('<catch>');
             if (stmt.handler.param) {
                 catchEnv.define(stmt.handler.param, VladXObject.string(error.toString ? error.toString() : String(error)));
@@ -1728,7 +2730,10 @@ export class Interpreter {
                 if (this.isReturn) break;
             }
         }
-        
+
+        if (closing) {
+            throw error;
+        }
         return result;
     }
 
@@ -1866,7 +2871,7 @@ export class Interpreter {
                         }
                     } catch (e) {
                         // If it's a break statement, exit entire switch
-                        if (e.message === 'break') {
+                        if (e.message === 'break' && !e.label) {
                             return result; // Exit entire switch
                         } else {
                             // Re-throw other errors
@@ -1889,7 +2894,7 @@ export class Interpreter {
                     }
                 } catch (e) {
                     // If it's a break statement, exit entire switch
-                    if (e.message === 'break') {
+                    if (e.message === 'break' && !e.label) {
                         return result; // Exit entire switch
                     } else {
                         // Re-throw other errors
@@ -1907,31 +2912,34 @@ export class Interpreter {
      */
     async evaluateMatchExpression(expr) {
         const value = await this.evaluateExpression(expr.value);
-        const valueValue = value && value.value !== undefined ? value.value : value;
 
         for (const arm of expr.arms) {
-            const pattern = arm.pattern;
-            const guard = arm.guard;
-            const resultExpr = arm.result;
-
-            // Evaluate guard if exists
-            if (guard) {
-                const guardResult = await this.evaluateExpression(guard);
-                const guardValue = guardResult && guardResult.value !== undefined ? guardResult.value : guardResult;
+            const bindings = new Map();
+            if (!this.matchPattern(arm.pattern, value, bindings)) {
+                continue;
+            }
 
-                if (!guardValue) {
-                    continue;
-                }
+            // Привязки образца видны только в условии и результате своей ветви
+            const armEnv = this.currentEnv.child('<match>');
+            for (const [name, boundValue] of bindings) {
+                armEnv.define(name, boundValue);
             }
 
-            // Match pattern
-            if (this.matchPattern(pattern, valueValue)) {
-                // Bind variables from pattern
-                if (pattern.type === 'Identifier') {
-                    this.currentEnv.define(pattern.name, value);
+            const previousEnv = this.currentEnv;
+            this.currentEnv = armEnv;
+            try {
+                if (arm.guard) {
+                    const guardResult = await this.evaluateExpression(arm.guard);
+                    const guardValue = guardResult && guardResult.value !== undefined ? guardResult.value : guardResult;
+
+                    if (!guardValue) {
+                        continue;
+                    }
                 }
 
-                return await this.evaluateExpression(resultExpr);
+                return await this.evaluateExpression(arm.result);
+            } finally {
+                this.currentEnv = previousEnv;
             }
         }
 
@@ -1940,49 +2948,113 @@ export class Interpreter {
             return await this.evaluateExpression(expr.default);
         }
 
-        throw new Error('Нет совпадения в match');
+        const location = expr.line ? `[${expr.filename || this.currentFilename}:${expr.line}:${expr.column}] ` : '';
+        throw new Error(`${location}Нет совпадения в сопоставить для значения ${value}`);
     }
 
     /**
      * Match pattern
+     * Привязки собираются в bindings и не попадают в текущее окружение
      */
-    matchPattern(pattern, value) {
+    matchPattern(pattern, value, bindings = new Map()) {
         if (!pattern) return false;
 
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
         switch (pattern.type) {
             case 'Identifier':
                 // Wildcard match
                 if (pattern.name === '_') return true;
                 // Variable bind
-                this.currentEnv.define(pattern.name, VladXObject.fromJS(value));
+                bindings.set(pattern.name, subject);
                 return true;
 
             case 'Literal':
-                return pattern.value === value;
+                if (pattern.value instanceof Decimal && raw instanceof Decimal) {
+                    return pattern.value.compare(raw) === 0;
+                }
+                return pattern.value === raw;
+
+            case 'RangePattern':
+                if (typeof raw !== typeof pattern.start.value) return false;
+                return raw >= pattern.start.value && raw <= pattern.end.value;
+
+            case 'VariantPattern': {
+                if (subject.type !== 'variant') return false;
+                if (raw.name !== pattern.variant) return false;
+                if (pattern.enumName !== null && raw.owner.name !== pattern.enumName) return false;
+                // Без скобок поля не проверяются
+                if (!pattern.args) return true;
+                if (pattern.args.length !== raw.values.length) return false;
+                return pattern.args.every((arg, index) => this.matchPattern(arg, raw.values[index], bindings));
+            }
+
+            case 'TypePattern':
+                if (subject.type !== pattern.typeName) return false;
+                if (pattern.binding) {
+                    bindings.set(pattern.binding.name, subject);
+                }
+                return true;
 
-            case 'ArrayPattern':
-                if (!Array.isArray(value)) return false;
-                if (pattern.elements.length !== value.length) return false;
+            case 'ArrayPattern': {
+                if (subject.type !== 'array' || !Array.isArray(raw)) return false;
+
+                const restIndex = pattern.elements.findIndex(el => el && el.type === 'RestElement');
+                const fixedCount = restIndex === -1 ? pattern.elements.length : restIndex;
+
+                if (restIndex === -1 ? raw.length !== fixedCount : raw.length < fixedCount) {
+                    return false;
+                }
 
-                for (let i = 0; i < pattern.elements.length; i++) {
-                    if (!this.matchPattern(pattern.elements[i], value[i])) {
+                for (let i = 0; i < fixedCount; i++) {
+                    if (pattern.elements[i] && !this.matchPattern(pattern.elements[i], raw[i], bindings)) {
                         return false;
                     }
                 }
+
+                if (restIndex !== -1) {
+                    const restName = pattern.elements[restIndex].argument.name;
+                    if (restName !== '_') {
+                        bindings.set(restName, VladXObject.array(raw.slice(fixedCount)));
+                    }
+                }
                 return true;
+            }
 
-            case 'ObjectPattern':
-                if (typeof value !== 'object' || value === null) return false;
+            case 'ObjectPattern': {
+                if (subject.type !== 'object' && subject.type !== 'instance') return false;
+                if (!raw || typeof raw !== 'object') return false;
+
+                const matchedKeys = new Set();
+                let rest = null;
 
                 for (const prop of pattern.properties) {
-                    const key = prop.key?.value || prop.key?.name;
-                    if (!(key in value)) return false;
+                    if (prop.type === 'RestElement') {
+                        rest = prop;
+                        continue;
+                    }
 
-                    if (!this.matchPattern(prop.value, value[key])) {
+                    const key = prop.key?.name ?? prop.key?.value;
+                    if (!Object.prototype.hasOwnProperty.call(raw, key)) return false;
+
+                    matchedKeys.add(key);
+                    if (!this.matchPattern(prop.value, raw[key], bindings)) {
                         return false;
                     }
                 }
+
+                if (rest && rest.argument.name !== '_') {
+                    const remaining = {};
+                    for (const key of Object.keys(raw)) {
+                        if (!matchedKeys.has(key)) {
+                            remaining[key] = raw[key];
+                        }
+                    }
+                    bindings.set(rest.argument.name, VladXObject.object(remaining));
+                }
                 return true;
+            }
 
             default:
                 return false;
@@ -1990,6 +3062,219 @@ export class Interpreter {
     }
 
 
+    // ========== Протокол итерации ==========
+
+    /**
+     * Снимок состояния выполнения (для переключения между генератором и вызывающим кодом)
+     */
+    saveState() {
+        return {
+            env: this.currentEnv,
+            instance: this.currentInstance,
+            fn: this.currentFunction,
+            generator: this.currentGenerator,
+            isReturn: this.isReturn,
+            returnValue: this.returnValue,
+            callStack: this.callStack
+        };
+    }
+
+    /**
+     * Восстановление состояния выполнения
+     */
+    restoreState(state) {
+        this.currentEnv = state.env;
+        this.currentInstance = state.instance;
+        this.currentFunction = state.fn;
+        this.currentGenerator = state.generator;
+        this.isReturn = state.isReturn;
+        this.returnValue = state.returnValue;
+        this.callStack = state.callStack;
+    }
+
+    /**
+     * Поиск метода у экземпляра (по цепочке классов), объекта или генератора
+     */
+    findMethod(subject, name) {
+        if (!(subject instanceof VladXObject)) {
+            return null;
+        }
+
+        if (subject.type === 'instance') {
+            let classObj = subject.prototype;
+            while (classObj) {
+                if (classObj.methods && classObj.methods.has(name)) {
+                    return classObj.methods.get(name);
+                }
+                classObj = classObj.prototype;
+            }
+            return null;
+        }
+
+        if ((subject.type === 'object' || subject.type === 'generator') && subject.value) {
+            const method = subject.value[name];
+            if (method && (method.type === 'closure' || method.type === 'function')) {
+                return method;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Поддерживает ли значение протокол итерации
+     */
+    isIterable(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (['generator', 'array', 'string'].includes(subject.type)) {
+            return true;
+        }
+        if (this.findMethod(subject, 'итератор')) {
+            return true;
+        }
+        if (subject.type === 'object' && raw && this.isPlainObject(raw)) {
+            return true;
+        }
+        return !!raw && typeof raw === 'object' &&
+            (typeof raw[Symbol.iterator] === 'function' || typeof raw[Symbol.asyncIterator] === 'function');
+    }
+
+    /**
+     * Ленивый обход значения по протоколу итерации
+     * Генераторы, массивы, строки, объекты с методом итератор(), обычные объекты (пары [ключ, значение])
+     * и нативные итерируемые (Карта, Множество)
+     */
+    async *iterate(value) {
+        const subject = value instanceof VladXObject ? value : VladXObject.fromJS(value);
+        const raw = subject.value;
+
+        if (subject.type === 'generator') {
+            let finished = false;
+            try {
+                while (true) {
+                    const step = await raw.next();
+                    if (step.done) {
+                        finished = true;
+                        return;
+                    }
+                    yield step.value;
+                }
+            } finally {
+                // Досрочный выход из цикла закрывает генератор
+                if (!finished) {
+                    await raw.close();
+                }
+            }
+        }
+
+        if (subject.type === 'array') {
+            for (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        if (subject.type === 'string') {
+            for (const char of raw) {
+                yield VladXObject.string(char);
+            }
+            return;
+        }
+
+        const iteratorMethod = this.findMethod(subject, 'итератор');
+        if (iteratorMethod) {
+            const iterator = await this.callFunctionValue(iteratorMethod, [], subject.type === 'instance' ? subject : null);
+            const nextMethod = this.findMethod(iterator, 'следующий');
+            if (!nextMethod) {
+                throw new Error('Итератор должен иметь метод следующий()');
+            }
+
+            while (true) {
+                const step = await this.callFunctionValue(nextMethod, [], iterator.type === 'instance' ? iterator : null);
+                const done = this.readField(step, 'готово');
+                if (done && (done.value ?? done)) {
+                    return;
+                }
+                yield this.readField(step, 'значение') || VladXObject.null();
+            }
+        }
+
+        if (subject.type === 'object' && raw && this.isPlainObject(raw)) {
+            // Обычный объект перебирается парами [ключ, значение], как Карта
+            for (const [key, item] of Object.entries(raw)) {
+                yield VladXObject.array([VladXObject.string(key), item instanceof VladXObject ? item : VladXObject.fromJS(item)]);
+            }
+            return;
+        }
+
+        if (raw && typeof raw === 'object' && typeof raw[Symbol.asyncIterator] === 'function') {
+            for await (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        if (raw && typeof raw === 'object' && typeof raw[Symbol.iterator] === 'function') {
+            for (const item of raw) {
+                yield item instanceof VladXObject ? item : VladXObject.fromJS(item);
+            }
+            return;
+        }
+
+        throw new Error(`Значение типа '${subject.type}' не является итерируемым`);
+    }
+
+    /**
+     * Прочитать не более limit элементов итерируемого значения
+     */
+    async takeFromIterable(value, limit = Infinity) {
+        const items = [];
+        if (limit <= 0) {
+            return items;
+        }
+
+        for await (const item of this.iterate(value)) {
+            items.push(item);
+            if (items.length >= limit) {
+                break;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * Вызов значения-функции (замыкания или встроенной) из самого интерпретатора
+     */
+    async callFunctionValue(fn, args = [], instance = null) {
+        if (fn && fn.isNative) {
+            const result = await fn.value(...args.map(arg => arg instanceof VladXObject ? arg.value : arg));
+            return result instanceof VladXObject ? result : VladXObject.fromJS(result);
+        }
+
+        const previousInstance = this.currentInstance;
+        this.currentInstance = instance;
+        try {
+            const result = await this.executeFunction(fn, args);
+            return result instanceof VladXObject ? result : VladXObject.fromJS(result);
+        } finally {
+            this.currentInstance = previousInstance;
+        }
+    }
+
+    /**
+     * Чтение поля объекта или экземпляра как VladXObject
+     */
+    readField(subject, key) {
+        const raw = subject instanceof VladXObject ? subject.value : subject;
+        if (!raw || typeof raw !== 'object' || raw[key] === undefined) {
+            return null;
+        }
+        const field = raw[key];
+        return field instanceof VladXObject ? field : VladXObject.fromJS(field);
+    }
+
     /**
      * Вычисление выражения (обёртка)
      */
@@ -3,15 +3,178 @@
  * Преобразует исходный код в поток токенов
  */
 
+import { Decimal } from '../runtime/decimal.js';
+import { compileRegex } from '../runtime/regex.js';
+
+/**
+ * Ключевые слова и типы их токенов (русские и английские варианты)
+ */
+export const KEYWORDS = {
+    'let': 'LET',
+    'пусть': 'LET',
+    'const': 'CONST',
+    'конст': 'CONST',
+    'константа': 'CONST',
+    'if': 'IF',
+    'если': 'IF',
+    'else': 'ELSE',
+    'иначе': 'ELSE',
+    'elseif': 'ELSEIF',
+    'иначеесли': 'ELSEIF',
+    'илиесли': 'ИЛИЕСЛИ',
+    'while': 'WHILE',
+    'пока': 'WHILE',
+    'for': 'FOR',
+    'для': 'FOR',
+    'function': 'FUNCTION',
+    'функция': 'FUNCTION',
+    'return': 'RETURN',
+    'вернуть': 'RETURN',
+    'class': 'CLASS',
+    'класс': 'CLASS',
+    'this': 'THIS',
+    'это': 'THIS',
+    'super': 'SUPER',
+    'супер': 'SUPER',
+    'new': 'NEW',
+    'новый': 'NEW',
+    'extends': 'EXTENDS',
+    'расширяет': 'EXTENDS',
+    'try': 'TRY',
+    'попытка': 'TRY',
+    'catch': 'CATCH',
+    'перехват': 'CATCH',
+    'исключение': 'CATCH',
+    'finally': 'FINALLY',
+    'наконец': 'FINALLY',
+    'throw': 'THROW',
+    'бросить': 'THROW',
+    'break': 'BREAK',
+    'прервать': 'BREAK',
+    'continue': 'CONTINUE',
+    'продолжить': 'CONTINUE',
+    'static': 'STATIC',
+    'СТАТИЧЕСКИЙ': 'STATIC',
+    'статический': 'STATIC',
+    'get': 'GET',
+    'set': 'SET',
+    'true': 'TRUE',
+    'истина': 'TRUE',
+    'false': 'FALSE',
+    'ложь': 'FALSE',
+    'null': 'NULL',
+    'ничто': 'NULL',
+    'nothing': 'NULL',
+    'import': 'IMPORT',
+    'импорт': 'IMPORT',
+    'export': 'EXPORT',
+    'экспорт': 'EXPORT',
+    'from': 'FROM',
+    'из': 'FROM',
+    'as': 'AS',
+    'как': 'AS',
+    'and': 'AND',
+    'и': 'AND',
+    'or': 'OR',
+    'или': 'OR',
+    'with': 'WITH',
+    'с': 'WITH',
+    'to': 'TO',
+    'до': 'TO',
+    'switch': 'SWITCH',
+    'выбор': 'SWITCH',
+    'case': 'CASE',
+    'когда': 'CASE',
+    'default': 'DEFAULT',
+    'поумолчанию': 'DEFAULT',
+    'async': 'ASYNC',
+    'асинх': 'ASYNC',
+    'await': 'AWAIT',
+    'ожидать': 'AWAIT',
+    'yield': 'YIELD',
+    'выдать': 'YIELD',
+    'сопоставить': 'MATCH',
+    'не': 'NOT',
+    'instanceof': 'INSTANCEOF',
+    'экземпляр': 'INSTANCEOF',
+    'enum': 'ENUM',
+    'перечисление': 'ENUM'
+};
+
+// Объявление приватного члена класса в начале строки: [статический] [асинх] #имя = | ( | :
+const PRIVATE_MEMBER_RE = /^\s*(?:(?:статический|static)\s+)?(?:(?:асинх|async)\s+)?#[\p{L}_$][\p{L}\p{N}_$]*\s*(?:[=(:;]|$)/u;
+
+/**
+ * Начинает ли # в позиции index строки приватное имя, а не комментарий:
+ * после точки или в объявлении члена класса. Для построчных инструментов
+ * (форматтер, минификатор), которые не строят токены
+ */
+export function isPrivateNameAt(line, index) {
+    if (!/[\p{L}_$]/u.test(line[index + 1] || '')) {
+        return false;
+    }
+    return line[index - 1] === '.' || (line.indexOf('#') === index && PRIVATE_MEMBER_RE.test(line));
+}
+
+// Токены, после которых / — деление, а не начало регулярного выражения
+const VALUE_END_TOKENS = new Set([
+    'IDENTIFIER', 'PRIVATE_NAME', 'INT', 'STRING', 'TEMPLATE_LITERAL', 'REGEX',
+    'TRUE', 'FALSE', 'NULL', 'THIS', 'SUPER', 'RPAREN', 'RBRACKET', 'RBRACE'
+]);
+
+/**
+ * Регулярное выражение /шаблон/флаги с / в позиции start:
+ * { pattern, flags, end } или null, если до конца строки нет закрывающей /
+ */
+export function scanRegexLiteral(text, start) {
+    let inClass = false;
+    for (let i = start + 1; i < text.length && text[i] !== '\n'; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            inClass = true;
+        } else if (char === ']') {
+            inClass = false;
+        } else if (char === '/' && !inClass) {
+            let end = i + 1;
+            while (end < text.length && /[a-z]/i.test(text[end])) end++;
+            return { pattern: text.slice(start + 1, i), flags: text.slice(i + 1, end), end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Начинает ли / в позиции index строки регулярное выражение: после
+ * оператора, скобки, запятой или ключевого слова, но не после значения.
+ * Для построчных инструментов, которые не строят токены
+ */
+export function isRegexStartAt(line, index) {
+    if (line[index] !== '/' || line[index + 1] === '/' || line[index + 1] === '*') {
+        return false;
+    }
+    const before = line.slice(0, index).trimEnd();
+    const word = /[\p{L}\p{N}_$]+$/u.exec(before);
+    if (word) {
+        const keyword = KEYWORDS[word[0]];
+        return Boolean(keyword) && !VALUE_END_TOKENS.has(keyword);
+    }
+    return !/[)\]}"'`]$/.test(before) && scanRegexLiteral(line, index) !== null;
+}
+
 export class Lexer {
     constructor(source, filename = '<anonymous>') {
         this.source = source;
         this.filename = filename;
         this.pos = 0;
         this.line = 1;
-        this.column = 0;
+        this.column = 1;
         this.tokens = [];
         this.currentChar = this.source[0] || null;
+        // Открытые фигурные скобки: true — тело класса (там #имя — приватное имя)
+        this.braces = [];
+        this.classPending = false;
     }
 
     /**
@@ -41,6 +204,13 @@ export class Lexer {
                     continue;
                 }
 
+                // Приватное имя #поле: в теле класса или сразу после точки
+                if (this.currentChar === '#' && this.peek() !== null && this.isAlpha(this.peek())
+                    && (this.braces.includes(true) || ['DOT', 'OPTIONAL_CHAIN'].includes(this.tokens[this.tokens.length - 1]?.type))) {
+                    this.tokens.push(this.readPrivateName());
+                    continue;
+                }
+
                 // Комментарии
                 if (this.currentChar === '#') {
                     this.skipComment();
@@ -51,6 +221,12 @@ export class Lexer {
                     continue;
                 }
 
+                // Регулярное выражение там, где ожидается значение, иначе / — деление
+                if (this.currentChar === '/' && !VALUE_END_TOKENS.has(this.tokens[this.tokens.length - 1]?.type)) {
+                    this.tokens.push(this.readRegex());
+                    continue;
+                }
+
                 // Строковые литералы
                 if (this.currentChar === '"' || this.currentChar === "'") {
                 const token = this.readStringLiteral();
@@ -61,6 +237,7 @@ export class Lexer {
             // Идентификаторы и ключевые слова
             if (this.isAlpha(this.currentChar) || this.currentChar === '_') {
                 const token = this.readIdentifier();
+                if (token.type === 'CLASS') this.classPending = true;
                 this.tokens.push(token);
                 continue;
             }
@@ -82,6 +259,12 @@ export class Lexer {
             // Операторы и символы
             const token = this.readOperator();
             if (token) {
+                if (token.type === 'LBRACE') {
+                    this.braces.push(this.classPending);
+                    this.classPending = false;
+                } else if (token.type === 'RBRACE') {
+                    this.braces.pop();
+                }
                 this.tokens.push(token);
                 continue;
             }
@@ -135,8 +318,6 @@ export class Lexer {
                 if (this.currentChar === '\n') {
                     this.line++;
                     this.column = 0;
-                } else {
-                    this.column++;
                 }
 
                 if (this.currentChar === '*' && this.peek() === '/') {
@@ -313,95 +494,10 @@ export class Lexer {
         this.advance();
     }
 
-    // Проверка на ключевые слова - маппинг русских слов к латинским типам токенов
-    const keywordToTokenType = {
-        'let': 'LET',
-        'пусть': 'LET',
-        'const': 'CONST',
-        'конст': 'CONST',
-        'константа': 'CONST',
-        'if': 'IF',
-        'если': 'IF',
-        'else': 'ELSE',
-        'иначе': 'ELSE',
-        'elseif': 'ELSEIF',
-        'иначеесли': 'ELSEIF',
-        'илиесли': 'ИЛИЕСЛИ',
-        'while': 'WHILE',
-        'пока': 'WHILE',
-        'for': 'FOR',
-        'для': 'FOR',
-        'function': 'FUNCTION',
-        'функция': 'FUNCTION',
-        'return': 'RETURN',
-        'вернуть': 'RETURN',
-        'class': 'CLASS',
-        'класс': 'CLASS',
-        'class': 'CLASS',
-        'this': 'THIS',
-        'это': 'THIS',
-        'super': 'SUPER',
-        'супер': 'SUPER',
-        'new': 'NEW',
-        'новый': 'NEW',
-        'extends': 'EXTENDS',
-        'расширяет': 'EXTENDS',
-        'try': 'TRY',
-        'попытка': 'TRY',
-        'catch': 'CATCH',
-        'перехват': 'CATCH',
-        'исключение': 'CATCH',
-        'finally': 'FINALLY',
-        'наконец': 'FINALLY',
-        'throw': 'THROW',
-        'бросить': 'THROW',
-        'break': 'BREAK',
-        'прервать': 'BREAK',
-        'continue': 'CONTINUE',
-        'продолжить': 'CONTINUE',
-        'static': 'STATIC',
-        'СТАТИЧЕСКИЙ': 'STATIC',
-        'статический': 'STATIC',
-        'get': 'GET',
-        'set': 'SET',
-        'true': 'TRUE',
-        'истина': 'TRUE',
-        'false': 'FALSE',
-        'ложь': 'FALSE',
-        'null': 'NULL',
-        'ничто': 'NULL',
-        'nothing': 'NULL',
-        'import': 'IMPORT',
-        'импорт': 'IMPORT',
-        'export': 'EXPORT',
-        'экспорт': 'EXPORT',
-        'from': 'FROM',
-        'из': 'FROM',
-        'as': 'AS',
-        'как': 'AS',
-        'and': 'AND',
-        'и': 'AND',
-        'or': 'OR',
-        'или': 'OR',
-        'with': 'WITH',
-        'с': 'WITH',
-        'to': 'TO',
-        'до': 'TO',
-        'switch': 'SWITCH',
-        'выбор': 'SWITCH',
-        'case': 'CASE',
-        'когда': 'CASE',
-        'default': 'DEFAULT',
-        'поумолчанию': 'DEFAULT',
-        'async': 'ASYNC',
-        'асинх': 'ASYNC',
-        'await': 'AWAIT',
-        'ожидать': 'AWAIT',
-        'не': 'NOT'
-    };
 
+    // Проверка на ключевые слова
     const lowerValue = value.toLowerCase();
-    const type = Object.prototype.hasOwnProperty.call(keywordToTokenType, lowerValue) ? keywordToTokenType[lowerValue] : 'IDENTIFIER';
+    const type = Object.prototype.hasOwnProperty.call(KEYWORDS, lowerValue) ? KEYWORDS[lowerValue] : 'IDENTIFIER';
 
     return {
         type: type,
@@ -412,30 +508,138 @@ export class Lexer {
     };
 }
     /**
-     * Чтение числа
+     * Чтение регулярного выражения /шаблон/флаги
+     */
+    readRegex() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        const literal = scanRegexLiteral(this.source, this.pos);
+        if (!literal) {
+            throw new Error(`[${this.filename}:${startLine}:${startColumn}] Незакрытое регулярное выражение`);
+        }
+        try {
+            compileRegex(literal.pattern, literal.flags);
+        } catch (error) {
+            throw new Error(`[${this.filename}:${startLine}:${startColumn}] ${error.message}`);
+        }
+
+        while (this.pos < literal.end) {
+            this.advance();
+        }
+
+        return {
+            type: 'REGEX',
+            value: { pattern: literal.pattern, flags: literal.flags },
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение приватного имени #имя (значение вместе с #)
+     */
+    readPrivateName() {
+        const startLine = this.line;
+        const startColumn = this.column;
+        let value = '#';
+        this.advance();
+
+        while (this.currentChar !== null && (this.isAlphaNumeric(this.currentChar) || this.currentChar === '_')) {
+            value += this.currentChar;
+            this.advance();
+        }
+
+        return {
+            type: 'PRIVATE_NAME',
+            value,
+            line: startLine,
+            column: startColumn,
+            filename: this.filename
+        };
+    }
+
+    /**
+     * Чтение числа: 42, 3.14, 1e-9, 1_000_000, 0xFF, 0b1010, 0o17;
+     * суффикс n — большое, m — десятичное
      */
     readNumber() {
-        let value = '';
         const startLine = this.line;
         const startColumn = this.column;
-        let hasDecimal = false;
+        const fail = (message) => new Error(`[${this.filename}:${startLine}:${startColumn}] ${message}`);
 
-        while (this.currentChar !== null) {
-            if (this.isDigit(this.currentChar)) {
-                value += this.currentChar;
+        let radix = 10;
+        let prefix = '';
+        if (this.currentChar === '0' && /[xXbBoO]/.test(this.peek() || '')) {
+            prefix = `0${this.peek().toLowerCase()}`;
+            radix = { '0x': 16, '0b': 2, '0o': 8 }[prefix];
+            this.advance();
+            this.advance();
+        }
+        const digitRe = { 16: /[0-9a-fA-F]/, 10: /[0-9]/, 8: /[0-7]/, 2: /[01]/ }[radix];
+
+        // Цифры с разделителями _ (только между цифрами)
+        const readDigits = () => {
+            let digits = '';
+            while (this.currentChar !== null && (digitRe.test(this.currentChar) || this.currentChar === '_')) {
+                if (this.currentChar === '_') {
+                    if (!digits || !digitRe.test(this.peek() || '')) {
+                        throw fail('Разделитель _ допустим только между цифрами');
+                    }
+                } else {
+                    digits += this.currentChar;
+                }
                 this.advance();
-            } else if (this.currentChar === '.' && !hasDecimal) {
-                hasDecimal = true;
-                value += this.currentChar;
+            }
+            return digits;
+        };
+
+        let text = readDigits();
+        if (prefix && !text) {
+            throw fail(`Ожидались цифры после ${prefix}`);
+        }
+
+        let isInteger = true;
+        if (radix === 10) {
+            if (this.currentChar === '.' && this.isDigit(this.peek() || '')) {
                 this.advance();
-            } else {
-                break;
+                text += `.${readDigits()}`;
+                isInteger = false;
+            }
+            const sign = this.peek() === '+' || this.peek() === '-';
+            if ((this.currentChar === 'e' || this.currentChar === 'E') && this.isDigit(this.peek(sign ? 2 : 1) || '')) {
+                this.advance();
+                text += 'e';
+                if (sign) {
+                    text += this.currentChar;
+                    this.advance();
+                }
+                text += readDigits();
+                isInteger = false;
             }
         }
 
+        let value;
+        if (this.currentChar === 'n') {
+            if (!isInteger) {
+                throw fail(`Большое число должно быть целым: ${text}n`);
+            }
+            this.advance();
+            value = BigInt(prefix + text);
+        } else if (this.currentChar === 'm' && radix === 10) {
+            this.advance();
+            value = Decimal.parse(text);
+        } else {
+            value = radix === 10 ? Number(text) : parseInt(text, radix);
+        }
+
+        if (this.currentChar !== null && this.isAlphaNumeric(this.currentChar)) {
+            throw fail(`Неверный числовой литерал: ${prefix}${text}${this.currentChar}`);
+        }
+
         return {
             type: 'INT',
-            value: hasDecimal ? parseFloat(value) : parseInt(value, 10),
+            value,
             line: startLine,
             column: startColumn,
             filename: this.filename
@@ -527,6 +731,21 @@ export class Lexer {
             this.advance();
             return { type: 'FATARROW', value: '=>', line: startLine, column: startColumn, filename: this.filename };
         }
+        if (char === '?' && this.peek() === '?') {
+            this.advance();
+            this.advance();
+            if (this.currentChar === '=') {
+                this.advance();
+                return { type: 'NULLISH_ASSIGN', value: '??=', line: startLine, column: startColumn, filename: this.filename };
+            }
+            return { type: 'NULLISH', value: '??', line: startLine, column: startColumn, filename: this.filename };
+        }
+        // ?. — необязательная цепочка; "x ?.5 : 1" остаётся тернарным оператором
+        if (char === '?' && this.peek() === '.' && !this.isDigit(this.peek(2) || '')) {
+            this.advance();
+            this.advance();
+            return { type: 'OPTIONAL_CHAIN', value: '?.', line: startLine, column: startColumn, filename: this.filename };
+        }
 
         // Импорт/экспорт модулей
         if (char === 'i' && this.peek() === 'm' && this.peek(1) === 'p' && this.peek(2) === 'o' && this.peek(3) === 'r' && this.peek(4) === 't') {
@@ -600,7 +819,10 @@ export class Lexer {
             '<': 'LT',
             '>': 'GT',
             '!': 'NOT',
-            '?': 'TERNARY'
+            '?': 'TERNARY',
+            // Объединение и пересечение в аннотациях типов
+            '|': 'PIPE',
+            '&': 'AMPERSAND'
         };
 
         if (singleChars[char]) {
@@ -19,7 +19,11 @@ export class RegexCache {
 
         if (this.cache.has(key)) {
             this.hitCount++;
-            return this.cache.get(key);
+            // Map хранит порядок вставки: недавно использованный — в конец
+            const regex = this.cache.get(key);
+            this.cache.delete(key);
+            this.cache.set(key, regex);
+            return regex;
         }
 
         this.missCount++;
@@ -46,20 +50,11 @@ export class RegexCache {
     }
 
     /**
-     * Evict самый старый regex
+     * Evict давно не использованный regex (первый в порядке Map)
      */
     evictOldest() {
-        let oldestKey = null;
-        let oldestTime = Infinity;
-
-        for (const [key, entry] of this.cache) {
-            if (entry.timestamp < oldestTime) {
-                oldestTime = entry.timestamp;
-                oldestKey = key;
-            }
-        }
-
-        if (oldestKey) {
+        const oldestKey = this.cache.keys().next().value;
+        if (oldestKey !== undefined) {
             this.cache.delete(oldestKey);
         }
     }
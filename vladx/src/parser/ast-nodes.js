@@ -31,18 +31,20 @@ export class EmptyStatement extends Node {
 }
 
 export class LetStatement extends Node {
-    constructor(name, initializer) {
+    constructor(name, initializer, typeAnnotation = null) {
         super('LetStatement');
         this.name = name;
         this.initializer = initializer;
+        this.typeAnnotation = typeAnnotation;
     }
 }
 
 export class ConstStatement extends Node {
-    constructor(name, initializer) {
+    constructor(name, initializer, typeAnnotation = null) {
         super('ConstStatement');
         this.name = name;
         this.initializer = initializer;
+        this.typeAnnotation = typeAnnotation;
     }
 }
 
@@ -88,33 +90,102 @@ export class ForStatement extends Node {
 }
 
 export class BreakStatement extends Node {
-    constructor() {
+    constructor(label = null) {
         super('BreakStatement');
+        this.label = label;
     }
 }
 
 export class ContinueStatement extends Node {
-    constructor() {
+    constructor(label = null) {
         super('ContinueStatement');
+        this.label = label;
+    }
+}
+
+export class LabeledStatement extends Node {
+    constructor(label, body) {
+        super('LabeledStatement');
+        this.label = label;
+        this.body = body;
+    }
+}
+
+export class ForOfStatement extends Node {
+    constructor(kind, left, right, body) {
+        super('ForOfStatement');
+        this.kind = kind;    // 'let', 'const' или null для существующей переменной
+        this.left = left;
+        this.right = right;
+        this.body = body;
+    }
+}
+
+export class ForInStatement extends Node {
+    constructor(kind, left, right, body) {
+        super('ForInStatement');
+        this.kind = kind;    // 'let', 'const' или null для существующей переменной
+        this.left = left;
+        this.right = right;
+        this.body = body;
     }
 }
 
 export class FunctionDeclaration extends Node {
-    constructor(name, params, body, isAsync = false) {
+    constructor(name, params, body, isAsync = false, isGenerator = false, returnType = null) {
         super('FunctionDeclaration');
         this.name = name;
         this.params = params;
         this.body = body;
         this.isAsync = isAsync;
+        this.isGenerator = isGenerator;
+        this.returnType = returnType;
     }
 }
 
 export class ClassDeclaration extends Node {
-    constructor(name, methods, superClass = null) {
+    constructor(name, methods, superClass = null, fields = []) {
         super('ClassDeclaration');
         this.name = name;
         this.methods = methods;
         this.superClass = superClass;
+        // ClassField и ClassStaticBlock в порядке объявления
+        this.fields = fields;
+    }
+}
+
+export class ClassField extends Node {
+    constructor(name, value = null, isStatic = false) {
+        super('ClassField');
+        this.name = name;
+        this.value = value;
+        this.isStatic = isStatic;
+    }
+}
+
+export class ClassStaticBlock extends Node {
+    constructor(body) {
+        super('ClassStaticBlock');
+        this.body = body;
+    }
+}
+
+/**
+ * перечисление Имя { Вариант, Вариант(поле, ...) }
+ */
+export class EnumDeclaration extends Node {
+    constructor(name, variants) {
+        super('EnumDeclaration');
+        this.name = name;
+        this.variants = variants;  // EnumVariant[]
+    }
+}
+
+export class EnumVariant extends Node {
+    constructor(name, fields = null) {
+        super('EnumVariant');
+        this.name = name;
+        this.fields = fields;      // Имена полей или null у варианта без полей
     }
 }
 
@@ -142,6 +213,17 @@ export class Literal extends Node {
     }
 }
 
+/**
+ * Регулярное выражение /шаблон/флаги
+ */
+export class RegexLiteral extends Node {
+    constructor(pattern, flags = '') {
+        super('RegexLiteral');
+        this.pattern = pattern;
+        this.flags = flags;
+    }
+}
+
 export class Identifier extends Node {
     constructor(name) {
         super('Identifier');
@@ -196,28 +278,41 @@ export class UnaryExpression extends Node {
 }
 
 export class CallExpression extends Node {
-    constructor(callee, args = []) {
+    constructor(callee, args = [], optional = false) {
         super('CallExpression');
         this.callee = callee;
         this.args = args;
+        // f?.() — не вызывать, если f ничто
+        this.optional = optional;
     }
 }
 
 export class MemberExpression extends Node {
-    constructor(object, property, computed = false) {
+    constructor(object, property, computed = false, optional = false) {
         super('MemberExpression');
         this.object = object;
         this.property = property;
         this.computed = computed;
+        // obj?.имя, obj?.[ключ]
+        this.optional = optional;
+    }
+}
+
+// Цепочка с ?.: если звено с ?. получило ничто, вся цепочка — ничто
+export class ChainExpression extends Node {
+    constructor(expression) {
+        super('ChainExpression');
+        this.expression = expression;
     }
 }
 
 export class MemberAssignment extends Node {
-    constructor(object, property, value) {
+    constructor(object, property, value, computed = false) {
         super('MemberAssignment');
         this.object = object;
         this.property = property;
         this.value = value;
+        this.computed = computed;
     }
 }
 
@@ -259,11 +354,12 @@ export class PropertyKey extends Node {
 }
 
 export class ArrowFunctionExpression extends Node {
-    constructor(params, body, isAsync = false) {
+    constructor(params, body, isAsync = false, returnType = null) {
         super('ArrowFunctionExpression');
         this.params = params;
         this.body = body;
         this.isAsync = isAsync;
+        this.returnType = returnType;
     }
 }
 
@@ -318,6 +414,14 @@ export class AwaitExpression extends Node {
     }
 }
 
+export class YieldExpression extends Node {
+    constructor(argument = null, delegate = false) {
+        super('YieldExpression');
+        this.argument = argument;
+        this.delegate = delegate;  // выдать* — делегирование другому итерируемому
+    }
+}
+
 export class ArrayPattern extends Node {
     constructor(elements) {
         super('ArrayPattern');
@@ -412,6 +516,113 @@ export class SwitchStatement extends Node {
     }
 }
 
+// Сопоставление с образцом
+export class MatchExpression extends Node {
+    constructor(value, arms = [], defaultArm = null) {
+        super('MatchExpression');
+        this.value = value;
+        this.arms = arms;
+        this.default = defaultArm;
+    }
+}
+
+export class MatchArm extends Node {
+    constructor(pattern, guard, result) {
+        super('MatchArm');
+        this.pattern = pattern;
+        this.guard = guard;    // Условие после "если" или null
+        this.result = result;
+    }
+}
+
+export class RangePattern extends Node {
+    constructor(start, end) {
+        super('RangePattern');
+        this.start = start;
+        this.end = end;        // Включительно
+    }
+}
+
+export class TypePattern extends Node {
+    constructor(typeName, binding = null) {
+        super('TypePattern');
+        this.typeName = typeName;  // Внутреннее имя типа: number, string, ...
+        this.binding = binding;    // Identifier или null
+    }
+}
+
+/**
+ * Образец варианта: Цвет.Красный, Результат.Успех(x), Успех(x)
+ */
+export class VariantPattern extends Node {
+    constructor(enumName, variant, args = null) {
+        super('VariantPattern');
+        this.enumName = enumName;  // Имя перечисления или null
+        this.variant = variant;
+        this.args = args;          // Образцы полей или null — поля не проверяются
+    }
+}
+
+// Аннотации типов
+export class SimpleType extends Node {
+    constructor(name) {
+        super('SimpleType');
+        this.name = name;
+    }
+}
+
+export class ArrayType extends Node {
+    constructor(elementType) {
+        super('ArrayType');
+        this.elementType = elementType;
+    }
+}
+
+export class TupleType extends Node {
+    constructor(elementTypes = []) {
+        super('TupleType');
+        this.elementTypes = elementTypes;
+    }
+}
+
+export class UnionType extends Node {
+    constructor(types = []) {
+        super('UnionType');
+        this.types = types;
+    }
+}
+
+export class IntersectionType extends Node {
+    constructor(types = []) {
+        super('IntersectionType');
+        this.types = types;
+    }
+}
+
+export class GenericType extends Node {
+    constructor(name, typeArguments = []) {
+        super('GenericType');
+        this.name = name;
+        this.typeArguments = typeArguments;
+    }
+}
+
+export class FunctionType extends Node {
+    constructor(params = [], returnType = null) {
+        super('FunctionType');
+        this.params = params;
+        this.returnType = returnType;
+    }
+}
+
+export class TypeAliasDeclaration extends Node {
+    constructor(name, typeAnnotation) {
+        super('TypeAliasDeclaration');
+        this.name = name;
+        this.typeAnnotation = typeAnnotation;
+    }
+}
+
 // Экспорт всех узлов
 export const ASTNodes = {
     Node,
@@ -425,14 +636,22 @@ export const ASTNodes = {
     IfStatement,
     WhileStatement,
     ForStatement,
+    ForOfStatement,
+    ForInStatement,
     BreakStatement,
     ContinueStatement,
+    LabeledStatement,
     FunctionDeclaration,
     ClassMethod,
     ClassDeclaration,
+    ClassField,
+    ClassStaticBlock,
+    EnumDeclaration,
+    EnumVariant,
     TryStatement,
     ThrowStatement,
     Literal,
+    RegexLiteral,
     Identifier,
     ThisExpression,
     SuperExpression,
@@ -441,6 +660,7 @@ export const ASTNodes = {
     UnaryExpression,
     CallExpression,
     MemberExpression,
+    ChainExpression,
     MemberAssignment,
     Assignment,
     AssignmentExpression,
@@ -458,6 +678,7 @@ export const ASTNodes = {
     ExportStatement,
     SwitchStatement,
     AwaitExpression,
+    YieldExpression,
     ArrayPattern,
     ObjectPattern,
     Property,
@@ -465,7 +686,20 @@ export const ASTNodes = {
     SpreadElement,
     AssignmentPattern,
     RestElement,
-    SequenceExpression
+    SequenceExpression,
+    MatchExpression,
+    MatchArm,
+    RangePattern,
+    TypePattern,
+    VariantPattern,
+    SimpleType,
+    ArrayType,
+    TupleType,
+    UnionType,
+    IntersectionType,
+    GenericType,
+    FunctionType,
+    TypeAliasDeclaration
 };
 
 
@@ -4,12 +4,27 @@
  */
 
 import { ASTNodes } from './ast-nodes.js';
+import { Lexer } from '../lexer/lexer.js';
+import { Decimal } from '../runtime/decimal.js';
+
+// Имена типов, допустимые как образцы в сопоставить
+const MATCH_TYPE_NAMES = {
+    'число': 'number',
+    'большое': 'bigint',
+    'десятичное': 'decimal',
+    'строка': 'string',
+    'логический': 'boolean',
+    'массив': 'array',
+    'объект': 'object'
+};
 
 export class Parser {
     constructor(tokens, options = {}) {
         this.tokens = tokens;
         this.pos = 0;
         this.debug = options.debug || false;
+        // Разбираемые классы: объявленные приватные имена и их использования
+        this.classScopes = [];
     }
 
     /**
@@ -105,10 +120,26 @@ export class Parser {
     }
 
     /**
-     * Парсинг одной инструкции
+     * Парсинг одной инструкции с сохранением её позиции в исходном коде
      */
     parseStatement() {
         const token = this.peek();
+        const statement = this.parseStatementNode();
+
+        if (statement && statement.line === undefined && token.line !== undefined) {
+            statement.line = token.line;
+            statement.column = token.column;
+            statement.filename = token.filename;
+        }
+
+        return statement;
+    }
+
+    /**
+     * Парсинг одной инструкции
+     */
+    parseStatementNode() {
+        const token = this.peek();
         
         if (this.check('NEWLINE')) {
             this.advance();
@@ -166,6 +197,9 @@ export class Parser {
             case 'КЛАСС':  // Русское ключевое слово
                 return this.parseClassDeclaration();
 
+            case 'ENUM':
+                return this.parseEnumDeclaration();
+
             case 'SWITCH':
             case 'ВЫБОР':  // Русское ключевое слово
                 return this.parseSwitchStatement();
@@ -178,9 +212,22 @@ export class Parser {
             case 'БРОСИТЬ':  // Русское ключевое слово
                 return this.parseThrowStatement();
 
+            case 'YIELD':
+                return this.parseYieldStatement();
+
             case 'LBRACE':
                 return this.parseBlockStatement();
 
+            case 'IDENTIFIER':
+                if (this.peek(1).type === 'COLON') {
+                    return this.parseLabeledStatement();
+                }
+                // «тип» — ключевое слово только в объявлении псевдонима
+                if (token.value === 'тип' && this.peek(1).type === 'IDENTIFIER' && this.peek(2).type === 'ASSIGN') {
+                    return this.parseTypeAliasDeclaration();
+                }
+                return new ASTNodes.ExpressionStatement(this.parseExpression());
+
             default:
                 return new ASTNodes.ExpressionStatement(this.parseExpression());
         }
@@ -193,7 +240,22 @@ export class Parser {
         const token = this.advance();
         const isConst = token.type === 'CONST' || token.type === 'КОНСТ';
 
+        // Деструктуризация: пусть [a, b] = ... / пусть {a, b} = ...
+        if (this.check('LBRACKET') || this.check('LBRACE')) {
+            const pattern = this.toPattern(this.parsePatternOrExpression());
+
+            this.consume('ASSIGN', null, 'Ожидалось =');
+            const initializer = this.parseExpression();
+
+            if (this.check('SEMICOLON')) {
+                this.advance();
+            }
+
+            return new ASTNodes.VariableDeclarationWithPattern(isConst ? 'const' : 'let', pattern, initializer);
+        }
+
         const name = this.consume('IDENTIFIER', null, 'Ожидалось имя переменной').value;
+        const typeAnnotation = this.parseTypeAnnotation();
 
         this.consume('ASSIGN', null, 'Ожидалось =');
 
@@ -205,8 +267,142 @@ export class Parser {
         }
 
         return isConst
-            ? new ASTNodes.ConstStatement(name, initializer)
-            : new ASTNodes.LetStatement(name, initializer);
+            ? new ASTNodes.ConstStatement(name, initializer, typeAnnotation)
+            : new ASTNodes.LetStatement(name, initializer, typeAnnotation);
+    }
+
+    /**
+     * Псевдоним типа: тип Имя = число | строка
+     */
+    parseTypeAliasDeclaration() {
+        this.advance(); // consume тип
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя типа').value;
+        this.consume('ASSIGN', null, 'Ожидалось =');
+        const typeAnnotation = this.parseType();
+
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.TypeAliasDeclaration(name, typeAnnotation);
+    }
+
+    /**
+     * Необязательная аннотация типа после двоеточия
+     */
+    parseTypeAnnotation() {
+        if (!this.check('COLON')) {
+            return null;
+        }
+        this.advance();
+        return this.parseType();
+    }
+
+    /**
+     * Тип: объединение пересечений (число | строка, A & B)
+     */
+    parseType() {
+        const types = [this.parseIntersectionType()];
+        while (this.check('PIPE')) {
+            this.advance();
+            types.push(this.parseIntersectionType());
+        }
+        return types.length === 1 ? types[0] : new ASTNodes.UnionType(types);
+    }
+
+    parseIntersectionType() {
+        const types = [this.parsePrimaryType()];
+        while (this.check('AMPERSAND')) {
+            this.advance();
+            types.push(this.parsePrimaryType());
+        }
+        return types.length === 1 ? types[0] : new ASTNodes.IntersectionType(types);
+    }
+
+    /**
+     * Простой тип, обобщённый тип Имя<T>, кортеж [A, B], функциональный
+     * тип (A, B) => R или тип в скобках; суффикс [] — массив
+     */
+    parsePrimaryType() {
+        let type;
+
+        if (this.check('LBRACKET')) {
+            this.advance();
+            const elementTypes = this.parseTypeList('RBRACKET');
+            this.consume('RBRACKET', null, 'Ожидалось ] после типов кортежа');
+            type = new ASTNodes.TupleType(elementTypes);
+        } else if (this.check('LPAREN')) {
+            this.advance();
+            const params = this.parseTypeList('RPAREN');
+            this.consume('RPAREN', null, 'Ожидалось )');
+            if (this.check('FATARROW')) {
+                this.advance();
+                type = new ASTNodes.FunctionType(params, this.parseType());
+            } else if (params.length === 1) {
+                type = params[0];
+            } else {
+                throw this.error('Ожидалось => после типов параметров');
+            }
+        } else if (this.check('NULL')) {
+            this.advance();
+            type = new ASTNodes.SimpleType('ничто');
+        } else if (this.check('FUNCTION')) {
+            this.advance();
+            type = new ASTNodes.SimpleType('функция');
+        } else {
+            const name = this.consume('IDENTIFIER', null, 'Ожидался тип').value;
+            if (this.check('LT')) {
+                this.advance();
+                const typeArguments = this.parseTypeList('GT');
+                this.consumeTypeArgumentsEnd();
+                type = new ASTNodes.GenericType(name, typeArguments);
+            } else {
+                type = new ASTNodes.SimpleType(name);
+            }
+        }
+
+        while (this.check('LBRACKET') && this.peek(1).type === 'RBRACKET') {
+            this.advance();
+            this.advance();
+            type = new ASTNodes.ArrayType(type);
+        }
+
+        return type;
+    }
+
+    /**
+     * Типы через запятую до закрывающего токена
+     */
+    parseTypeList(endType) {
+        const types = [];
+        if (this.check(endType)) {
+            return types;
+        }
+        while (true) {
+            types.push(this.parseType());
+            if (!this.check('COMMA')) {
+                return types;
+            }
+            this.advance();
+        }
+    }
+
+    /**
+     * Закрывающая > обобщённого типа; у вложенных типов лексер
+     * склеивает её со следующим символом (>> и >=)
+     */
+    consumeTypeArgumentsEnd() {
+        const token = this.peek();
+        if (token.type === 'RIGHTSHIFT' || token.type === 'GTE') {
+            this.tokens[this.pos] = {
+                ...token,
+                type: token.type === 'RIGHTSHIFT' ? 'GT' : 'ASSIGN',
+                value: token.value.slice(1),
+                column: token.column + 1
+            };
+            return token;
+        }
+        return this.consume('GT', null, 'Ожидалось > после аргументов типа');
     }
 
     /**
@@ -303,6 +499,11 @@ export class Parser {
         this.advance(); // consume FOR
         
         this.consume('LPAREN', null, 'Ожидалось (');
+
+        const headKind = this.forInOfHeadKind();
+        if (headKind) {
+            return this.parseForInOfStatement(headKind);
+        }
         
         // Инициализация - parseStatement уже потребляет точку с запятой для переменных
         let initializer = null;
@@ -331,38 +532,158 @@ export class Parser {
     }
 
     /**
-     * Break statement
+     * Определение вида заголовка: 'of' для (пусть x из ...), 'in' для (пусть x в ...), иначе null
+     */
+    forInOfHeadKind() {
+        let offset = this.check('LET') || this.check('CONST') ? 1 : 0;
+        const first = this.peek(offset);
+
+        if (first.type === 'IDENTIFIER') {
+            offset++;
+        } else if (first.type === 'LBRACKET' || first.type === 'LBRACE') {
+            // Пропускаем образец деструктуризации до парной скобки
+            let depth = 0;
+            do {
+                const token = this.peek(offset);
+                if (token.type === 'EOF') {
+                    return null;
+                }
+                if (token.type === 'LBRACKET' || token.type === 'LBRACE') {
+                    depth++;
+                } else if (token.type === 'RBRACKET' || token.type === 'RBRACE') {
+                    depth--;
+                }
+                offset++;
+            } while (depth > 0);
+        } else {
+            return null;
+        }
+
+        const separator = this.peek(offset);
+        if (separator.type === 'FROM' || (separator.type === 'IDENTIFIER' && separator.value === 'of')) {
+            return 'of';
+        }
+        if (separator.type === 'IDENTIFIER' && (separator.value === 'в' || separator.value === 'in')) {
+            return 'in';
+        }
+        return null;
+    }
+
+    /**
+     * For-of / for-in: для (пусть x из коллекция), для (пусть ключ в объект)
+     */
+    parseForInOfStatement(headKind) {
+        let kind = null;
+        if (this.check('LET') || this.check('CONST')) {
+            kind = this.advance().type === 'CONST' ? 'const' : 'let';
+        }
+
+        const left = this.check('LBRACKET') || this.check('LBRACE')
+            ? this.toPattern(this.parsePatternOrExpression())
+            : new ASTNodes.Identifier(this.consume('IDENTIFIER', null, 'Ожидалось имя переменной').value);
+        this.advance(); // из / в
+
+        const right = this.parseExpression();
+        this.consume('RPAREN', null, 'Ожидалось )');
+
+        const body = this.parseBlockStatement();
+
+        return headKind === 'in'
+            ? new ASTNodes.ForInStatement(kind, left, right, body)
+            : new ASTNodes.ForOfStatement(kind, left, right, body);
+    }
+
+    /**
+     * Break statement: прервать [метка]
      */
     parseBreakStatement() {
         this.advance();
+        const label = this.parseJumpLabel();
         
         if (this.check('SEMICOLON')) {
             this.advance();
         }
         
-        return new ASTNodes.BreakStatement();
+        return new ASTNodes.BreakStatement(label);
     }
 
     /**
-     * Continue statement
+     * Continue statement: продолжить [метка]
      */
     parseContinueStatement() {
         this.advance();
+        const label = this.parseJumpLabel();
         
         if (this.check('SEMICOLON')) {
             this.advance();
         }
         
-        return new ASTNodes.ContinueStatement();
+        return new ASTNodes.ContinueStatement(label);
+    }
+
+    /**
+     * Необязательная метка после прервать/продолжить (на той же строке)
+     */
+    parseJumpLabel() {
+        return this.check('IDENTIFIER') ? this.advance().value : null;
+    }
+
+    /**
+     * Помеченная инструкция: метка: для (...) { ... }
+     */
+    parseLabeledStatement() {
+        const label = this.advance().value;
+        this.consume('COLON', null, 'Ожидалось :');
+
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        return new ASTNodes.LabeledStatement(label, this.parseStatement());
+    }
+
+    /**
+     * Имя свойства после точки: идентификатор или ключевое слово (к.set, объект.из)
+     */
+    consumePropertyName() {
+        const token = this.peek();
+        if (token.type === 'IDENTIFIER' || (token.type !== 'STRING' && typeof token.value === 'string' && /^[\p{L}_$][\p{L}\p{N}_$]*$/u.test(token.value))) {
+            return this.advance().value;
+        }
+        if (token.type === 'PRIVATE_NAME') {
+            this.usePrivateName(token);
+            return this.advance().value;
+        }
+        throw this.error('Ожидалось свойство');
+    }
+
+    /**
+     * Использование #имени: проверяется по объявлениям в конце тела класса
+     */
+    usePrivateName(token) {
+        const scope = this.classScopes[this.classScopes.length - 1];
+        if (!scope) {
+            throw this.error(`Приватное имя ${token.value} доступно только внутри класса`, token);
+        }
+        scope.used.push(token);
     }
 
     /**
-     * Function declaration
+     * Function declaration; у функционального выражения (isExpression) имя необязательно
      */
-    parseFunctionDeclaration() {
+    parseFunctionDeclaration(isExpression = false) {
         this.advance(); // consume FUNCTION
 
-        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя функции').value;
+        // функция* — генератор
+        let isGenerator = false;
+        if (this.check('MULT')) {
+            this.advance();
+            isGenerator = true;
+        }
+
+        const name = isExpression && !this.check('IDENTIFIER')
+            ? null
+            : this.consume('IDENTIFIER', null, 'Ожидалось имя функции').value;
 
         this.consume('LPAREN', null, 'Ожидалось (');
 
@@ -373,17 +694,16 @@ export class Parser {
                 let param;
                 if (this.check('IDENTIFIER')) {
                     const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
+                    const identifier = new ASTNodes.Identifier(paramName);
+                    identifier.typeAnnotation = this.parseTypeAnnotation();
 
                     // Проверяем, есть ли оператор присваивания (значение по умолчанию)
                     if (this.check('ASSIGN')) {
                         this.advance(); // consume =
                         const defaultValue = this.parseExpression();
-                        param = new ASTNodes.AssignmentPattern(
-                            new ASTNodes.Identifier(paramName),
-                            defaultValue
-                        );
+                        param = new ASTNodes.AssignmentPattern(identifier, defaultValue);
                     } else {
-                        param = new ASTNodes.Identifier(paramName);
+                        param = identifier;
                     }
                 } else {
                     throw this.error('Ожидался параметр функции');
@@ -400,10 +720,11 @@ export class Parser {
         }
 
         this.consume('RPAREN', null, 'Ожидалось )');
+        const returnType = this.parseTypeAnnotation();
 
         const body = this.parseBlockStatement();
 
-        return new ASTNodes.FunctionDeclaration(name, params, body);
+        return new ASTNodes.FunctionDeclaration(name, params, body, false, isGenerator, returnType);
     }
 
     /**
@@ -430,17 +751,16 @@ export class Parser {
                 let param;
                 if (this.check('IDENTIFIER')) {
                     const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
+                    const identifier = new ASTNodes.Identifier(paramName);
+                    identifier.typeAnnotation = this.parseTypeAnnotation();
 
                     // Проверяем, есть ли оператор присваивания (значение по умолчанию)
                     if (this.check('ASSIGN')) {
                         this.advance(); // consume =
                         const defaultValue = this.parseExpression();
-                        param = new ASTNodes.AssignmentPattern(
-                            new ASTNodes.Identifier(paramName),
-                            defaultValue
-                        );
+                        param = new ASTNodes.AssignmentPattern(identifier, defaultValue);
                     } else {
-                        param = new ASTNodes.Identifier(paramName);
+                        param = identifier;
                     }
                 } else {
                     throw this.error('Ожидался параметр функции');
@@ -457,15 +777,68 @@ export class Parser {
         }
 
         this.consume('RPAREN', null, 'Ожидалось )');
+        const returnType = this.parseTypeAnnotation();
 
         const body = this.parseBlockStatement();
 
-        return new ASTNodes.FunctionDeclaration(name, params, body, true); // isAsync = true
+        return new ASTNodes.FunctionDeclaration(name, params, body, true, false, returnType); // isAsync = true
     }
 
     /**
      * Class declaration
      */
+    /**
+     * перечисление Имя { Вариант, Вариант(поле, ...) }
+     */
+    parseEnumDeclaration() {
+        this.advance(); // consume ENUM
+
+        const name = this.consume('IDENTIFIER', null, 'Ожидалось имя перечисления').value;
+        this.consume('LBRACE', null, 'Ожидалось {');
+
+        const variants = [];
+        const seen = new Set();
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('COMMA') || this.check('SEMICOLON')) {
+                this.advance();
+                continue;
+            }
+
+            const token = this.consume('IDENTIFIER', null, 'Ожидалось имя варианта');
+            if (seen.has(token.value)) {
+                throw this.error(`Вариант ${token.value} уже объявлен в перечислении ${name}`, token);
+            }
+            seen.add(token.value);
+
+            let fields = null;
+            if (this.check('LPAREN')) {
+                this.advance();
+                fields = [];
+                while (!this.check('RPAREN')) {
+                    const field = this.consume('IDENTIFIER', null, 'Ожидалось имя поля');
+                    if (fields.includes(field.value)) {
+                        throw this.error(`Поле ${field.value} уже объявлено в варианте ${token.value}`, field);
+                    }
+                    fields.push(field.value);
+                    if (!this.check('COMMA')) break;
+                    this.advance();
+                }
+                this.consume('RPAREN', null, 'Ожидалось )');
+            }
+
+            variants.push(new ASTNodes.EnumVariant(token.value, fields));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалось } после вариантов перечисления');
+
+        if (variants.length === 0) {
+            throw this.error(`Перечисление ${name} должно содержать хотя бы один вариант`);
+        }
+
+        return new ASTNodes.EnumDeclaration(name, variants);
+    }
+
     parseClassDeclaration() {
         this.advance(); // consume CLASS
         
@@ -479,11 +852,15 @@ export class Parser {
         }
         
         const methods = [];
+        // Поля и статические блоки в порядке объявления
+        const fields = [];
+        const scope = { declared: new Set(), used: [] };
+        this.classScopes.push(scope);
 
         this.consume('LBRACE', null, 'Ожидалось {');
 
         while (!this.check('RBRACE') && !this.check('EOF')) {
-            if (this.check('NEWLINE')) {
+            if (this.check('NEWLINE') || this.check('SEMICOLON')) {
                 this.advance();
                 continue;
             }
@@ -496,14 +873,19 @@ export class Parser {
             if (this.check('STATIC') || this.check('СТАТИЧЕСКИЙ')) {
                 this.advance();
                 isStatic = true;
+
+                // статический { ... } — блок инициализации класса
+                if (this.check('LBRACE')) {
+                    fields.push(new ASTNodes.ClassStaticBlock(this.parseBlockStatement()));
+                    continue;
+                }
             }
 
-            if (this.check('GET')) {
+            // get/получить и set/установить перед именем — аксессор, иначе это имя метода
+            if (this.isAccessorKeyword(['GET', 'получить'])) {
                 this.advance();
                 isGetter = true;
-            }
-
-            if (this.check('SET')) {
+            } else if (this.isAccessorKeyword(['SET', 'установить'])) {
                 this.advance();
                 isSetter = true;
             }
@@ -513,7 +895,47 @@ export class Parser {
                 isAsync = true;
             }
 
-            const methodName = this.consume('IDENTIFIER', null, 'Ожидалось имя метода').value;
+            // *имя() — метод-генератор
+            let isGenerator = false;
+            if (this.check('MULT')) {
+                if (isGetter || isSetter || isAsync) {
+                    throw this.error('Генератором может быть только обычный метод');
+                }
+                this.advance();
+                isGenerator = true;
+            }
+
+            const nameToken = this.peek();
+            if (!['IDENTIFIER', 'PRIVATE_NAME', 'GET', 'SET'].includes(nameToken.type)) {
+                throw this.error('Ожидалось имя метода или поля');
+            }
+            this.advance();
+            const memberName = nameToken.value;
+            const isPrivate = nameToken.type === 'PRIVATE_NAME';
+
+            if (isPrivate && (isGetter || isSetter)) {
+                throw this.error(`Аксессор не может быть приватным: ${memberName}`, nameToken);
+            }
+
+            // Поле: имя [: Тип] [= значение]
+            if (!isGetter && !isSetter && !isAsync && !isGenerator && !this.check('LPAREN')) {
+                const typeAnnotation = this.parseTypeAnnotation();
+                let value = null;
+                if (this.check('ASSIGN')) {
+                    this.advance();
+                    value = this.parseExpression();
+                }
+                if (!this.check('NEWLINE') && !this.check('SEMICOLON') && !this.check('RBRACE')) {
+                    throw this.error(`Ожидался конец объявления поля ${memberName}`);
+                }
+                if (isPrivate) this.declarePrivateName(scope, nameToken);
+                const field = new ASTNodes.ClassField(memberName, value, isStatic);
+                field.typeAnnotation = typeAnnotation;
+                fields.push(field);
+                continue;
+            }
+
+            if (isPrivate) this.declarePrivateName(scope, nameToken);
 
             this.consume('LPAREN', null, 'Ожидалось (');
 
@@ -521,7 +943,9 @@ export class Parser {
             if (!this.check('RPAREN')) {
                 while (true) {
                     const paramName = this.consume('IDENTIFIER', null, 'Ожидался параметр').value;
-                    params.push(new ASTNodes.Identifier(paramName));
+                    const param = new ASTNodes.Identifier(paramName);
+                    param.typeAnnotation = this.parseTypeAnnotation();
+                    params.push(param);
 
                     if (this.check('COMMA')) {
                         this.advance();
@@ -532,15 +956,57 @@ export class Parser {
             }
 
             this.consume('RPAREN', null, 'Ожидалось )');
+            const returnType = this.parseTypeAnnotation();
+
+            if (isGetter && params.length > 0) {
+                throw this.error(`Геттер ${memberName} не принимает параметров`, nameToken);
+            }
+            if (isSetter && params.length !== 1) {
+                throw this.error(`Сеттер ${memberName} принимает ровно один параметр`, nameToken);
+            }
 
             const body = this.parseBlockStatement();
 
-            methods.push(new ASTNodes.ClassMethod(methodName, params, body, isStatic, isGetter, isSetter, isAsync));
+            if (isGenerator && (memberName === 'конструктор' || memberName === 'constructor')) {
+                throw this.error('Конструктор не может быть генератором', nameToken);
+            }
+
+            const method = new ASTNodes.ClassMethod(memberName, params, body, isStatic, isGetter, isSetter, isAsync);
+            method.returnType = returnType;
+            method.isGenerator = isGenerator;
+            methods.push(method);
         }
         
         this.consume('RBRACE', null, 'Ожидалось }');
+
+        // Необъявленные #имена могут принадлежать внешнему классу
+        this.classScopes.pop();
+        const outer = this.classScopes[this.classScopes.length - 1];
+        for (const token of scope.used) {
+            if (scope.declared.has(token.value)) continue;
+            if (!outer) {
+                throw this.error(`Приватное имя ${token.value} не объявлено в классе ${name}`, token);
+            }
+            outer.used.push(token);
+        }
         
-        return new ASTNodes.ClassDeclaration(name, methods, superClass);
+        return new ASTNodes.ClassDeclaration(name, methods, superClass, fields);
+    }
+
+    /**
+     * Ключевое слово аксессора, за которым следует имя члена класса
+     */
+    isAccessorKeyword([type, word]) {
+        const token = this.peek();
+        const matches = token.type === type || (token.type === 'IDENTIFIER' && token.value.toLowerCase() === word);
+        return matches && ['IDENTIFIER', 'PRIVATE_NAME', 'GET', 'SET'].includes(this.peek(1).type);
+    }
+
+    declarePrivateName(scope, token) {
+        if (scope.declared.has(token.value)) {
+            throw this.error(`Приватное имя ${token.value} уже объявлено`, token);
+        }
+        scope.declared.add(token.value);
     }
 
     /**
@@ -608,7 +1074,9 @@ export class Parser {
         let defaultCase = null;
 
         while (!this.check('RBRACE') && !this.check('EOF')) {
-            if (this.check('CASE') || this.check('КОГДА')) { // когда
+            if (this.check('NEWLINE') || this.check('SEMICOLON')) {
+                this.advance();
+            } else if (this.check('CASE') || this.check('КОГДА')) { // когда
                 this.advance(); // consume CASE or КОГДА
                 const caseValue = this.parseExpression();
 
@@ -654,8 +1122,7 @@ export class Parser {
                     consequent: consequent
                 };
             } else {
-                // Skip unexpected tokens
-                this.advance();
+                throw this.error('Ожидалось когда или поумолчанию в теле выбор');
             }
         }
 
@@ -707,6 +1174,10 @@ export class Parser {
     parseAssignment() {
         const left = this.parseTernary();
 
+        if (left.type === 'ChainExpression' && ['ASSIGN', 'PLUSEQ', 'MINUSEQ', 'MULTEQ', 'DIVEQ', 'MODEQ', 'NULLISH_ASSIGN'].includes(this.peek().type)) {
+            throw this.error('Цепочке с ?. нельзя присваивать');
+        }
+
         if (this.check('ASSIGN')) {
             this.advance();
             const right = this.parseAssignment();
@@ -717,7 +1188,7 @@ export class Parser {
             } else if (left.type === 'Identifier') {
                 return new ASTNodes.Assignment(left.name, right);
             } else if (left.type === 'MemberExpression') {
-                return new ASTNodes.MemberAssignment(left.object, left.property, right);
+                return new ASTNodes.MemberAssignment(left.object, left.property, right, left.computed);
             }
 
             return right;
@@ -725,7 +1196,7 @@ export class Parser {
 
         // Обработка составных присваиваний
         if (this.check('PLUSEQ') || this.check('MINUSEQ') || this.check('MULTEQ') ||
-            this.check('DIVEQ') || this.check('MODEQ')) {
+            this.check('DIVEQ') || this.check('MODEQ') || this.check('NULLISH_ASSIGN')) {
             const operatorToken = this.advance();
             const right = this.parseAssignment();
 
@@ -751,6 +1222,20 @@ export class Parser {
         return left;
     }
 
+    /**
+     * a ?? b — правая часть вычисляется, только если слева ничто
+     */
+    parseNullish() {
+        let left = this.parseLogical();
+
+        while (this.check('NULLISH')) {
+            this.advance();
+            left = new ASTNodes.BinaryExpression('??', left, this.parseLogical());
+        }
+
+        return left;
+    }
+
     /**
      * Логические операторы
      */
@@ -758,7 +1243,8 @@ export class Parser {
         let left = this.parseComparison();
 
         while (this.check('AND') || this.check('OR')) {
-            const operator = this.advance().value;
+            // и / или приводятся к && / ||
+            const operator = this.advance().type === 'AND' ? '&&' : '||';
             const right = this.parseLogical();  // Используем тот же уровень приоритета для левой ассоциативности
             left = new ASTNodes.BinaryExpression(operator, left, right);
         }
@@ -775,9 +1261,10 @@ export class Parser {
     parseComparison() {
         let left = this.parseAdditive();
 
-        const comparators = ['EQEQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE'];
+        const comparators = ['EQEQ', 'NEQ', 'LT', 'LTE', 'GT', 'GTE', 'INSTANCEOF'];
         while (comparators.includes(this.peek().type)) {
-            const operator = this.advance().value;
+            const token = this.advance();
+            const operator = token.type === 'INSTANCEOF' ? 'экземпляр' : token.value;
             const right = this.parseComparison();  // Используем тот же уровень приоритета для левой ассоциативности
             left = new ASTNodes.BinaryExpression(operator, left, right);
         }
@@ -869,38 +1356,17 @@ export class Parser {
      */
     parseCallMember() {
         let object = this.parsePrimary();
+        // Было ли в цепочке звено ?.
+        let optionalChain = false;
         
         while (true) {
             if (this.check('LPAREN')) {
                 // Вызов функции
-                this.advance(); // consume (
-                
-                const args = [];
-                if (!this.check('RPAREN')) {
-                    while (true) {
-                        // Проверяем, является ли аргумент spread оператором
-                        if (this.check('SPREAD')) {
-                            this.advance(); // consume '...'
-                            const argument = this.parseExpression();
-                            args.push(new ASTNodes.SpreadElement(argument));
-                        } else {
-                            args.push(this.parseExpression());
-                        }
-
-                        if (this.check('COMMA')) {
-                            this.advance();
-                        } else {
-                            break;
-                        }
-                    }
-                }
-
-                this.consume('RPAREN', null, 'Ожидалось )');
-                object = new ASTNodes.CallExpression(object, args);
+                object = new ASTNodes.CallExpression(object, this.parseCallArguments());
             } else if (this.check('DOT')) {
                 // Доступ к члену
                 this.advance();
-                const property = this.consume('IDENTIFIER', null, 'Ожидалось свойство').value;
+                const property = this.consumePropertyName();
                 object = new ASTNodes.MemberExpression(object, new ASTNodes.Identifier(property));
             } else if (this.check('LBRACKET')) {
                 // Доступ к элементу массива array[index]
@@ -908,12 +1374,57 @@ export class Parser {
                 const index = this.parseExpression();
                 this.consume('RBRACKET', null, 'Ожидалось ]');
                 object = new ASTNodes.MemberExpression(object, index, true); // computed = true для array[index]
+            } else if (this.check('OPTIONAL_CHAIN')) {
+                // obj?.имя, obj?.[ключ], f?.(аргументы)
+                this.advance();
+                optionalChain = true;
+                if (this.check('LPAREN')) {
+                    object = new ASTNodes.CallExpression(object, this.parseCallArguments(), true);
+                } else if (this.check('LBRACKET')) {
+                    this.advance();
+                    const index = this.parseExpression();
+                    this.consume('RBRACKET', null, 'Ожидалось ]');
+                    object = new ASTNodes.MemberExpression(object, index, true, true);
+                } else {
+                    const property = this.consumePropertyName();
+                    object = new ASTNodes.MemberExpression(object, new ASTNodes.Identifier(property), false, true);
+                }
             } else {
                 break;
             }
         }
 
-        return object;
+        return optionalChain ? new ASTNodes.ChainExpression(object) : object;
+    }
+
+    /**
+     * Аргументы вызова в скобках (с ...spread)
+     */
+    parseCallArguments() {
+        this.consume('LPAREN', null, 'Ожидалось (');
+
+        const args = [];
+        if (!this.check('RPAREN')) {
+            while (true) {
+                // Проверяем, является ли аргумент spread оператором
+                if (this.check('SPREAD')) {
+                    this.advance(); // consume '...'
+                    const argument = this.parseExpression();
+                    args.push(new ASTNodes.SpreadElement(argument));
+                } else {
+                    args.push(this.parseExpression());
+                }
+
+                if (this.check('COMMA')) {
+                    this.advance();
+                } else {
+                    break;
+                }
+            }
+        }
+
+        this.consume('RPAREN', null, 'Ожидалось )');
+        return args;
     }
 
     /**
@@ -942,6 +1453,11 @@ export class Parser {
             
             case 'INT':
                 return new ASTNodes.Literal(this.advance().value);
+
+            case 'REGEX': {
+                const { pattern, flags } = this.advance().value;
+                return new ASTNodes.RegexLiteral(pattern, flags);
+            }
             
             case 'TRUE':
                 this.advance();
@@ -981,11 +1497,17 @@ export class Parser {
                 return this.parseAwaitExpression();
 
             case 'FUNCTION':
-                return this.parseArrowFunction();
+                return this.parseFunctionExpression();
 
             case 'NEW':
                 return this.parseNewExpression();
 
+            case 'MATCH':
+                return this.parseMatchExpression();
+
+            case 'YIELD':
+                return this.parseYieldExpression();
+
             default:
                 throw this.error(`Ожидалось выражение, получено: ${token.type}`);
         }
@@ -1191,8 +1713,9 @@ export class Parser {
      * Паттерн или выражение
      */
     parsePatternOrExpression() {
-        // Проверяем, является ли это паттерном деструктуризации
-        if (this.check('IDENTIFIER')) {
+        // Проверяем, является ли это паттерном деструктуризации (одиночное имя, а не начало выражения)
+        const patternEnd = ['COMMA', 'RBRACKET', 'RBRACE', 'NEWLINE'];
+        if (this.check('IDENTIFIER') && patternEnd.includes(this.peek(1).type)) {
             return new ASTNodes.Identifier(this.advance().value);
         } else if (this.check('LBRACKET')) {
             return this.parseArrayPatternOrLiteral();
@@ -1204,6 +1727,35 @@ export class Parser {
         }
     }
 
+    /**
+     * Преобразование литерала в паттерн деструктуризации
+     */
+    toPattern(node) {
+        if (!node) {
+            return node;
+        }
+
+        switch (node.type) {
+            case 'ArrayExpression':
+            case 'ArrayPattern':
+                return new ASTNodes.ArrayPattern(node.elements.map(element => {
+                    if (element && element.type === 'SpreadElement') {
+                        return new ASTNodes.RestElement(element.argument);
+                    }
+                    return this.toPattern(element);
+                }));
+
+            case 'ObjectExpression':
+            case 'ObjectPattern':
+                return new ASTNodes.ObjectPattern(node.properties.map(property =>
+                    new ASTNodes.Property(property.key, this.toPattern(property.value), property.computed)
+                ));
+
+            default:
+                return node;
+        }
+    }
+
     /**
      * Массив
      */
@@ -1270,7 +1822,7 @@ export class Parser {
      * Тернарный оператор (условие ? then : else)
      */
     parseTernary() {
-        let condition = this.parseLogical();
+        let condition = this.parseNullish();
 
         if (this.check('TERNARY')) {
             this.advance(); // consume '?'
@@ -1290,9 +1842,76 @@ export class Parser {
         const token = this.advance();
         const value = token.value;
 
-        // Простая реализация - возвращаем как строку
-        // В реальности нужно разобрать интерполяции ${...}
-        return new ASTNodes.Literal(value);
+        const quasis = [];
+        const expressions = [];
+        let text = '';
+        let i = 0;
+
+        while (i < value.length) {
+            if (value[i] !== '$' || value[i + 1] !== '{') {
+                text += value[i++];
+                continue;
+            }
+
+            // Ищем закрывающую скобку интерполяции с учётом вложенных { } и строк
+            let depth = 1;
+            let j = i + 2;
+            let quote = null;
+            while (j < value.length && depth > 0) {
+                const char = value[j];
+                if (quote) {
+                    if (char === '\\') j++;
+                    else if (char === quote) quote = null;
+                } else if (char === '"' || char === "'") {
+                    quote = char;
+                } else if (char === '{') {
+                    depth++;
+                } else if (char === '}') {
+                    depth--;
+                }
+                j++;
+            }
+
+            if (depth > 0) {
+                throw this.error('Незакрытая интерполяция ${ в шаблонной строке', token);
+            }
+
+            quasis.push({ value: text });
+            expressions.push(this.parseInterpolation(value.slice(i + 2, j - 1), token));
+            text = '';
+            i = j;
+        }
+
+        quasis.push({ value: text });
+        return new ASTNodes.TemplateLiteral(expressions, quasis);
+    }
+
+    /**
+     * Разбор выражения внутри ${...} шаблонной строки
+     */
+    parseInterpolation(source, token) {
+        const tokens = new Lexer(source, token.filename).tokenize()
+            .filter(t => t.type !== 'NEWLINE')
+            .map(t => ({ ...t, line: token.line, column: token.column }));
+        const parser = new Parser(tokens, { debug: this.debug });
+        parser.classScopes = this.classScopes;
+        const expression = parser.parseExpression();
+
+        if (!parser.check('EOF')) {
+            throw this.error(`Лишние символы в интерполяции шаблонной строки: \${${source}}`, token);
+        }
+        return expression;
+    }
+
+    /**
+     * Динамический импорт: импорт("модуль")
+     */
+    parseImportExpression() {
+        this.advance(); // consume IMPORT
+        this.consume('LPAREN', null, 'Ожидалось ( после импорт');
+        const path = this.consume('STRING', null, 'Ожидался строковый путь к модулю').value;
+        this.consume('RPAREN', null, 'Ожидалось )');
+        return new ASTNodes.ImportExpression(path);
     }
 
     /**
@@ -1305,12 +1924,43 @@ export class Parser {
     }
 
     /**
-     * Стрелочная функция
+     * Yield выражение: выдать значение / выдать* итерируемое
      */
-    parseArrowFunction() {
-        const func = this.parseFunctionDeclaration();
+    parseYieldExpression() {
+        this.advance(); // consume YIELD
+
+        let delegate = false;
+        if (this.check('MULT')) {
+            this.advance();
+            delegate = true;
+        }
+
+        const endTokens = ['NEWLINE', 'SEMICOLON', 'RBRACE', 'RPAREN', 'RBRACKET', 'COMMA', 'EOF'];
+        const argument = endTokens.includes(this.peek().type) ? null : this.parseAssignment();
+
+        return new ASTNodes.YieldExpression(argument, delegate);
+    }
+
+    /**
+     * Yield как инструкция
+     */
+    parseYieldStatement() {
+        const expression = this.parseYieldExpression();
+
+        if (this.check('SEMICOLON')) {
+            this.advance();
+        }
+
+        return new ASTNodes.ExpressionStatement(expression);
+    }
 
-        return new ASTNodes.ArrowFunctionExpression(func.params, func.body);
+    /**
+     * Функциональное выражение: функция [имя](...) { ... }, функция* — генератор
+     */
+    parseFunctionExpression() {
+        const func = this.parseFunctionDeclaration(true);
+        func.isExpression = true;
+        return func;
     }
 
     /**
@@ -1405,4 +2055,281 @@ export class Parser {
 
         return new ASTNodes.NewExpression(callee, args);
     }
+
+    /**
+     * Сопоставление с образцом: сопоставить (значение) { образец если условие => результат, ... }
+     */
+    parseMatchExpression() {
+        // Без "{" после скобок это вызов одноимённой встроенной функции
+        if (!this.isMatchExpressionStart()) {
+            return new ASTNodes.Identifier(this.advance().value);
+        }
+
+        const token = this.advance(); // consume MATCH
+        this.consume('LPAREN', null, 'Ожидалось ( после сопоставить');
+        const value = this.parseExpression();
+        this.consume('RPAREN', null, 'Ожидалось ) после значения сопоставить');
+        return this.parseMatchBody(value, token);
+    }
+
+    /**
+     * Начинается ли с текущего токена выражение сопоставить (...) { — по
+     * парной скобке, без разбора значения
+     */
+    isMatchExpressionStart() {
+        if (this.peek(1).type !== 'LPAREN') {
+            return false;
+        }
+
+        let depth = 0;
+        for (let offset = 1; ; offset++) {
+            const token = this.peek(offset);
+            if (token.type === 'EOF') {
+                return false;
+            }
+            if (token.type === 'LPAREN' || token.type === 'LBRACKET' || token.type === 'LBRACE') {
+                depth++;
+            } else if (token.type === 'RPAREN' || token.type === 'RBRACKET' || token.type === 'RBRACE') {
+                depth--;
+                if (depth === 0) {
+                    return token.type === 'RPAREN' && this.peek(offset + 1).type === 'LBRACE';
+                }
+            }
+        }
+    }
+
+    /**
+     * Тело сопоставить — список ветвей
+     */
+    parseMatchBody(value, token) {
+        this.consume('LBRACE', null, 'Ожидалось { после сопоставить');
+
+        const arms = [];
+
+        while (!this.check('RBRACE') && !this.check('EOF')) {
+            if (this.check('NEWLINE') || this.check('COMMA') || this.check('SEMICOLON')) {
+                this.advance();
+                continue;
+            }
+
+            const pattern = this.parseMatchPattern();
+
+            let guard = null;
+            if (this.check('IF')) {
+                this.advance(); // consume если
+                guard = this.parseExpression();
+            }
+
+            this.consume('FATARROW', null, 'Ожидалось => после образца');
+            const result = this.parseExpression();
+
+            arms.push(new ASTNodes.MatchArm(pattern, guard, result));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалось } после ветвей сопоставить');
+
+        const node = new ASTNodes.MatchExpression(value, arms);
+        node.line = token.line;
+        node.column = token.column;
+        node.filename = token.filename;
+        return node;
+    }
+
+    /**
+     * Образец ветви сопоставить
+     */
+    parseMatchPattern() {
+        const token = this.peek();
+
+        if (token.type === 'LBRACKET') {
+            return this.parseArrayMatchPattern();
+        }
+
+        if (token.type === 'LBRACE') {
+            return this.parseObjectMatchPattern();
+        }
+
+        if (token.type === 'IDENTIFIER') {
+            this.advance();
+
+            const typeName = MATCH_TYPE_NAMES[token.value];
+            if (typeName) {
+                // Образец типа с необязательной привязкой: число(n)
+                let binding = null;
+                if (this.check('LPAREN')) {
+                    this.advance();
+                    binding = new ASTNodes.Identifier(this.consume('IDENTIFIER', null, 'Ожидалось имя привязки').value);
+                    this.consume('RPAREN', null, 'Ожидалось )');
+                }
+                return new ASTNodes.TypePattern(typeName, binding);
+            }
+
+            // Вариант перечисления: Цвет.Красный, Результат.Успех(x) или Успех(x)
+            if (this.check('DOT')) {
+                this.advance();
+                const variant = this.consume('IDENTIFIER', null, 'Ожидалось имя варианта').value;
+                return new ASTNodes.VariantPattern(token.value, variant, this.parseVariantArgs());
+            }
+            if (this.check('LPAREN')) {
+                return new ASTNodes.VariantPattern(null, token.value, this.parseVariantArgs());
+            }
+
+            return new ASTNodes.Identifier(token.value);
+        }
+
+        const literal = this.parseMatchLiteral();
+
+        // Диапазон: 1 до 10 (включительно)
+        if (this.check('TO')) {
+            this.advance();
+            return new ASTNodes.RangePattern(literal, this.parseMatchLiteral());
+        }
+
+        return literal;
+    }
+
+    /**
+     * Образцы полей варианта в скобках или null, если скобок нет
+     */
+    parseVariantArgs() {
+        if (!this.check('LPAREN')) {
+            return null;
+        }
+        this.advance();
+
+        const args = [];
+        while (!this.check('RPAREN')) {
+            if (this.check('NEWLINE')) {
+                this.advance();
+                continue;
+            }
+            args.push(this.parseMatchPattern());
+            if (!this.check('COMMA')) break;
+            this.advance();
+        }
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+        this.consume('RPAREN', null, 'Ожидалось )');
+
+        return args;
+    }
+
+    /**
+     * Литерал в образце
+     */
+    parseMatchLiteral() {
+        if (this.check('MINUS') && this.peek(1).type === 'INT') {
+            this.advance();
+            const value = this.advance().value;
+            return new ASTNodes.Literal(value instanceof Decimal ? value.neg() : -value);
+        }
+
+        switch (this.peek().type) {
+            case 'INT':
+            case 'STRING':
+                return new ASTNodes.Literal(this.advance().value);
+            case 'TRUE':
+                this.advance();
+                return new ASTNodes.Literal(true);
+            case 'FALSE':
+                this.advance();
+                return new ASTNodes.Literal(false);
+            case 'NULL':
+                this.advance();
+                return new ASTNodes.Literal(null);
+            default:
+                throw this.error('Ожидался образец');
+        }
+    }
+
+    /**
+     * Образец массива: [голова, ...хвост]
+     */
+    parseArrayMatchPattern() {
+        this.consume('LBRACKET', null, 'Ожидалось [');
+
+        const elements = [];
+
+        while (!this.check('RBRACKET')) {
+            if (this.check('NEWLINE')) {
+                this.advance();
+                continue;
+            }
+
+            if (this.check('SPREAD')) {
+                this.advance();
+                const name = this.consume('IDENTIFIER', null, 'Ожидалось имя после ...').value;
+                elements.push(new ASTNodes.RestElement(new ASTNodes.Identifier(name)));
+
+                while (this.check('NEWLINE')) {
+                    this.advance();
+                }
+                if (!this.check('RBRACKET')) {
+                    throw this.error('Остаточный образец должен быть последним');
+                }
+                break;
+            }
+
+            elements.push(this.parseMatchPattern());
+
+            if (this.check('COMMA')) {
+                this.advance();
+            } else {
+                break;
+            }
+        }
+
+        while (this.check('NEWLINE')) {
+            this.advance();
+        }
+
+        this.consume('RBRACKET', null, 'Ожидалось ]');
+
+        return new ASTNodes.ArrayPattern(elements);
+    }
+
+    /**
+     * Образец объекта: { ключ: образец, ключ, ...остальное }
+     */
+    parseObjectMatchPattern() {
+        this.consume('LBRACE', null, 'Ожидалась {');
+
+        const properties = [];
+
+        while (!this.check('RBRACE')) {
+            if (this.check('NEWLINE') || this.check('COMMA')) {
+                this.advance();
+                continue;
+            }
+
+            if (this.check('SPREAD')) {
+                this.advance();
+                const name = this.consume('IDENTIFIER', null, 'Ожидалось имя после ...').value;
+                properties.push(new ASTNodes.RestElement(new ASTNodes.Identifier(name)));
+                continue;
+            }
+
+            let key;
+            if (this.check('IDENTIFIER')) {
+                key = new ASTNodes.Identifier(this.advance().value);
+            } else if (this.check('STRING')) {
+                key = new ASTNodes.PropertyKey(this.advance().value);
+            } else {
+                throw this.error('Ожидался ключ свойства');
+            }
+
+            let value = new ASTNodes.Identifier(key.name ?? key.value);
+            if (this.check('COLON')) {
+                this.advance();
+                value = this.parseMatchPattern();
+            }
+
+            properties.push(new ASTNodes.Property(key, value));
+        }
+
+        this.consume('RBRACE', null, 'Ожидалась }');
+
+        return new ASTNodes.ObjectPattern(properties);
+    }
 }
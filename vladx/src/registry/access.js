@@ -0,0 +1,310 @@
+/**
+ * AccessControl — Права на пакеты реестра
+ *
+ * Пакет принадлежит своим maintainers. Пакеты @scope/* организации
+ * могут изменять её владельцы и участники команд с правом publish;
+ * новый scoped пакет без организации доступен только пользователю с
+ * именем scope. Пакеты без maintainers (опубликованные до появления
+ * владельцев) изменяют только участники организации с правом publish;
+ * остальным владельцев назначает миграция (migrate --owner)
+ */
+
+export const ORG_ROLES = ['owner', 'member'];
+export const TEAM_PERMISSIONS = ['read', 'publish'];
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Ошибка доступа с HTTP-статусом для ответа клиенту
+ */
+function accessError(message, status = 403) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export class AccessControl {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Scope пакета без @ или null
+     */
+    static scopeOf(name) {
+        const match = /^@([^/]+)\//.exec(name);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Имена владельцев пакета
+     */
+    static maintainerNames(pkg) {
+        return (pkg?.maintainers || []).map(maintainer => maintainer.name);
+    }
+
+    static assertName(name, what) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw accessError(`Недопустимое имя ${what}: ${name}`, 400);
+        }
+    }
+
+    /**
+     * Организация или ошибка 404
+     */
+    async requireOrg(orgName) {
+        const org = await this.storage.getOrg(orgName);
+        if (!org) {
+            throw accessError(`Организация ${orgName} не найдена`, 404);
+        }
+        return org;
+    }
+
+    async requireUser(name) {
+        const user = await this.storage.getUser(name);
+        if (!user) {
+            throw accessError(`Пользователь ${name} не найден`, 404);
+        }
+        return user;
+    }
+
+    static isOrgOwner(org, user) {
+        return org?.members?.[user] === 'owner';
+    }
+
+    /**
+     * Может ли пользователь публиковать в пакеты организации
+     */
+    static canPublishInOrg(org, user) {
+        return AccessControl.isOrgOwner(org, user) || Object.values(org?.teams || {})
+            .some(team => team.permission === 'publish' && team.members.includes(user));
+    }
+
+    /**
+     * Организация scope пакета или null
+     */
+    async orgOf(name) {
+        const scope = AccessControl.scopeOf(name);
+        return scope ? this.storage.getOrg(scope) : null;
+    }
+
+    /**
+     * Может ли пользователь публиковать версии, снимать их с публикации
+     * и менять dist-tags пакета. pkg — текущий документ или null,
+     * org — организация scope пакета (orgOf). Синхронная, чтобы проверять
+     * документ внутри updatePackage
+     */
+    static canWrite(org, user, name, pkg) {
+        if (org && AccessControl.canPublishInOrg(org, user)) {
+            return true;
+        }
+
+        const maintainers = AccessControl.maintainerNames(pkg);
+        if (maintainers.length > 0) {
+            return maintainers.includes(user);
+        }
+        if (org || pkg) {
+            return false;
+        }
+        // Новый пакет: scope без организации принадлежит одноимённому пользователю
+        const scope = AccessControl.scopeOf(name);
+        return !scope || scope === user;
+    }
+
+    static assertWrite(org, user, name, pkg) {
+        if (AccessControl.canWrite(org, user, name, pkg)) {
+            return;
+        }
+        if (!pkg) {
+            throw accessError(`Нет прав на публикацию в scope @${AccessControl.scopeOf(name)}`);
+        }
+        throw accessError(AccessControl.maintainerNames(pkg).length > 0
+            ? `Нет прав на изменение пакета ${name}: пользователь ${user} не владелец`
+            : `У пакета ${name} нет владельцев: их назначает администратор реестра`);
+    }
+
+    /**
+     * Управлять владельцами могут сами владельцы и владельцы организации
+     */
+    async canManageOwners(user, name, pkg) {
+        if (AccessControl.isOrgOwner(await this.orgOf(name), user)) {
+            return true;
+        }
+        return AccessControl.maintainerNames(pkg).includes(user);
+    }
+
+    /**
+     * Добавить владельца пакета
+     */
+    async addOwner(user, name, owner) {
+        const pkg = await this.storage.getPackage(name);
+        if (!pkg) {
+            throw accessError(`Пакет ${name} не найден`, 404);
+        }
+        if (!await this.canManageOwners(user, name, pkg)) {
+            throw accessError(`Нет прав на управление владельцами ${name}`);
+        }
+        const { email } = await this.requireUser(owner);
+
+        return this.storage.updatePackage(name, current => {
+            if (!current) throw accessError(`Пакет ${name} не найден`, 404);
+            const maintainers = (current.maintainers || []).filter(maintainer => maintainer.name !== owner);
+            return { ...current, maintainers: [...maintainers, { name: owner, email }] };
+        });
+    }
+
+    /**
+     * Удалить владельца пакета; последнего владельца удалить нельзя
+     */
+    async removeOwner(user, name, owner) {
+        const pkg = await this.storage.getPackage(name);
+        if (!pkg) {
+            throw accessError(`Пакет ${name} не найден`, 404);
+        }
+        if (!await this.canManageOwners(user, name, pkg)) {
+            throw accessError(`Нет прав на управление владельцами ${name}`);
+        }
+
+        return this.storage.updatePackage(name, current => {
+            if (!current) throw accessError(`Пакет ${name} не найден`, 404);
+            const maintainers = current.maintainers || [];
+            if (!maintainers.some(maintainer => maintainer.name === owner)) {
+                throw accessError(`${owner} не владелец ${name}`, 404);
+            }
+            if (maintainers.length === 1) {
+                throw accessError(`Нельзя удалить последнего владельца ${name}`, 400);
+            }
+            return { ...current, maintainers: maintainers.filter(maintainer => maintainer.name !== owner) };
+        });
+    }
+
+    /**
+     * Создать организацию; создатель становится её владельцем
+     */
+    async createOrg(user, orgName) {
+        AccessControl.assertName(orgName, 'организации');
+        if (orgName !== user && await this.storage.getUser(orgName)) {
+            throw accessError(`Имя ${orgName} занято пользователем`, 409);
+        }
+
+        return this.storage.updateOrg(orgName, existing => {
+            if (existing) throw accessError(`Организация ${orgName} уже существует`, 409);
+            return {
+                name: orgName,
+                members: { [user]: 'owner' },
+                teams: {},
+                createdAt: new Date().toISOString()
+            };
+        });
+    }
+
+    /**
+     * Организация для участника (остальным — 403)
+     */
+    async viewOrg(user, orgName) {
+        const org = await this.requireOrg(orgName);
+        if (!org.members[user]) {
+            throw accessError(`${user} не участник организации ${orgName}`);
+        }
+        return org;
+    }
+
+    /**
+     * Изменить организацию от имени её владельца
+     */
+    async updateOrgAsOwner(user, orgName, updater) {
+        const org = await this.requireOrg(orgName);
+        if (!AccessControl.isOrgOwner(org, user)) {
+            throw accessError(`Изменять организацию ${orgName} могут только её владельцы`);
+        }
+        return this.storage.updateOrg(orgName, current => {
+            if (!current) throw accessError(`Организация ${orgName} не найдена`, 404);
+            return updater(current);
+        });
+    }
+
+    async setOrgMember(user, orgName, member, role = 'member') {
+        if (!ORG_ROLES.includes(role)) {
+            throw accessError(`Роль: ${ORG_ROLES.join(', ')}`, 400);
+        }
+        await this.requireUser(member);
+        return this.updateOrgAsOwner(user, orgName, org => {
+            const owners = Object.keys(org.members).filter(name => org.members[name] === 'owner');
+            if (role !== 'owner' && owners.length === 1 && owners[0] === member) {
+                throw accessError(`Нельзя понизить последнего владельца ${orgName}`, 400);
+            }
+            return { ...org, members: { ...org.members, [member]: role } };
+        });
+    }
+
+    /**
+     * Удалить участника из организации и всех её команд
+     */
+    async removeOrgMember(user, orgName, member) {
+        return this.updateOrgAsOwner(user, orgName, org => {
+            if (!org.members[member]) {
+                throw accessError(`${member} не участник организации ${orgName}`, 404);
+            }
+            const { [member]: removed, ...members } = org.members;
+            if (!Object.values(members).includes('owner')) {
+                throw accessError(`Нельзя удалить последнего владельца ${orgName}`, 400);
+            }
+            const teams = {};
+            for (const [teamName, team] of Object.entries(org.teams)) {
+                teams[teamName] = { ...team, members: team.members.filter(name => name !== member) };
+            }
+            return { ...org, members, teams };
+        });
+    }
+
+    async createTeam(user, orgName, teamName, permission = 'read') {
+        AccessControl.assertName(teamName, 'команды');
+        if (!TEAM_PERMISSIONS.includes(permission)) {
+            throw accessError(`Право команды: ${TEAM_PERMISSIONS.join(', ')}`, 400);
+        }
+        return this.updateOrgAsOwner(user, orgName, org => {
+            const team = org.teams[teamName];
+            return { ...org, teams: { ...org.teams, [teamName]: { members: team?.members || [], permission } } };
+        });
+    }
+
+    async removeTeam(user, orgName, teamName) {
+        return this.updateOrgAsOwner(user, orgName, org => {
+            if (!org.teams[teamName]) {
+                throw accessError(`Команда ${orgName}:${teamName} не найдена`, 404);
+            }
+            const { [teamName]: removed, ...teams } = org.teams;
+            return { ...org, teams };
+        });
+    }
+
+    /**
+     * Добавить участника организации в команду
+     */
+    async addTeamMember(user, orgName, teamName, member) {
+        return this.updateOrgAsOwner(user, orgName, org => {
+            const team = org.teams[teamName];
+            if (!team) {
+                throw accessError(`Команда ${orgName}:${teamName} не найдена`, 404);
+            }
+            if (!org.members[member]) {
+                throw accessError(`${member} не участник организации ${orgName}`, 400);
+            }
+            const members = team.members.includes(member) ? team.members : [...team.members, member];
+            return { ...org, teams: { ...org.teams, [teamName]: { ...team, members } } };
+        });
+    }
+
+    async removeTeamMember(user, orgName, teamName, member) {
+        return this.updateOrgAsOwner(user, orgName, org => {
+            const team = org.teams[teamName];
+            if (!team) {
+                throw accessError(`Команда ${orgName}:${teamName} не найдена`, 404);
+            }
+            const members = team.members.filter(name => name !== member);
+            return { ...org, teams: { ...org.teams, [teamName]: { ...team, members } } };
+        });
+    }
+}
+
+export default AccessControl;
@@ -0,0 +1,230 @@
+/**
+ * FsStorage — Хранилище реестра в файловой системе
+ *
+ * packages/<имя>/package.json — документ пакета (рядом с его архивами),
+ * users/<имя>.json, tokens/<sha256>.json, orgs/<имя>.json, advisories.json,
+ * журнал audit.log (строка JSON на действие). Каждая запись
+ * пишется атомарно, изменение пакета выполняется под блокировкой его файла,
+ * которая действует и между процессами
+ */
+
+import { existsSync, readFileSync, readdirSync, rmSync, statSync, writeFileSync, mkdirSync, appendFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { RegistryStorage, writeFileAtomic } from './storage.js';
+
+const LOCK_RETRY_MS = 20;
+// Блокировка старше этого срока осталась от упавшего процесса
+const LOCK_STALE_MS = 30000;
+const LOCK_TIMEOUT_MS = 10000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class FsStorage extends RegistryStorage {
+    constructor(rootDir) {
+        super(rootDir);
+        this.usersDir = join(rootDir, 'users');
+        this.tokensDir = join(rootDir, 'tokens');
+        this.orgsDir = join(rootDir, 'orgs');
+        this.advisoriesFile = join(rootDir, 'advisories.json');
+        this.auditFile = join(rootDir, 'audit.log');
+        // Очереди блокировок внутри процесса: файл → последнее ожидание
+        this.queues = new Map();
+    }
+
+    readJson(filePath, defaultValue = null) {
+        return existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf-8')) : defaultValue;
+    }
+
+    writeJson(filePath, data) {
+        writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Выполнить fn под блокировкой файла: сначала очередь процесса,
+     * затем файл <путь>.lock, созданный эксклюзивно
+     */
+    async withLock(filePath, fn) {
+        const previous = this.queues.get(filePath) || Promise.resolve();
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const current = previous.then(() => held);
+        this.queues.set(filePath, current);
+        await previous;
+
+        const lockPath = `${filePath}.lock`;
+        try {
+            await this.acquireLock(lockPath);
+            try {
+                return await fn();
+            } finally {
+                rmSync(lockPath, { force: true });
+            }
+        } finally {
+            release();
+            if (this.queues.get(filePath) === current) this.queues.delete(filePath);
+        }
+    }
+
+    async acquireLock(lockPath) {
+        mkdirSync(dirname(lockPath), { recursive: true });
+        const started = Date.now();
+
+        for (;;) {
+            try {
+                writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                if (Date.now() - statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+                    rmSync(lockPath, { force: true });
+                    continue;
+                }
+            } catch {
+                // Блокировку сняли между попытками
+                continue;
+            }
+            if (Date.now() - started > LOCK_TIMEOUT_MS) {
+                throw new Error(`Не удалось получить блокировку ${lockPath}`);
+            }
+            await sleep(LOCK_RETRY_MS);
+        }
+    }
+
+    userPath(name) {
+        return join(this.usersDir, `${encodeURIComponent(name)}.json`);
+    }
+
+    async getUser(name) {
+        return this.readJson(this.userPath(name));
+    }
+
+    async putUser(name, user) {
+        const filePath = this.userPath(name);
+        await this.withLock(filePath, () => this.writeJson(filePath, user));
+    }
+
+    async countUsers() {
+        return existsSync(this.usersDir) ? readdirSync(this.usersDir).filter(file => file.endsWith('.json')).length : 0;
+    }
+
+    tokenPath(token) {
+        return join(this.tokensDir, `${RegistryStorage.tokenKey(token)}.json`);
+    }
+
+    async getToken(token) {
+        return this.readJson(this.tokenPath(token));
+    }
+
+    async putToken(token, data) {
+        this.writeJson(this.tokenPath(token), data);
+    }
+
+    async listTokens() {
+        if (!existsSync(this.tokensDir)) return [];
+        return readdirSync(this.tokensDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => ({ key: file.slice(0, -'.json'.length), ...this.readJson(join(this.tokensDir, file)) }));
+    }
+
+    async deleteToken(key) {
+        if (!/^[0-9a-f]{64}$/.test(key)) return;
+        rmSync(join(this.tokensDir, `${key}.json`), { force: true });
+    }
+
+    packagePath(name) {
+        RegistryStorage.assertPackageName(name);
+        return join(this.tarballDir, name, 'package.json');
+    }
+
+    async getPackage(name) {
+        return this.readJson(this.packagePath(name));
+    }
+
+    packageNames() {
+        if (!existsSync(this.tarballDir)) return [];
+
+        const names = [];
+        for (const entry of readdirSync(this.tarballDir, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            const scoped = entry.name.startsWith('@')
+                ? readdirSync(join(this.tarballDir, entry.name)).map(name => `${entry.name}/${name}`)
+                : [entry.name];
+            names.push(...scoped.filter(name => existsSync(join(this.tarballDir, name, 'package.json'))));
+        }
+        return names.sort();
+    }
+
+    async listPackages() {
+        return this.packageNames().map(name => [name, this.readJson(this.packagePath(name))]);
+    }
+
+    async countPackages() {
+        return this.packageNames().length;
+    }
+
+    /**
+     * Изменить документ под блокировкой: updater возвращает новый документ
+     * или null — удалить файл
+     */
+    async updateJson(filePath, updater) {
+        return this.withLock(filePath, () => {
+            const next = updater(this.readJson(filePath));
+            if (next === null) {
+                rmSync(filePath, { force: true });
+            } else {
+                this.writeJson(filePath, next);
+            }
+            return next;
+        });
+    }
+
+    async updatePackage(name, updater) {
+        return this.updateJson(this.packagePath(name), updater);
+    }
+
+    orgPath(name) {
+        return join(this.orgsDir, `${encodeURIComponent(name)}.json`);
+    }
+
+    async getOrg(name) {
+        return this.readJson(this.orgPath(name));
+    }
+
+    async updateOrg(name, updater) {
+        return this.updateJson(this.orgPath(name), updater);
+    }
+
+    async listAdvisories() {
+        return Object.values(this.readJson(this.advisoriesFile, {}));
+    }
+
+    async addAdvisory(advisory) {
+        return this.withLock(this.advisoriesFile, () => {
+            const advisories = this.readJson(this.advisoriesFile, {});
+            const id = advisory.id ?? Math.max(1000, ...Object.keys(advisories).map(Number)) + 1;
+            advisories[id] = { ...advisory, id };
+            this.writeJson(this.advisoriesFile, advisories);
+            return advisories[id];
+        });
+    }
+
+    async appendAudit(entry) {
+        // Одна запись — один вызов write с O_APPEND, строки не перемешиваются
+        appendFileSync(this.auditFile, `${JSON.stringify(entry)}\n`);
+    }
+
+    async listAudit(filter = {}) {
+        if (!existsSync(this.auditFile)) return [];
+        const entries = readFileSync(this.auditFile, 'utf-8')
+            .split('\n')
+            .filter(Boolean)
+            .map(line => JSON.parse(line))
+            .filter(entry => (!filter.package || entry.package === filter.package) && (!filter.user || entry.user === filter.user));
+        return filter.limit ? entries.slice(-filter.limit) : entries;
+    }
+}
+
+export default FsStorage;
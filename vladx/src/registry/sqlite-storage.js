@@ -0,0 +1,191 @@
+/**
+ * SqliteStorage — Хранилище реестра в SQLite
+ *
+ * Документы хранятся JSON-строками в таблицах users, tokens, packages, orgs,
+ * advisories и audit; изменение пакета — транзакция BEGIN IMMEDIATE, поэтому
+ * несколько процессов реестра могут работать с одной базой. Драйвер —
+ * пакет better-sqlite3 или встроенный node:sqlite
+ */
+
+import { RegistryStorage } from './storage.js';
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS users (name TEXT PRIMARY KEY, document TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS tokens (key TEXT PRIMARY KEY, document TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS packages (name TEXT PRIMARY KEY, document TEXT NOT NULL, updated_at TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS advisories (id INTEGER PRIMARY KEY, package TEXT NOT NULL, document TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS advisories_package ON advisories (package);
+    CREATE TABLE IF NOT EXISTS orgs (name TEXT PRIMARY KEY, document TEXT NOT NULL);
+    CREATE TABLE IF NOT EXISTS audit (id INTEGER PRIMARY KEY AUTOINCREMENT, package TEXT, user TEXT, document TEXT NOT NULL);
+    CREATE INDEX IF NOT EXISTS audit_package ON audit (package);
+`;
+
+/**
+ * Класс базы данных: better-sqlite3 или DatabaseSync из node:sqlite
+ */
+async function loadDriver() {
+    try {
+        return (await import('better-sqlite3')).default;
+    } catch {
+        try {
+            return (await import('node:sqlite')).DatabaseSync;
+        } catch {
+            throw new Error('Для REGISTRY_STORAGE=sqlite установите better-sqlite3 (npm install better-sqlite3) или используйте Node.js с модулем node:sqlite');
+        }
+    }
+}
+
+export class SqliteStorage extends RegistryStorage {
+    constructor(rootDir, file) {
+        super(rootDir);
+        this.file = file;
+        this.db = null;
+    }
+
+    async init() {
+        const Database = await loadDriver();
+        this.db = new Database(this.file);
+        this.db.exec('PRAGMA journal_mode = WAL');
+        this.db.exec('PRAGMA busy_timeout = 5000');
+        this.db.exec(SCHEMA);
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+        this.db = null;
+    }
+
+    /**
+     * fn в транзакции, блокирующей запись для других процессов
+     */
+    transaction(fn) {
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            const result = fn();
+            this.db.exec('COMMIT');
+            return result;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    document(row) {
+        return row ? JSON.parse(row.document) : null;
+    }
+
+    count(table) {
+        return this.db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).get().count;
+    }
+
+    async getUser(name) {
+        return this.document(this.db.prepare('SELECT document FROM users WHERE name = ?').get(name));
+    }
+
+    async putUser(name, user) {
+        this.db.prepare('INSERT OR REPLACE INTO users (name, document) VALUES (?, ?)').run(name, JSON.stringify(user));
+    }
+
+    async countUsers() {
+        return this.count('users');
+    }
+
+    async getToken(token) {
+        return this.document(this.db.prepare('SELECT document FROM tokens WHERE key = ?').get(RegistryStorage.tokenKey(token)));
+    }
+
+    async putToken(token, data) {
+        this.db.prepare('INSERT OR REPLACE INTO tokens (key, document) VALUES (?, ?)').run(RegistryStorage.tokenKey(token), JSON.stringify(data));
+    }
+
+    async listTokens() {
+        return this.db.prepare('SELECT key, document FROM tokens').all()
+            .map(row => ({ key: row.key, ...JSON.parse(row.document) }));
+    }
+
+    async deleteToken(key) {
+        this.db.prepare('DELETE FROM tokens WHERE key = ?').run(key);
+    }
+
+    async getPackage(name) {
+        return this.document(this.db.prepare('SELECT document FROM packages WHERE name = ?').get(name));
+    }
+
+    async listPackages() {
+        return this.db.prepare('SELECT name, document FROM packages ORDER BY name').all()
+            .map(row => [row.name, JSON.parse(row.document)]);
+    }
+
+    async countPackages() {
+        return this.count('packages');
+    }
+
+    async updatePackage(name, updater) {
+        RegistryStorage.assertPackageName(name);
+        return this.transaction(() => {
+            const next = updater(this.document(this.db.prepare('SELECT document FROM packages WHERE name = ?').get(name)));
+            if (next === null) {
+                this.db.prepare('DELETE FROM packages WHERE name = ?').run(name);
+            } else {
+                this.db.prepare('INSERT OR REPLACE INTO packages (name, document, updated_at) VALUES (?, ?, ?)')
+                    .run(name, JSON.stringify(next), new Date().toISOString());
+            }
+            return next;
+        });
+    }
+
+    async getOrg(name) {
+        return this.document(this.db.prepare('SELECT document FROM orgs WHERE name = ?').get(name));
+    }
+
+    async updateOrg(name, updater) {
+        return this.transaction(() => {
+            const next = updater(this.document(this.db.prepare('SELECT document FROM orgs WHERE name = ?').get(name)));
+            if (next === null) {
+                this.db.prepare('DELETE FROM orgs WHERE name = ?').run(name);
+            } else {
+                this.db.prepare('INSERT OR REPLACE INTO orgs (name, document) VALUES (?, ?)').run(name, JSON.stringify(next));
+            }
+            return next;
+        });
+    }
+
+    async listAdvisories() {
+        return this.db.prepare('SELECT document FROM advisories ORDER BY id').all().map(row => JSON.parse(row.document));
+    }
+
+    async addAdvisory(advisory) {
+        return this.transaction(() => {
+            const id = advisory.id ?? this.db.prepare('SELECT COALESCE(MAX(id), 1000) + 1 AS id FROM advisories').get().id;
+            const record = { ...advisory, id };
+            this.db.prepare('INSERT OR REPLACE INTO advisories (id, package, document) VALUES (?, ?, ?)')
+                .run(id, record.package, JSON.stringify(record));
+            return record;
+        });
+    }
+
+    async appendAudit(entry) {
+        this.db.prepare('INSERT INTO audit (package, user, document) VALUES (?, ?, ?)')
+            .run(entry.package ?? null, entry.user ?? null, JSON.stringify(entry));
+    }
+
+    async listAudit(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.package) {
+            conditions.push('package = ?');
+            params.push(filter.package);
+        }
+        if (filter.user) {
+            conditions.push('user = ?');
+            params.push(filter.user);
+        }
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const limit = filter.limit ? `LIMIT ${Number(filter.limit)}` : '';
+        // Последние limit записей в порядке добавления
+        return this.db.prepare(`SELECT document FROM (SELECT id, document FROM audit ${where} ORDER BY id DESC ${limit}) ORDER BY id`)
+            .all(...params).map(row => JSON.parse(row.document));
+    }
+}
+
+export default SqliteStorage;
@@ -0,0 +1,221 @@
+/**
+ * RegistryStorage — Хранилище данных реестра пакетов
+ *
+ * Общий интерфейс для реализаций fs (JSON-файл на каждый пакет и
+ * пользователя) и sqlite; реализация выбирается переменной REGISTRY_STORAGE.
+ * Архивы пакетов в обоих случаях лежат в каталоге packages/<имя>/
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, copyFileSync, openSync, writeSync, fsyncSync, closeSync, renameSync } from 'fs';
+import { join, dirname, resolve } from 'path';
+import crypto from 'crypto';
+
+export const STORAGE_TYPES = ['fs', 'sqlite'];
+
+// Файлы данных реестра до появления хранилищ
+const LEGACY_FILES = ['users.json', 'packages.json', 'tokens.json'];
+
+/**
+ * Записать файл атомарно: временный файл рядом и переименование
+ */
+export function writeFileAtomic(filePath, data) {
+    mkdirSync(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = openSync(tempPath, 'w');
+    try {
+        writeSync(fd, typeof data === 'string' ? data : Buffer.from(data));
+        fsyncSync(fd);
+    } finally {
+        closeSync(fd);
+    }
+    renameSync(tempPath, filePath);
+}
+
+/**
+ * Интерфейс хранилища (все методы асинхронные):
+ *   getUser(name), putUser(name, user), countUsers()
+ *   getToken(token), putToken(token, data), listTokens() → [{ key, ...data }],
+ *     deleteToken(key) — key = tokenKey(token)
+ *   getPackage(name), listPackages() → [[имя, документ]], countPackages()
+ *   updatePackage(name, updater) — updater(документ | null) синхронно
+ *     возвращает новый документ или null (удалить); выполняется под
+ *     блокировкой пакета
+ *   getOrg(name), updateOrg(name, updater) — как updatePackage
+ *   listAdvisories(), addAdvisory(advisory) → запись с присвоенным id
+ *   appendAudit(entry), listAudit({ package, user, limit }) — журнал действий
+ *   close()
+ */
+export class RegistryStorage {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.tarballDir = join(rootDir, 'packages');
+    }
+
+    /**
+     * Хранилище по типу: fs (по умолчанию) или sqlite
+     */
+    static async create(options = {}) {
+        const type = options.type || 'fs';
+        const rootDir = resolve(options.rootDir);
+        mkdirSync(rootDir, { recursive: true });
+
+        let storage;
+        if (type === 'fs') {
+            const { FsStorage } = await import('./fs-storage.js');
+            storage = new FsStorage(rootDir);
+        } else if (type === 'sqlite') {
+            const { SqliteStorage } = await import('./sqlite-storage.js');
+            storage = new SqliteStorage(rootDir, options.sqlitePath || join(rootDir, 'registry.db'));
+        } else {
+            throw new Error(`Неизвестное хранилище REGISTRY_STORAGE=${type}. Допустимые: ${STORAGE_TYPES.join(', ')}`);
+        }
+
+        await storage.init();
+        return storage;
+    }
+
+    async init() {}
+
+    async close() {}
+
+    /**
+     * Ключ токена: в хранилище токены лежат только в виде sha256
+     */
+    static tokenKey(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    /**
+     * Имя пакета безопасно для пути: имя или @scope/имя без . и .. в начале сегментов
+     */
+    static assertPackageName(name) {
+        if (typeof name !== 'string' || !/^(?:@[^/\\.][^/\\]*\/)?[^/\\.@][^/\\]*$/.test(name)) {
+            throw new Error(`Недопустимое имя пакета: ${name}`);
+        }
+    }
+
+    /**
+     * Путь к архиву пакета
+     */
+    tarballPath(name, filename) {
+        RegistryStorage.assertPackageName(name);
+        if (!/^[^/\\.][^/\\]*\.tgz$/.test(filename)) {
+            throw new Error(`Недопустимое имя архива: ${filename}`);
+        }
+        return join(this.tarballDir, name, filename);
+    }
+
+    async writeTarball(name, filename, data) {
+        writeFileAtomic(this.tarballPath(name, filename), data);
+    }
+
+    /**
+     * Удалить архив; пустой каталог пакета удаляется вместе с ним
+     */
+    async removeTarball(name, filename) {
+        const filePath = this.tarballPath(name, filename);
+        rmSync(filePath, { force: true });
+
+        const packageDir = dirname(filePath);
+        if (existsSync(packageDir) && readdirSync(packageDir).length === 0) {
+            rmSync(packageDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Удалить все архивы пакета
+     */
+    async removeTarballs(name) {
+        RegistryStorage.assertPackageName(name);
+        const packageDir = join(this.tarballDir, name);
+        if (!existsSync(packageDir)) return;
+
+        for (const file of readdirSync(packageDir)) {
+            if (file.endsWith('.tgz')) rmSync(join(packageDir, file), { force: true });
+        }
+        if (readdirSync(packageDir).length === 0) {
+            rmSync(packageDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Есть ли в каталоге данные в старом формате (users.json, packages.json, tokens.json)
+     */
+    static hasLegacyFiles(dir) {
+        return LEGACY_FILES.some(file => existsSync(join(dir, file)));
+    }
+
+    /**
+     * Публиковавший первую версию пакета (_npmUser) или null
+     */
+    static firstPublisher(document) {
+        const manifest = Object.values(document.versions || {}).find(manifest => manifest._npmUser?.name);
+        return manifest ? { name: manifest._npmUser.name, email: manifest._npmUser.email } : null;
+    }
+
+    /**
+     * Импорт старых users.json, tokens.json, packages.json и advisories.json.
+     * Повторный импорт перезаписывает те же записи. Пакетам хранилища без
+     * maintainers назначается публиковавший первую версию, иначе owner
+     */
+    async importJson(sourceDir, options = {}) {
+        const read = file => {
+            const filePath = join(sourceDir, file);
+            return existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf-8')) : {};
+        };
+        const counts = { users: 0, tokens: 0, packages: 0, advisories: 0, tarballs: 0, owners: 0, ownerless: 0 };
+
+        for (const [name, user] of Object.entries(read('users.json'))) {
+            await this.putUser(name, user);
+            counts.users++;
+        }
+        const ownerUser = options.owner && await this.getUser(options.owner);
+        if (options.owner && !ownerUser) {
+            throw new Error(`Пользователь ${options.owner} не найден: владельцем может быть только зарегистрированный пользователь`);
+        }
+        const owner = ownerUser && { name: options.owner, email: ownerUser.email };
+
+        for (const [token, data] of Object.entries(read('tokens.json'))) {
+            await this.putToken(token, data);
+            counts.tokens++;
+        }
+
+        const existingAdvisories = new Set((await this.listAdvisories()).map(advisory => advisory.id));
+        for (const advisory of Object.values(read('advisories.json'))) {
+            if (existingAdvisories.has(advisory.id)) continue;
+            await this.addAdvisory(advisory);
+            counts.advisories++;
+        }
+
+        const sourceTarballs = join(sourceDir, 'packages');
+        for (const [name, document] of Object.entries(read('packages.json'))) {
+            await this.updatePackage(name, () => document);
+            counts.packages++;
+
+            const packageDir = join(sourceTarballs, name);
+            if (resolve(sourceTarballs) === resolve(this.tarballDir) || !existsSync(packageDir)) continue;
+            for (const file of readdirSync(packageDir).filter(file => file.endsWith('.tgz'))) {
+                const target = this.tarballPath(name, file);
+                mkdirSync(dirname(target), { recursive: true });
+                copyFileSync(join(packageDir, file), target);
+                counts.tarballs++;
+            }
+        }
+
+        for (const [name, document] of await this.listPackages()) {
+            if (document.maintainers?.length) continue;
+            const maintainer = RegistryStorage.firstPublisher(document) || owner;
+            if (!maintainer) {
+                counts.ownerless++;
+                continue;
+            }
+            await this.updatePackage(name, current =>
+                current && !current.maintainers?.length ? { ...current, maintainers: [maintainer] } : current);
+            counts.owners++;
+        }
+
+        return counts;
+    }
+}
+
+export default RegistryStorage;
@@ -0,0 +1,206 @@
+/**
+ * Uplink — Вышестоящий реестр для пакетов, которых нет локально
+ *
+ * Документы пакетов кэшируются на ttl секунд и перепроверяются по ETag,
+ * архивы неизменяемы и кэшируются после сверки с integrity. Если
+ * вышестоящий реестр недоступен, отдаётся кэш (даже устаревший).
+ * Правила по шаблонам имён решают, какие пакеты только локальные
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { RegistryStorage, writeFileAtomic } from './storage.js';
+import { Integrity } from '../vladpm/integrity.js';
+
+export const ACCESS_TYPES = ['private', 'proxy'];
+
+/**
+ * Ошибка вышестоящего реестра с HTTP-статусом для ответа клиенту
+ */
+function uplinkError(message, status = 502) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+export class Uplink {
+    constructor(options = {}) {
+        this.url = options.url ? options.url.replace(/\/+$/, '') : null;
+        this.ttl = (options.ttl ?? 300) * 1000;
+        this.timeout = options.timeout ?? 10000;
+        this.cacheDir = options.cacheDir;
+        // [{ pattern, access }] — выигрывает первое совпадение; по умолчанию proxy
+        this.rules = (options.packages || []).map(rule => {
+            if (!ACCESS_TYPES.includes(rule.access)) {
+                throw new Error(`Неверный access "${rule.access}" для ${rule.pattern}. Допустимые: ${ACCESS_TYPES.join(', ')}`);
+            }
+            return { ...rule, regexp: Uplink.patternToRegExp(rule.pattern) };
+        });
+        this.logger = options.logger || console;
+        // Одновременные запросы одного архива скачивают его один раз
+        this.pending = new Map();
+    }
+
+    /**
+     * Настройки из config.json реестра (поле uplink и packages);
+     * переменная REGISTRY_UPLINK задаёт адрес без файла
+     */
+    static fromConfig(options = {}) {
+        const configPath = options.configPath || join(options.registryPath, 'config.json');
+        const config = existsSync(configPath) ? JSON.parse(readFileSync(configPath, 'utf-8')) : {};
+        const uplink = config.uplink || {};
+
+        return new Uplink({
+            ...uplink,
+            url: options.url || uplink.url,
+            packages: config.packages,
+            cacheDir: join(options.registryPath, 'uplink-cache'),
+            logger: options.logger
+        });
+    }
+
+    /**
+     * @scope/* — все пакеты scope, * — любое имя без /, ** — любое имя
+     */
+    static patternToRegExp(pattern) {
+        const source = pattern
+            .split(/(\*\*|\*)/)
+            .map(part => part === '**' ? '.*' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Доступ к пакету: private — только локальный, proxy — локальный или из uplink
+     */
+    access(name) {
+        const rule = this.rules.find(rule => rule.regexp.test(name));
+        return rule ? rule.access : 'proxy';
+    }
+
+    /**
+     * Проксируется ли пакет
+     */
+    proxies(name) {
+        return Boolean(this.url) && this.access(name) === 'proxy';
+    }
+
+    cachePath(name, file) {
+        RegistryStorage.assertPackageName(name);
+        return join(this.cacheDir, name, file);
+    }
+
+    readCached(name) {
+        const filePath = this.cachePath(name, 'packument.json');
+        return existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf-8')) : null;
+    }
+
+    async request(url, headers = {}) {
+        return fetch(url, { headers, signal: AbortSignal.timeout(this.timeout) });
+    }
+
+    packumentUrl(name) {
+        return `${this.url}/${encodeURIComponent(name).replace(/^%40/, '@')}`;
+    }
+
+    /**
+     * Документ пакета из uplink: { document, stale } или null, если пакета нет.
+     * stale — вышестоящий реестр недоступен и отдан устаревший кэш
+     */
+    async packument(name) {
+        const cached = this.readCached(name);
+        if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+            return { document: cached.document, stale: false };
+        }
+
+        let response;
+        try {
+            response = await this.request(this.packumentUrl(name), cached?.etag ? { 'If-None-Match': cached.etag } : {});
+        } catch (error) {
+            return this.fallback(name, cached, error.message);
+        }
+
+        if (response.status === 304 && cached) {
+            this.writeCached(name, { ...cached, fetchedAt: Date.now() });
+            return { document: cached.document, stale: false };
+        }
+        if (response.status === 404) {
+            return null;
+        }
+        if (!response.ok) {
+            return this.fallback(name, cached, `HTTP ${response.status}`);
+        }
+
+        const document = await response.json();
+        this.writeCached(name, { fetchedAt: Date.now(), etag: response.headers.get('etag'), document });
+        return { document, stale: false };
+    }
+
+    fallback(name, cached, reason) {
+        if (cached) {
+            this.logger.warn(`Uplink ${this.url} недоступен (${reason}), ${name} отдан из кэша`);
+            return { document: cached.document, stale: true };
+        }
+        throw uplinkError(`Вышестоящий реестр недоступен (${reason}), ${name} нет в кэше`);
+    }
+
+    writeCached(name, entry) {
+        writeFileAtomic(this.cachePath(name, 'packument.json'), JSON.stringify(entry));
+    }
+
+    /**
+     * Путь к архиву в кэше; при необходимости архив скачивается из uplink
+     * и сверяется с integrity версии. null — такого архива у пакета нет
+     */
+    async tarball(name, filename) {
+        const filePath = this.cachePath(name, filename);
+        if (existsSync(filePath)) return filePath;
+
+        const key = `${name}/${filename}`;
+        if (!this.pending.has(key)) {
+            this.pending.set(key, this.download(name, filename, filePath).finally(() => this.pending.delete(key)));
+        }
+        return this.pending.get(key);
+    }
+
+    async download(name, filename, filePath) {
+        const result = await this.packument(name);
+        const version = result && Object.values(result.document.versions || {})
+            .find(manifest => manifest.dist?.tarball && manifest.dist.tarball.split('/').pop() === filename);
+        if (!version) return null;
+
+        let response;
+        try {
+            response = await this.request(version.dist.tarball);
+        } catch (error) {
+            throw uplinkError(`Вышестоящий реестр недоступен (${error.message}), архива ${filename} нет в кэше`);
+        }
+        if (!response.ok) {
+            throw uplinkError(`Uplink вернул HTTP ${response.status} для ${filename}`);
+        }
+
+        const data = Buffer.from(await response.arrayBuffer());
+        const expected = Integrity.fromDist(version.dist);
+        if (expected && !Integrity.verify(data, expected)) {
+            throw uplinkError(`Контрольная сумма архива ${filename} из uplink не совпадает`);
+        }
+        writeFileAtomic(filePath, data);
+        return filePath;
+    }
+
+    /**
+     * Копия документа, где архивы скачиваются через этот реестр
+     */
+    rewriteTarballs(name, document, baseUrl) {
+        const versions = {};
+        for (const [version, manifest] of Object.entries(document.versions || {})) {
+            const filename = manifest.dist?.tarball?.split('/').pop();
+            versions[version] = filename
+                ? { ...manifest, dist: { ...manifest.dist, tarball: `${baseUrl}/${name}/-/${filename}` } }
+                : manifest;
+        }
+        return { ...document, versions };
+    }
+}
+
+export default Uplink;
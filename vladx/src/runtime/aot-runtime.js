@@ -0,0 +1,834 @@
+/**
+ * AOT Runtime — Среда выполнения для программ, скомпилированных `vladx compile`
+ * Собирается вместе с json-codec и decimal в один файл vladx-runtime.js рядом со
+ * скомпилированным кодом и не зависит от интерпретатора
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { encodeJson, decodeJson } from './json-codec.js';
+import { Decimal, isExact, exactBinary } from './decimal.js';
+
+const GENERATOR_TAG = Symbol('vladx.generator');
+const ENUM_TAG = Symbol('vladx.enum');
+const VARIANT_TAG = Symbol('vladx.variant');
+
+/**
+ * Обычный объект-словарь (в отличие от экземпляров классов и коллекций)
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') {
+        return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Числовой оператор: большие и десятичные операнды считаются по правилам интерпретатора,
+ * отсутствующее значение (undefined) — как ничто
+ */
+const numeric = (operator, apply) => (left = null, right = null) => {
+    if (isExact(left) || isExact(right)) {
+        const result = exactBinary(operator, left, right);
+        if (result !== undefined) {
+            return result;
+        }
+    }
+    return apply(left, right);
+};
+
+/**
+ * Вариант перечисления: Цвет.Красный или Результат.Успех(5); поля читаются как свойства
+ */
+class Вариант {
+    constructor(owner, name, fields = null, values = []) {
+        Object.defineProperty(this, VARIANT_TAG, { value: { owner, name, fields, values } });
+        (fields || []).forEach((field, index) => {
+            this[field] = values[index];
+        });
+        Object.freeze(this);
+    }
+
+    /**
+     * JSON: вариант без полей — его имя, с полями — { Вариант: { поле: значение } }
+     */
+    toJSON() {
+        const { name, fields, values } = this[VARIANT_TAG];
+        return fields ? { [name]: Object.fromEntries(fields.map((field, index) => [field, values[index]])) } : name;
+    }
+
+    toString() {
+        const { owner, name, fields, values } = this[VARIANT_TAG];
+        const full = `${owner[ENUM_TAG]}.${name}`;
+        return fields ? `${full}(${values.map(value => __vx.format(value)).join(', ')})` : full;
+    }
+}
+
+/**
+ * Служебные функции, которые использует сгенерированный код
+ */
+export const __vx = {
+    /**
+     * Тип значения в терминах VladX (как в сопоставить)
+     */
+    typeOf(value) {
+        if (value === null || value === undefined) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (value instanceof Decimal) return 'decimal';
+        if (typeof value === 'function') return 'function';
+        if (typeof value === 'object') {
+            if (value[GENERATOR_TAG]) return 'generator';
+            if (value[ENUM_TAG]) return 'enum';
+            if (value instanceof Вариант) return 'variant';
+            return isPlainObject(value) ? 'object' : 'instance';
+        }
+        return typeof value;
+    },
+
+    /**
+     * Текстовое представление значения для печать()
+     */
+    format(value) {
+        if (Array.isArray(value)) {
+            return '[' + value.map(item => __vx.format(item)).join(', ') + ']';
+        }
+        if (typeof value === 'function') {
+            return `<функция ${value.name || '<function>'}>`;
+        }
+        if (value && typeof value === 'object') {
+            if (value[GENERATOR_TAG]) {
+                return `<генератор ${value.name}>`;
+            }
+            if (value instanceof RegExp || value instanceof Вариант || value instanceof Decimal) {
+                return String(value);
+            }
+            if (value[ENUM_TAG]) {
+                return `[перечисление ${value[ENUM_TAG]}]`;
+            }
+            return JSON.stringify(value, (key, item) => item === undefined ? null : item, 2);
+        }
+        return String(value ?? null);
+    },
+
+    /**
+     * Обращение к необъявленной переменной (ошибка окружения интерпретатора)
+     */
+    missing(name, assign = false) {
+        throw new Error(assign ? `Переменная ${name} не найдена` : `Переменная "${name}" не найдена в окружении <global>`);
+    },
+
+    /**
+     * Обращение к приватному члену объекта, не созданного классом owner
+     */
+    notOwner(name, owner) {
+        throw new Error(`Нельзя обратиться к ${name}: объект не создан классом ${owner}`);
+    },
+
+    /**
+     * Значение выбросить → Error (как в интерпретаторе)
+     */
+    error(value) {
+        return value instanceof Error ? value : new Error(String(value));
+    },
+
+    /**
+     * Значение ошибки, видимое в поймать: строка сообщения
+     */
+    caught(error) {
+        return error instanceof Error ? error.toString() : String(error);
+    },
+
+    /**
+     * Итерируемое для для-из, spread и деструктуризации
+     */
+    iter(value) {
+        if (value !== null && value !== undefined) {
+            if (typeof value[Symbol.iterator] === 'function') {
+                return value;
+            }
+            if (typeof value.итератор === 'function') {
+                const iterator = value.итератор();
+                return {
+                    [Symbol.iterator]() {
+                        return {
+                            next() {
+                                const step = iterator.следующий();
+                                return step && step.готово
+                                    ? { value: undefined, done: true }
+                                    : { value: step ? step.значение : null, done: false };
+                            }
+                        };
+                    }
+                };
+            }
+            if (isPlainObject(value)) {
+                return Object.entries(value);
+            }
+        }
+        throw new Error(`Значение типа '${__vx.typeOf(value)}' не является итерируемым`);
+    },
+
+    /**
+     * Ключи для для-в: индексы массива и строки, поля объекта, ключи Карты, элементы Множества
+     */
+    keys(value) {
+        if (Array.isArray(value) || typeof value === 'string') {
+            return Array.from({ length: value.length }, (_, index) => index);
+        }
+        if (value && typeof value === 'object') {
+            if (!isPlainObject(value) && typeof value.keys === 'function') {
+                return Array.from(value.keys());
+            }
+            return Object.keys(value);
+        }
+        throw new Error(`Значение типа '${__vx.typeOf(value)}' не поддерживает перебор ключей`);
+    },
+
+    /**
+     * Копия объекта без перечисленных ключей (остаток ...rest в образце)
+     */
+    omit(object, keys) {
+        const rest = {};
+        for (const key of Object.keys(object)) {
+            if (!keys.includes(key)) {
+                rest[key] = object[key];
+            }
+        }
+        return rest;
+    },
+
+    /**
+     * Обёртка генератора с методами следующий() и закрыть()
+     */
+    generator(iterator, name = '<generator>') {
+        return {
+            [GENERATOR_TAG]: true,
+            name,
+            следующий(value) {
+                const step = iterator.next(value);
+                return { значение: step.value === undefined ? null : step.value, готово: step.done };
+            },
+            закрыть() {
+                iterator.return();
+                return true;
+            },
+            [Symbol.iterator]() {
+                return iterator;
+            }
+        };
+    },
+
+    /**
+     * Перечисление: variants — пары [имя, поля или null]; варианты с полями — конструкторы
+     */
+    enumType(name, variants) {
+        const members = { [ENUM_TAG]: name };
+        for (const [variant, fields] of variants) {
+            if (!fields) {
+                members[variant] = new Вариант(members, variant);
+                continue;
+            }
+            const construct = (...args) => {
+                if (args.length !== fields.length) {
+                    throw new Error(`${name}.${variant} ожидает ${fields.length} аргумент(ов), получено ${args.length}`);
+                }
+                return new Вариант(members, variant, fields, args);
+            };
+            members[variant] = Object.defineProperty(construct, 'name', { value: `${name}.${variant}` });
+        }
+        // Обращение к несуществующему варианту — ошибка, как в интерпретаторе
+        // (toJSON и then запрашивают JSON.stringify и await)
+        return new Proxy(Object.freeze(members), {
+            get(target, key) {
+                if (typeof key === 'string' && !(key in target) && key !== 'toJSON' && key !== 'then') {
+                    throw new Error(`В перечислении ${name} нет варианта ${key}`);
+                }
+                return target[key];
+            }
+        });
+    },
+
+    /**
+     * Подходит ли значение под образец варианта; enumName равен null, если имя перечисления не указано
+     */
+    isVariant(value, variant, enumName) {
+        if (!(value instanceof Вариант)) return false;
+        const { owner, name } = value[VARIANT_TAG];
+        return name === variant && (enumName === null || owner[ENUM_TAG] === enumName);
+    },
+
+    /**
+     * Значения полей варианта по порядку объявления
+     */
+    variantValues(value) {
+        return value[VARIANT_TAG].values;
+    },
+
+    /**
+     * Десятичный литерал 12.50m
+     */
+    decimal(text) {
+        return Decimal.parse(text);
+    },
+
+    /**
+     * Унарный минус: у десятичных свой знак
+     */
+    neg(value) {
+        return value instanceof Decimal ? value.neg() : -value;
+    },
+
+    add: numeric('+', (left, right) => left + right),
+    sub: numeric('-', (left, right) => left - right),
+    mul: numeric('*', (left, right) => left * right),
+    div: numeric('/', (left, right) => {
+        if (right === 0) throw new Error(`Деление на ноль: ${left} / ${right}`);
+        return left / right;
+    }),
+    mod: numeric('%', (left, right) => left % right),
+    pow: numeric('**', (left, right) => left ** right),
+    lt: numeric('<', (left, right) => left < right),
+    gt: numeric('>', (left, right) => left > right),
+    le: numeric('<=', (left, right) => left <= right),
+    ge: numeric('>=', (left, right) => left >= right),
+
+    /**
+     * == в VladX: варианты равны, если совпадают вариант и все поля
+     */
+    equals(left, right) {
+        if (left instanceof Вариант || right instanceof Вариант) {
+            if (!(left instanceof Вариант && right instanceof Вариант)) return false;
+            const a = left[VARIANT_TAG];
+            const b = right[VARIANT_TAG];
+            return a.owner === b.owner && a.name === b.name && a.values.length === b.values.length &&
+                a.values.every((value, index) => __vx.equals(value, b.values[index]));
+        }
+        if (isExact(left) || isExact(right)) {
+            return exactBinary('==', left, right);
+        }
+        return left == right;
+    },
+
+    /**
+     * Регулярное выражение /шаблон/флаги (одно на шаблон и флаги)
+     */
+    regex(pattern, flags = '') {
+        const key = `${pattern}::${flags}`;
+        if (!REGEX_CACHE.has(key)) {
+            REGEX_CACHE.set(key, new Регвыр(pattern, flags));
+        }
+        return REGEX_CACHE.get(key);
+    },
+
+    /**
+     * Стандартный модуль (импорт "регвыр")
+     */
+    std(name) {
+        if (name === 'регвыр') {
+            return регвыр;
+        }
+        throw new Error(`Стандартный модуль "${name}" не найден`);
+    },
+
+    /**
+     * Ошибка, когда ни одна ветвь сопоставить не подошла
+     */
+    noMatch(value, location) {
+        throw new Error(`${location} Нет совпадения в сопоставить для значения ${__vx.format(value)}`);
+    }
+};
+
+// ========== Встроенные функции ==========
+
+// Математические функции
+export const максимум = (...args) => Math.max(...args);
+export const минимум = (...args) => Math.min(...args);
+export const случайный = () => Math.random();
+export const случайноеЦелое = (min, max) => Math.floor(Math.random() * (max - min + 1)) + min;
+export const abs = (n) => Math.abs(n);
+export const округлить = (n) => Math.round(n);
+export const пол = (n) => Math.floor(n);
+export const потолок = (n) => Math.ceil(n);
+export const корень = (n) => Math.sqrt(n);
+export const степень = (base, exp) => Math.pow(base, exp);
+export const ln = (n) => Math.log(n);
+export const log10 = (n) => Math.log10(n);
+export const sin = (n) => Math.sin(n);
+export const cos = (n) => Math.cos(n);
+export const tan = (n) => Math.tan(n);
+export const asin = (n) => Math.asin(n);
+export const acos = (n) => Math.acos(n);
+export const atan = (n) => Math.atan(n);
+export const пи = () => Math.PI;
+export const e = () => Math.E;
+
+// Строковые функции
+export const длина = (value) => value?.length ?? 0;
+export const нижнийРегистр = (str) => str.toLowerCase();
+export const верхнийРегистр = (str) => str.toUpperCase();
+export const обрезка = (str) => str.trim();
+export const заменить = (str, old, replacement) => old instanceof RegExp
+    ? регвыр.заменитьВсе(old, str, replacement)
+    : str.replaceAll(old, replacement);
+export const разделить = (str, delimiter) => str.split(delimiter);
+export const соединить = (arr, delimiter) => arr.join(delimiter);
+export const подстрока = (str, start, end) => str.substring(start, end);
+export const кодСимвола = (str, index) => str.charCodeAt(index);
+export const символПоКоду = (code) => String.fromCharCode(code);
+export const код = (value, indent) => encodeJson(value, indent);
+export const разкод = (str, options) => decodeJson(str, options ?? {});
+
+// Функции для работы с массивами
+const asArray = (arr) => Array.isArray(arr) ? arr : [];
+
+export const создатьМассив = (...items) => [...items];
+export const объединить = (...arrays) => arrays.reduce((acc, arr) => [...acc, ...asArray(arr)], []);
+export const фильтр = (arr, callback) => asArray(arr).filter(callback);
+export const отобразить = (arr, callback) => asArray(arr).map(callback);
+export const уменьшить = (arr, callback, initial) => asArray(arr).reduce(callback, initial);
+export const найти = (arr, callback) => asArray(arr).find(callback);
+export const найтиИндекс = (arr, callback) => asArray(arr).findIndex(callback);
+export const включает = (arr, item) => asArray(arr).includes(item);
+export const сортировать = (arr, comparator) => [...asArray(arr)].sort(comparator);
+export const перевернуть = (arr) => [...asArray(arr)].reverse();
+export const копировать = (arr) => [...asArray(arr)];
+export const пустой = (arr) => asArray(arr).length === 0;
+export const первый = (arr) => asArray(arr)[0];
+export const последний = (arr) => asArray(arr)[asArray(arr).length - 1];
+export const хвост = (arr) => asArray(arr).slice(1);
+export const голова = (arr) => asArray(arr).slice(0, -1);
+export const добавить = (arr, item) => [...asArray(arr), item];
+export const размер = (arr) => asArray(arr).length;
+export const каждый = (arr, callback) => asArray(arr).every(callback);
+export const некоторые = (arr, callback) => asArray(arr).some(callback);
+export const срез = (arr, start, end) => asArray(arr).slice(start, end);
+export const заполнить = (arr, value, start = 0, end = asArray(arr).length) => [...asArray(arr)].fill(value, start, end);
+export const развернуть = (arr) => asArray(arr).flat();
+export const развернутьГлубоко = (arr, depth = 1) => asArray(arr).flat(depth);
+
+export const вставить = (arr, index, item) => {
+    if (!Number.isInteger(index) || index < 0 || index > asArray(arr).length) {
+        throw new Error(`Индекс ${index} выходит за пределы допустимого диапазона [0, ${asArray(arr).length}]`);
+    }
+    const result = [...arr];
+    result.splice(index, 0, item);
+    return result;
+};
+
+export const удалить = (arr, index) => {
+    if (!Number.isInteger(index) || index < 0 || index >= asArray(arr).length) {
+        throw new Error(`Индекс ${index} выходит за пределы массива длиной ${asArray(arr).length}`);
+    }
+    const result = [...arr];
+    result.splice(index, 1);
+    return result;
+};
+
+// Функции для работы с объектами
+export const объект = (obj = {}) => ({ ...(obj && typeof obj === 'object' ? obj : {}) });
+export const ключи = (obj) => Object.keys(obj);
+export const значения = (obj) => Object.values(obj);
+export const пары = (obj) => Object.entries(obj);
+export const слить = (...objects) => objects.reduce((acc, obj) => ({ ...acc, ...obj }), {});
+export const из = (obj, key) => obj[key];
+export const в = (obj, key, value) => ({ ...obj, [key]: value });
+export const удалитьСвойство = (obj, key) => {
+    const result = { ...obj };
+    delete result[key];
+    return result;
+};
+export const проверить = (obj, key) => key in obj;
+
+// Ввод-вывод и время
+export const печать = (...args) => console.log(...args.map(arg => __vx.format(arg)));
+export const вывод = (...args) => process.stdout.write(args.map(arg => __vx.format(arg)).join(' '));
+export const время = () => Date.now();
+export const дата = () => new Date();
+export const форматДаты = (date, format) => {
+    const pad = n => String(n).padStart(2, '0');
+    return format
+        .replace('YYYY', date.getFullYear())
+        .replace('MM', pad(date.getMonth() + 1))
+        .replace('DD', pad(date.getDate()))
+        .replace('HH', pad(date.getHours()))
+        .replace('mm', pad(date.getMinutes()))
+        .replace('ss', pad(date.getSeconds()));
+};
+
+// Проверка и преобразование типов
+export const тип = (value) => {
+    if (value === null || value === undefined) return 'ничто';
+    if (Array.isArray(value)) return 'массив';
+    if (typeof value === 'bigint') return 'большое';
+    if (value instanceof Decimal) return 'десятичное';
+    if (value instanceof RegExp) return 'регвыр';
+    if (value && value[GENERATOR_TAG]) return 'генератор';
+    if (value && value[ENUM_TAG]) return 'перечисление';
+    if (value instanceof Вариант) return 'вариант';
+    return typeof value;
+};
+export const этоЧисло = (value) => typeof value === 'number' && !isNaN(value);
+export const этоСтрока = (value) => typeof value === 'string';
+export const этоМассив = (value) => Array.isArray(value);
+export const этоОбъект = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+export const этоФункция = (value) => typeof value === 'function';
+export const этоЛогическое = (value) => typeof value === 'boolean';
+export const этоПустой = (value) => {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+};
+export const вСтроку = (value) => String(value);
+export const вЧисло = (value) => {
+    const n = Number(value);
+    if (isNaN(n)) throw new Error('Не удалось конвертировать в число');
+    return n;
+};
+export const большое = (value) => {
+    if (value instanceof Decimal) {
+        if (value.trim().scale > 0) throw new Error(`Десятичное ${value} не целое`);
+        return value.toBigInt();
+    }
+    if (typeof value === 'number' && !Number.isInteger(value)) {
+        throw new Error(`Число ${value} не целое`);
+    }
+    try {
+        return BigInt(typeof value === 'string' ? value.trim().replace(/_/g, '') : value);
+    } catch {
+        throw new Error(`Не удалось конвертировать в большое: ${value}`);
+    }
+};
+// десятичное(значение, знаков, режим) — с округлением, если задано число знаков
+export const десятичное = (value, digits, rounding) => {
+    const decimal = Decimal.from(value);
+    return digits === undefined || digits === null ? decimal : decimal.round(digits, rounding);
+};
+export const настроитьДесятичные = (options = {}) => Decimal.configure(options || {});
+export const вМассив = (value) => {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined) return [];
+    return [value];
+};
+
+// Ввод пользователя
+export const ввести = async (prompt = '') => {
+    const readline = await import('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+        rl.question(prompt, (answer) => {
+            rl.close();
+            resolve(answer);
+        });
+    });
+};
+
+// Файловые операции
+export const файлЧитать = (path) => {
+    try {
+        return readFileSync(path, 'utf-8');
+    } catch (e) {
+        throw new Error(`Не удалось прочитать файл: ${path}: ${e.message}`);
+    }
+};
+export const файлЗаписать = (path, content) => {
+    try {
+        writeFileSync(path, content, 'utf-8');
+        return true;
+    } catch (e) {
+        throw new Error(`Не удалось записать файл: ${path}: ${e.message}`);
+    }
+};
+export const файлСуществует = (path) => existsSync(path);
+
+// Сетевой запрос
+export const запрос = async (url, options = {}) => {
+    const response = await fetch(url, {
+        method: options.method || 'GET',
+        headers: options.headers || {},
+        body: options.body
+    });
+    const body = await response.text();
+    if (options.raw) {
+        return { status: response.status, headers: Object.fromEntries(response.headers), body };
+    }
+    try {
+        return JSON.parse(body);
+    } catch {
+        return body;
+    }
+};
+
+// Криптографические функции
+export const хешMD5 = async (str) => createHash('md5').update(str).digest('hex');
+export const хешSHA256 = async (str) => createHash('sha256').update(str).digest('hex');
+export const генUUID = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+});
+export const экранироватьHTML = (str) => String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
+// Регулярные выражения: литералы /…/ и модуль «регвыр», как в интерпретаторе
+const REGEX_CACHE = new Map();
+
+const regexMatch = (match) => ({
+    текст: match[0],
+    индекс: match.index,
+    группы: match.slice(1).map(group => group ?? null),
+    именованные: Object.fromEntries(Object.entries(match.groups || {}).map(([name, value]) => [name, value ?? null]))
+});
+
+const toRegex = (value) => {
+    if (value instanceof RegExp) return value;
+    if (typeof value === 'string') return __vx.regex(value);
+    throw new Error(`Ожидалось регулярное выражение, получено: ${value === null || value === undefined ? 'ничто' : typeof value}`);
+};
+
+const withGlobal = (regexp, global) => regexp.global === global
+    ? regexp
+    : __vx.regex(regexp.source, global ? `${regexp.flags}g` : regexp.flags.replace('g', ''));
+
+const execFirst = (regexp, text) => {
+    regexp.lastIndex = 0;
+    const match = regexp.exec(String(text));
+    regexp.lastIndex = 0;
+    return match;
+};
+
+const execAll = (regexp, text) => {
+    const global = withGlobal(regexp, true);
+    global.lastIndex = 0;
+    return [...String(text).matchAll(global)];
+};
+
+const replaceMatches = (regexp, text, replacement, all) => {
+    const source = String(text);
+    if (typeof replacement === 'string') {
+        const target = withGlobal(regexp, all);
+        target.lastIndex = 0;
+        return source.replace(target, replacement);
+    }
+    const matches = all ? execAll(regexp, source) : [execFirst(regexp, source)].filter(Boolean);
+    let result = '';
+    let last = 0;
+    for (const match of matches) {
+        result += source.slice(last, match.index) + String(replacement(regexMatch(match)) ?? '');
+        last = match.index + match[0].length;
+    }
+    return result + source.slice(last);
+};
+
+const регвыр = {
+    создать: (pattern, flags = '') => __vx.regex(String(pattern), String(flags ?? '')),
+    экранировать: (text) => String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'),
+    совпадает: (regexp, text) => execFirst(toRegex(regexp), text) !== null,
+    найти: (regexp, text) => {
+        const match = execFirst(toRegex(regexp), text);
+        return match ? regexMatch(match) : null;
+    },
+    найтиВсе: (regexp, text) => execAll(toRegex(regexp), text).map(regexMatch),
+    заменить: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, false),
+    заменитьВсе: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, true),
+    разделить: (regexp, text, limit) => String(text).split(toRegex(regexp), limit ?? undefined)
+};
+
+/**
+ * Значение /…/: RegExp с методами модуля «регвыр»
+ */
+class Регвыр extends RegExp {
+    get шаблон() { return this.source; }
+    get флаги() { return this.flags; }
+    совпадает(text) { return регвыр.совпадает(this, text); }
+    найти(text) { return регвыр.найти(this, text); }
+    найтиВсе(text) { return регвыр.найтиВсе(this, text); }
+    заменить(text, replacement) { return регвыр.заменить(this, text, replacement); }
+    заменитьВсе(text, replacement) { return регвыр.заменитьВсе(this, text, replacement); }
+    разделить(text, limit) { return регвыр.разделить(this, text, limit); }
+}
+
+export const регex = (pattern, flags = '') => __vx.regex(pattern, flags);
+export const сопоставить = (str, regex) => str.match(regex);
+export const заменитьРВ = (str, regex, replacement) => str.replace(regex, replacement);
+export const разбитьРВ = (str, regex) => str.split(regex);
+
+// Функциональное программирование
+export const частичное = (fn, ...args) => (...more) => fn(...args, ...more);
+export const частично = частичное;
+export const каррировать = (fn) => function curried(...args) {
+    return args.length >= fn.length ? fn(...args) : (...more) => curried(...args, ...more);
+};
+export const инвертировать = (fn) => (...args) => fn(...args.reverse());
+export const одинРаз = (fn) => {
+    let called = false;
+    let result;
+    return (...args) => {
+        if (called) return result;
+        called = true;
+        result = fn(...args);
+        return result;
+    };
+};
+export const отладить = (label = 'trace') => (x) => {
+    console.log(label, x);
+    return x;
+};
+export const композиция = (...fns) => (arg) => fns.reduce((acc, fn) => fn(acc), arg);
+export const труба = (value, ...fns) => fns.reduce((acc, fn) => fn(acc), value);
+export const мемоизировать = (fn) => {
+    const cache = new Map();
+    return (...args) => {
+        const key = encodeJson(args);
+        if (!cache.has(key)) {
+            cache.set(key, fn(...args));
+        }
+        return cache.get(key);
+    };
+};
+
+// Асинхронные утилиты
+export const обещание = (executor) => new Promise(executor);
+export const всеОбещания = (promises) => Promise.all(promises);
+export const любоеОбещание = (promises) => Promise.any(promises);
+export const ждать = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+export const всеОбещанияКакОбъект = async (obj) => {
+    const keys = Object.keys(obj);
+    const results = await Promise.all(Object.values(obj));
+    return keys.reduce((acc, key, i) => {
+        acc[key] = results[i];
+        return acc;
+    }, {});
+};
+
+// Генераторы
+export const диапазон = (start, end, step = 1) => {
+    const [from, to] = end === undefined ? [0, start] : [start, end];
+    return __vx.generator((function* () {
+        for (let i = from; step > 0 ? i < to : i > to; i += step) {
+            yield i;
+        }
+    })(), 'диапазон');
+};
+
+export const генерировать = (callback) => __vx.generator((function* () {
+    let index = 0;
+    while (true) {
+        const result = callback(index++);
+        if (result.done) break;
+        yield result.value;
+    }
+})(), 'генерировать');
+
+// Побитовые операции
+export const битИ = (a, b) => a & b;
+export const битИЛИ = (a, b) => a | b;
+export const битИСКЛ = (a, b) => a ^ b;
+export const битНЕ = (a) => ~a;
+export const сдвигВлево = (a, b) => a << b;
+export const сдвигВправо = (a, b) => a >> b;
+export const беззнаковыйСдвиг = (a, b) => a >>> b;
+
+// Коллекции (ключи сравниваются по значению, как в интерпретаторе)
+class Карта_ {
+    constructor() {
+        this.items = new Map();
+    }
+
+    set(key, value) {
+        this.items.set(encodeJson(key), { key, value });
+    }
+
+    get(key) {
+        const entry = this.items.get(encodeJson(key));
+        return entry ? entry.value : undefined;
+    }
+
+    has(key) {
+        return this.items.has(encodeJson(key));
+    }
+
+    delete(key) {
+        return this.items.delete(encodeJson(key));
+    }
+
+    keys() {
+        return Array.from(this.items.values(), entry => entry.key);
+    }
+
+    values() {
+        return Array.from(this.items.values(), entry => entry.value);
+    }
+
+    entries() {
+        return Array.from(this.items.values(), entry => [entry.key, entry.value]);
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+}
+
+class Множество_ {
+    constructor() {
+        this.items = new Map();
+    }
+
+    add(value) {
+        const key = encodeJson(value);
+        if (!this.items.has(key)) {
+            this.items.set(key, value);
+        }
+    }
+
+    has(value) {
+        return this.items.has(encodeJson(value));
+    }
+
+    delete(value) {
+        return this.items.delete(encodeJson(value));
+    }
+
+    values() {
+        return Array.from(this.items.values());
+    }
+
+    keys() {
+        return this.values();
+    }
+
+    size() {
+        return this.items.size;
+    }
+
+    isEmpty() {
+        return this.items.size === 0;
+    }
+
+    clear() {
+        this.items.clear();
+    }
+
+    [Symbol.iterator]() {
+        return this.items.values();
+    }
+}
+
+export const Карта = () => new Карта_();
+export const Множество = () => new Множество_();
@@ -60,6 +60,24 @@ export class Bundle {
 
             modules.set(filePath, module);
 
+            if (this.isJavaScript(filePath)) {
+                this.analyzeJavaScript(module);
+
+                for (const imp of module.imports) {
+                    if (imp.external) {
+                        continue;
+                    }
+                    imp.resolvedPath = await this.resolvePath(imp.path, filePath);
+                    module.dependencies.add(imp.resolvedPath);
+
+                    if (!modules.has(imp.resolvedPath)) {
+                        await analyze(imp.resolvedPath, filePath);
+                    }
+                }
+
+                return module;
+            }
+
             // Найти import и export statements
             const importRegex = /(?:импорт|import)\s+([^;]+);/g;
             const exportRegex = /(?:экспорт|export)\s+(?:поумолчанию|default)?\s+([^;]+);/g;
@@ -96,6 +114,123 @@ export class Bundle {
         return modules;
     }
 
+    /**
+     * Является ли модуль JavaScript-модулем (ESM)
+     */
+    isJavaScript(filePath) {
+        return filePath.endsWith('.js') || filePath.endsWith('.mjs');
+    }
+
+    /**
+     * Разобрать import/export JavaScript-модуля.
+     * Учитываются только инструкции в начале строки — так код внутри
+     * шаблонных строк и комментариев не принимается за импорт.
+     */
+    analyzeJavaScript(module) {
+        const statementRegex = /^(?:import|export)\b.*$/gm;
+        const fromRegex = /\s+from\s+['"]([^'"]+)['"];?\s*$/;
+        let match;
+
+        module.statements = [];
+
+        while ((match = statementRegex.exec(module.source)) !== null) {
+            const text = match[0];
+            const fromMatch = text.match(fromRegex);
+            let statement;
+
+            if (text.startsWith('import')) {
+                const sideEffect = text.match(/^import\s+['"]([^'"]+)['"]/);
+                statement = sideEffect
+                    ? { kind: 'import', clause: null, path: sideEffect[1] }
+                    : fromMatch && { kind: 'import', clause: text.slice(6, fromMatch.index).trim(), path: fromMatch[1] };
+            } else if (fromMatch) {
+                const clause = text.slice(6, fromMatch.index).trim();
+                statement = clause === '*'
+                    ? { kind: 'reexportAll', clause: null, path: fromMatch[1] }
+                    : { kind: 'reexport', clause, path: fromMatch[1] };
+            } else {
+                statement = this.parseJavaScriptExport(text);
+            }
+
+            if (!statement) {
+                throw new Error(`Неподдерживаемая инструкция в ${module.path}: ${text}`);
+            }
+
+            statement.text = text;
+            module.statements.push(statement);
+
+            if (statement.path) {
+                statement.external = !statement.path.startsWith('.') && !statement.path.startsWith('/');
+                if (statement.external && statement.kind === 'reexportAll') {
+                    throw new Error(`Реэкспорт всех имён внешнего модуля не поддерживается: ${text}`);
+                }
+                module.imports.push(statement);
+            }
+            if (statement.kind === 'export') {
+                module.exports.push(...statement.names);
+            }
+        }
+    }
+
+    /**
+     * Разобрать локальный export: объявление, список или значение по умолчанию
+     */
+    parseJavaScriptExport(text) {
+        let match = text.match(/^export\s+\{([^}]*)\};?\s*$/);
+        if (match) {
+            const names = this.parseBindings(`{${match[1]}}`)
+                .map(({ imported, local }) => ({ local: imported, exported: local }));
+            return { kind: 'export', names, replacement: '' };
+        }
+
+        match = text.match(/^export\s+default\s+((?:async\s+)?(?:class|function\*?)\s+([\p{L}\p{N}_$]+))/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[2], exported: 'default' }], replacement: text.slice(text.indexOf(match[1])) };
+        }
+
+        match = text.match(/^export\s+default\s+([\p{L}\p{N}_$]+);?\s*$/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[1], exported: 'default' }], replacement: '' };
+        }
+
+        match = text.match(/^export\s+default\s+/);
+        if (match) {
+            return { kind: 'export', names: [{ local: '__vx_default', exported: 'default' }], replacement: 'const __vx_default = ' + text.slice(match[0].length) };
+        }
+
+        match = text.match(/^export\s+((?:async\s+)?(?:class|function\*?|const|let|var)\s+([\p{L}\p{N}_$]+))/u);
+        if (match) {
+            return { kind: 'export', names: [{ local: match[2], exported: match[2] }], replacement: text.slice(text.indexOf(match[1])) };
+        }
+
+        return null;
+    }
+
+    /**
+     * Разобрать список привязок: `X`, `* as X`, `{ a, b as c }` и их сочетания
+     */
+    parseBindings(clause) {
+        const bindings = [];
+        const namespace = clause.match(/\*\s+as\s+([\p{L}\p{N}_$]+)/u);
+        const named = clause.match(/\{([^}]*)\}/);
+        const defaultName = clause.replace(/\{[^}]*\}/, '').replace(/\*\s+as\s+[\p{L}\p{N}_$]+/u, '').replace(/,/g, '').trim();
+
+        if (defaultName) {
+            bindings.push({ imported: 'default', local: defaultName });
+        }
+        if (namespace) {
+            bindings.push({ imported: '*', local: namespace[1] });
+        }
+        if (named) {
+            for (const part of named[1].split(',').map(p => p.trim()).filter(Boolean)) {
+                const [imported, local = imported] = part.split(/\s+as\s+/).map(p => p.trim());
+                bindings.push({ imported, local });
+            }
+        }
+
+        return bindings;
+    }
+
     /**
      * Извлечь путь из import statement
      */
@@ -174,7 +309,8 @@ export class Bundle {
             }
         }
 
-        return result.reverse();
+        // Зависимости идут раньше зависящих от них модулей
+        return result;
     }
 
     /**
@@ -207,7 +343,7 @@ export class Bundle {
 
         return {
             code: output,
-            modules: modules.size,
+            modules: modules.length,
             format: this.format
         };
     }
@@ -216,6 +352,10 @@ export class Bundle {
      * Сгенерировать ESM формат
      */
     generateESM(modules, outputDir) {
+        if (this.isJavaScript(this.entry)) {
+            return this.generateJavaScriptESM(modules, outputDir);
+        }
+
         let output = '';
 
         // Все модули в одном файле с комментариями
@@ -232,6 +372,157 @@ export class Bundle {
         return output;
     }
 
+    /**
+     * Сгенерировать ESM-бандл из JavaScript-модулей.
+     * Каждый модуль выполняется в собственной области видимости и возвращает
+     * объект экспортов; внешние пакеты (fs, path, ...) импортируются один раз
+     * в начале файла, экспорты точки входа становятся экспортами бандла.
+     */
+    generateJavaScriptESM(modules, outputDir) {
+        const ids = new Map(modules.map((module, index) => [module.path, `__vx_m${index}`]));
+        const externals = new Map();
+        const exportNames = new Map();
+        const entry = modules[modules.length - 1];
+
+        for (const module of modules) {
+            for (const imp of module.imports) {
+                if (imp.external && !externals.has(imp.path)) {
+                    externals.set(imp.path, `__vx_ext${externals.size}`);
+                }
+            }
+        }
+
+        let output = '';
+        output += '// VladX Bundle\n';
+        output += '// Generated by VladX Bundler\n';
+        output += `// Entry: ${relative(outputDir, entry.path)}\n\n`;
+
+        for (const [path, id] of externals) {
+            output += `import * as ${id} from '${path}';\n`;
+        }
+        output += '\n';
+
+        for (const module of modules) {
+            const id = ids.get(module.path);
+            const names = this.resolveExportNames(module, ids, exportNames);
+            exportNames.set(module.path, names);
+
+            let source = this.rewriteJavaScript(module, ids, externals);
+            // import.meta.url точки входа — это сам бандл, остальные модули
+            // сохраняют свой исходный адрес относительно бандла
+            if (module !== entry) {
+                const relativePath = relative(outputDir, module.path);
+                const url = relativePath.startsWith('.') ? relativePath : `./${relativePath}`;
+                source = source.replace(/import\.meta\.url/g, `new URL('${url}', import.meta.url).href`);
+            }
+
+            const members = names.map(({ local, exported }) => local === exported ? local : `${exported}: ${local}`);
+            output += `// Module: ${relative(outputDir, module.path)}\n`;
+            output += `const ${id} = (() => {\n`;
+            output += source.replace(/\s*$/, '\n');
+            output += `return { ${members.join(', ')} };\n`;
+            output += '})();\n\n';
+        }
+
+        const entryId = ids.get(entry.path);
+        const entryNames = exportNames.get(entry.path).map(({ exported }) => exported);
+        const named = entryNames.filter(name => name !== 'default');
+
+        if (named.length > 0) {
+            output += `export const { ${named.join(', ')} } = ${entryId};\n`;
+        }
+        if (entryNames.includes('default')) {
+            output += `export default ${entryId}.default;\n`;
+        }
+
+        return output;
+    }
+
+    /**
+     * Полный список экспортов модуля, включая реэкспорты
+     */
+    resolveExportNames(module, ids, exportNames) {
+        const names = [...module.exports];
+
+        for (const imp of module.imports) {
+            if (imp.kind === 'reexport') {
+                for (const { local } of this.parseBindings(imp.clause)) {
+                    names.push({ local: local === 'default' ? '__vx_reexport_default' : local, exported: local });
+                }
+            }
+        }
+
+        // export * не создаёт локальных имён и уступает явным экспортам
+        for (const imp of module.imports) {
+            if (imp.kind !== 'reexportAll') {
+                continue;
+            }
+            for (const { exported } of exportNames.get(imp.resolvedPath)) {
+                if (exported !== 'default' && !names.some(name => name.exported === exported)) {
+                    names.push({ local: `${ids.get(imp.resolvedPath)}.${exported}`, exported });
+                }
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Заменить import/export модуля на обращения к объектам экспортов
+     */
+    rewriteJavaScript(module, ids, externals) {
+        let source = module.source;
+
+        for (const statement of module.statements) {
+            let replacement;
+
+            if (statement.kind === 'export') {
+                replacement = statement.replacement;
+            } else {
+                const target = statement.external ? externals.get(statement.path) : ids.get(statement.resolvedPath);
+
+                if (statement.kind === 'reexportAll' || statement.clause === null) {
+                    replacement = '';
+                } else {
+                    let bindings = this.parseBindings(statement.clause);
+                    if (statement.kind === 'reexport') {
+                        bindings = bindings.map(({ imported, local }) => ({
+                            imported,
+                            local: local === 'default' ? '__vx_reexport_default' : local
+                        }));
+                    }
+                    replacement = this.bindingsToDeclarations(bindings, target);
+                }
+            }
+
+            source = source.replace(statement.text, () => replacement);
+        }
+
+        return source;
+    }
+
+    /**
+     * Объявления const для привязок импорта из объекта экспортов
+     */
+    bindingsToDeclarations(bindings, target) {
+        const declarations = [];
+        const destructured = [];
+
+        for (const { imported, local } of bindings) {
+            if (imported === '*') {
+                declarations.push(`const ${local} = ${target};`);
+            } else {
+                destructured.push(imported === local ? local : `${imported}: ${local}`);
+            }
+        }
+
+        if (destructured.length > 0) {
+            declarations.unshift(`const { ${destructured.join(', ')} } = ${target};`);
+        }
+
+        return declarations.join(' ');
+    }
+
     /**
      * Сгенерировать CJS формат
      */
@@ -294,6 +294,14 @@ export class SetCustom {
     isSubset(otherSet) {
         return this.values().every(value => otherSet.has(value));
     }
+
+    keys() {
+        return this.values();
+    }
+
+    [Symbol.iterator]() {
+        return this.items.values();
+    }
 }
 
 export class MapCustom {
@@ -334,6 +342,10 @@ export class MapCustom {
         return Array.from(this.items.values()).map(entry => [entry.key, entry.value]);
     }
 
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+
     size() {
         return this.items.size;
     }
@@ -0,0 +1,551 @@
+/**
+ * DebugAdapter — Сервер Debug Adapter Protocol (DAP) для редакторов
+ * Сообщения передаются через stdio или TCP в виде
+ * `Content-Length: <байты>\r\n\r\n<JSON>`; отладка идёт через Debugger движка.
+ */
+
+import { createServer } from 'net';
+import { existsSync, readFileSync } from 'fs';
+import { basename, resolve } from 'path';
+import { format } from 'util';
+import { VladXEngine } from '../engine/vladx-engine.js';
+import { Lexer } from '../lexer/lexer.js';
+import { Parser } from '../parser/parser.js';
+import { VladXObject } from './vladx-object.js';
+
+const THREAD_ID = 1;
+
+// Запросы, которые выполняются сразу, не дожидаясь очереди: они не трогают
+// состояние интерпретатора и должны сработать, даже если вычисление зависло
+const IMMEDIATE_REQUESTS = new Set(['pause', 'terminate', 'disconnect']);
+
+export class DebugAdapter {
+    constructor(options = {}) {
+        this.program = options.program || null;
+        this.onClose = options.onClose || null;
+        this.input = null;
+        this.output = null;
+        this.buffer = Buffer.alloc(0);
+        this.seq = 1;
+        this.closed = false;
+
+        this.engine = null;
+        this.debugger = null;
+        this.launched = false;
+        this.configured = false;
+        this.running = false;
+
+        // Строки клиента и их позиции в выполняемых файлах (через source maps)
+        this.sourceBreakpoints = new Map();
+        this.appliedBreakpoints = new Map();
+
+        // Ссылки на переменные действительны до следующего продолжения
+        this.handles = new Map();
+        this.nextHandle = 1;
+
+        this.lineBase = 1;
+        this.columnBase = 1;
+
+        this.requests = new Map();
+        // Запросы выполняются по одному: evaluate подменяет окружение интерпретатора
+        this.queue = Promise.resolve();
+        this.registerRequests();
+    }
+
+    /**
+     * Регистрация обработчиков запросов
+     */
+    registerRequests() {
+        this.requests.set('initialize', this.initialize.bind(this));
+        this.requests.set('launch', this.launch.bind(this));
+        this.requests.set('setBreakpoints', this.setBreakpoints.bind(this));
+        this.requests.set('setExceptionBreakpoints', () => ({}));
+        this.requests.set('configurationDone', this.configurationDone.bind(this));
+        this.requests.set('threads', this.threads.bind(this));
+        this.requests.set('stackTrace', this.stackTrace.bind(this));
+        this.requests.set('scopes', this.scopes.bind(this));
+        this.requests.set('variables', this.variables.bind(this));
+        this.requests.set('evaluate', this.evaluate.bind(this));
+        this.requests.set('continue', this.continue.bind(this));
+        this.requests.set('next', () => this.step('stepOver'));
+        this.requests.set('stepIn', () => this.step('stepInto'));
+        this.requests.set('stepOut', () => this.step('stepOut'));
+        this.requests.set('pause', this.pause.bind(this));
+        this.requests.set('terminate', this.terminate.bind(this));
+        this.requests.set('disconnect', this.disconnect.bind(this));
+    }
+
+    /**
+     * Начать сеанс на паре потоков (stdin/stdout или сокет)
+     */
+    start(input, output) {
+        this.input = input;
+        this.output = output;
+        input.on('data', chunk => this.receive(chunk));
+        input.on('end', () => this.close());
+        return this;
+    }
+
+    /**
+     * TCP-сервер: подключения обслуживаются по одному — вывод программы
+     * перехватывается через общий console
+     */
+    static listen(port, options = {}) {
+        const server = createServer(socket => {
+            new DebugAdapter(options).start(socket, socket);
+        });
+        server.maxConnections = 1;
+
+        return new Promise((resolveServer, reject) => {
+            server.once('error', reject);
+            server.listen(port, () => resolveServer(server));
+        });
+    }
+
+    // ========== Транспорт ==========
+
+    /**
+     * Разбор входящих сообщений с заголовком Content-Length
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+
+            const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            const start = headerEnd + 4;
+            if (!match) {
+                this.buffer = this.buffer.subarray(start);
+                continue;
+            }
+
+            const length = Number(match[1]);
+            if (this.buffer.length < start + length) {
+                return;
+            }
+
+            const body = this.buffer.subarray(start, start + length).toString('utf-8');
+            this.buffer = this.buffer.subarray(start + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.sendEvent('output', { category: 'stderr', output: `Некорректное сообщение DAP: ${error.message}\n` });
+                continue;
+            }
+            if (IMMEDIATE_REQUESTS.has(message.command)) {
+                this.dispatch(message);
+            } else {
+                this.queue = this.queue.then(() => this.dispatch(message));
+            }
+        }
+    }
+
+    /**
+     * Выполнить запрос и отправить ответ
+     */
+    async dispatch(message) {
+        if (message.type !== 'request') {
+            return;
+        }
+
+        const handler = this.requests.get(message.command);
+        if (!handler) {
+            this.sendResponse(message, null, `Неподдерживаемый запрос: ${message.command}`);
+            return;
+        }
+
+        try {
+            const body = await handler(message.arguments || {});
+            this.sendResponse(message, body || {});
+        } catch (error) {
+            this.sendResponse(message, null, error.message || String(error.value || error));
+        }
+    }
+
+    sendResponse(request, body, error = null) {
+        const response = {
+            seq: this.seq++,
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: !error
+        };
+        if (error) {
+            response.message = error;
+        } else {
+            response.body = body;
+        }
+        this.send(response);
+    }
+
+    sendEvent(event, body = {}) {
+        this.send({ seq: this.seq++, type: 'event', event, body });
+    }
+
+    send(message) {
+        if (this.closed || !this.output) {
+            return;
+        }
+        const json = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+    }
+
+    /**
+     * Завершить сеанс
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        if (this.debugger) {
+            this.debugger.abort();
+        }
+        this.closed = true;
+        if (this.output && this.output !== process.stdout) {
+            this.output.end();
+        }
+        if (this.onClose) {
+            this.onClose();
+        }
+    }
+
+    // ========== Запуск ==========
+
+    initialize(args) {
+        this.lineBase = args.linesStartAt1 === false ? 0 : 1;
+        this.columnBase = args.columnsStartAt1 === false ? 0 : 1;
+
+        this.engine = new VladXEngine({ maxExecutionTime: 0 });
+        this.debugger = this.engine.debugger;
+        this.debugger.attach(reason => this.onPause(reason));
+
+        setImmediate(() => this.sendEvent('initialized'));
+
+        return {
+            supportsConfigurationDoneRequest: true,
+            supportsEvaluateForHovers: true,
+            supportsTerminateRequest: true,
+            exceptionBreakpointFilters: []
+        };
+    }
+
+    /**
+     * launch: program, stopOnEntry, sourceMaps (по умолчанию true)
+     */
+    launch(args) {
+        const program = args.program || this.program;
+        if (!program) {
+            throw new Error('Не указана программа для отладки (program)');
+        }
+
+        this.program = resolve(args.cwd || process.cwd(), program);
+        if (!existsSync(this.program)) {
+            throw new Error(`Файл не найден: ${this.program}`);
+        }
+
+        if (args.sourceMaps !== false) {
+            this.loadSourceMap(this.program);
+        }
+        for (const path of this.sourceBreakpoints.keys()) {
+            this.applyBreakpoints(path);
+        }
+        if (args.stopOnEntry) {
+            this.debugger.requestPause('entry');
+        }
+
+        this.launched = true;
+        setImmediate(() => this.run());
+        return {};
+    }
+
+    configurationDone() {
+        this.configured = true;
+        setImmediate(() => this.run());
+        return {};
+    }
+
+    /**
+     * Source map рядом с программой (<файл>.map), например от vladx bundle --sourcemap
+     */
+    loadSourceMap(filename) {
+        const mapPath = `${filename}.map`;
+        if (existsSync(mapPath)) {
+            this.debugger.addSourceMap(filename, JSON.parse(readFileSync(mapPath, 'utf-8')));
+        }
+    }
+
+    /**
+     * Выполнить программу, когда получены и launch, и configurationDone
+     */
+    async run() {
+        if (this.running || !this.launched || !this.configured) {
+            return;
+        }
+        this.running = true;
+
+        const restoreConsole = this.captureOutput();
+        let exitCode = 0;
+        try {
+            await this.engine.executeFile(this.program);
+        } catch (error) {
+            exitCode = 1;
+            const message = error instanceof VladXObject ? error.value : error.message;
+            this.sendEvent('output', { category: 'stderr', output: `Ошибка: ${message}\n` });
+        } finally {
+            restoreConsole();
+        }
+
+        this.sendEvent('exited', { exitCode });
+        this.sendEvent('terminated');
+    }
+
+    /**
+     * Перенаправить печать программы в события output: stdout занят протоколом
+     */
+    captureOutput() {
+        const original = { log: console.log, error: console.error, warn: console.warn };
+        const forward = category => (...items) => {
+            this.sendEvent('output', { category, output: format(...items) + '\n' });
+        };
+
+        console.log = forward('stdout');
+        console.error = forward('stderr');
+        console.warn = forward('stderr');
+
+        return () => Object.assign(console, original);
+    }
+
+    // ========== Точки останова и управление ==========
+
+    /**
+     * Строки клиента переводятся в позиции выполняемого файла через source maps.
+     * Точки на строках без инструкций (пустых, с комментарием, с закрывающей
+     * скобкой) не срабатывают: они возвращаются с verified: false
+     */
+    setBreakpoints(args) {
+        const path = resolve(args.source.path);
+        const lines = (args.breakpoints
+            ? args.breakpoints.map(breakpoint => breakpoint.line)
+            : (args.lines || [])).map(line => line - this.lineBase + 1);
+
+        const { statements, error } = this.statementLines(path);
+        this.sourceBreakpoints.set(path, lines.filter(line => statements.has(line)));
+        this.applyBreakpoints(path);
+
+        const breakpoints = lines.map(line => statements.has(line)
+            ? { verified: true, line: line - 1 + this.lineBase }
+            : { verified: false, line: line - 1 + this.lineBase, message: error || `На строке ${line} нет инструкций` });
+
+        return { breakpoints };
+    }
+
+    /**
+     * Строки исходного файла, с которых начинаются инструкции:
+     * { statements } или пустое множество и error, если файл не разобран
+     */
+    statementLines(path) {
+        const statements = new Set();
+        let ast;
+        try {
+            ast = new Parser(new Lexer(readFileSync(path, 'utf-8'), path).tokenize()).parse();
+        } catch (error) {
+            return { statements, error: error.code === 'ENOENT' ? `Файл ${path} не найден` : error.message.split('\n')[0] };
+        }
+
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (node.type && node.line && node.type !== 'BlockStatement' &&
+                node.type !== 'EmptyStatement' && !node.type.endsWith('Expression')) {
+                statements.add(node.line);
+            }
+            Object.values(node).forEach(visit);
+        };
+        visit(ast);
+        return { statements };
+    }
+
+    applyBreakpoints(path) {
+        for (const { filename, line } of this.appliedBreakpoints.get(path) || []) {
+            this.debugger.removeBreakpoint(filename, line);
+        }
+
+        const lines = this.sourceBreakpoints.get(path) || [];
+        const positions = lines.map(line => this.debugger.generatedPosition(path, line));
+        for (const { filename, line } of positions) {
+            this.debugger.setBreakpoint(filename, line);
+        }
+        this.appliedBreakpoints.set(path, positions);
+    }
+
+    onPause(reason) {
+        this.handles.clear();
+        this.sendEvent('stopped', { reason, threadId: THREAD_ID, allThreadsStopped: true });
+    }
+
+    continue() {
+        this.debugger.continue();
+        return { allThreadsContinued: true };
+    }
+
+    step(method) {
+        this.debugger[method]();
+        return {};
+    }
+
+    pause() {
+        this.debugger.requestPause('pause');
+        return {};
+    }
+
+    terminate() {
+        this.debugger.abort();
+        return {};
+    }
+
+    disconnect() {
+        setImmediate(() => this.close());
+        return {};
+    }
+
+    // ========== Состояние ==========
+
+    threads() {
+        return { threads: [{ id: THREAD_ID, name: 'VladX' }] };
+    }
+
+    /**
+     * Фреймы от верхнего к нижнему; id — глубина от вершины стека
+     */
+    stackTrace(args) {
+        const frames = [...this.debugger.callStack].reverse();
+        const start = args.startFrame || 0;
+        const end = args.levels ? start + args.levels : frames.length;
+
+        const stackFrames = frames.slice(start, end).map((frame, index) => {
+            const position = this.debugger.mapPosition(frame.filename, frame.line, frame.column);
+            return {
+                id: start + index,
+                name: frame.functionName,
+                source: { name: basename(position.source), path: position.source },
+                line: position.line - 1 + this.lineBase,
+                column: position.column + this.columnBase
+            };
+        });
+
+        return { stackFrames, totalFrames: frames.length };
+    }
+
+    frameAt(frameId) {
+        const stack = this.debugger.callStack;
+        const frame = stack[stack.length - 1 - frameId];
+        if (!frame) {
+            throw new Error(`Фрейм не найден: ${frameId}`);
+        }
+        return frame;
+    }
+
+    scopes(args) {
+        const frame = this.frameAt(args.frameId);
+        const scopes = [
+            { name: 'Локальные', variablesReference: this.handle({ frame, withInstance: true }), expensive: false }
+        ];
+
+        const program = this.debugger.callStack[0];
+        if (program && program !== frame) {
+            scopes.push({ name: 'Глобальные', variablesReference: this.handle({ frame: program }), expensive: false });
+        }
+
+        return { scopes };
+    }
+
+    variables(args) {
+        const target = this.handles.get(args.variablesReference);
+        if (!target) {
+            return { variables: [] };
+        }
+
+        let entries;
+        if (target.frame) {
+            entries = Object.entries(this.debugger.getLocals(target.frame));
+            if (target.withInstance && target.frame.instance) {
+                entries.unshift(['это', target.frame.instance]);
+            }
+        } else if (target.value.type === 'array') {
+            entries = target.value.value.map((item, index) => [String(index), item]);
+        } else {
+            entries = Object.entries(target.value.value || {});
+        }
+
+        return { variables: entries.map(([name, value]) => this.describe(name, value)) };
+    }
+
+    /**
+     * evaluate: выражения наблюдения, подсказки при наведении и консоль отладки
+     */
+    async evaluate(args) {
+        if (!this.debugger.paused) {
+            throw new Error('Программа не приостановлена');
+        }
+
+        const frame = args.frameId !== undefined ? this.frameAt(args.frameId) : this.debugger.currentFrame;
+        const value = await this.debugger.evaluate(args.expression, frame);
+        const { value: result, type, variablesReference } = this.describe(args.expression, value);
+
+        return { result, type, variablesReference };
+    }
+
+    /**
+     * Переменная DAP; массивы, объекты и экземпляры раскрываются по ссылке
+     */
+    describe(name, value) {
+        if (!(value instanceof VladXObject)) {
+            return { name, value: value === undefined ? 'ничто' : String(value), variablesReference: 0 };
+        }
+
+        const expandable = ['array', 'object', 'instance'].includes(value.type) && value.value;
+        return {
+            name,
+            value: this.display(value),
+            type: value.type,
+            variablesReference: expandable ? this.handle({ value }) : 0
+        };
+    }
+
+    /**
+     * Краткое представление значения; у функций и классов value равно null
+     */
+    display(value) {
+        switch (value.type) {
+            case 'string':
+                return JSON.stringify(value.value);
+            case 'function':
+            case 'closure':
+                return `[функция: ${value.name}]`;
+            case 'class':
+                return `[класс: ${value.name}]`;
+            default:
+                return value.toString();
+        }
+    }
+
+    handle(target) {
+        const id = this.nextHandle++;
+        this.handles.set(id, target);
+        return id;
+    }
+}
+
+export default DebugAdapter;
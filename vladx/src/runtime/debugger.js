@@ -2,6 +2,18 @@
  * Debugger — Отладчик для пошагового выполнения
  */
 
+import { Lexer } from '../lexer/lexer.js';
+import { Parser } from '../parser/parser.js';
+import { VladXObject } from './vladx-object.js';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Инструкции с вложенным телом: вложенная инструкция на той же строке не останавливает повторно
+const COMPOUND_STATEMENTS = new Set([
+    'IfStatement', 'WhileStatement', 'ForStatement', 'ForOfStatement', 'ForInStatement',
+    'LabeledStatement', 'TryStatement', 'SwitchStatement'
+]);
+
 export class Debugger {
     constructor(interpreter) {
         this.interpreter = interpreter;
@@ -14,6 +26,49 @@ export class Debugger {
         this.paused = false;
         this.onNextBreakpoint = null;
         this.sourceMaps = new Map();
+
+        // Остановки возможны только при подключённом клиенте (attach)
+        this.active = false;
+        this.onPause = null;
+        this.pauseRequested = null;
+        this.evaluating = false;
+        this.aborted = false;
+        this.statementCount = 0;
+    }
+
+    /**
+     * Подключить клиента: onPause(причина, фрейм) вызывается при каждой остановке
+     */
+    attach(onPause) {
+        this.active = true;
+        this.onPause = onPause;
+    }
+
+    /**
+     * Отключить клиента и продолжить выполнение без остановок
+     */
+    detach() {
+        this.active = false;
+        this.onPause = null;
+        this.pauseRequested = null;
+        this.breakpoints.clear();
+        this.continue();
+    }
+
+    /**
+     * Прервать программу: следующая инструкция завершится ошибкой
+     */
+    abort() {
+        this.aborted = true;
+        this.breakpoints.clear();
+        this.continue();
+    }
+
+    /**
+     * Остановиться перед следующей инструкцией (reason: 'pause' или 'entry')
+     */
+    requestPause(reason = 'pause') {
+        this.pauseRequested = reason;
     }
 
     /**
@@ -46,7 +101,7 @@ export class Debugger {
     stepInto() {
         this.stepMode = 'into';
         this.stepDepth = this.callStack.length;
-        this.paused = false;
+        this.resume();
     }
 
     /**
@@ -55,7 +110,7 @@ export class Debugger {
     stepOver() {
         this.stepMode = 'over';
         this.stepDepth = this.callStack.length;
-        this.paused = false;
+        this.resume();
     }
 
     /**
@@ -64,7 +119,7 @@ export class Debugger {
     stepOut() {
         this.stepMode = 'out';
         this.stepDepth = this.callStack.length;
-        this.paused = false;
+        this.resume();
     }
 
     /**
@@ -72,11 +127,86 @@ export class Debugger {
      */
     continue() {
         this.stepMode = false;
+        this.resume();
+    }
+
+    /**
+     * Снять паузу, не меняя режим шага
+     */
+    resume() {
         this.paused = false;
         if (this.onNextBreakpoint) {
-            this.onNextBreakpoint();
+            const resolve = this.onNextBreakpoint;
             this.onNextBreakpoint = null;
+            resolve();
+        }
+    }
+
+    /**
+     * Перед выполнением инструкции: обновить позицию фрейма и при необходимости остановиться
+     */
+    async onStatement(statement, environment, filename) {
+        if (!this.active || this.evaluating || !statement.line || statement.type === 'BlockStatement') {
+            return;
+        }
+        if (this.aborted) {
+            throw new Error('Выполнение прервано отладчиком');
+        }
+        // Уступаем циклу событий, чтобы запросы клиента (pause) доходили и в длинных циклах
+        if (++this.statementCount % 1000 === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const frame = this.currentFrame;
+        const line = statement.line;
+        filename = statement.filename || filename;
+
+        // Тело составной инструкции на той же строке — та же позиция
+        const nested = frame && frame.statement && frame.statement !== statement &&
+            COMPOUND_STATEMENTS.has(frame.statement.type) && frame.line === line && frame.filename === filename;
+
+        if (frame) {
+            frame.filename = filename;
+            frame.line = line;
+            // Колонки лексера начинаются с 1, в кадрах и картах источников — с 0
+            frame.column = Math.max(0, (statement.column || 1) - 1);
+            frame.environment = environment;
+            frame.statement = statement;
+        }
+
+        if (nested) {
+            return;
+        }
+
+        let reason = null;
+        if (this.pauseRequested) {
+            reason = this.pauseRequested;
+        } else if (this.stepMode && this.checkBreak(filename, line)) {
+            reason = 'step';
+        } else if (this.shouldBreak(filename, line)) {
+            reason = 'breakpoint';
+        }
+
+        if (reason) {
+            await this.pause(reason);
+        }
+    }
+
+    /**
+     * Приостановить выполнение до continue/step*
+     */
+    async pause(reason) {
+        this.pauseRequested = null;
+        this.stepMode = false;
+        this.paused = true;
+
+        const resumed = new Promise(resolve => {
+            this.onNextBreakpoint = resolve;
+        });
+        if (this.onPause) {
+            this.onPause(reason, this.currentFrame);
         }
+        await resumed;
     }
 
     /**
@@ -117,12 +247,12 @@ export class Debugger {
     /**
      * Оценить watch expressions
      */
-    async evaluateWatches() {
+    async evaluateWatches(frame = this.currentFrame) {
         const results = {};
 
         for (const expr of this.watchExpressions) {
             try {
-                results[expr] = await this.interpreter.evaluateExpression(expr);
+                results[expr] = await this.evaluate(expr, frame);
             } catch (e) {
                 results[expr] = { error: e.message };
             }
@@ -131,6 +261,39 @@ export class Debugger {
         return results;
     }
 
+    /**
+     * Вычислить выражение в окружении фрейма; остановки на время вычисления отключаются
+     */
+    async evaluate(expression, frame = this.currentFrame) {
+        const tokens = new Lexer(expression, '<отладчик>').tokenize();
+        const program = new Parser(tokens).parse();
+
+        const interpreter = this.interpreter;
+        const previousEnv = interpreter.currentEnv;
+        const previousInstance = interpreter.currentInstance;
+        const previousReturn = { isReturn: interpreter.isReturn, value: interpreter.returnValue };
+
+        this.evaluating = true;
+        try {
+            if (frame && frame.environment) {
+                interpreter.currentEnv = frame.environment;
+                interpreter.currentInstance = frame.instance || null;
+            }
+
+            let result = VladXObject.null();
+            for (const statement of program.body) {
+                result = await interpreter.evaluateStatement(statement);
+            }
+            return result;
+        } finally {
+            interpreter.currentEnv = previousEnv;
+            interpreter.currentInstance = previousInstance;
+            interpreter.isReturn = previousReturn.isReturn;
+            interpreter.returnValue = previousReturn.value;
+            this.evaluating = false;
+        }
+    }
+
     /**
      * Получить стек вызовов
      */
@@ -144,7 +307,8 @@ export class Debugger {
     }
 
     /**
-     * Получить локальные переменные
+     * Получить локальные переменные: окружения блоков до окружения функции
+     * (scopeEnvironment) включительно, внутренние имена скрывают внешние
      */
     getLocals(frame) {
         if (!frame || !frame.environment) {
@@ -152,8 +316,17 @@ export class Debugger {
         }
 
         const locals = {};
-        for (const [key, value] of frame.environment.variables) {
-            locals[key] = value;
+        let env = frame.environment;
+        while (env) {
+            for (const [key, value] of env.variables) {
+                if (!(key in locals)) {
+                    locals[key] = value;
+                }
+            }
+            if (!frame.scopeEnvironment || env === frame.scopeEnvironment) {
+                break;
+            }
+            env = env.parent;
         }
 
         return locals;
@@ -201,9 +374,13 @@ export class Debugger {
     /**
      * Удалить фрейм из стека вызовов
      */
-    popFrame() {
-        this.callStack.pop();
-        this.currentFrame = this.callStack[this.callStack.length - 1];
+    popFrame(frame = null) {
+        // Генераторы и асинхронные функции завершаются не в порядке вызова
+        const index = frame ? this.callStack.lastIndexOf(frame) : this.callStack.length - 1;
+        if (index !== -1) {
+            this.callStack.splice(index, 1);
+        }
+        this.currentFrame = this.callStack[this.callStack.length - 1] || null;
     }
 
     /**
@@ -231,17 +408,118 @@ export class Debugger {
     }
 
     /**
-     * Конвертировать позицию в исходный код
+     * Конвертировать позицию в исходный код: { source, line, column }.
+     * Строки нумеруются с 1, столбцы — с 0
      */
-    mapPosition(filename, line, column) {
+    mapPosition(filename, line, column = 0) {
+        const mappings = this.getMappings(filename);
+        if (!mappings) {
+            return { source: filename, line, column };
+        }
+
+        const onLine = mappings
+            .filter(mapping => mapping.generated.line === line)
+            .sort((a, b) => a.generated.column - b.generated.column);
+        if (onLine.length === 0) {
+            return { source: filename, line, column };
+        }
+
+        // Ближайшее соответствие слева от столбца, иначе первое в строке
+        const best = onLine.filter(mapping => mapping.generated.column <= column).pop() || onLine[0];
+        return { source: best.source, line: best.original.line, column: best.original.column };
+    }
+
+    /**
+     * Обратное преобразование: строка исходного файла -> позиция в выполняемом файле
+     */
+    generatedPosition(source, line) {
+        for (const filename of this.sourceMaps.keys()) {
+            const mapping = this.getMappings(filename)
+                .filter(m => m.source === source && m.original.line === line)
+                .sort((a, b) => a.generated.line - b.generated.line || a.generated.column - b.generated.column)[0];
+            if (mapping) {
+                return { filename, line: mapping.generated.line, column: mapping.generated.column };
+            }
+        }
+
+        return { filename: source, line, column: 0 };
+    }
+
+    /**
+     * Соответствия source map: массив (формат Bundle) или строка base64 VLQ (версия 3)
+     */
+    getMappings(filename) {
         const map = this.sourceMaps.get(filename);
         if (!map) {
-            return { line, column };
+            return null;
+        }
+
+        if (!map.decoded) {
+            map.decoded = typeof map.mappings === 'string'
+                ? this.decodeMappings(map)
+                : (map.mappings || []).filter(m => m.original);
+        }
+        return map.decoded;
+    }
+
+    /**
+     * Декодировать mappings source map версии 3
+     */
+    decodeMappings(map) {
+        const sources = (map.sources || []).map(source => (map.sourceRoot || '') + source);
+        const result = [];
+        let sourceIndex = 0;
+        let sourceLine = 0;
+        let sourceColumn = 0;
+
+        map.mappings.split(';').forEach((lineText, index) => {
+            let generatedColumn = 0;
+
+            for (const segment of lineText.split(',')) {
+                if (!segment) {
+                    continue;
+                }
+                const fields = this.decodeVLQ(segment);
+                generatedColumn += fields[0];
+
+                if (fields.length >= 4) {
+                    sourceIndex += fields[1];
+                    sourceLine += fields[2];
+                    sourceColumn += fields[3];
+                    result.push({
+                        generated: { line: index + 1, column: generatedColumn },
+                        original: { line: sourceLine + 1, column: sourceColumn },
+                        source: sources[sourceIndex]
+                    });
+                }
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Декодировать сегмент base64 VLQ
+     */
+    decodeVLQ(segment) {
+        const values = [];
+        let value = 0;
+        let shift = 0;
+
+        for (const char of segment) {
+            const digit = BASE64.indexOf(char);
+            value += (digit & 31) << shift;
+
+            if (digit & 32) {
+                shift += 5;
+            } else {
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
         }
 
-        // Simplified source map lookup
-        // В реальной реализации нужно парсить source map JSON
-        return { line, column };
+        return values;
     }
 
     /**
@@ -254,6 +532,7 @@ export class Debugger {
         this.watchExpressions = [];
         this.currentFrame = null;
         this.paused = false;
+        this.pauseRequested = null;
     }
 }
 
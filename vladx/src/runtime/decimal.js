@@ -0,0 +1,310 @@
+/**
+ * Decimal — Точные числа языка: большое (BigInt) и десятичное
+ *
+ * Десятичное хранится как целое BigInt и число знаков после запятой:
+ * 12.50 — это 1250n и 2. Сложение, вычитание и умножение точные; деление
+ * округляется до Decimal.precision знаков по режиму Decimal.rounding
+ */
+
+export const ROUNDING_MODES = ['вверх', 'вниз', 'кНулю', 'отНуля', 'половинаВверх', 'половинаВниз', 'половинаЧётное'];
+
+const DECIMAL_RE = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+const pow10 = (digits) => 10n ** BigInt(digits);
+
+/**
+ * Частное n / d, округлённое до целого по режиму
+ */
+function divideRounded(n, d, mode) {
+    if (d < 0n) {
+        n = -n;
+        d = -d;
+    }
+    const quotient = n / d;
+    const remainder = n % d;
+    if (remainder === 0n) return quotient;
+
+    const sign = n < 0n ? -1n : 1n;
+    const twice = (remainder < 0n ? -remainder : remainder) * 2n;
+    let away;
+    switch (mode) {
+        case 'вверх': away = sign > 0n; break;
+        case 'вниз': away = sign < 0n; break;
+        case 'кНулю': away = false; break;
+        case 'отНуля': away = true; break;
+        case 'половинаВверх': away = twice >= d; break;
+        case 'половинаВниз': away = twice > d; break;
+        case 'половинаЧётное': away = twice > d || (twice === d && quotient % 2n !== 0n); break;
+        default:
+            throw new Error(`Неизвестный режим округления "${mode}". Допустимые: ${ROUNDING_MODES.join(', ')}`);
+    }
+    return away ? quotient + sign : quotient;
+}
+
+export class Decimal {
+    constructor(coefficient, scale = 0) {
+        this.coefficient = coefficient;
+        this.scale = scale;
+    }
+
+    /**
+     * Десятичное из числа, строки, большого или десятичного
+     */
+    static from(value) {
+        if (value instanceof Decimal) return value;
+        if (typeof value === 'bigint') return new Decimal(value, 0);
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) {
+                throw new Error(`Нельзя преобразовать ${value} в десятичное`);
+            }
+            return Decimal.parse(String(value));
+        }
+        if (typeof value === 'string') return Decimal.parse(value.trim());
+        throw new Error(`Нельзя преобразовать ${value === null ? 'ничто' : typeof value} в десятичное`);
+    }
+
+    /**
+     * Разбор записи 12.50, -1e-9, .5
+     */
+    static parse(text) {
+        const match = DECIMAL_RE.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Неверное десятичное число: "${text}"`);
+        }
+        const [, sign, whole, fraction = '', exponent = '0'] = match;
+        let coefficient = BigInt((whole || '0') + fraction);
+        let scale = fraction.length - Number(exponent);
+        if (scale < 0) {
+            coefficient *= pow10(-scale);
+            scale = 0;
+        }
+        return new Decimal(sign === '-' ? -coefficient : coefficient, scale);
+    }
+
+    /**
+     * Точность деления (знаков после запятой) и режим округления по умолчанию
+     */
+    static configure(options = {}) {
+        const previous = { точность: Decimal.precision, округление: Decimal.rounding };
+        if (options.точность !== undefined) {
+            const precision = Number(options.точность);
+            if (!Number.isInteger(precision) || precision < 0) {
+                throw new Error(`Точность должна быть неотрицательным целым, получено: ${options.точность}`);
+            }
+            Decimal.precision = precision;
+        }
+        if (options.округление !== undefined) {
+            if (!ROUNDING_MODES.includes(options.округление)) {
+                throw new Error(`Неизвестный режим округления "${options.округление}". Допустимые: ${ROUNDING_MODES.join(', ')}`);
+            }
+            Decimal.rounding = options.округление;
+        }
+        return previous;
+    }
+
+    /**
+     * Коэффициенты обоих чисел при общем числе знаков
+     */
+    static align(left, right) {
+        const scale = Math.max(left.scale, right.scale);
+        return [left.coefficient * pow10(scale - left.scale), right.coefficient * pow10(scale - right.scale), scale];
+    }
+
+    add(other) {
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left + right, scale);
+    }
+
+    sub(other) {
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left - right, scale);
+    }
+
+    mul(other) {
+        return new Decimal(this.coefficient * other.coefficient, this.scale + other.scale);
+    }
+
+    div(other, precision = Decimal.precision, rounding = Decimal.rounding) {
+        if (other.coefficient === 0n) {
+            throw new Error(`Деление на ноль: ${this} / ${other}`);
+        }
+        // this / other = (c1 * 10^(p + s2 - s1)) / c2 * 10^-p
+        const shift = precision + other.scale - this.scale;
+        const numerator = shift >= 0 ? this.coefficient * pow10(shift) : this.coefficient;
+        const denominator = shift >= 0 ? other.coefficient : other.coefficient * pow10(-shift);
+        return new Decimal(divideRounded(numerator, denominator, rounding), precision).trim();
+    }
+
+    /**
+     * Остаток со знаком делимого, как у %
+     */
+    mod(other) {
+        if (other.coefficient === 0n) {
+            throw new Error(`Деление на ноль: ${this} % ${other}`);
+        }
+        const [left, right, scale] = Decimal.align(this, other);
+        return new Decimal(left % right, scale);
+    }
+
+    pow(exponent) {
+        if (!Number.isInteger(exponent)) {
+            throw new Error(`Степень десятичного должна быть целой, получено: ${exponent}`);
+        }
+        const power = new Decimal(this.coefficient ** BigInt(Math.abs(exponent)), this.scale * Math.abs(exponent));
+        return exponent < 0 ? new Decimal(1n, 0).div(power) : power;
+    }
+
+    neg() {
+        return new Decimal(-this.coefficient, this.scale);
+    }
+
+    compare(other) {
+        const [left, right] = Decimal.align(this, other);
+        return left < right ? -1 : left > right ? 1 : 0;
+    }
+
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    /**
+     * Округлить до digits знаков после запятой
+     */
+    round(digits = 0, rounding = Decimal.rounding) {
+        if (!Number.isInteger(digits) || digits < 0) {
+            throw new Error(`Число знаков должно быть неотрицательным целым, получено: ${digits}`);
+        }
+        if (digits >= this.scale) {
+            return new Decimal(this.coefficient * pow10(digits - this.scale), digits);
+        }
+        return new Decimal(divideRounded(this.coefficient, pow10(this.scale - digits), rounding), digits);
+    }
+
+    /**
+     * Без нулей в конце дробной части
+     */
+    trim() {
+        let { coefficient, scale } = this;
+        while (scale > 0 && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            scale--;
+        }
+        return new Decimal(coefficient, scale);
+    }
+
+    /**
+     * Целая часть (отбрасывая дробную) как большое
+     */
+    toBigInt() {
+        return this.coefficient / pow10(this.scale);
+    }
+
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    toString() {
+        const negative = this.coefficient < 0n;
+        const digits = (negative ? -this.coefficient : this.coefficient).toString().padStart(this.scale + 1, '0');
+        const text = this.scale > 0
+            ? `${digits.slice(0, -this.scale)}.${digits.slice(-this.scale)}`
+            : digits;
+        return negative ? `-${text}` : text;
+    }
+}
+
+Decimal.precision = 20;
+Decimal.rounding = 'половинаЧётное';
+
+/**
+ * Точное число: большое или десятичное
+ */
+export function isExact(value) {
+    return typeof value === 'bigint' || value instanceof Decimal;
+}
+
+const isNumeric = (value) => typeof value === 'number' || isExact(value);
+
+const typeName = (value) => {
+    if (typeof value === 'bigint') return 'большое';
+    if (value instanceof Decimal) return 'десятичное';
+    if (value === null || value === undefined || value === '') return 'ничто';
+    if (typeof value === 'number') return 'число';
+    if (typeof value === 'string') return 'строка';
+    if (typeof value === 'boolean') return 'логический';
+    return 'объект';
+};
+
+/**
+ * Большое из числа: дробные числа с большими смешивать нельзя
+ */
+function toBigInt(value, operator) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isInteger(value)) return BigInt(value);
+    throw new Error(`Нельзя смешивать большое и дробное число ${value} в «${operator}»: используйте десятичное`);
+}
+
+function compareResult(operator, order) {
+    switch (operator) {
+        case '==': return order === 0;
+        case '!=': return order !== 0;
+        case '<': return order < 0;
+        case '>': return order > 0;
+        case '<=': return order <= 0;
+        case '>=': return order >= 0;
+    }
+}
+
+/**
+ * Арифметика и сравнения, если хотя бы один операнд точный.
+ * Десятичное поглощает числа и большие, большое — целые числа.
+ * undefined — оператор не числовой (сложение строк, && и т.п.)
+ */
+export function exactBinary(operator, left, right) {
+    if (!['+', '-', '*', '/', '%', '**', '==', '!=', '<', '>', '<=', '>='].includes(operator)) {
+        return undefined;
+    }
+    if (!isNumeric(left) || !isNumeric(right)) {
+        if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) return undefined;
+        if (operator === '==') return false;
+        if (operator === '!=') return true;
+        throw new Error(`Оператор «${operator}» не применим к ${typeName(left)} и ${typeName(right)}`);
+    }
+
+    if (left instanceof Decimal || right instanceof Decimal) {
+        const a = Decimal.from(left);
+        if (operator === '**') {
+            return a.pow(typeof right === 'bigint' ? Number(right) : Number(Decimal.from(right).toString()));
+        }
+        const b = Decimal.from(right);
+        switch (operator) {
+            case '+': return a.add(b);
+            case '-': return a.sub(b);
+            case '*': return a.mul(b);
+            case '/': return a.div(b);
+            case '%': return a.mod(b);
+            default: return compareResult(operator, a.compare(b));
+        }
+    }
+
+    const a = toBigInt(left, operator);
+    const b = toBigInt(right, operator);
+    switch (operator) {
+        case '+': return a + b;
+        case '-': return a - b;
+        case '*': return a * b;
+        case '/':
+            if (b === 0n) throw new Error(`Деление на ноль: ${a} / ${b}`);
+            // Деление больших целочисленное, как в JavaScript
+            return a / b;
+        case '%':
+            if (b === 0n) throw new Error(`Деление на ноль: ${a} % ${b}`);
+            return a % b;
+        case '**':
+            if (b < 0n) throw new Error(`Отрицательная степень большого: ${a} ** ${b}`);
+            return a ** b;
+        default: return compareResult(operator, a < b ? -1 : a > b ? 1 : 0);
+    }
+}
+
+export default Decimal;
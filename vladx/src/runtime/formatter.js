@@ -2,9 +2,16 @@
  * Formatter — Форматирование кода VladX
  */
 
-import { Lexer } from '../lexer/lexer.js';
+import { Lexer, isPrivateNameAt, isRegexStartAt, scanRegexLiteral } from '../lexer/lexer.js';
 import { Parser } from '../parser/parser.js';
 
+// Операторы, от длинных к коротким
+const OPERATORS = [
+    '===', '!==', '**=', '??=', '...', '=>', '==', '!=', '<=', '>=', '&&', '||', '??',
+    '+=', '-=', '*=', '/=', '%=', '**', '<<', '>>',
+    '+', '-', '*', '/', '%', '=', '<', '>', '!'
+];
+
 export class Formatter {
     constructor(options = {}) {
         this.indentSize = options.indentSize || 4;
@@ -64,39 +71,47 @@ export class Formatter {
     }
 
     /**
-     * Форматирование блоков
+     * Форматирование блоков: одиночная инструкция после если/пока/для
+     * на той же строке оборачивается в фигурные скобки
      */
     formatBlocks(source) {
-        let formatted = source;
+        return source.split('\n').map(line => this.wrapSingleStatement(line)).join('\n');
+    }
 
-        // Форматирование if/else
-        formatted = formatted.replace(
-            /(?:если|if)\s*\(([^)]*)\)\s*([^{])/g,
-            (match, condition, nextChar) => {
-                const indent = ' '.repeat(this.indentSize);
-                return `если (${condition}) {\n${indent}${nextChar}`;
-            }
-        );
-
-        // Форматирование while
-        formatted = formatted.replace(
-            /(?:пока|while)\s*\(([^)]*)\)\s*([^{])/g,
-            (match, condition, nextChar) => {
-                const indent = ' '.repeat(this.indentSize);
-                return `пока (${condition}) {\n${indent}${nextChar}`;
-            }
-        );
-
-        // Форматирование for
-        formatted = formatted.replace(
-            /(?:для|for)\s*\(([^)]*)\)\s*([^{])/g,
-            (match, condition, nextChar) => {
-                const indent = ' '.repeat(this.indentSize);
-                return `для (${condition}) {\n${indent}${nextChar}`;
+    wrapSingleStatement(line) {
+        const match = /^(\s*)(если|if|пока|while|для|for)\s*\(/.exec(line);
+        if (!match) {
+            return line;
+        }
+
+        // Конец условия — парная закрывающая скобка
+        let depth = 0;
+        let end = -1;
+        for (let i = match[0].length - 1; i < line.length; i++) {
+            const char = line[i];
+            if (char === '"' || char === "'") {
+                const close = line.indexOf(char, i + 1);
+                if (close === -1) {
+                    return line;
+                }
+                i = close;
+            } else if (char === '(') {
+                depth++;
+            } else if (char === ')' && --depth === 0) {
+                end = i;
+                break;
             }
-        );
+        }
 
-        return formatted;
+        const body = end === -1 ? '' : line.slice(end + 1).trim();
+        if (body === '' || body.startsWith('{')) {
+            return line;
+        }
+
+        const [, indent, keyword] = match;
+        const condition = line.slice(match[0].length, end);
+        const inner = this.useTabs ? '\t' : ' '.repeat(this.indentSize);
+        return `${indent}${keyword} (${condition}) {\n${indent}${inner}${body}\n${indent}}`;
     }
 
     /**
@@ -139,25 +154,94 @@ export class Formatter {
      * Форматирование операторов
      */
     formatOperators(source) {
-        let formatted = source;
+        return source.split('\n').map(line => this.formatLineOperators(line)).join('\n');
+    }
 
-        // Пробелы вокруг операторов
-        const operators = ['+', '-', '*', '/', '%', '=', '==', '!=', '<', '>', '<=', '>=', '&&', '||', '!'];
+    /**
+     * Пробелы вокруг бинарных операторов и после запятых; строки
+     * и комментарии не затрагиваются
+     */
+    formatLineOperators(line) {
+        const indent = line.match(/^\s*/)[0];
+        let result = '';
+        let i = indent.length;
+
+        while (i < line.length) {
+            const char = line[i];
+
+            if (char === '"' || char === "'" || char === '`') {
+                let j = i + 1;
+                while (j < line.length && line[j] !== char) {
+                    j += line[j] === '\\' ? 2 : 1;
+                }
+                result += line.slice(i, j + 1);
+                i = j + 1;
+                continue;
+            }
 
-        for (const op of operators) {
-            formatted = formatted.replace(
-                new RegExp(`([^\\s])\\${op}([^\\s])`, 'g'),
-                `$1 ${op} $2`
-            );
-        }
+            // Регулярное выражение копируется как есть
+            if (isRegexStartAt(line, i)) {
+                const { end } = scanRegexLiteral(line, i);
+                result += line.slice(i, end);
+                i = end;
+                continue;
+            }
 
-        // Пробелы после запятых
-        formatted = formatted.replace(/,(\S)/g, ', $1');
+            if ((char === '#' && !isPrivateNameAt(line, i)) || (char === '/' && (line[i + 1] === '/' || line[i + 1] === '*'))) {
+                result += line.slice(i);
+                break;
+            }
 
-        // Пробелы после точек с запятой
-        formatted = formatted.replace(/;(\S)/g, '; $1');
+            if (char === ',' || char === ';') {
+                result = result.trimEnd() + char;
+                i++;
+                while (line[i] === ' ' || line[i] === '\t') {
+                    i++;
+                }
+                if (i < line.length) {
+                    result += ' ';
+                }
+                continue;
+            }
 
-        return formatted;
+            // Необязательная цепочка пишется слитно: obj?.имя, f?.(), a?.[0]
+            if (char === '?' && line[i + 1] === '.' && !/\d/.test(line[i + 2] || '')) {
+                result = result.trimEnd() + '?.';
+                i += 2;
+                while (line[i] === ' ' || line[i] === '\t') {
+                    i++;
+                }
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => line.startsWith(op, i));
+            if (!operator) {
+                result += char;
+                i++;
+                continue;
+            }
+
+            const before = result.trimEnd();
+            const unary = operator === '!' || operator === '...' ||
+                ((operator === '-' || operator === '+') && (before === '' || /[([{,=:?<>!&|+\-*/%]$/.test(before) ||
+                    /(?:^|[^\p{L}\p{N}_])(?:вернуть|return|бросить|throw|выдать|yield)$/u.test(before))) ||
+                // Показатель степени в числе (1e-5) и генератор (функция*)
+                (/\d[eE]$/.test(before) && /\d/.test(line[i + 1] || '')) ||
+                (operator === '*' && /(?:функция|function)$/.test(before));
+
+            i += operator.length;
+            if (unary) {
+                result += operator;
+                continue;
+            }
+
+            result = `${before} ${operator} `;
+            while (line[i] === ' ' || line[i] === '\t') {
+                i++;
+            }
+        }
+
+        return indent + result.trimEnd();
     }
 
     /**
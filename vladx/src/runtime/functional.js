@@ -259,6 +259,15 @@ export class Functional {
         return result;
     }
 
+    /**
+     * LazyRange - ленивый диапазон, значения вычисляются по требованию
+     */
+    static *lazyRange(start, end = Infinity, step = 1) {
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            yield i;
+        }
+    }
+
     /**
      * Zip - объединение массивов
      */
@@ -0,0 +1,142 @@
+/**
+ * JSON с точными числами для код/разкод
+ *
+ * encodeJson пишет большие и десятичные как числа JSON без потери
+ * разрядов. decodeJson читает целые вне диапазона ±2^53 как большие,
+ * а с { десятичные: истина } — все дробные числа как десятичные
+ */
+
+import { Decimal } from './decimal.js';
+
+const STRING_RE = /"(?:[^"\\\u0000-\u001f]|\\(?:["\\/bfnrt]|u[0-9a-fA-F]{4}))*"/y;
+const NUMBER_RE = /-?(?:0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+/**
+ * Значение в текст JSON; indent — как третий аргумент JSON.stringify
+ */
+export function encodeJson(value, indent = 0) {
+    const step = typeof indent === 'number' ? ' '.repeat(Math.min(indent, 10)) : String(indent || '').slice(0, 10);
+
+    const encode = (item, prefix) => {
+        if (item && typeof item.toJSON === 'function' && !(item instanceof Decimal)) {
+            item = item.toJSON();
+        }
+        if (item === null) return 'null';
+        if (typeof item === 'bigint' || item instanceof Decimal) return item.toString();
+        if (typeof item === 'number') return Number.isFinite(item) ? String(item) : 'null';
+        if (typeof item === 'string' || typeof item === 'boolean') return JSON.stringify(item);
+        if (typeof item !== 'object') return undefined;
+
+        const inner = prefix + step;
+        const open = step ? `\n${inner}` : '';
+        const close = step ? `\n${prefix}` : '';
+        const separator = step ? `,\n${inner}` : ',';
+
+        if (Array.isArray(item)) {
+            if (item.length === 0) return '[]';
+            return `[${open}${item.map(element => encode(element, inner) ?? 'null').join(separator)}${close}]`;
+        }
+        const entries = Object.keys(item)
+            .map(key => [key, encode(item[key], inner)])
+            .filter(([, encoded]) => encoded !== undefined)
+            .map(([key, encoded]) => `${JSON.stringify(key)}:${step ? ' ' : ''}${encoded}`);
+        return entries.length === 0 ? '{}' : `{${open}${entries.join(separator)}${close}}`;
+    };
+
+    return encode(value, '');
+}
+
+/**
+ * Текст JSON в значение
+ */
+export function decodeJson(text, options = {}) {
+    const source = String(text);
+    const decimals = Boolean(options.десятичные);
+    let pos = 0;
+
+    const fail = (message = `неожиданный символ ${JSON.stringify(source[pos] ?? 'конец')}`) => {
+        throw new SyntaxError(`Неверный JSON: ${message} в позиции ${pos}`);
+    };
+    const skipSpace = () => {
+        while (pos < source.length && ' \t\n\r'.includes(source[pos])) pos++;
+    };
+    const expect = (char) => {
+        skipSpace();
+        if (source[pos] !== char) fail();
+        pos++;
+    };
+
+    const readString = () => {
+        STRING_RE.lastIndex = pos;
+        const match = STRING_RE.exec(source);
+        if (!match) fail('незакрытая или неверная строка');
+        pos += match[0].length;
+        return JSON.parse(match[0]);
+    };
+
+    const readNumber = () => {
+        NUMBER_RE.lastIndex = pos;
+        const match = NUMBER_RE.exec(source);
+        if (!match) fail();
+        pos += match[0].length;
+        const [literal, fraction, exponent] = match;
+        if (!fraction && !exponent) {
+            const number = Number(literal);
+            return Number.isSafeInteger(number) ? number : BigInt(literal);
+        }
+        return decimals ? Decimal.parse(literal) : Number(literal);
+    };
+
+    const readValue = () => {
+        skipSpace();
+        const char = source[pos];
+        if (char === '{') {
+            pos++;
+            const object = {};
+            skipSpace();
+            if (source[pos] === '}') {
+                pos++;
+                return object;
+            }
+            do {
+                skipSpace();
+                if (source[pos] !== '"') fail();
+                const key = readString();
+                expect(':');
+                // Свойство __proto__ остаётся обычным ключом, как в JSON.parse
+                Object.defineProperty(object, key, { value: readValue(), enumerable: true, writable: true, configurable: true });
+                skipSpace();
+            } while (source[pos] === ',' && ++pos);
+            expect('}');
+            return object;
+        }
+        if (char === '[') {
+            pos++;
+            const array = [];
+            skipSpace();
+            if (source[pos] === ']') {
+                pos++;
+                return array;
+            }
+            do {
+                array.push(readValue());
+                skipSpace();
+            } while (source[pos] === ',' && ++pos);
+            expect(']');
+            return array;
+        }
+        if (char === '"') return readString();
+        for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+            if (source.startsWith(word, pos)) {
+                pos += word.length;
+                return value;
+            }
+        }
+        return readNumber();
+    };
+
+    const value = readValue();
+    skipSpace();
+    if (pos < source.length) fail();
+    return value;
+}
@@ -0,0 +1,913 @@
+/**
+ * LanguageServer — Сервер Language Server Protocol (LSP) для файлов .vx
+ * Сообщения JSON-RPC передаются через stdio в виде
+ * `Content-Length: <байты>\r\n\r\n<JSON>`. Диагностика строится на Lexer,
+ * Parser и Linter, форматирование — на Formatter, типы — на TypeSystem.
+ */
+
+import { dirname, resolve } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Lexer, KEYWORDS } from '../lexer/lexer.js';
+import { Parser } from '../parser/parser.js';
+import { VladXEngine } from '../engine/vladx-engine.js';
+import { Linter } from './linter.js';
+import { Formatter } from './formatter.js';
+import { TypeSystem } from './type-system.js';
+import { VladXObject } from './vladx-object.js';
+
+// Коды ошибок JSON-RPC
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INTERNAL_ERROR = -32603;
+const SERVER_NOT_INITIALIZED = -32002;
+
+// Важность диагностики: error, warning, info
+const SEVERITY = { error: 1, warning: 2, info: 3 };
+
+// Виды элементов автодополнения LSP
+const COMPLETION_KIND = {
+    method: 2,
+    function: 3,
+    variable: 6,
+    parameter: 6,
+    class: 7,
+    module: 9,
+    keyword: 14,
+    constant: 21
+};
+
+// Как символ объявлен — для подсказки при наведении
+const KIND_LABEL = {
+    variable: 'пусть',
+    constant: 'константа',
+    parameter: 'параметр',
+    function: 'функция',
+    method: 'метод',
+    class: 'класс',
+    module: 'импорт'
+};
+
+// Токены, после которых { открывает объектный литерал, а не блок
+const LITERAL_CONTEXT = new Set([
+    'ASSIGN', 'LPAREN', 'COMMA', 'COLON', 'LBRACKET', 'RETURN', 'TERNARY', 'SPREAD', 'YIELD', 'AWAIT'
+]);
+
+// Токены, после которых имя в образце деструктуризации — новая переменная
+const PATTERN_BINDING = new Set(['LBRACKET', 'LBRACE', 'COMMA', 'COLON', 'SPREAD']);
+
+const COMPARISON = new Set(['==', '!=', '===', '!==', '<', '>', '<=', '>=']);
+const ARITHMETIC = new Set(['+', '-', '*', '/', '%', '**']);
+
+export class LanguageServer {
+    constructor(options = {}) {
+        this.onClose = options.onClose || null;
+        this.input = null;
+        this.output = null;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.initialized = false;
+        // Диагностика публикуется после уведомления initialized от клиента
+        this.ready = false;
+        this.shuttingDown = false;
+        // Запросы, ответ на которые ещё не отправлен
+        this.pending = new Set();
+
+        // Открытые документы: uri → { uri, text, version, analysis }
+        this.documents = new Map();
+
+        this.linter = new Linter(options.lint || {});
+        this.typeSystem = new TypeSystem();
+        this.builtins = null;
+
+        this.handlers = new Map();
+        this.registerHandlers();
+    }
+
+    /**
+     * Регистрация обработчиков запросов и уведомлений
+     */
+    registerHandlers() {
+        this.handlers.set('initialize', this.initialize.bind(this));
+        this.handlers.set('initialized', this.onInitialized.bind(this));
+        this.handlers.set('shutdown', this.shutdown.bind(this));
+        this.handlers.set('exit', this.exit.bind(this));
+        this.handlers.set('textDocument/didOpen', this.didOpen.bind(this));
+        this.handlers.set('textDocument/didChange', this.didChange.bind(this));
+        this.handlers.set('textDocument/didClose', this.didClose.bind(this));
+        this.handlers.set('textDocument/formatting', this.formatting.bind(this));
+        this.handlers.set('textDocument/definition', this.definition.bind(this));
+        this.handlers.set('textDocument/references', this.references.bind(this));
+        this.handlers.set('textDocument/hover', this.hover.bind(this));
+        this.handlers.set('textDocument/completion', this.completion.bind(this));
+    }
+
+    /**
+     * Начать сеанс на паре потоков (stdin/stdout)
+     */
+    start(input, output) {
+        this.input = input;
+        this.output = output;
+        input.on('data', chunk => this.receive(chunk));
+        input.on('end', () => this.close());
+        return this;
+    }
+
+    // ========== Транспорт ==========
+
+    /**
+     * Разбор входящих сообщений с заголовком Content-Length
+     */
+    receive(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        while (true) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+
+            const header = this.buffer.subarray(0, headerEnd).toString('ascii');
+            const match = header.match(/Content-Length:\s*(\d+)/i);
+            const start = headerEnd + 4;
+            if (!match) {
+                this.buffer = this.buffer.subarray(start);
+                continue;
+            }
+
+            const length = Number(match[1]);
+            if (this.buffer.length < start + length) {
+                return;
+            }
+
+            const body = this.buffer.subarray(start, start + length).toString('utf-8');
+            this.buffer = this.buffer.subarray(start + length);
+
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (error) {
+                this.sendError(null, PARSE_ERROR, `Некорректное сообщение LSP: ${error.message}`);
+                continue;
+            }
+
+            const task = this.dispatch(message);
+            this.pending.add(task);
+            task.finally(() => this.pending.delete(task));
+        }
+    }
+
+    /**
+     * Выполнить запрос или уведомление; ответ отправляется только на запросы
+     */
+    async dispatch(message) {
+        const isRequest = message.id !== undefined && message.id !== null;
+        const handler = this.handlers.get(message.method);
+
+        if (!handler) {
+            if (isRequest) {
+                this.sendError(message.id, METHOD_NOT_FOUND, `Неподдерживаемый метод: ${message.method}`);
+            }
+            return;
+        }
+
+        if (!this.initialized && message.method !== 'initialize' && message.method !== 'exit') {
+            if (isRequest) {
+                this.sendError(message.id, SERVER_NOT_INITIALIZED, 'Сервер не инициализирован');
+            }
+            return;
+        }
+
+        try {
+            const result = await handler(message.params || {});
+            if (isRequest) {
+                this.send({ id: message.id, result: result ?? null });
+            }
+        } catch (error) {
+            if (isRequest) {
+                this.sendError(message.id, INTERNAL_ERROR, error.message || String(error));
+            }
+        }
+    }
+
+    sendError(id, code, message) {
+        this.send({ id, error: { code, message } });
+    }
+
+    notify(method, params) {
+        this.send({ method, params });
+    }
+
+    send(message) {
+        if (this.closed || !this.output) {
+            return;
+        }
+        const json = JSON.stringify({ jsonrpc: '2.0', ...message });
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+    }
+
+    /**
+     * Завершить сеанс; код 0 — если клиент прислал shutdown перед exit
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+        this.closed = true;
+        if (this.output && this.output !== process.stdout) {
+            this.output.end();
+        }
+        if (this.onClose) {
+            this.onClose(this.shuttingDown ? 0 : 1);
+        }
+    }
+
+    // ========== Жизненный цикл ==========
+
+    initialize() {
+        this.initialized = true;
+
+        return {
+            capabilities: {
+                textDocumentSync: { openClose: true, change: 1 },
+                documentFormattingProvider: true,
+                definitionProvider: true,
+                referencesProvider: true,
+                hoverProvider: true,
+                completionProvider: { resolveProvider: false }
+            },
+            serverInfo: { name: 'vladx' }
+        };
+    }
+
+    /**
+     * Клиент готов принимать уведомления: диагностика документов, открытых раньше
+     */
+    onInitialized() {
+        this.ready = true;
+        for (const document of this.documents.values()) {
+            this.publishDiagnostics(document.uri, document.version, document.analysis.diagnostics);
+        }
+        return null;
+    }
+
+    shutdown() {
+        this.shuttingDown = true;
+        return null;
+    }
+
+    /**
+     * exit: сеанс закрывается после ответов на уже полученные запросы
+     */
+    exit() {
+        Promise.allSettled([...this.pending]).then(() => this.close());
+        return null;
+    }
+
+    // ========== Документы ==========
+
+    didOpen({ textDocument }) {
+        this.update(textDocument.uri, textDocument.text, textDocument.version);
+    }
+
+    /**
+     * Синхронизация полная: последнее изменение содержит весь текст
+     */
+    didChange({ textDocument, contentChanges = [] }) {
+        const change = contentChanges[contentChanges.length - 1];
+        if (change) {
+            this.update(textDocument.uri, change.text, textDocument.version);
+        }
+    }
+
+    didClose({ textDocument }) {
+        this.documents.delete(textDocument.uri);
+        this.publishDiagnostics(textDocument.uri, undefined, []);
+    }
+
+    /**
+     * Проанализировать документ и опубликовать диагностику
+     */
+    update(uri, text, version) {
+        const analysis = this.analyze(text, uri);
+        this.documents.set(uri, { uri, text, version, analysis });
+        this.publishDiagnostics(uri, version, analysis.diagnostics);
+    }
+
+    publishDiagnostics(uri, version, diagnostics) {
+        if (this.ready) {
+            this.notify('textDocument/publishDiagnostics', { uri, version, diagnostics });
+        }
+    }
+
+    // ========== Анализ ==========
+
+    /**
+     * Синтаксические ошибки, замечания линтера и таблица символов.
+     * Символы собираются по токенам, поэтому навигация работает и в файле
+     * с синтаксической ошибкой
+     */
+    analyze(text, uri) {
+        const filename = uri.startsWith('file:') ? fileURLToPath(uri) : uri;
+        const diagnostics = [];
+        const lexer = new Lexer(text, filename);
+        let tokens = null;
+        let ast = null;
+
+        try {
+            tokens = lexer.tokenize();
+            ast = new Parser(tokens).parse();
+        } catch (error) {
+            diagnostics.push(this.syntaxDiagnostic(error));
+        }
+
+        if (ast) {
+            const lines = text.split('\n');
+            try {
+                const results = this.linter.lint(text, filename);
+                diagnostics.push(...results.all.map(result => this.lintDiagnostic(result, lines)));
+            } catch (error) {
+                diagnostics.push(this.syntaxDiagnostic(error));
+            }
+        }
+
+        const analysis = this.collectSymbols(tokens || lexer.tokens);
+        analysis.filename = filename;
+        analysis.diagnostics = diagnostics;
+        this.attachDeclarations(analysis, ast);
+        return analysis;
+    }
+
+    /**
+     * Ошибка лексера или парсера: позиция берётся из префикса [файл:строка:колонка]
+     */
+    syntaxDiagnostic(error) {
+        const text = error.message || String(error);
+        const match = /^\[.*?:(\d+|\?):(\d+|\?)\]\s*([\s\S]*)$/.exec(text);
+        const line = match && match[1] !== '?' ? Number(match[1]) - 1 : 0;
+        const character = match && match[2] !== '?' ? Number(match[2]) - 1 : 0;
+        const message = (match ? match[3] : text).split('\n')[0];
+
+        return {
+            range: {
+                start: { line, character },
+                end: { line, character: character + 1 }
+            },
+            severity: SEVERITY.error,
+            source: 'vladx',
+            message
+        };
+    }
+
+    /**
+     * Замечание линтера подсвечивается от колонки до конца строки
+     */
+    lintDiagnostic(result, lines) {
+        const line = Math.max(0, (result.line || 1) - 1);
+        const length = (lines[line] || '').length;
+        const character = Math.min(Math.max(0, (result.column || 1) - 1), length);
+
+        return {
+            range: {
+                start: { line, character },
+                end: { line, character: Math.max(length, character) }
+            },
+            severity: SEVERITY[result.severity] || SEVERITY.warning,
+            source: 'vladx-lint',
+            code: result.rule,
+            message: result.message
+        };
+    }
+
+    /**
+     * Таблица символов по потоку токенов: области видимости — блоки { },
+     * параметры функций, методов, перехвата и заголовки циклов «для»
+     * относятся к следующему за ними блоку. Ссылки разрешаются по цепочке
+     * областей независимо от порядка объявления (функции и классы поднимаются)
+     */
+    collectSymbols(tokens) {
+        const significant = tokens.filter(token => token.type !== 'NEWLINE' && token.type !== 'EOF');
+        const scopes = [];
+        const symbols = [];
+        const occurrences = [];
+        const references = [];
+
+        const createScope = (parent, start) => {
+            const created = { parent, symbols: new Map(), start, end: null };
+            scopes.push(created);
+            return created;
+        };
+
+        const root = createScope(null, null);
+        let scope = root;
+        let pending = null;       // область параметров для следующего блока
+        let classPending = false;
+        let expectHeader = null;  // { params, owner } — чего ждать от следующей (
+        let parenDepth = 0;
+        const braces = [];
+        const headers = [];
+
+        const declare = (token, kind, extra = {}) => {
+            const symbol = { name: token.value, kind, token, scope, references: [], ...extra };
+            // Методы доступны только через объект, а не по имени
+            if (kind !== 'method') {
+                scope.symbols.set(token.value, symbol);
+            }
+            symbols.push(symbol);
+            occurrences.push({ token, symbol });
+            return symbol;
+        };
+
+        const reference = token => references.push({ token, scope });
+
+        for (let i = 0; i < significant.length; i++) {
+            const token = significant[i];
+            const prev = significant[i - 1];
+            const next = significant[i + 1];
+            const header = expectHeader;
+            expectHeader = null;
+
+            switch (token.type) {
+                case 'LPAREN':
+                    parenDepth++;
+                    if (header) {
+                        headers.push({ depth: parenDepth, ...header });
+                        scope = createScope(scope, token);
+                    }
+                    break;
+
+                case 'RPAREN':
+                    if (headers.length > 0 && headers[headers.length - 1].depth === parenDepth) {
+                        headers.pop();
+                        pending = scope;
+                        scope = scope.parent;
+                    }
+                    parenDepth--;
+                    break;
+
+                case 'LBRACE':
+                    if (pending) {
+                        scope = pending;
+                        pending = null;
+                        braces.push({ scope });
+                    } else if (classPending) {
+                        scope = createScope(scope, token);
+                        classPending = false;
+                        braces.push({ scope, classBody: true });
+                    } else if (prev && LITERAL_CONTEXT.has(prev.type)) {
+                        braces.push({ scope, literal: true });
+                    } else {
+                        scope = createScope(scope, token);
+                        braces.push({ scope });
+                    }
+                    break;
+
+                case 'RBRACE': {
+                    const entry = braces.pop();
+                    if (entry && !entry.literal) {
+                        entry.scope.end = token;
+                        scope = entry.scope.parent || root;
+                    }
+                    break;
+                }
+
+                case 'LET':
+                case 'CONST': {
+                    const kind = token.type === 'LET' ? 'variable' : 'constant';
+                    if (next && next.type === 'IDENTIFIER') {
+                        declare(next, kind);
+                        i++;
+                    } else if (next && (next.type === 'LBRACKET' || next.type === 'LBRACE')) {
+                        // Образец деструктуризации — до парной скобки
+                        let depth = 0;
+                        let j = i + 1;
+                        for (; j < significant.length; j++) {
+                            const part = significant[j];
+                            if (part.type === 'LBRACKET' || part.type === 'LBRACE') {
+                                depth++;
+                            } else if (part.type === 'RBRACKET' || part.type === 'RBRACE') {
+                                depth--;
+                                if (depth === 0) {
+                                    break;
+                                }
+                            } else if (part.type === 'IDENTIFIER' && significant[j + 1]?.type !== 'COLON') {
+                                if (PATTERN_BINDING.has(significant[j - 1].type)) {
+                                    declare(part, kind);
+                                } else {
+                                    reference(part);
+                                }
+                            }
+                        }
+                        i = j;
+                    }
+                    break;
+                }
+
+                case 'FUNCTION': {
+                    let j = i + 1;
+                    if (significant[j]?.type === 'MULT') {
+                        j++;
+                    }
+                    if (significant[j]?.type === 'IDENTIFIER') {
+                        const owner = declare(significant[j], 'function', { params: [] });
+                        expectHeader = { params: true, owner };
+                        i = j;
+                    }
+                    break;
+                }
+
+                case 'CLASS':
+                    if (next && next.type === 'IDENTIFIER') {
+                        declare(next, 'class');
+                        classPending = true;
+                        i++;
+                    }
+                    break;
+
+                case 'FOR':
+                    expectHeader = { params: false };
+                    break;
+
+                case 'CATCH':
+                    expectHeader = { params: true, owner: null };
+                    break;
+
+                case 'IMPORT':
+                    if (next?.type === 'STRING' && significant[i + 2]?.type === 'AS' && significant[i + 3]?.type === 'IDENTIFIER') {
+                        declare(significant[i + 3], 'module', { path: next.value });
+                        i += 3;
+                    }
+                    break;
+
+                case 'IDENTIFIER': {
+                    const block = braces[braces.length - 1];
+                    const current = headers[headers.length - 1];
+
+                    if (prev && prev.type === 'DOT') {
+                        // Свойство объекта
+                        break;
+                    }
+                    if (block && block.classBody && next && next.type === 'LPAREN') {
+                        const owner = declare(token, 'method', { params: [] });
+                        expectHeader = { params: true, owner };
+                        break;
+                    }
+                    if (block && block.literal && next && next.type === 'COLON' && prev && (prev.type === 'LBRACE' || prev.type === 'COMMA')) {
+                        // Ключ объектного литерала
+                        break;
+                    }
+                    if (current && current.params && current.depth === parenDepth && prev && (prev.type === 'LPAREN' || prev.type === 'COMMA')) {
+                        const param = declare(token, 'parameter');
+                        if (current.owner) {
+                            current.owner.params.push(param.name);
+                        }
+                        break;
+                    }
+                    reference(token);
+                    break;
+                }
+            }
+        }
+
+        for (const { token, scope: from } of references) {
+            const symbol = this.lookup(token.value, from);
+            if (symbol) {
+                symbol.references.push(token);
+            }
+            occurrences.push({ token, symbol });
+        }
+
+        return { root, scopes, symbols, occurrences };
+    }
+
+    /**
+     * Найти символ по имени в цепочке областей видимости
+     */
+    lookup(name, scope) {
+        for (let current = scope; current; current = current.parent) {
+            const symbol = current.symbols.get(name);
+            if (symbol) {
+                return symbol;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Связать объявления переменных с узлами AST (по строке и имени) —
+     * для вывода типа по инициализатору
+     */
+    attachDeclarations(analysis, ast) {
+        if (!ast) {
+            return;
+        }
+
+        const declarations = new Map();
+        const traverse = (node) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if ((node.type === 'LetStatement' || node.type === 'ConstStatement') && node.line !== undefined) {
+                const key = `${node.line}:${node.name}`;
+                if (!declarations.has(key)) {
+                    declarations.set(key, node);
+                }
+            }
+            for (const key in node) {
+                if (Array.isArray(node[key])) {
+                    node[key].forEach(traverse);
+                } else if (typeof node[key] === 'object') {
+                    traverse(node[key]);
+                }
+            }
+        };
+        traverse(ast);
+
+        for (const symbol of analysis.symbols) {
+            const node = declarations.get(`${symbol.token.line}:${symbol.name}`);
+            if (node && (symbol.kind === 'variable' || symbol.kind === 'constant')) {
+                symbol.node = node;
+            }
+        }
+    }
+
+    /**
+     * Тип символа через TypeSystem.inferType или null, если он неизвестен
+     */
+    inferSymbolType(symbol) {
+        const value = this.symbolValue(symbol, new Set());
+        return value ? this.typeSystem.inferType(value) : null;
+    }
+
+    /**
+     * Представитель значения символа (для вывода типа)
+     */
+    symbolValue(symbol, seen) {
+        if (seen.has(symbol)) {
+            return null;
+        }
+        seen.add(symbol);
+
+        switch (symbol.kind) {
+            case 'function':
+            case 'method':
+                return VladXObject.closure(null, null, symbol.name);
+            case 'class':
+                return VladXObject.class(symbol.name);
+            case 'variable':
+            case 'constant':
+                return symbol.node ? this.staticValue(symbol.node.initializer, symbol.scope, seen) : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Значение выражения, известное без выполнения программы
+     */
+    staticValue(node, scope, seen) {
+        if (!node) {
+            return null;
+        }
+
+        switch (node.type) {
+            case 'Literal':
+                return VladXObject.fromJS(node.value);
+            case 'TemplateLiteral':
+                return VladXObject.string('');
+            case 'ArrayExpression':
+                return VladXObject.array([]);
+            case 'ObjectExpression':
+                return VladXObject.object({});
+            case 'FunctionDeclaration':
+            case 'ArrowFunctionExpression':
+                return VladXObject.closure(node, null, node.name);
+            case 'NewExpression': {
+                const name = node.callee?.name ?? node.callee;
+                return typeof name === 'string' ? VladXObject.instance(VladXObject.class(name)) : null;
+            }
+            case 'UnaryExpression':
+                if (node.operator === '!') {
+                    return VladXObject.boolean(false);
+                }
+                return node.operator === '-' || node.operator === '+' ? VladXObject.number(0) : null;
+            case 'BinaryExpression': {
+                if (COMPARISON.has(node.operator)) {
+                    return VladXObject.boolean(false);
+                }
+                const left = this.staticValue(node.left, scope, seen);
+                const right = this.staticValue(node.right, scope, seen);
+                if (node.operator === '+' && (left?.type === 'string' || right?.type === 'string')) {
+                    return VladXObject.string('');
+                }
+                if (ARITHMETIC.has(node.operator) && left?.type === 'number' && right?.type === 'number') {
+                    return VladXObject.number(0);
+                }
+                return null;
+            }
+            case 'Identifier': {
+                const symbol = this.lookup(node.name, scope);
+                return symbol ? this.symbolValue(symbol, seen) : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Подпись символа: «функция сумма(а, б)», «пусть x: число»
+     */
+    signature(symbol) {
+        const label = KIND_LABEL[symbol.kind];
+
+        switch (symbol.kind) {
+            case 'function':
+            case 'method':
+                return `${label} ${symbol.name}(${symbol.params.join(', ')})`;
+            case 'module':
+                return `${label} "${symbol.path}" как ${symbol.name}`;
+            case 'class':
+            case 'parameter':
+                return `${label} ${symbol.name}`;
+            default: {
+                const type = this.inferSymbolType(symbol);
+                return type ? `${label} ${symbol.name}: ${type}` : `${label} ${symbol.name}`;
+            }
+        }
+    }
+
+    // ========== Навигация ==========
+
+    /**
+     * Вхождение имени под курсором (курсор может стоять сразу после имени)
+     */
+    occurrenceAt(analysis, position) {
+        return analysis.occurrences.find(({ token }) => {
+            const start = token.column - 1;
+            return token.line - 1 === position.line &&
+                position.character >= start && position.character <= start + String(token.value).length;
+        }) || null;
+    }
+
+    /**
+     * Самая вложенная область видимости, содержащая позицию
+     */
+    scopeAt(analysis, position) {
+        const before = (token, line, character) =>
+            token.line - 1 < line || (token.line - 1 === line && token.column - 1 <= character);
+
+        let found = analysis.root;
+        for (const scope of analysis.scopes) {
+            if (!scope.start || !before(scope.start, position.line, position.character)) {
+                continue;
+            }
+            if (scope.end && before(scope.end, position.line, position.character - 1)) {
+                continue;
+            }
+            found = scope;
+        }
+        return found;
+    }
+
+    location(uri, token) {
+        return { uri, range: this.tokenRange(token) };
+    }
+
+    tokenRange(token) {
+        const line = token.line - 1;
+        const character = token.column - 1;
+        return {
+            start: { line, character },
+            end: { line, character: character + String(token.value).length }
+        };
+    }
+
+    /**
+     * Переход к объявлению; для псевдонима импорта — к файлу модуля
+     */
+    definition({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence || !occurrence.symbol) {
+            return null;
+        }
+
+        const { symbol } = occurrence;
+        if (symbol.kind === 'module' && symbol.path.startsWith('.') && occurrence.token !== symbol.token) {
+            const target = resolve(dirname(document.analysis.filename), symbol.path);
+            const start = { line: 0, character: 0 };
+            return { uri: pathToFileURL(target).href, range: { start, end: start } };
+        }
+
+        return this.location(textDocument.uri, symbol.token);
+    }
+
+    references({ textDocument, position, context = {} }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence || !occurrence.symbol) {
+            return [];
+        }
+
+        const { symbol } = occurrence;
+        const tokens = context.includeDeclaration === false ? symbol.references : [symbol.token, ...symbol.references];
+        return tokens.map(token => this.location(textDocument.uri, token));
+    }
+
+    hover({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const occurrence = document && this.occurrenceAt(document.analysis, position);
+        if (!occurrence) {
+            return null;
+        }
+
+        let text;
+        if (occurrence.symbol) {
+            text = this.signature(occurrence.symbol);
+        } else if (this.getBuiltins().includes(occurrence.token.value)) {
+            text = `встроенная функция ${occurrence.token.value}`;
+        } else {
+            return null;
+        }
+
+        return {
+            contents: { kind: 'markdown', value: `\`\`\`vladx\n${text}\n\`\`\`` },
+            range: this.tokenRange(occurrence.token)
+        };
+    }
+
+    // ========== Правка ==========
+
+    /**
+     * Форматирование всего документа одной правкой
+     */
+    formatting({ textDocument, options = {} }) {
+        const document = this.documents.get(textDocument.uri);
+        if (!document) {
+            return null;
+        }
+
+        const formatter = new Formatter({
+            indentSize: options.tabSize || 4,
+            useTabs: options.insertSpaces === false
+        });
+        const formatted = formatter.format(document.text, document.analysis.filename);
+        if (formatted === document.text) {
+            return [];
+        }
+
+        const lines = document.text.split('\n');
+        return [{
+            range: {
+                start: { line: 0, character: 0 },
+                end: { line: lines.length - 1, character: lines[lines.length - 1].length }
+            },
+            newText: formatted
+        }];
+    }
+
+    /**
+     * Символы видимых областей, встроенные функции и ключевые слова
+     */
+    completion({ textDocument, position }) {
+        const document = this.documents.get(textDocument.uri);
+        const items = [];
+        const seen = new Set();
+        const add = (label, kind, detail) => {
+            if (!seen.has(label)) {
+                seen.add(label);
+                items.push({ label, kind, detail });
+            }
+        };
+
+        if (document) {
+            for (let scope = this.scopeAt(document.analysis, position); scope; scope = scope.parent) {
+                for (const symbol of scope.symbols.values()) {
+                    add(symbol.name, COMPLETION_KIND[symbol.kind], this.signature(symbol));
+                }
+            }
+        }
+
+        for (const name of this.getBuiltins()) {
+            add(name, COMPLETION_KIND.function, 'встроенная функция');
+        }
+
+        for (const keyword of Object.keys(KEYWORDS)) {
+            add(keyword, COMPLETION_KIND.keyword, 'ключевое слово');
+        }
+
+        return { isIncomplete: false, items };
+    }
+
+    /**
+     * Имена встроенных функций, зарегистрированных движком
+     */
+    getBuiltins() {
+        if (!this.builtins) {
+            const engine = new VladXEngine();
+            this.builtins = [...engine.interpreter.builtins.keys()].sort();
+        }
+        return this.builtins;
+    }
+}
+
+export default LanguageServer;
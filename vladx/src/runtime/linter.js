@@ -111,13 +111,15 @@ export class Linter {
             checkAST: (ast, filename) => {
                 const results = [];
                 const usedVars = new Set();
-                const declaredVars = new Set();
+                const declaredVars = new Map();
 
                 const traverse = (node) => {
                     if (!node) return;
 
                     if (node.type === 'LetStatement' || node.type === 'ConstStatement') {
-                        declaredVars.add(node.name);
+                        if (!declaredVars.has(node.name)) {
+                            declaredVars.set(node.name, node);
+                        }
                     }
 
                     if (node.type === 'Identifier') {
@@ -135,12 +137,12 @@ export class Linter {
 
                 traverse(ast);
 
-                for (const varName of declaredVars) {
+                for (const [varName, declaration] of declaredVars) {
                     if (!usedVars.has(varName)) {
                         results.push({
                             message: `Переменная "${varName}" не используется`,
-                            line: ast.body?.[0]?.line || 0,
-                            column: 0,
+                            line: declaration.line || 0,
+                            column: declaration.column || 0,
                             severity: 'warning',
                             filename
                         });
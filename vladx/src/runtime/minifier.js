@@ -2,6 +2,8 @@
  * Minifier — Минификатор кода VladX
  */
 
+import { isPrivateNameAt } from '../lexer/lexer.js';
+
 export class Minifier {
     constructor(options = {}) {
         this.removeComments = options.removeComments !== false;
@@ -55,8 +57,13 @@ export class Minifier {
         // Однострочные комментарии //
         code = code.replace(/\/\/.*$/gm, '');
 
-        // Русские комментарии #
-        code = code.replace(/#.*$/gm, '');
+        // Русские комментарии #; приватные имена #поле остаются
+        code = code.split('\n').map(line => {
+            for (let i = line.indexOf('#'); i >= 0; i = line.indexOf('#', i + 1)) {
+                if (!isPrivateNameAt(line, i)) return line.slice(0, i);
+            }
+            return line;
+        }).join('\n');
 
         return code;
     }
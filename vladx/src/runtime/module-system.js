@@ -3,13 +3,22 @@
  * Управляет импортом и экспортом модулей, включая поддержку пакетов vladpm
  */
 
-import { readFileSync, existsSync } from 'fs';
+import { readFileSync, existsSync, realpathSync } from 'fs';
 import { dirname, join, extname, isAbsolute, basename } from 'path';
 import { fileURLToPath } from 'url';
 import { Lexer } from '../lexer/lexer.js';
 import { Parser } from '../parser/parser.js';
+import { VladXObject } from './vladx-object.js';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+/**
+ * Стандартные модули: импорт "регвыр" без файла и пакета.
+ * Функция получает интерпретатор и возвращает функции модуля
+ */
+export const STANDARD_MODULES = {
+    регвыр: (interpreter) => interpreter.regex
+};
+
 export class ModuleSystem {
     constructor(interpreter) {
         this.interpreter = interpreter;
@@ -94,6 +103,15 @@ export class ModuleSystem {
      * Поиск пакета в node_modules
      */
     findPackage(packageInfo, currentPath) {
+        // Ближайший node_modules от каталога импортирующего файла вверх:
+        // вложенная копия пакета (раскладка vladpm) важнее поднятой в корень
+        for (const basePath of this.ancestorNodeModules(currentPath)) {
+            const found = this.findPackageIn(basePath, packageInfo);
+            if (found) {
+                return found;
+            }
+        }
+
         // Сначала пробуем найти прямой файл (node_modules/math.vx)
         const directModule = this.findDirectModule(packageInfo.name, currentPath);
         if (directModule) {
@@ -102,36 +120,70 @@ export class ModuleSystem {
 
         // Пробуем локальные node_modules
         for (const basePath of this.nodeModulesPaths) {
-            const packagePath = join(basePath, packageInfo.fullName);
+            const found = this.findPackageIn(basePath, packageInfo);
+            if (found) {
+                return found;
+            }
+        }
 
-            if (existsSync(packagePath)) {
-                // Проверяем, это файл или директория
-                if (existsSync(join(packagePath, 'package.json'))) {
-                    return { path: packagePath, isDirect: false }; // Пакет с package.json
-                }
-                if (existsSync(join(packagePath, 'index.vx'))) {
-                    return { path: packagePath, isDirect: false }; // Пакет с index.vx
-                }
+        return null;
+    }
+
+    /**
+     * Каталог пакета в одном node_modules
+     */
+    findPackageIn(basePath, packageInfo) {
+        const packagePath = join(basePath, packageInfo.fullName);
+
+        if (existsSync(packagePath)) {
+            // Проверяем, это файл или директория
+            if (existsSync(join(packagePath, 'package.json')) || existsSync(join(packagePath, 'vladx.json'))) {
+                return { path: packagePath, isDirect: false }; // Пакет с манифестом
             }
+            if (existsSync(join(packagePath, 'index.vx'))) {
+                return { path: packagePath, isDirect: false }; // Пакет с index.vx
+            }
+        }
 
-            // Для scoped packages пробуем по-другому
-            if (packageInfo.scope) {
-                const scopedPath = join(basePath, '@' + packageInfo.scope, packageInfo.name);
-                if (existsSync(scopedPath)) {
-                    return { path: scopedPath, isDirect: false };
-                }
+        // Для scoped packages пробуем по-другому
+        if (packageInfo.scope) {
+            const scopedPath = join(basePath, '@' + packageInfo.scope, packageInfo.name);
+            if (existsSync(scopedPath)) {
+                return { path: scopedPath, isDirect: false };
             }
         }
 
         return null;
     }
-    
+
+    /**
+     * Каталоги node_modules от каталога файла до корня
+     */
+    ancestorNodeModules(currentPath) {
+        if (!currentPath || !isAbsolute(currentPath)) {
+            return [];
+        }
+
+        const paths = [];
+        let dir = dirname(currentPath);
+        while (true) {
+            if (basename(dir) !== 'node_modules') {
+                paths.push(join(dir, 'node_modules'));
+            }
+            const parent = dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        return paths;
+    }
+
     /**
      * Получение главного файла пакета из package.json
      */
     getPackageMain(packagePath) {
         // Если это не директория, а файл - возвращаем как есть
-        if (!existsSync(join(packagePath, 'package.json')) && !existsSync(join(packagePath, 'index.vx'))) {
+        if (!existsSync(join(packagePath, 'package.json')) && !existsSync(join(packagePath, 'vladx.json')) &&
+            !existsSync(join(packagePath, 'index.vx'))) {
             if (existsSync(packagePath)) {
                 const stat = require('fs').statSync(packagePath);
                 if (stat.isFile()) {
@@ -147,7 +199,10 @@ export class ModuleSystem {
         return packagePath;
         }
 
-        const packageJsonPath = join(packagePath, 'package.json');
+        // Пакеты vladpm описываются vladx.json
+        const packageJsonPath = existsSync(join(packagePath, 'package.json'))
+            ? join(packagePath, 'package.json')
+            : join(packagePath, 'vladx.json');
 
         if (!existsSync(packageJsonPath)) {
             // Нет package.json, пробуем index.vx
@@ -241,19 +296,26 @@ export class ModuleSystem {
             throw new Error(`Пакет "${packageInfo.fullName}" не найден. Установите его с помощью: vladpm установить ${packageInfo.fullName}`);
         }
 
+        // Ссылки (пакеты рабочего пространства) разрешаются в реальный каталог:
+        // один модуль — одна запись в кэше, а его зависимости ищутся от его места
+        const realPath = realpathSync(foundResult.path);
+
         // Если нашли прямой файл (node_modules/math.vx), возвращаем его сразу
         if (foundResult.isDirect) {
-            return foundResult.path;
+            return realPath;
         }
 
         // Иначе это директория пакета, получаем главный файл
-        return this.getPackageMain(foundResult.path);
+        return this.getPackageMain(realPath);
     }
     
     /**
      * Загрузка модуля
      */
     async loadModule(modulePath, currentPath) {
+        if (Object.hasOwn(STANDARD_MODULES, modulePath)) {
+            return this.loadStandardModule(modulePath);
+        }
 
         // Разрешаем путь модуля
         const resolvedPath = this.resolveModulePath(modulePath, currentPath);
@@ -344,6 +406,21 @@ export class ModuleSystem {
         }
     }
     
+    /**
+     * Стандартный модуль: его функции как встроенные
+     */
+    loadStandardModule(name) {
+        const key = `<std:${name}>`;
+        if (!this.moduleCache.has(key)) {
+            const moduleExports = {};
+            for (const [exportName, fn] of Object.entries(STANDARD_MODULES[name](this.interpreter))) {
+                moduleExports[exportName] = VladXObject.function(fn, exportName);
+            }
+            this.moduleCache.set(key, moduleExports);
+        }
+        return this.moduleCache.get(key);
+    }
+
     /**
      * Извлечение всех значений из окружения
      */
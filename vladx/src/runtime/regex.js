@@ -0,0 +1,147 @@
+/**
+ * Regex — Регулярные выражения языка: литералы /шаблон/флаги и модуль «регвыр»
+ *
+ * Скомпилированные выражения берутся из общего RegexCache, поэтому одно
+ * выражение разделяют все значения с тем же шаблоном и флагами. Функции
+ * ниже не зависят от lastIndex и всегда ищут с начала строки
+ */
+
+import { RegexCache } from '../lexer/regex-cache.js';
+
+export const REGEX_FLAGS = 'dgimsuvy';
+
+export const regexCache = new RegexCache({ maxSize: 500 });
+
+/**
+ * Выражение из шаблона и флагов (из кэша)
+ */
+export function compileRegex(pattern, flags = '') {
+    pattern = String(pattern);
+    flags = String(flags ?? '');
+    for (const [index, flag] of [...flags].entries()) {
+        if (!REGEX_FLAGS.includes(flag) || flags.indexOf(flag) !== index) {
+            throw new Error(`Неверный флаг «${flag}» в /${pattern}/${flags}. Допустимые: ${REGEX_FLAGS}`);
+        }
+    }
+    try {
+        return regexCache.get(pattern, flags);
+    } catch (error) {
+        throw new Error(`Неверное регулярное выражение /${pattern}/${flags}: ${error.message.replace(/^.*: /, '')}`);
+    }
+}
+
+/**
+ * Выражение из значения: выражение как есть, строка — как шаблон
+ */
+export function toRegex(value) {
+    if (value instanceof RegExp) return value;
+    if (typeof value === 'string') return compileRegex(value);
+    throw new Error(`Ожидалось регулярное выражение, получено: ${value === null || value === undefined ? 'ничто' : typeof value}`);
+}
+
+/**
+ * Запись выражения как в исходнике: /шаблон/флаги
+ */
+export function formatRegex(regexp) {
+    return `/${regexp.source}/${regexp.flags}`;
+}
+
+/**
+ * То же выражение с флагом g или без него
+ */
+function withGlobal(regexp, global) {
+    if (regexp.global === global) return regexp;
+    const flags = global ? `${regexp.flags}g` : regexp.flags.replace('g', '');
+    return regexCache.get(regexp.source, flags);
+}
+
+/**
+ * Совпадение в объект языка: текст, индекс, группы по номеру и по имени
+ */
+export function matchToObject(match) {
+    const named = {};
+    for (const [name, value] of Object.entries(match.groups || {})) {
+        named[name] = value ?? null;
+    }
+    return {
+        текст: match[0],
+        индекс: match.index,
+        группы: match.slice(1).map(group => group ?? null),
+        именованные: named
+    };
+}
+
+function execFirst(regexp, text) {
+    regexp.lastIndex = 0;
+    const match = regexp.exec(String(text));
+    regexp.lastIndex = 0;
+    return match;
+}
+
+function execAll(regexp, text) {
+    const global = withGlobal(regexp, true);
+    global.lastIndex = 0;
+    return [...String(text).matchAll(global)];
+}
+
+/**
+ * Текст с заменой совпадений: строка замены понимает $1 и $<имя>,
+ * функция получает объект совпадения. call(функция, совпадение) вызывает
+ * функцию языка и может вернуть Promise
+ */
+function replaceMatches(regexp, text, replacement, all, call) {
+    const source = String(text);
+    if (typeof replacement === 'string') {
+        const target = withGlobal(regexp, all);
+        target.lastIndex = 0;
+        return source.replace(target, replacement);
+    }
+
+    const matches = all ? execAll(regexp, source) : [execFirst(regexp, source)].filter(Boolean);
+    const parts = [];
+    let last = 0;
+    const collect = (index, value) => {
+        const match = matches[index];
+        parts.push(source.slice(last, match.index), String(value ?? ''));
+        last = match.index + match[0].length;
+    };
+    // Синхронные замены не создают Promise: результат сразу строка
+    const step = (index) => {
+        for (; index < matches.length; index++) {
+            const value = call(replacement, matchToObject(matches[index]));
+            if (value instanceof Promise) {
+                return value.then(resolved => {
+                    collect(index, resolved);
+                    return step(index + 1);
+                });
+            }
+            collect(index, value);
+        }
+        return parts.join('') + source.slice(last);
+    };
+    return step(0);
+}
+
+/**
+ * Функции модуля «регвыр»; выражение — первый аргумент.
+ * Те же функции (кроме создать и экранировать) — методы значений /…/
+ */
+export function createRegexModule(call) {
+    return {
+        создать: (pattern, flags = '') => compileRegex(pattern, flags),
+        экранировать: (text) => String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'),
+        совпадает: (regexp, text) => execFirst(toRegex(regexp), text) !== null,
+        найти: (regexp, text) => {
+            const match = execFirst(toRegex(regexp), text);
+            return match ? matchToObject(match) : null;
+        },
+        найтиВсе: (regexp, text) => execAll(toRegex(regexp), text).map(matchToObject),
+        заменить: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, false, call),
+        заменитьВсе: (regexp, text, replacement) => replaceMatches(toRegex(regexp), text, replacement, true, call),
+        разделить: (regexp, text, limit) => String(text).split(toRegex(regexp), limit ?? undefined)
+    };
+}
+
+export const REGEX_METHODS = ['совпадает', 'найти', 'найтиВсе', 'заменить', 'заменитьВсе', 'разделить'];
+
+export default createRegexModule;
@@ -114,8 +114,12 @@ export class SourceMapGenerator {
      * Кодировать mappings в base64 VLQ
      */
     encodeMappings(mappings) {
+        const sources = Array.from(this.sources);
+        const names = Array.from(this.names);
         let result = '';
-        let lastGeneratedLine = 0;
+        // Строки сгенерированного кода нумеруются с 1, первая строка не требует разделителя
+        let lastGeneratedLine = 1;
+        let firstInLine = true;
         let lastGeneratedColumn = 0;
         let lastSourceIndex = 0;
         let lastSourceLine = 0;
@@ -137,16 +141,19 @@ export class SourceMapGenerator {
                 }
                 lastGeneratedLine = mapping.generated.line;
                 lastGeneratedColumn = 0;
-            } else if (result.length > 0) {
+                firstInLine = true;
+            }
+            if (!firstInLine) {
                 result += ',';
             }
+            firstInLine = false;
 
             // Generated column
             result += this.encodeVLQ(mapping.generated.column - lastGeneratedColumn);
             lastGeneratedColumn = mapping.generated.column;
 
             if (mapping.original) {
-                const sourceIndex = this.sources.indexOf(mapping.source);
+                const sourceIndex = sources.indexOf(mapping.source);
                 result += this.encodeVLQ(sourceIndex - lastSourceIndex);
                 lastSourceIndex = sourceIndex;
 
@@ -156,8 +163,8 @@ export class SourceMapGenerator {
                 result += this.encodeVLQ(mapping.original.column - lastSourceColumn);
                 lastSourceColumn = mapping.original.column;
 
-                if (mapping.name !== null) {
-                    const nameIndex = this.names.indexOf(mapping.name);
+                if (mapping.name) {
+                    const nameIndex = names.indexOf(mapping.name);
                     result += this.encodeVLQ(nameIndex - lastNameIndex);
                     lastNameIndex = nameIndex;
                 }
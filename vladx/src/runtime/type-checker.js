@@ -0,0 +1,906 @@
+/**
+ * TypeChecker — Статическая проверка типов по аннотациям без выполнения кода
+ */
+
+const ANY = { type: 'SimpleType', name: 'любой' };
+
+const simple = (name) => ({ type: 'SimpleType', name });
+
+/**
+ * Типы результатов встроенных функций
+ */
+const BUILTIN_RETURN_TYPES = {
+    число: ['максимум', 'минимум', 'случайный', 'случайноеЦелое', 'abs', 'округлить', 'пол', 'потолок',
+        'корень', 'степень', 'ln', 'log10', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'длина',
+        'кодСимвола', 'найтиИндекс', 'размер', 'время', 'вЧисло'],
+    строка: ['нижнийРегистр', 'верхнийРегистр', 'обрезка', 'заменить', 'соединить', 'подстрока',
+        'символПоКоду', 'тип', 'вСтроку', 'форматДаты', 'генUUID', 'хешMD5', 'хешSHA256', 'экранироватьHTML'],
+    логический: ['включает', 'пустой', 'каждый', 'некоторые', 'этоЧисло', 'этоСтрока', 'этоМассив',
+        'этоОбъект', 'этоФункция', 'этоЛогическое', 'этоПустой', 'файлСуществует'],
+    большое: ['большое'],
+    десятичное: ['десятичное'],
+    регвыр: ['регex'],
+    ничто: ['печать', 'вывод']
+};
+
+/**
+ * Типы встроенных структур, значения которых не являются VladXObject
+ */
+const NATIVE_TYPES = new Set(['Карта', 'Множество', 'Обещание']);
+
+const ARITHMETIC_OPERATORS = new Set(['-', '*', '/', '%', '**']);
+// Числовые типы от узкого к широкому: в смешанной операции результат — более широкий
+const NUMERIC_TYPES = ['число', 'большое', 'десятичное'];
+const COMPARISON_OPERATORS = new Set(['==', '!=', '===', '!==', '<', '>', '<=', '>=']);
+
+export class TypeChecker {
+    constructor(typeSystem, options = {}) {
+        this.typeSystem = typeSystem;
+        this.filename = options.filename || '<anonymous>';
+        this.errors = [];
+        this.scope = null;
+        this.aliases = new Map(typeSystem.aliases);
+        this.classes = new Map();
+        // Перечисления: имя → (вариант → поля или null)
+        this.enums = new Map();
+        this.currentFunction = null;
+        this.currentClass = null;
+        this.currentNode = null;
+
+        this.builtinTypes = new Map();
+        for (const [name, functions] of Object.entries(BUILTIN_RETURN_TYPES)) {
+            for (const fn of functions) {
+                this.builtinTypes.set(fn, simple(name));
+            }
+        }
+    }
+
+    /**
+     * Проверить программу, вернуть список ошибок
+     */
+    check(ast) {
+        this.pushScope();
+        this.checkBlock(ast.body || []);
+        this.popScope();
+        return this.errors;
+    }
+
+    error(message) {
+        const node = this.currentNode || {};
+        this.errors.push({
+            message,
+            line: node.line || 0,
+            column: node.column || 0,
+            filename: node.filename || this.filename
+        });
+    }
+
+    pushScope() {
+        this.scope = { parent: this.scope, vars: new Map() };
+    }
+
+    popScope() {
+        this.scope = this.scope.parent;
+    }
+
+    declare(name, type, isConst = false) {
+        this.scope.vars.set(name, { type, isConst });
+    }
+
+    lookup(name) {
+        for (let scope = this.scope; scope; scope = scope.parent) {
+            if (scope.vars.has(name)) {
+                return scope.vars.get(name);
+            }
+        }
+        return null;
+    }
+
+    format(type) {
+        return this.typeSystem.typeToString(type);
+    }
+
+    /**
+     * Раскрыть псевдонимы и массив<T>
+     */
+    resolve(type, depth = 0) {
+        if (!type || depth > 20) return ANY;
+        if (type.type === 'SimpleType' && this.aliases.has(type.name)) {
+            return this.resolve(this.aliases.get(type.name), depth + 1);
+        }
+        if (type.type === 'GenericType' && type.name === 'массив' && type.typeArguments.length === 1) {
+            return { type: 'ArrayType', elementType: type.typeArguments[0] };
+        }
+        return type;
+    }
+
+    isAny(type) {
+        const resolved = this.resolve(type);
+        return resolved.type === 'SimpleType' && resolved.name === 'любой';
+    }
+
+    /**
+     * Проверка, что все имена в аннотации известны
+     */
+    validateType(type) {
+        if (!type) return true;
+        const errorCount = this.errors.length;
+        this.validateTypeNames(type);
+        return this.errors.length === errorCount;
+    }
+
+    validateTypeNames(type) {
+        if (!type) return;
+        switch (type.type) {
+            case 'SimpleType':
+                this.validateTypeName(type.name);
+                break;
+            case 'ArrayType':
+                this.validateTypeNames(type.elementType);
+                break;
+            case 'TupleType':
+                type.elementTypes.forEach(element => this.validateTypeNames(element));
+                break;
+            case 'UnionType':
+            case 'IntersectionType':
+                type.types.forEach(member => this.validateTypeNames(member));
+                break;
+            case 'GenericType':
+                this.validateTypeName(type.name);
+                type.typeArguments.forEach(argument => this.validateTypeNames(argument));
+                break;
+            case 'FunctionType':
+                type.params.forEach(param => this.validateTypeNames(param));
+                this.validateTypeNames(type.returnType);
+                break;
+        }
+    }
+
+    validateTypeName(name) {
+        if (!this.typeSystem.types.has(name) && !this.aliases.has(name) && !this.classes.has(name) && !this.enums.has(name) && !NATIVE_TYPES.has(name)) {
+            this.error(`Неизвестный тип «${name}»`);
+        }
+    }
+
+    /**
+     * Можно ли значение типа source присвоить месту типа target
+     */
+    isAssignable(source, target) {
+        source = this.resolve(source);
+        target = this.resolve(target);
+
+        if (this.isAny(source) || this.isAny(target)) return true;
+
+        if (source.type === 'UnionType') {
+            return source.types.every(member => this.isAssignable(member, target));
+        }
+        if (target.type === 'UnionType') {
+            return target.types.some(member => this.isAssignable(source, member));
+        }
+        if (target.type === 'IntersectionType') {
+            return target.types.every(member => this.isAssignable(source, member));
+        }
+        if (source.type === 'IntersectionType') {
+            return source.types.some(member => this.isAssignable(member, target));
+        }
+
+        switch (target.type) {
+            case 'SimpleType':
+                return this.isAssignableToName(source, target.name);
+
+            case 'ArrayType':
+                if (source.type === 'ArrayType') {
+                    return this.isAssignable(source.elementType, target.elementType);
+                }
+                if (source.type === 'TupleType') {
+                    return source.elementTypes.every(element => this.isAssignable(element, target.elementType));
+                }
+                return source.type === 'SimpleType' && source.name === 'массив';
+
+            case 'TupleType':
+                if (source.type === 'TupleType') {
+                    return source.elementTypes.length === target.elementTypes.length &&
+                        source.elementTypes.every((element, index) => this.isAssignable(element, target.elementTypes[index]));
+                }
+                return source.type === 'SimpleType' && source.name === 'массив';
+
+            case 'FunctionType':
+                if (source.type === 'FunctionType') {
+                    // Лишние параметры источника допустимы, если у них есть значения по умолчанию
+                    return (source.minArgs ?? source.params.length) <= target.params.length &&
+                        target.params.every((param, index) => index >= source.params.length || this.isAssignable(param, source.params[index])) &&
+                        this.isAssignable(source.returnType, target.returnType);
+                }
+                return source.type === 'SimpleType' && source.name === 'функция';
+
+            case 'GenericType':
+                if (source.type === 'GenericType' && source.name === target.name) {
+                    return source.typeArguments.length === target.typeArguments.length &&
+                        source.typeArguments.every((argument, index) => this.isAssignable(argument, target.typeArguments[index]));
+                }
+                return source.type === 'SimpleType' && source.name === target.name;
+
+            default:
+                return true;
+        }
+    }
+
+    isAssignableToName(source, name) {
+        switch (source.type) {
+            case 'SimpleType':
+                if (source.name === name) return true;
+                if (name === 'объект') {
+                    return this.classes.has(source.name);
+                }
+                return this.isSubclass(source.name, name);
+            case 'ArrayType':
+            case 'TupleType':
+                return name === 'массив';
+            case 'FunctionType':
+                return name === 'функция';
+            case 'GenericType':
+                return source.name === name;
+            default:
+                return false;
+        }
+    }
+
+    isSubclass(className, ancestor) {
+        for (let info = this.classes.get(className); info; info = this.classes.get(info.superClass)) {
+            if (info.superClass === ancestor) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Объединение типов без повторов
+     */
+    union(types) {
+        const unique = [];
+        for (const type of types) {
+            const members = type.type === 'UnionType' ? type.types : [type];
+            for (const member of members) {
+                if (this.isAny(member)) return ANY;
+                if (!unique.some(existing => this.format(existing) === this.format(member))) {
+                    unique.push(member);
+                }
+            }
+        }
+        if (unique.length === 0) return ANY;
+        return unique.length === 1 ? unique[0] : { type: 'UnionType', types: unique };
+    }
+
+    /**
+     * Общий числовой тип операндов (число, большое или десятичное) или null.
+     * любой считается числом
+     */
+    numericType(types) {
+        let widest = 0;
+        for (const type of types) {
+            if (this.isAny(type)) continue;
+            const index = NUMERIC_TYPES.findIndex(name => this.isAssignable(type, simple(name)));
+            if (index === -1) return null;
+            widest = Math.max(widest, index);
+        }
+        return simple(NUMERIC_TYPES[widest]);
+    }
+
+    /**
+     * Тип без ничто: то, что остаётся после ?. и ??
+     */
+    withoutNothing(type) {
+        const resolved = this.resolve(type);
+        if (resolved.type !== 'UnionType') return resolved;
+        const types = resolved.types.filter(member => !(member.type === 'SimpleType' && member.name === 'ничто'));
+        return types.length === 1 ? types[0] : { type: 'UnionType', types };
+    }
+
+    /**
+     * Тип функции по её объявлению
+     */
+    functionType(node) {
+        const params = [];
+        let minArgs = 0;
+        for (const param of node.params || []) {
+            if (param.type === 'AssignmentPattern') {
+                params.push(param.left.typeAnnotation || ANY);
+            } else {
+                params.push(param.typeAnnotation || ANY);
+                minArgs = params.length;
+            }
+        }
+        return {
+            type: 'FunctionType',
+            params,
+            returnType: node.returnType || ANY,
+            minArgs,
+            isAsync: node.isAsync
+        };
+    }
+
+    /**
+     * Объявления функций, классов, перечислений и псевдонимов доступны во всём блоке
+     */
+    hoist(statements) {
+        for (const statement of statements) {
+            if (!statement) continue;
+            if (statement.type === 'TypeAliasDeclaration') {
+                this.aliases.set(statement.name, statement.typeAnnotation);
+            } else if (statement.type === 'ClassDeclaration') {
+                const methods = new Map();
+                for (const method of statement.methods) {
+                    // Аксессоры читаются как свойства, а не вызываются
+                    if (method.isGetter || method.isSetter) continue;
+                    methods.set(method.name, { type: this.functionType(method), isStatic: method.isStatic });
+                }
+                this.classes.set(statement.name, { superClass: statement.superClass, methods });
+                this.declare(statement.name, { type: 'SimpleType', name: 'класс', className: statement.name }, true);
+            } else if (statement.type === 'EnumDeclaration') {
+                this.enums.set(statement.name, new Map(statement.variants.map(variant => [variant.name, variant.fields])));
+                this.declare(statement.name, { type: 'SimpleType', name: 'перечисление', enumName: statement.name }, true);
+            }
+        }
+        for (const statement of statements) {
+            if (statement && statement.type === 'FunctionDeclaration') {
+                this.declare(statement.name, this.functionType(statement));
+            }
+        }
+    }
+
+    checkBlock(statements) {
+        this.hoist(statements);
+        for (const statement of statements) {
+            this.checkStatement(statement);
+        }
+    }
+
+    checkStatement(node) {
+        if (!node) return;
+        const previousNode = this.currentNode;
+        if (node.line !== undefined) {
+            this.currentNode = node;
+        }
+
+        switch (node.type) {
+            case 'LetStatement':
+            case 'ConstStatement':
+                this.checkVariable(node);
+                break;
+
+            case 'TypeAliasDeclaration':
+                this.validateType(node.typeAnnotation);
+                break;
+
+            case 'FunctionDeclaration':
+                this.checkFunction(node);
+                break;
+
+            case 'ClassDeclaration':
+                this.checkClass(node);
+                break;
+
+            case 'EnumDeclaration':
+                break;
+
+            case 'ReturnStatement':
+                this.checkReturn(node);
+                break;
+
+            case 'ExpressionStatement':
+                this.infer(node.expression);
+                break;
+
+            case 'BlockStatement':
+                this.pushScope();
+                this.checkBlock(node.body);
+                this.popScope();
+                break;
+
+            case 'IfStatement':
+                this.infer(node.condition);
+                this.checkStatement(node.thenBranch);
+                this.checkStatement(node.elseBranch);
+                break;
+
+            case 'WhileStatement':
+                this.infer(node.condition);
+                this.checkStatement(node.body);
+                break;
+
+            case 'ForStatement':
+                this.pushScope();
+                this.checkStatement(node.initializer);
+                this.infer(node.condition);
+                this.infer(node.update);
+                this.checkStatement(node.body);
+                this.popScope();
+                break;
+
+            case 'ForOfStatement':
+            case 'ForInStatement':
+                this.checkForLoop(node);
+                break;
+
+            case 'TryStatement':
+                this.checkStatement(node.block);
+                if (node.handler) {
+                    this.pushScope();
+                    if (node.handler.param) {
+                        this.declare(node.handler.param, ANY);
+                    }
+                    this.checkStatement(node.handler.body);
+                    this.popScope();
+                }
+                this.checkStatement(node.finalizer);
+                break;
+
+            case 'ImportStatement':
+                if (node.alias) {
+                    this.declare(node.alias, ANY, true);
+                }
+                break;
+
+            case 'VariableDeclarationWithPattern':
+                this.infer(node.initializer);
+                this.declarePattern(node.pattern, node.kind === 'const');
+                break;
+
+            default:
+                this.walk(node);
+        }
+
+        this.currentNode = previousNode;
+    }
+
+    checkVariable(node) {
+        const isConst = node.type === 'ConstStatement';
+        if (node.typeAnnotation) {
+            const isValid = this.validateType(node.typeAnnotation);
+            const valueType = this.infer(node.initializer, node.typeAnnotation);
+            if (isValid && !this.isAssignable(valueType, node.typeAnnotation)) {
+                this.error(`Тип «${this.format(valueType)}» нельзя присвоить переменной ${node.name} типа «${this.format(node.typeAnnotation)}»`);
+            }
+            this.declare(node.name, node.typeAnnotation, isConst);
+        } else {
+            // Локальный вывод: тип неаннотированной переменной — тип инициализатора,
+            // а переменная из ничто может принять любое значение позже
+            const valueType = this.infer(node.initializer);
+            const resolved = this.resolve(valueType);
+            const inferred = resolved.type === 'SimpleType' && resolved.name === 'ничто' ? ANY : valueType;
+            this.declare(node.name, inferred, isConst);
+        }
+    }
+
+    declarePattern(pattern, isConst) {
+        if (!pattern) return;
+        switch (pattern.type) {
+            case 'Identifier':
+                this.declare(pattern.name, ANY, isConst);
+                break;
+            case 'ArrayPattern':
+                pattern.elements.forEach(element => this.declarePattern(element, isConst));
+                break;
+            case 'ObjectPattern':
+                pattern.properties.forEach(property => this.declarePattern(property.value || property, isConst));
+                break;
+            case 'AssignmentPattern':
+                this.declarePattern(pattern.left, isConst);
+                break;
+            case 'RestElement':
+                this.declarePattern(pattern.argument, isConst);
+                break;
+        }
+    }
+
+    checkForLoop(node) {
+        const iterableType = this.resolve(this.infer(node.right));
+        let elementType = ANY;
+        if (node.type === 'ForInStatement') {
+            elementType = simple('строка');
+        } else if (iterableType.type === 'ArrayType') {
+            elementType = iterableType.elementType;
+        } else if (iterableType.type === 'TupleType') {
+            elementType = this.union(iterableType.elementTypes);
+        } else if (iterableType.type === 'SimpleType' && iterableType.name === 'строка') {
+            elementType = simple('строка');
+        }
+
+        this.pushScope();
+        const left = node.left;
+        if (typeof left === 'string') {
+            this.declare(left, elementType, node.kind === 'const');
+        } else if (left && left.type === 'Identifier' && node.kind) {
+            this.declare(left.name, elementType, node.kind === 'const');
+        } else {
+            this.declarePattern(left, node.kind === 'const');
+        }
+        this.checkStatement(node.body);
+        this.popScope();
+    }
+
+    checkFunction(node, thisType = null) {
+        const previousFunction = this.currentFunction;
+        this.currentFunction = node;
+
+        this.pushScope();
+        if (thisType) {
+            this.declare('это', thisType, true);
+        }
+        for (const param of node.params || []) {
+            const identifier = param.type === 'AssignmentPattern' ? param.left : param;
+            this.validateType(identifier.typeAnnotation);
+            const paramType = identifier.typeAnnotation || ANY;
+            if (param.type === 'AssignmentPattern') {
+                const defaultType = this.infer(param.right, paramType);
+                if (!this.isAssignable(defaultType, paramType)) {
+                    this.error(`Значение по умолчанию типа «${this.format(defaultType)}» не подходит параметру ${identifier.name} типа «${this.format(paramType)}»`);
+                }
+            }
+            this.declare(identifier.name, paramType);
+        }
+        this.validateType(node.returnType);
+
+        if (node.body && node.body.type === 'BlockStatement') {
+            this.checkBlock(node.body.body);
+        } else if (node.body) {
+            const bodyType = this.infer(node.body);
+            if (node.returnType && !this.isAssignable(bodyType, node.returnType)) {
+                this.error(`Функция возвращает «${this.format(bodyType)}», ожидался тип «${this.format(node.returnType)}»`);
+            }
+        }
+        this.popScope();
+
+        this.currentFunction = previousFunction;
+    }
+
+    checkClass(node) {
+        const previousClass = this.currentClass;
+        this.currentClass = node.name;
+        for (const field of node.fields || []) {
+            if (field.type !== 'ClassField' || !field.value) continue;
+            const valueType = this.infer(field.value, field.typeAnnotation);
+            if (field.typeAnnotation && this.validateType(field.typeAnnotation) && !this.isAssignable(valueType, field.typeAnnotation)) {
+                this.error(`Тип «${this.format(valueType)}» нельзя присвоить полю ${field.name} типа «${this.format(field.typeAnnotation)}»`);
+            }
+        }
+        for (const method of node.methods) {
+            this.checkFunction(method, method.isStatic ? ANY : simple(node.name));
+        }
+        this.currentClass = previousClass;
+    }
+
+    checkReturn(node) {
+        const fn = this.currentFunction;
+        const expected = fn && !fn.isGenerator ? fn.returnType : null;
+        const valueType = node.argument ? this.infer(node.argument, expected) : simple('ничто');
+        if (expected && !this.isAssignable(valueType, expected)) {
+            const name = fn.name ? ` ${fn.name}` : '';
+            this.error(`Функция${name} возвращает «${this.format(valueType)}», ожидался тип «${this.format(expected)}»`);
+        }
+    }
+
+    /**
+     * Проверка аргументов вызова по типу функции
+     */
+    checkArguments(fnType, args, calleeName) {
+        const hasSpread = args.some(arg => arg && arg.type === 'SpreadElement');
+        if (!hasSpread) {
+            const minArgs = fnType.minArgs ?? fnType.params.length;
+            if (args.length < minArgs || args.length > fnType.params.length) {
+                const expected = minArgs === fnType.params.length ? `${minArgs}` : `${minArgs}–${fnType.params.length}`;
+                this.error(`${calleeName} ожидает аргументов: ${expected}, передано: ${args.length}`);
+            }
+        }
+
+        args.forEach((arg, index) => {
+            const paramType = hasSpread ? ANY : fnType.params[index];
+            const argType = this.infer(arg, paramType);
+            if (paramType && !this.isAssignable(argType, paramType)) {
+                this.error(`Аргумент ${index + 1} функции ${calleeName}: тип «${this.format(argType)}» не подходит параметру типа «${this.format(paramType)}»`);
+            }
+        });
+    }
+
+    /**
+     * Метод класса с учётом наследования
+     */
+    findMethod(className, methodName) {
+        for (let info = this.classes.get(className); info; info = this.classes.get(info.superClass)) {
+            if (info.methods.has(methodName)) {
+                return info.methods.get(methodName);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Вывести тип выражения; expected — контекстный тип (для кортежей)
+     */
+    infer(node, expected = null) {
+        if (!node) return ANY;
+
+        switch (node.type) {
+            case 'Literal':
+                if (typeof node.value === 'number') return simple('число');
+                if (typeof node.value === 'bigint') return simple('большое');
+                if (node.value && typeof node.value === 'object') return simple('десятичное');
+                if (typeof node.value === 'string') return simple('строка');
+                if (typeof node.value === 'boolean') return simple('логический');
+                if (node.value === null) return simple('ничто');
+                return ANY;
+
+            case 'RegexLiteral':
+                return simple('регвыр');
+
+            case 'TemplateLiteral':
+                node.expressions.forEach(expression => this.infer(expression));
+                return simple('строка');
+
+            case 'Identifier': {
+                const binding = this.lookup(node.name);
+                return binding ? binding.type : ANY;
+            }
+
+            case 'ThisExpression':
+                return this.lookup('это')?.type || ANY;
+
+            case 'ArrayExpression':
+                return this.inferArray(node, expected);
+
+            case 'ObjectExpression':
+                node.properties.forEach(property => this.infer(property.value || property.argument));
+                return simple('объект');
+
+            case 'BinaryExpression':
+                return this.inferBinary(node);
+
+            case 'BitwiseExpression':
+                this.infer(node.left);
+                this.infer(node.right);
+                return simple('число');
+
+            case 'UnaryExpression': {
+                const operandType = this.infer(node.operand);
+                if (node.operator === '!') return simple('логический');
+                const numeric = this.numericType([operandType]);
+                if (!numeric) {
+                    this.error(`Оператор «${node.operator}» ожидает число, получено «${this.format(operandType)}»`);
+                }
+                return numeric || simple('число');
+            }
+
+            case 'TernaryExpression':
+                this.infer(node.condition);
+                return this.union([this.infer(node.thenExpr, expected), this.infer(node.elseExpr, expected)]);
+
+            case 'Assignment':
+                return this.inferAssignment(node);
+
+            case 'CallExpression':
+                return this.inferCall(node);
+
+            case 'NewExpression':
+                return this.inferNew(node);
+
+            case 'MemberExpression':
+                return this.inferMember(node);
+
+            case 'ChainExpression':
+                return this.union([this.infer(node.expression), simple('ничто')]);
+
+            case 'FunctionDeclaration':
+            case 'ArrowFunctionExpression': {
+                this.checkFunction(node);
+                return this.functionType(node);
+            }
+
+            case 'AwaitExpression': {
+                const awaited = this.resolve(this.infer(node.argument));
+                if (awaited.type === 'GenericType' && awaited.name === 'Обещание' && awaited.typeArguments.length === 1) {
+                    return awaited.typeArguments[0];
+                }
+                return awaited;
+            }
+
+            default:
+                this.walk(node);
+                return ANY;
+        }
+    }
+
+    inferArray(node, expected) {
+        const context = expected ? this.resolve(expected) : null;
+        const tupleContext = context && context.type === 'TupleType' ? context : null;
+        const elementContext = context && context.type === 'ArrayType' ? context.elementType : null;
+
+        const elementTypes = node.elements.map((element, index) => {
+            if (!element) return simple('ничто');
+            if (element.type === 'SpreadElement') {
+                this.infer(element.argument);
+                return null;
+            }
+            return this.infer(element, tupleContext ? tupleContext.elementTypes[index] : elementContext);
+        });
+
+        if (elementTypes.includes(null)) {
+            return { type: 'ArrayType', elementType: ANY };
+        }
+        if (tupleContext) {
+            return { type: 'TupleType', elementTypes };
+        }
+        return { type: 'ArrayType', elementType: elementTypes.length ? this.union(elementTypes) : ANY };
+    }
+
+    inferBinary(node) {
+        const leftType = this.infer(node.left);
+        const rightType = this.infer(node.right);
+        const number = simple('число');
+        const string = simple('строка');
+
+        if (COMPARISON_OPERATORS.has(node.operator)) {
+            return simple('логический');
+        }
+        if (node.operator === '&&' || node.operator === '||') {
+            return this.union([leftType, rightType]);
+        }
+        if (node.operator === '??') {
+            return this.union([this.withoutNothing(leftType), rightType]);
+        }
+        if (node.operator === '+') {
+            if (this.isAny(leftType) || this.isAny(rightType)) return ANY;
+            const numeric = this.numericType([leftType, rightType]);
+            if (numeric) return numeric;
+            if (this.isAssignable(leftType, string) || this.isAssignable(rightType, string)) return string;
+            return ANY;
+        }
+        if (ARITHMETIC_OPERATORS.has(node.operator)) {
+            for (const operandType of [leftType, rightType]) {
+                if (!this.numericType([operandType])) {
+                    this.error(`Оператор «${node.operator}» ожидает числа, получено «${this.format(operandType)}»`);
+                }
+            }
+            return this.numericType([leftType, rightType]) || number;
+        }
+        return ANY;
+    }
+
+    inferAssignment(node) {
+        const binding = this.lookup(node.name);
+        const valueType = this.infer(node.value, binding ? binding.type : null);
+        if (!binding) return valueType;
+
+        if (binding.isConst) {
+            this.error(`Нельзя изменить константу ${node.name}`);
+        } else if (!this.isAssignable(valueType, binding.type)) {
+            this.error(`Тип «${this.format(valueType)}» нельзя присвоить переменной ${node.name} типа «${this.format(binding.type)}»`);
+        }
+        return valueType;
+    }
+
+    inferCall(node) {
+        const callee = node.callee;
+        let fnType = null;
+        let calleeName = 'функция';
+
+        if (callee.type === 'Identifier') {
+            calleeName = callee.name;
+            const binding = this.lookup(callee.name);
+            if (!binding && this.builtinTypes.has(callee.name)) {
+                node.args.forEach(arg => this.infer(arg));
+                return this.builtinTypes.get(callee.name);
+            }
+            fnType = binding ? this.resolve(binding.type) : null;
+        } else if (callee.type === 'MemberExpression' && !callee.computed) {
+            const objectType = this.resolve(this.infer(callee.object));
+            const methodName = callee.property.name;
+            calleeName = methodName;
+            const className = objectType.className || (objectType.type === 'SimpleType' ? objectType.name : null);
+            const method = className ? this.findMethod(className, methodName) : null;
+            if (objectType.enumName) {
+                fnType = this.variantType(objectType.enumName, methodName);
+            } else if (method && method.isStatic === Boolean(objectType.className)) {
+                fnType = method.type;
+            }
+        } else {
+            fnType = this.resolve(this.infer(callee));
+        }
+
+        if (!fnType || fnType.type !== 'FunctionType') {
+            node.args.forEach(arg => this.infer(arg));
+            return ANY;
+        }
+
+        this.checkArguments(fnType, node.args, calleeName);
+        if (fnType.isAsync) {
+            return { type: 'GenericType', name: 'Обещание', typeArguments: [fnType.returnType] };
+        }
+        return fnType.returnType;
+    }
+
+    inferNew(node) {
+        const className = node.callee && node.callee.type === 'Identifier' ? node.callee.name : null;
+        if (!className || !this.classes.has(className)) {
+            node.args.forEach(arg => this.infer(arg));
+            return ANY;
+        }
+
+        const constructor = this.findMethod(className, 'конструктор');
+        if (constructor) {
+            this.checkArguments(constructor.type, node.args, `${className}.конструктор`);
+        } else {
+            node.args.forEach(arg => this.infer(arg));
+        }
+        return simple(className);
+    }
+
+    inferMember(node) {
+        const inferred = this.infer(node.object);
+        const objectType = node.optional ? this.withoutNothing(inferred) : this.resolve(inferred);
+
+        if (node.computed) {
+            const indexType = this.infer(node.property);
+            if (objectType.type === 'ArrayType') {
+                return objectType.elementType;
+            }
+            if (objectType.type === 'TupleType') {
+                const index = node.property.type === 'Literal' ? node.property.value : null;
+                return objectType.elementTypes[index] || this.union(objectType.elementTypes);
+            }
+            if (objectType.type === 'SimpleType' && objectType.name === 'строка' && this.isAssignable(indexType, simple('число'))) {
+                return simple('строка');
+            }
+            return ANY;
+        }
+
+        if (objectType.enumName) {
+            return this.variantType(objectType.enumName, node.property.name);
+        }
+
+        if (node.property.name === 'длина' &&
+            (objectType.type === 'ArrayType' || objectType.type === 'TupleType' ||
+                (objectType.type === 'SimpleType' && (objectType.name === 'строка' || objectType.name === 'массив')))) {
+            return simple('число');
+        }
+        return ANY;
+    }
+
+    /**
+     * Тип варианта перечисления: значение или конструктор по числу полей
+     */
+    variantType(enumName, variant) {
+        const variants = this.enums.get(enumName);
+        if (!variants.has(variant)) {
+            this.error(`В перечислении ${enumName} нет варианта ${variant}`);
+            return ANY;
+        }
+        const fields = variants.get(variant);
+        if (!fields) {
+            return simple(enumName);
+        }
+        return { type: 'FunctionType', params: fields.map(() => ANY), returnType: simple(enumName), minArgs: fields.length };
+    }
+
+    /**
+     * Обход узлов без собственной проверки
+     */
+    walk(node) {
+        for (const key in node) {
+            const child = node[key];
+            if (key === 'typeAnnotation' || key === 'returnType' || !child || typeof child !== 'object') continue;
+            const children = Array.isArray(child) ? child : [child];
+            for (const item of children) {
+                if (!item || typeof item.type !== 'string') {
+                    if (item && typeof item === 'object' && !Array.isArray(item)) this.walk(item);
+                    continue;
+                }
+                if (item.line !== undefined || /Statement|Declaration/.test(item.type)) {
+                    this.checkStatement(item);
+                } else {
+                    this.infer(item);
+                }
+            }
+        }
+    }
+}
+
+export default TypeChecker;
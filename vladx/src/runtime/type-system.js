@@ -3,10 +3,13 @@
  */
 
 import { VladXObject } from './vladx-object.js';
+import { Decimal } from './decimal.js';
+import { TypeChecker } from './type-checker.js';
 
 export class TypeSystem {
     constructor() {
         this.types = new Map();
+        this.aliases = new Map();
         this.initializeBuiltInTypes();
     }
 
@@ -26,6 +29,24 @@ export class TypeSystem {
             defaultValue: 0
         });
 
+        this.types.set('большое', {
+            name: 'большое',
+            check: (value) => typeof this.unwrap(value) === 'bigint',
+            defaultValue: 0n
+        });
+
+        this.types.set('десятичное', {
+            name: 'десятичное',
+            check: (value) => this.unwrap(value) instanceof Decimal,
+            defaultValue: new Decimal(0n)
+        });
+
+        this.types.set('регвыр', {
+            name: 'регвыр',
+            check: (value) => this.unwrap(value) instanceof RegExp,
+            defaultValue: null
+        });
+
         this.types.set('строка', {
             name: 'строка',
             check: (value) => {
@@ -64,6 +85,49 @@ export class TypeSystem {
             check: (value) => true, // Принимает любое значение
             defaultValue: null
         });
+
+        this.types.set('массив', {
+            name: 'массив',
+            check: (value) => Array.isArray(this.unwrap(value)),
+            defaultValue: []
+        });
+
+        this.types.set('объект', {
+            name: 'объект',
+            check: (value) => {
+                if (value instanceof VladXObject) {
+                    return value.type === 'object' || value.type === 'instance';
+                }
+                return typeof value === 'object' && value !== null && !Array.isArray(value);
+            },
+            defaultValue: {}
+        });
+
+        this.types.set('функция', {
+            name: 'функция',
+            check: (value) => {
+                if (value instanceof VladXObject) {
+                    return value.type === 'function' || value.type === 'closure' || value.type === 'class';
+                }
+                return typeof value === 'function';
+            },
+            defaultValue: null
+        });
+    }
+
+    /**
+     * Зарегистрировать псевдоним типа: тип Имя = ...
+     */
+    defineAlias(name, typeAnnotation) {
+        this.aliases.set(name, typeAnnotation);
+        return this;
+    }
+
+    /**
+     * JS-значение внутри VladXObject
+     */
+    unwrap(value) {
+        return value instanceof VladXObject ? value.value : value;
     }
 
     /**
@@ -74,28 +138,100 @@ export class TypeSystem {
 
         switch (typeAnnotation.type) {
             case 'SimpleType':
-                const typeDef = this.types.get(typeAnnotation.name);
-                if (!typeDef) {
-                    throw new Error(`Неизвестный тип: ${typeAnnotation.name}`);
-                }
-                return typeDef.check(value);
+                return this.checkNamedType(value, typeAnnotation.name);
 
-            case 'ArrayType':
-                if (!Array.isArray(value)) return false;
-                // Для массивов проверяем тип элементов если нужно
-                return true; // Пока без строгой проверки элементов
+            case 'ArrayType': {
+                const elements = this.unwrap(value);
+                return Array.isArray(elements) &&
+                    elements.every(element => this.checkType(element, typeAnnotation.elementType));
+            }
 
-            case 'FunctionType':
-                return typeof value === 'function';
+            case 'TupleType': {
+                const elements = this.unwrap(value);
+                return Array.isArray(elements) && elements.length === typeAnnotation.elementTypes.length &&
+                    typeAnnotation.elementTypes.every((type, index) => this.checkType(elements[index], type));
+            }
 
-            case 'ObjectType':
-                return typeof value === 'object' && value !== null && !Array.isArray(value);
+            case 'UnionType':
+                return typeAnnotation.types.some(type => this.checkType(value, type));
+
+            case 'IntersectionType':
+                return typeAnnotation.types.every(type => this.checkType(value, type));
+
+            case 'GenericType':
+                // массив<T> проверяется поэлементно, у остальных — только базовый тип
+                if (typeAnnotation.name === 'массив' && typeAnnotation.typeArguments.length === 1) {
+                    return this.checkType(value, { type: 'ArrayType', elementType: typeAnnotation.typeArguments[0] });
+                }
+                return this.checkNamedType(value, typeAnnotation.name);
+
+            case 'FunctionType':
+                return this.checkNamedType(value, 'функция');
 
             default:
                 return true; // Неизвестный тип - пропускаем
         }
     }
 
+    /**
+     * Проверка по имени: встроенный тип, псевдоним или класс
+     */
+    checkNamedType(value, name) {
+        const alias = this.aliases.get(name);
+        if (alias) {
+            return this.checkType(value, alias);
+        }
+
+        const typeDef = this.types.get(name);
+        if (typeDef) {
+            return typeDef.check(value);
+        }
+
+        // Имя класса: экземпляр этого класса или наследника
+        if (value instanceof VladXObject) {
+            if (value.type !== 'instance') {
+                return false;
+            }
+            for (let classObj = value.prototype; classObj; classObj = classObj.prototype) {
+                if (classObj.name === name) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        // Значения встроенных функций (Карта, Множество) проверить нельзя
+        return value !== null && value !== undefined && typeof value === 'object';
+    }
+
+    /**
+     * Запись типа для сообщений: число | строка, массив<число>, (число) => строка
+     */
+    typeToString(type) {
+        if (!type) return 'любой';
+
+        switch (type.type) {
+            case 'SimpleType':
+                return type.name;
+            case 'ArrayType': {
+                const element = this.typeToString(type.elementType);
+                return /[|&>]/.test(element) ? `(${element})[]` : `${element}[]`;
+            }
+            case 'TupleType':
+                return `[${type.elementTypes.map(element => this.typeToString(element)).join(', ')}]`;
+            case 'UnionType':
+                return type.types.map(member => this.typeToString(member)).join(' | ');
+            case 'IntersectionType':
+                return type.types.map(member => this.typeToString(member)).join(' & ');
+            case 'GenericType':
+                return `${type.name}<${type.typeArguments.map(argument => this.typeToString(argument)).join(', ')}>`;
+            case 'FunctionType':
+                return `(${type.params.map(param => this.typeToString(param)).join(', ')}) => ${this.typeToString(type.returnType)}`;
+            default:
+                return 'любой';
+        }
+    }
+
     /**
      * Инференс типа из значения
      */
@@ -106,18 +242,26 @@ export class TypeSystem {
         if (value && typeof value === 'object' && 'type' in value) {
             switch (value.type) {
                 case 'number': return 'число';
+                case 'bigint': return 'большое';
+                case 'decimal': return 'десятичное';
+                case 'regex': return 'регвыр';
                 case 'string': return 'строка';
                 case 'boolean': return 'логический';
                 case 'array': return 'массив';
                 case 'object': return 'объект';
                 case 'function':
                 case 'closure': return 'функция';
+                case 'class': return 'класс';
+                case 'instance': return value.name || 'объект';
                 case 'null': return 'ничто';
                 default: return 'любой';
             }
         }
 
         if (typeof value === 'number') return 'число';
+        if (typeof value === 'bigint') return 'большое';
+        if (value instanceof Decimal) return 'десятичное';
+        if (value instanceof RegExp) return 'регвыр';
         if (typeof value === 'string') return 'строка';
         if (typeof value === 'boolean') return 'логический';
         if (Array.isArray(value)) return 'массив';
@@ -160,85 +304,10 @@ export class TypeSystem {
     }
 
     /**
-     * Проверка типов в AST
-     */
-    checkAST(ast, environment) {
-        // Простая проверка типов - можно расширить
-        this.checkNode(ast, environment);
-    }
-
-    checkNode(node, environment) {
-        switch (node.type) {
-            case 'LetStatement':
-            case 'ConstStatement':
-                if (node.typeAnnotation) {
-                    const value = this.evaluateForTypeCheck(node.initializer, environment);
-                    if (!this.checkType(value, node.typeAnnotation)) {
-                        console.warn(`Предупреждение типа: переменная ${node.name} имеет тип, не соответствующий аннотации`);
-                    }
-                }
-                break;
-
-            case 'FunctionDeclaration':
-                // Проверка типов параметров и возвращаемого значения
-                if (node.returnType) {
-                    // Можно добавить проверку возвращаемых значений
-                }
-                break;
-
-            case 'BinaryExpression':
-                // Проверка типов операндов
-                const left = this.evaluateForTypeCheck(node.left, environment);
-                const right = this.evaluateForTypeCheck(node.right, environment);
-
-                // Для арифметических операций оба операнда должны быть числами
-                if (['+', '-', '*', '/', '%', '**'].includes(node.operator)) {
-                    if (typeof left !== 'number' || typeof right !== 'number') {
-                        console.warn(`Предупреждение типа: операция ${node.operator} требует числовые операнды`);
-                    }
-                }
-                break;
-        }
-
-        // Рекурсивная проверка дочерних узлов
-        for (const key in node) {
-            if (node[key] && typeof node[key] === 'object' && node[key].type) {
-                this.checkNode(node[key], environment);
-            } else if (Array.isArray(node[key])) {
-                node[key].forEach(item => {
-                    if (item && typeof item === 'object' && item.type) {
-                        this.checkNode(item, environment);
-                    }
-                });
-            }
-        }
-    }
-
-    /**
-     * Оценка выражения для проверки типов (упрощенная версия)
+     * Статическая проверка типов в AST без выполнения программы.
+     * Возвращает список ошибок { message, line, column }
      */
-    evaluateForTypeCheck(expr, environment) {
-        if (!expr) return null;
-
-        switch (expr.type) {
-            case 'Literal':
-                return expr.value;
-            case 'Identifier':
-                return environment.get(expr.name)?.value || null;
-            case 'BinaryExpression':
-                const left = this.evaluateForTypeCheck(expr.left, environment);
-                const right = this.evaluateForTypeCheck(expr.right, environment);
-                if (typeof left === 'number' && typeof right === 'number') {
-                    switch (expr.operator) {
-                        case '+': return left + right;
-                        case '-': return left - right;
-                        case '*': return left * right;
-                        case '/': return right !== 0 ? left / right : 0;
-                    }
-                }
-                return null;
-            default:
-                return null;
-        }
+    checkAST(ast, options = {}) {
+        return new TypeChecker(this, options).check(ast);
     }
 }
\ No newline at end of file
@@ -3,11 +3,16 @@
  * Реализует типы данных и обёртки для значений
  */
 
+import { Decimal } from './decimal.js';
+
 // Типы данных
 export const types = {
     NULL: 'null',
     NUMBER: 'number',
+    BIGINT: 'bigint',
+    DECIMAL: 'decimal',
     STRING: 'string',
+    REGEX: 'regex',
     BOOLEAN: 'boolean',
     ARRAY: 'array',
     OBJECT: 'object',
@@ -16,9 +21,100 @@ export const types = {
     NATIVE: 'native',
     CLASS: 'class',
     INSTANCE: 'instance',
+    GENERATOR: 'generator',
+    ENUM: 'enum',
+    VARIANT: 'variant',
     ERROR: 'error'
 };
 
+const CALLABLE = new Set([types.FUNCTION, types.CLOSURE, types.NATIVE, types.CLASS, types.GENERATOR]);
+
+/**
+ * Значение поля варианта без обёрток VladXObject (функции в JSON не попадают)
+ */
+function plain(value) {
+    if (!(value instanceof VladXObject)) {
+        return value;
+    }
+    if (value.type === types.NULL) {
+        return null;
+    }
+    if (CALLABLE.has(value.type)) {
+        return undefined;
+    }
+    if (Array.isArray(value.value)) {
+        return value.value.map(plain);
+    }
+    if (value.value && value.value.constructor === Object) {
+        return Object.fromEntries(Object.entries(value.value).map(([key, item]) => [key, plain(item)]));
+    }
+    return value.value;
+}
+
+/**
+ * Перечисление: имя и варианты (имя → значение или конструктор)
+ */
+export class EnumType {
+    constructor(name) {
+        this.name = name;
+        this.members = new Map();
+    }
+
+    toString() {
+        return `[перечисление ${this.name}]`;
+    }
+}
+
+/**
+ * Вариант перечисления: Цвет.Красный или Результат.Успех(5).
+ * fields — имена полей (null у варианта без полей), values — их значения
+ */
+export class EnumValue {
+    constructor(owner, name, fields = null, values = []) {
+        this.owner = owner;
+        this.name = name;
+        this.fields = fields;
+        this.values = values;
+    }
+
+    /**
+     * Значение поля по имени или undefined
+     */
+    field(name) {
+        const index = this.fields ? this.fields.indexOf(name) : -1;
+        return index === -1 ? undefined : this.values[index];
+    }
+
+    /**
+     * Тот же вариант того же перечисления с равными полями;
+     * equalValues сравнивает значения полей
+     */
+    equals(other, equalValues) {
+        return other instanceof EnumValue && other.owner === this.owner && other.name === this.name &&
+            this.values.length === other.values.length &&
+            this.values.every((value, index) => equalValues(value, other.values[index]));
+    }
+
+    /**
+     * JSON: вариант без полей — его имя, с полями — { Вариант: { поле: значение } }
+     */
+    toJSON() {
+        if (!this.fields) {
+            return this.name;
+        }
+        const fields = {};
+        this.fields.forEach((field, index) => {
+            fields[field] = plain(this.values[index]);
+        });
+        return { [this.name]: fields };
+    }
+
+    toString() {
+        const name = `${this.owner.name}.${this.name}`;
+        return this.fields ? `${name}(${this.values.map(value => value?.toString() ?? String(value)).join(', ')})` : name;
+    }
+}
+
 /**
  * Базовый класс для всех значений VladX
  */
@@ -45,10 +141,31 @@ export class VladXObject {
         return new VladXObject(types.NUMBER, Number(value));
     }
 
+    /**
+     * большое: целое произвольной длины (BigInt)
+     */
+    static bigint(value) {
+        return new VladXObject(types.BIGINT, BigInt(value));
+    }
+
+    /**
+     * десятичное: точное десятичное число (Decimal)
+     */
+    static decimal(value) {
+        return new VladXObject(types.DECIMAL, Decimal.from(value));
+    }
+
     static string(value) {
         return new VladXObject(types.STRING, String(value));
     }
 
+    /**
+     * регвыр: регулярное выражение (RegExp из RegexCache)
+     */
+    static regex(value) {
+        return new VladXObject(types.REGEX, value);
+    }
+
     static boolean(value) {
         return new VladXObject(types.BOOLEAN, Boolean(value));
     }
@@ -70,14 +187,60 @@ export class VladXObject {
     }
 
     static class(name, methods = new Map(), staticMethods = new Map(), superClass = null) {
-        return new VladXObject(types.CLASS, null, { name, methods, staticMethods, prototype: superClass });
+        const classObj = new VladXObject(types.CLASS, null, { name, methods, staticMethods, prototype: superClass });
+        // Аксессоры экземпляра и класса: имя → замыкание
+        classObj.getters = new Map();
+        classObj.setters = new Map();
+        classObj.staticGetters = new Map();
+        classObj.staticSetters = new Map();
+        // Поля экземпляра (узлы ClassField), инициализируются при создании
+        classObj.fields = [];
+        classObj.staticFields = {};
+        // Приватные имена класса, его приватные методы и статические поля
+        classObj.privateNames = new Set();
+        classObj.privateMethods = new Map();
+        classObj.privateStaticMethods = new Map();
+        classObj.privateStatics = new Map();
+        return classObj;
+    }
+
+    static generator(state, name = '<generator>') {
+        return new VladXObject(types.GENERATOR, state, { name });
+    }
+
+    /**
+     * перечисление: варианты без полей — готовые значения,
+     * варианты с полями — конструкторы Имя.Вариант(поля)
+     */
+    static enum(name, variants) {
+        const enumType = new EnumType(name);
+        for (const variant of variants) {
+            const { fields } = variant;
+            enumType.members.set(variant.name, fields
+                ? VladXObject.function((...args) => {
+                    if (args.length !== fields.length) {
+                        throw new Error(`${name}.${variant.name} ожидает ${fields.length} аргумент(ов), получено ${args.length}`);
+                    }
+                    const values = args.map(arg => arg instanceof VladXObject ? arg : VladXObject.fromJS(arg));
+                    return VladXObject.variant(new EnumValue(enumType, variant.name, fields, values));
+                }, `${name}.${variant.name}`)
+                : VladXObject.variant(new EnumValue(enumType, variant.name)));
+        }
+        return new VladXObject(types.ENUM, enumType, { name });
+    }
+
+    static variant(value) {
+        return new VladXObject(types.VARIANT, value, { name: value.owner.name });
     }
 
     static instance(classObj) {
-        return new VladXObject(types.INSTANCE, {}, {
+        const instance = new VladXObject(types.INSTANCE, {}, {
             prototype: classObj,
             name: classObj.name
         });
+        // Приватные поля: класс → Map(#имя → значение); наличие ключа — метка класса
+        instance.privateFields = new Map();
+        return instance;
     }
 
     /**
@@ -90,6 +253,12 @@ export class VladXObject {
         if (typeof value === 'number') {
             return VladXObject.number(value);
         }
+        if (typeof value === 'bigint') {
+            return VladXObject.bigint(value);
+        }
+        if (value instanceof Decimal) {
+            return VladXObject.decimal(value);
+        }
         if (typeof value === 'string') {
             return VladXObject.string(value);
         }
@@ -99,6 +268,15 @@ export class VladXObject {
         if (Array.isArray(value)) {
             return VladXObject.array(value);
         }
+        if (value instanceof RegExp) {
+            return VladXObject.regex(value);
+        }
+        if (value instanceof EnumValue) {
+            return VladXObject.variant(value);
+        }
+        if (value instanceof EnumType) {
+            return new VladXObject(types.ENUM, value, { name: value.name });
+        }
         if (typeof value === 'object') {
             return VladXObject.object(value);
         }
@@ -161,6 +339,10 @@ export class VladXObject {
         return this.type === types.INSTANCE;
     }
 
+    isGenerator() {
+        return this.type === types.GENERATOR;
+    }
+
     isError() {
         return this.type === types.ERROR;
     }
@@ -183,6 +365,10 @@ export class VladXObject {
         if (this.type === types.BOOLEAN) {
             return this.value ? 'истина' : 'ложь';
         }
+
+        if (this.type === types.REGEX) {
+            return `/${this.value.source}/${this.value.flags}`;
+        }
         
         if (this.type === types.ARRAY) {
             return '[' + this.value.map(v => v?.toString() || String(v)).join(', ') + ']';
@@ -206,6 +392,14 @@ export class VladXObject {
         if (this.type === types.INSTANCE) {
             return `[экземпляр ${this.name}]`;
         }
+
+        if (this.type === types.GENERATOR) {
+            return `[генератор: ${this.name}]`;
+        }
+
+        if (this.type === types.ENUM || this.type === types.VARIANT) {
+            return this.value.toString();
+        }
         
         return String(this.value);
     }
@@ -235,6 +429,11 @@ export class VladXObject {
             return val.map(v => this.cloneValue(v));
         }
         
+        // Десятичные, регулярные выражения и перечисления неизменяемы
+        if (val instanceof Decimal || val instanceof RegExp || val instanceof EnumType || val instanceof EnumValue) {
+            return val;
+        }
+        
         if (typeof val === 'object') {
             const cloned = {};
             for (const key in val) {
@@ -0,0 +1,41 @@
+/**
+ * VladX - Точка входа однофайловой сборки
+ * Из этого модуля сборщиком генерируется src/index-standalone.js:
+ * npm run build:standalone
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { VladXEngine } from './engine/vladx-engine.js';
+
+export * from './index.js';
+export default VladXEngine;
+
+// Запуск файла сборки напрямую: node index-standalone.js run <файл>
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const engine = new VladXEngine();
+
+    const command = process.argv[2];
+    const args = process.argv.slice(3);
+
+    if (command === 'run' && args[0]) {
+        engine.executeFile(resolve(args[0])).catch(error => {
+            console.error(`Ошибка: ${error.message}`);
+            process.exit(1);
+        });
+    } else if (command === 'repl') {
+        engine.repl();
+    } else {
+        console.log(`
+VladX v1.1.0
+
+Использование:
+  node index-standalone.js run <файл>  - выполнить файл
+  node index-standalone.js repl        - REPL режим
+
+Примеры:
+  node index-standalone.js run examples/demo.vx
+  node index-standalone.js repl
+        `.trim());
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * BinLinker — Исполняемые файлы пакетов в node_modules/.bin
+ *
+ * Поле bin манифеста: строка (команда называется по имени пакета без scope)
+ * или объект { команда: путь }. Для .vx создаётся скрипт запуска через
+ * vladx run, остальные файлы связываются ссылкой
+ */
+
+import { existsSync, mkdirSync, rmSync, writeFileSync, symlinkSync, chmodSync } from 'fs';
+import { join, relative, resolve, sep, dirname } from 'path';
+
+export class BinLinker {
+    constructor(options = {}) {
+        this.vladxPath = options.vladxPath;
+        this.nodePath = options.nodePath || process.execPath;
+        this.readManifest = options.readManifest;
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Команды пакета: [{ name, target }]
+     */
+    commands(manifest) {
+        if (!manifest || !manifest.bin) return [];
+
+        const bin = typeof manifest.bin === 'string'
+            ? { [manifest.name.replace(/^@[^/]+\//, '')]: manifest.bin }
+            : manifest.bin;
+        return Object.entries(bin).map(([name, target]) => ({ name, target }));
+    }
+
+    /**
+     * Пересоздать все каталоги .bin дерева: команды пакета попадают
+     * в .bin того node_modules, где он лежит
+     */
+    link(tree, baseDir) {
+        const groups = new Map([[join(baseDir, 'node_modules'), []]]);
+        for (const node of tree.packages.values()) {
+            const modulesDir = join(baseDir, node.location.slice(0, -(node.name.length + 1)));
+            if (!groups.has(modulesDir)) groups.set(modulesDir, []);
+            groups.get(modulesDir).push(node);
+        }
+
+        let linked = 0;
+        for (const [modulesDir, nodes] of groups) {
+            const binDir = join(modulesDir, '.bin');
+            rmSync(binDir, { recursive: true, force: true });
+
+            const owners = new Map();
+            for (const node of nodes) {
+                const packageDir = join(baseDir, node.location);
+                for (const command of this.commands(this.readManifest(packageDir))) {
+                    if (!/^[^/\\\s]+$/.test(command.name)) {
+                        this.logger.warn(`Команда "${command.name}" пакета ${node.name} пропущена: неверное имя`);
+                        continue;
+                    }
+                    if (owners.has(command.name)) {
+                        this.logger.warn(`Команда ${command.name} есть в ${owners.get(command.name)} и ${node.name}, используется ${node.name}`);
+                    }
+                    if (this.linkCommand(binDir, packageDir, command, node.name)) {
+                        owners.set(command.name, node.name);
+                        linked++;
+                    }
+                }
+            }
+        }
+        return linked;
+    }
+
+    linkCommand(binDir, packageDir, command, packageName) {
+        const target = resolve(packageDir, command.target);
+        if (!target.startsWith(packageDir + sep)) {
+            this.logger.warn(`Команда ${command.name} пакета ${packageName} указывает за пределы пакета: ${command.target}`);
+            return false;
+        }
+        if (!existsSync(target)) {
+            this.logger.warn(`Команда ${command.name} пакета ${packageName}: файл ${command.target} не найден`);
+            return false;
+        }
+
+        mkdirSync(binDir, { recursive: true });
+        const binPath = join(binDir, command.name);
+        rmSync(binPath, { force: true });
+        const relativeTarget = relative(binDir, target).split(sep).join('/');
+
+        if (target.endsWith('.vx')) {
+            writeFileSync(binPath, [
+                '#!/bin/sh',
+                `# vladpm: ${command.name} из ${packageName}`,
+                'basedir=$(dirname "$0")',
+                `exec "${this.nodePath}" "${this.vladxPath}" run "$basedir/${relativeTarget}" --silent --timeout 0 -- "$@"`,
+                ''
+            ].join('\n'));
+            chmodSync(binPath, 0o755);
+
+            if (process.platform === 'win32') {
+                writeFileSync(`${binPath}.cmd`, `@"${this.nodePath}" "${this.vladxPath}" run "%~dp0\\${relativeTarget.split('/').join('\\')}" --silent --timeout 0 -- %*\r\n`);
+            }
+        } else {
+            symlinkSync(relative(dirname(binPath), target), binPath);
+            chmodSync(target, 0o755);
+        }
+        return true;
+    }
+}
+
+export default BinLinker;
@@ -0,0 +1,229 @@
+/**
+ * PackageCache — Контентно-адресуемый кэш vladpm
+ *
+ * Содержимое (архивы и документы пакетов) хранится по sha512:
+ *   content/sha512/ab/cd/abcd...
+ * Индекс связывает ключ (адрес архива или документа) с хешем содержимого:
+ *   index/12/1234....json
+ * Содержимое проверяется при каждом чтении, повреждённое удаляется
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, renameSync, rmSync, statSync } from 'fs';
+import { join, dirname } from 'path';
+import crypto from 'crypto';
+import { Integrity } from './integrity.js';
+
+export class PackageCache {
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.contentDir = join(cacheDir, 'content');
+        this.indexDir = join(cacheDir, 'index');
+    }
+
+    /**
+     * Путь к содержимому по SRI; null для алгоритмов, по которым кэш не адресуется
+     */
+    contentPath(integrity) {
+        const entry = Integrity.parse(integrity).find(item => item.algorithm === 'sha512');
+        if (!entry) return null;
+
+        const hex = Buffer.from(entry.digest, 'base64').toString('hex');
+        return join(this.contentDir, 'sha512', hex.slice(0, 2), hex.slice(2, 4), hex);
+    }
+
+    indexPath(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return join(this.indexDir, hash.slice(0, 2), `${hash}.json`);
+    }
+
+    /**
+     * Атомарная запись: во временный файл и переименование
+     */
+    writeAtomic(filePath, data) {
+        mkdirSync(dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.${process.pid}.tmp`;
+        writeFileSync(tmpPath, data);
+        renameSync(tmpPath, filePath);
+    }
+
+    /**
+     * Записать содержимое, вернуть его sha512 SRI
+     */
+    putContent(data) {
+        const integrity = Integrity.compute(data);
+        const contentPath = this.contentPath(integrity);
+        if (!existsSync(contentPath)) {
+            this.writeAtomic(contentPath, data);
+        }
+        return integrity;
+    }
+
+    /**
+     * Прочитать содержимое и сверить с хешем; повреждённое удаляется
+     */
+    readContent(integrity) {
+        const contentPath = this.contentPath(integrity);
+        if (!contentPath || !existsSync(contentPath)) return null;
+
+        const data = readFileSync(contentPath);
+        if (!Integrity.verify(data, integrity)) {
+            rmSync(contentPath, { force: true });
+            return null;
+        }
+        return data;
+    }
+
+    readEntry(key) {
+        const entryPath = this.indexPath(key);
+        if (!existsSync(entryPath)) return null;
+        try {
+            return JSON.parse(readFileSync(entryPath, 'utf-8'));
+        } catch {
+            return null;
+        }
+    }
+
+    put(key, data) {
+        const buffer = Buffer.from(data);
+        const integrity = this.putContent(buffer);
+        this.writeAtomic(this.indexPath(key), JSON.stringify({
+            key,
+            integrity,
+            size: buffer.length,
+            time: new Date().toISOString()
+        }));
+        return integrity;
+    }
+
+    /**
+     * Найти содержимое по ожидаемой сумме или, если её нет, по ключу
+     */
+    get(key, integrity = null) {
+        if (integrity) {
+            const direct = this.readContent(integrity);
+            if (direct) return direct;
+        }
+
+        const entry = this.readEntry(key);
+        if (!entry) return null;
+
+        const data = this.readContent(entry.integrity);
+        if (!data || (integrity && !Integrity.verify(data, integrity))) {
+            return null;
+        }
+        return data;
+    }
+
+    getTarball(url, integrity = null) {
+        return this.get(`tarball:${url}`, integrity);
+    }
+
+    putTarball(url, data) {
+        return this.put(`tarball:${url}`, data);
+    }
+
+    getPackument(url) {
+        const data = this.get(`packument:${url}`);
+        return data ? JSON.parse(data.toString('utf-8')) : null;
+    }
+
+    putPackument(url, packument) {
+        return this.put(`packument:${url}`, JSON.stringify(packument));
+    }
+
+    /**
+     * Все файлы каталога рекурсивно
+     */
+    walk(dir) {
+        if (!existsSync(dir)) return [];
+
+        const files = [];
+        for (const entry of readdirSync(dir, { withFileTypes: true })) {
+            const entryPath = join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this.walk(entryPath));
+            } else if (!entry.name.endsWith('.tmp')) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Записи индекса, отсортированные по ключу
+     */
+    ls() {
+        const entries = [];
+        for (const entryPath of this.walk(this.indexDir)) {
+            try {
+                entries.push(JSON.parse(readFileSync(entryPath, 'utf-8')));
+            } catch {
+                // Повреждённую запись уберёт verify
+            }
+        }
+        return entries.sort((a, b) => a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Проверить кэш: пересчитать хеши содержимого, удалить повреждённое,
+     * записи индекса без содержимого и содержимое без записей
+     */
+    verify() {
+        const stats = { verified: 0, corrupted: 0, removedEntries: 0, garbage: 0, reclaimed: 0, size: 0 };
+        const valid = new Set();
+
+        for (const contentPath of this.walk(this.contentDir)) {
+            const data = readFileSync(contentPath);
+            const hex = crypto.createHash('sha512').update(data).digest('hex');
+            if (hex !== contentPath.split(/[\\/]/).pop()) {
+                rmSync(contentPath, { force: true });
+                stats.corrupted++;
+                stats.reclaimed += data.length;
+                continue;
+            }
+            valid.add(contentPath);
+        }
+
+        const referenced = new Set();
+        for (const entryPath of this.walk(this.indexDir)) {
+            let entry = null;
+            try {
+                entry = JSON.parse(readFileSync(entryPath, 'utf-8'));
+            } catch {
+                // Нечитаемая запись удаляется ниже
+            }
+            const contentPath = entry && this.contentPath(entry.integrity);
+            if (!contentPath || !valid.has(contentPath)) {
+                rmSync(entryPath, { force: true });
+                stats.removedEntries++;
+                continue;
+            }
+            referenced.add(contentPath);
+        }
+
+        for (const contentPath of valid) {
+            const size = statSync(contentPath).size;
+            if (!referenced.has(contentPath)) {
+                rmSync(contentPath, { force: true });
+                stats.garbage++;
+                stats.reclaimed += size;
+                continue;
+            }
+            stats.verified++;
+            stats.size += size;
+        }
+
+        return stats;
+    }
+
+    /**
+     * Удалить кэш целиком
+     */
+    clean() {
+        const size = this.walk(this.cacheDir).reduce((total, file) => total + statSync(file).size, 0);
+        rmSync(this.cacheDir, { recursive: true, force: true });
+        return size;
+    }
+}
+
+export default PackageCache;
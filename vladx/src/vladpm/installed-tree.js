@@ -0,0 +1,167 @@
+/**
+ * InstalledTree — Дерево пакетов, фактически установленных в node_modules
+ *
+ * Строится обходом каталогов (с вложенными node_modules и ссылками на пакеты
+ * рабочего пространства); рёбра — зависимости каждого пакета, разрешённые
+ * так же, как их ищет импорт: ближайший node_modules вверх по дереву
+ */
+
+import { readdirSync, existsSync, lstatSync } from 'fs';
+import { join } from 'path';
+
+const EDGE_TYPES = ['dependencies', 'optionalDependencies', 'peerDependencies', 'devDependencies'];
+
+export class InstalledTree {
+    constructor(rootDir, rootManifest, readManifest) {
+        this.rootDir = rootDir;
+        this.readManifest = readManifest;
+        this.root = {
+            name: rootManifest.name || 'проект',
+            version: rootManifest.version || '',
+            location: '',
+            isRoot: true,
+            dependencies: rootManifest.dependencies || {},
+            devDependencies: rootManifest.devDependencies || {}
+        };
+        this.packages = new Map();
+        this.dependentsCache = null;
+    }
+
+    /**
+     * Прочитать node_modules проекта
+     */
+    static read(rootDir, rootManifest, readManifest) {
+        const tree = new InstalledTree(rootDir, rootManifest, readManifest);
+        tree.scan(join(rootDir, 'node_modules'), '');
+        tree.packages = new Map([...tree.packages].sort(([a], [b]) => a.localeCompare(b)));
+        return tree;
+    }
+
+    scan(modulesDir, parentLocation) {
+        if (!existsSync(modulesDir)) return;
+
+        for (const entry of readdirSync(modulesDir, { withFileTypes: true })) {
+            if (!(entry.isDirectory() || entry.isSymbolicLink()) || entry.name.startsWith('.')) continue;
+
+            const names = entry.name.startsWith('@')
+                ? readdirSync(join(modulesDir, entry.name)).map(scoped => `${entry.name}/${scoped}`)
+                : [entry.name];
+
+            for (const name of names) {
+                const packageDir = join(modulesDir, name);
+                const manifest = this.readManifest(packageDir);
+                if (!manifest) continue;
+
+                const location = parentLocation ? `${parentLocation}/node_modules/${name}` : `node_modules/${name}`;
+                const link = lstatSync(packageDir).isSymbolicLink();
+                this.packages.set(location, {
+                    name: manifest.name || name,
+                    version: manifest.version || '',
+                    location,
+                    link,
+                    dependencies: manifest.dependencies || {},
+                    optionalDependencies: manifest.optionalDependencies || {},
+                    peerDependencies: manifest.peerDependencies || {},
+                    // dev-зависимости ставятся только у проекта и пакетов рабочего пространства
+                    devDependencies: link ? manifest.devDependencies || {} : {}
+                });
+                this.scan(join(packageDir, 'node_modules'), location);
+            }
+        }
+    }
+
+    /**
+     * Пакет name, видимый из каталога location
+     */
+    visible(location, name) {
+        for (let base = location; ; base = InstalledTree.parentLocation(base)) {
+            const candidate = base ? `${base}/node_modules/${name}` : `node_modules/${name}`;
+            if (this.packages.has(candidate)) return this.packages.get(candidate);
+            if (!base) return null;
+        }
+    }
+
+    /**
+     * node_modules/a/node_modules/@s/b → node_modules/a
+     */
+    static parentLocation(location) {
+        return location.replace(/\/?node_modules\/(?:@[^/]+\/)?[^/]+$/, '');
+    }
+
+    /**
+     * Зависимости пакета или проекта: [{ name, range, type, target }]
+     */
+    edges(node) {
+        const edges = [];
+        for (const type of EDGE_TYPES) {
+            for (const [name, range] of Object.entries(node[type] || {})) {
+                edges.push({ name, range, type, target: this.visible(node.location, name) });
+            }
+        }
+        return edges;
+    }
+
+    /**
+     * Кто зависит от каждого пакета: location → [{ from, range, type }]
+     */
+    dependents() {
+        if (this.dependentsCache) return this.dependentsCache;
+
+        const dependents = new Map();
+        for (const from of [this.root, ...this.packages.values()]) {
+            for (const edge of this.edges(from)) {
+                if (!edge.target) continue;
+                if (!dependents.has(edge.target.location)) dependents.set(edge.target.location, []);
+                dependents.get(edge.target.location).push({ from, range: edge.range, type: edge.type });
+            }
+        }
+        this.dependentsCache = dependents;
+        return dependents;
+    }
+
+    /**
+     * Все установленные копии пакета
+     */
+    findAll(name) {
+        return [...this.packages.values()].filter(node => node.name === name);
+    }
+
+    /**
+     * Цепочки зависимостей от проекта (или пакета рабочего пространства)
+     * до пакета: [[{ from, to, range, type }, ...]]
+     */
+    paths(target, limit = 50) {
+        const dependents = this.dependents();
+        const paths = [];
+
+        const walk = (node, suffix, seen) => {
+            if (paths.length >= limit) return;
+            const incoming = dependents.get(node.location) || [];
+            // Пакеты рабочего пространства — такие же корни, как сам проект
+            if (node.isRoot || (node.link && node !== target) || incoming.length === 0) {
+                if (suffix.length > 0) paths.push(suffix);
+                return;
+            }
+            for (const edge of incoming) {
+                if (seen.has(edge.from.location)) continue;
+                walk(edge.from, [{ ...edge, to: node }, ...suffix], new Set([...seen, edge.from.location]));
+            }
+        };
+
+        walk(target, [], new Set([target.location]));
+        return paths;
+    }
+
+    /**
+     * Цепочка текстом: проект@1.0.0 > a@1.0.0 > b@^2.0.0
+     */
+    static describePath(path) {
+        const [first] = path;
+        const start = `${first.from.name}@${first.from.version}${first.type === 'devDependencies' ? ' (dev)' : ''}`;
+        const steps = path.map((edge, index) =>
+            index === path.length - 1 ? `${edge.to.name}@${edge.range}` : `${edge.to.name}@${edge.to.version}`);
+        return [start, ...steps].join(' > ');
+    }
+}
+
+export default InstalledTree;
@@ -0,0 +1,67 @@
+/**
+ * Integrity — Контрольные суммы архивов пакетов в формате SRI (sha512-<base64>)
+ */
+
+import crypto from 'crypto';
+
+// От сильного алгоритма к слабому: проверяется самый сильный из указанных
+const ALGORITHMS = ['sha512', 'sha384', 'sha256', 'sha1'];
+
+export class Integrity {
+    /**
+     * SRI-строка для данных
+     */
+    static compute(data, algorithm = 'sha512') {
+        return `${algorithm}-${crypto.createHash(algorithm).update(Buffer.from(data)).digest('base64')}`;
+    }
+
+    /**
+     * SRI из shasum реестра (sha1 в hex)
+     */
+    static fromShasum(shasum) {
+        return `sha1-${Buffer.from(shasum, 'hex').toString('base64')}`;
+    }
+
+    /**
+     * Ожидаемая сумма из dist документа версии
+     */
+    static fromDist(dist = {}) {
+        if (dist.integrity) return dist.integrity;
+        if (dist.shasum) return Integrity.fromShasum(dist.shasum);
+        return null;
+    }
+
+    /**
+     * Разобрать SRI: несколько хешей через пробел
+     */
+    static parse(integrity) {
+        return String(integrity || '')
+            .trim()
+            .split(/\s+/)
+            .map(entry => entry.match(/^(sha\d+)-([A-Za-z0-9+/=]+)$/))
+            .filter(match => match && ALGORITHMS.includes(match[1]))
+            .map(match => ({ algorithm: match[1], digest: match[2] }));
+    }
+
+    /**
+     * Самый сильный алгоритм из указанных в SRI
+     */
+    static algorithmOf(integrity) {
+        const entries = Integrity.parse(integrity);
+        if (entries.length === 0) {
+            throw new Error(`Неверная контрольная сумма: "${integrity}"`);
+        }
+        return ALGORITHMS.find(algorithm => entries.some(entry => entry.algorithm === algorithm));
+    }
+
+    /**
+     * Совпадают ли данные с ожидаемой суммой (по самому сильному алгоритму)
+     */
+    static verify(data, integrity) {
+        const algorithm = Integrity.algorithmOf(integrity);
+        const actual = Integrity.compute(data, algorithm);
+        return Integrity.parse(integrity).some(entry => `${entry.algorithm}-${entry.digest}` === actual);
+    }
+}
+
+export default Integrity;
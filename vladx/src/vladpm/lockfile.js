@@ -0,0 +1,167 @@
+/**
+ * Lockfile — vladx-lock.json: полное разрешённое дерево зависимостей
+ * с адресами архивов и контрольными суммами для воспроизводимой установки
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+
+export const LOCKFILE_NAME = 'vladx-lock.json';
+const LOCKFILE_VERSION = 1;
+
+export class Lockfile {
+    /**
+     * Прочитать lockfile проекта; null, если его нет
+     */
+    static read(projectDir) {
+        const lockPath = join(projectDir, LOCKFILE_NAME);
+        if (!existsSync(lockPath)) {
+            return null;
+        }
+
+        const lock = JSON.parse(readFileSync(lockPath, 'utf-8'));
+        if (lock.lockfileVersion !== LOCKFILE_VERSION || !lock.packages) {
+            throw new Error(`Неподдерживаемый формат ${LOCKFILE_NAME} (lockfileVersion: ${lock.lockfileVersion})`);
+        }
+        return lock;
+    }
+
+    static write(projectDir, lock) {
+        writeFileSync(join(projectDir, LOCKFILE_NAME), JSON.stringify(lock, null, 2) + '\n', 'utf-8');
+    }
+
+    /**
+     * Собрать lockfile из разрешённого дерева
+     */
+    static fromTree(tree, packageJson) {
+        const packages = {
+            '': {
+                name: packageJson.name,
+                version: packageJson.version,
+                dependencies: { ...packageJson.dependencies },
+                devDependencies: { ...packageJson.devDependencies }
+            }
+        };
+
+        for (const [location, node] of tree.packages) {
+            // Для пакета рабочего пространства resolved — его каталог относительно корня
+            const entry = node.link
+                ? { version: node.version, resolved: node.resolved, link: true }
+                : { version: node.version, resolved: node.resolved, integrity: node.integrity };
+            if (Object.keys(node.dependencies || {}).length > 0) {
+                entry.dependencies = { ...node.dependencies };
+            }
+            if (Object.keys(node.optionalDependencies || {}).length > 0) {
+                entry.optionalDependencies = { ...node.optionalDependencies };
+            }
+            if (Object.keys(node.peerDependencies || {}).length > 0) {
+                entry.peerDependencies = { ...node.peerDependencies };
+            }
+            packages[location] = entry;
+        }
+
+        return {
+            name: packageJson.name,
+            version: packageJson.version,
+            lockfileVersion: LOCKFILE_VERSION,
+            packages
+        };
+    }
+
+    /**
+     * Дерево для установки из lockfile (тот же вид, что у DependencyResolver)
+     */
+    static toTree(lock) {
+        const packages = new Map();
+        // Родитель раньше вложенных: переустановка родителя удаляет его node_modules
+        const locations = Object.keys(lock.packages).sort((a, b) => a.localeCompare(b));
+        for (const location of locations) {
+            const entry = lock.packages[location];
+            if (location === '') continue;
+            packages.set(location, {
+                name: Lockfile.nameFromLocation(location),
+                location,
+                ...entry
+            });
+        }
+        return { packages };
+    }
+
+    /**
+     * Имя пакета по пути: node_modules/a/node_modules/@scope/b → @scope/b
+     */
+    static nameFromLocation(location) {
+        const match = location.match(/node_modules\/((?:@[^/]+\/)?[^/]+)$/);
+        return match ? match[1] : location;
+    }
+
+    /**
+     * Версии из lockfile по имени пакета — их резолвер предпочитает при
+     * повторном разрешении, чтобы не менять уже закреплённые пакеты
+     */
+    static lockedVersions(lock) {
+        const versions = new Map();
+        if (!lock) return versions;
+
+        for (const [location, entry] of Object.entries(lock.packages)) {
+            if (location === '' || entry.link) continue;
+            const name = Lockfile.nameFromLocation(location);
+            if (!versions.has(name)) {
+                versions.set(name, new Set());
+            }
+            versions.get(name).add(entry.version);
+        }
+        return versions;
+    }
+
+    /**
+     * Расхождения между lockfile и зависимостями vladx.json корня
+     * и пакетов рабочего пространства
+     */
+    static diff(lock, packageJson, members = []) {
+        const root = lock.packages[''] || {};
+        const problems = [];
+
+        const links = new Map(Object.entries(lock.packages).filter(([, entry]) => entry.link)
+            .map(([location, entry]) => [Lockfile.nameFromLocation(location), entry]));
+        for (const member of members) {
+            const entry = links.get(member.name);
+            links.delete(member.name);
+            if (!entry) {
+                problems.push(`пакета рабочего пространства ${member.name} нет в ${LOCKFILE_NAME}`);
+                continue;
+            }
+            const declared = { ...member.manifest.devDependencies, ...member.manifest.dependencies };
+            const locked = entry.dependencies || {};
+            const names = new Set([...Object.keys(declared), ...Object.keys(locked)]);
+            if (entry.version !== member.version || entry.resolved !== member.path ||
+                [...names].some(name => declared[name] !== locked[name])) {
+                problems.push(`${member.name} (${member.path}) изменился после записи ${LOCKFILE_NAME}`);
+            }
+        }
+        for (const name of links.keys()) {
+            problems.push(`${name} есть в ${LOCKFILE_NAME}, но не в рабочем пространстве`);
+        }
+
+        for (const key of ['dependencies', 'devDependencies']) {
+            const declared = packageJson[key] || {};
+            const locked = root[key] || {};
+            for (const [name, range] of Object.entries(declared)) {
+                if (!(name in locked)) {
+                    problems.push(`${name}@${range} нет в ${LOCKFILE_NAME}`);
+                } else if (locked[name] !== range) {
+                    problems.push(`${name}: в vladx.json ${range}, в ${LOCKFILE_NAME} ${locked[name]}`);
+                }
+            }
+            for (const name of Object.keys(locked)) {
+                if (!(name in declared)) {
+                    problems.push(`${name} есть в ${LOCKFILE_NAME}, но не в vladx.json`);
+                }
+            }
+        }
+
+        return problems;
+    }
+}
+
+export default Lockfile;
@@ -0,0 +1,201 @@
+/**
+ * Packer — Сборка архива пакета для vladpm pack и publish
+ *
+ * Состав: поле files манифеста (если задано), за вычетом правил
+ * .vladpmignore (или .gitignore, если его нет). vladx.json, README,
+ * LICENSE, CHANGELOG, main и файлы bin включаются всегда. Архив
+ * воспроизводим: файлы отсортированы, время и владельцы не записываются
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, relative, sep } from 'path';
+import crypto from 'crypto';
+import tar from 'tar';
+import { Lexer } from '../lexer/lexer.js';
+import { Parser } from '../parser/parser.js';
+import { SemVer } from './semver.js';
+import { Integrity } from './integrity.js';
+
+// Никогда не попадают в архив
+const DEFAULT_IGNORE = ['.git', '.svn', '.hg', 'node_modules', '.DS_Store', '*.swp', '*.tgz', '.vladpmignore', '.gitignore', 'vladx-lock.json'];
+// Всегда попадают в архив (в корне пакета)
+const ALWAYS_INCLUDED = /^(vladx\.json|(readme|license|licence|changelog)(\.[^/]*)?)$/i;
+
+export class Packer {
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Имя архива: @scope/имя@1.0.0 → scope-имя-1.0.0.tgz
+     */
+    static tarballName(manifest) {
+        return `${manifest.name.replace(/^@/, '').replace('/', '-')}-${manifest.version}.tgz`;
+    }
+
+    /**
+     * Шаблон в стиле .gitignore → RegExp для пути файла относительно пакета.
+     * Шаблон каталога совпадает и со всем его содержимым
+     */
+    static patternToRegExp(pattern) {
+        const directoryOnly = pattern.endsWith('/');
+        const body = pattern.replace(/^\.\//, '').replace(/^\/|\/$/g, '');
+        const anchored = pattern.startsWith('/') || body.includes('/');
+
+        const source = body
+            .split(/(\*\*\/|\/\*\*|\*\*|\*|\?)/)
+            .map(part => ({
+                '**/': '(?:.*/)?',
+                '/**': '(?:/.*)?',
+                '**': '.*',
+                '*': '[^/]*',
+                '?': '[^/]'
+            })[part] ?? part.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+            .join('');
+
+        return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}${directoryOnly ? '/.*' : '(?:/.*)?'}$`);
+    }
+
+    /**
+     * Правила по порядку: выигрывает последнее совпавшее (! — отрицание)
+     */
+    static compileRules(patterns) {
+        return patterns
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.startsWith('!')
+                ? { negate: true, regexp: Packer.patternToRegExp(line.slice(1)) }
+                : { negate: false, regexp: Packer.patternToRegExp(line) });
+    }
+
+    static matches(rules, path) {
+        let matched = false;
+        for (const rule of rules) {
+            if (rule.regexp.test(path)) matched = !rule.negate;
+        }
+        return matched;
+    }
+
+    /**
+     * Правила исключения пакета: .vladpmignore, иначе .gitignore
+     */
+    readIgnoreRules(packageDir) {
+        for (const name of ['.vladpmignore', '.gitignore']) {
+            const ignorePath = join(packageDir, name);
+            if (existsSync(ignorePath)) {
+                return Packer.compileRules(readFileSync(ignorePath, 'utf-8').split(/\r?\n/));
+            }
+        }
+        return [];
+    }
+
+    /**
+     * Все обычные файлы каталога (без node_modules и .git)
+     */
+    walk(packageDir) {
+        const files = [];
+        const visit = dir => {
+            for (const entry of readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (entry.name !== 'node_modules' && entry.name !== '.git') visit(fullPath);
+                } else if (entry.isFile()) {
+                    files.push(relative(packageDir, fullPath).split(sep).join('/'));
+                }
+            }
+        };
+        visit(packageDir);
+        return files;
+    }
+
+    /**
+     * Файлы, которые войдут в архив: [{ path, size }], по алфавиту
+     */
+    list(packageDir, manifest) {
+        const defaults = Packer.compileRules(DEFAULT_IGNORE);
+        const ignore = this.readIgnoreRules(packageDir);
+        const include = Array.isArray(manifest.files) ? Packer.compileRules(manifest.files) : null;
+        const required = new Set([manifest.main || 'index.vx', ...this.binTargets(manifest)]
+            .map(path => path.replace(/^\.\//, '')));
+
+        return this.walk(packageDir)
+            .filter(path => {
+                if (Packer.matches(defaults, path)) return false;
+                if (ALWAYS_INCLUDED.test(path) || required.has(path)) return true;
+                if (include && !Packer.matches(include, path)) return false;
+                return !Packer.matches(ignore, path);
+            })
+            .sort()
+            .map(path => ({ path, size: readFileSync(join(packageDir, path)).length }));
+    }
+
+    binTargets(manifest) {
+        if (!manifest.bin) return [];
+        return typeof manifest.bin === 'string' ? [manifest.bin] : Object.values(manifest.bin);
+    }
+
+    /**
+     * Проверки перед сборкой: имя, версия, точка входа и модули bin
+     * существуют, входят в архив и разбираются парсером VladX
+     */
+    validate(packageDir, manifest, files) {
+        if (!manifest.name) {
+            throw new Error('Название пакета не указано');
+        }
+        if (!manifest.version || !SemVer.valid(manifest.version)) {
+            throw new Error(`Неверная версия пакета: "${manifest.version || ''}"`);
+        }
+
+        const included = new Set(files.map(file => file.path));
+        const main = (manifest.main || 'index.vx').replace(/^\.\//, '');
+        if (!included.has(main)) {
+            throw new Error(`Точка входа main "${main}" не найдена в пакете ${manifest.name}`);
+        }
+
+        for (const entry of [main, ...this.binTargets(manifest).map(path => path.replace(/^\.\//, ''))]) {
+            if (!entry.endsWith('.vx') || !included.has(entry)) continue;
+            try {
+                const source = readFileSync(join(packageDir, entry), 'utf-8');
+                new Parser(new Lexer(source, entry).tokenize()).parse();
+            } catch (error) {
+                throw new Error(`Модуль ${entry} пакета ${manifest.name} не разбирается, публикация невозможна:\n${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Собрать архив: { filename, data, files, size, unpackedSize, shasum, integrity }
+     */
+    async pack(packageDir, manifest) {
+        const files = this.list(packageDir, manifest);
+        this.validate(packageDir, manifest, files);
+
+        const chunks = [];
+        const stream = tar.c({
+            gzip: true,
+            cwd: packageDir,
+            prefix: 'package',
+            portable: true,
+            noDirRecurse: true,
+            mtime: new Date(0)
+        }, files.map(file => file.path));
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+        }
+        const data = Buffer.concat(chunks);
+
+        return {
+            name: manifest.name,
+            version: manifest.version,
+            filename: Packer.tarballName(manifest),
+            data,
+            files,
+            size: data.length,
+            unpackedSize: files.reduce((sum, file) => sum + file.size, 0),
+            shasum: crypto.createHash('sha1').update(data).digest('hex'),
+            integrity: Integrity.compute(data)
+        };
+    }
+}
+
+export default Packer;
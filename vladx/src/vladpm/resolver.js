@@ -0,0 +1,274 @@
+/**
+ * DependencyResolver — Разрешение графа зависимостей vladpm
+ *
+ * Обходит зависимости в ширину по документам версий реестра и раскладывает
+ * пакеты в дерево node_modules: пакет поднимается как можно выше, а при
+ * несовместимой версии выше по пути кладётся во вложенный node_modules
+ */
+
+import { SemVer } from './semver.js';
+import { Integrity } from './integrity.js';
+
+export class DependencyResolver {
+    constructor(options = {}) {
+        this.fetchPackument = options.fetchPackument;
+        this.logger = options.logger || console;
+        // Версии из lockfile: имя → Set версий, им отдаётся предпочтение
+        this.lockedVersions = options.lockedVersions || new Map();
+        this.packuments = new Map();
+    }
+
+    /**
+     * Документ пакета из реестра (с кэшем на время разрешения)
+     */
+    async getPackument(name) {
+        if (!this.packuments.has(name)) {
+            this.packuments.set(name, this.fetchPackument(name));
+        }
+        return this.packuments.get(name);
+    }
+
+    /**
+     * Выбрать версию: dist-tag, закреплённая в lockfile, latest при совпадении
+     * или наибольшая подходящая
+     */
+    pickVersion(packument, range) {
+        const distTags = packument['dist-tags'] || {};
+        const versions = Object.keys(packument.versions || {});
+
+        if (distTags[range]) {
+            return distTags[range];
+        }
+        if (!SemVer.validRange(range)) {
+            throw new Error(`Неверный диапазон версий для ${packument.name}: "${range}"`);
+        }
+        const locked = [...(this.lockedVersions.get(packument.name) || [])]
+            .filter(version => version in (packument.versions || {}));
+        const lockedVersion = SemVer.maxSatisfying(locked, range);
+        if (lockedVersion) {
+            return lockedVersion;
+        }
+        if (distTags.latest && SemVer.satisfies(distTags.latest, range)) {
+            return distTags.latest;
+        }
+        return SemVer.maxSatisfying(versions, range);
+    }
+
+    /**
+     * Разрешить зависимости проекта: { имя: диапазон }.
+     * links — пакеты рабочего пространства: { name, version, path, manifest },
+     * они ставятся ссылками в корневой node_modules
+     */
+    async resolve(dependencies, rootName = 'проект', links = []) {
+        const root = {
+            name: rootName,
+            location: '',
+            isRoot: true,
+            parent: null,
+            children: new Map()
+        };
+        const packages = new Map();
+
+        const queue = Object.keys(dependencies).sort().map(name => ({
+            from: root,
+            name,
+            range: dependencies[name],
+            path: [rootName]
+        }));
+
+        for (const link of links) {
+            const node = this.linkNode(link, root);
+            packages.set(node.location, node);
+            for (const name of Object.keys(node.dependencies).sort()) {
+                queue.push({ from: node, name, range: node.dependencies[name], path: [`${node.name}@${node.version}`] });
+            }
+        }
+
+        while (queue.length > 0) {
+            const edge = queue.shift();
+            const node = await this.place(edge);
+            if (!node) continue;
+
+            packages.set(node.location, node);
+            const nodeDependencies = { ...node.optionalDependencies, ...node.dependencies };
+            for (const name of Object.keys(nodeDependencies).sort()) {
+                queue.push({
+                    from: node,
+                    name,
+                    range: nodeDependencies[name],
+                    path: [...edge.path, `${node.name}@${node.version}`],
+                    optional: !(name in (node.dependencies || {}))
+                });
+            }
+        }
+
+        this.checkPeerDependencies(packages);
+
+        return {
+            root,
+            packages: new Map([...packages].sort(([a], [b]) => a.localeCompare(b)))
+        };
+    }
+
+    /**
+     * Найти подходящий уже размещённый пакет или разместить новый.
+     * Возвращает новый узел или null, если зависимость переиспользована
+     */
+    async place(edge) {
+        const { name, range } = edge;
+        let placement = null;
+        let conflict = null;
+
+        for (let node = edge.from; node; node = node.parent) {
+            const existing = node.children.get(name);
+            if (existing) {
+                if (await this.matches(existing, range)) {
+                    existing.requiredBy.push(this.describeEdge(edge));
+                    return null;
+                }
+                conflict = existing;
+                break;
+            }
+            placement = node;
+        }
+
+        if (!placement) {
+            throw new Error(this.conflictMessage(edge, conflict));
+        }
+
+        let packument;
+        try {
+            packument = await this.getPackument(name);
+        } catch (error) {
+            if (edge.optional) {
+                this.logger.warn(`Необязательная зависимость ${name} пропущена: ${error.message}`);
+                return null;
+            }
+            throw error;
+        }
+
+        const version = this.pickVersion(packument, range);
+        if (!version) {
+            if (edge.optional) {
+                this.logger.warn(`Необязательная зависимость ${name}@${range} пропущена: нет подходящей версии`);
+                return null;
+            }
+            throw new Error(this.unsatisfiableMessage(edge, packument));
+        }
+
+        const manifest = packument.versions[version];
+        const dist = manifest.dist || {};
+        const node = {
+            name,
+            version,
+            location: placement.isRoot ? `node_modules/${name}` : `${placement.location}/node_modules/${name}`,
+            resolved: dist.tarball || null,
+            integrity: Integrity.fromDist(dist),
+            shasum: dist.shasum || null,
+            dependencies: manifest.dependencies || {},
+            optionalDependencies: manifest.optionalDependencies || {},
+            peerDependencies: manifest.peerDependencies || {},
+            parent: placement,
+            children: new Map(),
+            requiredBy: [this.describeEdge(edge)]
+        };
+        placement.children.set(name, node);
+        return node;
+    }
+
+    /**
+     * Узел-ссылка на пакет рабочего пространства; его dev-зависимости
+     * ставятся вместе с обычными
+     */
+    linkNode(link, root) {
+        const manifest = link.manifest;
+        const node = {
+            name: link.name,
+            version: link.version,
+            location: `node_modules/${link.name}`,
+            link: true,
+            resolved: link.path,
+            integrity: null,
+            dependencies: { ...manifest.devDependencies, ...manifest.dependencies },
+            optionalDependencies: manifest.optionalDependencies || {},
+            peerDependencies: manifest.peerDependencies || {},
+            parent: root,
+            children: new Map(),
+            requiredBy: [`рабочее пространство (${link.path})`]
+        };
+        root.children.set(link.name, node);
+        return node;
+    }
+
+    /**
+     * Подходит ли размещённый пакет под диапазон или dist-tag
+     */
+    async matches(node, range) {
+        if (node.link) {
+            return SemVer.satisfies(node.version, range);
+        }
+        if (SemVer.validRange(range)) {
+            return SemVer.satisfies(node.version, range);
+        }
+        const packument = await this.getPackument(node.name);
+        return (packument['dist-tags'] || {})[range] === node.version;
+    }
+
+    /**
+     * Путь требования: проект > a@1.0.0 > b@^2.0.0
+     */
+    describeEdge(edge) {
+        return [...edge.path, `${edge.name}@${edge.range}`].join(' > ');
+    }
+
+    /**
+     * Пакет, видимый из каталога узла (как при поиске в node_modules вверх по дереву)
+     */
+    findVisible(node, name) {
+        for (let current = node; current; current = current.parent) {
+            if (current.children.has(name)) {
+                return current.children.get(name);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * peer-зависимости должны быть видны пакету в совместимой версии
+     */
+    checkPeerDependencies(packages) {
+        for (const node of packages.values()) {
+            for (const [peerName, range] of Object.entries(node.peerDependencies)) {
+                const peer = this.findVisible(node.parent, peerName);
+                if (!peer) {
+                    this.logger.warn(`${node.name}@${node.version} требует peer-зависимость ${peerName}@${range}, она не установлена`);
+                } else if (!SemVer.satisfies(peer.version, range)) {
+                    throw new Error([
+                        `Конфликт версий ${peerName}: ${node.name}@${node.version} требует peer-зависимость ${peerName}@${range}, но установлена ${peer.version}`,
+                        `  ${peerName}@${peer.version} требуют:`,
+                        ...peer.requiredBy.map(path => `    ${path}`)
+                    ].join('\n'));
+                }
+            }
+        }
+    }
+
+    conflictMessage(edge, conflict) {
+        return [
+            `Конфликт версий ${edge.name}: требуется ${edge.range}, но в том же каталоге уже размещена ${conflict.version}`,
+            `  ${this.describeEdge(edge)}`,
+            ...conflict.requiredBy.map(path => `  ${path}`)
+        ].join('\n');
+    }
+
+    unsatisfiableMessage(edge, packument) {
+        const versions = SemVer.sort(Object.keys(packument.versions || {}));
+        return [
+            `Нет версии ${edge.name}, удовлетворяющей "${edge.range}"`,
+            `  требуется: ${this.describeEdge(edge)}`,
+            `  доступные версии: ${versions.length ? versions.join(', ') : 'нет'}`
+        ].join('\n');
+    }
+}
+
+export default DependencyResolver;
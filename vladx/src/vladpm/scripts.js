@@ -0,0 +1,124 @@
+/**
+ * ScriptRunner — Скрипты vladx.json: vladpm run, хуки pre/post и события
+ * жизненного цикла установки и публикации
+ *
+ * Скрипт выполняется оболочкой в каталоге пакета; в PATH добавляются
+ * node_modules/.bin пакета и всех каталогов выше
+ */
+
+import { existsSync } from 'fs';
+import { join, dirname, basename, delimiter } from 'path';
+import { spawnSync } from 'child_process';
+
+// События установки, которые выполняются для установленных пакетов из allowScripts
+export const INSTALL_EVENTS = ['preinstall', 'install', 'postinstall'];
+
+// Аргументы из этих символов оболочка не разбивает и не подставляет
+const SAFE_ARGUMENT = /^[\w\-+=.,/:@%]+$/;
+
+/**
+ * Аргумент командной строки для оболочки скрипта: как в npm, каждый
+ * аргумент остаётся одним словом, а метасимволы не интерпретируются
+ */
+export function quoteArgument(arg, platform = process.platform) {
+    const text = String(arg);
+    if (SAFE_ARGUMENT.test(text)) {
+        return text;
+    }
+    if (platform === 'win32') {
+        // cmd.exe: кавычки по правилам CommandLineToArgvW, затем ^ перед метасимволами
+        const quoted = `"${text.replace(/(\\*)"/g, '$1$1\\"').replace(/(\\*)$/, '$1$1')}"`;
+        return quoted.replace(/[ !%^&()<>|"]/g, '^$&');
+    }
+    return `'${text.replace(/'/g, `'\\''`)}'`;
+}
+
+export class ScriptRunner {
+    constructor(options = {}) {
+        this.logger = options.logger || console;
+    }
+
+    /**
+     * Каталоги node_modules/.bin от каталога пакета до корня файловой системы
+     */
+    binPaths(packageDir) {
+        const paths = [];
+        for (let dir = packageDir; ; dir = dirname(dir)) {
+            const binDir = join(dir, 'node_modules', '.bin');
+            if (basename(dir) !== 'node_modules' && existsSync(binDir)) {
+                paths.push(binDir);
+            }
+            if (dirname(dir) === dir) break;
+        }
+        return paths;
+    }
+
+    /**
+     * Окружение скрипта: PATH с .bin и сведения о пакете и событии
+     */
+    environment(packageDir, manifest, event) {
+        const pathKey = Object.keys(process.env).find(key => key.toUpperCase() === 'PATH') || 'PATH';
+        return {
+            ...process.env,
+            [pathKey]: [...this.binPaths(packageDir), process.env[pathKey]].filter(Boolean).join(delimiter),
+            VLADPM_LIFECYCLE_EVENT: event,
+            VLADPM_PACKAGE_NAME: manifest.name || '',
+            VLADPM_PACKAGE_VERSION: manifest.version || ''
+        };
+    }
+
+    /**
+     * Выполнить один скрипт; ненулевой код завершения — ошибка
+     */
+    run(packageDir, manifest, event, args = []) {
+        const command = [manifest.scripts[event], ...args.map(arg => quoteArgument(arg))].join(' ');
+        this.logger.info(`> ${manifest.name}@${manifest.version} ${event}`);
+        this.logger.info(`> ${command}`);
+
+        const result = spawnSync(command, {
+            cwd: packageDir,
+            shell: true,
+            stdio: 'inherit',
+            env: this.environment(packageDir, manifest, event)
+        });
+        if (result.error) {
+            throw new Error(`Не удалось запустить скрипт "${event}": ${result.error.message}`);
+        }
+        if (result.status !== 0) {
+            throw new Error(`Скрипт "${event}" пакета ${manifest.name} завершился с кодом ${result.status ?? result.signal}`);
+        }
+    }
+
+    /**
+     * vladpm run <имя>: pre<имя>, <имя> с аргументами, post<имя>
+     */
+    runWithHooks(packageDir, manifest, name, args = []) {
+        const scripts = manifest.scripts || {};
+        if (!scripts[name]) {
+            throw new Error(`Скрипт "${name}" не найден в vladx.json ${manifest.name}. Доступные: ${Object.keys(scripts).join(', ') || 'нет'}`);
+        }
+
+        this.runEvent(packageDir, manifest, `pre${name}`);
+        this.run(packageDir, manifest, name, args);
+        this.runEvent(packageDir, manifest, `post${name}`);
+    }
+
+    /**
+     * Событие жизненного цикла: выполняется, только если скрипт задан
+     */
+    runEvent(packageDir, manifest, event) {
+        if (!manifest.scripts?.[event]) return false;
+        this.run(packageDir, manifest, event);
+        return true;
+    }
+
+    /**
+     * Разрешены ли скрипты установки пакета: имя или @scope/* в списке
+     */
+    static isAllowed(name, allowList = []) {
+        return allowList.some(pattern =>
+            pattern === name || (pattern.endsWith('/*') && name.startsWith(pattern.slice(0, -1))));
+    }
+}
+
+export default ScriptRunner;
@@ -0,0 +1,263 @@
+/**
+ * SemVer — Версии и диапазоны версий пакетов (semver 2.0.0, диапазоны как в npm)
+ */
+
+const VERSION_PATTERN = /^\s*[v=]?\s*(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?\s*$/;
+
+// Неполная версия: 1, 1.2, 1.x, 1.2.*, *
+const PARTIAL_PATTERN = /^[v=]?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-.]+)?$/;
+
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~>?)?\s*(.*)$/;
+
+export class SemVer {
+    /**
+     * Разобрать версию; null, если строка не версия
+     */
+    static parse(version) {
+        if (typeof version !== 'string') return null;
+        const match = version.match(VERSION_PATTERN);
+        if (!match) return null;
+
+        return {
+            major: Number(match[1]),
+            minor: Number(match[2]),
+            patch: Number(match[3]),
+            prerelease: match[4] ? match[4].split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : []
+        };
+    }
+
+    static valid(version) {
+        const parsed = SemVer.parse(version);
+        return parsed ? SemVer.format(parsed) : null;
+    }
+
+    static format(parsed) {
+        const base = `${parsed.major}.${parsed.minor}.${parsed.patch}`;
+        return parsed.prerelease.length ? `${base}-${parsed.prerelease.join('.')}` : base;
+    }
+
+    /**
+     * Сравнение версий: -1, 0 или 1
+     */
+    static compare(a, b) {
+        const left = typeof a === 'string' ? SemVer.parse(a) : a;
+        const right = typeof b === 'string' ? SemVer.parse(b) : b;
+        if (!left || !right) {
+            throw new Error(`Неверная версия: ${!left ? a : b}`);
+        }
+
+        for (const part of ['major', 'minor', 'patch']) {
+            if (left[part] !== right[part]) {
+                return left[part] > right[part] ? 1 : -1;
+            }
+        }
+
+        // Версия без предрелиза старше любого предрелиза той же версии
+        if (!left.prerelease.length && !right.prerelease.length) return 0;
+        if (!left.prerelease.length) return 1;
+        if (!right.prerelease.length) return -1;
+
+        const length = Math.max(left.prerelease.length, right.prerelease.length);
+        for (let i = 0; i < length; i++) {
+            const x = left.prerelease[i];
+            const y = right.prerelease[i];
+            if (x === undefined) return -1;
+            if (y === undefined) return 1;
+            if (x === y) continue;
+            if (typeof x === 'number' && typeof y === 'number') return x > y ? 1 : -1;
+            if (typeof x === 'number') return -1;
+            if (typeof y === 'number') return 1;
+            return x > y ? 1 : -1;
+        }
+        return 0;
+    }
+
+    static gt(a, b) {
+        return SemVer.compare(a, b) > 0;
+    }
+
+    /**
+     * Сортировка по возрастанию, неверные версии отбрасываются
+     */
+    static sort(versions) {
+        return versions.filter(version => SemVer.parse(version)).sort(SemVer.compare);
+    }
+
+    /**
+     * Разобрать диапазон в набор альтернатив (||), каждая — список компараторов
+     */
+    static parseRange(range) {
+        const text = String(range ?? '').trim();
+        return text.split('||').map(alternative => SemVer.parseComparatorSet(alternative.trim()));
+    }
+
+    static parseComparatorSet(text) {
+        if (text === '' || text === '*' || text === 'x' || text === 'X' || text === 'latest') {
+            return [];
+        }
+
+        // Дефисный диапазон: 1.2.3 - 2.3.4
+        const hyphen = text.match(/^(\S+)\s+-\s+(\S+)$/);
+        if (hyphen) {
+            return [
+                ...SemVer.desugar('>=', hyphen[1], text),
+                ...SemVer.desugar('<=', hyphen[2], text)
+            ];
+        }
+
+        const comparators = [];
+        // Оператор может быть отделён от версии пробелом: ">= 1.2.3"
+        const tokens = text.replace(/(<=|>=|<|>|=|\^|~>?)\s+/g, '$1').split(/\s+/);
+        for (const token of tokens) {
+            const [, operator = '', version] = token.match(COMPARATOR_PATTERN);
+            comparators.push(...SemVer.desugar(operator, version, text));
+        }
+        return comparators;
+    }
+
+    /**
+     * Свести ^, ~, x-диапазоны и неполные версии к простым компараторам
+     */
+    static desugar(operator, version, range) {
+        const match = version.match(PARTIAL_PATTERN);
+        if (!match) {
+            throw new Error(`Неверный диапазон версий: "${range}"`);
+        }
+
+        const isWild = part => part === undefined || /^[xX*]$/.test(part);
+        const major = isWild(match[1]) ? null : Number(match[1]);
+        const minor = major === null || isWild(match[2]) ? null : Number(match[2]);
+        const patch = minor === null || isWild(match[3]) ? null : Number(match[3]);
+        const prerelease = patch !== null && match[4] ? match[4] : null;
+
+        const full = (ma, mi, pa, pre = null) => ({
+            major: ma,
+            minor: mi,
+            patch: pa,
+            prerelease: pre ? pre.split('.').map(id => (/^\d+$/.test(id) ? Number(id) : id)) : []
+        });
+        const lower = full(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+        const cmp = (op, parsed) => ({ operator: op, version: parsed });
+        // Верхняя граница x.y.z-0 отсекает предрелизы следующей версии и сама их не разрешает
+        const below = (parsed) => ({ operator: '<', version: parsed, implicit: true });
+
+        switch (operator) {
+            case '^': {
+                if (major === null) return [];
+                let upper;
+                if (major > 0 || minor === null) {
+                    upper = full(major + 1, 0, 0, '0');
+                } else if (minor > 0 || patch === null) {
+                    upper = full(0, minor + 1, 0, '0');
+                } else {
+                    upper = full(0, 0, patch + 1, '0');
+                }
+                return [cmp('>=', lower), below(upper)];
+            }
+
+            case '~':
+            case '~>': {
+                if (major === null) return [];
+                const upper = minor === null ? full(major + 1, 0, 0, '0') : full(major, minor + 1, 0, '0');
+                return [cmp('>=', lower), below(upper)];
+            }
+
+            case '':
+            case '=': {
+                if (major === null) return [];
+                if (patch !== null) return [cmp('=', lower)];
+                const upper = minor === null ? full(major + 1, 0, 0, '0') : full(major, minor + 1, 0, '0');
+                return [cmp('>=', lower), below(upper)];
+            }
+
+            case '>': {
+                if (major === null) return [below(full(0, 0, 0, '0'))]; // >* ничему не удовлетворяет
+                if (patch !== null) return [cmp('>', lower)];
+                return [cmp('>=', minor === null ? full(major + 1, 0, 0) : full(major, minor + 1, 0))];
+            }
+
+            case '>=':
+                return major === null ? [] : [cmp('>=', lower)];
+
+            case '<':
+                if (major === null) return [below(full(0, 0, 0, '0'))];
+                return [patch !== null ? cmp('<', lower) : below(full(major, minor ?? 0, 0, '0'))];
+
+            case '<=': {
+                if (major === null) return [];
+                if (patch !== null) return [cmp('<=', lower)];
+                return [below(minor === null ? full(major + 1, 0, 0, '0') : full(major, minor + 1, 0, '0'))];
+            }
+
+            default:
+                throw new Error(`Неверный диапазон версий: "${range}"`);
+        }
+    }
+
+    static testComparator(parsed, comparator) {
+        const result = SemVer.compare(parsed, comparator.version);
+        switch (comparator.operator) {
+            case '=': return result === 0;
+            case '>': return result > 0;
+            case '>=': return result >= 0;
+            case '<': return result < 0;
+            case '<=': return result <= 0;
+            default: return false;
+        }
+    }
+
+    /**
+     * Удовлетворяет ли версия диапазону. Предрелиз подходит, только если
+     * в той же альтернативе есть компаратор с предрелизом той же версии x.y.z
+     */
+    static satisfies(version, range) {
+        const parsed = typeof version === 'string' ? SemVer.parse(version) : version;
+        if (!parsed) return false;
+
+        let alternatives;
+        try {
+            alternatives = SemVer.parseRange(range);
+        } catch {
+            return false;
+        }
+
+        return alternatives.some(comparators => {
+            if (!comparators.every(comparator => SemVer.testComparator(parsed, comparator))) {
+                return false;
+            }
+            if (!parsed.prerelease.length) {
+                return true;
+            }
+            return comparators.some(({ version: bound, implicit }) =>
+                !implicit && bound.prerelease.length > 0 &&
+                bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch);
+        });
+    }
+
+    /**
+     * Наибольшая версия из списка, удовлетворяющая диапазону
+     */
+    static maxSatisfying(versions, range) {
+        let best = null;
+        for (const version of versions) {
+            if (SemVer.satisfies(version, range) && (best === null || SemVer.gt(version, best))) {
+                best = version;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Корректен ли диапазон
+     */
+    static validRange(range) {
+        try {
+            SemVer.parseRange(range);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+export default SemVer;
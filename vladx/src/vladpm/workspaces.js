@@ -0,0 +1,177 @@
+/**
+ * Workspaces — Рабочие пространства (монорепозиторий) vladpm
+ *
+ * Корневой vladx.json перечисляет каталоги пакетов в поле workspaces
+ * (шаблоны с * и **, исключения через !). Пакеты ставятся ссылками
+ * в общий node_modules корня, их внешние зависимости поднимаются туда же
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { join, dirname, relative, resolve, sep } from 'path';
+
+const DEPENDENCY_KEYS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+export class Workspaces {
+    constructor(rootDir, manifest) {
+        this.rootDir = rootDir;
+        // Поддерживается и форма { "workspaces": { "packages": [...] } }
+        this.patterns = Array.isArray(manifest.workspaces) ? manifest.workspaces : manifest.workspaces.packages || [];
+        this.cachedMembers = null;
+    }
+
+    /**
+     * Рабочее пространство корня; null, если в vladx.json нет workspaces
+     */
+    static load(rootDir, manifest) {
+        if (!manifest || !manifest.workspaces) return null;
+        return new Workspaces(rootDir, manifest);
+    }
+
+    /**
+     * Корень рабочего пространства, в которое входит каталог; null, если такого нет
+     */
+    static findRoot(startDir) {
+        const start = resolve(startDir);
+        for (let dir = start; ; dir = dirname(dir)) {
+            const manifestPath = join(dir, 'vladx.json');
+            if (existsSync(manifestPath)) {
+                let manifest = null;
+                try {
+                    manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+                } catch {
+                    // Повреждённый манифест выше по дереву не считается корнем
+                }
+                const workspaces = Workspaces.load(dir, manifest);
+                if (workspaces && (dir === start || workspaces.memberAt(start))) {
+                    return dir;
+                }
+            }
+            if (dirname(dir) === dir) return null;
+        }
+    }
+
+    /**
+     * Каталоги, подходящие под шаблон относительно корня
+     */
+    expand(pattern) {
+        const segments = pattern.split(/[\\/]+/).filter(segment => segment && segment !== '.');
+        const matches = [];
+
+        const walk = (dir, index) => {
+            if (index === segments.length) {
+                matches.push(dir);
+                return;
+            }
+            const segment = segments[index];
+            if (segment !== '*' && segment !== '**') {
+                const next = join(dir, segment);
+                if (existsSync(next)) walk(next, index + 1);
+                return;
+            }
+            if (segment === '**') {
+                walk(dir, index + 1);
+            }
+            for (const entry of readdirSync(dir, { withFileTypes: true })) {
+                if (!entry.isDirectory() || entry.name === 'node_modules' || entry.name.startsWith('.')) continue;
+                walk(join(dir, entry.name), segment === '**' ? index : index + 1);
+            }
+        };
+
+        walk(this.rootDir, 0);
+        return matches;
+    }
+
+    /**
+     * Пакеты рабочего пространства, отсортированные по имени
+     */
+    members() {
+        if (this.cachedMembers) return this.cachedMembers;
+
+        const dirs = new Set();
+        for (const pattern of this.patterns) {
+            if (pattern.startsWith('!')) {
+                for (const dir of this.expand(pattern.slice(1))) dirs.delete(dir);
+            } else {
+                for (const dir of this.expand(pattern)) dirs.add(dir);
+            }
+        }
+
+        const byName = new Map();
+        for (const dir of dirs) {
+            const manifestPath = join(dir, 'vladx.json');
+            if (dir === this.rootDir || !existsSync(manifestPath)) continue;
+
+            const manifest = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+            manifest.dependencies = manifest.dependencies || {};
+            manifest.devDependencies = manifest.devDependencies || {};
+            const path = relative(this.rootDir, dir).split(sep).join('/');
+            if (!manifest.name) {
+                throw new Error(`У пакета рабочего пространства ${path} нет поля name в vladx.json`);
+            }
+            if (byName.has(manifest.name)) {
+                throw new Error(`Имя ${manifest.name} повторяется в рабочем пространстве: ${byName.get(manifest.name).path} и ${path}`);
+            }
+            byName.set(manifest.name, { name: manifest.name, version: manifest.version || '0.0.0', dir, path, manifest });
+        }
+
+        this.cachedMembers = [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+        return this.cachedMembers;
+    }
+
+    member(name) {
+        return this.members().find(member => member.name === name) || null;
+    }
+
+    memberAt(dir) {
+        const target = resolve(dir);
+        return this.members().find(member => member.dir === target) || null;
+    }
+
+    /**
+     * Имена пакетов рабочего пространства, от которых зависит пакет
+     */
+    localDependencies(member) {
+        const names = new Set();
+        for (const key of DEPENDENCY_KEYS) {
+            for (const name of Object.keys(member.manifest[key] || {})) {
+                if (name !== member.name && this.member(name)) names.add(name);
+            }
+        }
+        return [...names].sort();
+    }
+
+    /**
+     * Пакеты в порядке зависимостей: каждый после тех, от кого зависит
+     */
+    topologicalOrder() {
+        const members = this.members();
+        const pending = new Map(members.map(member => [member.name, new Set(this.localDependencies(member))]));
+        const order = [];
+
+        while (pending.size > 0) {
+            const ready = [...pending].filter(([, deps]) => deps.size === 0).map(([name]) => name).sort();
+            if (ready.length === 0) {
+                throw new Error(`Циклическая зависимость в рабочем пространстве: ${this.findCycle(pending).join(' → ')}`);
+            }
+            for (const name of ready) {
+                pending.delete(name);
+                order.push(this.member(name));
+                for (const deps of pending.values()) deps.delete(name);
+            }
+        }
+
+        return order;
+    }
+
+    findCycle(pending) {
+        const path = [];
+        let name = [...pending.keys()].sort()[0];
+        while (!path.includes(name)) {
+            path.push(name);
+            name = [...pending.get(name)].sort()[0];
+        }
+        return [...path.slice(path.indexOf(name)), name];
+    }
+}
+
+export default Workspaces;
@@ -0,0 +1,115 @@
+/**
+ * Сервер DAP: одновременные запросы выполняются по очереди, точки останова
+ * проверяются по строкам с инструкциями
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { startServer } from './protocol.js';
+
+/**
+ * Клиент DAP поверх stdio процесса vladx debug --dap
+ */
+function startAdapter() {
+    const server = startServer(['debug', '--dap']);
+    let seq = 1;
+
+    const request = (command, args = {}) => {
+        const message = { seq: seq++, type: 'request', command, arguments: args };
+        server.write(message);
+        return server.waitFor(reply => reply.type === 'response' && reply.request_seq === message.seq);
+    };
+
+    const event = (name) => server.waitFor(message => message.type === 'event' && message.event === name);
+
+    return { child: server.child, request, event };
+}
+
+test('перекрывающиеся evaluate и next не портят окружение', { timeout: 20000 }, async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'vladx-dap-'));
+    const program = join(dir, 'main.vx');
+    writeFileSync(program, [
+        'пусть база = 3',
+        'функция посчитать(a) {',
+        '    пусть b = a * 2',
+        '    вернуть b + база',
+        '}',
+        'пусть итог = посчитать(5)',
+        'печать("итог", итог)',
+        ''
+    ].join('\n'));
+
+    const { child, request, event } = startAdapter();
+    try {
+        await request('initialize', { linesStartAt1: true });
+        await request('launch', { program });
+        await request('setBreakpoints', { source: { path: program }, breakpoints: [{ line: 3 }] });
+        await request('configurationDone');
+        await event('stopped');
+
+        // Запросы отправляются не дожидаясь ответов, как это делают редакторы
+        const replies = await Promise.all([
+            request('evaluate', { expression: 'посчитать(a) + a', frameId: 0 }),
+            request('evaluate', { expression: 'посчитать(база)', frameId: 1 }),
+            request('evaluate', { expression: 'посчитать(a * 10)', frameId: 0 }),
+            request('next', { threadId: 1 })
+        ]);
+        assert.deepEqual(replies.map(reply => reply.message), [undefined, undefined, undefined, undefined]);
+        assert.equal(replies[0].body.result, '18');
+        assert.equal(replies[1].body.result, '9');
+        assert.equal(replies[2].body.result, '103');
+
+        await event('stopped');
+        const b = await request('evaluate', { expression: 'b', frameId: 0 });
+        assert.equal(b.success, true, b.message);
+        assert.equal(b.body.result, '10');
+
+        await request('continue', { threadId: 1 });
+        const exited = await event('exited');
+        assert.equal(exited.body.exitCode, 0);
+        const output = await event('output');
+        assert.equal(output.body.output, 'итог 13\n');
+    } finally {
+        child.kill();
+    }
+});
+
+test('точки останова на строках без инструкций не подтверждаются', { timeout: 20000 }, async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'vladx-dap-'));
+    const program = join(dir, 'main.vx');
+    writeFileSync(program, [
+        '// начало',
+        'пусть a = 1',
+        '',
+        'функция f() {',
+        '    вернуть a + 1',
+        '}',
+        'печать(f())',
+        ''
+    ].join('\n'));
+
+    const { child, request, event } = startAdapter();
+    try {
+        await request('initialize', { linesStartAt1: true });
+        await request('launch', { program });
+        const reply = await request('setBreakpoints', { source: { path: program }, breakpoints: [1, 3, 5, 6].map(line => ({ line })) });
+        assert.deepEqual(reply.body.breakpoints.map(breakpoint => [breakpoint.line, breakpoint.verified]), [
+            [1, false], [3, false], [5, true], [6, false]
+        ]);
+        assert.equal(reply.body.breakpoints[0].message, 'На строке 1 нет инструкций');
+
+        await request('configurationDone');
+        const stopped = await event('stopped');
+        assert.equal(stopped.body.reason, 'breakpoint');
+        const { body } = await request('stackTrace', { threadId: 1 });
+        assert.equal(body.stackFrames[0].line, 5);
+
+        await request('continue', { threadId: 1 });
+        assert.equal((await event('exited')).body.exitCode, 0);
+    } finally {
+        child.kill();
+    }
+});
@@ -0,0 +1,54 @@
+/**
+ * Сервер LSP: порядок диагностики и ответы перед exit
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer } from './protocol.js';
+
+const URI = 'file:///tmp/main.vx';
+
+test('диагностика публикуется только после initialized', { timeout: 20000 }, async () => {
+    const server = startServer(['lsp']);
+    try {
+        server.write({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+        server.write({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+            textDocument: { uri: URI, version: 1, text: 'пусть x = (1 +\n' }
+        } });
+
+        const response = await server.waitFor(message => message.id === 1);
+        assert.ok(response.result.capabilities);
+        assert.deepEqual(server.received, []);
+
+        server.write({ jsonrpc: '2.0', method: 'initialized', params: {} });
+        const diagnostics = await server.waitFor(message => message.method === 'textDocument/publishDiagnostics');
+        assert.equal(diagnostics.params.uri, URI);
+        assert.equal(diagnostics.params.diagnostics.length, 1);
+    } finally {
+        server.child.kill();
+    }
+});
+
+test('ответы на запросы перед exit отправляются', { timeout: 20000 }, async () => {
+    const server = startServer(['lsp']);
+    server.write({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    server.write({ jsonrpc: '2.0', method: 'initialized', params: {} });
+    server.write({ jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+        textDocument: { uri: URI, version: 1, text: 'пусть  x = 1\nпеч' }
+    } });
+    server.write({ jsonrpc: '2.0', id: 2, method: 'textDocument/completion', params: {
+        textDocument: { uri: URI }, position: { line: 1, character: 3 }
+    } });
+    server.write({ jsonrpc: '2.0', id: 3, method: 'textDocument/formatting', params: {
+        textDocument: { uri: URI }, options: { tabSize: 4, insertSpaces: true }
+    } });
+    server.write({ jsonrpc: '2.0', id: 4, method: 'shutdown' });
+    server.write({ jsonrpc: '2.0', method: 'exit' });
+
+    assert.equal(await server.exited, 0);
+    const ids = server.received.filter(message => message.id !== undefined).map(message => message.id);
+    assert.deepEqual(ids.sort(), [1, 2, 3, 4]);
+    for (const message of server.received.filter(message => message.id !== undefined)) {
+        assert.equal(message.error, undefined, message.error?.message);
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * Сообщения с заголовком Content-Length (DAP, LSP) для тестов серверов
+ */
+
+import { spawn } from 'child_process';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+export const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'vladx.js');
+
+/**
+ * Запустить vladx с аргументами и обмениваться сообщениями через stdio.
+ * waitFor(match) ждёт первого ещё не полученного тестом сообщения, для которого match истинно
+ */
+export function startServer(args) {
+    const child = spawn(process.execPath, [CLI, ...args], { stdio: ['pipe', 'pipe', 'inherit'] });
+    const received = [];
+    const waiters = [];
+    let buffer = Buffer.alloc(0);
+
+    child.stdout.on('data', chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (true) {
+            const headerEnd = buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) return;
+            const length = Number(/Content-Length:\s*(\d+)/i.exec(buffer.subarray(0, headerEnd).toString('ascii'))[1]);
+            const start = headerEnd + 4;
+            if (buffer.length < start + length) return;
+            const message = JSON.parse(buffer.subarray(start, start + length).toString('utf-8'));
+            buffer = buffer.subarray(start + length);
+
+            const index = waiters.findIndex(waiter => waiter.match(message));
+            if (index === -1) {
+                received.push(message);
+            } else {
+                waiters.splice(index, 1)[0].resolve(message);
+            }
+        }
+    });
+
+    const exited = new Promise(resolve => child.on('exit', code => resolve(code)));
+
+    return {
+        child,
+        exited,
+        // Все сообщения, которых тест ещё не дождался
+        received,
+        write(message) {
+            const json = JSON.stringify(message);
+            child.stdin.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+        },
+        waitFor(match) {
+            const index = received.findIndex(match);
+            if (index !== -1) {
+                return Promise.resolve(received.splice(index, 1)[0]);
+            }
+            return new Promise(resolve => waiters.push({ match, resolve }));
+        }
+    };
+}
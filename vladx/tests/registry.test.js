@@ -0,0 +1,205 @@
+/**
+ * Сервер реестра: права владельцев на снятие с публикации, публикацию
+ * и добавление уязвимостей, журнал
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'child_process';
+import { createRequire } from 'module';
+import { createServer } from 'net';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const SERVER = join(dirname(fileURLToPath(import.meta.url)), '..', 'registry-server.js');
+
+// Зависимости сервера реестра не входят в зависимости vladx
+const DEPENDENCIES = ['express', 'cors', 'multer', 'jsonwebtoken', 'bcrypt', 'express-rate-limit'];
+const missing = DEPENDENCIES.filter(name => {
+    try {
+        createRequire(SERVER).resolve(name);
+        return false;
+    } catch {
+        return true;
+    }
+});
+const skip = missing.length > 0 && `нет зависимостей сервера реестра: ${missing.join(', ')}`;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+function serverEnv(dataDir, port = '') {
+    return { ...process.env, PORT: String(port), REGISTRY_PATH: dataDir, JWT_SECRET: 'test' };
+}
+
+/**
+ * Запустить реестр на свободном порту с каталогом данных dataDir
+ */
+async function startRegistry(dataDir) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [SERVER], { env: serverEnv(dataDir, port), stdio: ['ignore', 'pipe', 'inherit'] });
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => chunk.toString().includes('запущен') && resolve());
+        child.on('exit', code => reject(new Error(`Реестр завершился с кодом ${code}`)));
+    });
+
+    const base = `http://127.0.0.1:${port}`;
+    return {
+        async request(method, path, token, body) {
+            const response = await fetch(base + path, {
+                method,
+                headers: { 'Content-Type': 'application/json', ...(token && { Authorization: `Bearer ${token}` }) },
+                body: body && JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        },
+        async login(name) {
+            const { body } = await this.request('PUT', `/-/user/org.couchdb.user:${name}`, null, { name, password: 'секрет', email: `${name}@example.com` });
+            return body.token;
+        },
+        publish(token, name, version) {
+            const filename = `${name.replace('@', '').replace('/', '-')}-${version}.tgz`;
+            return this.request('PUT', `/${name}`, token, {
+                _id: name,
+                name,
+                versions: { [version]: { name, version, dist: { tarball: `${base}/${name}/-/${filename}` } } },
+                'dist-tags': { latest: version },
+                _attachments: { [filename]: { data: Buffer.from(`${name}@${version}`).toString('base64') } }
+            });
+        },
+        close() {
+            child.kill();
+            return new Promise(resolve => child.exitCode === null ? child.on('exit', resolve) : resolve());
+        }
+    };
+}
+
+/**
+ * node registry-server.js migrate ... над dataDir; вывод команды
+ */
+function migrate(dataDir, ...args) {
+    const result = spawnSync(process.execPath, [SERVER, 'migrate', ...args], { env: serverEnv(dataDir), encoding: 'utf-8', timeout: 20000 });
+    assert.equal(result.status, 0, result.stderr);
+    return result.stdout;
+}
+
+test('снять с публикации может только владелец, действие попадает в журнал', { timeout: 30000, skip }, async () => {
+    const dataDir = mkdtempSync(join(tmpdir(), 'vladx-registry-'));
+    const registry = await startRegistry(dataDir);
+    try {
+        const alice = await registry.login('alice');
+        const bob = await registry.login('bob');
+        assert.equal((await registry.publish(alice, 'left-pad', '1.0.0')).status, 200);
+        assert.equal((await registry.publish(alice, 'left-pad', '1.1.0')).status, 200);
+        assert.equal((await registry.publish(alice, '@alice/util', '1.0.0')).status, 200);
+
+        assert.equal((await registry.request('DELETE', '/left-pad/-/left-pad-1.0.0.tgz/-rev/1', bob)).status, 403);
+        assert.equal((await registry.request('DELETE', '/left-pad/-rev/1', bob)).status, 403);
+        assert.equal((await registry.request('DELETE', '/@alice/util', bob)).status, 403);
+        assert.deepEqual(Object.keys((await registry.request('GET', '/left-pad')).body.versions), ['1.0.0', '1.1.0']);
+
+        assert.equal((await registry.request('DELETE', '/left-pad/-/left-pad-1.0.0.tgz/-rev/1', alice)).status, 200);
+        assert.deepEqual(Object.keys((await registry.request('GET', '/left-pad')).body.versions), ['1.1.0']);
+        assert.equal((await registry.request('DELETE', '/left-pad/-rev/1', alice)).status, 200);
+        assert.equal((await registry.request('GET', '/left-pad')).status, 404);
+        assert.equal((await registry.request('DELETE', '/@alice%2futil', alice)).status, 200);
+        assert.equal((await registry.request('GET', '/@alice/util')).status, 404);
+
+        const { body: log } = await registry.request('GET', '/-/npm/v1/audit-log', alice);
+        const unpublished = log.objects
+            .filter(entry => entry.action === 'unpublish')
+            .map(({ package: name, version, user }) => ({ name, version, user }));
+        assert.deepEqual(unpublished.sort((a, b) => a.name.localeCompare(b.name) || String(a.version).localeCompare(String(b.version))), [
+            { name: '@alice/util', version: undefined, user: 'alice' },
+            { name: 'left-pad', version: '1.0.0', user: 'alice' },
+            { name: 'left-pad', version: undefined, user: 'alice' }
+        ]);
+        const { body: bobLog } = await registry.request('GET', '/-/npm/v1/audit-log', bob);
+        assert.deepEqual(bobLog.objects, []);
+    } finally {
+        await registry.close();
+        rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('уязвимость пакета добавляет только его владелец', { timeout: 30000, skip }, async () => {
+    const dataDir = mkdtempSync(join(tmpdir(), 'vladx-registry-'));
+    const registry = await startRegistry(dataDir);
+    try {
+        const alice = await registry.login('alice');
+        const bob = await registry.login('bob');
+        assert.equal((await registry.publish(alice, 'left-pad', '1.0.0')).status, 200);
+
+        const advisory = name => ({ package: name, title: 'Выполнение кода', severity: 'critical', vulnerable_versions: '<2.0.0' });
+        assert.equal((await registry.request('PUT', '/-/npm/v1/security/advisories', bob, advisory('left-pad'))).status, 403);
+        assert.equal((await registry.request('PUT', '/-/npm/v1/security/advisories', bob, advisory('нет-такого'))).status, 404);
+        assert.deepEqual((await registry.request('POST', '/-/npm/v1/security/advisories', null, { 'left-pad': ['1.0.0'] })).body, {});
+
+        const created = await registry.request('PUT', '/-/npm/v1/security/advisories', alice, advisory('left-pad'));
+        assert.equal(created.status, 201);
+        const { body: found } = await registry.request('POST', '/-/npm/v1/security/advisories', null, { 'left-pad': ['1.0.0'] });
+        assert.deepEqual(found['left-pad'].map(entry => [entry.id, entry.reported_by]), [[created.body.id, 'alice']]);
+
+        const { body: log } = await registry.request('GET', '/-/npm/v1/audit-log?package=left-pad', alice);
+        assert.ok(log.objects.some(entry => entry.action === 'advisory-add' && entry.id === created.body.id && entry.user === 'alice'));
+    } finally {
+        await registry.close();
+        rmSync(dataDir, { recursive: true, force: true });
+    }
+});
+
+test('пакет без владельцев не переходит к первому публикующему, migrate назначает владельцев', { timeout: 60000, skip }, async () => {
+    const dataDir = mkdtempSync(join(tmpdir(), 'vladx-registry-'));
+    try {
+        let registry = await startRegistry(dataDir);
+        const alice = await registry.login('alice');
+        const bob = await registry.login('bob');
+        await registry.close();
+
+        // Документы прежнего формата: без maintainers, у одного известен публиковавший
+        const legacy = (name, npmUser) => ({
+            _id: name,
+            name,
+            versions: { '1.0.0': { name, version: '1.0.0', ...(npmUser && { _npmUser: { name: npmUser } }) } },
+            'dist-tags': { latest: '1.0.0' }
+        });
+        writeFileSync(join(dataDir, 'packages.json'), JSON.stringify({ legacy: legacy('legacy'), known: legacy('known', 'alice') }));
+        const output = migrate(dataDir);
+        assert.match(output, /владельцев назначено: 1/);
+        assert.match(output, /пакетов без владельцев: 1/);
+
+        registry = await startRegistry(dataDir);
+        try {
+            assert.equal((await registry.publish(bob, 'legacy', '1.1.0')).status, 403);
+            assert.equal((await registry.publish(alice, 'legacy', '1.1.0')).status, 403);
+            assert.equal((await registry.request('DELETE', '/legacy/-rev/1', bob)).status, 403);
+            assert.equal((await registry.request('PUT', '/-/package/legacy/owners', bob, { user: 'bob' })).status, 403);
+            assert.equal((await registry.publish(bob, 'known', '1.1.0')).status, 403);
+            assert.equal((await registry.publish(alice, 'known', '1.1.0')).status, 200);
+        } finally {
+            await registry.close();
+        }
+
+        // Без файлов прежнего формата migrate только назначает владельцев пакетам хранилища
+        rmSync(join(dataDir, 'packages.json'));
+        assert.match(migrate(dataDir, '--owner', 'alice'), /владельцев назначено: 1\n/);
+        registry = await startRegistry(dataDir);
+        try {
+            assert.deepEqual((await registry.request('GET', '/-/package/legacy/owners')).body, [{ name: 'alice', email: 'alice@example.com' }]);
+            assert.equal((await registry.publish(bob, 'legacy', '1.1.0')).status, 403);
+            assert.equal((await registry.publish(alice, 'legacy', '1.1.0')).status, 200);
+        } finally {
+            await registry.close();
+        }
+    } finally {
+        rmSync(dataDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,248 @@
+/**
+ * vladpm: диапазоны версий, разрешение дерева зависимостей, lockfile,
+ * контрольные суммы, аргументы скриптов и воспроизводимость архивов
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { createHash } from 'crypto';
+import { join } from 'path';
+import { SemVer } from '../src/vladpm/semver.js';
+import { DependencyResolver } from '../src/vladpm/resolver.js';
+import { Lockfile } from '../src/vladpm/lockfile.js';
+import { Integrity } from '../src/vladpm/integrity.js';
+import { quoteArgument } from '../src/vladpm/scripts.js';
+import { Packer } from '../src/vladpm/packer.js';
+
+/**
+ * Реестр в памяти: { имя: { версия: зависимости } }, latest — наибольшая версия
+ */
+function registry(packages) {
+    const fetched = [];
+    const fetchPackument = async name => {
+        fetched.push(name);
+        if (!packages[name]) {
+            throw new Error(`Пакет ${name} не найден`);
+        }
+        const versions = Object.fromEntries(Object.entries(packages[name]).map(([version, manifest]) => [version, {
+            name,
+            version,
+            ...manifest,
+            dist: { tarball: `https://registry.example/${name}/-/${name}-${version}.tgz`, shasum: '0'.repeat(40) }
+        }]));
+        const sorted = SemVer.sort(Object.keys(versions));
+        return { name, 'dist-tags': { latest: sorted[sorted.length - 1] }, versions };
+    };
+    return { fetchPackument, fetched };
+}
+
+function silentLogger() {
+    const warnings = [];
+    return { warnings, warn: message => warnings.push(message), info() {} };
+}
+
+/**
+ * Размещение пакетов: { путь: версия }
+ */
+function layout(tree) {
+    return Object.fromEntries([...tree.packages].map(([location, node]) => [location, node.version]));
+}
+
+test('диапазоны версий разбираются как в npm', () => {
+    assert.equal(SemVer.satisfies('1.2.3', '^1.0.0'), true);
+    assert.equal(SemVer.satisfies('2.0.0', '^1.0.0'), false);
+    assert.equal(SemVer.satisfies('0.2.5', '^0.2.0'), true);
+    assert.equal(SemVer.satisfies('0.3.0', '^0.2.0'), false);
+    assert.equal(SemVer.satisfies('1.2.9', '~1.2.0'), true);
+    assert.equal(SemVer.satisfies('1.3.0', '~1.2.0'), false);
+    assert.equal(SemVer.satisfies('3.0.5', '1.x || >=3.0.0 <3.1.0'), true);
+    assert.equal(SemVer.satisfies('2.5.0', '1.x || >=3.0.0 <3.1.0'), false);
+    assert.equal(SemVer.satisfies('1.5.0', '1.2.3 - 1.6'), true);
+    assert.equal(SemVer.satisfies('1.7.0', '1.2.3 - 1.6'), false);
+
+    // Предварительные версии подходят, только если диапазон называет ту же версию
+    assert.equal(SemVer.satisfies('1.2.3-beta.1', '^1.0.0'), false);
+    assert.equal(SemVer.satisfies('1.2.3-beta.2', '^1.2.3-beta.1'), true);
+
+    assert.equal(SemVer.maxSatisfying(['1.0.0', '1.4.2', '1.10.0', '2.0.0'], '^1.2.0'), '1.10.0');
+    assert.deepEqual(SemVer.sort(['1.10.0', '1.2.0', '1.2.0-rc.1']), ['1.2.0-rc.1', '1.2.0', '1.10.0']);
+    assert.equal(SemVer.validRange('не диапазон'), false);
+});
+
+test('резолвер поднимает пакеты и вкладывает несовместимые версии', async () => {
+    const { fetchPackument, fetched } = registry({
+        a: { '1.0.0': {}, '1.1.0': {}, '2.0.0': {} },
+        b: { '1.0.0': { dependencies: { a: '^2.0.0', c: '^1.0.0' } } },
+        c: { '1.0.0': { dependencies: { a: '^1.0.0' } } }
+    });
+    const resolver = new DependencyResolver({ fetchPackument, logger: silentLogger() });
+
+    const tree = await resolver.resolve({ a: '^1.0.0', b: '^1.0.0' });
+
+    assert.deepEqual(layout(tree), {
+        'node_modules/a': '1.1.0',
+        'node_modules/b': '1.0.0',
+        'node_modules/b/node_modules/a': '2.0.0',
+        'node_modules/c': '1.0.0'
+    });
+    // c видит a@1.1.0 из корня и переиспользует его
+    assert.deepEqual(tree.packages.get('node_modules/a').requiredBy, [
+        'проект > a@^1.0.0',
+        'проект > b@1.0.0 > c@1.0.0 > a@^1.0.0'
+    ]);
+    assert.equal(tree.packages.get('node_modules/a').integrity, Integrity.fromShasum('0'.repeat(40)));
+    // Документ каждого пакета запрашивается один раз
+    assert.deepEqual(fetched.sort(), ['a', 'b', 'c']);
+});
+
+test('резолвер предпочитает версии из lockfile и объясняет неразрешимые диапазоны', async () => {
+    const packages = {
+        a: { '1.0.0': {}, '1.1.0': {} },
+        b: { '1.0.0': { dependencies: { a: '^3.0.0' } } },
+        d: { '1.0.0': { optionalDependencies: { нет: '^1.0.0' } } }
+    };
+
+    const locked = new DependencyResolver({
+        fetchPackument: registry(packages).fetchPackument,
+        lockedVersions: new Map([['a', new Set(['1.0.0', '9.9.9'])]])
+    });
+    assert.deepEqual(layout(await locked.resolve({ a: '^1.0.0' })), { 'node_modules/a': '1.0.0' });
+
+    const resolver = new DependencyResolver({ fetchPackument: registry(packages).fetchPackument, logger: silentLogger() });
+    await assert.rejects(resolver.resolve({ b: '^1.0.0' }), {
+        message: [
+            'Нет версии a, удовлетворяющей "^3.0.0"',
+            '  требуется: проект > b@1.0.0 > a@^3.0.0',
+            '  доступные версии: 1.0.0, 1.1.0'
+        ].join('\n')
+    });
+
+    // Отсутствующая необязательная зависимость пропускается с предупреждением
+    const logger = silentLogger();
+    const optional = new DependencyResolver({ fetchPackument: registry(packages).fetchPackument, logger });
+    assert.deepEqual(layout(await optional.resolve({ d: '^1.0.0' })), { 'node_modules/d': '1.0.0' });
+    assert.deepEqual(logger.warnings, ['Необязательная зависимость нет пропущена: Пакет нет не найден']);
+});
+
+test('несовместимая peer-зависимость — ошибка с путями требований', async () => {
+    const { fetchPackument } = registry({
+        react: { '17.0.0': {}, '18.2.0': {} },
+        plugin: { '1.0.0': { peerDependencies: { react: '^18.0.0' } } }
+    });
+    const resolver = new DependencyResolver({ fetchPackument, logger: silentLogger() });
+
+    await assert.rejects(resolver.resolve({ react: '^17.0.0', plugin: '^1.0.0' }), {
+        message: [
+            'Конфликт версий react: plugin@1.0.0 требует peer-зависимость react@^18.0.0, но установлена 17.0.0',
+            '  react@17.0.0 требуют:',
+            '    проект > react@^17.0.0'
+        ].join('\n')
+    });
+});
+
+test('lockfile сохраняет разрешённое дерево и закреплённые версии', async () => {
+    const { fetchPackument } = registry({
+        a: { '1.0.0': {}, '2.0.0': {} },
+        '@scope/b': { '1.0.0': { dependencies: { a: '^2.0.0' } } }
+    });
+    const tree = await new DependencyResolver({ fetchPackument }).resolve({ a: '^1.0.0', '@scope/b': '^1.0.0' });
+    const packageJson = { name: 'проект', version: '0.1.0', dependencies: { a: '^1.0.0', '@scope/b': '^1.0.0' } };
+
+    const lock = Lockfile.fromTree(tree, packageJson);
+    assert.deepEqual(Object.keys(lock.packages), ['', 'node_modules/@scope/b', 'node_modules/@scope/b/node_modules/a', 'node_modules/a']);
+    assert.deepEqual(lock.packages['node_modules/@scope/b'].dependencies, { a: '^2.0.0' });
+    assert.deepEqual(Lockfile.diff(lock, packageJson), []);
+    assert.deepEqual(Lockfile.diff(lock, { ...packageJson, dependencies: { a: '^1.1.0' } }), [
+        'a: в vladx.json ^1.1.0, в vladx-lock.json ^1.0.0',
+        '@scope/b есть в vladx-lock.json, но не в vladx.json'
+    ]);
+
+    const restored = Lockfile.toTree(lock);
+    assert.deepEqual([...restored.packages.values()].map(node => `${node.name}@${node.version}`), ['@scope/b@1.0.0', 'a@2.0.0', 'a@1.0.0']);
+    assert.deepEqual(Lockfile.lockedVersions(lock), new Map([['@scope/b', new Set(['1.0.0'])], ['a', new Set(['2.0.0', '1.0.0'])]]));
+});
+
+test('контрольная сумма проверяется по самому сильному алгоритму', () => {
+    const data = Buffer.from('содержимое архива');
+    const sha512 = Integrity.compute(data);
+    const sha1 = Integrity.compute(data, 'sha1');
+    const shasum = createHash('sha1').update(data).digest('hex');
+
+    assert.match(sha512, /^sha512-[A-Za-z0-9+/]+=*$/);
+    assert.equal(Integrity.verify(data, sha512), true);
+    assert.equal(Integrity.verify(Buffer.from('подменённый архив'), sha512), false);
+    assert.equal(Integrity.fromShasum(shasum), sha1);
+    assert.equal(Integrity.fromDist({ shasum: shasum }), sha1);
+    assert.equal(Integrity.fromDist({ integrity: sha512, shasum: '0'.repeat(40) }), sha512);
+
+    // Совпадение слабого sha1 не спасает неверный sha512
+    const wrong512 = Integrity.compute(Buffer.from('другое'));
+    assert.equal(Integrity.algorithmOf(`${sha1} ${wrong512}`), 'sha512');
+    assert.equal(Integrity.verify(data, `${sha1} ${wrong512}`), false);
+    assert.equal(Integrity.verify(data, `${sha1} md5-abc`), true);
+    assert.throws(() => Integrity.verify(data, 'md5-abc'), { message: 'Неверная контрольная сумма: "md5-abc"' });
+});
+
+test('аргументы скриптов остаются одним словом оболочки', { skip: process.platform === 'win32' && 'нужна POSIX-оболочка' }, () => {
+    assert.equal(quoteArgument('--port=8080', 'linux'), '--port=8080');
+    assert.equal(quoteArgument('a b', 'linux'), `'a b'`);
+    assert.equal(quoteArgument(`it's`, 'linux'), `'it'\\''s'`);
+
+    const dir = mkdtempSync(join(tmpdir(), 'vladpm-quote-'));
+    try {
+        const args = ['a b', `it's`, '$(touch взлом)', '`touch взлом`', '; touch взлом', '*', '$HOME', 'перенос\nстроки', ''];
+        const command = `printf '%s\\n' ${args.map(arg => quoteArgument(arg, 'linux')).join(' ')}`;
+        const result = spawnSync(command, { cwd: dir, shell: '/bin/sh', encoding: 'utf-8' });
+        assert.equal(result.stdout, args.map(arg => `${arg}\n`).join(''));
+        assert.equal(spawnSync('ls', [dir], { encoding: 'utf-8' }).stdout, '');
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('аргументы для cmd.exe заключаются в кавычки с экранированием метасимволов', () => {
+    assert.equal(quoteArgument('a b', 'win32'), '^"a^ b^"');
+    assert.equal(quoteArgument('x"y', 'win32'), '^"x\\^"y^"');
+    assert.equal(quoteArgument('a & calc', 'win32'), '^"a^ ^&^ calc^"');
+    assert.equal(quoteArgument('dir\\ x\\', 'win32'), '^"dir\\^ x\\\\^"');
+});
+
+test('архив пакета воспроизводим и не содержит исключённых файлов', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'vladpm-pack-'));
+    try {
+        const manifest = { name: '@пример/пакет', version: '1.0.0', main: 'index.vx', bin: { пример: './bin/cli.vx' } };
+        writeFileSync(join(dir, 'vladx.json'), JSON.stringify(manifest));
+        writeFileSync(join(dir, 'index.vx'), 'функция привет() { вернуть "привет" }\n');
+        writeFileSync(join(dir, 'README.md'), '# пример\n');
+        writeFileSync(join(dir, '.gitignore'), 'черновик/\n*.log\n');
+        mkdirSync(join(dir, 'bin'));
+        writeFileSync(join(dir, 'bin', 'cli.vx'), 'печать("cli")\n');
+        mkdirSync(join(dir, 'черновик'));
+        writeFileSync(join(dir, 'черновик', 'заметки.vx'), 'печать(1)\n');
+        writeFileSync(join(dir, 'отладка.log'), 'лог\n');
+        mkdirSync(join(dir, 'node_modules', 'dep'), { recursive: true });
+        writeFileSync(join(dir, 'node_modules', 'dep', 'index.js'), '');
+
+        const packer = new Packer();
+        const first = await packer.pack(dir, manifest);
+        assert.equal(first.filename, 'пример-пакет-1.0.0.tgz');
+        assert.deepEqual(first.files.map(file => file.path), ['README.md', 'bin/cli.vx', 'index.vx', 'vladx.json']);
+        assert.equal(first.integrity, Integrity.compute(first.data));
+        assert.equal(Integrity.verify(first.data, first.integrity), true);
+
+        // Время изменения файлов не попадает в архив
+        const later = new Date(Date.now() + 60000);
+        for (const file of first.files) {
+            utimesSync(join(dir, file.path), later, later);
+        }
+        const second = await packer.pack(dir, manifest);
+        assert.equal(second.integrity, first.integrity);
+        assert.equal(second.shasum, first.shasum);
+        assert.ok(second.data.equals(first.data));
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});